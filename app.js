@@ -1,6 +1,6 @@
 const express = require('express');
-const cors = require('cors');
 const { getConfigManager } = require('./shared/config-manager');
+const { getSharedState } = require('./shared/shared-state');
 const { getErrorHandler } = require('./shared/error-handler');
 const logger = require('./shared/logger');
 const streamTracker = require('./shared/stream-tracker');
@@ -10,6 +10,8 @@ const MiddlewareFactory = require('./middleware/middleware-factory');
 const EndpointWrapper = require('./helpers/endpoint-wrapper');
 const CSRFProtection = require('./middleware/csrf-protection');
 const SessionSecurity = require('./middleware/session-security');
+const { applySecurityStack, createUpgradeAuthenticator } = require('./middleware/security-stack');
+const BananaStreamingServer = require('./streaming/websocket-server');
 const PaginationHelper = require('./helpers/pagination-helper');
 const CursorPagination = require('./helpers/cursor-pagination');
 const JSONOptimizer = require('./helpers/json-optimizer');
@@ -22,6 +24,16 @@ const AnalyticsDashboard = require('./analytics/analytics-dashboard');
 const DependencyScanner = require('./security/dependency-scanner');
 const InputValidationSchemas = require('./middleware/input-validation-schemas');
 const cleanupHandler = require('./middleware/cleanup-handler');
+const { JobQueue } = require('./services/job-queue');
+const { HubSpotBatchService } = require('./services/hubspot-batch-service');
+const { HubSpotGraphService } = require('./services/hubspot-graph-service');
+const { HubSpotSchemaRegistry } = require('./services/hubspot-schema-registry');
+const { registerHubSpotJobs } = require('./services/hubspot-jobs');
+const { CrmMirror } = require('./services/crm-mirror');
+const { DataQualityEngine } = require('./services/data-quality-engine');
+const { DuplicateDetector } = require('./services/duplicate-detector');
+const { WebhookDispatcher } = require('./services/webhook-dispatcher');
+const ReportBuilder = require('./enterprise/report-builder');
 
 // Initialize configuration and error handling
 const config = getConfigManager();
@@ -44,6 +56,10 @@ const {
   aiHandler,
   adminAuth,
   apiKeyAuth,
+  authPipeline,
+  requestSigning,
+  oidcAuth,
+  aiUsageTracker,
   securityHeaders,
   inputValidation,
   compression: compressionMiddleware,
@@ -53,6 +69,7 @@ const {
   webhookHandler,
   streamingHandler,
   requestDeduplication: requestDeduplicationBatcher,
+  aiCompletionCache,
   analyticsMiddleware
 } = middlewareFactory.setupConnections();
 
@@ -67,12 +84,42 @@ const autoRestart = new AutoRestartManager();
 const piGuardian = new PiGuardian();
 const analyticsDashboard = new AnalyticsDashboard(analyticsMiddleware);
 const dependencyScanner = new DependencyScanner();
+const hubspotBatchService = new HubSpotBatchService(authHandler, requestDeduplicationBatcher);
+const hubspotGraphService = new HubSpotGraphService(authHandler, hubspotBatchService);
+const hubspotSchemaRegistry = new HubSpotSchemaRegistry(authHandler);
+
+// 🍌 Durable background jobs, claimed by every cluster worker
+const jobQueue = new JobQueue();
+
+// 🍌 Local CRM mirror, kept current by polling and webhooks
+const crmMirror = new CrmMirror(authHandler, paginationHelper);
+webhookHandler.onAnyEvent(event => crmMirror.handleWebhookEvent(event));
+
+// 🍌 Data-quality rules, checked on demand, on a schedule and on webhooks
+const reportBuilder = new ReportBuilder();
+const dataQualityEngine = new DataQualityEngine(authHandler, {
+  batchService: hubspotBatchService,
+  crmMirror,
+  reportBuilder,
+  jobQueue
+});
+webhookHandler.onAnyEvent(event => dataQualityEngine.handleWebhookEvent(event));
+
+// 🍌 Outbound webhooks: HubSpot events passed on to subscribed services
+const webhookDispatcher = new WebhookDispatcher();
+webhookHandler.onAnyEvent(event => webhookDispatcher.publish(event));
+
+// 🍌 Duplicate contacts and companies, found by fuzzy matching and merged on request
+const duplicateDetector = new DuplicateDetector(authHandler, { crmMirror });
+
+registerHubSpotJobs(jobQueue, { authHandler, batchService: hubspotBatchService, dataQualityEngine, duplicateDetector });
 
 // Connect monitoring systems
 autoRestart.setMonitors(performanceCollector, memoryMonitor);
 
 // Initialize additional components
 const inputValidator = new InputValidationSchemas();
+inputValidator.useSchemaRegistry(hubspotSchemaRegistry);
 const requireAdminAuth = middlewareFactory.getAdminAuthMiddleware();
 const csrfProtection = new CSRFProtection();
 const sessionSecurity = new SessionSecurity();
@@ -81,31 +128,25 @@ const sessionSecurity = new SessionSecurity();
 cleanupHandler.registerService(performanceCollector, 'PerformanceCollector');
 cleanupHandler.registerService(memoryMonitor, 'MemoryMonitor');
 cleanupHandler.registerService(autoRestart, 'AutoRestartManager');
-
-// Security middleware first
-app.use(securityHeaders.middleware());
-app.use(sessionSecurity.middleware());
-app.use(inputValidation.middleware());
-
-// 🍌 BANANA-POWERED API KEY AUTHENTICATION 🍌
-app.use(apiKeyAuth.middleware());
-
-// 🛡️ CSRF Protection
-app.use(csrfProtection.tokenMiddleware());
-app.use(csrfProtection.originValidation());
-app.use(csrfProtection.validateMiddleware());
-
-// CORS with secure origins from centralized config
-app.use(cors({
-  origin: config.getSecurityConfig().corsOrigins,
-  credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-admin-api-key', 'x-api-key', 'x-csrf-token', 'csrf-token']
-}));
+cleanupHandler.registerService(jobQueue, 'JobQueue');
+cleanupHandler.registerService(crmMirror, 'CrmMirror');
+cleanupHandler.registerService(dataQualityEngine, 'DataQualityEngine');
+cleanupHandler.registerService(webhookDispatcher, 'WebhookDispatcher');
+cleanupHandler.registerService(apiKeyAuth, 'APIKeyAuth');
+if (requestSigning) cleanupHandler.registerService(requestSigning, 'BananaRequestSigning');
+cleanupHandler.registerService(getSharedState(), 'SharedState');
+
+// Security middleware first: headers, session, body, authentication, CSRF and CORS
+applySecurityStack(app, {
+  securityHeaders,
+  sessionSecurity,
+  inputValidation,
+  authPipeline,
+  csrfProtection,
+  corsOrigins: config.getSecurityConfig().corsOrigins
+});
 
 // Standard middleware
-app.use(express.json({ limit: '10mb' })); // Limit JSON payload size
-
 // 🍌 Serve static files for dashboard
 app.use(express.static('public'));
 app.use(compressionMiddleware.middleware());
@@ -118,12 +159,13 @@ app.use(analyticsMiddleware.middleware());
 // Intelligent caching for API endpoints
 app.use('/api/hubspot/contacts', intelligentCache.middleware({
   ttl: 180000, // 3 minutes for contacts
-  skipCache: (req) => req.method !== 'GET' // Only cache GET requests
+  // Only cache GET requests; the mirror is already local
+  skipCache: (req) => req.method !== 'GET' || req.query.source === 'mirror'
 }));
 
 app.use('/api/hubspot/search', intelligentCache.middleware({
   ttl: 120000, // 2 minutes for search results
-  skipCache: (req) => req.method !== 'POST' // Only cache POST requests
+  skipCache: (req) => req.method !== 'POST' || req.query.source === 'mirror' // Only cache POST requests
 }));
 
 // Request logging middleware
@@ -145,7 +187,7 @@ app.get('/health', (req, res) => {
   };
   
   // Detailed health info requires authentication
-  if (req.apiKeyData) {
+  if (req.principal) {
     const memoryStatus = memoryMonitor.getStatus();
     const piHealth = piGuardian.getStatus();
     const queueStatus = requestQueue.getHealth();
@@ -187,6 +229,8 @@ app.use('/monitoring', require('./routes/monitoring')({
   requestDeduplicationBatcher,
   webhookHandler,
   aiHandler,
+  aiCompletionCache,
+  authHandler,
   autoRestart,
   memoryMonitor,
   requestQueue,
@@ -219,9 +263,24 @@ app.use('/api/hubspot', require('./routes/hubspot')({
   authHandler,
   streamingHandler,
   paginationHelper,
-  cursorPagination
+  cursorPagination,
+  hubspotBatchService,
+  hubspotGraphService,
+  hubspotSchemaRegistry,
+  jobQueue,
+  crmMirror,
+  duplicateDetector
 }, inputValidator));
 
+// Background job routes
+app.use('/api/jobs', require('./routes/jobs')({ jobQueue }, inputValidator));
+
+// Data-quality rules, runs, reports and audit trail
+app.use('/api/data-quality', require('./routes/data-quality')({ dataQualityEngine, jobQueue }, inputValidator));
+
+// Outbound webhook subscriptions, deliveries and replays
+app.use('/api/subscriptions', require('./routes/subscriptions')({ webhookDispatcher }, inputValidator));
+
 // 🐐 Mark AI Assistant routes
 app.use('/api/mark', require('./routes/mark-routes'));
 
@@ -230,75 +289,28 @@ app.use('/api/mark2', require('./routes/mark2-routes'));
 
 // AI endpoint with smart routing
 const AIController = require('./controllers/ai-controller');
-const aiController = new AIController(aiHandler);
+const aiController = new AIController(aiHandler, aiUsageTracker, aiCompletionCache);
 app.post('/api/anthropic/messages', inputValidator.validateRequest('anthropicMessage'), 
+  aiUsageTracker.middleware(),
   aiController.processMessages
 );
+app.post('/api/anthropic/feedback', inputValidator.validateRequest('anthropicFeedback'), aiController.submitFeedback);
+
+// 🍌 OpenAI-compatible API over the same AI router 🍌
+app.use('/v1', require('./routes/openai')({
+  aiHandler,
+  aiUsageTracker,
+  aiCompletionCache
+}, inputValidator));
 
 // 🍌 BANANA-POWERED API KEY MANAGEMENT ROUTES 🍌
-const apiKeyRoutes = require('./routes/api-keys')(apiKeyAuth);
+const apiKeyRoutes = require('./routes/api-keys')(apiKeyAuth, aiUsageTracker, inputValidator);
 app.use('/api/keys', apiKeyRoutes);
 
-// SECURITY: Setup endpoint with enhanced security
-const setupAttempts = new Map();
-app.get('/setup/admin-key', (req, res) => {
-  // Proper IP validation - no spoofing possible
-  const clientIP = req.socket.remoteAddress || req.connection.remoteAddress;
-  const allowedIPs = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
-  
-  if (!allowedIPs.includes(clientIP)) {
-    logger.warn('🚨 Unauthorized setup access attempt', { 
-      ip: clientIP, 
-      userAgent: req.get('User-Agent'),
-      timestamp: new Date().toISOString()
-    });
-    return res.status(403).json({
-      success: false,
-      error: 'Access denied - localhost only',
-      timestamp: new Date().toISOString()
-    });
-  }
-
-  // Rate limiting for setup endpoint
-  const now = Date.now();
-  const attempts = setupAttempts.get(clientIP) || [];
-  const recentAttempts = attempts.filter(time => now - time < 60000); // 1 minute window
-  
-  if (recentAttempts.length >= 3) {
-    logger.warn('🚨 Setup endpoint rate limit exceeded', { ip: clientIP });
-    return res.status(429).json({
-      success: false,
-      error: 'Too many attempts - try again later',
-      timestamp: new Date().toISOString()
-    });
-  }
-  
-  recentAttempts.push(now);
-  setupAttempts.set(clientIP, recentAttempts);
-
-  // Additional security header validation
-  const userAgent = req.get('User-Agent');
-  if (!userAgent || userAgent.length < 10) {
-    return res.status(403).json({
-      success: false,
-      error: 'Invalid request',
-      timestamp: new Date().toISOString()
-    });
-  }
-  
-  const adminKey = apiKeyAuth.getAdminKeyForSetup();
-  if (adminKey) {
-    logger.info('🍌 Admin key accessed from localhost', { ip: clientIP });
-    res.json({
-      success: true,
-      adminKey: adminKey,
-      warning: '🚨 SECURITY: This endpoint should be removed in production!',
-      expires: new Date(Date.now() + 300000).toISOString() // 5 min warning
-    });
-  } else {
-    res.json({ success: false, error: 'No admin keys found' });
-  }
-});
+// 🍌 Browser sign-in through the OIDC provider, when OIDC_ISSUER is set
+if (oidcAuth) {
+  app.use('/auth', require('./routes/auth')(oidcAuth));
+}
 
 // Ollama status endpoint now handled by /routes/monitoring.js
 
@@ -337,7 +349,17 @@ if (require.main === module || process.env.NODE_CLUSTER_WORKER) {
   logger.info('  ➕ POST /api/hubspot/contacts - Create HubSpot contact');
   logger.info('  🔍 POST /api/hubspot/search/:objectType - Search HubSpot objects');
   logger.info('  📊 POST /api/hubspot/graphql - HubSpot GraphQL (streaming!)');
+  logger.info('  🪞 GET  /api/hubspot/mirror/status - Local CRM mirror (?source=mirror on contacts and search)');
+  logger.info('  📦 POST /api/hubspot/batch/:objectType/:action - Chunked HubSpot batch operations');
+  logger.info('  🕸️ GET  /api/hubspot/graph/:objectType/:id - Association graph around a record (?depth, ?include, ?stream)');
+  logger.info('  🧬 GET  /api/hubspot/schemas - Object types and properties (custom objects at /api/hubspot/objects/:objectType)');
+  logger.info('  👯 GET  /api/hubspot/duplicates - Likely duplicate contacts and companies (POST /:clusterId/merge, /reject)');
+  logger.info('  🧺 POST /api/jobs - Durable background jobs (GET /api/jobs/:id, /events, /cancel)');
+  logger.info('  🧹 POST /api/data-quality/runs - Data-quality rules with auto-fix (rules, reports, audit)');
+  logger.info('  📮 POST /api/subscriptions - Outbound webhooks for HubSpot events (deliveries, dead letters, replay)');
     logger.info('  🤖 POST /api/anthropic/messages - Smart AI routing (Ollama + Claude)');
+    logger.info('  👍 POST /api/anthropic/feedback - Rate an AI answer to train routing');
+    logger.info('  🔌 POST /v1/chat/completions - OpenAI-compatible AI API (also /v1/completions, /v1/models, /v1/embeddings)');
     logger.info('  🌐 ALL  /api/hubspot/* - Proxy to any HubSpot endpoint');
     logger.info('  🔗 POST /webhooks/hubspot - HubSpot webhooks receiver');
     logger.info('🍌 BANANA POWER LEVEL: MAXIMUM! 🍌');
@@ -348,18 +370,46 @@ if (require.main === module || process.env.NODE_CLUSTER_WORKER) {
     
     // Log AI routing status
     logger.info('🍌 AI ROUTING STATUS:');
-    logger.info(`  Primary Provider: ${aiHandler.primaryProvider}`);
-    logger.info(`  Ollama URL: ${aiHandler.ollamaBaseUrl}`);
+    logger.info(`  Routing Chain: ${aiHandler.registry.names().join(' -> ')}`);
     logger.info(`  Fallback Enabled: ${aiHandler.enableFallback}`);
     logger.info(`  Cost Optimization: Active`);
   });
 
   // Set server for auto-restart manager
   autoRestart.setServer(server);
+
+  // Live updates over WebSocket at /stream; job progress reaches the job's owner and admins
+  new BananaStreamingServer(server, {
+    jobQueue,
+    authenticate: createUpgradeAuthenticator({
+      sessionSecurity,
+      authPipeline,
+      corsOrigins: config.getSecurityConfig().corsOrigins
+    })
+  });
   
   // Start adaptive compression monitoring
   compressionMiddleware.startAdaptiveCompression();
 
+  // Claim background jobs in this process
+  jobQueue.start();
+
+  // Sync the CRM mirror when CRM_MIRROR_ENABLED=true
+  crmMirror.start();
+
+  // Scheduled data-quality runs when DATA_QUALITY_SCHEDULE is set
+  dataQualityEngine.start();
+
+  // Deliver outbound webhooks; one process of the cluster dispatches at a time
+  webhookDispatcher.start();
+
+  // Custom object types; unknown types reload them on demand if this fails
+  hubspotSchemaRegistry.load().catch(() => {});
+
+  // API keys come from the shared store; warn while it's still empty
+  apiKeyAuth.start();
+  apiKeyAuth.checkProvisioned().catch(error => logger.error('🍌 Could not read the API key store', { error: error.message }));
+
   // Graceful shutdown
   process.on('SIGTERM', () => {
     logger.info('SIGTERM received, shutting down gracefully');
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * 🍌 BANANA-POWERED API KEY ADMIN 🍌
+ *
+ * Manages the shared API key store from the host, without a running server:
+ *
+ *   npm run keys:provision                   first admin key (plus --basic/--premium ones)
+ *   npm run keys -- create <name> [tier]     issue another key
+ *   npm run keys -- list                     stored keys, without secrets
+ *   npm run keys -- export [file]            hashes and metadata as JSON
+ *   npm run keys -- import <file> [--replace]
+ *
+ * Keys are printed once and only stored hashed. API_KEY_STORE_DIR picks
+ * another store than data/api-keys.
+ */
+
+const fs = require('fs');
+const APIKeyAuth = require('../middleware/api-key-auth');
+
+const USAGE = 'Usage: api-keys <provision [--basic] [--premium] [--force] | create <name> [tier] [description] | list | export [file] | import <file> [--replace]>';
+
+async function provision(apiKeyAuth, flags) {
+  const existing = await apiKeyAuth.getAllKeys();
+  if (existing.length > 0 && !flags.includes('--force')) {
+    throw new Error(`The store already holds ${existing.length} key(s); provisioning is a one-time step (use --force to add keys anyway)`);
+  }
+
+  const tiers = ['admin', ...['basic', 'premium'].filter(tier => flags.includes(`--${tier}`))];
+  for (const tier of tiers) {
+    const { apiKey, keyData } = await apiKeyAuth.createAPIKey(`${tier}-user`, tier, `Provisioned ${tier} key`);
+    console.log(`${tier.padEnd(8)} ${keyData.id}  ${apiKey}`);
+  }
+  console.log('\n🍌 Store these keys securely! They will not be shown again.');
+}
+
+async function main([command, ...args]) {
+  const apiKeyAuth = new APIKeyAuth();
+  const flags = args.filter(arg => arg.startsWith('--'));
+  const [first, second, third] = args.filter(arg => !arg.startsWith('--'));
+
+  switch (command) {
+    case 'provision':
+      return provision(apiKeyAuth, flags);
+
+    case 'create': {
+      if (!first) throw new Error(USAGE);
+      const { apiKey, keyData } = await apiKeyAuth.createAPIKey(first, second || 'basic', third || '');
+      console.log(`${keyData.tier.padEnd(8)} ${keyData.id}  ${apiKey}`);
+      return;
+    }
+
+    case 'list':
+      for (const key of await apiKeyAuth.getAllKeys()) {
+        console.log([key.keyId, key.key, key.tier.padEnd(7), key.isActive ? 'active  ' : 'disabled', key.name].join('  '));
+      }
+      return;
+
+    case 'export': {
+      const text = JSON.stringify(await apiKeyAuth.store.export(), null, 2) + '\n';
+      if (first) {
+        fs.writeFileSync(first, text, { mode: 0o600 });
+        console.log(`🍌 Exported to ${first}`);
+      } else {
+        process.stdout.write(text);
+      }
+      return;
+    }
+
+    case 'import': {
+      if (!first) throw new Error(USAGE);
+      const result = await apiKeyAuth.store.import(JSON.parse(fs.readFileSync(first, 'utf8')), { replace: flags.includes('--replace') });
+      console.log(`🍌 Imported ${result.imported} key(s)`);
+      result.skipped.forEach(({ index, reason }) => console.log(`   skipped #${index}: ${reason}`));
+      return;
+    }
+
+    default:
+      throw new Error(USAGE);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { main };
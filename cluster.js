@@ -218,6 +218,10 @@ class ClusterManager {
   }
 
   setupWorkerIPC(worker) {
+    // forkWorker() already wires new workers; listening twice would relay job events twice
+    if (this.workers[worker.id]?.ipcReady) return;
+    if (this.workers[worker.id]) this.workers[worker.id].ipcReady = true;
+
     worker.on('message', (message) => {
       try {
         if (message.type === 'health') {
@@ -227,6 +231,13 @@ class ClusterManager {
             uptime: message.uptime,
             lastHealthCheck: Date.now()
           };
+        } else if (message.type === 'job_event') {
+          // Job progress from one worker reaches the SSE streams and dashboards served by the others
+          Object.values(this.workers).forEach(({ worker: other }) => {
+            if (other !== worker && other.isConnected()) {
+              other.send(message);
+            }
+          });
         }
       } catch (error) {
         logger.warn(`Error handling message from worker ${worker.id}:`, error.message);
@@ -1,4 +1,6 @@
 const EndpointWrapper = require('../helpers/endpoint-wrapper');
+const logger = require('../shared/logger');
+const streamEvents = require('../shared/ai-stream-events');
 
 /**
  * 🍌 BANANA-POWERED AI CONTROLLER 🍌
@@ -6,8 +8,10 @@ const EndpointWrapper = require('../helpers/endpoint-wrapper');
  * Handles all AI routing and management endpoints
  */
 class AIController {
-  constructor(aiHandler) {
+  constructor(aiHandler, usageTracker = null, completionCache = null) {
     this.aiHandler = aiHandler;
+    this.usageTracker = usageTracker;
+    this.completionCache = completionCache;
   }
 
   getStats = EndpointWrapper.createGetEndpoint(
@@ -20,15 +24,18 @@ class AIController {
     { errorMessage: 'Failed to test AI providers' }
   );
 
-  refreshOllama = EndpointWrapper.createAdminEndpoint(
+  refreshProviders = EndpointWrapper.createAdminEndpoint(
     async () => {
-      const success = await this.aiHandler.refreshOllamaConnection();
+      const providers = await this.aiHandler.refreshProviders();
+      const unavailable = Object.keys(providers).filter(name => !providers[name]);
       return {
-        ollamaAvailable: success,
-        message: success ? 'Ollama connection refreshed successfully' : 'Ollama connection failed'
+        providers,
+        message: unavailable.length === 0 ?
+          'AI provider connections refreshed successfully' :
+          `Unavailable AI providers: ${unavailable.join(', ')}`
       };
     },
-    { errorMessage: 'Failed to refresh Ollama connection' }
+    { errorMessage: 'Failed to refresh AI provider connections' }
   );
 
   resetCredits = EndpointWrapper.createAdminEndpoint(
@@ -47,22 +54,60 @@ class AIController {
     { errorMessage: 'Failed to clear AI statistics' }
   );
 
+  getCacheStats = EndpointWrapper.createGetEndpoint(
+    () => this.completionCache ? this.completionCache.getStats() : { enabled: false },
+    { errorMessage: 'Failed to get AI cache statistics' }
+  );
+
+  clearCache = EndpointWrapper.createAdminEndpoint(
+    () => {
+      const cleared = this.completionCache ? this.completionCache.clear() : 0;
+      return { message: 'AI completion cache cleared successfully', cleared };
+    },
+    { errorMessage: 'Failed to clear AI completion cache' }
+  );
+
+  getRoutingReport = EndpointWrapper.createGetEndpoint(
+    () => this.aiHandler.getRoutingReport(),
+    { errorMessage: 'Failed to get AI routing report' }
+  );
+
+  // Client feedback on an answer, keyed by the routing ID from its response
+  submitFeedback = EndpointWrapper.createPostEndpoint(
+    (req) => {
+      const { routingId, rating, comment } = req.body;
+      return this.aiHandler.recordRoutingFeedback(routingId, { rating, comment });
+    },
+    { errorMessage: 'Failed to record AI feedback' }
+  );
+
   getModels = EndpointWrapper.createGetEndpoint(
     async () => {
-      const models = await this.aiHandler.getOllamaModels();
+      const providers = await this.aiHandler.getModels();
       return {
-        models,
-        modelCount: models.length,
-        defaultModel: this.aiHandler.defaultModel
+        providers,
+        modelCount: Object.values(providers).reduce((sum, provider) => sum + provider.models.length, 0)
       };
     },
-    { errorMessage: 'Failed to get Ollama models' }
+    { errorMessage: 'Failed to get AI models' }
   );
 
   // Main AI endpoint
   processMessages = EndpointWrapper.createGetEndpoint(
-    async (req) => {
-      const { model = 'claude-3-haiku-20240307', max_tokens = 1000, messages, taskType, forceClaude } = req.body;
+    async (req, res) => {
+      const {
+        model = 'claude-3-haiku-20240307',
+        max_tokens = 1000,
+        messages,
+        system,
+        temperature,
+        stop_sequences,
+        tools,
+        tool_choice,
+        taskType,
+        forceClaude,
+        stream
+      } = req.body;
       
       if (!messages || !Array.isArray(messages)) {
         const error = new Error('Messages array is required');
@@ -70,26 +115,171 @@ class AIController {
         throw error;
       }
 
-      const aiResponse = await this.aiHandler.processAIRequest(messages, {
+      const options = {
         model,
         max_tokens,
+        system,
+        temperature,
+        stop_sequences,
+        tools,
+        tool_choice,
         taskType,
         forceClaude
+      };
+
+      const cacheRequest = this.completionCache?.prepare(req, messages, options);
+      const cached = cacheRequest ? await this.completionCache.lookup(cacheRequest) : null;
+      if (cacheRequest) {
+        res.set('X-AI-Cache', cached ? 'HIT' : 'MISS');
+      }
+
+      if (stream === true) {
+        return cached ?
+          this.replayCachedStream(res, cached) :
+          this.streamMessages(req, res, messages, options, cacheRequest);
+      }
+
+      if (cached) {
+        return {
+          data: cached.message,
+          metadata: {
+            provider: cached.provider,
+            routingReason: 'cache_hit',
+            responseTime: 0,
+            fallbackUsed: false,
+            costSavingMode: false,
+            cost: 0,
+            cache: cacheHitInfo(cached)
+          }
+        };
+      }
+
+      const aiResponse = await this.aiHandler.processAIRequest(messages, options);
+      this.recordUsage(req, {
+        provider: aiResponse.provider,
+        model: aiResponse.response.model,
+        usage: aiResponse.response.usage,
+        cost: aiResponse.cost
       });
+      if (cacheRequest) {
+        await this.completionCache.store(cacheRequest, aiResponse.response, { provider: aiResponse.provider });
+      }
 
       return {
         data: aiResponse.response,
         metadata: {
           provider: aiResponse.provider,
           routingReason: aiResponse.routingReason,
+          routingId: aiResponse.routingId,
           responseTime: aiResponse.responseTime,
           fallbackUsed: aiResponse.fallbackUsed || false,
-          costSavingMode: aiResponse.costSavingMode || false
+          costSavingMode: aiResponse.costSavingMode || false,
+          cost: aiResponse.cost,
+          cache: cacheRequest ? { hit: false } : undefined
         }
       };
     },
     { errorMessage: 'Failed to process AI request' }
   );
+
+  // Relay Anthropic-format server-sent events from whichever provider wins routing
+  async streamMessages(req, res, messages, options, cacheRequest = null) {
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) abortController.abort();
+    });
+
+    const aiStream = await this.aiHandler.processAIRequestStream(messages, {
+      ...options,
+      signal: abortController.signal
+    });
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+      'X-AI-Provider': aiStream.provider,
+      'X-AI-Routing-Reason': aiStream.routingReason,
+      'X-AI-Routing-Id': aiStream.routingId,
+      'X-AI-Fallback-Used': String(aiStream.fallbackUsed || false)
+    });
+
+    // Keep the events of cacheable requests to cache the assembled answer
+    const events = cacheRequest ? [] : null;
+
+    try {
+      for await (const event of aiStream.events) {
+        res.write(streamEvents.formatSSE(event));
+        events?.push(event);
+      }
+
+      if (events && events[events.length - 1]?.type === 'message_stop') {
+        await this.completionCache.store(cacheRequest, streamEvents.eventsToMessage(events), {
+          provider: aiStream.provider
+        });
+      }
+
+      if (aiStream.resumedAt !== undefined) {
+        logger.info('AI stream resumed on fallback provider', {
+          originalProvider: aiStream.originalProvider,
+          provider: aiStream.provider,
+          resumedAt: aiStream.resumedAt,
+          reason: aiStream.failoverReason
+        });
+      }
+    } catch (error) {
+      if (abortController.signal.aborted) return;
+
+      logger.error('AI stream failed mid-response', {
+        provider: aiStream.provider,
+        error: error.message,
+        user: req.principal?.name || 'anonymous'
+      });
+      res.write(streamEvents.formatSSE(streamEvents.errorEvent(error.message)));
+    } finally {
+      // Set by the stream once it has ended, including streams cut short
+      this.recordUsage(req, aiStream);
+    }
+
+    res.end();
+  }
+
+  // Replay a cached answer as the event stream a provider would have produced
+  replayCachedStream(res, cached) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+      'X-AI-Provider': cached.provider,
+      'X-AI-Routing-Reason': 'cache_hit',
+      'X-AI-Fallback-Used': 'false'
+    });
+
+    for (const event of streamEvents.messageToEvents(cached.message)) {
+      const marked = event.type === 'message_delta' ? { ...event, metadata: { cache: cacheHitInfo(cached) } } : event;
+      res.write(streamEvents.formatSSE(marked));
+    }
+
+    res.end();
+  }
+
+  // Attribute an AI call's tokens and cost to the calling API key
+  recordUsage(req, { provider, model, usage, cost }) {
+    if (!this.usageTracker || !req.apiKeyData || !usage) return;
+    this.usageTracker.record(req.apiKeyData, { provider, model, usage, cost })
+      .catch(error => logger.warn('🍌 Could not record AI usage', { error: error.message }));
+  }
+}
+
+function cacheHitInfo(cached) {
+  return {
+    hit: true,
+    match: cached.match,
+    similarity: cached.similarity,
+    cachedAt: cached.cachedAt
+  };
 }
 
 module.exports = AIController;
\ No newline at end of file
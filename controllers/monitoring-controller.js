@@ -8,7 +8,7 @@ const EndpointWrapper = require('../helpers/endpoint-wrapper');
 class MonitoringController {
   constructor(performanceCollector, logRotator, predictiveHealthMonitor, 
               intelligentCache, requestDeduplicationBatcher, webhookHandler, 
-              aiHandler, autoRestart) {
+              aiHandler, autoRestart, authHandler = null) {
     this.performanceCollector = performanceCollector;
     this.logRotator = logRotator;
     this.predictiveHealthMonitor = predictiveHealthMonitor;
@@ -17,6 +17,7 @@ class MonitoringController {
     this.webhookHandler = webhookHandler;
     this.aiHandler = aiHandler;
     this.autoRestart = autoRestart;
+    this.authHandler = authHandler;
   }
 
   // Create dashboard data
@@ -88,26 +89,21 @@ class MonitoringController {
           enabled: true,
           primaryProvider: aiStats.primaryProvider,
           totalRequests: aiStats.totalRequests,
-          anthropicUsage: aiStats.anthropicUsagePercent,
-          ollamaUsage: aiStats.ollamaUsagePercent,
+          routingChain: aiStats.routingChain,
           specializationRate: aiStats.specializationRate,
           fallbackTriggers: aiStats.fallbackTriggers,
           costSavings: aiStats.costSavings.estimatedClaudeCostSaved,
           savingsRate: aiStats.costSavings.savingsRate,
-          avgResponseTimes: {
-            anthropic: aiStats.avgResponseTimes.anthropic,
-            ollama: aiStats.avgResponseTimes.ollama
-          },
-          providers: {
-            anthropic: {
-              available: aiStats.providerStatus.anthropic.available,
-              outOfCredits: aiStats.providerStatus.anthropic.outOfCredits
-            },
-            ollama: {
-              available: aiStats.providerStatus.ollama.available,
-              modelCount: aiStats.providerStatus.ollama.modelCount
-            }
-          },
+          avgResponseTimes: aiStats.avgResponseTimes,
+          providers: Object.fromEntries(
+            Object.entries(aiStats.providers).map(([name, provider]) => [name, {
+              type: provider.type,
+              available: provider.status.available,
+              outOfCredits: provider.status.outOfCredits,
+              modelCount: provider.status.modelCount,
+              usage: provider.usagePercent
+            }])
+          ),
           intelligence: "🍌 SMART AI ROUTING & COST OPTIMIZATION"
         }
       },
@@ -234,17 +230,25 @@ class MonitoringController {
     { errorMessage: 'Failed to get cluster scaling information' }
   );
 
-  // Ollama status endpoint (legacy - will be deprecated in favor of dedicated Mark endpoints)
+  // HubSpot outbound scheduler: learned limits, tokens, queue depth and throttling
+  getHubSpotRateLimits = EndpointWrapper.createGetEndpoint(
+    () => this.authHandler.hubspotScheduler.getStats(),
+    { errorMessage: 'Failed to get HubSpot rate limit status' }
+  );
+
+  // Ollama status endpoint: Mark's view of Ollama plus per-host state of every Ollama host pool
   getOllamaStatus = EndpointWrapper.createGetEndpoint(
     async () => {
+      let markService = null;
+      let status;
+      
       try {
-        const { getMarkService } = require('../services/mark-service');
-        const markService = getMarkService();
+        markService = require('../services/mark-service').getMarkService();
         
         // Get Mark's health status which includes Ollama information
         const markHealth = await markService.checkHealth();
         
-        return {
+        status = {
           ollamaHealthy: markHealth.ollamaStatus.healthy,
           markStatus: markHealth.markAvailable ? 'ready' : 'unavailable',
           activeModel: markHealth.ollamaStatus.activeModel || 'N/A',
@@ -259,7 +263,7 @@ class MonitoringController {
         };
         
       } catch (error) {
-        return {
+        status = {
           ollamaHealthy: false,
           markStatus: 'unavailable',
           activeModel: 'N/A',
@@ -268,9 +272,36 @@ class MonitoringController {
           error: error.message
         };
       }
+      
+      status.pools = await this.getOllamaPools(markService);
+      status.ollamaHealthy = status.ollamaHealthy || status.pools.some(pool => pool.healthyHosts > 0);
+      return status;
     },
     { errorMessage: 'Failed to check Ollama status' }
   );
+
+  // Host pool state, one entry per distinct pool with the providers/services using it
+  async getOllamaPools(markService) {
+    const pools = new Map();
+    const addPool = (pool, user) => {
+      if (!pools.has(pool)) pools.set(pool, []);
+      pools.get(pool).push(user);
+    };
+    
+    for (const [name, pool] of Object.entries(this.aiHandler.getHostPools())) {
+      addPool(pool, name);
+    }
+    if (markService?.pool) {
+      addPool(markService.pool, 'mark');
+    }
+    
+    return Promise.all([...pools.entries()].map(async ([pool, usedBy]) => {
+      // Poll pools that aren't being polled in the background
+      const stale = pool.hosts.some(host => !host.lastPoll || Date.now() - host.lastPoll > pool.pollInterval);
+      const poolStatus = stale ? await pool.poll() : pool.getStatus();
+      return { usedBy, ...poolStatus };
+    }));
+  }
 }
 
 module.exports = MonitoringController;
\ No newline at end of file
@@ -0,0 +1,356 @@
+const crypto = require('crypto');
+const logger = require('../shared/logger');
+const streamEvents = require('../shared/ai-stream-events');
+const openAIChat = require('../shared/openai-chat-translator');
+
+// Models have no creation date of their own; report when the server started
+const STARTED_AT = Math.floor(Date.now() / 1000);
+
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'invalid_request_error',
+  429: 'rate_limit_error'
+};
+
+/**
+ * 🍌 BANANA-POWERED OPENAI-COMPATIBLE CONTROLLER 🍌
+ *
+ * Serves the OpenAI API (/v1/chat/completions, /v1/completions,
+ * /v1/models, /v1/embeddings) from the AI router, so tools that only
+ * speak OpenAI get the same routing, fallback, budgets and caching as
+ * /api/anthropic/messages. Responses and errors use OpenAI's formats.
+ */
+class OpenAIController {
+  constructor(aiHandler, usageTracker = null, completionCache = null) {
+    this.aiHandler = aiHandler;
+    this.usageTracker = usageTracker;
+    this.completionCache = completionCache;
+  }
+
+  // Joi request validation that answers with OpenAI-format errors
+  static validate(inputValidator, schemaName) {
+    return (req, res, next) => {
+      try {
+        req.body = inputValidator.validate(req.body, schemaName);
+        next();
+      } catch (error) {
+        const param = error.validationDetails?.[0]?.path.join('.') || null;
+        res.status(400).json(openAIErrorBody(error.message, 400, { param }));
+      }
+    };
+  }
+
+  createChatCompletion = openAIEndpoint(
+    async (req, res) => {
+      const body = req.body;
+      const { system, messages } = openAIChat.fromOpenAIMessages(body.messages);
+      if (messages.length === 0) {
+        throw openAIRequestError('messages must include at least one user or assistant message');
+      }
+
+      const tools = body.tools?.length ? openAIChat.fromOpenAITools(body.tools) : undefined;
+      const options = {
+        ...this.buildOptions(body),
+        max_tokens: body.max_completion_tokens || body.max_tokens || 4096,
+        system,
+        tools,
+        tool_choice: tools ? openAIChat.fromOpenAIToolChoice(body.tool_choice) : undefined
+      };
+
+      return this.complete(req, res, messages, options, {
+        id: `chatcmpl-${randomId()}`,
+        object: 'chat.completion',
+        stream: body.stream === true,
+        includeUsage: body.stream_options?.include_usage === true
+      });
+    },
+    'Failed to create chat completion'
+  );
+
+  // Legacy text completions: the prompt is sent as a single user message
+  createCompletion = openAIEndpoint(
+    async (req, res) => {
+      const body = req.body;
+      const prompt = Array.isArray(body.prompt) ? body.prompt[0] : body.prompt;
+      if (!prompt) {
+        throw openAIRequestError('prompt must not be empty', 'prompt');
+      }
+
+      const options = {
+        ...this.buildOptions(body),
+        // OpenAI's default for this endpoint
+        max_tokens: body.max_tokens || 16
+      };
+
+      return this.complete(req, res, [{ role: 'user', content: prompt }], options, {
+        id: `cmpl-${randomId()}`,
+        object: 'text_completion',
+        stream: body.stream === true,
+        includeUsage: body.stream_options?.include_usage === true
+      });
+    },
+    'Failed to create completion'
+  );
+
+  listModels = openAIEndpoint(
+    async () => ({
+      object: 'list',
+      data: await this.getModelList()
+    }),
+    'Failed to list models'
+  );
+
+  getModel = openAIEndpoint(
+    async (req) => {
+      const model = (await this.getModelList()).find(entry => entry.id === req.params.model);
+      if (!model) {
+        const error = new Error(`The model '${req.params.model}' does not exist`);
+        error.statusCode = 404;
+        error.code = 'model_not_found';
+        throw error;
+      }
+      return model;
+    },
+    'Failed to retrieve model'
+  );
+
+  createEmbeddings = openAIEndpoint(
+    async (req, res) => {
+      const { model, input, encoding_format: encodingFormat = 'float' } = req.body;
+      const texts = Array.isArray(input) ? input : [input];
+
+      const result = await this.aiHandler.processEmbeddingRequest(texts, { model });
+      this.recordUsage(req, {
+        provider: result.provider,
+        model: result.model,
+        usage: { input_tokens: result.usage.input_tokens, output_tokens: 0 },
+        cost: result.cost
+      });
+      res.set('X-AI-Provider', result.provider);
+
+      return {
+        object: 'list',
+        data: result.embeddings.map((embedding, index) => ({
+          object: 'embedding',
+          index,
+          // base64 is little-endian float32, as the OpenAI SDKs decode it
+          embedding: encodingFormat === 'base64' ?
+            Buffer.from(new Float32Array(embedding).buffer).toString('base64') :
+            embedding
+        })),
+        model: result.model,
+        usage: {
+          prompt_tokens: result.usage.input_tokens,
+          total_tokens: result.usage.input_tokens
+        }
+      };
+    },
+    'Failed to create embeddings'
+  );
+
+  // Router options shared by chat and text completions
+  buildOptions(body) {
+    return {
+      model: this.resolveModel(body.model),
+      // OpenAI allows temperatures up to 2; the router's providers take 0..1
+      temperature: body.temperature === undefined ? undefined : Math.min(body.temperature, 1),
+      top_p: body.top_p,
+      stop_sequences: body.stop === undefined ? undefined : [].concat(body.stop)
+    };
+  }
+
+  // Claude and served local models pass through; OpenAI names like gpt-4o use each provider's default
+  resolveModel(model) {
+    return model.startsWith('claude-') || this.aiHandler.servesModel(model) ? model : undefined;
+  }
+
+  async getModelList() {
+    const providers = await this.aiHandler.getModels();
+    const models = new Map();
+
+    for (const [providerName, provider] of Object.entries(providers)) {
+      for (const model of provider.models) {
+        if (!models.has(model.name)) {
+          models.set(model.name, { id: model.name, object: 'model', created: STARTED_AT, owned_by: providerName });
+        }
+      }
+    }
+
+    return [...models.values()];
+  }
+
+  // Serve a completion from the cache or the router, whole or streamed
+  async complete(req, res, messages, options, meta) {
+    const cacheRequest = this.completionCache?.prepare(req, messages, options);
+    const cached = cacheRequest ? await this.completionCache.lookup(cacheRequest) : null;
+    if (cacheRequest) {
+      res.set('X-AI-Cache', cached ? 'HIT' : 'MISS');
+    }
+
+    meta.created = Math.floor(Date.now() / 1000);
+
+    if (meta.stream) {
+      return this.streamCompletion(req, res, messages, options, meta, { cacheRequest, cached });
+    }
+
+    if (cached) {
+      res.set(routingHeaders({ provider: cached.provider, routingReason: 'cache_hit' }));
+      return formatCompletion(cached.message, meta);
+    }
+
+    const aiResponse = await this.aiHandler.processAIRequest(messages, options);
+    this.recordUsage(req, {
+      provider: aiResponse.provider,
+      model: aiResponse.response.model,
+      usage: aiResponse.response.usage,
+      cost: aiResponse.cost
+    });
+    if (cacheRequest) {
+      await this.completionCache.store(cacheRequest, aiResponse.response, { provider: aiResponse.provider });
+    }
+
+    res.set(routingHeaders(aiResponse));
+    return formatCompletion(aiResponse.response, meta);
+  }
+
+  // Relay the router's Anthropic events as OpenAI SSE chunks, ending with [DONE]
+  async streamCompletion(req, res, messages, options, meta, { cacheRequest, cached }) {
+    const abortController = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) abortController.abort();
+    });
+
+    const aiStream = cached ? null : await this.aiHandler.processAIRequestStream(messages, {
+      ...options,
+      signal: abortController.signal
+    });
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+      ...routingHeaders(aiStream || { provider: cached.provider, routingReason: 'cache_hit' })
+    });
+
+    const translator = openAIChat.createChatChunkTranslator(meta);
+    const write = (chunk) => res.write(`data: ${JSON.stringify(
+      meta.object === 'text_completion' ? openAIChat.toTextCompletionChunk(chunk) : chunk
+    )}\n\n`);
+    // Keep the events of cacheable requests to cache the assembled answer
+    const events = cacheRequest && !cached ? [] : null;
+
+    try {
+      for await (const event of aiStream ? aiStream.events : streamEvents.messageToEvents(cached.message)) {
+        events?.push(event);
+        translator.translate(event).forEach(write);
+      }
+
+      if (meta.includeUsage) {
+        write(translator.usageChunk());
+      }
+
+      if (events && events[events.length - 1]?.type === 'message_stop') {
+        await this.completionCache.store(cacheRequest, streamEvents.eventsToMessage(events), {
+          provider: aiStream.provider
+        });
+      }
+    } catch (error) {
+      if (abortController.signal.aborted) return;
+
+      logger.error('OpenAI-compatible stream failed mid-response', {
+        provider: aiStream?.provider,
+        error: error.message,
+        user: req.principal?.name || 'anonymous'
+      });
+      res.write(`data: ${JSON.stringify(openAIErrorBody(error.message, 500))}\n\n`);
+    } finally {
+      // Set by the stream once it has ended, including streams cut short
+      if (aiStream) this.recordUsage(req, aiStream);
+    }
+
+    res.write('data: [DONE]\n\n');
+    res.end();
+  }
+
+  // Attribute an AI call's tokens and cost to the calling API key
+  recordUsage(req, { provider, model, usage, cost }) {
+    if (!this.usageTracker || !req.apiKeyData || !usage) return;
+    this.usageTracker.record(req.apiKeyData, { provider, model, usage, cost })
+      .catch(error => logger.warn('🍌 Could not record AI usage', { error: error.message }));
+  }
+}
+
+function formatCompletion(message, meta) {
+  return meta.object === 'text_completion' ?
+    openAIChat.toTextCompletion(message, meta) :
+    openAIChat.toChatCompletion(message, meta);
+}
+
+function routingHeaders(result) {
+  const headers = {
+    'X-AI-Provider': result.provider,
+    'X-AI-Routing-Reason': result.routingReason,
+    'X-AI-Fallback-Used': String(result.fallbackUsed || false)
+  };
+  if (result.routingId) {
+    headers['X-AI-Routing-Id'] = result.routingId;
+  }
+  return headers;
+}
+
+function randomId() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
+function openAIRequestError(message, param = null) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.param = param;
+  return error;
+}
+
+// OpenAI's error body: { error: { message, type, param, code } }
+function openAIErrorBody(message, statusCode, { param = null, code = null } = {}) {
+  return {
+    error: {
+      message,
+      type: ERROR_TYPES[statusCode] || 'server_error',
+      param,
+      code
+    }
+  };
+}
+
+/**
+ * Like EndpointWrapper, but sends the handler's result as-is and errors
+ * in OpenAI's format, which OpenAI SDKs know how to read
+ */
+function openAIEndpoint(handlerFn, errorMessage) {
+  return async (req, res, next) => {
+    try {
+      const result = await handlerFn(req, res);
+      if (res.headersSent) return;
+      res.json(result);
+    } catch (error) {
+      logger.error(errorMessage, {
+        error: error.message,
+        path: req.path,
+        method: req.method,
+        user: req.principal?.name || 'anonymous'
+      });
+
+      if (res.headersSent) return next(error);
+
+      const statusCode = error.statusCode || error.status || 500;
+      res.status(statusCode).json(openAIErrorBody(statusCode === 500 ? errorMessage : error.message, statusCode, {
+        param: error.param,
+        code: statusCode === 500 ? null : error.code
+      }));
+    }
+  };
+}
+
+module.exports = OpenAIController;
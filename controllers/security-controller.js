@@ -24,8 +24,8 @@ class SecurityController {
   // Get security overview
   getSecurityOverview = EndpointWrapper.createHandler(async (req, res) => {
     const vulnerabilities = this.dependencyScanner.getVulnerabilityCount();
-    const csrfStats = this.csrfProtection.getStats();
-    const sessionStats = this.sessionSecurity.getStats();
+    const csrfStats = await this.csrfProtection.getStats();
+    const sessionStats = await this.sessionSecurity.getStats();
     
     // Calculate security score
     const securityScore = this.calculateSecurityScore(vulnerabilities, csrfStats, sessionStats);
@@ -64,7 +64,7 @@ class SecurityController {
   // Trigger dependency scan
   scanDependencies = EndpointWrapper.createHandler(async (req, res) => {
     logger.info('🍌 Manual dependency scan triggered', { 
-      requestedBy: req.apiKeyData?.name || 'unknown',
+      requestedBy: req.principal?.name || 'unknown',
       ip: req.ip 
     });
     
@@ -78,7 +78,7 @@ class SecurityController {
 
   // Get session statistics
   getSessionStats = EndpointWrapper.createHandler(async (req, res) => {
-    const stats = this.sessionSecurity.getStats();
+    const stats = await this.sessionSecurity.getStats();
     
     return {
       sessionStats: stats,
@@ -88,7 +88,7 @@ class SecurityController {
 
   // Get CSRF statistics
   getCSRFStats = EndpointWrapper.createHandler(async (req, res) => {
-    const stats = this.csrfProtection.getStats();
+    const stats = await this.csrfProtection.getStats();
     
     return {
       csrfStats: stats,
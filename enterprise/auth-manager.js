@@ -4,6 +4,45 @@ const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const speakeasy = require('speakeasy');
 
+// Roles every tenant starts with; IdP groups map onto these IDs
+const DEFAULT_ROLES = [
+  {
+    id: 'super_admin',
+    name: 'Super Administrator',
+    description: 'Full system access',
+    permissions: ['*'],
+    priority: 1000
+  },
+  {
+    id: 'tenant_admin',
+    name: 'Tenant Administrator',
+    description: 'Tenant administration access',
+    permissions: ['read', 'write', 'delete', 'manage_users', 'manage_settings'],
+    priority: 800
+  },
+  {
+    id: 'manager',
+    name: 'Manager',
+    description: 'Management access with limited admin functions',
+    permissions: ['read', 'write', 'manage_users'],
+    priority: 600
+  },
+  {
+    id: 'user',
+    name: 'User',
+    description: 'Standard user access',
+    permissions: ['read', 'write'],
+    priority: 400
+  },
+  {
+    id: 'viewer',
+    name: 'Viewer',
+    description: 'Read-only access',
+    permissions: ['read'],
+    priority: 200
+  }
+];
+
 /**
  * 🔐 ENTERPRISE AUTHENTICATION MANAGER 🔐
  * Advanced authentication with SSO, RBAC, and enterprise identity providers
@@ -47,46 +86,8 @@ class AuthManager {
    * Create default roles
    */
   createDefaultRoles() {
-    const defaultRoles = [
-      {
-        id: 'super_admin',
-        name: 'Super Administrator',
-        description: 'Full system access',
-        permissions: ['*'],
-        priority: 1000
-      },
-      {
-        id: 'admin',
-        name: 'Administrator',
-        description: 'Tenant administration access',
-        permissions: ['read', 'write', 'delete', 'manage_users', 'manage_settings'],
-        priority: 800
-      },
-      {
-        id: 'manager',
-        name: 'Manager',
-        description: 'Management access with limited admin functions',
-        permissions: ['read', 'write', 'manage_users'],
-        priority: 600
-      },
-      {
-        id: 'user',
-        name: 'User',
-        description: 'Standard user access',
-        permissions: ['read', 'write'],
-        priority: 400
-      },
-      {
-        id: 'viewer',
-        name: 'Viewer',
-        description: 'Read-only access',
-        permissions: ['read'],
-        priority: 200
-      }
-    ];
-    
-    defaultRoles.forEach(role => {
-      this.roles.set(role.id, role);
+    DEFAULT_ROLES.forEach(role => {
+      this.roles.set(role.id, { ...role });
     });
   }
 
@@ -564,4 +565,6 @@ class AuthManager {
   }
 }
 
+AuthManager.DEFAULT_ROLES = DEFAULT_ROLES;
+
 module.exports = AuthManager;
\ No newline at end of file
@@ -13,12 +13,16 @@ class ReportBuilder {
     this.reportsPath = options.reportsPath || path.join(__dirname, '../data/reports');
     this.templatesPath = options.templatesPath || path.join(__dirname, '../data/report-templates');
     this.maxReportSize = options.maxReportSize || 10000; // Max 10k records
-    this.enableScheduling = options.enableScheduling || true;
+    this.enableScheduling = options.enableScheduling !== false;
     
     // In-memory stores (would use database in production)
     this.reports = new Map();
     this.templates = new Map();
     this.scheduledReports = new Map();
+    // Where registered templates get their rows, by template ID
+    this.dataSources = new Map();
+    // Reports being generated, by ID
+    this.generating = new Map();
     
     this.initializeReportBuilder();
     
@@ -165,6 +169,16 @@ class ReportBuilder {
     });
   }
 
+  /**
+   * Register a template backed by real data
+   * @param {Object} template - Template like the default ones
+   * @param {Function} fetchData - async ({ parameters, filters, tenantId }) => rows
+   */
+  registerTemplate(template, fetchData) {
+    this.templates.set(template.id, template);
+    this.dataSources.set(template.id, fetchData);
+  }
+
   /**
    * Create a new report
    */
@@ -198,7 +212,9 @@ class ReportBuilder {
       this.reports.set(reportId, report);
       
       // Generate report asynchronously
-      this.generateReportData(reportId);
+      this.generating.set(reportId, this.generateReportData(reportId).finally(() => {
+        this.generating.delete(reportId);
+      }));
       
       logger.info('📊 Report creation started', {
         reportId,
@@ -233,7 +249,7 @@ class ReportBuilder {
       report.updatedAt = Date.now();
       
       // Fetch data based on template and filters
-      const data = await this.fetchReportData(template, report.filters, report.tenantId);
+      const data = await this.fetchReportData(template, report.filters, report.tenantId, report.parameters);
       
       // Apply sorting
       const sortedData = this.applySorting(data, report.sorting || template.sorting);
@@ -284,10 +300,13 @@ class ReportBuilder {
   /**
    * Fetch report data based on template
    */
-  async fetchReportData(template, filters, tenantId) {
-    // This would integrate with your actual data sources
-    // For now, returning mock data based on template category
-    
+  async fetchReportData(template, filters, tenantId, parameters = {}) {
+    const dataSource = this.dataSources.get(template.id);
+    if (dataSource) {
+      return dataSource({ parameters, filters, tenantId });
+    }
+
+    // Templates without a registered data source get mock data based on template category
     const mockData = this.generateMockData(template, filters);
     return mockData;
   }
@@ -473,8 +492,13 @@ class ReportBuilder {
   async exportToPDF(report, template, fileName) {
     const doc = new PDFDocument();
     const filePath = path.join(this.reportsPath, `${fileName}.pdf`);
+    const output = require('fs').createWriteStream(filePath);
+    const written = new Promise((resolve, reject) => {
+      output.on('finish', resolve);
+      output.on('error', reject);
+    });
     
-    doc.pipe(require('fs').createWriteStream(filePath));
+    doc.pipe(output);
     
     // Add title
     doc.fontSize(20).text(report.name, { align: 'center' });
@@ -498,6 +522,7 @@ class ReportBuilder {
     });
     
     doc.end();
+    await written;
     report.filePath = filePath;
   }
 
@@ -530,6 +555,28 @@ class ReportBuilder {
     return this.reports.get(reportId);
   }
 
+  /**
+   * Get a report once it has finished generating
+   */
+  async waitForReport(reportId) {
+    await this.generating.get(reportId);
+    return this.reports.get(reportId);
+  }
+
+  /**
+   * Delete a report and its exported file
+   */
+  async deleteReport(reportId) {
+    const report = this.reports.get(reportId);
+    if (!report) return false;
+
+    this.reports.delete(reportId);
+    if (report.filePath) {
+      await fs.unlink(report.filePath).catch(() => {});
+    }
+    return true;
+  }
+
   /**
    * List reports for user/tenant
    */
@@ -595,9 +642,10 @@ class ReportBuilder {
    * Start scheduled report processor
    */
   startScheduledReportProcessor() {
-    setInterval(() => {
+    this.scheduleTimer = setInterval(() => {
       this.processScheduledReports();
     }, 60000); // Check every minute
+    this.scheduleTimer.unref();
     
     logger.info('📅 Scheduled report processor started');
   }
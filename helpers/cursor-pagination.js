@@ -186,8 +186,10 @@ class CursorPagination {
             pageSize: batchSize
           });
 
-          // Execute batch query
-          const response = await this.executeCursorQuery(authHandler.searchHubSpot.bind(authHandler), objectType, query);
+          // Execute batch query; bulk streams yield to interactive HubSpot calls
+          const response = await this.executeCursorQuery(authHandler.searchHubSpot.bind(authHandler), objectType, query, {
+            priority: 'background'
+          });
           const results = response.data.results || [];
 
           if (results.length === 0) {
@@ -427,9 +429,9 @@ class CursorPagination {
   }
 
   // Execute cursor query
-  async executeCursorQuery(searchMethod, objectType, query) {
+  async executeCursorQuery(searchMethod, objectType, query, options = {}) {
     // Use the searchHubSpot method from AuthHandler
-    const results = await searchMethod(objectType, query);
+    const results = await searchMethod(objectType, query, options);
     // AuthHandler's searchHubSpot returns the response data directly
     return { data: results };
   }
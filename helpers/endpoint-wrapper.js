@@ -1,4 +1,5 @@
 const logger = require('../shared/logger');
+const { isAdmin } = require('../shared/auth-policy');
 
 /**
  * 🍌 BANANA-POWERED ENDPOINT WRAPPER 🍌
@@ -19,7 +20,7 @@ class EndpointWrapper {
     return async (req, res, next) => {
       try {
         // Check authorization if required
-        if (requireAuth && !req.apiKey) {
+        if (requireAuth && !req.principal) {
           return res.status(401).json({
             success: false,
             error: 'Authentication required',
@@ -27,7 +28,7 @@ class EndpointWrapper {
           });
         }
 
-        if (adminOnly && req.apiKeyData?.tier !== 'admin') {
+        if (adminOnly && !isAdmin(req.principal)) {
           return res.status(403).json({
             success: false,
             error: 'Admin access required',
@@ -62,7 +63,7 @@ class EndpointWrapper {
           logger.info('API operation completed', {
             path: req.path,
             method: req.method,
-            user: req.apiKeyData?.name || 'anonymous'
+            user: req.principal?.name || 'anonymous'
           });
         }
 
@@ -72,7 +73,7 @@ class EndpointWrapper {
           error: error.message,
           path: req.path,
           method: req.method,
-          user: req.apiKeyData?.name || 'anonymous'
+          user: req.principal?.name || 'anonymous'
         });
 
         // Don't send response if already sent
@@ -182,7 +182,7 @@ class MCPClientConfig {
                 template: this.generateEnvTemplate(),
                 steps: [
                     'Get HubSpot Private App Token from HubSpot Developer Portal',
-                    'Get Banana Admin API Key from /setup/admin-key endpoint',
+                    'Issue a Banana Admin API Key with `npm run keys:provision`',
                     'Create .env file with required variables',
                     'Run setup commands for desired clients'
                 ]
@@ -199,7 +199,7 @@ class MCPClientConfig {
 HUBSPOT_PRIVATE_APP_TOKEN=your_hubspot_token_here
 
 # Banana Admin API Key
-# Get this from Pi API Hub /setup/admin-key endpoint
+# Issue one with \`npm run keys:provision\` on the Pi API Hub host
 BANANA_ADMIN_KEY=your_admin_api_key_here
 
 # Optional: MCP Server Configuration
@@ -454,7 +454,8 @@ BANANA_SERVER_PORT=3000`;
 # Get this from: Settings > Integrations > Private Apps in HubSpot
 HUBSPOT_PRIVATE_APP_TOKEN=your_hubspot_private_app_token_here
 
-# Banana Admin API Key (generated automatically)
+# Banana Admin API Key
+# Issue one with \`npm run keys:provision\` on the Pi API Hub host
 BANANA_ADMIN_KEY=your_banana_admin_key_here
 
 # Optional: Custom server port (defaults to 3000)
@@ -16,7 +16,9 @@ class PaginationHelper {
       filters = [],
       sorts = [],
       associations = [],
-      archived = false
+      archived = false,
+      // Page-by-page exports shouldn't hold up interactive HubSpot calls
+      priority = 'background'
     } = options;
 
     let after = null;
@@ -56,9 +58,9 @@ class PaginationHelper {
               
               if (after) searchPayload.after = after;
               
-              response = await apiClient.post(`${endpoint}/search`, searchPayload);
+              response = await apiClient.post(`${endpoint}/search`, searchPayload, { priority });
             } else {
-              response = await apiClient.get(url);
+              response = await apiClient.get(url, { priority });
             }
 
             const { results, paging } = response.data;
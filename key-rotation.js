@@ -1,44 +1,65 @@
 #!/usr/bin/env node
 // 🎯 CARMACK HOME LAB SECURITY: API Key Rotation
 // "Security through simplicity, not complexity"
+//
+// A thin client of the key API: rotates BANANA_API_KEY itself through
+// POST /api/keys/me/rotate, or any key by ID (`node key-rotation.js key_…`,
+// admin key required) through POST /api/keys/:id/rotate. The old key keeps
+// working for the server's grace period. The new key replaces
+// BANANA_API_KEY in ENV_FILE when the calling key was rotated.
 
 const fs = require('fs');
-const crypto = require('crypto');
+const axios = require('axios');
 
 const ENV_FILE = process.env.ENV_FILE || '/home/jvycee/pi-api-hub/.env';
+const API_URL = process.env.PI_API_URL || 'http://localhost:3000';
 const ROTATION_INTERVAL = 7 * 24 * 60 * 60 * 1000; // 7 days
 
-function rotateApiKey() {
+async function rotateApiKey(keyId = null, { force = false, gracePeriod } = {}) {
+  const apiKey = process.env.BANANA_API_KEY;
+  if (!apiKey) {
+    console.log('❌ Key rotation failed: BANANA_API_KEY is not set');
+    return null;
+  }
+  const api = axios.create({ baseURL: API_URL, headers: { 'X-API-Key': apiKey }, timeout: 10000 });
+
   try {
-    const env = fs.readFileSync(ENV_FILE, 'utf8');
-    const lines = env.split('\n');
-    const rotationKey = `LAST_KEY_ROTATION=${Date.now()}`;
-    
-    // Check if rotation needed
-    const lastRotation = lines.find(l => l.startsWith('LAST_KEY_ROTATION='));
-    if (lastRotation) {
-      const lastTime = parseInt(lastRotation.split('=')[1]);
-      if (Date.now() - lastTime < ROTATION_INTERVAL) {
-        console.log('⏳ Key rotation not due yet');
-        return;
-      }
+    // Check if rotation needed; a successor's createdAt is the last rotation
+    const { data: current } = await api.get(keyId ? `/api/keys/${keyId}` : '/api/keys/me');
+    if (!force && Date.now() - Date.parse(current.data.createdAt) < ROTATION_INTERVAL) {
+      console.log('⏳ Key rotation not due yet');
+      return null;
     }
-    
-    // Generate new internal auth token
-    const newToken = crypto.randomBytes(32).toString('hex');
-    const updatedLines = lines
-      .filter(l => !l.startsWith('INTERNAL_AUTH_TOKEN=') && !l.startsWith('LAST_KEY_ROTATION='))
-      .concat([`INTERNAL_AUTH_TOKEN=${newToken}`, rotationKey])
-      .filter(l => l.trim());
-    
-    fs.writeFileSync(ENV_FILE, updatedLines.join('\n') + '\n');
-    console.log('🔄 API key rotated successfully');
+
+    const { data: rotated } = await api.post(keyId ? `/api/keys/${keyId}/rotate` : '/api/keys/me/rotate',
+      gracePeriod === undefined ? {} : { gracePeriod });
+
+    if (!keyId && fs.existsSync(ENV_FILE)) {
+      const lines = fs.readFileSync(ENV_FILE, 'utf8').split('\n')
+        .filter(l => !l.startsWith('BANANA_API_KEY=') && !l.startsWith('LAST_KEY_ROTATION='))
+        .concat([`BANANA_API_KEY=${rotated.data.apiKey}`, `LAST_KEY_ROTATION=${Date.now()}`])
+        .filter(l => l.trim());
+      fs.writeFileSync(ENV_FILE, lines.join('\n') + '\n');
+    } else {
+      console.log(`🔑 New key ${rotated.data.keyId}: ${rotated.data.apiKey}`);
+    }
+
+    console.log(`🔄 API key rotated successfully; the old key works until ${rotated.data.previousKeyExpiresAt}`);
+    return rotated.data;
   } catch (e) {
-    console.log('❌ Key rotation failed:', e.message);
+    console.log('❌ Key rotation failed:', e.response?.data?.error || e.message);
+    return null;
   }
 }
 
 // Run if called directly
-if (require.main === module) rotateApiKey();
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const grace = args.find(arg => arg.startsWith('--grace='));
+  rotateApiKey(args.find(arg => !arg.startsWith('--')) || null, {
+    force: args.includes('--force'),
+    gracePeriod: grace ? parseInt(grace.split('=')[1]) : undefined
+  });
+}
 
-module.exports = { rotateApiKey };
\ No newline at end of file
+module.exports = { rotateApiKey };
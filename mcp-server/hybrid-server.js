@@ -14,6 +14,10 @@ const { getConfigManager } = require('../shared/config-manager');
 const { getErrorHandler } = require('../shared/error-handler');
 const mcpConfig = require('../config/mcp-config.json');
 
+// Object types offered until the hub's schema list has been loaded
+const STANDARD_OBJECT_TYPES = ['contacts', 'companies', 'deals', 'tickets', 'products'];
+const OBJECT_TYPES_TTL = 5 * 60 * 1000;
+
 /**
  * 🍌 BANANA-POWERED HYBRID MCP SERVER 🍌
  * 
@@ -47,6 +51,8 @@ class HybridMCPServer {
         this.mode = this.config.getMCPConfig().mode;
         this.officialTools = [];
         this.bananaTools = [];
+        this.objectTypes = STANDARD_OBJECT_TYPES;
+        this.objectTypesLoadedAt = 0;
         
         this.setupHandlers();
         this.initializeTools();
@@ -98,7 +104,7 @@ class HybridMCPServer {
                     inputSchema: {
                         type: 'object',
                         properties: {
-                            objectType: { type: 'string', enum: ['contacts', 'companies', 'deals', 'tickets', 'products'] },
+                            objectType: { type: 'string', enum: STANDARD_OBJECT_TYPES },
                             limit: { type: 'number', default: 10, maximum: 100 },
                             after: { type: 'string' },
                             properties: { type: 'array', items: { type: 'string' } }
@@ -113,7 +119,7 @@ class HybridMCPServer {
                     inputSchema: {
                         type: 'object',
                         properties: {
-                            objectType: { type: 'string', enum: ['contacts', 'companies', 'deals', 'tickets', 'products'] },
+                            objectType: { type: 'string', enum: STANDARD_OBJECT_TYPES },
                             filterGroups: { type: 'array' },
                             sorts: { type: 'array' },
                             properties: { type: 'array', items: { type: 'string' } },
@@ -168,7 +174,8 @@ class HybridMCPServer {
                         properties: {
                             limit: { type: 'number', default: 10, maximum: 100 },
                             after: { type: 'string' },
-                            useCache: { type: 'boolean', default: true }
+                            useCache: { type: 'boolean', default: true },
+                            source: { type: 'string', enum: ['hubspot', 'mirror'], default: 'hubspot' }
                         }
                     },
                     source: 'banana'
@@ -197,9 +204,10 @@ class HybridMCPServer {
                     inputSchema: {
                         type: 'object',
                         properties: {
-                            objectType: { type: 'string', enum: ['contacts', 'companies', 'deals', 'tickets'] },
+                            objectType: { type: 'string', enum: STANDARD_OBJECT_TYPES },
                             query: { type: 'string' },
-                            useCache: { type: 'boolean', default: true }
+                            useCache: { type: 'boolean', default: true },
+                            source: { type: 'string', enum: ['hubspot', 'mirror'], default: 'hubspot' }
                         },
                         required: ['objectType']
                     },
@@ -236,12 +244,13 @@ class HybridMCPServer {
         // List available tools
         this.server.setRequestHandler(ListToolsRequestSchema, async () => {
             const allTools = [...this.officialTools, ...this.bananaTools];
+            const objectTypes = await this.loadObjectTypes();
             
             return {
                 tools: allTools.map(tool => ({
                     name: tool.name,
                     description: tool.description,
-                    inputSchema: tool.inputSchema
+                    inputSchema: this.withObjectTypes(tool.inputSchema, objectTypes)
                 }))
             };
         });
@@ -340,6 +349,39 @@ class HybridMCPServer {
         });
     }
 
+    /**
+     * Object types the hub knows, custom objects included
+     */
+    async loadObjectTypes() {
+        if (Date.now() - this.objectTypesLoadedAt < OBJECT_TYPES_TTL) {
+            return this.objectTypes;
+        }
+
+        try {
+            const response = await axios.get(`${this.apiBaseUrl}/api/hubspot/schemas`, {
+                headers: { 'x-api-key': process.env.BANANA_API_KEY },
+                timeout: 5000
+            });
+            this.objectTypes = response.data.data.objectTypes.map(type => type.objectType);
+            this.objectTypesLoadedAt = Date.now();
+        } catch (error) {
+            logger.warn('🍌 Could not load HubSpot object types, offering the last known ones', { error: error.message });
+        }
+        return this.objectTypes;
+    }
+
+    // A tool's input schema with its objectType choices brought up to date
+    withObjectTypes(inputSchema, objectTypes) {
+        if (!inputSchema.properties?.objectType) return inputSchema;
+        return {
+            ...inputSchema,
+            properties: {
+                ...inputSchema.properties,
+                objectType: { ...inputSchema.properties.objectType, enum: objectTypes }
+            }
+        };
+    }
+
     /**
      * Handle official HubSpot MCP tools
      */
@@ -353,6 +395,7 @@ class HybridMCPServer {
             const response = await axios({
                 method: apiCall.method,
                 url: `${this.apiBaseUrl}${apiCall.path}`,
+                params: apiCall.params,
                 data: apiCall.data,
                 headers: {
                     'Authorization': `Bearer ${process.env.PRIVATE_APP_ACCESS_TOKEN}`,
@@ -408,12 +451,12 @@ class HybridMCPServer {
         const toolMappings = {
             'hubspot-list-objects': {
                 method: 'GET',
-                path: `/api/hubspot/${args.objectType}`,
-                params: { limit: args.limit, after: args.after }
+                path: `/api/hubspot/objects/${encodeURIComponent(args.objectType)}`,
+                params: { limit: args.limit, after: args.after, properties: args.properties?.join(',') }
             },
             'hubspot-search-objects': {
                 method: 'POST',
-                path: `/api/hubspot/search/${args.objectType}`,
+                path: `/api/hubspot/search/${encodeURIComponent(args.objectType)}`,
                 data: args
             },
             'hubspot-create-engagement': {
@@ -447,7 +490,8 @@ class HybridMCPServer {
             },
             'banana-search-cached': {
                 method: 'POST',
-                path: `/api/hubspot/search/${args.objectType}`,
+                path: `/api/hubspot/search/${encodeURIComponent(args.objectType)}`,
+                params: args.source === 'mirror' ? { source: 'mirror' } : undefined,
                 data: args
             },
             'banana-usage-analytics': {
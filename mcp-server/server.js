@@ -12,6 +12,18 @@ const axios = require('axios');
 const config = require('../shared/config');
 const logger = require('../shared/logger');
 
+// Lets read tools answer from the hub's local CRM mirror instead of HubSpot
+const SOURCE_PROPERTY = {
+    type: 'string',
+    enum: ['hubspot', 'mirror'],
+    description: 'Where to read from: hubspot (default) or the local CRM mirror, which answers instantly and works while HubSpot is down',
+    default: 'hubspot'
+};
+
+// Object types offered when the hub's schema list can't be reached
+const STANDARD_OBJECT_TYPES = ['contacts', 'companies', 'deals', 'tickets', 'products'];
+const OBJECT_TYPES_TTL = 5 * 60 * 1000;
+
 class HubSpotMCPServer {
     constructor() {
         this.server = new Server(
@@ -29,6 +41,8 @@ class HubSpotMCPServer {
 
         // Base URL for our API middleware
         this.apiBaseUrl = `http://localhost:${config.server.port}`;
+        this.objectTypes = null;
+        this.objectTypesLoadedAt = 0;
 
         this.setupHandlers();
     }
@@ -36,6 +50,16 @@ class HubSpotMCPServer {
     setupHandlers() {
         // List available tools
         this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+            const objectTypes = await this.getObjectTypes();
+            const custom = objectTypes.filter(type => type.custom);
+            const objectTypeProperty = {
+                type: 'string',
+                enum: objectTypes.map(type => type.objectType),
+                description: custom.length > 0
+                    ? `CRM object type. Custom objects: ${custom.map(type => `${type.objectType} (${type.labels?.plural || type.name})`).join(', ')}`
+                    : 'CRM object type'
+            };
+
             return {
                 tools: [
                     {
@@ -52,7 +76,8 @@ class HubSpotMCPServer {
                                 after: {
                                     type: 'string',
                                     description: 'Pagination cursor for getting next page of results'
-                                }
+                                },
+                                source: SOURCE_PROPERTY
                             }
                         }
                     },
@@ -134,7 +159,8 @@ class HubSpotMCPServer {
                                     description: 'Number of results to return (max 100)',
                                     default: 10,
                                     maximum: 100
-                                }
+                                },
+                                source: SOURCE_PROPERTY
                             }
                         }
                     },
@@ -170,7 +196,8 @@ class HubSpotMCPServer {
                                     type: 'number',
                                     default: 10,
                                     maximum: 100
-                                }
+                                },
+                                source: SOURCE_PROPERTY
                             }
                         }
                     },
@@ -206,10 +233,74 @@ class HubSpotMCPServer {
                                     type: 'number',
                                     default: 10,
                                     maximum: 100
-                                }
+                                },
+                                source: SOURCE_PROPERTY
                             }
                         }
                     },
+                    {
+                        name: 'search_hubspot_objects',
+                        description: 'Search records of any HubSpot object type, custom objects included',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                objectType: objectTypeProperty,
+                                query: {
+                                    type: 'string',
+                                    description: "Text to find in the object's searchable properties"
+                                },
+                                filters: {
+                                    type: 'array',
+                                    description: 'Filters that must all match; see describe_hubspot_object_type for property names',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            propertyName: { type: 'string' },
+                                            operator: { type: 'string' },
+                                            value: { type: 'string' }
+                                        }
+                                    }
+                                },
+                                properties: {
+                                    type: 'array',
+                                    items: { type: 'string' },
+                                    description: 'Properties to return'
+                                },
+                                limit: {
+                                    type: 'number',
+                                    default: 10,
+                                    maximum: 100
+                                }
+                            },
+                            required: ['objectType']
+                        }
+                    },
+                    {
+                        name: 'create_hubspot_object',
+                        description: 'Create a record of any HubSpot object type, custom objects included; properties are checked against the object\'s definitions',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                objectType: objectTypeProperty,
+                                properties: {
+                                    type: 'object',
+                                    description: 'Property values by property name'
+                                }
+                            },
+                            required: ['objectType', 'properties']
+                        }
+                    },
+                    {
+                        name: 'describe_hubspot_object_type',
+                        description: 'List the properties of a HubSpot object type, with their types, options and which are required',
+                        inputSchema: {
+                            type: 'object',
+                            properties: {
+                                objectType: objectTypeProperty
+                            },
+                            required: ['objectType']
+                        }
+                    },
                     {
                         name: 'hubspot_graphql_query',
                         description: 'Execute a GraphQL query against HubSpot CRM',
@@ -278,6 +369,15 @@ class HubSpotMCPServer {
                     case 'search_hubspot_deals':
                         return await this.searchHubSpotDeals(args);
 
+                    case 'search_hubspot_objects':
+                        return await this.searchHubSpotObjects(args);
+
+                    case 'create_hubspot_object':
+                        return await this.createHubSpotObject(args);
+
+                    case 'describe_hubspot_object_type':
+                        return await this.describeHubSpotObjectType(args);
+
                     case 'hubspot_graphql_query':
                         return await this.executeHubSpotGraphQL(args);
 
@@ -357,13 +457,33 @@ class HubSpotMCPServer {
         });
     }
 
+    // Object types from the hub's schema registry, custom objects included
+    async getObjectTypes() {
+        if (this.objectTypes && Date.now() - this.objectTypesLoadedAt < OBJECT_TYPES_TTL) {
+            return this.objectTypes;
+        }
+
+        try {
+            const response = await axios.get(`${this.apiBaseUrl}/api/hubspot/schemas`, { timeout: 5000 });
+            this.objectTypes = response.data.data.objectTypes;
+            this.objectTypesLoadedAt = Date.now();
+        } catch (error) {
+            logger.warn('Could not load HubSpot object types, offering the standard ones', { error: error.message });
+            if (!this.objectTypes) {
+                return STANDARD_OBJECT_TYPES.map(objectType => ({ objectType, custom: false }));
+            }
+        }
+        return this.objectTypes;
+    }
+
     // Tool implementations
     async getHubSpotContacts(args) {
-        const { limit = 10, after } = args;
+        const { limit = 10, after, source } = args;
 
         try {
             let url = `${this.apiBaseUrl}/api/hubspot/contacts?limit=${limit}`;
             if (after) url += `&after=${after}`;
+            if (source === 'mirror') url += '&source=mirror';
 
             const response = await axios.get(url);
 
@@ -459,7 +579,8 @@ class HubSpotMCPServer {
 
             const response = await axios.post(
                 `${this.apiBaseUrl}/api/hubspot/search/contacts`,
-                searchRequest
+                searchRequest,
+                { params: args.source === 'mirror' ? { source: 'mirror' } : {} }
             );
 
             return {
@@ -474,7 +595,78 @@ class HubSpotMCPServer {
             logger.error('Error searching HubSpot contacts:', error);
 
             // Fallback to simple GET if search API fails
-            return await this.getHubSpotContacts({ limit });
+            return await this.getHubSpotContacts({ limit, source: args.source });
+        }
+    }
+
+    async searchHubSpotObjects(args) {
+        const { objectType, query, filters = [], properties, limit = 10 } = args;
+
+        try {
+            const searchRequest = { limit };
+            if (query) searchRequest.query = query;
+            if (filters.length > 0) searchRequest.filterGroups = [{ filters }];
+            if (properties) searchRequest.properties = properties;
+
+            const response = await axios.post(
+                `${this.apiBaseUrl}/api/hubspot/search/${encodeURIComponent(objectType)}`,
+                searchRequest
+            );
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: JSON.stringify(response.data, null, 2)
+                    }
+                ]
+            };
+        } catch (error) {
+            logger.error(`Error searching HubSpot ${objectType}:`, error);
+            throw error;
+        }
+    }
+
+    async createHubSpotObject(args) {
+        const { objectType, properties } = args;
+
+        try {
+            const response = await axios.post(
+                `${this.apiBaseUrl}/api/hubspot/objects/${encodeURIComponent(objectType)}`,
+                { properties }
+            );
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: `Record created successfully: ${JSON.stringify(response.data, null, 2)}`
+                    }
+                ]
+            };
+        } catch (error) {
+            logger.error(`Error creating HubSpot ${objectType}:`, error);
+            // Property validation errors say which values to fix
+            const details = error.response?.data?.message;
+            throw details ? new Error(details) : error;
+        }
+    }
+
+    async describeHubSpotObjectType(args) {
+        try {
+            const response = await axios.get(`${this.apiBaseUrl}/api/hubspot/schemas/${encodeURIComponent(args.objectType)}`);
+
+            return {
+                content: [
+                    {
+                        type: 'text',
+                        text: JSON.stringify(response.data, null, 2)
+                    }
+                ]
+            };
+        } catch (error) {
+            logger.error(`Error describing HubSpot ${args.objectType}:`, error);
+            throw error;
         }
     }
 
@@ -513,7 +705,8 @@ class HubSpotMCPServer {
 
             const response = await axios.post(
                 `${this.apiBaseUrl}/api/hubspot/search/companies`,
-                searchRequest
+                searchRequest,
+                { params: args.source === 'mirror' ? { source: 'mirror' } : {} }
             );
 
             return {
@@ -565,7 +758,8 @@ class HubSpotMCPServer {
 
             const response = await axios.post(
                 `${this.apiBaseUrl}/api/hubspot/search/deals`,
-                searchRequest
+                searchRequest,
+                { params: args.source === 'mirror' ? { source: 'mirror' } : {} }
             );
 
             return {
@@ -59,15 +59,15 @@ class AdminAuthMiddleware {
     this.rateLimiter.delete(ip);
   }
 
-  // Authenticate admin request
-  async authenticate(req, res, next) {
+  /**
+   * Check the admin key a request carries
+   * @returns {Promise<Object>} The admin session opened for the request
+   * @throws {Error} With statusCode 503, 429 or 401, and retryAfter for lockouts
+   */
+  async verify(req) {
     // If admin is disabled, deny all admin requests
     if (this.adminDisabled) {
-      return res.status(503).json({
-        success: false,
-        error: 'Admin features are disabled - ADMIN_API_KEY not configured',
-        timestamp: new Date().toISOString()
-      });
+      throw Object.assign(new Error('Admin features are disabled - ADMIN_API_KEY not configured'), { statusCode: 503 });
     }
     
     const ip = req.ip || req.connection.remoteAddress;
@@ -75,11 +75,9 @@ class AdminAuthMiddleware {
     // Check rate limiting first
     if (this.isRateLimited(ip)) {
       logger.warn('Admin authentication blocked due to rate limiting', { ip });
-      return res.status(429).json({
-        success: false,
-        error: 'Too many failed authentication attempts. Please try again later.',
-        retryAfter: this.lockoutTime / 1000,
-        timestamp: new Date().toISOString()
+      throw Object.assign(new Error('Too many failed authentication attempts. Please try again later.'), {
+        statusCode: 429,
+        retryAfter: this.lockoutTime / 1000
       });
     }
 
@@ -89,19 +87,15 @@ class AdminAuthMiddleware {
     
     let providedKey = null;
     
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      providedKey = authHeader.substring(7);
-    } else if (apiKey) {
+    if (apiKey) {
       providedKey = apiKey;
+    } else if (authHeader && authHeader.startsWith('Bearer ')) {
+      providedKey = authHeader.substring(7);
     }
 
     if (!providedKey) {
       this.trackFailedAttempt(ip);
-      return res.status(401).json({
-        success: false,
-        error: 'Admin authentication required. Provide API key in Authorization header or x-admin-api-key header.',
-        timestamp: new Date().toISOString()
-      });
+      throw Object.assign(new Error('Admin authentication required. Provide API key in Authorization header or x-admin-api-key header.'), { statusCode: 401 });
     }
 
     // Use timing-safe comparison to prevent timing attacks
@@ -111,11 +105,7 @@ class AdminAuthMiddleware {
     if (expectedKey.length !== providedKeyBuffer.length || 
         !crypto.timingSafeEqual(expectedKey, providedKeyBuffer)) {
       this.trackFailedAttempt(ip);
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid admin API key',
-        timestamp: new Date().toISOString()
-      });
+      throw Object.assign(new Error('Invalid admin API key'), { statusCode: 401 });
     }
 
     // Authentication successful
@@ -129,14 +119,27 @@ class AdminAuthMiddleware {
       lastUsed: Date.now()
     });
 
-    // Add session info to request
-    req.adminSession = {
+    logger.info('Admin authentication successful', { ip });
+    return {
       token: sessionToken,
       ip,
       authenticated: true
     };
+  }
 
-    logger.info('Admin authentication successful', { ip, sessionToken });
+  // Authenticate admin request
+  async authenticate(req, res, next) {
+    try {
+      req.adminSession = await this.verify(req);
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.retryAfter && { retryAfter: error.retryAfter }),
+        timestamp: new Date().toISOString()
+      });
+    }
     next();
   }
 
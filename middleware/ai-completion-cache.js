@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../shared/logger');
+const { systemToText } = require('../shared/ollama-chat-translator');
+const { getOllamaHostPool } = require('../shared/ollama-host-pool');
+const { VectorIndex } = require('../shared/vector-index');
+
+/**
+ * 🍌 BANANA-POWERED AI COMPLETION CACHE 🍌
+ *
+ * Serves repeated AI requests without calling a provider:
+ * - Exact mode: keyed on the normalized request (model, system, messages,
+ *   temperature and the other generation settings)
+ * - Similarity mode (optional): embeds the conversation with an Ollama
+ *   embedding model and returns a cached answer whose conversation is
+ *   at least `similarityThreshold` cosine-similar
+ * - Only deterministic requests (temperature 0) are cached unless
+ *   `cacheAllTemperatures` is set
+ * - Entries are scoped to the calling API key by default
+ *
+ * Entries live in the shared IntelligentCache; the vector index keeps
+ * only embeddings and cache keys.
+ */
+class AICompletionCache {
+  constructor(options = {}) {
+    const env = process.env;
+
+    this.cache = options.intelligentCache;
+    this.enabled = options.enabled ?? env.AI_CACHE_ENABLED !== 'false';
+    this.ttl = options.ttl || parseInt(env.AI_CACHE_TTL) || 3600000; // 1 hour
+    this.cacheAllTemperatures = options.cacheAllTemperatures ?? env.AI_CACHE_ALL_TEMPERATURES === 'true';
+    // 'key' keeps each API key's answers to itself; 'global' shares them across keys
+    this.scope = options.scope || env.AI_CACHE_SCOPE || 'key';
+
+    this.similarity = {
+      enabled: options.similarity?.enabled ?? env.AI_CACHE_SIMILARITY === 'true',
+      threshold: options.similarity?.threshold || parseFloat(env.AI_CACHE_SIMILARITY_THRESHOLD) || 0.95,
+      embeddingModel: options.similarity?.embeddingModel || env.AI_CACHE_EMBEDDING_MODEL || 'nomic-embed-text',
+      timeout: options.similarity?.timeout || 10000
+    };
+    this.pool = options.pool || null;
+    this.index = new VectorIndex({ maxEntries: options.similarity?.maxEntries || 2000 });
+
+    this.stats = {
+      exactHits: 0,
+      semanticHits: 0,
+      misses: 0,
+      bypassed: 0,
+      stores: 0,
+      embeddingErrors: 0
+    };
+
+    if (!this.cache) {
+      this.enabled = false;
+      logger.warn('🍌 AI completion cache disabled: no cache store provided');
+      return;
+    }
+
+    logger.info('🍌 AI completion cache initialized', {
+      enabled: this.enabled,
+      ttl: this.ttl,
+      cacheAllTemperatures: this.cacheAllTemperatures,
+      scope: this.scope,
+      similarity: this.similarity
+    });
+  }
+
+  /**
+   * Describe a request for lookup and storage, or return null when it shouldn't be cached
+   * @param {Object} req - Express request (API key and Cache-Control header)
+   * @param {Array} messages - Anthropic messages
+   * @param {Object} options - Generation options as passed to the AI handler
+   */
+  prepare(req, messages, options = {}) {
+    if (!this.enabled) return null;
+
+    const cacheControl = (req.headers?.['cache-control'] || '').toLowerCase();
+    if (cacheControl.includes('no-store')) return null;
+    if (options.temperature !== 0 && !this.cacheAllTemperatures) return null;
+
+    const owner = this.scope === 'global' ? 'global' : hash(req.principal?.owner || 'anonymous');
+    const paramsKey = hash(JSON.stringify({
+      owner,
+      model: options.model,
+      temperature: options.temperature,
+      max_tokens: options.max_tokens,
+      stop_sequences: options.stop_sequences,
+      tools: options.tools,
+      tool_choice: options.tool_choice,
+      taskType: options.taskType,
+      forceClaude: options.forceClaude
+    }));
+    const conversation = {
+      system: normalizeText(systemToText(options.system)),
+      messages: (messages || []).map(normalizeMessage)
+    };
+
+    return {
+      key: `ai-completion:${hash(JSON.stringify({ paramsKey, conversation }))}`,
+      paramsKey,
+      text: conversationText(conversation),
+      // no-cache: skip the lookup but refresh the entry with the new answer
+      skipLookup: cacheControl.includes('no-cache'),
+      vector: null
+    };
+  }
+
+  /**
+   * Cached answer for a prepared request
+   * @returns {Promise<{message, provider, cachedAt, match, similarity}|null>}
+   */
+  async lookup(cacheRequest) {
+    if (cacheRequest.skipLookup) {
+      this.stats.bypassed++;
+      return null;
+    }
+
+    const exact = await this.cache.fetch(cacheRequest.key);
+    if (exact) {
+      this.stats.exactHits++;
+      return { ...exact, match: 'exact', similarity: 1 };
+    }
+
+    if (this.similarity.enabled) {
+      cacheRequest.vector = await this.embed(cacheRequest.text);
+
+      const nearest = cacheRequest.vector && this.index.nearest(cacheRequest.vector, {
+        threshold: this.similarity.threshold,
+        filter: metadata => metadata.paramsKey === cacheRequest.paramsKey
+      });
+
+      if (nearest) {
+        const entry = await this.cache.fetch(nearest.id);
+        if (entry) {
+          this.stats.semanticHits++;
+          return { ...entry, match: 'semantic', similarity: Number(nearest.score.toFixed(4)) };
+        }
+        // The answer expired or was evicted from the cache store
+        this.index.remove(nearest.id);
+      }
+    }
+
+    this.stats.misses++;
+    return null;
+  }
+
+  // Cache a complete answer for a prepared request
+  async store(cacheRequest, message, meta = {}) {
+    if (!message) return;
+
+    this.cache.set(cacheRequest.key, {
+      message,
+      provider: meta.provider,
+      cachedAt: new Date().toISOString()
+    }, this.ttl);
+    this.stats.stores++;
+
+    if (this.similarity.enabled) {
+      const vector = cacheRequest.vector || await this.embed(cacheRequest.text);
+      if (vector) {
+        this.index.add(cacheRequest.key, vector, { paramsKey: cacheRequest.paramsKey });
+      }
+    }
+  }
+
+  // Embed text with Ollama; null when embeddings are unavailable so the cache degrades to exact mode
+  async embed(text) {
+    const { embeddingModel, timeout } = this.similarity;
+
+    try {
+      const pool = this.pool || getOllamaHostPool();
+      const response = await pool.run(embeddingModel, url => axios.post(`${url}/api/embed`, {
+        model: embeddingModel,
+        input: text
+      }, { timeout }));
+
+      return response.data.embeddings?.[0] || null;
+    } catch (error) {
+      this.stats.embeddingErrors++;
+      logger.warn('🍌 AI cache embedding failed, using exact matching only', {
+        model: embeddingModel,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  clear() {
+    const cleared = this.cache ? this.cache.getKeys('^ai-completion:').filter(key => this.cache.delete(key)).length : 0;
+    this.index.clear();
+    return cleared;
+  }
+
+  getStats() {
+    const hits = this.stats.exactHits + this.stats.semanticHits;
+    const lookups = hits + this.stats.misses;
+
+    return {
+      enabled: this.enabled,
+      scope: this.scope,
+      ttl: this.ttl,
+      cacheAllTemperatures: this.cacheAllTemperatures,
+      similarity: { ...this.similarity, indexedEntries: this.index.size },
+      ...this.stats,
+      hitRate: lookups > 0 ? ((hits / lookups) * 100).toFixed(2) + '%' : '0.00%'
+    };
+  }
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Whitespace differences don't change what is being asked
+function normalizeText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function normalizeMessage(message) {
+  const blocks = typeof message.content === 'string' ?
+    [{ type: 'text', text: message.content }] :
+    message.content || [];
+
+  return {
+    role: message.role,
+    content: blocks.map(block => block.type === 'text' ? { type: 'text', text: normalizeText(block.text) } : block)
+  };
+}
+
+// Conversation as plain text for embedding
+function conversationText(conversation) {
+  const lines = conversation.system ? [`system: ${conversation.system}`] : [];
+
+  for (const message of conversation.messages) {
+    const text = message.content.filter(block => block.type === 'text').map(block => block.text).join(' ');
+    if (text) {
+      lines.push(`${message.role}: ${text}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = AICompletionCache;
@@ -1,16 +1,29 @@
-const axios = require('axios');
 const logger = require('../shared/logger');
-const { performance } = require('perf_hooks');
+const ProviderRegistry = require('../providers/provider-registry');
+const AIRoutingPolicy = require('./ai-routing-policy');
+const { hasActiveTools, extractMessageText, estimateTokens } = require('../providers/base-provider');
 
+/**
+ * 🍌 BANANA-POWERED AI FALLBACK HANDLER 🍌
+ *
+ * Routes AI requests across an ordered chain of providers (Ollama,
+ * Anthropic, OpenAI-compatible servers...). Standard requests go to the
+ * first usable provider, specialized ones to a premium provider, and
+ * failures fall through the chain. Whether a request is specialized is
+ * decided by keyword heuristics or by a routing policy learned from
+ * request outcomes (see AIRoutingPolicy).
+ */
 class AIFallbackHandler {
   constructor(options = {}) {
-    this.anthropicApiKey = options.anthropicApiKey || process.env.ANTHROPIC_API_KEY;
-    this.ollamaBaseUrl = options.ollamaBaseUrl || 'http://localhost:11434';
-    this.defaultModel = options.defaultModel || 'llama3.2:latest';
-    this.primaryProvider = options.primaryProvider || 'ollama'; // Default to Ollama
     this.enableFallback = options.enableFallback !== false;
     this.maxRetries = options.maxRetries || 2;
     this.retryDelay = options.retryDelay || 1000;
+    this.streamStallTimeout = options.streamStallTimeout || 20000; // Max gap between stream events
+    
+    this.registry = new ProviderRegistry();
+    for (const config of this.getProviderConfigs(options)) {
+      this.registry.register(ProviderRegistry.create(config));
+    }
     
     // Specialized tasks that should use Claude
     this.claudeSpecializedTasks = new Set([
@@ -37,353 +50,583 @@ class AIFallbackHandler {
       'comprehensive analysis'
     ]);
     
-    // Provider status tracking
-    this.providerStatus = {
-      anthropic: {
-        available: true,
-        lastFailure: null,
-        failureCount: 0,
-        outOfCredits: false,
-        lastSuccessfulCall: Date.now()
-      },
-      ollama: {
-        available: false,
-        lastFailure: null,
-        failureCount: 0,
-        models: [],
-        lastSuccessfulCall: null
-      }
+    // Learns from request outcomes; routes only in learned mode
+    this.routingPolicy = options.routingPolicy || new AIRoutingPolicy(options.routing);
+    
+    // Statistics; per-provider counters live on the providers themselves
+    this.stats = this.createStats();
+    
+    // Check which providers are reachable
+    this.initializeProviders();
+    
+    logger.info('🍌 AI Fallback Handler initialized', {
+      routingChain: this.registry.names(),
+      providers: this.registry.list().map(provider => ({
+        name: provider.name,
+        type: provider.type,
+        defaultModel: provider.defaultModel
+      })),
+      enableFallback: this.enableFallback,
+      routingMode: this.routingPolicy.mode
+    });
+  }
+
+  /**
+   * Provider configs in routing order. Uses `options.providers` or AI_PROVIDERS
+   * when set; otherwise builds the classic Ollama + Anthropic pair from the
+   * legacy options, with `primaryProvider` first.
+   */
+  getProviderConfigs(options = {}) {
+    const configs = options.providers || ProviderRegistry.configsFromEnv();
+    if (configs) {
+      return configs;
+    }
+    
+    const ollama = {
+      name: 'ollama',
+      type: 'ollama',
+      baseUrl: options.ollamaBaseUrl,
+      defaultModel: options.defaultModel,
+      apiMode: options.ollamaApiMode,
+      toolEmulation: options.toolEmulation
+    };
+    const anthropic = {
+      name: 'anthropic',
+      type: 'anthropic',
+      apiKey: options.anthropicApiKey
     };
     
-    // Statistics
-    this.stats = {
+    return options.primaryProvider === 'anthropic' ? [anthropic, ollama] : [ollama, anthropic];
+  }
+
+  createStats() {
+    return {
       totalRequests: 0,
-      anthropicRequests: 0,
-      ollamaRequests: 0,
+      streamingRequests: 0,
       fallbackTriggers: 0,
+      midStreamFailovers: 0,
       specializedTasksToAnthropic: 0,
       keywordTriggeredRequests: 0,
-      errorsByProvider: new Map(),
-      avgResponseTimes: {
-        anthropic: 0,
-        ollama: 0
-      },
-      creditsExhausted: false,
-      lastCreditCheck: null,
       costSavings: {
-        totalOllamaRequests: 0,
+        totalLocalRequests: 0,
         estimatedClaudeCostSaved: 0
       }
     };
+  }
+
+  getProvider(name) {
+    return this.registry.get(name);
+  }
+
+  // Primary provider is the head of the routing chain
+  get primaryProvider() {
+    return this.registry.names()[0];
+  }
+
+  // Check every provider's health and model list
+  async initializeProviders() {
+    const results = await Promise.all(this.registry.list().map(async provider => {
+      try {
+        return [provider.name, await provider.checkHealth()];
+      } catch (error) {
+        logger.warn('🍌 AI provider health check failed', { provider: provider.name, error: error.message });
+        return [provider.name, false];
+      }
+    }));
     
-    // Initialize Ollama connection
-    this.initializeOllama();
-    
-    logger.info('🍌 AI Fallback Handler initialized', {
-      ollamaBaseUrl: this.ollamaBaseUrl,
-      defaultModel: this.defaultModel,
-      enableFallback: this.enableFallback,
-      anthropicConfigured: !!this.anthropicApiKey
-    });
+    return Object.fromEntries(results);
   }
 
-  // Initialize Ollama connection and check available models
-  async initializeOllama() {
-    try {
-      // Check if Ollama is running
-      const response = await axios.get(`${this.ollamaBaseUrl}/api/tags`, {
-        timeout: 5000
-      });
+  // Main method to handle AI requests with smart routing
+  async processAIRequest(messages, options = {}) {
+    this.stats.totalRequests++;
+    
+    const { provider: preferredProvider, reason: routingReason, routingId } = await this.routeRequest(messages, options);
+    
+    logger.info('🍌 Processing AI request with smart routing', {
+      provider: preferredProvider,
+      reason: routingReason,
+      usableProviders: this.getCandidates(options).map(provider => provider.name),
+      messageCount: Array.isArray(messages) ? messages.length : 1,
+      taskType: options.taskType,
+      forceClaude: options.forceClaude
+    });
+    
+    const tried = new Set();
+    const errors = [];
+    let provider = this.registry.get(preferredProvider);
+    
+    while (provider) {
+      tried.add(provider.name);
       
-      if (response.status === 200) {
-        this.providerStatus.ollama.available = true;
-        this.providerStatus.ollama.models = response.data.models || [];
-        this.providerStatus.ollama.lastSuccessfulCall = Date.now();
-        
-        logger.info('🍌 Ollama connection successful', {
-          modelsAvailable: this.providerStatus.ollama.models.length,
-          models: this.providerStatus.ollama.models.map(m => m.name)
+      try {
+        const result = await provider.call(messages, options);
+        result.routingReason = routingReason;
+        result.routingId = routingId;
+        this.recordRoutingOutcome(routingId, {
+          provider: provider.name,
+          failed: errors.map(({ provider }) => provider),
+          responseTime: result.responseTime
         });
+        if (provider.name !== preferredProvider) {
+          result.fallbackUsed = true;
+          result.originalProvider = preferredProvider;
+        }
+        if (provider.isFree()) {
+          result.costSavingMode = true;
+          this.recordCostSavings(result.response.usage);
+        }
+        return result;
+      } catch (error) {
+        errors.push({ provider: provider.name, error });
+        provider = this.getFallbackProvider(tried, options);
         
-        // Check if default model is available
-        const hasDefaultModel = this.providerStatus.ollama.models.some(
-          model => model.name === this.defaultModel
-        );
+        logger.warn('🍌 AI provider request failed', {
+          provider: errors[errors.length - 1].provider,
+          error: error.message,
+          routingReason,
+          nextProvider: provider ? provider.name : null
+        });
         
-        if (!hasDefaultModel && this.providerStatus.ollama.models.length > 0) {
-          this.defaultModel = this.providerStatus.ollama.models[0].name;
-          logger.info('🍌 Default model not found, using first available', {
-            newDefaultModel: this.defaultModel
-          });
+        if (provider) {
+          this.stats.fallbackTriggers++;
         }
       }
-    } catch (error) {
-      this.providerStatus.ollama.available = false;
-      this.providerStatus.ollama.lastFailure = Date.now();
-      this.providerStatus.ollama.failureCount++;
-      
-      logger.warn('🍌 Ollama connection failed', {
-        error: error.message,
-        ollamaUrl: this.ollamaBaseUrl,
-        suggestion: 'Make sure Ollama is running on your Mac Mini'
-      });
     }
-  }
-
-  // Check if error indicates credit exhaustion
-  isCreditExhaustedError(error) {
-    const errorMessage = error.message?.toLowerCase() || '';
-    const errorData = error.response?.data?.error?.message?.toLowerCase() || '';
     
-    const creditKeywords = [
-      'credit balance is too low',
-      'insufficient credits',
-      'credits exhausted',
-      'billing',
-      'payment required',
-      'quota exceeded'
-    ];
+    this.recordRoutingOutcome(routingId, {
+      failed: errors.map(({ provider }) => provider),
+      error: errors[errors.length - 1].error
+    });
     
-    return creditKeywords.some(keyword => 
-      errorMessage.includes(keyword) || errorData.includes(keyword)
-    );
+    if (errors.length === 1) {
+      throw errors[0].error;
+    }
+    
+    logger.error('🍌 All AI providers failed', {
+      errors: errors.map(({ provider, error }) => ({ provider, error: error.message })),
+      routingReason
+    });
+    throw new Error(`All providers failed. ${errors.map(({ provider, error }) => `${provider}: ${error.message}`).join(', ')}`);
   }
 
-  // Make request to Anthropic
-  async callAnthropic(messages, options = {}) {
-    const startTime = performance.now();
+  // Streaming variant of processAIRequest. Resolves once the chosen provider has
+  // produced its first event, so a provider that fails up front still falls back.
+  // Failures after that point are handled by continueStreamOnFailure.
+  async processAIRequestStream(messages, options = {}) {
+    this.stats.totalRequests++;
+    this.stats.streamingRequests++;
     
-    try {
-      const requestData = {
-        model: options.model || 'claude-3-haiku-20240307',
-        max_tokens: options.max_tokens || 1000,
-        messages: messages,
-        ...options
-      };
-      
-      const response = await axios.post('https://api.anthropic.com/v1/messages', requestData, {
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': this.anthropicApiKey,
-          'anthropic-version': '2023-06-01'
-        },
-        timeout: 30000
-      });
-      
-      // Update success metrics
-      const responseTime = performance.now() - startTime;
-      this.updateProviderStats('anthropic', true, responseTime);
-      
-      return {
-        provider: 'anthropic',
-        response: response.data,
-        responseTime
-      };
-      
-    } catch (error) {
-      const responseTime = performance.now() - startTime;
+    const startTime = Date.now();
+    const { provider: preferredProvider, reason: routingReason, routingId } = await this.routeRequest(messages, options);
+    
+    logger.info('🍌 Processing streaming AI request with smart routing', {
+      provider: preferredProvider,
+      reason: routingReason,
+      messageCount: Array.isArray(messages) ? messages.length : 1
+    });
+    
+    const tried = new Set();
+    const errors = [];
+    let provider = this.registry.get(preferredProvider);
+    let result;
+    
+    while (provider && !result) {
+      tried.add(provider.name);
       
-      // Check if it's a credit exhaustion error
-      if (this.isCreditExhaustedError(error)) {
-        this.providerStatus.anthropic.outOfCredits = true;
-        this.stats.creditsExhausted = true;
-        this.stats.lastCreditCheck = Date.now();
+      try {
+        result = await this.openProviderStream(provider.name, messages, options);
+      } catch (error) {
+        errors.push({ provider: provider.name, error });
+        provider = options.signal?.aborted ? null : this.getFallbackProvider(tried, options);
         
-        logger.error('🍌 Anthropic credits exhausted, enabling fallback', {
+        logger.warn('🍌 Streaming request failed before first event, trying fallback', {
+          provider: errors[errors.length - 1].provider,
           error: error.message,
-          timestamp: new Date().toISOString()
+          routingReason,
+          nextProvider: provider ? provider.name : null
         });
+        
+        if (provider) {
+          this.stats.fallbackTriggers++;
+        }
       }
+    }
+    
+    if (!result) {
+      this.recordRoutingOutcome(routingId, {
+        failed: errors.map(({ provider }) => provider),
+        error: errors[errors.length - 1].error,
+        aborted: options.signal?.aborted
+      });
       
-      this.updateProviderStats('anthropic', false, responseTime);
-      throw error;
+      if (errors.length === 1) {
+        throw errors[0].error;
+      }
+      
+      logger.error('🍌 All AI providers failed to stream', {
+        errors: errors.map(({ provider, error }) => ({ provider, error: error.message })),
+        routingReason
+      });
+      throw new Error(`All providers failed. ${errors.map(({ provider, error }) => `${provider}: ${error.message}`).join(', ')}`);
+    }
+    
+    if (result.provider !== preferredProvider) {
+      result.fallbackUsed = true;
+      result.originalProvider = preferredProvider;
     }
+    if (this.registry.get(result.provider).isFree()) {
+      result.costSavingMode = true;
+    }
+    
+    result.routingReason = routingReason;
+    result.routingId = routingId;
+    result.events = this.continueStreamOnFailure({ ...result }, result, messages, options, {
+      routingId,
+      startTime,
+      failed: errors.map(({ provider }) => provider)
+    });
+    return result;
   }
 
-  // Make request to Ollama
-  async callOllama(messages, options = {}) {
-    const startTime = performance.now();
+  // Resolve provider capabilities, pick a provider, count specialized routing
+  // and record the decision for the routing policy
+  async routeRequest(messages, options = {}) {
+    await Promise.all(this.registry.list().map(provider => provider.prepare(options)));
+    const specialization = this.needsClaudeSpecialization(messages, options);
+    const routing = this.determineProvider(messages, options, specialization);
     
+    if (routing.reason.includes('specialized_task') || routing.reason.includes('keyword_trigger') ||
+        routing.reason.includes('high_complexity') || routing.reason.includes('learned_routing')) {
+      this.stats.specializedTasksToAnthropic++;
+    }
+    if (routing.reason.includes('keyword_trigger')) {
+      this.stats.keywordTriggeredRequests++;
+    }
+    
+    routing.routingId = this.routingPolicy.track(specialization, {
+      provider: routing.provider,
+      local: this.isLocalProvider(routing.provider)
+    });
+    
+    return routing;
+  }
+
+  // Local providers are the ones without the specialized capability (Ollama, OpenAI-compatible servers)
+  isLocalProvider(name) {
+    const provider = this.registry.get(name);
+    return Boolean(provider) && !provider.capabilities.specialized;
+  }
+
+  // Tell the routing policy how a routed request went
+  recordRoutingOutcome(routingId, { provider = null, failed = [], responseTime = null, error = null, aborted = false }) {
+    this.routingPolicy.recordOutcome(routingId, {
+      servedBy: provider,
+      servedLocally: provider ? this.isLocalProvider(provider) : false,
+      localFailed: failed.some(name => this.isLocalProvider(name)),
+      responseTime,
+      error: error?.message || error,
+      aborted
+    });
+  }
+
+  // Record client feedback on a routed request
+  recordRoutingFeedback(routingId, feedback) {
+    return this.routingPolicy.recordFeedback(routingId, feedback);
+  }
+
+  getRoutingReport() {
+    return this.routingPolicy.getReport();
+  }
+
+  // Start a provider stream and wait for its first event
+  async openProviderStream(providerName, messages, options = {}) {
+    // Each provider stream gets its own abort handle so a stalled upstream can be
+    // torn down without cancelling the client's request
+    const abortController = new AbortController();
+    const onClientAbort = () => abortController.abort();
+    options.signal?.addEventListener('abort', onClientAbort, { once: true });
+    
+    const provider = this.registry.get(providerName);
+    const source = provider.stream(messages, { ...options, signal: abortController.signal });
+    
+    let first;
     try {
-      // Convert messages to Ollama format
-      const prompt = this.convertMessagesToPrompt(messages);
-      
-      const requestData = {
-        model: options.model || this.defaultModel,
-        prompt: prompt,
-        stream: false,
-        options: {
-          temperature: options.temperature || 0.7,
-          max_tokens: options.max_tokens || 1000,
-          top_p: options.top_p || 0.9
-        }
-      };
-      
-      const response = await axios.post(`${this.ollamaBaseUrl}/api/generate`, requestData, {
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        timeout: 60000 // Ollama can be slower
-      });
-      
-      // Update success metrics
-      const responseTime = performance.now() - startTime;
-      this.updateProviderStats('ollama', true, responseTime);
-      
-      // Convert response to Anthropic-like format
-      const convertedResponse = {
-        content: [{
-          type: 'text',
-          text: response.data.response
-        }],
-        model: response.data.model,
-        usage: {
-          input_tokens: this.estimateTokens(prompt),
-          output_tokens: this.estimateTokens(response.data.response)
-        }
-      };
-      
-      return {
-        provider: 'ollama',
-        response: convertedResponse,
-        responseTime
-      };
-      
+      first = await source.next();
     } catch (error) {
-      const responseTime = performance.now() - startTime;
-      this.updateProviderStats('ollama', false, responseTime);
+      options.signal?.removeEventListener('abort', onClientAbort);
       throw error;
     }
-  }
-
-  // Convert Anthropic message format to simple prompt
-  convertMessagesToPrompt(messages) {
-    if (!Array.isArray(messages)) {
-      return String(messages);
+    
+    async function* events() {
+      try {
+        if (first.done) return;
+        yield first.value;
+        yield* source;
+      } finally {
+        options.signal?.removeEventListener('abort', onClientAbort);
+      }
     }
     
-    return messages.map(msg => {
-      const role = msg.role === 'assistant' ? 'Assistant' : 'Human';
-      const content = typeof msg.content === 'string' ? msg.content : 
-        msg.content?.map(c => c.text || c.content || '').join(' ') || '';
-      return `${role}: ${content}`;
-    }).join('\n\n');
+    return {
+      provider: providerName,
+      events: events(),
+      abort: () => abortController.abort()
+    };
   }
 
-  // Estimate token count (rough approximation)
-  estimateTokens(text) {
-    return Math.ceil((text || '').length / 4);
+  // Relay a stream with failover and leave its total usage and cost on `result`.
+  // `primary` is the opened stream; `result` is the caller-facing object updated at the seam.
+  // `routing` carries the routing ID, start time and providers that already failed.
+  async *continueStreamOnFailure(primary, result, messages, options = {}, routing = {}) {
+    const progress = {
+      text: '',
+      blockIndex: -1,
+      blockOpen: false,
+      hasToolUse: false,
+      completed: false,
+      model: null,
+      usage: { input_tokens: 0, output_tokens: 0 },
+      // Usage and cost of providers already left behind by a failover
+      spent: { input_tokens: 0, output_tokens: 0, cost: 0 }
+    };
+    
+    try {
+      yield* this.relayStream(primary, result, messages, options, progress);
+    } finally {
+      // Partial streams cost tokens too, so usage is settled however the stream ends
+      this.settleStreamUsage(result, progress);
+      if (progress.completed) {
+        this.recordStreamCompletion(result);
+      }
+      
+      const failed = new Set(routing.failed);
+      if (result.resumedAt !== undefined) failed.add(result.originalProvider);
+      if (!progress.completed) failed.add(result.provider);
+      this.recordRoutingOutcome(routing.routingId, {
+        provider: progress.completed ? result.provider : null,
+        failed: [...failed],
+        responseTime: routing.startTime ? Date.now() - routing.startTime : null,
+        error: progress.completed ? null : 'Stream ended before message_stop',
+        aborted: options.signal?.aborted
+      });
+    }
   }
 
-  // Main method to handle AI requests with smart routing
-  async processAIRequest(messages, options = {}) {
-    this.stats.totalRequests++;
+  // Relay a provider stream; if it stalls, errors or ends early, resume on the next
+  // provider in the chain by replaying the conversation with the partial answer as a prefill.
+  async *relayStream(primary, result, messages, options, progress) {
+    let failure = null;
     
-    const routing = this.determineProvider(messages, options);
-    const preferredProvider = routing.provider;
-    const routingReason = routing.reason;
+    try {
+      for await (const event of this.watchStream(primary)) {
+        this.trackStreamUsage(progress, event);
+        this.trackStreamProgress(progress, event);
+        yield event;
+      }
+    } catch (error) {
+      failure = error;
+    }
     
-    // Track specialized routing
-    if (routingReason.includes('specialized_task') || routingReason.includes('keyword_trigger') || routingReason.includes('high_complexity')) {
-      this.stats.specializedTasksToAnthropic++;
+    if (progress.completed) {
+      return;
     }
-    if (routingReason.includes('keyword_trigger')) {
-      this.stats.keywordTriggeredRequests++;
+    failure = failure || new Error(`${result.provider} stream ended before message_stop`);
+    
+    const tried = new Set([result.provider, result.originalProvider].filter(Boolean));
+    // A half-emitted tool call can't be continued by another model, so only text streams resume
+    const resumeProvider = !result.fallbackUsed && !progress.hasToolUse && !options.signal?.aborted ?
+      this.getFallbackProvider(tried, options) : null;
+    
+    logger.warn('🍌 Provider stream broke mid-response', {
+      provider: result.provider,
+      error: failure.message,
+      partialLength: progress.text.length,
+      resumeProvider: resumeProvider ? resumeProvider.name : null
+    });
+    
+    if (!resumeProvider) {
+      throw failure;
     }
     
-    logger.info('🍌 Processing AI request with smart routing', {
-      provider: preferredProvider,
-      reason: routingReason,
-      anthropicAvailable: this.providerStatus.anthropic.available && !this.providerStatus.anthropic.outOfCredits,
-      ollamaAvailable: this.providerStatus.ollama.available,
-      messageCount: Array.isArray(messages) ? messages.length : 1,
-      taskType: options.taskType,
-      forceClaude: options.forceClaude
+    this.stats.fallbackTriggers++;
+    this.stats.midStreamFailovers++;
+    
+    const continuation = this.buildContinuationMessages(messages, progress.text);
+    const resumed = await this.openProviderStream(resumeProvider.name, continuation, options);
+    this.closeUsageSegment(progress, result.provider);
+    
+    Object.assign(result, {
+      fallbackUsed: true,
+      originalProvider: result.provider,
+      provider: resumeProvider.name,
+      resumedAt: progress.text.length,
+      failoverReason: failure.message
     });
     
-    // Try primary provider first
-    if (preferredProvider === 'anthropic') {
-      try {
-        this.stats.anthropicRequests++;
-        const result = await this.callAnthropic(messages, options);
-        result.routingReason = routingReason;
-        return result;
-      } catch (error) {
-        logger.warn('🍌 Claude request failed, trying Ollama fallback', {
-          error: error.message,
-          routingReason,
-          willFallback: this.enableFallback && this.providerStatus.ollama.available
-        });
-        
-        // Try fallback if enabled and available
-        if (this.enableFallback && this.providerStatus.ollama.available) {
-          this.stats.fallbackTriggers++;
-          this.stats.ollamaRequests++;
-          
-          try {
-            const result = await this.callOllama(messages, options);
-            result.fallbackUsed = true;
-            result.originalProvider = 'anthropic';
-            result.routingReason = routingReason;
-            return result;
-          } catch (fallbackError) {
-            logger.error('🍌 Both providers failed', {
-              claudeError: error.message,
-              ollamaError: fallbackError.message,
-              routingReason
-            });
-            throw new Error(`Both providers failed. Claude: ${error.message}, Ollama: ${fallbackError.message}`);
-          }
-        }
-        
-        throw error;
+    for await (const event of this.watchStream(resumed)) {
+      this.trackStreamUsage(progress, event);
+      const translated = this.translateResumedEvent(progress, event, result);
+      if (translated) {
+        this.trackStreamProgress(progress, translated);
+        yield translated;
       }
-    } else {
-      // Use Ollama as primary
-      try {
-        this.stats.ollamaRequests++;
-        this.stats.costSavings.totalOllamaRequests++;
-        // Estimate cost saved (rough estimate: $0.003 per 1K tokens)
-        const estimatedTokens = this.estimateTokens(this.extractContentFromMessages(messages));
-        this.stats.costSavings.estimatedClaudeCostSaved += (estimatedTokens / 1000) * 0.003;
+    }
+    
+    if (!progress.completed) {
+      throw new Error(`${resumeProvider.name} stream ended before message_stop`);
+    }
+  }
+
+  recordStreamCompletion(result) {
+    if (this.registry.get(result.provider).isFree()) {
+      this.recordCostSavings(result.usage);
+    }
+  }
+
+  // Fold the current provider's usage and cost into the request totals
+  closeUsageSegment(progress, providerName) {
+    const provider = this.registry.get(providerName);
+    progress.spent.input_tokens += progress.usage.input_tokens;
+    progress.spent.output_tokens += progress.usage.output_tokens;
+    progress.spent.cost += provider.estimateCost(progress.usage, provider.resolveModel(progress.model));
+    progress.usage = { input_tokens: 0, output_tokens: 0 };
+    progress.model = null;
+  }
+
+  // Expose the stream's total usage and cost on the caller-facing result
+  settleStreamUsage(result, progress) {
+    result.model = progress.model || result.model;
+    this.closeUsageSegment(progress, result.provider);
+    result.usage = {
+      input_tokens: progress.spent.input_tokens,
+      output_tokens: progress.spent.output_tokens
+    };
+    result.cost = progress.spent.cost;
+  }
+
+  // Iterate a provider stream, failing if no event arrives within the stall timeout
+  async *watchStream(streamResult) {
+    const iterator = streamResult.events[Symbol.asyncIterator]();
+    let finished = false;
+    
+    try {
+      while (true) {
+        const pending = iterator.next();
+        pending.catch(() => {}); // Rejection surfaces through the race below
         
-        const result = await this.callOllama(messages, options);
-        result.routingReason = routingReason;
-        result.costSavingMode = true;
-        return result;
-      } catch (error) {
-        logger.warn('🍌 Ollama request failed, trying Claude fallback', {
-          error: error.message,
-          routingReason,
-          willFallback: !this.providerStatus.anthropic.outOfCredits && this.providerStatus.anthropic.available
+        let stallTimer;
+        const stalled = new Promise((resolve, reject) => {
+          stallTimer = setTimeout(() => {
+            reject(new Error(`No stream activity from ${streamResult.provider} for ${this.streamStallTimeout}ms`));
+          }, this.streamStallTimeout);
         });
         
-        // Try Claude if available and has credits
-        if (!this.providerStatus.anthropic.outOfCredits && this.providerStatus.anthropic.available) {
-          this.stats.fallbackTriggers++;
-          this.stats.anthropicRequests++;
-          
-          try {
-            const result = await this.callAnthropic(messages, options);
-            result.fallbackUsed = true;
-            result.originalProvider = 'ollama';
-            result.routingReason = routingReason;
-            return result;
-          } catch (fallbackError) {
-            logger.error('🍌 Both providers failed', {
-              ollamaError: error.message,
-              claudeError: fallbackError.message,
-              routingReason
-            });
-            throw new Error(`Both providers failed. Ollama: ${error.message}, Claude: ${fallbackError.message}`);
-          }
+        let next;
+        try {
+          next = await Promise.race([pending, stalled]);
+        } finally {
+          clearTimeout(stallTimer);
         }
         
-        throw error;
+        if (next.done) {
+          finished = true;
+          return;
+        }
+        yield next.value;
+      }
+    } finally {
+      if (!finished) {
+        streamResult.abort();
       }
     }
   }
 
+  // Keep track of emitted text, content blocks and usage for a possible resume
+  trackStreamProgress(progress, event) {
+    switch (event.type) {
+      case 'content_block_start':
+        progress.blockIndex = event.index;
+        progress.blockOpen = true;
+        if (event.content_block?.type === 'tool_use') {
+          progress.hasToolUse = true;
+        }
+        break;
+      case 'content_block_delta':
+        if (event.delta?.type === 'text_delta') {
+          progress.text += event.delta.text;
+        }
+        break;
+      case 'content_block_stop':
+        progress.blockOpen = false;
+        break;
+      case 'message_stop':
+        progress.completed = true;
+        break;
+    }
+  }
+
+  // Token usage of the current provider, read from its raw events
+  trackStreamUsage(progress, event) {
+    if (event.type === 'message_start') {
+      progress.usage.input_tokens = event.message?.usage?.input_tokens || 0;
+      progress.model = event.message?.model || progress.model;
+    } else if (event.type === 'message_delta') {
+      progress.usage.input_tokens = event.usage?.input_tokens || progress.usage.input_tokens;
+      progress.usage.output_tokens = event.usage?.output_tokens || progress.usage.output_tokens;
+    }
+  }
+
+  // Splice the resumed provider's events onto the stream the client already has
+  translateResumedEvent(progress, event, result) {
+    switch (event.type) {
+      case 'message_start':
+      case 'ping':
+        return null;
+      case 'content_block_start':
+        // Continue inside the block that was interrupted
+        if (progress.blockOpen) return null;
+        return { ...event, index: progress.blockIndex + 1 };
+      case 'content_block_delta':
+      case 'content_block_stop':
+        return { ...event, index: progress.blockOpen ? progress.blockIndex : progress.blockIndex + 1 };
+      case 'message_delta':
+        return {
+          ...event,
+          metadata: {
+            provider: result.provider,
+            originalProvider: result.originalProvider,
+            fallbackUsed: true,
+            resumedAt: result.resumedAt
+          }
+        };
+      default:
+        return event;
+    }
+  }
+
+  // Replay the conversation with the partial answer as an assistant prefill
+  buildContinuationMessages(messages, partialText) {
+    // Anthropic rejects prefills that end in whitespace
+    const prefill = partialText.trimEnd();
+    if (!prefill) return messages;
+    
+    return [...messages, { role: 'assistant', content: prefill }];
+  }
+
+  // Usable providers that can serve this request, in routing order
+  getCandidates(options = {}) {
+    return this.registry.list().filter(provider => provider.isUsable() && provider.canHandle(options));
+  }
+
+  // Next provider to try after the ones in `tried`, or null when fallback is off or exhausted
+  getFallbackProvider(tried, options = {}) {
+    if (!this.enableFallback) {
+      return null;
+    }
+    return this.getCandidates(options).find(provider => !tried.has(provider.name)) || null;
+  }
+
   // Analyze if request needs specialized Claude processing
   needsClaudeSpecialization(messages, options = {}) {
     // Check for explicit task type
@@ -396,25 +639,40 @@ class AIFallbackHandler {
       return { needed: true, reason: 'force_claude_requested' };
     }
     
-    // Analyze message content for complexity indicators
+    // Tool requests stay local unless no local provider can call or emulate tools
+    if (hasActiveTools(options) &&
+        !this.getCandidates(options).some(provider => !provider.capabilities.specialized)) {
+      return { needed: true, reason: 'tool_use_unsupported_locally' };
+    }
+    
+    // Everything else is up to the content: heuristics, or the learned policy in learned mode
     const content = this.extractContentFromMessages(messages);
+    const signals = this.analyzeContent(content);
+    const features = this.routingPolicy.extractFeatures(content, messages, options, signals);
+    
+    return this.routingPolicy.decide(features, this.heuristicSpecialization(signals));
+  }
+
+  // Heuristic signals in the message content; also features of the learned policy
+  analyzeContent(content) {
     const contentLower = content.toLowerCase();
     
-    // Check for trigger keywords
-    for (const keyword of this.claudeTriggerKeywords) {
-      if (contentLower.includes(keyword)) {
-        return { needed: true, reason: `keyword_trigger:${keyword}` };
-      }
+    return {
+      keyword: [...this.claudeTriggerKeywords].find(keyword => contentLower.includes(keyword)) || null,
+      complexityScore: this.calculateComplexityScore(content),
+      codeRelated: this.isCodeRelated(content)
+    };
+  }
+
+  // Keyword heuristics: trigger keywords, then complexity, then code
+  heuristicSpecialization(signals) {
+    if (signals.keyword) {
+      return { needed: true, reason: `keyword_trigger:${signals.keyword}` };
     }
-    
-    // Check for complexity indicators
-    const complexityScore = this.calculateComplexityScore(content);
-    if (complexityScore > 0.7) {
-      return { needed: true, reason: `high_complexity:${complexityScore.toFixed(2)}` };
+    if (signals.complexityScore > 0.7) {
+      return { needed: true, reason: `high_complexity:${signals.complexityScore.toFixed(2)}` };
     }
-    
-    // Check for code-related requests
-    if (this.isCodeRelated(content)) {
+    if (signals.codeRelated) {
       return { needed: true, reason: 'code_related_request' };
     }
     
@@ -423,19 +681,12 @@ class AIFallbackHandler {
 
   // Extract text content from messages
   extractContentFromMessages(messages) {
-    if (!Array.isArray(messages)) {
-      return String(messages);
-    }
-    
-    return messages.map(msg => {
-      if (typeof msg.content === 'string') {
-        return msg.content;
-      }
-      if (Array.isArray(msg.content)) {
-        return msg.content.map(c => c.text || c.content || '').join(' ');
-      }
-      return '';
-    }).join(' ');
+    return extractMessageText(messages);
+  }
+
+  // Estimate token count (rough approximation)
+  estimateTokens(text) {
+    return estimateTokens(text);
   }
 
   // Calculate complexity score based on content analysis
@@ -478,217 +729,198 @@ class AIFallbackHandler {
   }
 
   // Determine which provider to use with smart routing
-  determineProvider(messages, options = {}) {
-    // Check if this needs Claude specialization
-    const specialization = this.needsClaudeSpecialization(messages, options);
+  determineProvider(messages, options = {}, specialization = this.needsClaudeSpecialization(messages, options)) {
+    const candidates = this.getCandidates(options);
     
     if (specialization.needed) {
-      // Check if Claude is available and has credits
-      if (!this.providerStatus.anthropic.outOfCredits && this.providerStatus.anthropic.available) {
-        logger.info('🍌 Using Claude for specialized task', {
-          reason: specialization.reason,
-          hasCredits: !this.providerStatus.anthropic.outOfCredits
-        });
-        return { provider: 'anthropic', reason: specialization.reason };
-      } else {
-        logger.warn('🍌 Specialized task needs Claude but not available, using Ollama', {
-          reason: specialization.reason,
-          outOfCredits: this.providerStatus.anthropic.outOfCredits,
-          available: this.providerStatus.anthropic.available
+      const specialist = candidates.find(provider => provider.capabilities.specialized);
+      
+      if (specialist) {
+        logger.info('🍌 Using specialized provider for task', {
+          provider: specialist.name,
+          reason: specialization.reason
         });
-        return { provider: 'ollama', reason: 'claude_unavailable_fallback' };
+        return { provider: specialist.name, reason: specialization.reason };
       }
-    }
-    
-    // Default routing logic - prefer Ollama for standard tasks
-    if (this.primaryProvider === 'ollama' && this.providerStatus.ollama.available) {
-      return { provider: 'ollama', reason: 'primary_provider' };
-    }
-    
-    // Fallback to available provider
-    if (this.providerStatus.ollama.available) {
-      return { provider: 'ollama', reason: 'ollama_available' };
-    }
-    
-    if (this.providerStatus.anthropic.available && !this.providerStatus.anthropic.outOfCredits) {
-      return { provider: 'anthropic', reason: 'anthropic_fallback' };
+      
+      logger.warn('🍌 Specialized task needs Claude but not available, using next provider', {
+        reason: specialization.reason,
+        specializedProviders: this.registry.list()
+          .filter(provider => provider.capabilities.specialized)
+          .map(provider => ({ name: provider.name, available: provider.status.available, outOfCredits: provider.status.outOfCredits }))
+      });
+      if (candidates.length > 0) {
+        return { provider: candidates[0].name, reason: 'claude_unavailable_fallback' };
+      }
+    } else if (candidates.length > 0) {
+      // Default routing logic - first usable provider in the chain
+      const reason = candidates[0].name === this.primaryProvider ? 'primary_provider' : `${candidates[0].name}_available`;
+      return { provider: candidates[0].name, reason };
     }
     
     // Last resort
-    return { provider: 'ollama', reason: 'last_resort' };
+    return { provider: this.primaryProvider, reason: 'last_resort' };
   }
 
-  // Update provider statistics
-  updateProviderStats(provider, success, responseTime) {
-    if (success) {
-      this.providerStatus[provider].lastSuccessfulCall = Date.now();
-      this.providerStatus[provider].failureCount = 0;
-      
-      // Update average response time
-      const currentAvg = this.stats.avgResponseTimes[provider];
-      const requests = provider === 'anthropic' ? this.stats.anthropicRequests : this.stats.ollamaRequests;
-      this.stats.avgResponseTimes[provider] = ((currentAvg * (requests - 1)) + responseTime) / requests;
-      
-    } else {
-      this.providerStatus[provider].lastFailure = Date.now();
-      this.providerStatus[provider].failureCount++;
-      
-      // Track errors by provider
-      const errorCount = this.stats.errorsByProvider.get(provider) || 0;
-      this.stats.errorsByProvider.set(provider, errorCount + 1);
+  // Credit the savings of a request served by a free provider, priced at the first paid one
+  recordCostSavings(usage = {}) {
+    this.stats.costSavings.totalLocalRequests++;
+    
+    const reference = this.registry.list().find(provider => !provider.isFree());
+    if (reference) {
+      this.stats.costSavings.estimatedClaudeCostSaved += reference.estimateCost(usage);
     }
   }
 
-  // Get available models from Ollama
-  async getOllamaModels() {
-    try {
-      const response = await axios.get(`${this.ollamaBaseUrl}/api/tags`, {
-        timeout: 5000
-      });
-      
-      return response.data.models || [];
-    } catch (error) {
-      logger.error('Failed to get Ollama models', { error: error.message });
-      return [];
+  /**
+   * Embed texts with the first usable provider that supports embeddings,
+   * falling through the chain on failure
+   * @param {Array<string>} input - Texts to embed
+   * @param {Object} options - `model` and `signal`
+   */
+  async processEmbeddingRequest(input, options = {}) {
+    const candidates = this.registry.list().filter(provider => provider.isUsable() && provider.capabilities.embeddings);
+    if (candidates.length === 0) {
+      const error = new Error('No available AI provider supports embeddings');
+      error.statusCode = 503;
+      throw error;
     }
-  }
-
-  // Test provider connectivity
-  async testProviders() {
-    const results = {
-      anthropic: { available: false, error: null, responseTime: 0 },
-      ollama: { available: false, error: null, responseTime: 0, models: [] }
-    };
     
-    // Test Anthropic
-    if (this.anthropicApiKey) {
+    const errors = [];
+    for (const provider of this.enableFallback ? candidates : candidates.slice(0, 1)) {
       try {
-        const startTime = performance.now();
-        await this.callAnthropic([{
-          role: 'user',
-          content: 'Hello, just testing connectivity.'
-        }], { max_tokens: 10 });
-        
-        results.anthropic.available = true;
-        results.anthropic.responseTime = performance.now() - startTime;
+        const result = await provider.embed(input, options);
+        return {
+          provider: provider.name,
+          ...result,
+          cost: provider.estimateCost(result.usage, result.model)
+        };
       } catch (error) {
-        results.anthropic.error = error.message;
-        if (this.isCreditExhaustedError(error)) {
-          results.anthropic.creditExhausted = true;
-        }
+        errors.push({ provider: provider.name, error });
+        logger.warn('🍌 AI embedding request failed', { provider: provider.name, error: error.message });
+        if (options.signal?.aborted) break;
       }
     }
     
-    // Test Ollama
-    try {
-      const startTime = performance.now();
-      const models = await this.getOllamaModels();
-      
-      if (models.length > 0) {
-        // Try a simple generation
-        await this.callOllama([{
-          role: 'user',
-          content: 'Hello'
-        }], { max_tokens: 10 });
-        
-        results.ollama.available = true;
-        results.ollama.models = models;
-        results.ollama.responseTime = performance.now() - startTime;
-      }
-    } catch (error) {
-      results.ollama.error = error.message;
+    if (errors.length === 1) {
+      throw errors[0].error;
     }
+    throw new Error(`All providers failed. ${errors.map(({ provider, error }) => `${provider}: ${error.message}`).join(', ')}`);
+  }
+
+  // Whether any provider lists the model, so it can be requested by name
+  servesModel(model) {
+    if (!model) return false;
+    const names = [model, model.includes(':') ? model : `${model}:latest`];
+    return this.registry.list().some(provider => provider.status.models.some(m => names.includes(m.name)));
+  }
+
+  // Get available models from every provider
+  async getModels() {
+    const entries = await Promise.all(this.registry.list().map(async provider => [
+      provider.name,
+      {
+        type: provider.type,
+        defaultModel: provider.defaultModel,
+        models: await provider.listModels()
+      }
+    ]));
+    
+    return Object.fromEntries(entries);
+  }
+
+  // Host pools of providers that spread requests over several servers
+  getHostPools() {
+    return Object.fromEntries(
+      this.registry.list()
+        .filter(provider => provider.pool)
+        .map(provider => [provider.name, provider.pool])
+    );
+  }
+
+  // Test provider connectivity
+  async testProviders() {
+    const entries = await Promise.all(this.registry.list().map(async provider => [
+      provider.name,
+      await provider.test()
+    ]));
     
-    return results;
+    return Object.fromEntries(entries);
   }
 
   // Get comprehensive statistics
   getStats() {
-    const totalProviderRequests = this.stats.anthropicRequests + this.stats.ollamaRequests;
-    const anthropicUsage = totalProviderRequests > 0 ? 
-      (this.stats.anthropicRequests / totalProviderRequests * 100).toFixed(1) : '0';
-    const ollamaUsage = totalProviderRequests > 0 ? 
-      (this.stats.ollamaRequests / totalProviderRequests * 100).toFixed(1) : '0';
+    const providers = this.registry.list();
+    const totalProviderRequests = providers.reduce((sum, provider) => sum + provider.stats.requests, 0);
+    const usagePercent = (requests) => totalProviderRequests > 0 ?
+      (requests / totalProviderRequests * 100).toFixed(1) : '0';
+    const freeRequests = providers
+      .filter(provider => provider.isFree())
+      .reduce((sum, provider) => sum + provider.stats.requests, 0);
     
     const specializationRate = this.stats.totalRequests > 0 ? 
       (this.stats.specializedTasksToAnthropic / this.stats.totalRequests * 100).toFixed(1) : '0';
     
+    const providerStats = {};
+    const usage = {};
+    for (const provider of providers) {
+      providerStats[provider.name] = {
+        ...provider.getStats(),
+        usagePercent: usagePercent(provider.stats.requests) + '%'
+      };
+      usage[`${provider.name}UsagePercent`] = usagePercent(provider.stats.requests) + '%';
+    }
+    
     return {
       ...this.stats,
       primaryProvider: this.primaryProvider,
-      anthropicUsagePercent: anthropicUsage + '%',
-      ollamaUsagePercent: ollamaUsage + '%',
+      routingChain: this.registry.names(),
+      enableFallback: this.enableFallback,
+      ...usage,
       specializationRate: specializationRate + '%',
+      creditsExhausted: providers.some(provider => provider.status.outOfCredits),
       costSavings: {
         ...this.stats.costSavings,
         estimatedClaudeCostSaved: '$' + this.stats.costSavings.estimatedClaudeCostSaved.toFixed(4),
-        savingsRate: ollamaUsage + '%'
-      },
-      avgResponseTimes: {
-        anthropic: this.stats.avgResponseTimes.anthropic.toFixed(2) + 'ms',
-        ollama: this.stats.avgResponseTimes.ollama.toFixed(2) + 'ms'
+        savingsRate: usagePercent(freeRequests) + '%'
       },
-      providerStatus: {
-        anthropic: {
-          ...this.providerStatus.anthropic,
-          lastSuccessfulCall: this.providerStatus.anthropic.lastSuccessfulCall ? 
-            new Date(this.providerStatus.anthropic.lastSuccessfulCall).toISOString() : null,
-          lastFailure: this.providerStatus.anthropic.lastFailure ? 
-            new Date(this.providerStatus.anthropic.lastFailure).toISOString() : null
-        },
-        ollama: {
-          ...this.providerStatus.ollama,
-          lastSuccessfulCall: this.providerStatus.ollama.lastSuccessfulCall ? 
-            new Date(this.providerStatus.ollama.lastSuccessfulCall).toISOString() : null,
-          lastFailure: this.providerStatus.ollama.lastFailure ? 
-            new Date(this.providerStatus.ollama.lastFailure).toISOString() : null,
-          modelCount: this.providerStatus.ollama.models.length,
-          availableModels: this.providerStatus.ollama.models.map(m => m.name)
-        }
-      },
-      errorsByProvider: Array.from(this.stats.errorsByProvider.entries()).map(([provider, count]) => ({
-        provider,
-        errorCount: count
-      })),
+      avgResponseTimes: Object.fromEntries(
+        Object.entries(providerStats).map(([name, stats]) => [name, stats.avgResponseTime])
+      ),
+      providers: providerStats,
+      providerStatus: Object.fromEntries(
+        Object.entries(providerStats).map(([name, stats]) => [name, stats.status])
+      ),
       specializedTasks: this.claudeSpecializedTasks,
-      triggerKeywords: this.claudeTriggerKeywords
+      triggerKeywords: this.claudeTriggerKeywords,
+      routingMode: this.routingPolicy.mode
     };
   }
 
-  // Force refresh Ollama connection
-  async refreshOllamaConnection() {
-    logger.info('🍌 Refreshing Ollama connection');
-    await this.initializeOllama();
-    return this.providerStatus.ollama.available;
+  // Re-check every provider's health
+  async refreshProviders() {
+    logger.info('🍌 Refreshing AI provider connections');
+    return this.initializeProviders();
   }
 
-  // Reset credit exhaustion flag (for when credits are refilled)
+  // Reset credit exhaustion flags (for when credits are refilled)
   resetCreditExhaustion() {
-    this.providerStatus.anthropic.outOfCredits = false;
-    this.stats.creditsExhausted = false;
-    this.stats.lastCreditCheck = Date.now();
+    for (const provider of this.registry.list()) {
+      provider.resetCredits();
+    }
     
-    logger.info('🍌 Anthropic credit exhaustion flag reset');
+    logger.info('🍌 AI provider credit exhaustion flags reset');
   }
 
   // Clear all statistics
   clearStats() {
-    this.stats = {
-      totalRequests: 0,
-      anthropicRequests: 0,
-      ollamaRequests: 0,
-      fallbackTriggers: 0,
-      errorsByProvider: new Map(),
-      avgResponseTimes: {
-        anthropic: 0,
-        ollama: 0
-      },
-      creditsExhausted: false,
-      lastCreditCheck: null
-    };
+    this.stats = this.createStats();
+    for (const provider of this.registry.list()) {
+      provider.resetStats();
+    }
     
     logger.info('🍌 AI Fallback statistics cleared');
   }
 }
 
-module.exports = AIFallbackHandler;
\ No newline at end of file
+module.exports = AIFallbackHandler;
@@ -0,0 +1,355 @@
+const crypto = require('crypto');
+const logger = require('../shared/logger');
+const { hasActiveTools } = require('../providers/base-provider');
+
+// Prompt features the routing model learns from, each scaled to roughly 0..1
+const FEATURES = [
+  'length',
+  'messages',
+  'questions',
+  'codeBlocks',
+  'keywordTrigger',
+  'complexity',
+  'codeRelated',
+  'hasSystem',
+  'hasTools',
+  'maxTokens'
+];
+
+/**
+ * 🍌 BANANA-POWERED AI ROUTING POLICY 🍌
+ *
+ * Learns when a request needs a premium (specialized) provider instead of
+ * a local one from how routed requests actually went:
+ * - Every routed request is recorded with its prompt features
+ * - Local provider errors, slow local answers and client feedback
+ *   (POST /api/anthropic/feedback) become training labels
+ * - A logistic regression over the features predicts the chance that a
+ *   local provider won't do
+ *
+ * In shadow mode (the default) the keyword heuristics keep routing and the
+ * model only predicts alongside them; the routing report compares both
+ * with the outcomes. In learned mode the model routes once it has seen
+ * `minSamples` labelled requests.
+ */
+class AIRoutingPolicy {
+  constructor(options = {}) {
+    const env = process.env;
+
+    this.mode = options.mode || env.AI_ROUTING_MODE || 'shadow';
+    this.threshold = options.threshold || parseFloat(env.AI_ROUTING_THRESHOLD) || 0.5;
+    this.minSamples = options.minSamples ?? (parseInt(env.AI_ROUTING_MIN_SAMPLES) || 50);
+    this.latencyTarget = options.latencyTarget || parseInt(env.AI_ROUTING_LATENCY_TARGET) || 20000;
+    // Share of premium-bound requests sent to a local provider anyway, to learn from them
+    this.explorationRate = options.explorationRate ?? (parseFloat(env.AI_ROUTING_EXPLORATION) || 0);
+    this.learningRate = options.learningRate || 0.2;
+    this.regularization = options.regularization ?? 0.001;
+    this.maxDecisions = options.maxDecisions || 2000;
+
+    if (!['shadow', 'learned'].includes(this.mode)) {
+      throw new Error(`Invalid AI routing mode "${this.mode}". Use shadow or learned`);
+    }
+
+    this.model = {
+      bias: 0,
+      weights: Object.fromEntries(FEATURES.map(name => [name, 0])),
+      samples: 0
+    };
+    // Recent decisions by routing ID, oldest first
+    this.decisions = new Map();
+
+    logger.info('🍌 AI routing policy initialized', {
+      mode: this.mode,
+      threshold: this.threshold,
+      minSamples: this.minSamples,
+      latencyTarget: this.latencyTarget,
+      explorationRate: this.explorationRate
+    });
+  }
+
+  get ready() {
+    return this.model.samples >= this.minSamples;
+  }
+
+  /**
+   * Feature vector for a request
+   * @param {string} content - Text of the conversation
+   * @param {Array} messages - Anthropic messages
+   * @param {Object} options - Request options
+   * @param {Object} signals - Heuristic signals: `keyword`, `complexityScore`, `codeRelated`
+   */
+  extractFeatures(content, messages, options = {}, signals = {}) {
+    return {
+      length: Math.min(Math.log1p(content.length) / 10, 1),
+      messages: Math.min(Array.isArray(messages) ? messages.length : 1, 20) / 20,
+      questions: Math.min((content.match(/\?/g) || []).length, 10) / 10,
+      codeBlocks: content.includes('```') ? 1 : 0,
+      keywordTrigger: signals.keyword ? 1 : 0,
+      complexity: signals.complexityScore || 0,
+      codeRelated: signals.codeRelated ? 1 : 0,
+      hasSystem: options.system ? 1 : 0,
+      hasTools: hasActiveTools(options) ? 1 : 0,
+      maxTokens: Math.min(options.max_tokens || 0, 8192) / 8192
+    };
+  }
+
+  // Probability that a local provider won't do for a request with these features
+  predict(features) {
+    const z = FEATURES.reduce((sum, name) => sum + this.model.weights[name] * features[name], this.model.bias);
+    return 1 / (1 + Math.exp(-z));
+  }
+
+  /**
+   * Decide whether a request needs a premium provider
+   * @param {Object} features - From extractFeatures()
+   * @param {Object} heuristic - The keyword heuristics' `{ needed, reason }`
+   */
+  decide(features, heuristic) {
+    const probability = this.predict(features);
+    const decision = {
+      needed: heuristic.needed,
+      reason: heuristic.reason,
+      source: 'heuristic',
+      features,
+      probability,
+      heuristicNeeded: heuristic.needed
+    };
+
+    if (this.mode === 'learned' && this.ready) {
+      decision.source = 'learned';
+      decision.needed = probability >= this.threshold;
+      decision.reason = decision.needed ? `learned_routing:${probability.toFixed(2)}` : 'standard_request';
+    }
+
+    if (decision.needed && this.explorationRate > 0 && Math.random() < this.explorationRate) {
+      decision.source = 'exploration';
+      decision.needed = false;
+      decision.reason = 'routing_exploration';
+    }
+
+    return decision;
+  }
+
+  /**
+   * Record a routing decision; returns its routing ID
+   * @param {Object} decision - From decide(), or a rule's `{ needed, reason }`
+   * @param {Object} route - `provider` routed to and whether it is `local`
+   */
+  track(decision, { provider, local }) {
+    const id = crypto.randomUUID();
+
+    this.decisions.set(id, {
+      id,
+      timestamp: new Date().toISOString(),
+      source: decision.source || 'rule',
+      reason: decision.reason,
+      features: decision.features || null,
+      probability: decision.probability ?? null,
+      heuristicNeeded: decision.heuristicNeeded ?? decision.needed,
+      routedTo: provider,
+      routedLocal: local,
+      outcome: null,
+      feedback: null,
+      label: null,
+      labelWeight: 0,
+      labelSource: null
+    });
+
+    // Keep only the most recent decisions
+    if (this.decisions.size > this.maxDecisions) {
+      this.decisions.delete(this.decisions.keys().next().value);
+    }
+
+    return id;
+  }
+
+  /**
+   * Record how a routed request went and learn from it
+   * @param {string} id - Routing ID
+   * @param {Object} outcome - `servedBy`, `servedLocally`, `localFailed`, `responseTime`, `error`, `aborted`
+   */
+  recordOutcome(id, outcome) {
+    const record = this.decisions.get(id);
+    if (!record || record.outcome) return;
+
+    record.outcome = {
+      servedBy: outcome.servedBy || null,
+      servedLocally: Boolean(outcome.servedLocally),
+      localFailed: Boolean(outcome.localFailed),
+      responseTime: outcome.responseTime ?? null,
+      error: outcome.error || null
+    };
+
+    // Only requests a local provider actually attempted say anything about local quality
+    if (!record.routedLocal || !record.features || outcome.aborted) return;
+
+    if (record.outcome.localFailed) {
+      this.learn(record, 1, 1, 'local_error');
+    } else if (record.outcome.servedLocally) {
+      const slow = record.outcome.responseTime > this.latencyTarget;
+      // Implicit signals count half as much as explicit feedback
+      this.learn(record, slow ? 1 : 0, 0.5, slow ? 'local_slow' : 'local_success');
+    }
+  }
+
+  /**
+   * Record client feedback on a routed request
+   * @param {string} id - Routing ID from the response
+   * @param {Object} feedback - `rating` ('good' or 'bad') and optional `comment`
+   */
+  recordFeedback(id, { rating, comment } = {}) {
+    const record = this.decisions.get(id);
+    if (!record) {
+      throw statusError(404, 'Unknown or expired routing ID');
+    }
+    if (!record.outcome) {
+      throw statusError(409, 'The request is still in progress');
+    }
+    if (record.feedback) {
+      throw statusError(409, 'Feedback was already recorded for this request');
+    }
+
+    record.feedback = { rating, comment: comment || null, timestamp: new Date().toISOString() };
+
+    // Feedback on a local answer tells whether local was good enough
+    const learned = Boolean(record.features && record.outcome.servedLocally);
+    if (learned) {
+      const label = rating === 'bad' ? 1 : 0;
+      // Outweigh an implicit label the feedback contradicts
+      const weight = record.label !== null && record.label !== label ? 1 + record.labelWeight : 1;
+      this.learn(record, label, weight, `feedback_${rating}`);
+    }
+
+    return {
+      routingId: id,
+      rating,
+      provider: record.outcome.servedBy,
+      learned
+    };
+  }
+
+  // One weighted stochastic gradient step of the logistic regression
+  learn(record, label, weight, labelSource) {
+    const error = label - this.predict(record.features);
+    const step = this.learningRate * weight;
+
+    for (const name of FEATURES) {
+      this.model.weights[name] += step * (error * record.features[name] - this.regularization * this.model.weights[name]);
+    }
+    this.model.bias += step * error;
+    this.model.samples++;
+
+    record.label = label;
+    record.labelWeight = weight;
+    record.labelSource = labelSource;
+  }
+
+  // Decisions vs outcomes over the recent decisions
+  getReport(recentCount = 20) {
+    const records = [...this.decisions.values()];
+    const compared = records.filter(record => record.features);
+    const labeled = compared.filter(record => record.label !== null);
+    const modelNeeded = record => record.probability >= this.threshold;
+
+    const bySource = {};
+    for (const record of records) {
+      bySource[record.source] = (bySource[record.source] || 0) + 1;
+    }
+
+    return {
+      mode: this.mode,
+      ready: this.ready,
+      routingBy: this.mode === 'learned' && this.ready ? 'model' : 'heuristics',
+      threshold: this.threshold,
+      minSamples: this.minSamples,
+      latencyTarget: this.latencyTarget,
+      explorationRate: this.explorationRate,
+      model: {
+        samples: this.model.samples,
+        bias: round(this.model.bias),
+        weights: Object.fromEntries(FEATURES.map(name => [name, round(this.model.weights[name])]))
+      },
+      decisions: {
+        total: records.length,
+        bySource,
+        routedLocal: records.filter(record => record.routedLocal).length,
+        routedPremium: records.filter(record => !record.routedLocal).length
+      },
+      shadow: {
+        compared: compared.length,
+        agreement: percent(compared.filter(record => modelNeeded(record) === record.heuristicNeeded).length, compared.length),
+        modelPremiumHeuristicLocal: compared.filter(record => modelNeeded(record) && !record.heuristicNeeded).length,
+        modelLocalHeuristicPremium: compared.filter(record => !modelNeeded(record) && record.heuristicNeeded).length
+      },
+      outcomes: {
+        local: summarizeOutcomes(records.filter(record => record.outcome?.servedLocally)),
+        premium: summarizeOutcomes(records.filter(record => record.outcome && record.outcome.servedBy && !record.outcome.servedLocally)),
+        failed: records.filter(record => record.outcome && !record.outcome.servedBy).length
+      },
+      // Predictions made before each outcome was known, scored against its label
+      evaluation: {
+        labeled: labeled.length,
+        heuristic: scorePredictions(labeled, record => record.heuristicNeeded),
+        model: scorePredictions(labeled, modelNeeded)
+      },
+      recent: records.slice(-recentCount).reverse().map(record => ({
+        routingId: record.id,
+        timestamp: record.timestamp,
+        source: record.source,
+        reason: record.reason,
+        probability: record.probability === null ? null : round(record.probability),
+        heuristicNeeded: record.heuristicNeeded,
+        routedTo: record.routedTo,
+        servedBy: record.outcome?.servedBy ?? null,
+        responseTime: record.outcome?.responseTime ?? null,
+        error: record.outcome?.error ?? null,
+        feedback: record.feedback?.rating ?? null,
+        label: record.label,
+        labelSource: record.labelSource
+      }))
+    };
+  }
+}
+
+function summarizeOutcomes(records) {
+  const timed = records.filter(record => record.outcome.responseTime !== null);
+
+  return {
+    requests: records.length,
+    fallbacks: records.filter(record => record.outcome.servedBy !== record.routedTo).length,
+    avgResponseTime: timed.length > 0 ?
+      Math.round(timed.reduce((sum, record) => sum + record.outcome.responseTime, 0) / timed.length) : 0,
+    feedback: {
+      good: records.filter(record => record.feedback?.rating === 'good').length,
+      bad: records.filter(record => record.feedback?.rating === 'bad').length
+    }
+  };
+}
+
+// Label 1 means a premium provider was needed
+function scorePredictions(records, predictsPremium) {
+  const correct = records.filter(record => (predictsPremium(record) ? 1 : 0) === record.label).length;
+
+  return {
+    accuracy: percent(correct, records.length),
+    premiumWhenLocalWasFine: records.filter(record => predictsPremium(record) && record.label === 0).length,
+    localWhenPremiumWasNeeded: records.filter(record => !predictsPremium(record) && record.label === 1).length
+  };
+}
+
+function percent(count, total) {
+  return total > 0 ? (count / total * 100).toFixed(1) + '%' : '0%';
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function statusError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+module.exports = AIRoutingPolicy;
+module.exports.FEATURES = FEATURES;
@@ -0,0 +1,278 @@
+const logger = require('../shared/logger');
+const { safeParse } = require('../shared/safe-json');
+const { getSharedState } = require('../shared/shared-state');
+
+const PERIODS = ['daily', 'monthly'];
+const METRICS = ['tokens', 'cost'];
+// Counted per period; cost in millionths of a dollar so counters stay whole numbers
+const COUNTERS = ['requests', 'inputTokens', 'outputTokens', 'costMicros'];
+// Period counters outlive their period a little, then expire
+const COUNTER_TTL = { daily: 2 * 24 * 60 * 60 * 1000, monthly: 32 * 24 * 60 * 60 * 1000 };
+
+/**
+ * 🍌 BANANA-POWERED AI USAGE TRACKER 🍌
+ *
+ * Attributes the tokens and dollars of every AI call to the calling API
+ * key and enforces daily and monthly budgets per tier or per key:
+ * - Token budgets count input + output tokens from every provider
+ * - Cost budgets count the priced cost (local models are free)
+ * - Budgets are checked before a request starts, so the request that
+ *   crosses a limit finishes and the next one gets a 429
+ * - Periods are calendar days and months in UTC
+ * - Counters live in the shared state, so every worker spends from one
+ *   budget, and belong to the key's rotation chain, so a rotated key's
+ *   successor carries on with its spend
+ */
+class AIUsageTracker {
+  constructor(options = {}) {
+    this.state = options.sharedState || getSharedState();
+
+    // Default budgets by tier; null means unlimited
+    const tierBudgets = {
+      basic: {
+        daily: { tokens: 100000, cost: 0.5 },
+        monthly: { tokens: 2000000, cost: 10 }
+      },
+      premium: {
+        daily: { tokens: 1000000, cost: 5 },
+        monthly: { tokens: 20000000, cost: 100 }
+      },
+      admin: {
+        daily: { tokens: null, cost: null },
+        monthly: { tokens: null, cost: null }
+      }
+    };
+    const overrides = options.tierBudgets || safeParse(process.env.AI_BUDGETS, {}) || {};
+
+    this.tierBudgets = Object.fromEntries(Object.entries(tierBudgets).map(([tier, budget]) => [
+      tier,
+      mergeBudget(budget, overrides[tier])
+    ]));
+
+    logger.info('🍌 AI usage tracker initialized', { tierBudgets: this.tierBudgets, storage: this.state.provider });
+  }
+
+  // Effective budget for a key: its tier's budget with any per-key overrides
+  getBudget(keyData = {}) {
+    return mergeBudget(this.tierBudgets[keyData.tier] || this.tierBudgets.basic, keyData.aiBudget);
+  }
+
+  // Shared-state prefix of a key's counters: the first key of its rotation chain
+  accountOf(keyData) {
+    return `aiusage:${keyData.ownerId || keyData.id}`;
+  }
+
+  async readTotals(prefix) {
+    const values = await Promise.all(COUNTERS.map(counter => this.state.get(`${prefix}:${counter}`)));
+    const [requests, inputTokens, outputTokens, costMicros] = values.map(value => value || 0);
+    return { requests, inputTokens, outputTokens, cost: costMicros / 1000000 };
+  }
+
+  // Usage record for a key in the day and month of `now`, and overall
+  async getRecord(keyData, now = new Date()) {
+    const account = this.accountOf(keyData);
+    const record = { total: await this.readTotals(`${account}:total`) };
+    for (const period of PERIODS) {
+      const id = periodId(period, now);
+      record[period] = { period: id, ...await this.readTotals(`${account}:${id}`) };
+    }
+
+    // Per-model breakdown for the month
+    const month = record.monthly.period;
+    const models = await Promise.all((await this.state.keys(`${account}:${month}:models:`)).map(key => this.state.get(key)));
+    record.monthly.byModel = Object.fromEntries(await Promise.all(models.filter(Boolean).map(async ({ provider, model }) => {
+      const modelKey = `${provider}/${model || 'unknown'}`;
+      return [modelKey, { provider, model, ...await this.readTotals(`${account}:${month}:model:${modelKey}`) }];
+    })));
+
+    return record;
+  }
+
+  /**
+   * Attribute a completed AI call to an API key
+   * @param {Object} keyData - Calling API key's data
+   * @param {Object} call - `provider`, `model`, `usage` (Anthropic format) and `cost` in USD
+   */
+  async record(keyData, { provider, model, usage = {}, cost = 0 } = {}) {
+    const account = this.accountOf(keyData);
+    const now = new Date();
+    const day = periodId('daily', now);
+    const month = periodId('monthly', now);
+    const modelKey = `${provider}/${model || 'unknown'}`;
+    const amounts = {
+      requests: 1,
+      inputTokens: usage.input_tokens || 0,
+      outputTokens: usage.output_tokens || 0,
+      costMicros: Math.round((cost || 0) * 1000000)
+    };
+
+    await this.state.add(`${account}:${month}:models:${modelKey}`, { provider, model }, COUNTER_TTL.monthly);
+    await Promise.all([
+      [`${account}:${day}`, COUNTER_TTL.daily],
+      [`${account}:${month}`, COUNTER_TTL.monthly],
+      [`${account}:${month}:model:${modelKey}`, COUNTER_TTL.monthly],
+      [`${account}:total`]
+    ].flatMap(([prefix, ttl]) => COUNTERS
+      .filter(counter => amounts[counter] > 0)
+      .map(counter => this.state.increment(`${prefix}:${counter}`, ttl, amounts[counter]))));
+  }
+
+  // First exceeded limit for a key, or { allowed: true }
+  async checkBudget(keyData = {}) {
+    const budget = this.getBudget(keyData);
+    const account = this.accountOf(keyData);
+
+    for (const period of PERIODS) {
+      const limits = METRICS.filter(metric => budget[period][metric] !== null && budget[period][metric] !== undefined);
+      if (limits.length === 0) continue;
+
+      const totals = await this.readTotals(`${account}:${periodId(period)}`);
+      for (const metric of limits) {
+        const limit = budget[period][metric];
+        const used = usedAmount(totals, metric);
+        if (used >= limit) {
+          return {
+            allowed: false,
+            period,
+            metric,
+            limit,
+            used,
+            resetTime: periodEnd(period)
+          };
+        }
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  // Usage and remaining budget for a key
+  async getUsage(keyData = {}) {
+    const record = await this.getRecord(keyData);
+    const budget = this.getBudget(keyData);
+
+    const report = Object.fromEntries(PERIODS.map(period => [period, {
+      ...formatTotals(record[period]),
+      period: record[period].period,
+      budget: budget[period],
+      remaining: Object.fromEntries(METRICS.map(metric => {
+        const limit = budget[period][metric];
+        if (limit === null || limit === undefined) return [metric, null];
+        return [metric, roundCost(Math.max(0, limit - usedAmount(record[period], metric)))];
+      })),
+      resetTime: new Date(periodEnd(period)).toISOString()
+    }]));
+
+    report.monthly.byModel = Object.values(record.monthly.byModel).map(formatTotals);
+    report.total = formatTotals(record.total);
+    return report;
+  }
+
+  // Express middleware refusing AI requests from keys over budget
+  middleware() {
+    return (req, res, next) => {
+      // Budgets belong to API keys; requests without one are governed elsewhere
+      if (!req.apiKeyData) {
+        return next();
+      }
+
+      this.checkBudget(req.apiKeyData).then(check => {
+        if (check.allowed) {
+          return next();
+        }
+
+        logger.warn('🍌 AI budget exceeded', {
+          keyName: req.apiKeyData.name,
+          period: check.period,
+          metric: check.metric,
+          limit: check.limit,
+          used: check.used
+        });
+
+        res.set('Retry-After', Math.ceil((check.resetTime - Date.now()) / 1000));
+        return res.status(429).json({
+          success: false,
+          error: 'budget_exceeded',
+          message: `${check.period === 'daily' ? 'Daily' : 'Monthly'} AI ${check.metric === 'tokens' ? 'token' : 'cost'} budget of ${check.limit} exceeded`,
+          budget: {
+            period: check.period,
+            metric: check.metric,
+            limit: check.limit,
+            used: roundCost(check.used)
+          },
+          resetTime: new Date(check.resetTime).toISOString(),
+          timestamp: new Date().toISOString()
+        });
+      }, next);
+    };
+  }
+}
+
+function formatTotals(totals) {
+  const { byModel, ...rest } = totals;
+  return {
+    ...rest,
+    totalTokens: totals.inputTokens + totals.outputTokens,
+    cost: roundCost(totals.cost)
+  };
+}
+
+function usedAmount(totals, metric) {
+  return metric === 'tokens' ? totals.inputTokens + totals.outputTokens : totals.cost;
+}
+
+function roundCost(value) {
+  return Math.round(value * 1000000) / 1000000;
+}
+
+// UTC day (2024-01-31) or month (2024-01)
+function periodId(period, date = new Date()) {
+  const iso = date.toISOString();
+  return period === 'daily' ? iso.slice(0, 10) : iso.slice(0, 7);
+}
+
+// Epoch ms at which the current period ends
+function periodEnd(period, date = new Date()) {
+  return period === 'daily' ?
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1) :
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+}
+
+/**
+ * Validate a budget like `{ daily: { tokens, cost }, monthly: { tokens, cost } }`.
+ * Limits are non-negative numbers, or null for unlimited; omitted limits keep their default.
+ */
+function normalizeBudget(budget) {
+  if (budget === undefined || budget === null) return undefined;
+  if (typeof budget !== 'object' || Array.isArray(budget)) {
+    throw new Error('Budget must be an object with daily and/or monthly limits');
+  }
+
+  const normalized = {};
+  for (const [period, limits] of Object.entries(budget)) {
+    if (!PERIODS.includes(period) || typeof limits !== 'object' || limits === null) {
+      throw new Error(`Invalid budget period "${period}". Use daily and/or monthly limit objects`);
+    }
+    normalized[period] = {};
+    for (const [metric, limit] of Object.entries(limits)) {
+      if (!METRICS.includes(metric)) {
+        throw new Error(`Invalid budget limit "${metric}". Use tokens and/or cost`);
+      }
+      if (limit !== null && (typeof limit !== 'number' || !Number.isFinite(limit) || limit < 0)) {
+        throw new Error(`Budget ${period}.${metric} must be a non-negative number or null`);
+      }
+      normalized[period][metric] = limit;
+    }
+  }
+  return normalized;
+}
+
+function mergeBudget(base, override = {}) {
+  return Object.fromEntries(PERIODS.map(period => [period, {
+    ...base[period],
+    ...(override?.[period] || {})
+  }]));
+}
+
+module.exports = AIUsageTracker;
+module.exports.normalizeBudget = normalizeBudget;
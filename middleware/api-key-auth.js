@@ -1,22 +1,32 @@
 const crypto = require('crypto');
 const logger = require('../shared/logger');
+const { APIKeyStore, TIERS } = require('../shared/api-key-store');
+const { parseScope, parseAllowlist, ipAllowed } = require('../shared/api-key-policy');
+const { AuthPolicy, createPrincipal } = require('../shared/auth-policy');
+const { getSharedState } = require('../shared/shared-state');
+const { AuthPipeline, apiKeyCredential } = require('./auth-pipeline');
 
 /**
  * 🍌 BANANA-POWERED API KEY AUTHENTICATION MIDDLEWARE 🍌
  * 
  * Provides secure API key authentication with:
- * - API key validation
- * - Rate limiting per key
- * - Usage tracking
- * - Endpoint permissions
+ * - API key validation against salted hashes in a shared store
+ * - Rate limiting per key, counted across every worker
+ * - Usage tracking, kept as a per-day history
+ * - Endpoint permissions, narrowed per key by scopes and IP allowlists
+ * - Expiry, rotation with a grace window and revocation
  * - Banana-level security! 🍌
  */
 class APIKeyAuth {
-  constructor() {
-    // In-memory store for demo (should be Redis/database in production)
-    this.apiKeys = new Map();
-    this.keyUsage = new Map();
-    this.rateLimits = new Map();
+  constructor(options = {}) {
+    // Keys live hashed in the shared store, usage counters in the shared state
+    this.store = options.store || new APIKeyStore(options);
+    this.state = options.sharedState || getSharedState();
+    this.usageFlushInterval = options.usageFlushInterval || 30000;
+    this.flushTimer = null;
+    
+    // How long a rotated key keeps working next to its successor
+    this.rotationGracePeriod = (options.rotationGracePeriod ?? (parseInt(process.env.API_KEY_ROTATION_GRACE_SECONDS) || 86400)) * 1000;
     
     // Default rate limits (per minute)
     this.defaultLimits = {
@@ -25,58 +35,49 @@ class APIKeyAuth {
       admin: 1000     // 1000 requests per minute
     };
     
-    // Endpoint permissions by tier
-    this.permissions = {
-      basic: [
-        '/health',
-        '/api/hubspot/contacts',
-        '/monitoring/metrics'
-      ],
-      premium: [
-        '/health',
-        '/api/hubspot/*',
-        '/monitoring/*',
-        '/api/anthropic/messages'
-      ],
-      admin: ['*'] // All endpoints
-    };
-    
-    // Create some default API keys for testing
-    this.initializeDefaultKeys();
+    // Endpoint permissions by tier, decided by the shared auth policy
+    this.policy = options.policy || new AuthPolicy();
+    this.permissions = Object.fromEntries(TIERS.map(tier => [tier, this.policy.rules[tier]]));
     
     logger.info('🍌 Banana-Powered API Key Auth initialized');
   }
   
-  initializeDefaultKeys() {
-    // Basic tier key
-    this.createAPIKey('basic-user', 'basic', 'Basic access for testing');
-    
-    // Premium tier key  
-    this.createAPIKey('premium-user', 'premium', 'Premium access for production');
-    
-    // Admin tier key
-    this.createAPIKey('admin-user', 'admin', 'Admin access for management');
-    
-    // Security: Never log API keys in production
-    const adminKeys = this.getKeysByTier('admin');
-    if (adminKeys.length > 0) {
-      logger.info('🍌 Admin API key initialized (key hidden for security)');
+  // Write the usage history now and then
+  start() {
+    if (this.flushTimer) return;
+    this.flushTimer = setInterval(() => {
+      this.store.flushUsage().catch(error => logger.warn('🍌 Could not write API key usage', { error: error.message }));
+    }, this.usageFlushInterval);
+    this.flushTimer.unref();
+  }
+  
+  async stop() {
+    clearInterval(this.flushTimer);
+    this.flushTimer = null;
+    await this.store.flushUsage();
+  }
+  
+  // Keys are no longer made up at boot; `npm run keys:provision` issues the first ones
+  async checkProvisioned() {
+    const keys = await this.store.getKeys();
+    const count = Object.keys(keys).length;
+    if (count === 0) {
+      logger.warn('🍌 No API keys provisioned yet - run `npm run keys:provision`', { dir: this.store.dir });
     }
-    
-    logger.info('🍌 Default API keys created', {
-      basic: this.getKeysByTier('basic').length,
-      premium: this.getKeysByTier('premium').length,
-      admin: this.getKeysByTier('admin').length
-    });
+    return count > 0;
   }
   
-  createAPIKey(name, tier = 'basic', description = '') {
+  /**
+   * Issue a key; it's only stored hashed, so this is the one time it can be read
+   * @returns {Promise<{apiKey: string, keyData: Object}>}
+   */
+  async createAPIKey(name, tier = 'basic', description = '', options = {}) {
     // Input validation and sanitization
     if (!name || typeof name !== 'string' || name.length < 1 || name.length > 100) {
       throw new Error('Invalid name: must be a string between 1-100 characters');
     }
     
-    if (!['basic', 'premium', 'admin'].includes(tier)) {
+    if (!TIERS.includes(tier)) {
       throw new Error('Invalid tier: must be basic, premium, or admin');
     }
     
@@ -88,281 +89,322 @@ class APIKeyAuth {
     const sanitizedName = name.replace(/[<>\"'&]/g, '').trim();
     const sanitizedDescription = description ? description.replace(/[<>\"'&]/g, '').trim() : '';
     
-    const apiKey = 'pk_' + crypto.randomBytes(32).toString('hex');
-    
-    this.apiKeys.set(apiKey, {
+    const { apiKey, record } = await this.store.create({
       name: sanitizedName,
       tier,
       description: sanitizedDescription,
-      createdAt: new Date(),
-      lastUsed: null,
-      isActive: true,
-      requests: 0,
-      rateLimit: this.defaultLimits[tier] || this.defaultLimits.basic
-    });
-    
-    // Initialize usage tracking
-    this.keyUsage.set(apiKey, {
-      totalRequests: 0,
-      requestsThisMinute: 0,
-      lastRequestTime: null,
-      minuteStartTime: Date.now()
-    });
+      rateLimit: options.rateLimit || this.defaultLimits[tier] || this.defaultLimits.basic,
+      // Per-key AI budget overrides on top of the tier's budget
+      aiBudget: options.aiBudget,
+      ...normalizePolicy(options)
+    }, options.apiKey);
     
     // Security: Never log full API keys
-    if (tier === 'admin') {
-      logger.info('🍌 Admin API key created (key hidden for security)');
-    }
-    
     logger.info('🍌 New API key created', {
       name,
       tier,
-      keyPrefix: apiKey.substring(0, 12) + '...'
+      keyId: record.id,
+      keyPrefix: record.prefix + '...'
     });
     
-    return apiKey;
+    return { apiKey, keyData: this.toKeyData(record) };
   }
   
-  validateAPIKey(apiKey) {
+  async validateAPIKey(apiKey) {
     if (!apiKey || !apiKey.startsWith('pk_')) {
       return { valid: false, reason: 'Invalid API key format' };
     }
     
-    const keyData = this.apiKeys.get(apiKey);
-    if (!keyData) {
+    const record = await this.store.verify(apiKey);
+    if (!record) {
       return { valid: false, reason: 'API key not found' };
     }
     
-    if (!keyData.isActive) {
-      return { valid: false, reason: 'API key is disabled' };
+    if (record.revokedAt) {
+      return { valid: false, reason: 'API key has been revoked' };
     }
     
-    return { valid: true, keyData };
-  }
-  
-  checkRateLimit(apiKey) {
-    const usage = this.keyUsage.get(apiKey);
-    const keyData = this.apiKeys.get(apiKey);
-    
-    if (!usage || !keyData) {
-      return { allowed: false, reason: 'Key not found' };
+    if (!record.isActive) {
+      return { valid: false, reason: 'API key is disabled' };
     }
     
-    const now = Date.now();
-    const minuteAgo = now - 60000; // 1 minute
+    if (record.expiresAt && Date.parse(record.expiresAt) <= Date.now()) {
+      return {
+        valid: false,
+        reason: record.rotatedTo ? 'API key was rotated and its grace period has ended' : 'API key has expired'
+      };
+    }
     
-    // Reset counter if a minute has passed
-    if (now - usage.minuteStartTime > 60000) {
-      usage.requestsThisMinute = 0;
-      usage.minuteStartTime = now;
+    return { valid: true, keyData: this.toKeyData(record) };
+  }
+  
+  // Keys with an IP allowlist only work from those addresses
+  checkSource(keyData, ip) {
+    if (!keyData.allowedIps || ipAllowed(keyData.allowedIps, ip)) {
+      return { allowed: true };
     }
+    return { allowed: false, reason: `API key can't be used from ${ip}` };
+  }
+  
+  // A key and its rotated predecessors share one rate limit, so rotating doesn't buy a second one
+  rateLimitKey(keyData, minute) {
+    return `apikey:${keyData.ownerId || keyData.id}:minute:${minute}`;
+  }
+  
+  // Counters of one key across every worker; minutes start on the clock minute
+  async getUsage(keyData) {
+    const minute = Math.floor(Date.now() / 60000);
+    const [totalRequests, requestsThisMinute, lastRequestTime] = await Promise.all([
+      this.state.get(`apikey:${keyData.id}:requests`),
+      this.state.get(this.rateLimitKey(keyData, minute)),
+      this.state.get(`apikey:${keyData.id}:last`)
+    ]);
+    return {
+      totalRequests: totalRequests || 0,
+      requestsThisMinute: requestsThisMinute || 0,
+      lastRequestTime,
+      minuteStartTime: minute * 60000
+    };
+  }
+  
+  // Counts the request against this minute's limit, then checks it
+  async checkRateLimit(keyData) {
+    const minute = Math.floor(Date.now() / 60000);
+    const used = await this.state.increment(this.rateLimitKey(keyData, minute), 60000);
+    const resetTime = (minute + 1) * 60000;
     
-    // Check if under rate limit
-    if (usage.requestsThisMinute >= keyData.rateLimit) {
+    if (used > keyData.rateLimit) {
       return {
         allowed: false,
         reason: 'Rate limit exceeded',
         limit: keyData.rateLimit,
-        used: usage.requestsThisMinute,
-        resetTime: usage.minuteStartTime + 60000
+        used,
+        resetTime
       };
     }
     
-    return { allowed: true };
+    return { allowed: true, used, resetTime };
+  }
+  
+  checkPermissions(keyData, path, method = 'GET') {
+    return this.policy.authorize(this.toPrincipal(keyData), method, path);
+  }
+  
+  /**
+   * The principal a key authenticates as. Its jobs and subscriptions belong
+   * to the first key of its rotation chain, so rotating doesn't orphan them.
+   * @param {Object} keyData
+   */
+  toPrincipal(keyData) {
+    return createPrincipal({
+      type: 'service',
+      id: keyData.id,
+      name: keyData.name,
+      tenant: keyData.tenant,
+      roles: [keyData.tier],
+      scopes: keyData.scopes,
+      authMethod: 'api_key',
+      owner: crypto.createHash('sha256').update(`api_key:${keyData.ownerId || keyData.id}`).digest('hex').slice(0, 32)
+    });
+  }
+  
+  async recordUsage(keyData, path, success = true, ip = null) {
+    this.store.trackUsage(keyData.id, { denied: !success, ip });
+    const [totalRequests] = await Promise.all([
+      this.state.increment(`apikey:${keyData.id}:requests`),
+      this.state.set(`apikey:${keyData.id}:last`, Date.now())
+    ]);
+    
+    logger.debug('🍌 API key usage recorded', {
+      keyName: keyData.name,
+      path,
+      success,
+      totalRequests
+    });
+  }
+  
+  // A stored record as routes see it: no salt or hash
+  toKeyData(record) {
+    const { salt, hash, prefix, ...metadata } = record;
+    return {
+      ...metadata,
+      key: prefix + '...'
+    };
   }
   
-  checkPermissions(apiKey, path) {
-    const keyData = this.apiKeys.get(apiKey);
-    if (!keyData) {
-      return { allowed: false, reason: 'Key not found' };
+  async getKeysByTier(tier) {
+    return (await this.getAllKeys()).filter(key => key.tier === tier);
+  }
+  
+  async getAllKeys() {
+    const keys = Object.values(await this.store.getKeys())
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    return Promise.all(keys.map(async record => {
+      const [{ lastUsed }, usage] = await Promise.all([this.store.readUsage(record.id), this.getUsage(record)]);
+      return {
+        ...this.toKeyData(record),
+        keyId: record.id,
+        requests: usage.totalRequests,
+        lastUsed: lastUsed ? new Date(lastUsed) : null,
+        usage
+      };
+    }));
+  }
+  
+  /**
+   * Key data by key ID or by the 12-character prefix shown in key listings
+   * @returns {Promise<Object|null>}
+   */
+  async findKey(ref) {
+    const record = await this.store.find(ref);
+    return record ? this.toKeyData(record) : null;
+  }
+  
+  /**
+   * Change a key's stored metadata
+   * @param {string} ref - Key ID or listing prefix
+   * @param {Function} change - Mutates the key data
+   * @returns {Promise<Object|null>} The changed key data, null if there's no such key
+   */
+  async updateKey(ref, change) {
+    const record = await this.store.find(ref);
+    if (!record) return null;
+    const updated = await this.store.update(record.id, change);
+    return updated ? this.toKeyData(updated) : null;
+  }
+  
+  /**
+   * Change a key's name, description, tier, status, expiry, scopes, IP
+   * allowlist, rate limit or AI budget; null clears the optional ones
+   * @returns {Promise<Object|null>} The changed key data, null if there's no such key
+   */
+  async setKeyFields(ref, fields) {
+    const changes = { ...fields, ...normalizePolicy(fields) };
+    if (changes.name !== undefined) changes.name = changes.name.replace(/[<>\"'&]/g, '').trim();
+    if (changes.description) changes.description = changes.description.replace(/[<>\"'&]/g, '').trim();
+    if (changes.tier && !TIERS.includes(changes.tier)) {
+      throw Object.assign(new Error('Invalid tier: must be basic, premium, or admin'), { statusCode: 400 });
     }
     
-    const allowedPaths = this.permissions[keyData.tier] || [];
+    return this.updateKey(ref, key => {
+      if (key.revokedAt) {
+        throw Object.assign(new Error('API key has been revoked'), { statusCode: 409 });
+      }
+      // A new tier brings its rate limit unless one is given
+      if (changes.tier && changes.tier !== key.tier && changes.rateLimit === undefined) {
+        key.rateLimit = this.defaultLimits[changes.tier];
+      }
+      Object.assign(key, changes);
+    });
+  }
+  
+  // Revoked keys stop working at once and stay listed for the record
+  async revokeKey(ref, revokedBy = null) {
+    return this.updateKey(ref, key => {
+      key.isActive = false;
+      key.revokedAt = key.revokedAt || new Date().toISOString();
+      key.revokedBy = key.revokedBy || revokedBy;
+    });
+  }
+  
+  /**
+   * Issue a successor key; the old one keeps working for the grace period
+   * @param {string} ref - Key ID or listing prefix
+   * @param {Object} options - gracePeriod in seconds (0 ends the old key now) and the successor's expiresAt;
+   *   without one, the successor keeps the key's expiry
+   * @returns {Promise<{apiKey: string, keyData: Object, previous: Object}|null>} null if there's no such key
+   */
+  async rotateKey(ref, { gracePeriod, expiresAt } = {}) {
+    const record = await this.store.find(ref);
+    if (!record) return null;
     
-    // Admin has access to everything
-    if (allowedPaths.includes('*')) {
-      return { allowed: true };
-    }
+    const now = Date.now();
+    const grace = gracePeriod === undefined ? this.rotationGracePeriod : gracePeriod * 1000;
+    // The grace window never outlasts the key itself
+    const successorExpiresAt = expiresAt === undefined ? record.expiresAt || null : normalizePolicy({ expiresAt }).expiresAt;
+    const graceEnds = record.expiresAt ? Math.min(now + grace, Date.parse(record.expiresAt)) : now + grace;
     
-    // Check exact matches first
-    if (allowedPaths.includes(path)) {
-      return { allowed: true };
-    }
+    const rotated = await this.store.rotate(record.id, {
+      previousExpiresAt: new Date(graceEnds).toISOString(),
+      expiresAt: successorExpiresAt
+    });
+    if (!rotated) return null;
     
-    // Check wildcard matches
-    for (const allowedPath of allowedPaths) {
-      if (allowedPath.endsWith('*')) {
-        const basePath = allowedPath.slice(0, -1);
-        if (path.startsWith(basePath)) {
-          return { allowed: true };
-        }
-      }
-    }
+    logger.info('🍌 API key rotated', {
+      keyId: record.id,
+      successorId: rotated.record.id,
+      previousExpiresAt: rotated.previous.expiresAt
+    });
     
-    return {
-      allowed: false,
-      reason: `Path ${path} not allowed for tier ${keyData.tier}`,
-      allowedPaths
-    };
+    return { apiKey: rotated.apiKey, keyData: this.toKeyData(rotated.record), previous: this.toKeyData(rotated.previous) };
   }
   
-  recordUsage(apiKey, path, success = true) {
-    const usage = this.keyUsage.get(apiKey);
-    const keyData = this.apiKeys.get(apiKey);
+  /**
+   * A key's requests per day, across every worker
+   * @param {string} ref - Key ID or listing prefix
+   * @param {number} days - How many days back, today included
+   * @returns {Promise<Object|null>} null if there's no such key
+   */
+  async getUsageHistory(ref, days = 30) {
+    const record = await this.store.find(ref);
+    if (!record) return null;
     
-    if (usage && keyData) {
-      usage.totalRequests++;
-      usage.requestsThisMinute++;
-      usage.lastRequestTime = Date.now();
-      
-      keyData.requests++;
-      keyData.lastUsed = new Date();
-      
-      logger.debug('🍌 API key usage recorded', {
-        keyName: keyData.name,
-        path,
-        success,
-        totalRequests: usage.totalRequests,
-        requestsThisMinute: usage.requestsThisMinute
-      });
+    const history = await this.store.readUsage(record.id);
+    const today = Date.now();
+    const series = [];
+    for (let i = days - 1; i >= 0; i--) {
+      const date = new Date(today - i * 86400000).toISOString().substring(0, 10);
+      series.push({ date, ...(history.days[date] || { requests: 0, denied: 0 }) });
     }
+    
+    return {
+      keyId: record.id,
+      name: record.name,
+      lastUsed: history.lastUsed,
+      lastIp: history.lastIp,
+      totals: series.reduce((totals, day) => ({
+        requests: totals.requests + day.requests,
+        denied: totals.denied + day.denied
+      }), { requests: 0, denied: 0 }),
+      days: series
+    };
   }
   
-  getKeysByTier(tier) {
-    const keys = [];
-    for (const [apiKey, data] of this.apiKeys.entries()) {
-      if (data.tier === tier) {
-        keys.push({
-          key: apiKey.substring(0, 12) + '...',
-          ...data
-        });
-      }
-    }
-    return keys;
+  // Express middleware accepting API keys only; the app uses the AuthPipeline for every credential type
+  middleware() {
+    return new AuthPipeline({ credentials: [apiKeyCredential(this)], policy: this.policy }).middleware();
   }
-  
-  getAllKeys() {
-    const keys = [];
-    for (const [apiKey, data] of this.apiKeys.entries()) {
-      const usage = this.keyUsage.get(apiKey);
-      keys.push({
-        key: apiKey.substring(0, 12) + '...',
-        keyId: crypto.createHash('sha256').update(apiKey).digest('hex').substring(0, 16), // Safe identifier
-        ...data,
-        usage: usage || {}
-      });
+}
+
+/**
+ * Check and normalize the expiry, scopes and IP allowlist among `fields`
+ * @returns {Object} Only the fields that were given; null clears them
+ */
+function normalizePolicy({ expiresAt, scopes, allowedIps }) {
+  const policy = {};
+  if (expiresAt !== undefined) {
+    const time = expiresAt === null ? null : new Date(expiresAt);
+    if (time && isNaN(time)) {
+      throw Object.assign(new Error('Invalid expiresAt: must be an ISO date'), { statusCode: 400 });
     }
-    return keys;
+    policy.expiresAt = time && time.toISOString();
   }
-
-  // Separate method for setup only - returns full key
-  getAdminKeyForSetup() {
-    const adminKeys = this.getKeysByTier('admin');
-    if (adminKeys.length > 0) {
-      // Find the full key for the first admin
-      for (const [apiKey, data] of this.apiKeys.entries()) {
-        if (data.tier === 'admin') {
-          return apiKey;
-        }
-      }
+  if (scopes !== undefined) {
+    // An empty list would read as "no restriction", so it has to be null
+    if (scopes !== null && (!Array.isArray(scopes) || scopes.length === 0)) {
+      throw Object.assign(new Error('Invalid scopes: must be a non-empty list, or null for the whole tier'), { statusCode: 400 });
     }
-    return null;
+    (scopes || []).forEach(parseScope);
+    policy.scopes = scopes && scopes.map(scope => scope.trim());
   }
-  
-  // Express middleware function
-  middleware() {
-    return (req, res, next) => {
-      // Skip authentication for truly public endpoints only
-      const publicEndpoints = ['/health', '/setup/admin-key', '/dashboard.html'];
-      const publicPrefixes = ['/dashboard'];
-      
-      if (publicEndpoints.includes(req.path) || 
-          publicPrefixes.some(prefix => req.path.startsWith(prefix))) {
-        return next();
-      }
-      
-      // Monitoring endpoints require authentication except health
-      if (req.path.startsWith('/monitoring/') && req.path !== '/monitoring/health') {
-        // Continue to authentication check below
-      } else if (req.path.startsWith('/monitoring/')) {
-        return next(); // Only /monitoring/health is public
-      }
-      
-      // Extract API key from header
-      const apiKey = req.headers['x-api-key'] || req.headers['authorization']?.replace('Bearer ', '');
-      
-      if (!apiKey) {
-        return res.status(401).json({
-          success: false,
-          error: 'API key required',
-          message: 'Include X-API-Key header or Authorization: Bearer <key>',
-          timestamp: new Date().toISOString()
-        });
-      }
-      
-      // Validate API key
-      const validation = this.validateAPIKey(apiKey);
-      if (!validation.valid) {
-        return res.status(401).json({
-          success: false,
-          error: 'Invalid API key',
-          reason: validation.reason,
-          timestamp: new Date().toISOString()
-        });
-      }
-      
-      // Check rate limits
-      const rateCheck = this.checkRateLimit(apiKey);
-      if (!rateCheck.allowed) {
-        const resetTime = new Date(rateCheck.resetTime || Date.now() + 60000);
-        res.set({
-          'X-RateLimit-Limit': rateCheck.limit,
-          'X-RateLimit-Used': rateCheck.used,
-          'X-RateLimit-Reset': Math.ceil(resetTime.getTime() / 1000)
-        });
-        
-        return res.status(429).json({
-          success: false,
-          error: 'Rate limit exceeded',
-          message: rateCheck.reason,
-          limit: rateCheck.limit,
-          used: rateCheck.used,
-          resetTime: resetTime.toISOString(),
-          timestamp: new Date().toISOString()
-        });
-      }
-      
-      // Check permissions
-      const permissionCheck = this.checkPermissions(apiKey, req.path);
-      if (!permissionCheck.allowed) {
-        this.recordUsage(apiKey, req.path, false);
-        return res.status(403).json({
-          success: false,
-          error: 'Insufficient permissions',
-          message: permissionCheck.reason,
-          allowedPaths: permissionCheck.allowedPaths,
-          timestamp: new Date().toISOString()
-        });
-      }
-      
-      // Record successful usage
-      this.recordUsage(apiKey, req.path, true);
-      
-      // Add key info to request for downstream middleware
-      req.apiKeyData = validation.keyData;
-      req.apiKey = apiKey;
-      
-      // Set rate limit headers
-      const usage = this.keyUsage.get(apiKey);
-      res.set({
-        'X-RateLimit-Limit': validation.keyData.rateLimit,
-        'X-RateLimit-Used': usage.requestsThisMinute,
-        'X-RateLimit-Remaining': Math.max(0, validation.keyData.rateLimit - usage.requestsThisMinute)
-      });
-      
-      next();
-    };
+  if (allowedIps !== undefined) {
+    if (allowedIps !== null && (!Array.isArray(allowedIps) || allowedIps.length === 0)) {
+      throw Object.assign(new Error('Invalid allowedIps: must be a non-empty list, or null for any address'), { statusCode: 400 });
+    }
+    parseAllowlist(allowedIps || []);
+    policy.allowedIps = allowedIps;
   }
+  return policy;
 }
 
 module.exports = APIKeyAuth;
\ No newline at end of file
@@ -3,9 +3,10 @@ const https = require('https');
 const http = require('http');
 const config = require('../shared/config');
 const logger = require('../shared/logger');
+const { HubSpotScheduler } = require('../shared/hubspot-scheduler');
 
 class AuthHandler {
-  constructor() {
+  constructor(options = {}) {
     // Pi 5 ethernet connection pooling agents
     this.httpAgent = new http.Agent({
       keepAlive: true,
@@ -23,7 +24,9 @@ class AuthHandler {
       keepAliveMsecs: 30000
     });
 
-    this.hubspotClient = this.createHubSpotClient();
+    // Every HubSpot call, including streams and pagination, queues here for rate limit tokens
+    this.hubspotScheduler = options.hubspotScheduler || new HubSpotScheduler(options.hubspot);
+    this.hubspotClient = this.hubspotScheduler.attach(this.createHubSpotClient());
     this.anthropicClient = this.createAnthropicClient();
     
     logger.info('🍌 HTTP connection pooling initialized for Pi 5 ethernet', {
@@ -60,15 +63,16 @@ class AuthHandler {
     });
   }
 
-  // HubSpot API calls
-  async callHubSpot(endpoint, method = 'GET', data = null) {
+  // HubSpot API calls; `options.priority` is 'interactive' (default) or 'background'
+  async callHubSpot(endpoint, method = 'GET', data = null, options = {}) {
     try {
       logger.info(`Making HubSpot ${method} request to ${endpoint}`);
 
       const response = await this.hubspotClient({
         method,
         url: endpoint,
-        data
+        data,
+        priority: options.priority
       });
 
       logger.info(`HubSpot request successful: ${response.status}`);
@@ -85,11 +89,13 @@ class AuthHandler {
   }
 
   // HubSpot Search API calls
-  async searchHubSpot(objectType, searchRequest) {
+  async searchHubSpot(objectType, searchRequest, options = {}) {
     try {
       logger.info(`Making HubSpot Search request for ${objectType}`);
 
-      const response = await this.hubspotClient.post(`/crm/v3/objects/${objectType}/search`, searchRequest);
+      const response = await this.hubspotClient.post(`/crm/v3/objects/${objectType}/search`, searchRequest, {
+        priority: options.priority
+      });
 
       logger.info(`HubSpot Search request successful: ${response.status}`);
       return response.data;
@@ -123,14 +129,14 @@ class AuthHandler {
   }
 
   // HubSpot GraphQL calls
-  async callHubSpotGraphQL(query, variables = {}) {
+  async callHubSpotGraphQL(query, variables = {}, options = {}) {
     try {
       logger.info('Making HubSpot GraphQL request');
 
       const response = await this.hubspotClient.post('/collector/graphql', {
         query,
         variables
-      });
+      }, { priority: options.priority, retryable: true });
 
       logger.info(`HubSpot GraphQL request successful: ${response.status}`);
       return response.data;
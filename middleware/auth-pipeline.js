@@ -0,0 +1,312 @@
+const jwt = require('jsonwebtoken');
+const logger = require('../shared/logger');
+const { AuthPolicy, createPrincipal } = require('../shared/auth-policy');
+
+// header.payload.signature, each base64url
+const JWT_SHAPE = /^[\w-]+\.[\w-]+\.[\w-]+$/;
+
+/**
+ * 🍌 BANANA-POWERED AUTHENTICATION PIPELINE 🍌
+ *
+ * One middleware for every credential the hub accepts. The first configured
+ * credential type that recognises the request authenticates it and resolves
+ * it to a principal on req.principal:
+ *   { type: 'user'|'service', id, name, tenant, roles, scopes, tier, authMethod, owner }
+ * AuthPolicy then decides whether that principal may call the route, so
+ * routes only ever look at req.principal.
+ *
+ * A credential type is { type, description, detect(req), resolve(req, res),
+ * record?(req, principal, allowed) }; resolve throws errors with a
+ * statusCode (and optional details and headers) to turn the request away.
+ */
+class AuthPipeline {
+  constructor(options = {}) {
+    this.credentials = options.credentials || [];
+    this.policy = options.policy || new AuthPolicy();
+
+    // Truly public endpoints only; prefixes end in '/' so they can't match a longer name
+    this.publicPaths = options.publicPaths || ['/health', '/monitoring/health', '/dashboard.html'];
+    this.publicPrefixes = options.publicPrefixes || ['/auth/'];
+  }
+
+  isPublic(path) {
+    return this.publicPaths.includes(path) || this.publicPrefixes.some(prefix => path.startsWith(prefix));
+  }
+
+  middleware() {
+    return (req, res, next) => {
+      this.authenticate(req, res, next).catch(next);
+    };
+  }
+
+  async authenticate(req, res, next) {
+    if (this.isPublic(req.path)) {
+      return next();
+    }
+
+    const credential = this.credentials.find(candidate => candidate.detect(req));
+    if (!credential) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+        message: `Include one of: ${this.credentials.map(candidate => candidate.description).join('; ')}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    let principal;
+    try {
+      principal = await credential.resolve(req, res);
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      if (error.headers) res.set(error.headers);
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        ...error.details,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const decision = this.policy.authorize(principal, req.method, req.path);
+    if (credential.record) {
+      await credential.record(req, principal, decision.allowed);
+    }
+    if (!decision.allowed) {
+      logger.warn('🍌 Request denied by auth policy', { principal: principal.name, authMethod: principal.authMethod, path: req.path });
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient permissions',
+        message: decision.reason,
+        allowedPaths: decision.allowedPaths,
+        scopes: decision.scopes,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    req.principal = principal;
+    next();
+  }
+}
+
+function authError(statusCode, message, details, headers) {
+  return Object.assign(new Error(message), { statusCode, details, headers });
+}
+
+function bearerToken(req) {
+  const header = req.headers.authorization;
+  return header?.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+/**
+ * Hub API keys (pk_…) from X-API-Key or Authorization: Bearer, with their
+ * IP allowlists, rate limits and usage tracking
+ * @param {APIKeyAuth} apiKeyAuth
+ */
+function apiKeyCredential(apiKeyAuth) {
+  const keyOf = (req) => req.headers['x-api-key'] || bearerToken(req);
+
+  return {
+    type: 'api_key',
+    description: 'X-API-Key header or Authorization: Bearer <key>',
+    detect: (req) => !!keyOf(req),
+
+    async resolve(req, res) {
+      const apiKey = keyOf(req);
+      const validation = await apiKeyAuth.validateAPIKey(apiKey);
+      if (!validation.valid) {
+        throw authError(401, 'Invalid API key', { reason: validation.reason });
+      }
+      const keyData = validation.keyData;
+
+      // Check where the key is used from
+      const sourceCheck = apiKeyAuth.checkSource(keyData, req.ip);
+      if (!sourceCheck.allowed) {
+        await apiKeyAuth.recordUsage(keyData, req.path, false, req.ip);
+        throw authError(403, 'IP address not allowed', { message: sourceCheck.reason });
+      }
+
+      const rateCheck = await apiKeyAuth.checkRateLimit(keyData);
+      if (!rateCheck.allowed) {
+        const resetTime = new Date(rateCheck.resetTime || Date.now() + 60000);
+        throw authError(429, 'Rate limit exceeded', {
+          message: rateCheck.reason,
+          limit: rateCheck.limit,
+          used: rateCheck.used,
+          resetTime: resetTime.toISOString()
+        }, {
+          'X-RateLimit-Limit': rateCheck.limit,
+          'X-RateLimit-Used': rateCheck.used,
+          'X-RateLimit-Reset': Math.ceil(resetTime.getTime() / 1000)
+        });
+      }
+
+      res.set({
+        'X-RateLimit-Limit': keyData.rateLimit,
+        'X-RateLimit-Used': rateCheck.used,
+        'X-RateLimit-Remaining': Math.max(0, keyData.rateLimit - rateCheck.used)
+      });
+
+      // Key-specific routes (own usage, rotation, AI budgets) still read these
+      req.apiKeyData = keyData;
+      req.apiKey = apiKey;
+
+      return apiKeyAuth.toPrincipal(keyData);
+    },
+
+    record: (req, principal, allowed) => apiKeyAuth.recordUsage(req.apiKeyData, req.path, allowed, req.ip)
+  };
+}
+
+/**
+ * The operator's ADMIN_API_KEY from X-Admin-API-Key, with AdminAuth's
+ * lockout after repeated failures
+ * @param {AdminAuth} adminAuth
+ */
+function adminKeyCredential(adminAuth) {
+  return {
+    type: 'admin_key',
+    description: 'X-Admin-API-Key header',
+    detect: (req) => !!req.headers['x-admin-api-key'],
+
+    async resolve(req) {
+      try {
+        req.adminSession = await adminAuth.verify(req);
+      } catch (error) {
+        if (error.statusCode) {
+          throw authError(error.statusCode, error.message, error.retryAfter && { retryAfter: error.retryAfter });
+        }
+        throw error;
+      }
+      return createPrincipal({ type: 'service', id: 'admin', name: 'admin', roles: ['admin'], authMethod: 'admin_key' });
+    }
+  };
+}
+
+/**
+ * HS256 JWTs issued by AuthManager or SimpleAuth, from Authorization: Bearer
+ * @param {Object} options
+ * @param {string} options.secret - JWT_SECRET shared with the issuer
+ * @param {string} [options.issuer='pi-api-hub']
+ */
+function jwtCredential({ secret, issuer = 'pi-api-hub' }) {
+  return {
+    type: 'jwt',
+    description: 'Authorization: Bearer <JWT>',
+    detect: (req) => JWT_SHAPE.test(bearerToken(req) || ''),
+
+    async resolve(req) {
+      let claims;
+      try {
+        claims = jwt.verify(bearerToken(req), secret, { issuer, algorithms: ['HS256'] });
+      } catch (error) {
+        throw authError(401, 'Invalid token', { reason: error.message });
+      }
+
+      return createPrincipal({
+        type: 'user',
+        id: claims.userId || claims.sub,
+        name: claims.username || claims.email,
+        tenant: claims.tenantId,
+        roles: claims.roles || [claims.role],
+        scopes: claims.scopes,
+        authMethod: 'jwt',
+        attributes: { email: claims.email, permissions: claims.permissions || [] }
+      });
+    }
+  };
+}
+
+/**
+ * HMAC-signed requests (X-Banana-Signature) from BananaRequestSigning keys;
+ * the body has to be parsed before the pipeline runs, since it's signed
+ * @param {BananaRequestSigning} requestSigning
+ */
+function signedRequestCredential(requestSigning) {
+  return {
+    type: 'signature',
+    description: 'X-Banana-Signature with X-Banana-Timestamp and X-API-Key',
+    detect: (req) => !!req.headers['x-banana-signature'],
+
+    async resolve(req) {
+      const { valid, status, error, keyData, signature, ...details } = requestSigning.verifyRequest(req);
+      if (!valid) {
+        throw authError(status, error, details);
+      }
+      req.bananaSignature = signature;
+
+      return createPrincipal({
+        type: 'service',
+        id: keyData.keyId,
+        name: keyData.name,
+        roles: keyData.roles || (keyData.permissions.includes('admin') ? ['admin'] : ['basic']),
+        authMethod: 'signature',
+        attributes: { permissions: keyData.permissions }
+      });
+    }
+  };
+}
+
+/**
+ * The principal a signed-in session carries, as OIDCAuth stored it at
+ * sign-in; SessionSecurity checks the cookie before the pipeline runs
+ */
+function sessionCredential() {
+  return {
+    type: 'session',
+    description: 'session cookie from /auth/login',
+    detect: (req) => !!req.session?.data?.principal,
+    resolve: async (req) => req.session.data.principal
+  };
+}
+
+/**
+ * The hub's pipeline: every credential type the environment configures, in
+ * the order they're tried. Signed requests need REQUEST_SIGNING_KEYS, JWTs
+ * JWT_SECRET, admin keys ADMIN_API_KEY and session cookies OIDC sign-in;
+ * API keys are always accepted.
+ * @param {Object} components
+ * @param {APIKeyAuth} components.apiKeyAuth
+ * @param {AdminAuth} [components.adminAuth]
+ * @param {BananaRequestSigning} [components.requestSigning]
+ * @param {OIDCAuth} [components.oidcAuth]
+ * @param {Object} [env=process.env]
+ */
+function createAuthPipeline({ apiKeyAuth, adminAuth, requestSigning, oidcAuth, policy }, env = process.env) {
+  const credentials = [];
+  if (requestSigning) credentials.push(signedRequestCredential(requestSigning));
+  if (adminAuth && !adminAuth.adminDisabled) credentials.push(adminKeyCredential(adminAuth));
+  if (env.JWT_SECRET) credentials.push(jwtCredential({ secret: env.JWT_SECRET }));
+  credentials.push(apiKeyCredential(apiKeyAuth));
+  // Header credentials win over a session cookie sent along with them
+  if (oidcAuth) credentials.push(sessionCredential());
+
+  logger.info('🍌 Authentication pipeline ready', { credentials: credentials.map(credential => credential.type) });
+  return new AuthPipeline({ credentials, policy });
+}
+
+/**
+ * Signing keys from REQUEST_SIGNING_KEYS, a JSON list of
+ * {keyId, secret, name, roles}
+ * @returns {Object[]|null} null when none are configured
+ */
+function signingKeysFromEnv(env = process.env) {
+  if (!env.REQUEST_SIGNING_KEYS) return null;
+  const keys = JSON.parse(env.REQUEST_SIGNING_KEYS);
+  if (!Array.isArray(keys) || keys.some(key => !key.keyId || !key.secret || key.secret.length < 32)) {
+    throw new Error('REQUEST_SIGNING_KEYS must be a JSON list of {keyId, secret} with secrets of 32+ characters');
+  }
+  return keys.map(key => ({ name: key.keyId, ...key }));
+}
+
+module.exports = {
+  AuthPipeline,
+  apiKeyCredential,
+  adminKeyCredential,
+  jwtCredential,
+  signedRequestCredential,
+  sessionCredential,
+  createAuthPipeline,
+  authError,
+  signingKeysFromEnv
+};
@@ -2,7 +2,13 @@ const crypto = require('crypto');
 const logger = require('../shared/logger');
 
 class BananaRequestSigning {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Object[]} [options.keys] - Signing keys to accept, each
+   *   {keyId, secret, name, permissions, roles}; without them the default
+   *   keys get random secrets
+   */
+  constructor(options = {}) {
     this.apiKeys = new Map();
     this.signingSecrets = new Map();
     this.signatureCache = new Map();
@@ -12,7 +18,11 @@ class BananaRequestSigning {
     this.bananaSecurityLevel = 'SIGNATURE_FORTRESS';
     
     this.initializeBananaSigningSystem();
-    this.setupDefaultApiKeys();
+    if (options.keys) {
+      options.keys.forEach(({ keyId, ...config }) => this.registerApiKey(keyId, config));
+    } else {
+      this.setupDefaultApiKeys();
+    }
     this.startNonceCleanup();
   }
 
@@ -65,6 +75,7 @@ class BananaRequestSigning {
       keyId,
       name: config.name,
       permissions: config.permissions || [],
+      roles: config.roles || null,
       rateLimitTier: config.rateLimitTier || 'standard',
       createdAt: new Date().toISOString(),
       lastUsed: null,
@@ -89,180 +100,204 @@ class BananaRequestSigning {
 
   // 🍌 Request signing middleware 🍌
   requireSignedRequest(options = {}) {
+    const { allowUnsigned = false } = options;
+
+    return (req, res, next) => {
+      // Check if signature is required
+      if (allowUnsigned && !req.headers['x-banana-signature']) {
+        logger.info('🍌 UNSIGNED REQUEST ALLOWED', {
+          path: req.path,
+          method: req.method,
+          bananaMode: 'PERMISSIVE'
+        });
+        return next();
+      }
+
+      const result = this.verifyRequest(req, options);
+      if (!result.valid) {
+        const { valid, status, ...body } = result;
+        return res.status(status).json({ success: false, ...body });
+      }
+
+      // Attach signing info to request
+      req.bananaSignature = result.signature;
+      next();
+    };
+  }
+
+  /**
+   * Check a signed request's key, timestamp, nonce, signature and permissions
+   * @param {Object} req - Express request, with its body already parsed
+   * @param {Object} [options] - requiredPermissions and strictTiming
+   * @returns {{valid: true, keyData: Object, signature: Object}|{valid: false, status: number, error: string, bananaMessage: string}}
+   */
+  verifyRequest(req, options = {}) {
     const {
       requiredPermissions = [],
-      strictTiming = true,
-      allowUnsigned = false
+      strictTiming = true
     } = options;
+    const startTime = Date.now();
 
-    return (req, res, next) => {
-      const startTime = Date.now();
-      
-      try {
-        // Check if signature is required
-        if (allowUnsigned && !req.headers['x-banana-signature']) {
-          logger.info('🍌 UNSIGNED REQUEST ALLOWED', {
-            path: req.path,
-            method: req.method,
-            bananaMode: 'PERMISSIVE'
-          });
-          return next();
-        }
+    try {
+      // Extract signature components
+      const signature = req.headers['x-banana-signature'];
+      const timestamp = req.headers['x-banana-timestamp'];
+      const nonce = req.headers['x-banana-nonce'];
+      const apiKey = req.headers['x-api-key'];
+
+      if (!signature || !timestamp || !apiKey) {
+        logger.warn('🚫 BANANA SIGNATURE MISSING COMPONENTS', {
+          hasSignature: !!signature,
+          hasTimestamp: !!timestamp,
+          hasApiKey: !!apiKey,
+          path: req.path
+        });
 
-        // Extract signature components
-        const signature = req.headers['x-banana-signature'];
-        const timestamp = req.headers['x-banana-timestamp'];
-        const nonce = req.headers['x-banana-nonce'];
-        const apiKey = req.headers['x-api-key'];
-
-        if (!signature || !timestamp || !apiKey) {
-          logger.warn('🚫 BANANA SIGNATURE MISSING COMPONENTS', {
-            hasSignature: !!signature,
-            hasTimestamp: !!timestamp,
-            hasApiKey: !!apiKey,
-            path: req.path
-          });
+        return {
+          valid: false,
+          status: 401,
+          error: 'Missing required signature components',
+          required: ['x-banana-signature', 'x-banana-timestamp', 'x-api-key'],
+          bananaMessage: '🚫🍌 Banana signature required! 🍌🚫'
+        };
+      }
 
-          return res.status(401).json({
-            success: false,
-            error: 'Missing required signature components',
-            required: ['x-banana-signature', 'x-banana-timestamp', 'x-api-key'],
-            bananaMessage: '🚫🍌 Banana signature required! 🍌🚫'
-          });
-        }
+      // Verify API key exists
+      const keyData = this.apiKeys.get(apiKey);
+      if (!keyData) {
+        logger.warn('🚫 INVALID BANANA API KEY', {
+          apiKey,
+          path: req.path,
+          ip: this.getClientIP(req)
+        });
 
-        // Verify API key exists
-        const keyData = this.apiKeys.get(apiKey);
-        if (!keyData) {
-          logger.warn('🚫 INVALID BANANA API KEY', {
-            apiKey,
-            path: req.path,
-            ip: this.getClientIP(req)
-          });
+        return {
+          valid: false,
+          status: 401,
+          error: 'Invalid API key',
+          bananaMessage: '🚫🍌 Unknown banana key! 🍌🚫'
+        };
+      }
 
-          return res.status(401).json({
-            success: false,
-            error: 'Invalid API key',
-            bananaMessage: '🚫🍌 Unknown banana key! 🍌🚫'
-          });
-        }
+      // Verify timestamp
+      const timestampValid = this.verifyTimestamp(timestamp, strictTiming);
+      if (!timestampValid) {
+        logger.warn('🚫 BANANA SIGNATURE TIMESTAMP INVALID', {
+          timestamp,
+          currentTime: Date.now(),
+          path: req.path,
+          apiKey
+        });
 
-        // Verify timestamp
-        const timestampValid = this.verifyTimestamp(timestamp, strictTiming);
-        if (!timestampValid) {
-          logger.warn('🚫 BANANA SIGNATURE TIMESTAMP INVALID', {
-            timestamp,
-            currentTime: Date.now(),
-            path: req.path,
-            apiKey
-          });
+        return {
+          valid: false,
+          status: 401,
+          error: 'Request timestamp invalid or expired',
+          bananaMessage: '🚫🍌 Banana signature too old! 🍌🚫'
+        };
+      }
 
-          return res.status(401).json({
-            success: false,
-            error: 'Request timestamp invalid or expired',
-            bananaMessage: '🚫🍌 Banana signature too old! 🍌🚫'
-          });
-        }
+      // Verify nonce (prevent replay attacks)
+      if (nonce && !this.verifyNonce(nonce, apiKey)) {
+        logger.warn('🚫 BANANA SIGNATURE NONCE REUSED', {
+          nonce,
+          apiKey,
+          path: req.path
+        });
 
-        // Verify nonce (prevent replay attacks)
-        if (nonce && !this.verifyNonce(nonce, apiKey)) {
-          logger.warn('🚫 BANANA SIGNATURE NONCE REUSED', {
-            nonce,
-            apiKey,
-            path: req.path
-          });
+        return {
+          valid: false,
+          status: 401,
+          error: 'Nonce already used (replay attack detected)',
+          bananaMessage: '🚫🍌 Banana replay attack detected! 🍌🚫'
+        };
+      }
 
-          return res.status(401).json({
-            success: false,
-            error: 'Nonce already used (replay attack detected)',
-            bananaMessage: '🚫🍌 Banana replay attack detected! 🍌🚫'
-          });
-        }
+      // Verify signature
+      const signatureValid = this.verifySignature(req, apiKey, signature, timestamp, nonce);
+      if (!signatureValid) {
+        logger.warn('🚫 BANANA SIGNATURE VERIFICATION FAILED', {
+          apiKey,
+          path: req.path,
+          method: req.method,
+          ip: this.getClientIP(req)
+        });
 
-        // Verify signature
-        const signatureValid = this.verifySignature(req, apiKey, signature, timestamp, nonce);
-        if (!signatureValid) {
-          logger.warn('🚫 BANANA SIGNATURE VERIFICATION FAILED', {
-            apiKey,
-            path: req.path,
-            method: req.method,
-            ip: this.getClientIP(req)
-          });
+        return {
+          valid: false,
+          status: 401,
+          error: 'Invalid request signature',
+          bananaMessage: '🚫🍌 Banana signature invalid! 🍌🚫'
+        };
+      }
+
+      // Check permissions
+      if (requiredPermissions.length > 0) {
+        const hasPermission = requiredPermissions.some(permission => 
+          keyData.permissions.includes(permission)
+        );
 
-          return res.status(401).json({
-            success: false,
-            error: 'Invalid request signature',
-            bananaMessage: '🚫🍌 Banana signature invalid! 🍌🚫'
+        if (!hasPermission) {
+          logger.warn('🚫 BANANA PERMISSION DENIED', {
+            apiKey,
+            requiredPermissions,
+            availablePermissions: keyData.permissions,
+            path: req.path
           });
-        }
 
-        // Check permissions
-        if (requiredPermissions.length > 0) {
-          const hasPermission = requiredPermissions.some(permission => 
-            keyData.permissions.includes(permission)
-          );
-
-          if (!hasPermission) {
-            logger.warn('🚫 BANANA PERMISSION DENIED', {
-              apiKey,
-              requiredPermissions,
-              availablePermissions: keyData.permissions,
-              path: req.path
-            });
-
-            return res.status(403).json({
-              success: false,
-              error: 'Insufficient permissions',
-              required: requiredPermissions,
-              available: keyData.permissions,
-              bananaMessage: '🚫🍌 Banana permission denied! 🍌🚫'
-            });
-          }
+          return {
+            valid: false,
+            status: 403,
+            error: 'Insufficient permissions',
+            required: requiredPermissions,
+            available: keyData.permissions,
+            bananaMessage: '🚫🍌 Banana permission denied! 🍌🚫'
+          };
         }
+      }
 
-        // Update API key usage
-        this.updateApiKeyUsage(apiKey);
+      // Update API key usage
+      this.updateApiKeyUsage(apiKey);
 
-        // Store nonce to prevent replay
-        if (nonce) {
-          this.storeNonce(nonce, apiKey);
-        }
+      // Store nonce to prevent replay
+      if (nonce) {
+        this.storeNonce(nonce, apiKey);
+      }
 
-        // Attach signing info to request
-        req.bananaSignature = {
-          verified: true,
-          apiKey,
-          keyData,
-          timestamp,
-          nonce,
-          verificationTime: Date.now() - startTime,
-          bananaLevel: keyData.bananaLevel
-        };
+      const verified = {
+        verified: true,
+        apiKey,
+        keyData,
+        timestamp,
+        nonce,
+        verificationTime: Date.now() - startTime,
+        bananaLevel: keyData.bananaLevel
+      };
 
-        logger.info('🍌 BANANA SIGNATURE VERIFIED', {
-          apiKey,
-          path: req.path,
-          method: req.method,
-          verificationTime: req.bananaSignature.verificationTime,
-          bananaLevel: keyData.bananaLevel
-        });
+      logger.info('🍌 BANANA SIGNATURE VERIFIED', {
+        apiKey,
+        path: req.path,
+        method: req.method,
+        verificationTime: verified.verificationTime,
+        bananaLevel: keyData.bananaLevel
+      });
 
-        next();
+      return { valid: true, keyData, signature: verified };
 
-      } catch (error) {
-        logger.error('🚨 BANANA SIGNATURE VERIFICATION ERROR', {
-          error: error.message,
-          path: req.path,
-          method: req.method
-        });
+    } catch (error) {
+      logger.error('🚨 BANANA SIGNATURE VERIFICATION ERROR', {
+        error: error.message,
+        path: req.path,
+        method: req.method
+      });
 
-        res.status(500).json({
-          success: false,
-          error: 'Signature verification failed',
-          bananaMessage: '🚨🍌 Banana signature system error! 🍌🚨'
-        });
-      }
-    };
+      return {
+        valid: false,
+        status: 500,
+        error: 'Signature verification failed',
+        bananaMessage: '🚨🍌 Banana signature system error! 🍌🚨'
+      };
+    }
   }
 
   // Verify request signature
@@ -369,7 +404,7 @@ class BananaRequestSigning {
   // Start nonce cleanup
   startNonceCleanup() {
     // Clean expired nonces every minute
-    setInterval(() => {
+    this.nonceCleanupTimer = setInterval(() => {
       const now = Date.now();
       for (const [key, data] of this.nonceStore.entries()) {
         if (data.expiryTime <= now) {
@@ -377,6 +412,7 @@ class BananaRequestSigning {
         }
       }
     }, 60 * 1000);
+    this.nonceCleanupTimer.unref();
 
     logger.info('🍌 NONCE CLEANUP STARTED', {
       interval: '60 seconds',
@@ -384,6 +420,10 @@ class BananaRequestSigning {
     });
   }
 
+  stop() {
+    clearInterval(this.nonceCleanupTimer);
+  }
+
   // Get client IP
   getClientIP(req) {
     return req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
@@ -64,6 +64,14 @@ class CompressionMiddleware {
         this.compressResponse(fullBuffer, acceptedEncodings, res, originalEnd, totalSize);
       };
 
+      // For handlers that stream or pass through already-encoded bodies
+      res.disableCompression = () => {
+        res.write = originalWrite;
+        res.end = originalEnd;
+        chunks.forEach(chunk => originalWrite.call(res, chunk));
+        chunks = [];
+      };
+
       next();
     };
   }
@@ -87,6 +95,8 @@ class CompressionMiddleware {
 
     return skipTypes.some(type => contentType.includes(type)) ||
            req.path.includes('/stream') ||
+           (req.headers.accept || '').includes('text/event-stream') ||
+           req.body?.stream === true ||
            req.headers['x-no-compression'] === 'true';
   }
 
@@ -1,68 +1,66 @@
 const crypto = require('crypto');
 const logger = require('../shared/logger');
+const { getSharedState } = require('../shared/shared-state');
+
+// Requests authenticated by a header credential (API key, JWT, signature); a
+// browser never adds one on its own, unlike the session cookie, so no forged
+// cross-site request can carry it
+const headerAuthenticated = (req) => !!req.principal && req.principal.authMethod !== 'session';
 
 /**
  * 🍌 BANANA-POWERED CSRF PROTECTION MIDDLEWARE 🍌
  * 
- * Protects against Cross-Site Request Forgery attacks
+ * Protects against Cross-Site Request Forgery attacks. Tokens live in the
+ * shared state, so a token issued by one worker is accepted by any other,
+ * and only once.
  */
 class CSRFProtection {
-  constructor() {
-    this.tokens = new Map();
-    this.secretKey = process.env.CSRF_SECRET || crypto.randomBytes(32).toString('hex');
+  constructor(options = {}) {
+    this.state = options.sharedState || getSharedState();
+    // Without CSRF_SECRET the workers agree on a generated one
+    this.secretKey = process.env.CSRF_SECRET || null;
     this.tokenTimeout = 3600000; // 1 hour
     
-    // Cleanup expired tokens every 10 minutes
-    setInterval(() => this.cleanupExpiredTokens(), 600000);
-    
     logger.info('🍌 CSRF Protection initialized');
   }
 
-  generateToken(sessionId) {
+  async getSecret() {
+    if (!this.secretKey) {
+      this.secretKey = await this.state.secret('csrf');
+    }
+    return this.secretKey;
+  }
+
+  async generateToken(sessionId) {
+    const secretKey = await this.getSecret();
     const timestamp = Date.now();
     const randomBytes = crypto.randomBytes(16).toString('hex');
     const tokenData = `${sessionId}:${timestamp}:${randomBytes}`;
     
-    const hmac = crypto.createHmac('sha256', this.secretKey);
+    const hmac = crypto.createHmac('sha256', secretKey);
     hmac.update(tokenData);
     const signature = hmac.digest('hex');
     
     const token = `${tokenData}:${signature}`;
     const encodedToken = Buffer.from(token).toString('base64');
     
-    // Store token with expiration
-    this.tokens.set(encodedToken, {
+    // Store token; the shared state expires it
+    await this.state.set(`csrf:token:${encodedToken}`, {
       sessionId,
       timestamp,
       expires: timestamp + this.tokenTimeout
-    });
+    }, this.tokenTimeout);
     
     return encodedToken;
   }
 
-  validateToken(token, sessionId) {
+  async validateToken(token, sessionId) {
     if (!token || !sessionId) {
       return false;
     }
 
     try {
-      const tokenData = this.tokens.get(token);
-      if (!tokenData) {
-        return false;
-      }
-
-      // Check if token expired
-      if (Date.now() > tokenData.expires) {
-        this.tokens.delete(token);
-        return false;
-      }
-
-      // Check session match
-      if (tokenData.sessionId !== sessionId) {
-        return false;
-      }
-
-      // Verify HMAC signature
+      // Verify HMAC signature and session before using the token up
       const decodedToken = Buffer.from(token, 'base64').toString();
       const parts = decodedToken.split(':');
       if (parts.length !== 4) {
@@ -70,9 +68,13 @@ class CSRFProtection {
       }
 
       const [storedSessionId, timestamp, randomBytes, signature] = parts;
+      if (storedSessionId !== sessionId) {
+        return false;
+      }
+
       const tokenData2 = `${storedSessionId}:${timestamp}:${randomBytes}`;
       
-      const hmac = crypto.createHmac('sha256', this.secretKey);
+      const hmac = crypto.createHmac('sha256', await this.getSecret());
       hmac.update(tokenData2);
       const expectedSignature = hmac.digest('hex');
 
@@ -80,9 +82,13 @@ class CSRFProtection {
         return false;
       }
 
-      // Token is valid - remove it (one-time use)
-      this.tokens.delete(token);
-      return true;
+      // Taking the token makes it one-time use across every worker
+      const tokenData = await this.state.take(`csrf:token:${token}`);
+      if (!tokenData) {
+        return false;
+      }
+
+      return tokenData.sessionId === sessionId && Date.now() <= tokenData.expires;
 
     } catch (error) {
       logger.warn('CSRF token validation error', { error: error.message });
@@ -90,22 +96,6 @@ class CSRFProtection {
     }
   }
 
-  cleanupExpiredTokens() {
-    const now = Date.now();
-    let cleaned = 0;
-    
-    for (const [token, data] of this.tokens.entries()) {
-      if (now > data.expires) {
-        this.tokens.delete(token);
-        cleaned++;
-      }
-    }
-    
-    if (cleaned > 0) {
-      logger.debug(`🍌 Cleaned up ${cleaned} expired CSRF tokens`);
-    }
-  }
-
   // Middleware for generating CSRF tokens
   tokenMiddleware() {
     return (req, res, next) => {
@@ -115,7 +105,7 @@ class CSRFProtection {
         req.session.id = crypto.randomUUID();
       }
 
-      // Generate CSRF token
+      // Generate CSRF token (resolves to the token)
       req.csrfToken = () => this.generateToken(req.session.id);
       
       next();
@@ -124,25 +114,25 @@ class CSRFProtection {
 
   // Middleware for validating CSRF tokens
   validateMiddleware() {
-    return (req, res, next) => {
+    return async (req, res, next) => {
       // Skip CSRF for GET, HEAD, OPTIONS (safe methods)
       if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
         return next();
       }
 
-      // Skip for API endpoints with API key auth (different protection mechanism)
-      if (req.apiKey) {
+      // Session-cookie requests still need the token
+      if (headerAuthenticated(req)) {
         return next();
       }
 
       const token = req.headers['x-csrf-token'] || 
                    req.headers['csrf-token'] || 
-                   req.body._csrf ||
+                   req.body?._csrf ||
                    req.query._csrf;
 
       const sessionId = req.session?.id;
 
-      if (!this.validateToken(token, sessionId)) {
+      if (!(await this.validateToken(token, sessionId))) {
         logger.warn('🚨 CSRF token validation failed', {
           ip: req.ip,
           method: req.method,
@@ -171,6 +161,11 @@ class CSRFProtection {
         return next();
       }
 
+      // API clients and SDKs send no Origin; only cookie-borne requests need one
+      if (headerAuthenticated(req)) {
+        return next();
+      }
+
       const origin = req.get('Origin');
       const referer = req.get('Referer');
       const host = req.get('Host');
@@ -220,11 +215,12 @@ class CSRFProtection {
     };
   }
 
-  getStats() {
+  async getStats() {
     return {
-      activeTokens: this.tokens.size,
-      secretKeySet: !!this.secretKey,
-      tokenTimeout: this.tokenTimeout
+      activeTokens: (await this.state.keys('csrf:token:')).length,
+      secretKeySet: !!(await this.getSecret()),
+      tokenTimeout: this.tokenTimeout,
+      storage: this.state.provider
     };
   }
 }
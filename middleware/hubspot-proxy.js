@@ -0,0 +1,257 @@
+const logger = require('../shared/logger');
+const { safeParse } = require('../shared/safe-json');
+const { requestPriority } = require('../shared/hubspot-scheduler');
+const { ROLE_TIERS, isAdmin } = require('../shared/auth-policy');
+
+// Request headers worth sending on to HubSpot; auth is always the hub's own token
+const FORWARDED_REQUEST_HEADERS = [
+  'accept',
+  'accept-encoding',
+  'accept-language',
+  'content-type',
+  'content-length',
+  'if-match',
+  'if-none-match',
+  'if-modified-since',
+  'if-unmodified-since',
+  'range'
+];
+
+const FORWARDED_RESPONSE_HEADERS = [
+  'content-type',
+  'content-length',
+  'content-encoding',
+  'content-disposition',
+  'content-range',
+  'accept-ranges',
+  'etag',
+  'last-modified',
+  'cache-control',
+  'expires',
+  'link',
+  'location',
+  'retry-after',
+  'x-hubspot-correlation-id'
+];
+
+// Headers that point back at HubSpot and are rewritten to point at the proxy
+const URL_HEADERS = ['link', 'location'];
+
+/**
+ * 🍌 BANANA-POWERED HUBSPOT PROXY 🍌
+ *
+ * Reverse proxy to the HubSpot API for paths the hub has no endpoint for:
+ * - Query strings, status codes and caching/pagination headers pass through
+ * - Request bodies other than JSON (Files API multipart uploads) and all
+ *   response bodies are streamed, never buffered
+ * - HubSpot path prefixes are allowed or denied per tier of the caller's roles
+ * - Requests go through the HubSpot scheduler like every other HubSpot call
+ */
+class HubSpotProxy {
+  constructor(authHandler, options = {}) {
+    this.client = authHandler.hubspotClient;
+
+    // Path prefix rules by tier or role; deny wins over allow and '*' allows everything
+    const tierRules = {
+      basic: {
+        allow: ['/crm/v3/objects/contacts'],
+        deny: []
+      },
+      premium: {
+        allow: ['*'],
+        deny: ['/oauth', '/account-info', '/settings', '/webhooks', '/integrations', '/appinstalls']
+      },
+      admin: {
+        allow: ['*'],
+        deny: []
+      }
+    };
+    const overrides = options.tierRules || safeParse(process.env.HUBSPOT_PROXY_RULES, {}) || {};
+
+    this.tierRules = Object.fromEntries(Object.entries({ ...tierRules, ...overrides }).map(([tier, rules]) => [
+      tier,
+      {
+        allow: (rules.allow || []).map(normalizePrefix),
+        deny: (rules.deny || []).map(normalizePrefix)
+      }
+    ]));
+
+    logger.info('🍌 HubSpot proxy initialized', { tierRules: this.tierRules });
+  }
+
+  // The rule sets a principal's roles reach: admins get the admin rules, any
+  // other role its own rules if it has some and its tier's otherwise
+  rulesFor(principal) {
+    if (isAdmin(principal)) return ['admin'];
+    const names = (principal?.roles || []).map(role => this.tierRules[role] ? role : ROLE_TIERS[role]);
+    return [...new Set(names.filter(name => this.tierRules[name]))];
+  }
+
+  /**
+   * Whether a principal may reach a HubSpot path; any of its roles may allow it
+   * @param {Object} principal - See createPrincipal
+   * @param {string} path - Normalized HubSpot path
+   * @returns {{allowed: boolean, reason?: string}}
+   */
+  checkAccess(principal, path) {
+    const names = this.rulesFor(principal);
+    if (!names.length) {
+      return { allowed: false, reason: `No HubSpot proxy rules for role ${principal?.roles?.join(', ') || 'none'}` };
+    }
+
+    const decisions = names.map(name => {
+      const rules = this.tierRules[name];
+      const denied = rules.deny.find(prefix => matchesPrefix(path, prefix));
+      if (denied) {
+        return { allowed: false, reason: `HubSpot path ${path} is denied for tier ${name} (${denied})` };
+      }
+      if (!rules.allow.some(prefix => matchesPrefix(path, prefix))) {
+        return { allowed: false, reason: `HubSpot path ${path} is not allowed for tier ${name}` };
+      }
+      return { allowed: true };
+    });
+    return decisions.find(decision => decision.allowed) || decisions[0];
+  }
+
+  middleware() {
+    return async (req, res) => {
+      // Resolve dot segments and encoded dots before the path is checked, so it can't escape its prefix
+      const url = new URL(req.url, 'http://hubspot.invalid');
+      const path = url.pathname;
+      const access = this.checkAccess(req.principal, path.toLowerCase());
+      if (!access.allowed) {
+        logger.warn('🍌 HubSpot proxy request denied', { path, roles: req.principal?.roles, user: req.principal?.name });
+        return res.status(403).json({
+          success: false,
+          error: 'HubSpot path not allowed',
+          message: access.reason,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      logger.info(`Proxying HubSpot ${req.method} request to ${path}`);
+
+      const abortController = new AbortController();
+      res.on('close', () => {
+        if (!res.writableEnded) abortController.abort();
+      });
+
+      let response;
+      try {
+        response = await this.client.request({
+          method: req.method,
+          url: path + url.search,
+          headers: this.requestHeaders(req),
+          data: this.requestBody(req),
+          responseType: 'stream',
+          // Pass encoded bodies and redirects through as HubSpot sent them
+          decompress: false,
+          maxRedirects: 0,
+          maxBodyLength: Infinity,
+          maxContentLength: Infinity,
+          signal: abortController.signal,
+          priority: requestPriority(req)
+        });
+      } catch (error) {
+        if (!error.response) {
+          return this.sendUpstreamError(req, res, error);
+        }
+        // HubSpot's own errors, 304s and redirects go back to the caller as they are
+        response = error.response;
+      }
+
+      this.sendResponse(req, res, response);
+    };
+  }
+
+  requestHeaders(req) {
+    const headers = {};
+    for (const name of FORWARDED_REQUEST_HEADERS) {
+      if (req.headers[name] !== undefined) {
+        headers[name] = req.headers[name];
+      }
+    }
+
+    // The body is re-serialized from the parsed JSON, so its length may differ
+    if (req._body) {
+      delete headers['content-length'];
+    }
+    // Without this axios would ask for gzip the caller never accepted
+    headers['accept-encoding'] = headers['accept-encoding'] || 'identity';
+
+    return headers;
+  }
+
+  // Parsed JSON is re-sent; any other body is streamed straight from the caller
+  requestBody(req) {
+    if (req._body) {
+      return req.body;
+    }
+    if (req.headers['transfer-encoding'] !== undefined || parseInt(req.headers['content-length']) > 0) {
+      return req;
+    }
+    return undefined;
+  }
+
+  sendResponse(req, res, response) {
+    const proxyBase = `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+    res.status(response.status);
+    for (const [name, value] of Object.entries(response.headers)) {
+      const header = name.toLowerCase();
+      if (!FORWARDED_RESPONSE_HEADERS.includes(header) && !header.startsWith('x-hubspot-ratelimit-')) continue;
+
+      res.setHeader(header, URL_HEADERS.includes(header) ?
+        String(value).split(this.client.defaults.baseURL).join(proxyBase) :
+        value);
+    }
+
+    // The body streams through untouched, so it must skip response compression
+    res.disableCompression?.();
+
+    response.data.on('error', error => {
+      logger.error('🍌 HubSpot proxy response stream failed', { path: req.path, error: error.message });
+      res.destroy(error);
+    });
+    response.data.pipe(res);
+  }
+
+  sendUpstreamError(req, res, error) {
+    if (abortedByCaller(error)) return;
+
+    const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+    const statusCode = error.statusCode || (timedOut ? 504 : 502);
+
+    logger.error('🍌 HubSpot proxy request failed', {
+      path: req.path,
+      method: req.method,
+      code: error.code,
+      error: error.message
+    });
+
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(statusCode).json({
+      success: false,
+      error: timedOut ? 'HubSpot request timed out' : 'HubSpot request failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+function normalizePrefix(prefix) {
+  return prefix === '*' ? prefix : '/' + prefix.toLowerCase().replace(/^\/+|\/+$/g, '');
+}
+
+// Whole path segments only: /crm/v3 matches /crm/v3/objects but not /crm/v30
+function matchesPrefix(path, prefix) {
+  return prefix === '*' || path === prefix || path.startsWith(prefix + '/');
+}
+
+function abortedByCaller(error) {
+  return error.code === 'ERR_CANCELED' || error.name === 'CanceledError';
+}
+
+module.exports = HubSpotProxy;
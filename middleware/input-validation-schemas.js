@@ -1,8 +1,80 @@
 const Joi = require('joi');
 const logger = require('../shared/logger');
 
+const SEARCH_OPERATORS = ['EQ', 'NEQ', 'LT', 'LTE', 'GT', 'GTE', 'BETWEEN', 'IN', 'NOT_IN', 'HAS_PROPERTY', 'NOT_HAS_PROPERTY', 'CONTAINS_TOKEN', 'NOT_CONTAINS_TOKEN'];
+// Batch actions whose inputs carry properties, and whether HubSpot requires the required ones
+const PROPERTY_ACTIONS = { create: true, update: false, upsert: false };
+
 class InputValidationSchemas {
   constructor() {
+    // Anthropic message content: plain text or text/image/tool blocks
+    const anthropicTextBlock = Joi.object({
+      type: Joi.string().valid('text').required(),
+      text: Joi.string().allow('').required()
+    });
+
+    const anthropicContentBlock = Joi.alternatives().conditional('.type', {
+      switch: [
+        { is: 'text', then: anthropicTextBlock },
+        {
+          is: 'image',
+          then: Joi.object({
+            type: Joi.string().valid('image').required(),
+            source: Joi.object({
+              type: Joi.string().valid('base64').required(),
+              media_type: Joi.string().valid('image/jpeg', 'image/png', 'image/gif', 'image/webp').required(),
+              data: Joi.string().base64().required()
+            }).required()
+          })
+        },
+        {
+          is: 'tool_use',
+          then: Joi.object({
+            type: Joi.string().valid('tool_use').required(),
+            id: Joi.string().max(100).required(),
+            name: Joi.string().max(64).required(),
+            input: Joi.object().unknown(true).required()
+          })
+        },
+        {
+          is: 'tool_result',
+          then: Joi.object({
+            type: Joi.string().valid('tool_result').required(),
+            tool_use_id: Joi.string().max(100).required(),
+            content: Joi.alternatives().try(Joi.string().allow(''), Joi.array().items(anthropicTextBlock)).optional(),
+            is_error: Joi.boolean().optional()
+          })
+        }
+      ],
+      otherwise: Joi.forbidden()
+    });
+
+    const anthropicTool = Joi.object({
+      name: Joi.string().pattern(/^[a-zA-Z0-9_-]{1,64}$/).required(),
+      description: Joi.string().max(4096).optional(),
+      input_schema: Joi.object({
+        type: Joi.string().valid('object').required()
+      }).unknown(true).required()
+    });
+
+    // A webhook event type (contact.propertyChange, contact.* or *), optionally with field values to match
+    const webhookEventType = Joi.string().pattern(/^(\*|[a-z_]+\.(\*|[A-Za-z_]+))$/);
+    const webhookEventFilter = Joi.alternatives().try(
+      webhookEventType,
+      Joi.object({
+        type: webhookEventType.required(),
+        where: Joi.object().pattern(
+          Joi.string().max(100),
+          Joi.alternatives().try(
+            Joi.string().max(500),
+            Joi.number(),
+            Joi.boolean(),
+            Joi.array().items(Joi.string().max(500), Joi.number(), Joi.boolean()).min(1).max(100)
+          )
+        ).optional()
+      })
+    );
+
     this.schemas = {
       // HubSpot API endpoints
       hubspotContact: Joi.object({
@@ -15,13 +87,43 @@ class InputValidationSchemas {
         properties: Joi.object().optional()
       }),
 
+      // Any number of inputs; the batch service splits them into HubSpot's 100-record calls
       hubspotBatch: Joi.object({
         inputs: Joi.array().items(
           Joi.object({
-            properties: Joi.object().required(),
+            id: Joi.alternatives().try(Joi.string(), Joi.number()).optional(),
+            idProperty: Joi.string().max(100).optional(),
+            objectWriteTraceId: Joi.string().max(100).optional(),
+            properties: Joi.object().unknown(true).optional(),
             associations: Joi.array().optional()
           })
-        ).min(1).max(100).required()
+        ).min(1).required(),
+        properties: Joi.array().items(Joi.string()).optional(),
+        propertiesWithHistory: Joi.array().items(Joi.string()).optional(),
+        idProperty: Joi.string().max(100).optional(),
+        archived: Joi.boolean().optional(),
+        concurrency: Joi.number().integer().min(1).max(10).optional(),
+        background: Joi.boolean().optional()
+      }),
+
+      crmMirrorSync: Joi.object({
+        objectTypes: Joi.array().items(Joi.string().pattern(/^[A-Za-z0-9_-]+$/)).min(1).optional()
+      }),
+
+      duplicatesQuery: Joi.object({
+        objectType: Joi.string().valid('contacts', 'companies').default('contacts'),
+        refresh: Joi.boolean().default(false),
+        minConfidence: Joi.number().min(0).max(1).default(0),
+        limit: Joi.number().integer().min(1).max(500).default(100)
+      }),
+
+      duplicatesMerge: Joi.object({
+        primaryId: Joi.string().pattern(/^\d+$/).optional(),
+        ids: Joi.array().items(Joi.string().pattern(/^\d+$/)).min(1).unique().optional()
+      }),
+
+      duplicatesReject: Joi.object({
+        ids: Joi.array().items(Joi.string().pattern(/^\d+$/)).min(2).unique().optional()
       }),
 
       hubspotGraphQL: Joi.object({
@@ -37,12 +139,123 @@ class InputValidationSchemas {
         messages: Joi.array().items(
           Joi.object({
             role: Joi.string().valid('user', 'assistant').required(),
-            content: Joi.string().required()
+            content: Joi.alternatives().try(
+              Joi.string(),
+              Joi.array().items(anthropicContentBlock).min(1)
+            ).required()
           })
         ).min(1).required(),
-        system: Joi.string().optional(),
+        system: Joi.alternatives().try(
+          Joi.string(),
+          Joi.array().items(Joi.object({
+            type: Joi.string().valid('text').required(),
+            text: Joi.string().required()
+          }))
+        ).optional(),
         temperature: Joi.number().min(0).max(1).optional(),
-        stop_sequences: Joi.array().items(Joi.string()).max(4).optional()
+        stop_sequences: Joi.array().items(Joi.string()).max(4).optional(),
+        stream: Joi.boolean().optional(),
+        tools: Joi.array().items(anthropicTool).max(64).optional(),
+        tool_choice: Joi.object({
+          type: Joi.string().valid('auto', 'any', 'tool', 'none').required(),
+          name: Joi.string().when('type', { is: 'tool', then: Joi.required(), otherwise: Joi.forbidden() })
+        }).optional()
+      }),
+
+      anthropicFeedback: Joi.object({
+        routingId: Joi.string().guid().required(),
+        rating: Joi.string().valid('good', 'bad').required(),
+        comment: Joi.string().max(1000).optional()
+      }),
+
+      // OpenAI-compatible endpoints; unsupported OpenAI parameters are stripped
+      openaiChatCompletion: Joi.object({
+        model: Joi.string().max(200).required(),
+        messages: Joi.array().items(
+          Joi.object({
+            role: Joi.string().valid('system', 'developer', 'user', 'assistant', 'tool').required(),
+            content: Joi.alternatives().try(
+              Joi.string().allow(''),
+              Joi.array().items(Joi.object({ type: Joi.string().required() }).unknown(true))
+            ).allow(null),
+            name: Joi.string().max(64).optional(),
+            tool_calls: Joi.array().items(Joi.object({
+              id: Joi.string().required(),
+              type: Joi.string().valid('function').required(),
+              function: Joi.object({
+                name: Joi.string().required(),
+                arguments: Joi.string().allow('').required()
+              }).required()
+            })).optional(),
+            tool_call_id: Joi.string().when('role', { is: 'tool', then: Joi.required(), otherwise: Joi.forbidden() })
+          })
+        ).min(1).required(),
+        max_tokens: Joi.number().integer().min(1).max(4096).optional(),
+        max_completion_tokens: Joi.number().integer().min(1).max(4096).optional(),
+        temperature: Joi.number().min(0).max(2).optional(),
+        top_p: Joi.number().min(0).max(1).optional(),
+        stop: Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string()).max(4)).optional(),
+        n: Joi.number().integer().valid(1).optional(),
+        stream: Joi.boolean().optional(),
+        stream_options: Joi.object({ include_usage: Joi.boolean() }).optional(),
+        tools: Joi.array().items(Joi.object({
+          type: Joi.string().valid('function').required(),
+          function: Joi.object({
+            name: Joi.string().pattern(/^[a-zA-Z0-9_-]{1,64}$/).required(),
+            description: Joi.string().allow('').max(1024).optional(),
+            parameters: Joi.object().unknown(true).optional()
+          }).required()
+        })).max(64).optional(),
+        tool_choice: Joi.alternatives().try(
+          Joi.string().valid('auto', 'none', 'required'),
+          Joi.object({
+            type: Joi.string().valid('function').required(),
+            function: Joi.object({ name: Joi.string().required() }).required()
+          })
+        ).optional(),
+        user: Joi.string().max(256).optional()
+      }),
+
+      openaiCompletion: Joi.object({
+        model: Joi.string().max(200).required(),
+        prompt: Joi.alternatives().try(
+          Joi.string().allow(''),
+          Joi.array().items(Joi.string().allow('')).length(1)
+        ).required(),
+        max_tokens: Joi.number().integer().min(1).max(4096).optional(),
+        temperature: Joi.number().min(0).max(2).optional(),
+        top_p: Joi.number().min(0).max(1).optional(),
+        stop: Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string()).max(4)).optional(),
+        n: Joi.number().integer().valid(1).optional(),
+        stream: Joi.boolean().optional(),
+        stream_options: Joi.object({ include_usage: Joi.boolean() }).optional(),
+        user: Joi.string().max(256).optional()
+      }),
+
+      openaiEmbedding: Joi.object({
+        model: Joi.string().max(200).required(),
+        input: Joi.alternatives().try(
+          Joi.string().min(1),
+          Joi.array().items(Joi.string().min(1)).min(1).max(256)
+        ).required(),
+        encoding_format: Joi.string().valid('float', 'base64').optional(),
+        user: Joi.string().max(256).optional()
+      }),
+
+      // Background jobs; each job type checks its own payload
+      jobCreate: Joi.object({
+        type: Joi.string().max(100).required(),
+        payload: Joi.object().unknown(true).default({}),
+        maxAttempts: Joi.number().integer().min(1).max(10).optional()
+      }),
+
+      dataQualityRun: Joi.object({
+        objectTypes: Joi.array().items(Joi.string().pattern(/^[A-Za-z0-9_-]+$/)).optional(),
+        rules: Joi.array().items(Joi.string().max(100)).optional(),
+        source: Joi.string().valid('auto', 'mirror', 'search').default('auto'),
+        fix: Joi.boolean().default(false),
+        dryRun: Joi.boolean().default(false),
+        background: Joi.boolean().default(false)
       }),
 
       // Admin endpoints
@@ -72,14 +285,50 @@ class InputValidationSchemas {
         detailed: Joi.boolean().default(false).optional()
       }),
 
-      // Webhook endpoints
+      // Outbound webhook subscriptions
       webhookSubscription: Joi.object({
-        url: Joi.string().uri().required(),
-        events: Joi.array().items(
-          Joi.string().valid('contact.created', 'contact.updated', 'contact.deleted', 'deal.created', 'deal.updated')
-        ).min(1).required(),
-        active: Joi.boolean().default(true).optional(),
-        maxConcurrency: Joi.number().integer().min(1).max(10).default(3).optional()
+        url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2000).required(),
+        events: Joi.array().items(webhookEventFilter).min(1).max(50).required(),
+        secret: Joi.string().min(16).max(200).optional(),
+        description: Joi.string().max(500).optional(),
+        active: Joi.boolean().default(true)
+      }),
+
+      webhookSubscriptionUpdate: Joi.object({
+        url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2000).optional(),
+        events: Joi.array().items(webhookEventFilter).min(1).max(50).optional(),
+        secret: Joi.string().min(16).max(200).optional(),
+        rotateSecret: Joi.boolean().optional(),
+        description: Joi.string().max(500).allow(null).optional(),
+        active: Joi.boolean().optional()
+      }).min(1).oxor('secret', 'rotateSecret'),
+
+      webhookReplay: Joi.object({
+        deliveryIds: Joi.array().items(Joi.string().pattern(/^dlv_[a-f0-9]{16}$/)).min(1).max(1000).unique().optional()
+      }),
+
+      // API key lifecycle; scopes and IP ranges are checked in depth by APIKeyAuth
+      apiKeyUpdate: Joi.object({
+        name: Joi.string().min(1).max(100).optional(),
+        description: Joi.string().max(500).allow('').optional(),
+        tier: Joi.string().valid('basic', 'premium', 'admin').optional(),
+        isActive: Joi.boolean().optional(),
+        expiresAt: Joi.date().iso().allow(null).optional(),
+        scopes: Joi.array().items(Joi.string().max(300)).min(1).max(100).allow(null).optional(),
+        allowedIps: Joi.array().items(Joi.string().ip({ cidr: 'optional' })).min(1).max(100).allow(null).optional(),
+        rateLimit: Joi.number().integer().min(1).max(100000).optional(),
+        aiBudget: Joi.object().unknown(true).allow(null).optional()
+      }).min(1),
+
+      // A key rotating itself keeps its expiry; only admins set the successor's
+      apiKeyRotate: Joi.object({
+        gracePeriod: Joi.number().integer().min(0).max(30 * 24 * 60 * 60).optional(),
+        expiresAt: Joi.forbidden()
+      }),
+
+      apiKeyAdminRotate: Joi.object({
+        gracePeriod: Joi.number().integer().min(0).max(30 * 24 * 60 * 60).optional(),
+        expiresAt: Joi.date().iso().allow(null).optional()
       }),
 
       // File upload validation
@@ -129,9 +378,14 @@ class InputValidationSchemas {
     return this.schemas[schemaName] || null;
   }
 
-  // Validate data against schema
+  // HubSpot object types and property definitions, custom objects included, for validateHubSpotObject
+  useSchemaRegistry(schemaRegistry) {
+    this.schemaRegistry = schemaRegistry;
+  }
+
+  // Validate data against a named schema, or a Joi schema built on the fly
   validate(data, schemaName, options = {}) {
-    const schema = this.getSchema(schemaName);
+    const schema = Joi.isSchema(schemaName) ? schemaName : this.getSchema(schemaName);
     if (!schema) {
       throw new Error(`Schema '${schemaName}' not found`);
     }
@@ -192,6 +446,149 @@ class InputValidationSchemas {
     };
   }
 
+  /**
+   * Middleware factory for HubSpot object routes: resolves `req.params.objectType`
+   * through the schema registry (so p_myobject and 2-12345 work) and checks the
+   * body against the object's real property definitions
+   * @param {string} operation - search, create, update, batch (by req.params.action) or read
+   */
+  validateHubSpotObject(operation) {
+    return (req, res, next) => {
+      // Mirror searches are answered and checked by the mirror
+      if (operation === 'search' && req.query.source === 'mirror') {
+        return next();
+      }
+
+      this.validateHubSpotPayload(req, operation).then(() => next(), (error) => {
+        const statusCode = error.isValidationError ? 400 : error.statusCode || 500;
+        logger.warn('HubSpot object validation failed', {
+          operation,
+          objectType: req.params.objectType,
+          endpoint: req.originalUrl,
+          error: error.message
+        });
+
+        res.status(statusCode).json({
+          success: false,
+          error: error.isValidationError ? 'Invalid request data' : error.message,
+          message: error.message,
+          details: error.validationDetails || [],
+          timestamp: new Date().toISOString()
+        });
+      });
+    };
+  }
+
+  async validateHubSpotPayload(req, operation) {
+    if (!this.schemaRegistry) {
+      if (!/^[A-Za-z0-9_-]+$/.test(req.params.objectType)) {
+        const error = new Error('Invalid object type');
+        error.statusCode = 400;
+        throw error;
+      }
+      return;
+    }
+
+    const objectType = await this.schemaRegistry.require(req.params.objectType);
+    req.params.objectType = objectType.objectType;
+    if (operation === 'read' || (operation === 'batch' && !(req.params.action in PROPERTY_ACTIONS))) {
+      return;
+    }
+
+    let definitions;
+    try {
+      definitions = await this.schemaRegistry.getProperties(objectType.objectType);
+    } catch (error) {
+      // HubSpot still validates; better unchecked than refused while the properties API is down
+      logger.warn(`Sending ${objectType.objectType} ${operation} without property checks`, { error: error.message });
+      return;
+    }
+    if (definitions.size === 0) return;
+
+    let schema;
+    if (operation === 'search') {
+      schema = this.hubspotSearchSchema(definitions);
+    } else if (operation === 'batch') {
+      const properties = this.hubspotPropertiesSchema(definitions, PROPERTY_ACTIONS[req.params.action] ? objectType.requiredProperties : []);
+      schema = Joi.object({
+        inputs: Joi.array().items(Joi.object({ properties: properties.required() }).unknown(true))
+      }).unknown(true);
+    } else {
+      const properties = this.hubspotPropertiesSchema(definitions, operation === 'create' ? objectType.requiredProperties : []);
+      schema = Joi.object({
+        properties: properties.required(),
+        associations: Joi.array().optional()
+      });
+    }
+
+    // Property values go to HubSpot as sent, so nothing is converted
+    req.body = this.validate(req.body, schema, { stripUnknown: false, convert: false });
+  }
+
+  // Property values by HubSpot property type; read-only and calculated properties can't be written
+  hubspotPropertiesSchema(definitions, requiredProperties = []) {
+    const keys = {};
+    definitions.forEach((definition, name) => {
+      let schema;
+      if (definition.readOnly || definition.calculated) {
+        schema = Joi.forbidden().messages({ 'any.unknown': `{{#label}} is read-only` });
+      } else if (definition.type === 'number') {
+        schema = Joi.alternatives().try(Joi.number(), Joi.string().pattern(/^-?\d+(\.\d+)?$/).allow(''));
+      } else if (definition.type === 'bool') {
+        schema = Joi.alternatives().try(Joi.boolean(), Joi.string().valid('true', 'false', ''));
+      } else if (definition.type === 'date' || definition.type === 'datetime') {
+        schema = Joi.alternatives().try(Joi.number().integer(), Joi.string().isoDate(), Joi.string().valid(''));
+      } else if (definition.type === 'enumeration' && definition.options.length > 0) {
+        schema = definition.fieldType === 'checkbox'
+          // Multiple checkboxes take ;-separated options
+          ? Joi.string().allow('').custom((value, helpers) => (
+            value.split(';').every(option => definition.options.includes(option)) ? value : helpers.error('any.only')
+          )).messages({ 'any.only': `{{#label}} must be one or more of [${definition.options.join(', ')}], separated by ;` })
+          : Joi.string().valid(...definition.options, '');
+      } else {
+        schema = Joi.alternatives().try(Joi.string().allow(''), Joi.number());
+      }
+      keys[name] = requiredProperties.includes(name) ? schema.required() : schema.allow(null);
+    });
+    return Joi.object(keys);
+  }
+
+  // HubSpot search request whose property names, and enumeration filter values, exist on the object
+  hubspotSearchSchema(definitions) {
+    // Filters may also match on associated records, e.g. associations.company
+    const propertyName = Joi.string().custom((value, helpers) => (
+      definitions.has(value) || /^associations\.[A-Za-z0-9_-]+$/.test(value) ? value : helpers.error('any.invalid')
+    )).messages({ 'any.invalid': '{{#label}} is not a property of this object' });
+
+    const filter = Joi.object({
+      propertyName: propertyName.required(),
+      operator: Joi.string().valid(...SEARCH_OPERATORS).required(),
+      value: Joi.alternatives().try(Joi.string().allow(''), Joi.number(), Joi.boolean()).optional(),
+      highValue: Joi.alternatives().try(Joi.string(), Joi.number()).optional(),
+      values: Joi.array().items(Joi.alternatives().try(Joi.string(), Joi.number())).optional()
+    }).custom((value, helpers) => {
+      const definition = definitions.get(value.propertyName);
+      if (definition?.type !== 'enumeration' || definition.options.length === 0 || !['EQ', 'NEQ', 'IN', 'NOT_IN'].includes(value.operator)) {
+        return value;
+      }
+      const unknown = [value.value, ...(value.values || [])]
+        .filter(option => option !== undefined && !definition.options.includes(String(option)));
+      return unknown.length > 0 ? helpers.message(`${value.propertyName} has no option ${unknown.join(', ')}`) : value;
+    });
+
+    return Joi.object({
+      filterGroups: Joi.array().items(Joi.object({ filters: Joi.array().items(filter).required() })).optional(),
+      sorts: Joi.array().items(Joi.alternatives().try(
+        propertyName,
+        Joi.object({ propertyName: propertyName.required(), direction: Joi.string().valid('ASCENDING', 'DESCENDING').optional() })
+      )).optional(),
+      properties: Joi.array().items(propertyName).optional(),
+      query: Joi.string().allow('').optional(),
+      limit: Joi.number().integer().min(1).max(200).optional(),
+      after: Joi.alternatives().try(Joi.string(), Joi.number()).optional()
+    }).unknown(true);
+  }
+
   // Extract data from request based on source
   extractDataFromRequest(req, source) {
     switch (source) {
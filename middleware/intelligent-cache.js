@@ -1,5 +1,6 @@
 const logger = require('../shared/logger');
 const { performance } = require('perf_hooks');
+const { getSharedState } = require('../shared/shared-state');
 
 class IntelligentCache {
   constructor(options = {}) {
@@ -18,6 +19,7 @@ class IntelligentCache {
     // Statistics
     this.stats = {
       hits: 0,
+      sharedHits: 0,
       misses: 0,
       sets: 0,
       deletes: 0,
@@ -35,9 +37,14 @@ class IntelligentCache {
     
     // Advanced features
     this.compression = options.compression || false;
-    this.distributed = options.distributed || false;
     this.analytics = options.analytics || true;
     
+    // With a distributed shared state this cache is the worker's copy of it:
+    // sets and deletes go through, misses are looked up there
+    const sharedState = options.sharedState || getSharedState();
+    this.shared = sharedState.distributed ? sharedState : null;
+    this.distributed = !!this.shared;
+    
     // Start maintenance processes
     this.startCleanupProcess();
     this.startAnalytics();
@@ -67,7 +74,7 @@ class IntelligentCache {
     
     // Check if expired
     if (entry.expiresAt && Date.now() > entry.expiresAt) {
-      this.delete(key);
+      this.deleteLocal(key);
       this.stats.misses++;
       this.updateHitRate();
       return null;
@@ -98,8 +105,45 @@ class IntelligentCache {
     return entry.value;
   }
 
-  // Set value in cache
+  /**
+   * Get a value, from the shared state when this worker doesn't have it
+   * @returns {Promise<*>} null on a miss
+   */
+  async fetch(key) {
+    const value = this.get(key);
+    if (value !== null || !this.shared) {
+      return value;
+    }
+    
+    const entry = await this.shared.get(`cache:${key}`).catch(error => {
+      logger.warn('🍌 Shared cache lookup failed', { error: error.message });
+      return null;
+    });
+    if (!entry) {
+      return null;
+    }
+    
+    // Keep it here for what's left of its TTL
+    this.stats.sharedHits++;
+    this.setLocal(key, entry.value, entry.expiresAt ? Math.max(1, entry.expiresAt - Date.now()) : null);
+    return entry.value;
+  }
+
+  // Set value in cache, and in the shared state for the other workers
   set(key, value, ttl = this.defaultTTL) {
+    this.setLocal(key, value, ttl);
+    
+    if (this.shared) {
+      const expiresAt = ttl ? Date.now() + ttl : null;
+      this.shared.set(`cache:${key}`, { value, expiresAt }, ttl || undefined)
+        .catch(error => logger.warn('🍌 Shared cache write failed', { error: error.message }));
+    }
+    
+    return true;
+  }
+
+  // Set value in this worker's cache only
+  setLocal(key, value, ttl = this.defaultTTL) {
     const startTime = performance.now();
     
     // Check memory pressure before adding
@@ -159,8 +203,17 @@ class IntelligentCache {
     return true;
   }
 
-  // Delete entry from cache
+  // Delete entry from cache, and from the shared state
   delete(key) {
+    if (this.shared) {
+      this.shared.delete(`cache:${key}`)
+        .catch(error => logger.warn('🍌 Shared cache delete failed', { error: error.message }));
+    }
+    return this.deleteLocal(key);
+  }
+
+  // Delete entry from this worker's cache only; expiry and eviction are local
+  deleteLocal(key) {
     const entry = this.cache.get(key);
     if (entry) {
       this.cache.delete(key);
@@ -184,7 +237,7 @@ class IntelligentCache {
     
     // Check if expired
     if (entry.expiresAt && Date.now() > entry.expiresAt) {
-      this.delete(key);
+      this.deleteLocal(key);
       return false;
     }
     
@@ -193,6 +246,12 @@ class IntelligentCache {
 
   // Clear all cache entries
   clear() {
+    if (this.shared) {
+      this.shared.keys('cache:')
+        .then(keys => Promise.all(keys.map(key => this.shared.delete(key))))
+        .catch(error => logger.warn('🍌 Shared cache clear failed', { error: error.message }));
+    }
+    
     const entriesCleared = this.cache.size;
     this.cache.clear();
     this.accessTimes.clear();
@@ -249,7 +308,7 @@ class IntelligentCache {
     }
     
     if (lruKey) {
-      this.delete(lruKey);
+      this.deleteLocal(lruKey);
       this.stats.evictions++;
       
       logger.debug('🍌 Cache LRU eviction', {
@@ -281,7 +340,7 @@ class IntelligentCache {
     for (const [key] of sortedEntries) {
       if (evicted >= entriesToEvict) break;
       
-      this.delete(key);
+      this.deleteLocal(key);
       evicted++;
       this.stats.memoryPressureEvictions++;
     }
@@ -324,7 +383,7 @@ class IntelligentCache {
   startCleanupProcess() {
     setInterval(() => {
       this.cleanup();
-    }, this.cleanupInterval);
+    }, this.cleanupInterval).unref();
     
     logger.info('🍌 Cache cleanup process started', {
       interval: this.cleanupInterval
@@ -338,7 +397,7 @@ class IntelligentCache {
     
     for (const [key, entry] of this.cache.entries()) {
       if (entry.expiresAt && now > entry.expiresAt) {
-        this.delete(key);
+        this.deleteLocal(key);
         expiredCount++;
       }
     }
@@ -357,7 +416,7 @@ class IntelligentCache {
     
     setInterval(() => {
       this.analyzePerformance();
-    }, 60000); // Every minute
+    }, 60000).unref(); // Every minute
     
     logger.info('🍌 Cache analytics started');
   }
@@ -428,14 +487,14 @@ class IntelligentCache {
     const ttl = options.ttl || this.defaultTTL;
     const skipCache = options.skipCache || (() => false);
     
-    return (req, res, next) => {
+    return async (req, res, next) => {
       // Skip cache for certain conditions
       if (skipCache(req)) {
         return next();
       }
       
       const cacheKey = keyGenerator(req);
-      const cachedData = this.get(cacheKey);
+      const cachedData = await this.fetch(cacheKey);
       
       if (cachedData) {
         // Cache hit - return cached data
@@ -2,6 +2,12 @@ const AuthHandler = require('./auth-handler');
 const AIFallbackHandler = require('./ai-fallback-handler');
 const AdminAuth = require('./admin-auth');
 const APIKeyAuth = require('./api-key-auth');
+const BananaRequestSigning = require('./banana-request-signing');
+const { createAuthPipeline, signingKeysFromEnv } = require('./auth-pipeline');
+const { OIDCAuth, oidcOptionsFromEnv } = require('./oidc-auth');
+const { AuthPolicy } = require('../shared/auth-policy');
+const AIUsageTracker = require('./ai-usage-tracker');
+const AICompletionCache = require('./ai-completion-cache');
 const SecurityHeadersMiddleware = require('./security-headers');
 const InputValidationMiddleware = require('./input-validation');
 const CompressionMiddleware = require('./compression');
@@ -27,11 +33,30 @@ class MiddlewareFactory {
   }
 
   createCore() {
+    const authPolicy = this.getInstance('authPolicy', () => new AuthPolicy());
+    const adminAuth = this.getInstance('adminAuth', () => new AdminAuth());
+    const apiKeyAuth = this.getInstance('apiKeyAuth', () => new APIKeyAuth({ policy: authPolicy }));
+    const requestSigning = this.getInstance('requestSigning', () => {
+      const keys = signingKeysFromEnv();
+      return keys ? new BananaRequestSigning({ keys }) : null;
+    });
+    const oidcAuth = this.getInstance('oidcAuth', () => {
+      const options = oidcOptionsFromEnv();
+      return options ? new OIDCAuth(options) : null;
+    });
+
     return {
       authHandler: this.getInstance('authHandler', () => new AuthHandler()),
       aiHandler: this.getInstance('aiHandler', () => new AIFallbackHandler()),
-      adminAuth: this.getInstance('adminAuth', () => new AdminAuth()),
-      apiKeyAuth: this.getInstance('apiKeyAuth', () => new APIKeyAuth())
+      adminAuth,
+      apiKeyAuth,
+      authPolicy,
+      requestSigning,
+      oidcAuth,
+      // Every credential type resolves to req.principal; routes only check its roles
+      authPipeline: this.getInstance('authPipeline', () =>
+        createAuthPipeline({ apiKeyAuth, adminAuth, requestSigning, oidcAuth, policy: authPolicy })),
+      aiUsageTracker: this.getInstance('aiUsageTracker', () => new AIUsageTracker())
     };
   }
 
@@ -57,6 +82,10 @@ class MiddlewareFactory {
       requestDeduplication: this.getInstance('requestDeduplication', () => 
         new RequestDeduplicationBatcher({
           intelligentCache: this.getInstance('intelligentCache', () => new IntelligentCache())
+        })),
+      aiCompletionCache: this.getInstance('aiCompletionCache', () =>
+        new AICompletionCache({
+          intelligentCache: this.getInstance('intelligentCache', () => new IntelligentCache())
         }))
     };
   }
@@ -106,13 +135,10 @@ class MiddlewareFactory {
     return this.instances.get(name);
   }
 
-  // Get helper for admin authentication
+  // Admin routes take any credential whose principal has an admin role
   getAdminAuthMiddleware() {
-    const { adminAuth } = this.createCore();
-    return adminAuth?.middleware() || ((req, res, next) => {
-      console.warn('Admin endpoint accessed without authentication - ADMIN_API_KEY not configured');
-      next();
-    });
+    const { authPolicy } = this.createCore();
+    return authPolicy.requireRole('admin');
   }
 
   // Setup interconnections between middleware
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { createRemoteJWKSet, jwtVerify } = require('jose');
+const logger = require('../shared/logger');
+const AuthManager = require('../enterprise/auth-manager');
+const { createPrincipal } = require('../shared/auth-policy');
+const { getSharedState } = require('../shared/shared-state');
+const { authError } = require('./auth-pipeline');
+
+const ROLE_IDS = AuthManager.DEFAULT_ROLES.map(role => role.id);
+
+/**
+ * 🍌 BANANA-POWERED OIDC SIGN-IN 🍌
+ *
+ * Signs people in to the admin dashboards through any OpenID Connect
+ * provider, as a relying party using the authorization code flow with PKCE:
+ * 1. startLogin sends the browser to the provider with a state, a nonce and
+ *    a code challenge, remembered in the shared state for ten minutes
+ * 2. finishLogin trades the code and its verifier for tokens, checks the ID
+ *    token against the provider's published keys, and maps its group claim
+ *    onto AuthManager roles
+ * 3. SessionSecurity keeps the resulting principal behind a session cookie,
+ *    which the auth pipeline accepts like any other credential
+ */
+class OIDCAuth {
+  /**
+   * @param {Object} options
+   * @param {string} options.issuer - Exactly as the provider's discovery document names it
+   * @param {string} options.clientId
+   * @param {string} [options.clientSecret] - For confidential clients; PKCE alone for public ones
+   * @param {string} options.redirectUri - This hub's /auth/callback, as registered with the provider
+   * @param {Object} options.groupRoles - Provider group → AuthManager role ID
+   * @param {string} [options.groupsClaim='groups'] - ID token claim listing the account's groups
+   * @param {string} [options.scope='openid profile email']
+   */
+  constructor(options = {}) {
+    if (!options.issuer || !options.clientId || !options.redirectUri) {
+      throw new Error('OIDC sign-in needs an issuer, a client ID and a redirect URI');
+    }
+    const unknown = Object.values(options.groupRoles || {}).filter(role => !ROLE_IDS.includes(role));
+    if (unknown.length) {
+      throw new Error(`OIDC group roles must be AuthManager roles (${ROLE_IDS.join(', ')}), not ${unknown.join(', ')}`);
+    }
+
+    this.issuer = options.issuer;
+    this.clientId = options.clientId;
+    this.clientSecret = options.clientSecret || null;
+    this.redirectUri = options.redirectUri;
+    this.groupRoles = options.groupRoles || {};
+    this.groupsClaim = options.groupsClaim || 'groups';
+    this.scope = options.scope || 'openid profile email';
+    this.loginTimeout = options.loginTimeout || 10 * 60 * 1000;
+    this.state = options.sharedState || getSharedState();
+    this.http = options.http || axios.create({ timeout: 10000 });
+
+    // The provider's discovery document and signing keys, fetched on first use
+    this.provider = null;
+    this.jwks = null;
+
+    logger.info('🍌 OIDC sign-in configured', { issuer: this.issuer, groups: Object.keys(this.groupRoles).length });
+  }
+
+  async discover() {
+    if (!this.provider) {
+      const { data } = await this.http.get(`${this.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+      if (data.issuer !== this.issuer) {
+        throw new Error(`OIDC discovery answered for issuer ${data.issuer}, not ${this.issuer}`);
+      }
+      this.provider = data;
+      this.jwks = createRemoteJWKSet(new URL(data.jwks_uri));
+    }
+    return this.provider;
+  }
+
+  /**
+   * Begin a sign-in
+   * @param {string} [returnTo] - Path on this hub to land on afterwards
+   * @returns {Promise<string>} The provider URL to send the browser to
+   */
+  async startLogin(returnTo) {
+    const provider = await this.discover();
+    const state = randomToken();
+    const nonce = randomToken();
+    const verifier = randomToken();
+
+    await this.state.set(`oidc:login:${state}`, { verifier, nonce, returnTo: localPath(returnTo) }, this.loginTimeout);
+
+    const url = new URL(provider.authorization_endpoint);
+    Object.entries({
+      response_type: 'code',
+      client_id: this.clientId,
+      redirect_uri: this.redirectUri,
+      scope: this.scope,
+      state,
+      nonce,
+      code_challenge: crypto.createHash('sha256').update(verifier).digest('base64url'),
+      code_challenge_method: 'S256'
+    }).forEach(([name, value]) => url.searchParams.set(name, value));
+    return url.toString();
+  }
+
+  /**
+   * Finish a sign-in from the provider's redirect back
+   * @param {Object} query - code and state, or error and error_description
+   * @returns {Promise<{principal: Object, returnTo: string}>}
+   * @throws {Error} With statusCode 400 for unknown sign-ins, 401 for refused
+   *   or invalid ones, 403 for accounts in no mapped group
+   */
+  async finishLogin({ code, state, error, error_description: errorDescription }) {
+    // Taking the state makes every sign-in usable once, on any worker
+    const login = typeof state === 'string' ? await this.state.take(`oidc:login:${state}`) : null;
+    if (!login) {
+      throw authError(400, 'Unknown or expired sign-in', { message: 'Start again at /auth/login' });
+    }
+    if (error) {
+      throw authError(401, 'Sign-in refused by the identity provider', { reason: errorDescription || error });
+    }
+    if (typeof code !== 'string' || !code) {
+      throw authError(400, 'Missing authorization code');
+    }
+
+    const claims = await this.verifyIdToken(await this.redeemCode(code, login.verifier), login.nonce);
+    const groups = [].concat(claims[this.groupsClaim] || []);
+    const roles = [...new Set(groups.map(group => this.groupRoles[group]).filter(Boolean))];
+    if (!roles.length) {
+      logger.warn('🍌 OIDC sign-in without a mapped group', { sub: claims.sub, groups });
+      throw authError(403, 'No hub role for this account', { message: `None of the account's ${this.groupsClaim} map to a role` });
+    }
+
+    const principal = createPrincipal({
+      type: 'user',
+      id: claims.sub,
+      name: claims.email || claims.preferred_username || claims.name,
+      tenant: claims.tenantId,
+      roles,
+      authMethod: 'session',
+      attributes: { issuer: claims.iss, email: claims.email, groups }
+    });
+    logger.info('🍌 OIDC sign-in', { sub: claims.sub, roles });
+    return { principal, returnTo: login.returnTo };
+  }
+
+  // Trade the authorization code and PKCE verifier for the ID token
+  async redeemCode(code, verifier) {
+    const provider = await this.discover();
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+    if (this.clientSecret) {
+      const credentials = `${encodeURIComponent(this.clientId)}:${encodeURIComponent(this.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    try {
+      const { data } = await this.http.post(provider.token_endpoint, new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: this.redirectUri,
+        client_id: this.clientId,
+        code_verifier: verifier
+      }).toString(), { headers });
+      if (!data.id_token) throw new Error('No ID token in the token response');
+      return data.id_token;
+    } catch (error) {
+      throw authError(401, 'Authorization code not accepted', {
+        reason: error.response?.data?.error_description || error.response?.data?.error || error.message
+      });
+    }
+  }
+
+  async verifyIdToken(idToken, nonce) {
+    let claims;
+    try {
+      ({ payload: claims } = await jwtVerify(idToken, this.jwks, { issuer: this.issuer, audience: this.clientId }));
+    } catch (error) {
+      throw authError(401, 'Invalid ID token', { reason: error.message });
+    }
+    if (claims.nonce !== nonce) {
+      throw authError(401, 'Invalid ID token', { reason: 'nonce does not match the sign-in' });
+    }
+    return claims;
+  }
+}
+
+function randomToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// Only paths on this hub, so a sign-in link can't bounce the browser elsewhere
+function localPath(returnTo) {
+  return typeof returnTo === 'string' && /^\/(?![/\\])/.test(returnTo) ? returnTo : '/dashboard.html';
+}
+
+/**
+ * OIDCAuth options from OIDC_ISSUER, OIDC_CLIENT_ID, OIDC_CLIENT_SECRET,
+ * OIDC_REDIRECT_URI, OIDC_GROUP_ROLES (JSON), OIDC_GROUPS_CLAIM and OIDC_SCOPES
+ * @returns {Object|null} null when OIDC_ISSUER isn't set
+ */
+function oidcOptionsFromEnv(env = process.env) {
+  if (!env.OIDC_ISSUER) return null;
+  return {
+    issuer: env.OIDC_ISSUER,
+    clientId: env.OIDC_CLIENT_ID,
+    clientSecret: env.OIDC_CLIENT_SECRET,
+    redirectUri: env.OIDC_REDIRECT_URI,
+    groupRoles: env.OIDC_GROUP_ROLES ? JSON.parse(env.OIDC_GROUP_ROLES) : {},
+    groupsClaim: env.OIDC_GROUPS_CLAIM,
+    scope: env.OIDC_SCOPES
+  };
+}
+
+module.exports = { OIDCAuth, oidcOptionsFromEnv };
@@ -9,6 +9,8 @@ class RequestDeduplicationBatcher {
     this.deduplicationTTL = options.deduplicationTTL || 5000; // 5 seconds
     this.enableBatching = options.enableBatching !== false;
     this.enableDeduplication = options.enableDeduplication !== false;
+    // Callers that only use the concurrency limit can leave the cleanup interval off
+    this.enableCleanup = options.enableCleanup !== false;
     
     // Active batches and pending requests
     this.activeBatches = new Map();
@@ -28,7 +30,9 @@ class RequestDeduplicationBatcher {
     };
     
     // Cleanup process
-    this.startCleanupProcess();
+    if (this.enableCleanup) {
+      this.startCleanupProcess();
+    }
     
     logger.info('🍌 Request Deduplication & Batching initialized', {
       batchSize: this.batchSize,
@@ -188,41 +192,41 @@ class RequestDeduplicationBatcher {
 
   // Process requests in parallel with controlled concurrency
   async processRequestsInParallel(requests, apiHandler, maxConcurrency = 5) {
+    return this.processTasksInParallel(requests.map(({ req, res }) => () => {
+      // Capture the data the handler sends
+      return new Promise((resolve, reject) => {
+        const originalJson = res.json;
+        res.json = function(data) {
+          resolve(data);
+          return originalJson.call(this, data);
+        };
+        
+        apiHandler(req, res, (err) => {
+          if (err) reject(err);
+        });
+      });
+    }), maxConcurrency);
+  }
+
+  /**
+   * Run async tasks at most `maxConcurrency` at a time, in order.
+   * Never rejects: each task's outcome is reported as { data, error }.
+   * @param {Array<Function>} tasks - Functions returning promises
+   */
+  async processTasksInParallel(tasks, maxConcurrency = 5) {
     const results = [];
     
     // Process in chunks to limit concurrency
-    for (let i = 0; i < requests.length; i += maxConcurrency) {
-      const chunk = requests.slice(i, i + maxConcurrency);
+    for (let i = 0; i < tasks.length; i += maxConcurrency) {
+      const chunk = tasks.slice(i, i + maxConcurrency);
       
-      const chunkPromises = chunk.map(async ({ req, res }) => {
+      const chunkResults = await Promise.all(chunk.map(async (task) => {
         try {
-          // Create a mock response to capture data
-          const mockRes = {
-            json: (data) => data,
-            status: () => mockRes,
-            setHeader: () => mockRes
-          };
-          
-          // Process the request
-          const data = await new Promise((resolve, reject) => {
-            const originalJson = res.json;
-            res.json = function(data) {
-              resolve(data);
-              return originalJson.call(this, data);
-            };
-            
-            apiHandler(req, res, (err) => {
-              if (err) reject(err);
-            });
-          });
-          
-          return { data, error: null };
+          return { data: await task(), error: null };
         } catch (error) {
           return { data: null, error };
         }
-      });
-      
-      const chunkResults = await Promise.all(chunkPromises);
+      }));
       results.push(...chunkResults);
     }
     
@@ -1,71 +1,40 @@
-const redis = require('redis');
 const crypto = require('crypto');
 const logger = require('../shared/logger');
+const { getSharedState } = require('../shared/shared-state');
 
+// Sessions live in the shared state, so any worker can read them; the state expires them
 class SecureSessionStorage {
   constructor(options = {}) {
-    this.redisUrl = process.env.REDIS_URL || 'redis://localhost:6379';
     this.sessionTimeout = options.sessionTimeout || 30 * 60 * 1000; // 30 minutes
-    this.encryptionKey = process.env.SESSION_ENCRYPTION_KEY || this.generateEncryptionKey();
+    this.state = options.sharedState || getSharedState();
+    this.encryptionKey = process.env.SESSION_ENCRYPTION_KEY || null;
     this.keyPrefix = options.keyPrefix || 'session:';
-    this.client = null;
-    this.fallbackStorage = new Map(); // Fallback to memory if Redis unavailable
-    this.useRedis = true;
     
-    this.initializeRedis();
-  }
-
-  generateEncryptionKey() {
-    const key = crypto.randomBytes(32).toString('hex');
-    logger.warn('Generated new session encryption key. Set SESSION_ENCRYPTION_KEY environment variable for persistence.');
-    return key;
+    if (!this.encryptionKey) {
+      logger.warn('No SESSION_ENCRYPTION_KEY set, workers share a generated session encryption key. Set SESSION_ENCRYPTION_KEY environment variable for persistence.');
+    }
   }
 
-  async initializeRedis() {
-    try {
-      this.client = redis.createClient({
-        url: this.redisUrl,
-        socket: {
-          connectTimeout: 5000,
-          lazyConnect: true
-        }
-      });
-
-      this.client.on('error', (err) => {
-        logger.error('Redis connection error, falling back to memory storage:', err.message);
-        this.useRedis = false;
-      });
-
-      this.client.on('connect', () => {
-        logger.info('Redis connected for session storage');
-        this.useRedis = true;
-      });
-
-      this.client.on('disconnect', () => {
-        logger.warn('Redis disconnected, using memory storage');
-        this.useRedis = false;
-      });
-
-      await this.client.connect();
-    } catch (error) {
-      logger.error('Failed to initialize Redis, using memory storage:', error.message);
-      this.useRedis = false;
+  async getEncryptionKey() {
+    if (!this.encryptionKey) {
+      this.encryptionKey = await this.state.secret('session-encryption');
     }
+    return this.encryptionKey;
   }
 
-  encrypt(data) {
+  encrypt(data, encryptionKey) {
     const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipher('aes-256-cbc', this.encryptionKey);
+    const cipher = crypto.createCipher('aes-256-cbc', encryptionKey);
     let encrypted = cipher.update(JSON.stringify(data), 'utf8', 'hex');
     encrypted += cipher.final('hex');
     return iv.toString('hex') + ':' + encrypted;
   }
 
-  decrypt(encryptedData) {
+  decrypt(encryptedData, encryptionKey) {
     try {
       const [ivHex, encrypted] = encryptedData.split(':');
       const iv = Buffer.from(ivHex, 'hex');
-      const decipher = crypto.createDecipher('aes-256-cbc', this.encryptionKey);
+      const decipher = crypto.createDecipher('aes-256-cbc', encryptionKey);
       let decrypted = decipher.update(encrypted, 'hex', 'utf8');
       decrypted += decipher.final('utf8');
       return JSON.parse(decrypted);
@@ -77,21 +46,11 @@ class SecureSessionStorage {
 
   async createSession(sessionId, sessionData) {
     const sessionKey = this.keyPrefix + sessionId;
-    const encryptedData = this.encrypt(sessionData);
-    const ttl = Math.floor(this.sessionTimeout / 1000);
 
     try {
-      if (this.useRedis && this.client) {
-        await this.client.setEx(sessionKey, ttl, encryptedData);
-        logger.debug('Session created in Redis:', { sessionId, ttl });
-      } else {
-        // Fallback to memory storage
-        this.fallbackStorage.set(sessionKey, {
-          data: encryptedData,
-          expires: Date.now() + this.sessionTimeout
-        });
-        logger.debug('Session created in memory:', { sessionId, ttl });
-      }
+      const encryptedData = this.encrypt(sessionData, await this.getEncryptionKey());
+      await this.state.set(sessionKey, encryptedData, this.sessionTimeout);
+      logger.debug('Session created:', { sessionId, storage: this.state.provider });
       return true;
     } catch (error) {
       logger.error('Failed to create session:', error.message);
@@ -103,27 +62,12 @@ class SecureSessionStorage {
     const sessionKey = this.keyPrefix + sessionId;
 
     try {
-      let encryptedData = null;
-
-      if (this.useRedis && this.client) {
-        encryptedData = await this.client.get(sessionKey);
-      } else {
-        // Fallback to memory storage
-        const memorySession = this.fallbackStorage.get(sessionKey);
-        if (memorySession) {
-          if (Date.now() > memorySession.expires) {
-            this.fallbackStorage.delete(sessionKey);
-            return null;
-          }
-          encryptedData = memorySession.data;
-        }
-      }
-
+      const encryptedData = await this.state.get(sessionKey);
       if (!encryptedData) {
         return null;
       }
 
-      const sessionData = this.decrypt(encryptedData);
+      const sessionData = this.decrypt(encryptedData, await this.getEncryptionKey());
       if (!sessionData) {
         await this.deleteSession(sessionId);
         return null;
@@ -138,14 +82,8 @@ class SecureSessionStorage {
   }
 
   async deleteSession(sessionId) {
-    const sessionKey = this.keyPrefix + sessionId;
-
     try {
-      if (this.useRedis && this.client) {
-        await this.client.del(sessionKey);
-      } else {
-        this.fallbackStorage.delete(sessionKey);
-      }
+      await this.state.delete(this.keyPrefix + sessionId);
       logger.debug('Session deleted:', { sessionId });
       return true;
     } catch (error) {
@@ -164,27 +102,12 @@ class SecureSessionStorage {
     return await this.createSession(sessionId, sessionData);
   }
 
-  async cleanupExpiredSessions() {
-    if (!this.useRedis) {
-      // Clean up memory storage
-      const now = Date.now();
-      for (const [key, session] of this.fallbackStorage.entries()) {
-        if (now > session.expires) {
-          this.fallbackStorage.delete(key);
-        }
-      }
-    }
-    // Redis automatically handles TTL cleanup
-  }
+  // Nothing to do: the shared state expires sessions itself
+  async cleanupExpiredSessions() {}
 
   async getSessionCount() {
     try {
-      if (this.useRedis && this.client) {
-        const keys = await this.client.keys(this.keyPrefix + '*');
-        return keys.length;
-      } else {
-        return this.fallbackStorage.size;
-      }
+      return (await this.state.keys(this.keyPrefix)).length;
     } catch (error) {
       logger.error('Failed to get session count:', error.message);
       return 0;
@@ -193,21 +116,15 @@ class SecureSessionStorage {
 
   async getStats() {
     const sessionCount = await this.getSessionCount();
+    const stateStats = this.state.getStats();
     
     return {
       sessionCount,
-      storageType: this.useRedis ? 'redis' : 'memory',
+      storageType: stateStats.provider,
       sessionTimeout: this.sessionTimeout,
-      redisConnected: this.useRedis && this.client?.isOpen
+      redisConnected: stateStats.provider === 'redis' && stateStats.connected
     };
   }
-
-  async close() {
-    if (this.client) {
-      await this.client.quit();
-    }
-    this.fallbackStorage.clear();
-  }
 }
 
-module.exports = SecureSessionStorage;
\ No newline at end of file
+module.exports = SecureSessionStorage;
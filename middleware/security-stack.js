@@ -0,0 +1,92 @@
+const http = require('http');
+const express = require('express');
+const cors = require('cors');
+
+// Only signed requests have their body read before authentication, since
+// the signature covers it; anyone can send one, so it stays small
+const SIGNED_BODY_LIMIT = '1mb';
+
+/**
+ * 🍌 BANANA-POWERED REQUEST SECURITY STACK 🍌
+ *
+ * What every request passes before it reaches a route, in this order:
+ * security headers, the session cookie, input checks, authentication
+ * (req.principal), the JSON body, CSRF and origin checks, then CORS.
+ * app.js mounts it, and tests mount the same stack in front of a route.
+ *
+ * @param {import('express').Application} app
+ * @param {Object} components
+ * @param {Object} components.securityHeaders - SecurityHeadersMiddleware
+ * @param {Object} components.sessionSecurity - SessionSecurity
+ * @param {Object} components.inputValidation - InputValidationMiddleware
+ * @param {Object} components.authPipeline - From createAuthPipeline
+ * @param {Object} components.csrfProtection - CSRFProtection
+ * @param {string[]} components.corsOrigins
+ */
+function applySecurityStack(app, { securityHeaders, sessionSecurity, inputValidation, authPipeline, csrfProtection, corsOrigins }) {
+  app.use(securityHeaders.middleware());
+  app.use(sessionSecurity.middleware());
+  app.use(inputValidation.middleware());
+
+  const signedBody = express.json({ limit: SIGNED_BODY_LIMIT });
+  app.use((req, res, next) => req.headers['x-banana-signature'] ? signedBody(req, res, next) : next());
+
+  // 🍌 BANANA-POWERED AUTHENTICATION: API keys, admin key, JWTs, signed requests and sign-in sessions 🍌
+  app.use(authPipeline.middleware());
+
+  // Everyone else's body once they're known; a parsed signed body is left as it is
+  app.use(express.json({ limit: '10mb' })); // Limit JSON payload size
+
+  // 🛡️ CSRF Protection, for requests a browser sends with the session cookie
+  app.use(csrfProtection.tokenMiddleware());
+  app.use(csrfProtection.originValidation());
+  app.use(csrfProtection.validateMiddleware());
+
+  // CORS with secure origins from centralized config
+  app.use(cors({
+    origin: corsOrigins,
+    credentials: true,
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'x-admin-api-key', 'x-api-key', 'x-csrf-token', 'csrf-token',
+      'x-banana-signature', 'x-banana-timestamp', 'x-banana-nonce']
+  }));
+}
+
+/**
+ * Authenticates WebSocket upgrades with the session cookie and credentials
+ * that HTTP requests use, through the same auth pipeline and policy. A
+ * browser opens a WebSocket to any site with its cookies, so a session
+ * only counts when the page is the hub's own.
+ * @param {Object} components - sessionSecurity, authPipeline, corsOrigins
+ * @returns {Function} (request) → Promise of the principal, or null when refused
+ */
+function createUpgradeAuthenticator({ sessionSecurity, authPipeline, corsOrigins = [] }) {
+  const chain = express();
+  chain.use(sessionSecurity.middleware());
+  chain.use(authPipeline.middleware());
+
+  const ownPage = (request) => {
+    const origin = request.headers.origin;
+    if (!origin) return false;
+    try {
+      return corsOrigins.includes(origin) || new URL(origin).host === request.headers.host;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  return (request) => new Promise((resolve) => {
+    // Nothing is written back; a refusal from the pipeline just ends here
+    const res = new http.ServerResponse(request);
+    res.end = () => {
+      resolve(null);
+      return res;
+    };
+    chain.handle(request, res, (error) => {
+      const principal = error ? null : request.principal || null;
+      resolve(principal && principal.authMethod === 'session' && !ownPage(request) ? null : principal);
+    });
+  });
+}
+
+module.exports = { applySecurityStack, createUpgradeAuthenticator };
@@ -1,12 +1,13 @@
 const crypto = require('crypto');
 const logger = require('../shared/logger');
+const { getSharedState } = require('../shared/shared-state');
 
 /**
  * 🍌 BANANA-POWERED SESSION SECURITY MIDDLEWARE 🍌
- * 
+ *
  * Provides secure session management with:
  * - Secure session ID generation
- * - Session timeout and cleanup
+ * - Session timeout, kept in the shared state so every worker sees a session
  * - Session fingerprinting for security
  * - Brute force protection
  */
@@ -15,18 +16,13 @@ class SessionSecurity {
     this.options = {
       sessionTimeout: options.sessionTimeout || 3600000, // 1 hour
       maxSessions: options.maxSessions || 100,
-      cleanupInterval: options.cleanupInterval || 300000, // 5 minutes
-      fingerprintSalt: options.fingerprintSalt || crypto.randomBytes(32).toString('hex'),
+      cookieName: options.cookieName || 'sessionId',
       ...options
     };
-    
-    // In-memory session store (use Redis in production)
-    this.sessions = new Map();
-    this.sessionAttempts = new Map();
-    
-    // Cleanup expired sessions periodically
-    setInterval(() => this.cleanupExpiredSessions(), this.options.cleanupInterval);
-    
+
+    // Sessions expire in the shared state; every worker fingerprints with the same salt
+    this.state = options.sharedState || getSharedState();
+
     logger.info('🍌 Session Security initialized');
   }
 
@@ -34,29 +30,33 @@ class SessionSecurity {
     return crypto.randomBytes(32).toString('hex');
   }
 
-  generateFingerprint(req) {
+  async getFingerprintSalt() {
+    return this.options.fingerprintSalt || this.state.secret('session-fingerprint');
+  }
+
+  async generateFingerprint(req) {
     const userAgent = req.get('User-Agent') || '';
     const ip = req.ip || req.connection.remoteAddress;
     const acceptLanguage = req.get('Accept-Language') || '';
-    
+
     // Create fingerprint from stable client characteristics
     const fingerprintData = `${userAgent}:${ip}:${acceptLanguage}`;
-    const hmac = crypto.createHmac('sha256', this.options.fingerprintSalt);
+    const hmac = crypto.createHmac('sha256', await this.getFingerprintSalt());
     hmac.update(fingerprintData);
-    
+
     return hmac.digest('hex');
   }
 
-  createSession(req, data = {}) {
+  async createSession(req, data = {}) {
     const sessionId = this.generateSessionId();
-    const fingerprint = this.generateFingerprint(req);
+    const fingerprint = await this.generateFingerprint(req);
     const now = Date.now();
-    
+
     // Clean up old sessions if we're at the limit
-    if (this.sessions.size >= this.options.maxSessions) {
-      this.cleanupOldestSessions(10);
+    if ((await this.state.keys('websession:')).length >= this.options.maxSessions) {
+      await this.cleanupOldestSessions(10);
     }
-    
+
     const session = {
       id: sessionId,
       fingerprint,
@@ -68,59 +68,60 @@ class SessionSecurity {
       data: { ...data },
       isActive: true
     };
-    
-    this.sessions.set(sessionId, session);
-    
+
+    await this.state.set(`websession:${sessionId}`, session, this.options.sessionTimeout);
+
     logger.info('🍌 New session created', {
       sessionId: sessionId.substring(0, 8) + '...',
       ip: session.ip,
       userAgent: session.userAgent ? session.userAgent.substring(0, 50) + '...' : 'Unknown'
     });
-    
+
     return session;
   }
 
-  getSession(sessionId) {
+  async getSession(sessionId) {
     if (!sessionId) {
       return null;
     }
-    
-    const session = this.sessions.get(sessionId);
+
+    const session = await this.state.get(`websession:${sessionId}`);
     if (!session) {
       return null;
     }
-    
+
     // Check if session expired
     if (Date.now() > session.expires) {
-      this.sessions.delete(sessionId);
+      await this.state.delete(`websession:${sessionId}`);
       return null;
     }
-    
+
     return session;
   }
 
-  updateSession(sessionId, data = {}) {
-    const session = this.getSession(sessionId);
+  async updateSession(sessionId, data = {}) {
+    const session = await this.getSession(sessionId);
     if (!session) {
       return false;
     }
-    
+
     // Update session data and extend expiry
     session.data = { ...session.data, ...data };
     session.lastActivity = Date.now();
     session.expires = Date.now() + this.options.sessionTimeout;
-    
+
+    await this.state.set(`websession:${sessionId}`, session, this.options.sessionTimeout);
     return true;
   }
 
-  validateSession(req, sessionId) {
-    const session = this.getSession(sessionId);
+  async validateSession(req, sessionId) {
+    const session = await this.getSession(sessionId);
     if (!session) {
       return { valid: false, reason: 'Session not found or expired' };
     }
-    
+
     // Validate fingerprint to prevent session hijacking
-    const currentFingerprint = this.generateFingerprint(req);
+    const currentFingerprint = await this.generateFingerprint(req);
     if (session.fingerprint !== currentFingerprint) {
       logger.warn('🚨 Session fingerprint mismatch detected', {
         sessionId: sessionId.substring(0, 8) + '...',
@@ -128,27 +129,27 @@ class SessionSecurity {
         storedFingerprint: session.fingerprint.substring(0, 8) + '...',
         currentFingerprint: currentFingerprint.substring(0, 8) + '...'
       });
-      
+
       // Invalidate session on fingerprint mismatch
-      this.destroySession(sessionId);
+      await this.destroySession(sessionId);
       return { valid: false, reason: 'Session security validation failed' };
     }
-    
+
     // Check for suspicious activity patterns
-    if (this.detectSuspiciousActivity(req, session)) {
+    if (await this.detectSuspiciousActivity(req, session)) {
       logger.warn('🚨 Suspicious session activity detected', {
         sessionId: sessionId.substring(0, 8) + '...',
         ip: req.ip
       });
-      
-      this.destroySession(sessionId);
+
+      await this.destroySession(sessionId);
       return { valid: false, reason: 'Suspicious activity detected' };
     }
-    
+
     return { valid: true, session };
   }
 
-  detectSuspiciousActivity(req, session) {
+  async detectSuspiciousActivity(req, session) {
     // Check for rapid IP changes
     if (session.ip !== req.ip) {
       const timeSinceCreation = Date.now() - session.createdAt;
@@ -156,36 +157,26 @@ class SessionSecurity {
         return true;
       }
     }
-    
+
     // Check for too many rapid requests
-    const attempts = this.sessionAttempts.get(session.id) || [];
-    const recentAttempts = attempts.filter(time => Date.now() - time < 60000); // 1 minute
-    
-    if (recentAttempts.length > 100) { // More than 100 requests per minute
+    const minute = Math.floor(Date.now() / 60000);
+    const recentAttempts = await this.state.get(`websession-activity:${session.id}:${minute}`) || 0;
+
+    if (recentAttempts > 100) { // More than 100 requests per minute
       return true;
     }
-    
+
     return false;
   }
 
-  recordSessionActivity(sessionId) {
-    const attempts = this.sessionAttempts.get(sessionId) || [];
-    attempts.push(Date.now());
-    
-    // Keep only last 150 attempts
-    if (attempts.length > 150) {
-      attempts.splice(0, attempts.length - 150);
-    }
-    
-    this.sessionAttempts.set(sessionId, attempts);
+  async recordSessionActivity(sessionId) {
+    const minute = Math.floor(Date.now() / 60000);
+    await this.state.increment(`websession-activity:${sessionId}:${minute}`, 60000);
   }
 
-  destroySession(sessionId) {
-    const session = this.sessions.get(sessionId);
+  async destroySession(sessionId) {
+    const session = await this.state.take(`websession:${sessionId}`);
     if (session) {
-      this.sessions.delete(sessionId);
-      this.sessionAttempts.delete(sessionId);
-      
       logger.info('🍌 Session destroyed', {
         sessionId: sessionId.substring(0, 8) + '...',
         duration: Date.now() - session.createdAt
@@ -193,104 +184,102 @@ class SessionSecurity {
     }
   }
 
-  cleanupExpiredSessions() {
-    const now = Date.now();
-    let cleaned = 0;
-    
-    for (const [sessionId, session] of this.sessions.entries()) {
-      if (now > session.expires) {
-        this.sessions.delete(sessionId);
-        this.sessionAttempts.delete(sessionId);
-        cleaned++;
-      }
-    }
-    
-    if (cleaned > 0) {
-      logger.debug(`🍌 Cleaned up ${cleaned} expired sessions`);
-    }
-  }
+  // Sessions expire in the shared state by themselves
+  async cleanupExpiredSessions() {}
 
-  cleanupOldestSessions(count = 10) {
-    const sessions = Array.from(this.sessions.entries())
-      .sort((a, b) => a[1].lastActivity - b[1].lastActivity)
+  async cleanupOldestSessions(count = 10) {
+    const sessions = (await Promise.all((await this.state.keys('websession:'))
+      .map(key => this.state.get(key))))
+      .filter(Boolean)
+      .sort((a, b) => a.lastActivity - b.lastActivity)
       .slice(0, count);
-    
-    for (const [sessionId] of sessions) {
-      this.destroySession(sessionId);
+
+    for (const session of sessions) {
+      await this.destroySession(session.id);
     }
-    
+
     logger.debug(`🍌 Cleaned up ${sessions.length} oldest sessions`);
   }
 
+  // The session cookie; there's no cookie parser in front of this
+  readCookie(req) {
+    const prefix = `${this.options.cookieName}=`;
+    const cookie = (req.headers.cookie || '').split(';').map(part => part.trim()).find(part => part.startsWith(prefix));
+    return cookie ? decodeURIComponent(cookie.slice(prefix.length)) : null;
+  }
+
   // Middleware function
   middleware() {
     return (req, res, next) => {
-      // Get session ID from header or cookie
-      const sessionId = req.get('x-session-id') || req.cookies?.sessionId;
-      
-      if (sessionId) {
-        const validation = this.validateSession(req, sessionId);
-        if (validation.valid) {
-          req.session = validation.session;
-          this.recordSessionActivity(sessionId);
-          this.updateSession(sessionId); // Extend session
-        } else {
-          // Clear invalid session cookie
-          res.clearCookie('sessionId');
-          req.session = null;
-        }
-      }
-      
-      // Helper function to create new session
-      req.createSession = (data = {}) => {
-        const session = this.createSession(req, data);
-        
-        // Set secure session cookie
-        res.cookie('sessionId', session.id, {
-          httpOnly: true,
-          secure: process.env.NODE_ENV === 'production',
-          sameSite: 'strict',
-          maxAge: this.options.sessionTimeout
-        });
-        
-        req.session = session;
-        return session;
-      };
-      
-      // Helper function to destroy session
-      req.destroySession = () => {
-        if (req.session) {
-          this.destroySession(req.session.id);
-          res.clearCookie('sessionId');
-          req.session = null;
-        }
-      };
-      
-      next();
+      this.attach(req, res).then(() => next(), next);
     };
   }
 
-  getStats() {
-    const now = Date.now();
-    let activeSessions = 0;
-    let expiredSessions = 0;
-    
-    for (const session of this.sessions.values()) {
-      if (now > session.expires) {
-        expiredSessions++;
+  async attach(req, res) {
+    const cookieName = this.options.cookieName;
+
+    // Get session ID from header or cookie
+    const sessionId = req.get('x-session-id') || req.cookies?.[cookieName] || this.readCookie(req);
+
+    if (sessionId) {
+      const validation = await this.validateSession(req, sessionId);
+      if (validation.valid) {
+        req.session = validation.session;
+        await this.recordSessionActivity(sessionId);
+        await this.updateSession(sessionId); // Extend session
       } else {
-        activeSessions++;
+        // Clear invalid session cookie
+        res.clearCookie(cookieName);
+        req.session = null;
       }
     }
-    
+
+    /**
+     * Helper function to create new session
+     * @param {Object} [data]
+     * @param {Object} [cookieOptions] - e.g. sameSite 'lax' for sessions started by a redirect from elsewhere
+     */
+    req.createSession = async (data = {}, cookieOptions = {}) => {
+      const session = await this.createSession(req, data);
+
+      // Set secure session cookie
+      res.cookie(cookieName, session.id, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        maxAge: this.options.sessionTimeout,
+        ...cookieOptions
+      });
+
+      req.session = session;
+      return session;
+    };
+
+    // Helper function to destroy session
+    req.destroySession = async () => {
+      if (req.session) {
+        await this.destroySession(req.session.id);
+        res.clearCookie(cookieName);
+        req.session = null;
+      }
+    };
+  }
+
+  async getStats() {
+    const sessions = (await Promise.all((await this.state.keys('websession:'))
+      .map(key => this.state.get(key)))).filter(Boolean);
+    const now = Date.now();
+    const activeSessions = sessions.filter(session => now <= session.expires).length;
+
     return {
-      totalSessions: this.sessions.size,
+      totalSessions: sessions.length,
       activeSessions,
-      expiredSessions,
+      expiredSessions: sessions.length - activeSessions,
       sessionTimeout: this.options.sessionTimeout,
-      maxSessions: this.options.maxSessions
+      maxSessions: this.options.maxSessions,
+      storage: this.state.provider
     };
   }
 }
 
-module.exports = SessionSecurity;
\ No newline at end of file
+module.exports = SessionSecurity;
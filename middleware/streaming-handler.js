@@ -223,7 +223,7 @@ class StreamingHandler {
             url += `&after=${after}`;
           }
 
-          const response = await hubspotClient.get(url);
+          const response = await hubspotClient.get(url, { priority: 'background' });
           const { results, paging } = response.data;
 
           // Transform and push each result
@@ -0,0 +1,162 @@
+const axios = require('axios');
+const logger = require('../shared/logger');
+const streamEvents = require('../shared/ai-stream-events');
+const { AIProvider } = require('./base-provider');
+
+const CREDIT_KEYWORDS = [
+  'credit balance is too low',
+  'insufficient credits',
+  'credits exhausted',
+  'billing',
+  'payment required',
+  'quota exceeded'
+];
+
+/**
+ * 🍌 BANANA-POWERED ANTHROPIC PROVIDER 🍌
+ *
+ * Claude via the Anthropic Messages API. Requests pass through as-is,
+ * minus router-only options.
+ */
+class AnthropicProvider extends AIProvider {
+  constructor(config = {}) {
+    super(config);
+    this.defaultModel = config.defaultModel || 'claude-3-haiku-20240307';
+    this.timeout = config.timeout || 30000;
+    this.apiKey = config.apiKey || process.env.ANTHROPIC_API_KEY;
+    this.baseUrl = config.baseUrl || 'https://api.anthropic.com';
+    this.status.available = !!this.apiKey;
+    this.status.models = this.knownModels();
+  }
+
+  defaultCapabilities() {
+    return { tools: true, vision: true, specialized: true };
+  }
+
+  knownModels() {
+    return [
+      'claude-3-haiku-20240307',
+      'claude-3-5-haiku-20241022',
+      'claude-3-5-sonnet-20241022',
+      'claude-3-opus-20240229'
+    ].map(name => ({ name }));
+  }
+
+  // No cheap health endpoint; availability follows configuration and call outcomes
+  async checkHealth() {
+    if (this.apiKey && !this.status.outOfCredits) {
+      this.status.available = true;
+    }
+    return this.status.available;
+  }
+
+  resolveModel(model) {
+    if (!model || !model.startsWith('claude-')) {
+      return this.defaultModel;
+    }
+    return model;
+  }
+
+  async send(messages, options = {}) {
+    const response = await axios.post(`${this.baseUrl}/v1/messages`, this.buildRequest(messages, options), {
+      headers: this.getHeaders(),
+      signal: options.signal,
+      timeout: this.timeout
+    });
+
+    return response.data;
+  }
+
+  async *sendStream(messages, options = {}) {
+    let upstream = null;
+
+    try {
+      const requestData = {
+        ...this.buildRequest(messages, options),
+        stream: true
+      };
+
+      const response = await axios.post(`${this.baseUrl}/v1/messages`, requestData, {
+        headers: this.getHeaders(),
+        responseType: 'stream',
+        signal: options.signal,
+        timeout: this.timeout
+      });
+      upstream = response.data;
+
+      for await (const event of streamEvents.parseSSE(upstream)) {
+        yield event;
+      }
+    } catch (error) {
+      await this.readStreamedErrorBody(error);
+      throw error;
+    } finally {
+      if (upstream && !upstream.destroyed) {
+        upstream.destroy();
+      }
+    }
+  }
+
+  // Build the Anthropic request body, dropping router-only options
+  buildRequest(messages, options = {}) {
+    const { taskType, forceClaude, stream, signal, ...apiOptions } = options;
+
+    return {
+      ...apiOptions,
+      model: this.resolveModel(options.model),
+      max_tokens: options.max_tokens || 1000,
+      messages: messages
+    };
+  }
+
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': this.apiKey,
+      'anthropic-version': '2023-06-01'
+    };
+  }
+
+  // Check if error indicates credit exhaustion
+  isCreditExhaustedError(error) {
+    const errorMessage = error.message?.toLowerCase() || '';
+    const errorData = error.response?.data?.error?.message?.toLowerCase() || '';
+
+    return CREDIT_KEYWORDS.some(keyword =>
+      errorMessage.includes(keyword) || errorData.includes(keyword)
+    );
+  }
+
+  // Record a failure, flagging credit exhaustion so routing skips this provider
+  recordFailure(error, responseTime) {
+    super.recordFailure(error, responseTime);
+
+    if (this.isCreditExhaustedError(error)) {
+      this.status.outOfCredits = true;
+      this.status.creditCheckedAt = Date.now();
+
+      logger.error('🍌 Anthropic credits exhausted, enabling fallback', {
+        provider: this.name,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  resetCredits() {
+    super.resetCredits();
+    this.status.creditCheckedAt = Date.now();
+    this.status.available = !!this.apiKey;
+  }
+
+  async test() {
+    if (!this.apiKey) {
+      return { available: false, error: null, responseTime: 0, models: [] };
+    }
+    return super.test();
+  }
+}
+
+AnthropicProvider.type = 'anthropic';
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,311 @@
+const { performance } = require('perf_hooks');
+const { safeParse } = require('../shared/safe-json');
+const PRICING_TABLE = require('../config/ai-pricing.json');
+
+/**
+ * 🍌 BANANA-POWERED AI PROVIDER BASE 🍌
+ *
+ * Common interface for every backend the AI router can use: health,
+ * call, stream, models, cost and capabilities. Requests and replies
+ * use the Anthropic Messages format; each provider translates to and
+ * from its own wire format.
+ *
+ * Subclasses implement `send` and `sendStream`, and usually
+ * `checkHealth` and `listModels`. `call` and `stream` wrap them with
+ * the shared status and usage bookkeeping.
+ */
+class AIProvider {
+  constructor(config = {}) {
+    this.name = config.name || this.constructor.type;
+    this.type = this.constructor.type;
+    this.defaultModel = config.defaultModel;
+    this.timeout = config.timeout || 60000;
+    // Flat price per million tokens; without it models are priced from config/ai-pricing.json
+    this.pricing = config.pricing || null;
+    this.capabilities = {
+      streaming: true,
+      tools: false,
+      vision: false,
+      // Premium models that specialized tasks (code review, deep analysis...) are routed to
+      specialized: false,
+      embeddings: false,
+      ...this.defaultCapabilities(),
+      ...config.capabilities
+    };
+
+    this.status = {
+      available: false,
+      lastFailure: null,
+      lastError: null,
+      failureCount: 0,
+      outOfCredits: false,
+      models: [],
+      lastSuccessfulCall: null
+    };
+
+    this.resetStats();
+  }
+
+  defaultCapabilities() {
+    return {};
+  }
+
+  // Refresh `status.available` and `status.models`
+  async checkHealth() {
+    return this.status.available;
+  }
+
+  async listModels() {
+    return this.status.models;
+  }
+
+  // Return an Anthropic message for the request
+  async send(messages, options = {}) {
+    throw new Error(`${this.type} provider does not implement send()`);
+  }
+
+  // Yield Anthropic stream events for the request
+  async *sendStream(messages, options = {}) {
+    throw new Error(`${this.type} provider does not implement sendStream()`);
+  }
+
+  /**
+   * Embed texts; providers with the `embeddings` capability implement this
+   * @param {Array<string>} input - Texts to embed
+   * @param {Object} options - `model` (used when this provider has it) and `signal`
+   * @returns {Promise<{model, embeddings, usage}>}
+   */
+  async embed(input, options = {}) {
+    throw new Error(`${this.type} provider does not support embeddings`);
+  }
+
+  // Resolve async capability lookups (e.g. per-model tool support) ahead of routing
+  async prepare(options = {}) {}
+
+  // Whether this provider can serve the request's features, using what prepare() learned
+  canHandle(options = {}) {
+    if (hasActiveTools(options) && !this.capabilities.tools) {
+      return false;
+    }
+    return true;
+  }
+
+  isUsable() {
+    return this.status.available && !this.status.outOfCredits;
+  }
+
+  // Request model names are Anthropic's; local providers map them onto their own default
+  resolveModel(model) {
+    if (!model || model.startsWith('claude-')) {
+      return this.defaultModel;
+    }
+    return model;
+  }
+
+  getPricing(model) {
+    return this.pricing || lookupPricing(this.type, model || this.defaultModel);
+  }
+
+  // Estimated USD cost of a request's token usage
+  estimateCost(usage = {}, model = this.defaultModel) {
+    const pricing = this.getPricing(model);
+    return ((usage.input_tokens || 0) * pricing.input + (usage.output_tokens || 0) * pricing.output) / 1000000;
+  }
+
+  isFree() {
+    const pricing = this.getPricing(this.defaultModel);
+    return pricing.input === 0 && pricing.output === 0;
+  }
+
+  async call(messages, options = {}) {
+    const startTime = performance.now();
+    this.stats.requests++;
+
+    try {
+      const response = await this.send(messages, options);
+      const responseTime = performance.now() - startTime;
+      this.recordSuccess(responseTime, response.usage, response.model);
+
+      return {
+        provider: this.name,
+        response,
+        responseTime,
+        cost: this.estimateCost(response.usage, this.resolveModel(response.model))
+      };
+    } catch (error) {
+      this.recordFailure(error, performance.now() - startTime);
+      throw error;
+    }
+  }
+
+  async *stream(messages, options = {}) {
+    const startTime = performance.now();
+    const usage = { input_tokens: 0, output_tokens: 0 };
+    let model = options.model;
+    this.stats.requests++;
+
+    try {
+      for await (const event of this.sendStream(messages, options)) {
+        if (event.type === 'message_start') {
+          usage.input_tokens = event.message?.usage?.input_tokens || 0;
+          model = event.message?.model || model;
+        } else if (event.type === 'message_delta') {
+          // Local servers only know the real prompt size once generation is done
+          usage.input_tokens = event.usage?.input_tokens || usage.input_tokens;
+          usage.output_tokens = event.usage?.output_tokens || usage.output_tokens;
+        }
+        yield event;
+      }
+
+      this.recordSuccess(performance.now() - startTime, usage, model);
+    } catch (error) {
+      this.recordFailure(error, performance.now() - startTime);
+      throw error;
+    }
+  }
+
+  // Send a tiny request to confirm the provider answers
+  async test() {
+    const result = { available: false, error: null, responseTime: 0, models: [] };
+    const startTime = performance.now();
+
+    try {
+      result.models = await this.listModels();
+      await this.call([{
+        role: 'user',
+        content: 'Hello, just testing connectivity.'
+      }], { max_tokens: 10 });
+
+      result.available = true;
+      result.responseTime = performance.now() - startTime;
+    } catch (error) {
+      result.error = error.message;
+    }
+
+    if (this.status.outOfCredits) {
+      result.creditExhausted = true;
+    }
+
+    return result;
+  }
+
+  recordSuccess(responseTime, usage = {}, model) {
+    this.status.available = true;
+    this.status.lastSuccessfulCall = Date.now();
+    this.status.failureCount = 0;
+
+    this.stats.successes++;
+    this.stats.avgResponseTime += (responseTime - this.stats.avgResponseTime) / this.stats.successes;
+    this.stats.inputTokens += usage?.input_tokens || 0;
+    this.stats.outputTokens += usage?.output_tokens || 0;
+    this.stats.estimatedCost += this.estimateCost(usage || {}, this.resolveModel(model));
+  }
+
+  recordFailure(error, responseTime) {
+    this.status.lastFailure = Date.now();
+    this.status.lastError = error?.message || null;
+    this.status.failureCount++;
+    this.stats.errors++;
+  }
+
+  resetCredits() {
+    this.status.outOfCredits = false;
+  }
+
+  resetStats() {
+    this.stats = {
+      requests: 0,
+      successes: 0,
+      errors: 0,
+      avgResponseTime: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      estimatedCost: 0
+    };
+  }
+
+  // Provider-specific settings worth showing in monitoring
+  describeSettings() {
+    return {};
+  }
+
+  getStats() {
+    return {
+      type: this.type,
+      defaultModel: this.defaultModel,
+      capabilities: this.capabilities,
+      ...this.describeSettings(),
+      status: {
+        ...this.status,
+        lastSuccessfulCall: this.status.lastSuccessfulCall ?
+          new Date(this.status.lastSuccessfulCall).toISOString() : null,
+        lastFailure: this.status.lastFailure ?
+          new Date(this.status.lastFailure).toISOString() : null,
+        models: undefined,
+        modelCount: this.status.models.length,
+        availableModels: this.status.models.map(m => m.name)
+      },
+      ...this.stats,
+      avgResponseTime: this.stats.avgResponseTime.toFixed(2) + 'ms',
+      estimatedCost: '$' + this.stats.estimatedCost.toFixed(4)
+    };
+  }
+
+  // Streamed error responses arrive as a stream, so buffer them for inspection
+  async readStreamedErrorBody(error) {
+    const body = error.response?.data;
+    if (!body || typeof body.pipe !== 'function') return;
+
+    try {
+      let raw = '';
+      for await (const chunk of body) {
+        raw += chunk.toString();
+      }
+      error.response.data = safeParse(raw, raw);
+    } catch (readError) {
+      error.response.data = null;
+    }
+  }
+}
+
+AIProvider.type = 'base';
+
+function hasActiveTools(options = {}) {
+  return Array.isArray(options.tools) && options.tools.length > 0 && options.tool_choice?.type !== 'none';
+}
+
+// Prose content of Anthropic messages; tool calls and results are structured data, not intent
+function extractMessageText(messages) {
+  if (!Array.isArray(messages)) {
+    return String(messages);
+  }
+
+  return messages.map(msg => {
+    if (typeof msg.content === 'string') {
+      return msg.content;
+    }
+    if (Array.isArray(msg.content)) {
+      return msg.content.filter(c => c.type === 'text').map(c => c.text).join(' ');
+    }
+    return '';
+  }).join(' ');
+}
+
+// Price of a model from the pricing table; free when nothing matches
+function lookupPricing(type, model = '') {
+  const match = (PRICING_TABLE[type] || []).find(entry => new RegExp(entry.match).test(model));
+  return match ? { input: match.input, output: match.output } : { input: 0, output: 0 };
+}
+
+// Estimate token count (rough approximation)
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+module.exports = {
+  AIProvider,
+  hasActiveTools,
+  extractMessageText,
+  estimateTokens,
+  lookupPricing
+};
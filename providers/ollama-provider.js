@@ -0,0 +1,325 @@
+const axios = require('axios');
+const logger = require('../shared/logger');
+const streamEvents = require('../shared/ai-stream-events');
+const ollamaChat = require('../shared/ollama-chat-translator');
+const toolEmulation = require('../shared/ollama-tool-emulation');
+const { OllamaHostPool, getOllamaHostPool, normalizeModel } = require('../shared/ollama-host-pool');
+const { AIProvider, hasActiveTools, extractMessageText, estimateTokens } = require('./base-provider');
+
+/**
+ * 🦙 OLLAMA PROVIDER 🦙
+ *
+ * Local models through one or more Ollama servers. Requests are spread
+ * over the provider's host pool; without `hosts` or `baseUrl` it uses
+ * the shared pool from OLLAMA_HOSTS.
+ */
+class OllamaProvider extends AIProvider {
+  constructor(config = {}) {
+    super(config);
+    this.defaultModel = config.defaultModel || 'llama3.2:latest';
+    const hosts = config.hosts || (config.baseUrl ? [config.baseUrl] : null);
+    this.pool = hosts ? new OllamaHostPool({ ...config.pool, hosts }) : getOllamaHostPool();
+    // 'chat' uses /api/chat with real roles; 'generate' keeps the legacy flattened prompt
+    this.apiMode = config.apiMode || process.env.OLLAMA_API_MODE || 'chat';
+    // Emulate function calling for models without native tool support
+    this.toolEmulation = config.toolEmulation !== false;
+    this.toolSupport = new Map();
+    this.embeddingModel = config.embeddingModel || process.env.AI_EMBEDDING_MODEL || 'nomic-embed-text';
+  }
+
+  defaultCapabilities() {
+    return { tools: true, vision: true, embeddings: true };
+  }
+
+  describeSettings() {
+    return {
+      hosts: this.pool.urls(),
+      apiMode: this.apiMode,
+      toolEmulation: this.toolEmulation,
+      embeddingModel: this.embeddingModel
+    };
+  }
+
+  // Poll the host pool and pick a default model some host actually has
+  async checkHealth() {
+    this.pool.startPolling();
+    const poolStatus = await this.pool.poll();
+    
+    this.status.models = this.pool.listModels();
+    this.status.available = poolStatus.healthyHosts > 0;
+    
+    if (this.status.available) {
+      this.status.lastSuccessfulCall = Date.now();
+      
+      logger.info('🍌 Ollama connection successful', {
+        provider: this.name,
+        healthyHosts: poolStatus.healthyHosts,
+        totalHosts: poolStatus.totalHosts,
+        models: this.status.models.map(m => m.name)
+      });
+      
+      const hasDefaultModel = this.status.models.some(model => model.name === normalizeModel(this.defaultModel));
+      
+      if (!hasDefaultModel && this.status.models.length > 0) {
+        this.defaultModel = this.status.models[0].name;
+        logger.info('🍌 Default model not found, using first available', {
+          provider: this.name,
+          newDefaultModel: this.defaultModel
+        });
+      }
+    } else {
+      this.status.lastFailure = Date.now();
+      this.status.failureCount++;
+      
+      logger.warn('🍌 Ollama connection failed', {
+        provider: this.name,
+        hosts: poolStatus.hosts.map(host => ({ host: host.name, error: host.lastError })),
+        suggestion: 'Make sure Ollama is running on your Mac Mini'
+      });
+    }
+    
+    return this.status.available;
+  }
+
+  async listModels() {
+    await this.pool.poll();
+    return this.pool.listModels();
+  }
+
+  isUsable() {
+    return super.isUsable() && this.pool.hasAvailableHost();
+  }
+
+  async test() {
+    const models = await this.listModels();
+    if (models.length === 0) {
+      return { available: false, error: null, responseTime: 0, models };
+    }
+    return super.test();
+  }
+
+  async prepare(options = {}) {
+    // Without emulation, routing needs to know whether the model calls tools natively
+    if (hasActiveTools(options) && !this.toolEmulation) {
+      await this.supportsTools(this.resolveModel(options.model));
+    }
+  }
+
+  canHandle(options = {}) {
+    if (hasActiveTools(options) && !this.toolEmulation) {
+      return this.toolSupport.get(this.resolveModel(options.model)) === true;
+    }
+    return true;
+  }
+
+  // Embed with the requested model when a host has it, otherwise with the embedding model
+  async embed(input, options = {}) {
+    const requested = options.model && normalizeModel(options.model);
+    const model = requested && this.status.models.some(m => m.name === requested) ? requested : this.embeddingModel;
+
+    const response = await this.pool.run(model, url => axios.post(`${url}/api/embed`, { model, input }, {
+      signal: options.signal,
+      timeout: this.timeout
+    }));
+
+    return {
+      model: response.data.model || model,
+      embeddings: response.data.embeddings || [],
+      usage: { input_tokens: response.data.prompt_eval_count || estimateTokens(input.join(' ')) }
+    };
+  }
+
+  async send(messages, options = {}) {
+    const { endpoint, requestData, toolMode } = await this.buildCall(messages, options, false);
+
+    const response = await this.pool.run(requestData.model, url => axios.post(`${url}${endpoint}`, requestData, {
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      signal: options.signal,
+      timeout: this.timeout // Ollama can be slower
+    }), { signal: options.signal });
+
+    // Convert response to Anthropic format
+    const convertedResponse = ollamaChat.toAnthropicResponse(response.data, {
+      input_tokens: estimateTokens(extractMessageText(messages)),
+      output_tokens: estimateTokens(ollamaChat.chunkText(response.data))
+    });
+
+    if (toolMode === 'emulated') {
+      const parsed = toolEmulation.parseEmulatedResponse(ollamaChat.chunkText(response.data), options.tools);
+      convertedResponse.content = parsed.content;
+      convertedResponse.stop_reason = parsed.stopReason;
+    }
+
+    return convertedResponse;
+  }
+
+  // Translate Ollama's NDJSON chunks into Anthropic SSE events
+  async *sendStream(messages, options = {}) {
+    if (hasActiveTools(options)) {
+      // Tool calls are only usable once complete, so run the request whole and replay it as events
+      yield* streamEvents.messageToEvents(await this.send(messages, options));
+      return;
+    }
+
+    let upstream = null;
+    let release = null;
+
+    try {
+      const { endpoint, requestData } = await this.buildCall(messages, options, true);
+
+      // The host stays busy for as long as the stream runs
+      const opened = await this.pool.open(requestData.model, url => axios.post(`${url}${endpoint}`, requestData, {
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        responseType: 'stream',
+        signal: options.signal,
+        timeout: this.timeout
+      }), { signal: options.signal });
+      release = opened.release;
+      upstream = opened.result.data;
+
+      const messageId = `msg_ollama_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      let outputText = '';
+      let started = false;
+
+      for await (const chunk of streamEvents.parseNDJSON(upstream)) {
+        if (chunk.error) {
+          throw new Error(`Ollama stream error: ${chunk.error}`);
+        }
+
+        if (!started) {
+          started = true;
+          yield streamEvents.messageStart(
+            messageId,
+            chunk.model || requestData.model,
+            estimateTokens(extractMessageText(messages))
+          );
+          yield streamEvents.contentBlockStart(0);
+        }
+
+        const text = ollamaChat.chunkText(chunk);
+        if (text) {
+          outputText += text;
+          yield streamEvents.textDelta(text, 0);
+        }
+
+        if (chunk.done) {
+          yield streamEvents.contentBlockStop(0);
+          yield streamEvents.messageDelta(
+            ollamaChat.toAnthropicStopReason(chunk.done_reason),
+            chunk.eval_count || estimateTokens(outputText),
+            chunk.prompt_eval_count
+          );
+          yield streamEvents.messageStop();
+          break;
+        }
+      }
+    } catch (error) {
+      // A client that went away says nothing about the host
+      if (release && !options.signal?.aborted) release(error);
+      throw error;
+    } finally {
+      if (release) release();
+      if (upstream && !upstream.destroyed) {
+        upstream.destroy();
+      }
+    }
+  }
+
+  // Build the Ollama endpoint and body for the configured API mode.
+  // Tool requests always use /api/chat, natively or through emulation.
+  async buildCall(messages, options = {}, stream = false) {
+    const model = this.resolveModel(options.model);
+    const defaults = { temperature: 0.7, top_p: 0.9, num_predict: 1000 };
+
+    if (hasActiveTools(options)) {
+      if (await this.supportsTools(model)) {
+        return {
+          endpoint: '/api/chat',
+          requestData: ollamaChat.buildChatRequest(model, messages, options, { stream, defaults }),
+          toolMode: 'native'
+        };
+      }
+
+      if (!this.toolEmulation) {
+        throw new Error(`Ollama model ${model} does not support tools and tool emulation is disabled`);
+      }
+
+      const emulated = toolEmulation.prepareEmulatedRequest(messages, options);
+      const requestData = ollamaChat.buildChatRequest(
+        model,
+        emulated.messages,
+        { ...options, tools: undefined, system: emulated.system },
+        { stream, defaults }
+      );
+      requestData.format = emulated.format;
+      return { endpoint: '/api/chat', requestData, toolMode: 'emulated' };
+    }
+
+    if (this.apiMode === 'generate') {
+      const requestData = {
+        model,
+        prompt: this.convertMessagesToPrompt(messages),
+        stream,
+        options: ollamaChat.toOllamaOptions(options, defaults)
+      };
+      const system = ollamaChat.systemToText(options.system);
+      if (system) {
+        requestData.system = system;
+      }
+      return { endpoint: '/api/generate', requestData };
+    }
+
+    return {
+      endpoint: '/api/chat',
+      requestData: ollamaChat.buildChatRequest(model, messages, options, { stream, defaults })
+    };
+  }
+
+  // Ask Ollama whether a model supports native tool calling (cached per model)
+  async supportsTools(model) {
+    if (this.toolSupport.has(model)) {
+      return this.toolSupport.get(model);
+    }
+
+    let supported = false;
+    try {
+      const response = await this.pool.run(model, url => axios.post(`${url}/api/show`, { model }, {
+        timeout: 5000
+      }), { loadsModel: false });
+      supported = (response.data.capabilities || []).includes('tools');
+    } catch (error) {
+      logger.warn('🍌 Could not read Ollama model capabilities, assuming no native tools', {
+        provider: this.name,
+        model,
+        error: error.message
+      });
+      // Don't cache failures so the next request can try again
+      return false;
+    }
+
+    this.toolSupport.set(model, supported);
+    return supported;
+  }
+
+  // Convert Anthropic message format to simple prompt
+  convertMessagesToPrompt(messages) {
+    if (!Array.isArray(messages)) {
+      return String(messages);
+    }
+
+    return messages.map(msg => {
+      const role = msg.role === 'assistant' ? 'Assistant' : 'Human';
+      const content = typeof msg.content === 'string' ? msg.content :
+        msg.content?.map(c => c.text || c.content || '').join(' ') || '';
+      return `${role}: ${content}`;
+    }).join('\n\n');
+  }
+}
+
+OllamaProvider.type = 'ollama';
+
+module.exports = OllamaProvider;
@@ -0,0 +1,199 @@
+const axios = require('axios');
+const logger = require('../shared/logger');
+const streamEvents = require('../shared/ai-stream-events');
+const openAIChat = require('../shared/openai-chat-translator');
+const { AIProvider, hasActiveTools, extractMessageText, estimateTokens } = require('./base-provider');
+
+/**
+ * 🍌 BANANA-POWERED OPENAI-COMPATIBLE PROVIDER 🍌
+ *
+ * Any server speaking the OpenAI chat completions API: llama.cpp
+ * server, vLLM, LM Studio, LocalAI... Tool and vision support vary by
+ * server and model, so they are off unless enabled in `capabilities`.
+ */
+class OpenAICompatibleProvider extends AIProvider {
+  constructor(config = {}) {
+    super(config);
+    if (!config.baseUrl) {
+      throw new Error(`OpenAI-compatible provider "${this.name}" needs a baseUrl`);
+    }
+    // Accept the server root or its /v1 prefix
+    this.baseUrl = config.baseUrl.replace(/\/+$/, '').replace(/\/v1$/, '');
+    this.apiKey = config.apiKey;
+    this.embeddingModel = config.embeddingModel;
+    // Embeddings need a server-side embedding model
+    this.capabilities.embeddings = config.capabilities?.embeddings ?? Boolean(this.embeddingModel);
+  }
+
+  describeSettings() {
+    return { baseUrl: this.baseUrl, embeddingModel: this.embeddingModel || null };
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  async checkHealth() {
+    try {
+      this.status.models = await this.fetchModels();
+      this.status.available = true;
+      this.status.lastSuccessfulCall = Date.now();
+
+      if (!this.defaultModel && this.status.models.length > 0) {
+        this.defaultModel = this.status.models[0].name;
+      }
+
+      logger.info('🍌 OpenAI-compatible provider connected', {
+        provider: this.name,
+        modelsAvailable: this.status.models.length
+      });
+    } catch (error) {
+      this.status.available = false;
+      this.status.lastFailure = Date.now();
+      this.status.failureCount++;
+
+      logger.warn('🍌 OpenAI-compatible provider connection failed', {
+        provider: this.name,
+        baseUrl: this.baseUrl,
+        error: error.message
+      });
+    }
+
+    return this.status.available;
+  }
+
+  async fetchModels() {
+    const response = await axios.get(`${this.baseUrl}/v1/models`, {
+      headers: this.getHeaders(),
+      timeout: 5000
+    });
+
+    return (response.data.data || []).map(model => ({ name: model.id }));
+  }
+
+  async listModels() {
+    try {
+      return await this.fetchModels();
+    } catch (error) {
+      logger.error('Failed to get OpenAI-compatible models', { provider: this.name, error: error.message });
+      return [];
+    }
+  }
+
+  async embed(input, options = {}) {
+    const model = options.model && this.status.models.some(m => m.name === options.model) ?
+      options.model : this.embeddingModel;
+
+    const response = await axios.post(`${this.baseUrl}/v1/embeddings`, { model, input }, {
+      headers: this.getHeaders(),
+      signal: options.signal,
+      timeout: this.timeout
+    });
+
+    return {
+      model: response.data.model || model,
+      embeddings: (response.data.data || []).sort((a, b) => a.index - b.index).map(item => item.embedding),
+      usage: { input_tokens: response.data.usage?.prompt_tokens || estimateTokens(input.join(' ')) }
+    };
+  }
+
+  async send(messages, options = {}) {
+    const requestData = openAIChat.buildChatCompletionRequest(
+      this.resolveModel(options.model),
+      messages,
+      options,
+      { stream: false }
+    );
+
+    const response = await axios.post(`${this.baseUrl}/v1/chat/completions`, requestData, {
+      headers: this.getHeaders(),
+      signal: options.signal,
+      timeout: this.timeout
+    });
+
+    return openAIChat.toAnthropicResponse(response.data, {
+      input_tokens: estimateTokens(extractMessageText(messages)),
+      output_tokens: estimateTokens(response.data.choices?.[0]?.message?.content)
+    });
+  }
+
+  // Translate streamed chat completion chunks into Anthropic SSE events
+  async *sendStream(messages, options = {}) {
+    if (hasActiveTools(options)) {
+      // Streamed tool call fragments vary too much between servers; run the request whole
+      yield* streamEvents.messageToEvents(await this.send(messages, options));
+      return;
+    }
+
+    let upstream = null;
+
+    try {
+      const requestData = openAIChat.buildChatCompletionRequest(
+        this.resolveModel(options.model),
+        messages,
+        options,
+        { stream: true }
+      );
+
+      const response = await axios.post(`${this.baseUrl}/v1/chat/completions`, requestData, {
+        headers: this.getHeaders(),
+        responseType: 'stream',
+        signal: options.signal,
+        timeout: this.timeout
+      });
+      upstream = response.data;
+
+      let outputText = '';
+      let started = false;
+
+      for await (const chunk of streamEvents.parseSSE(upstream)) {
+        if (chunk.error) {
+          throw new Error(`${this.name} stream error: ${chunk.error.message || chunk.error}`);
+        }
+
+        if (!started) {
+          started = true;
+          yield streamEvents.messageStart(
+            chunk.id ? `msg_${chunk.id}` : `msg_openai_${Date.now()}`,
+            chunk.model || requestData.model,
+            estimateTokens(extractMessageText(messages))
+          );
+          yield streamEvents.contentBlockStart(0);
+        }
+
+        const text = openAIChat.chunkText(chunk);
+        if (text) {
+          outputText += text;
+          yield streamEvents.textDelta(text, 0);
+        }
+
+        const finishReason = chunk.choices?.[0]?.finish_reason;
+        if (finishReason) {
+          yield streamEvents.contentBlockStop(0);
+          yield streamEvents.messageDelta(
+            openAIChat.toAnthropicStopReason(finishReason),
+            chunk.usage?.completion_tokens || estimateTokens(outputText),
+            chunk.usage?.prompt_tokens
+          );
+          yield streamEvents.messageStop();
+          break;
+        }
+      }
+    } catch (error) {
+      await this.readStreamedErrorBody(error);
+      throw error;
+    } finally {
+      if (upstream && !upstream.destroyed) {
+        upstream.destroy();
+      }
+    }
+  }
+}
+
+OpenAICompatibleProvider.type = 'openai-compatible';
+
+module.exports = OpenAICompatibleProvider;
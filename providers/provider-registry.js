@@ -0,0 +1,98 @@
+const logger = require('../shared/logger');
+const { safeParse } = require('../shared/safe-json');
+const AnthropicProvider = require('./anthropic-provider');
+const OllamaProvider = require('./ollama-provider');
+const OpenAICompatibleProvider = require('./openai-compatible-provider');
+
+const PROVIDER_TYPES = new Map([
+  [AnthropicProvider.type, AnthropicProvider],
+  [OllamaProvider.type, OllamaProvider],
+  [OpenAICompatibleProvider.type, OpenAICompatibleProvider]
+]);
+
+/**
+ * 🍌 BANANA-POWERED AI PROVIDER REGISTRY 🍌
+ *
+ * Ordered set of AI providers. Registration order is the routing
+ * chain: the first usable provider serves standard requests and the
+ * rest are tried in turn when it fails.
+ */
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  // Make a new provider type available to `create` and AI_PROVIDERS
+  static registerType(type, ProviderClass) {
+    PROVIDER_TYPES.set(type, ProviderClass);
+  }
+
+  static create(config = {}) {
+    const type = config.type || config.name;
+    const ProviderClass = PROVIDER_TYPES.get(type);
+
+    if (!ProviderClass) {
+      throw new Error(`Unknown AI provider type "${type}". Known types: ${[...PROVIDER_TYPES.keys()].join(', ')}`);
+    }
+
+    return new ProviderClass(config);
+  }
+
+  /**
+   * Provider configs from the AI_PROVIDERS environment variable: a JSON array
+   * of `{ name, type, ...settings }` in routing order
+   */
+  static configsFromEnv(value = process.env.AI_PROVIDERS) {
+    if (!value) return null;
+
+    const configs = safeParse(value, null);
+    if (!Array.isArray(configs)) {
+      logger.error('🍌 AI_PROVIDERS must be a JSON array of provider configs, ignoring it');
+      return null;
+    }
+
+    return configs;
+  }
+
+  register(provider) {
+    if (this.providers.has(provider.name)) {
+      throw new Error(`AI provider "${provider.name}" is already registered`);
+    }
+    this.providers.set(provider.name, provider);
+    return provider;
+  }
+
+  unregister(name) {
+    return this.providers.delete(name);
+  }
+
+  get(name) {
+    return this.providers.get(name);
+  }
+
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  // Providers in routing order
+  list() {
+    return [...this.providers.values()];
+  }
+
+  names() {
+    return [...this.providers.keys()];
+  }
+
+  // Reorder the routing chain; providers left out keep their relative order at the end
+  setOrder(names) {
+    const unknown = names.filter(name => !this.providers.has(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown AI providers in routing order: ${unknown.join(', ')}`);
+    }
+
+    const ordered = [...names, ...this.names().filter(name => !names.includes(name))];
+    this.providers = new Map(ordered.map(name => [name, this.providers.get(name)]));
+  }
+}
+
+module.exports = ProviderRegistry;
@@ -17,7 +17,8 @@ class BananaStreamingDashboard {
             hubspotContacts: [],
             mcpStatus: {},
             performanceMetrics: {},
-            toolCalls: []
+            toolCalls: [],
+            jobs: new Map()
         };
         
         // UI elements
@@ -60,6 +61,7 @@ class BananaStreamingDashboard {
             mcpStatusDisplay: document.getElementById('mcp-status'),
             metricsDisplay: document.getElementById('metrics-display'),
             toolCallsLog: document.getElementById('tool-calls-log'),
+            jobsList: document.getElementById('jobs-list'),
             
             // Charts containers
             performanceChart: document.getElementById('performance-chart'),
@@ -317,6 +319,10 @@ class BananaStreamingDashboard {
             this.addToolCallToLog(toolCall);
         });
 
+        this.client.on('update:job_progress', (data) => {
+            this.updateJobs(data.jobs || [data]);
+        });
+
         this.client.on('streamError', (error) => {
             console.error('🍌 Stream error:', error);
             this.showNotification('Stream error: ' + error.error, 'error');
@@ -545,6 +551,33 @@ class BananaStreamingDashboard {
         }
     }
 
+    updateJobs(jobs) {
+        if (!this.elements.jobsList) return;
+
+        jobs.forEach(job => this.data.jobs.set(job.id, job));
+
+        // Newest first, keeping the last 50
+        const latest = [...this.data.jobs.values()]
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, 50);
+        this.data.jobs = new Map(latest.map(job => [job.id, job]));
+
+        // Job errors and messages can echo caller input
+        const escape = (text) => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+        this.elements.jobsList.innerHTML = latest.map(job => `
+            <div class="tool-call-entry">
+                <div class="tool-header">
+                    <span class="tool-name">${escape(job.type)}</span>
+                    <span class="tool-time">${job.status}${job.progress.total ? ` · ${job.progress.percent}%` : ''}</span>
+                </div>
+                <div class="tool-result ${job.status === 'failed' ? 'error' : 'success'}">
+                    ${escape(job.error || job.progress.message || job.id)}
+                </div>
+            </div>
+        `).join('');
+    }
+
     displayWelcomeData(data) {
         console.log('🍌 System features:', data.features);
         console.log('🍌 Available channels:', data.availableChannels);
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const logger = require('../shared/logger');
 const EndpointWrapper = require('../helpers/endpoint-wrapper');
+const { isAdmin } = require('../shared/auth-policy');
+const { normalizeBudget } = require('../middleware/ai-usage-tracker');
 
 /**
  * 🍌 BANANA-POWERED API KEY MANAGEMENT ROUTES 🍌
@@ -11,17 +13,47 @@ const EndpointWrapper = require('../helpers/endpoint-wrapper');
  * - Managing existing keys
  * - Viewing usage statistics
  * - Monitoring rate limits
+ * - AI token and cost budgets
+ * - Key lifecycle: expiry, rotation, revocation, scopes and IP allowlists
  */
 
-module.exports = (apiKeyAuth) => {
+// Budgets arrive from request bodies, so validation errors are client errors
+const parseBudget = (budget) => {
+  try {
+    return normalizeBudget(budget);
+  } catch (error) {
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+// Lifecycle routes answer 404 the same way for every missing key
+const notFound = () => {
+  const error = new Error('API key not found');
+  error.statusCode = 404;
+  return error;
+};
+
+// The /me routes are about the calling API key, which other credentials don't have
+const callerKey = (req) => {
+  if (!req.apiKeyData) {
+    const error = new Error(`Signed in with ${req.principal?.authMethod || 'no credential'}, not an API key`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return req.apiKeyData;
+};
+
+module.exports = (apiKeyAuth, aiUsageTracker, inputValidator) => {
   
   // Get all API keys (admin only)
   router.get('/keys', EndpointWrapper.createAdminEndpoint(
-    (req) => {
-      const keys = apiKeyAuth.getAllKeys();
+    async (req) => {
+      const keys = await apiKeyAuth.getAllKeys();
       
       return {
         keys: keys.map(key => ({
+          keyId: key.keyId,
           key: key.key,
           name: key.name,
           tier: key.tier,
@@ -29,6 +61,11 @@ module.exports = (apiKeyAuth) => {
           createdAt: key.createdAt,
           lastUsed: key.lastUsed,
           isActive: key.isActive,
+          expiresAt: key.expiresAt || null,
+          revokedAt: key.revokedAt || null,
+          rotatedTo: key.rotatedTo || null,
+          scopes: key.scopes || null,
+          allowedIps: key.allowedIps || null,
           requests: key.requests,
           rateLimit: key.rateLimit,
           usage: {
@@ -46,8 +83,8 @@ module.exports = (apiKeyAuth) => {
   
   // Create new API key (admin only)
   router.post('/keys', EndpointWrapper.createAdminEndpoint(
-    (req) => {
-      const { name, tier = 'basic', description = '' } = req.body;
+    async (req) => {
+      const { name, tier = 'basic', description = '', aiBudget, expiresAt, scopes, allowedIps } = req.body;
       
       if (!name) {
         const error = new Error('Name is required');
@@ -61,22 +98,33 @@ module.exports = (apiKeyAuth) => {
         throw error;
       }
       
-      const newApiKey = apiKeyAuth.createAPIKey(name, tier, description);
+      const budget = parseBudget(aiBudget);
+      const { apiKey: newApiKey, keyData } = await apiKeyAuth.createAPIKey(name, tier, description, {
+        aiBudget: budget,
+        expiresAt,
+        scopes,
+        allowedIps
+      });
       
       logger.info('🍌 New API key created', {
         name,
         tier,
-        createdBy: req.apiKeyData?.name
+        createdBy: req.principal?.name
       });
       
       return {
         apiKey: newApiKey,
+        keyId: keyData.id,
         name,
         tier,
         description,
         rateLimit: apiKeyAuth.defaultLimits[tier],
+        aiBudget: aiUsageTracker?.getBudget({ tier, aiBudget: budget }),
         permissions: apiKeyAuth.permissions[tier],
-        createdAt: new Date().toISOString(),
+        scopes: keyData.scopes || null,
+        allowedIps: keyData.allowedIps || null,
+        expiresAt: keyData.expiresAt || null,
+        createdAt: keyData.createdAt,
         warning: '🍌 Store this API key securely! It will not be shown again.'
       };
     },
@@ -85,21 +133,26 @@ module.exports = (apiKeyAuth) => {
   
   // Get current API key info
   router.get('/me', EndpointWrapper.createGetEndpoint(
-    (req) => {
-      const usage = apiKeyAuth.keyUsage.get(req.apiKey);
+    async (req) => {
+      const keyData = callerKey(req);
+      const usage = await apiKeyAuth.getUsage(keyData);
       
       return {
-        name: req.apiKeyData.name,
-        tier: req.apiKeyData.tier,
-        description: req.apiKeyData.description,
-        createdAt: req.apiKeyData.createdAt,
-        lastUsed: req.apiKeyData.lastUsed,
-        rateLimit: req.apiKeyData.rateLimit,
-        permissions: apiKeyAuth.permissions[req.apiKeyData.tier],
+        keyId: keyData.id,
+        name: keyData.name,
+        tier: keyData.tier,
+        description: keyData.description,
+        createdAt: keyData.createdAt,
+        lastUsed: usage.lastRequestTime ? new Date(usage.lastRequestTime) : null,
+        rateLimit: keyData.rateLimit,
+        expiresAt: keyData.expiresAt || null,
+        permissions: apiKeyAuth.permissions[keyData.tier],
+        scopes: keyData.scopes || null,
+        allowedIps: keyData.allowedIps || null,
         usage: {
-          totalRequests: usage?.totalRequests || 0,
-          requestsThisMinute: usage?.requestsThisMinute || 0,
-          remainingThisMinute: Math.max(0, req.apiKeyData.rateLimit - (usage?.requestsThisMinute || 0))
+          totalRequests: usage.totalRequests,
+          requestsThisMinute: usage.requestsThisMinute,
+          remainingThisMinute: Math.max(0, keyData.rateLimit - usage.requestsThisMinute)
         },
         status: '🍌 Banana-powered and ready!'
       };
@@ -107,10 +160,29 @@ module.exports = (apiKeyAuth) => {
     { errorMessage: 'Failed to get API key info' }
   ));
   
+  // AI token and cost usage of the current API key against its budgets
+  router.get('/me/usage', EndpointWrapper.createGetEndpoint(
+    async (req) => {
+      if (!aiUsageTracker) {
+        const error = new Error('AI usage tracking is not enabled');
+        error.statusCode = 404;
+        throw error;
+      }
+      
+      const keyData = callerKey(req);
+      return {
+        name: keyData.name,
+        tier: keyData.tier,
+        ...await aiUsageTracker.getUsage(keyData)
+      };
+    },
+    { errorMessage: 'Failed to get AI usage' }
+  ));
+  
   // Get usage statistics
   router.get('/stats', EndpointWrapper.createGetEndpoint(
-    () => {
-      const keys = apiKeyAuth.getAllKeys();
+    async () => {
+      const keys = await apiKeyAuth.getAllKeys();
       
       // Calculate global stats
       const totalRequests = keys.reduce((sum, key) => sum + (key.usage.totalRequests || 0), 0);
@@ -148,11 +220,41 @@ module.exports = (apiKeyAuth) => {
     { errorMessage: 'Failed to get statistics' }
   ));
   
+  // Set per-key AI budget overrides (admin only); null limits mean unlimited.
+  // Keys are picked by key ID or by the prefix shown in listings
+  router.patch('/keys/:keyPrefix/budget', EndpointWrapper.createAdminEndpoint(
+    async (req) => {
+      const aiBudget = parseBudget(req.body.aiBudget);
+      const keyData = await apiKeyAuth.updateKey(req.params.keyPrefix, key => {
+        key.aiBudget = aiBudget;
+      });
+      
+      if (!keyData) {
+        const error = new Error('API key not found');
+        error.statusCode = 404;
+        throw error;
+      }
+      
+      logger.info('🍌 API key AI budget updated', {
+        name: keyData.name,
+        aiBudget: keyData.aiBudget,
+        updatedBy: req.principal?.name
+      });
+      
+      return {
+        name: keyData.name,
+        tier: keyData.tier,
+        aiBudget: aiUsageTracker ? aiUsageTracker.getBudget(keyData) : keyData.aiBudget
+      };
+    },
+    { errorMessage: 'Failed to update AI budget' }
+  ));
+  
   // Deactivate API key (admin only)
-  router.patch('/keys/:keyPrefix/deactivate', (req, res) => {
+  router.patch('/keys/:keyPrefix/deactivate', async (req, res) => {
     try {
-      // Only admin tier can deactivate keys
-      if (req.apiKeyData?.tier !== 'admin') {
+      // Only admins can deactivate keys
+      if (!isAdmin(req.principal)) {
         return res.status(403).json({
           success: false,
           error: 'Admin access required',
@@ -160,23 +262,11 @@ module.exports = (apiKeyAuth) => {
         });
       }
       
-      const { keyPrefix } = req.params;
-      const keys = apiKeyAuth.getAllKeys();
-      const targetKey = keys.find(key => key.key === keyPrefix + '...' || key.fullKey === keyPrefix);
-      
-      if (!targetKey) {
-        return res.status(404).json({
-          success: false,
-          error: 'API key not found',
-          timestamp: new Date().toISOString()
-        });
-      }
-      
       // Deactivate the key
-      const keyData = apiKeyAuth.apiKeys.get(targetKey.fullKey);
+      const keyData = await apiKeyAuth.updateKey(req.params.keyPrefix, key => {
+        key.isActive = false;
+      });
       if (keyData) {
-        keyData.isActive = false;
-        
         res.json({
           success: true,
           message: `API key '${keyData.name}' has been deactivated`,
@@ -190,7 +280,7 @@ module.exports = (apiKeyAuth) => {
         
         logger.info('🍌 API key deactivated', {
           name: keyData.name,
-          deactivatedBy: req.apiKeyData?.name
+          deactivatedBy: req.principal?.name
         });
       } else {
         res.status(404).json({
@@ -202,13 +292,89 @@ module.exports = (apiKeyAuth) => {
       
     } catch (error) {
       logger.error('Failed to deactivate API key', { error: error.message });
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
-        error: 'Failed to deactivate API key',
+        error: error.statusCode ? error.message : 'Failed to deactivate API key',
         timestamp: new Date().toISOString()
       });
     }
   });
   
+  // Rotate the calling key; the old one keeps working for the grace period
+  router.post('/me/rotate', inputValidator.validateRequest('apiKeyRotate'), EndpointWrapper.createPostEndpoint(
+    async (req) => rotated(await apiKeyAuth.rotateKey(callerKey(req).id, { gracePeriod: req.body.gracePeriod })),
+    { errorMessage: 'Failed to rotate API key' }
+  ));
+  
+  // One key with its expiry, scopes, allowlist and rotation links (admin only)
+  router.get('/:id', EndpointWrapper.createAdminEndpoint(
+    async (req) => {
+      const keyData = await apiKeyAuth.findKey(req.params.id);
+      if (!keyData) throw notFound();
+      const { lastUsed, lastIp } = await apiKeyAuth.store.readUsage(keyData.id);
+      return { ...keyData, lastUsed, lastIp };
+    },
+    { errorMessage: 'Failed to get API key' }
+  ));
+  
+  // Change a key's metadata and restrictions (admin only)
+  router.put('/:id', inputValidator.validateRequest('apiKeyUpdate'), EndpointWrapper.createAdminEndpoint(
+    async (req) => {
+      const fields = { ...req.body };
+      if (fields.aiBudget !== undefined) fields.aiBudget = parseBudget(fields.aiBudget);
+      
+      const keyData = await apiKeyAuth.setKeyFields(req.params.id, fields);
+      if (!keyData) throw notFound();
+      
+      logger.info('🍌 API key updated', {
+        keyId: keyData.id,
+        fields: Object.keys(fields),
+        updatedBy: req.principal?.name
+      });
+      return keyData;
+    },
+    { errorMessage: 'Failed to update API key' }
+  ));
+  
+  // Revoke a key at once (admin only); it stays listed as revoked
+  router.delete('/:id', EndpointWrapper.createAdminEndpoint(
+    async (req) => {
+      const keyData = await apiKeyAuth.revokeKey(req.params.id, req.principal?.name);
+      if (!keyData) throw notFound();
+      
+      logger.info('🍌 API key revoked', { keyId: keyData.id, revokedBy: req.principal?.name });
+      return { keyId: keyData.id, name: keyData.name, revokedAt: keyData.revokedAt };
+    },
+    { errorMessage: 'Failed to revoke API key' }
+  ));
+  
+  // Issue a successor key (admin only); the old one keeps working for the grace period
+  router.post('/:id/rotate', inputValidator.validateRequest('apiKeyAdminRotate'), EndpointWrapper.createAdminEndpoint(
+    async (req) => rotated(await apiKeyAuth.rotateKey(req.params.id, req.body)),
+    { errorMessage: 'Failed to rotate API key' }
+  ));
+  
+  // Requests per day across every worker, denied ones counted apart (admin only)
+  router.get('/:id/usage', EndpointWrapper.createAdminEndpoint(
+    async (req) => {
+      const history = await apiKeyAuth.getUsageHistory(req.params.id, Math.min(parseInt(req.query.days) || 30, 90));
+      if (!history) throw notFound();
+      return history;
+    },
+    { errorMessage: 'Failed to get API key usage history' }
+  ));
+  
   return router;
-};
\ No newline at end of file
+};
+
+function rotated(result) {
+  if (!result) throw notFound();
+  return {
+    apiKey: result.apiKey,
+    keyId: result.keyData.id,
+    expiresAt: result.keyData.expiresAt,
+    previousKeyId: result.previous.id,
+    previousKeyExpiresAt: result.previous.expiresAt,
+    warning: '🍌 Store this API key securely! It will not be shown again.'
+  };
+}
\ No newline at end of file
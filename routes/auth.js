@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const EndpointWrapper = require('../helpers/endpoint-wrapper');
+const logger = require('../shared/logger');
+
+/**
+ * 🍌 BANANA-POWERED SIGN-IN ROUTES 🍌
+ *
+ * Browser sign-in through the configured OIDC provider. A successful
+ * sign-in leaves a SessionSecurity cookie carrying the principal, which the
+ * auth pipeline accepts on every other route. These routes are public; they
+ * read the session themselves.
+ */
+module.exports = (oidcAuth) => {
+  router.get('/login', EndpointWrapper.createGetEndpoint(
+    async (req, res) => {
+      res.redirect(await oidcAuth.startLogin(req.query.returnTo));
+    },
+    { errorMessage: 'Failed to start sign-in' }
+  ));
+
+  router.get('/callback', EndpointWrapper.createGetEndpoint(
+    async (req, res) => {
+      const { principal, returnTo } = await oidcAuth.finishLogin(req.query);
+
+      // A fresh session ID on every sign-in, so one planted beforehand is worthless
+      if (req.session?.data) {
+        await req.destroySession();
+      }
+      // Lax, since the browser arrives here by a redirect from the provider
+      await req.createSession({ principal }, { sameSite: 'lax' });
+
+      res.redirect(returnTo);
+    },
+    { errorMessage: 'Failed to finish sign-in' }
+  ));
+
+  router.get('/me', EndpointWrapper.createGetEndpoint(
+    async (req) => {
+      const principal = req.session?.data?.principal;
+      if (!principal) {
+        const error = new Error('Not signed in');
+        error.statusCode = 401;
+        throw error;
+      }
+
+      return {
+        principal,
+        expiresAt: new Date(req.session.expires).toISOString(),
+        // State-changing requests from the page send this as X-CSRF-Token
+        csrfToken: await req.csrfToken()
+      };
+    }
+  ));
+
+  router.post('/logout', EndpointWrapper.createActionEndpoint(
+    async (req) => {
+      const principal = req.session?.data?.principal;
+      await req.destroySession();
+      if (principal) {
+        logger.info('🍌 Signed out', { user: principal.name });
+      }
+    },
+    { successMessage: 'Signed out' }
+  ));
+
+  return router;
+};
@@ -0,0 +1,125 @@
+const express = require('express');
+const router = express.Router();
+const EndpointWrapper = require('../helpers/endpoint-wrapper');
+const { summarize, requestOwner, requestTenant } = require('../services/job-queue');
+
+const REPORT_FORMATS = ['json', 'csv', 'excel', 'pdf'];
+const REPORT_EXTENSIONS = { csv: 'csv', excel: 'xlsx', pdf: 'pdf' };
+const YAML_TYPES = ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/x-yaml'];
+
+/**
+ * 🍌 BANANA-POWERED DATA-QUALITY ROUTES 🍌
+ *
+ * Manage data-quality rules, run them on demand, and read what runs found
+ * and fixed: the runs themselves, violation reports and the audit trail of
+ * fixes written to HubSpot. Changing the rules is for admins.
+ */
+module.exports = (components, inputValidator) => {
+  const { dataQualityEngine, jobQueue } = components;
+
+  router.get('/status', EndpointWrapper.createGetEndpoint(
+    async () => dataQualityEngine.getStatus(),
+    { errorMessage: 'Failed to get data-quality status' }
+  ));
+
+  router.get('/rules', EndpointWrapper.createGetEndpoint(
+    async () => {
+      const rules = await dataQualityEngine.getRules();
+      return { rules, error: dataQualityEngine.rulesError };
+    },
+    { errorMessage: 'Failed to get data-quality rules' }
+  ));
+
+  // Replace the rules, sent as JSON or as a YAML document
+  router.put('/rules', express.text({ type: YAML_TYPES, limit: '1mb' }), EndpointWrapper.createAdminEndpoint(
+    async (req) => ({ rules: await dataQualityEngine.saveRules(req.body) }),
+    { errorMessage: 'Failed to save data-quality rules' }
+  ));
+
+  // Check records now, or as a background job for big portals
+  router.post('/runs', inputValidator.validateRequest('dataQualityRun'), EndpointWrapper.createPostEndpoint(
+    async (req, res) => {
+      const { background, ...options } = req.body;
+
+      if (background) {
+        const job = await jobQueue.create({
+          type: 'hubspot.data-quality',
+          payload: { ...options, trigger: 'manual' },
+          owner: requestOwner(req),
+          tenant: requestTenant(req)
+        });
+        res.status(202);
+        return { ...summarize(job), jobId: job.id, statusUrl: `/api/jobs/${job.id}` };
+      }
+
+      return dataQualityEngine.run({ ...options, trigger: 'manual' });
+    },
+    { errorMessage: 'Failed to run data-quality rules' }
+  ));
+
+  router.get('/runs', EndpointWrapper.createGetEndpoint(
+    async (req) => ({
+      runs: await dataQualityEngine.listRuns({
+        trigger: req.query.trigger,
+        limit: Math.min(parseInt(req.query.limit) || 20, 100)
+      })
+    }),
+    { errorMessage: 'Failed to list data-quality runs' }
+  ));
+
+  router.get('/runs/:id', EndpointWrapper.createGetEndpoint(
+    async (req) => dataQualityEngine.requireRun(req.params.id),
+    { errorMessage: 'Failed to get data-quality run' }
+  ));
+
+  // The run's violations as a report: JSON, or a CSV, Excel or PDF download
+  router.get('/runs/:id/report', EndpointWrapper.createGetEndpoint(
+    async (req, res) => {
+      const format = req.query.format || 'json';
+      if (!REPORT_FORMATS.includes(format)) {
+        const error = new Error(`format must be one of: ${REPORT_FORMATS.join(', ')}`);
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const report = await dataQualityEngine.createReport(req.params.id, {
+        format,
+        userId: requestOwner(req),
+        tenantId: requestTenant(req)
+      });
+
+      try {
+        if (format === 'json') {
+          const { id, name, description, recordCount, completedAt, data } = report;
+          return { id, name, description, recordCount, completedAt: new Date(completedAt).toISOString(), violations: data };
+        }
+
+        res.disableCompression?.();
+        await new Promise((resolve, reject) => {
+          res.download(report.filePath, `data-quality-${req.params.id}.${REPORT_EXTENSIONS[format]}`, error => error ? reject(error) : resolve());
+        });
+      } finally {
+        await dataQualityEngine.reportBuilder.deleteReport(report.id);
+      }
+    },
+    { errorMessage: 'Failed to build data-quality report' }
+  ));
+
+  // Fixes written to HubSpot, newest first
+  router.get('/audit', EndpointWrapper.createGetEndpoint(
+    async (req) => {
+      const { objectType, recordId, runId } = req.query;
+      return {
+        entries: await dataQualityEngine.getAudit({
+          objectType,
+          recordId,
+          runId,
+          limit: Math.min(parseInt(req.query.limit) || 100, 1000)
+        })
+      };
+    },
+    { errorMessage: 'Failed to read the data-quality audit trail' }
+  ));
+
+  return router;
+};
@@ -1,17 +1,30 @@
 const express = require('express');
+const { once } = require('events');
 const router = express.Router();
 const EndpointWrapper = require('../helpers/endpoint-wrapper');
+const HubSpotProxy = require('../middleware/hubspot-proxy');
+const { requestPriority } = require('../shared/hubspot-scheduler');
+const { summarize, requestOwner, requestTenant } = require('../services/job-queue');
 
 /**
  * 🍌 BANANA-POWERED HUBSPOT ROUTES 🍌
  */
 module.exports = (components, inputValidator) => {
-  const { authHandler, streamingHandler, paginationHelper, cursorPagination } = components;
+  const { authHandler, streamingHandler, paginationHelper, cursorPagination, hubspotBatchService, hubspotGraphService, hubspotSchemaRegistry, jobQueue, crmMirror, duplicateDetector } = components;
+  const hubspotProxy = new HubSpotProxy(authHandler);
 
   // Get contacts with optional streaming
   router.get('/contacts', EndpointWrapper.createGetEndpoint(
     async (req) => {
-      const { stream = false, limit = 10, after } = req.query;
+      const { stream = false, limit = 10, after, source } = req.query;
+
+      // Answered locally, even while HubSpot is down
+      if (source === 'mirror') {
+        return {
+          data: await crmMirror.list('contacts', { limit: Math.min(parseInt(limit) || 10, 100), after }),
+          mirror: await crmMirror.describe('contacts')
+        };
+      }
       
       if (stream === 'true') {
         // Use streaming pagination for large datasets
@@ -25,7 +38,7 @@ module.exports = (components, inputValidator) => {
         let endpoint = `/crm/v3/objects/contacts?limit=${limit}`;
         if (after) endpoint += `&after=${after}`;
 
-        const data = await authHandler.callHubSpot(endpoint);
+        const data = await authHandler.callHubSpot(endpoint, 'GET', null, { priority: requestPriority(req) });
         return { data };
       }
     },
@@ -39,7 +52,7 @@ module.exports = (components, inputValidator) => {
         const contactData = req.body;
         const data = await authHandler.callHubSpot('/crm/v3/objects/contacts', 'POST', {
           properties: contactData
-        });
+        }, { priority: requestPriority(req) });
         return { data };
       },
       { errorMessage: 'Failed to create contact' }
@@ -63,26 +76,91 @@ module.exports = (components, inputValidator) => {
     { errorMessage: 'Cursor streaming handler failed' }
   ));
 
-  // Search endpoints
-  router.post('/search/:objectType', EndpointWrapper.createPostEndpoint(
+  // Search endpoints; any object type the portal has, checked against its properties
+  router.post('/search/:objectType', inputValidator.validateHubSpotObject('search'), EndpointWrapper.createPostEndpoint(
     async (req) => {
       const { objectType } = req.params;
       const searchRequest = req.body;
-      
-      // Validate object type
-      const validObjectTypes = ['contacts', 'companies', 'deals', 'tickets', 'products'];
-      if (!validObjectTypes.includes(objectType)) {
-        const error = new Error(`Invalid object type. Must be one of: ${validObjectTypes.join(', ')}`);
-        error.statusCode = 400;
-        throw error;
+
+      if (req.query.source === 'mirror') {
+        return {
+          data: await crmMirror.search(objectType, { ...searchRequest, limit: Math.min(parseInt(searchRequest.limit) || 10, 200) }),
+          mirror: await crmMirror.describe(objectType)
+        };
       }
 
-      const data = await authHandler.searchHubSpot(objectType, searchRequest);
+      const data = await authHandler.searchHubSpot(objectType, searchRequest, { priority: requestPriority(req) });
       return { data };
     },
     { errorMessage: 'Failed to search HubSpot objects' }
   ));
 
+  // Records of any object type, custom objects included
+  router.get('/objects/:objectType', inputValidator.validateHubSpotObject('read'), EndpointWrapper.createGetEndpoint(
+    async (req) => {
+      const { limit = 10, after, properties, archived } = req.query;
+      const params = new URLSearchParams({ limit: String(Math.min(parseInt(limit) || 10, 100)) });
+      if (after) params.set('after', after);
+      if (properties) params.set('properties', properties);
+      if (archived === 'true') params.set('archived', 'true');
+
+      const data = await authHandler.callHubSpot(
+        `/crm/v3/objects/${encodeURIComponent(req.params.objectType)}?${params}`, 'GET', null, { priority: requestPriority(req) }
+      );
+      return { data };
+    },
+    { errorMessage: 'Failed to list HubSpot objects' }
+  ));
+
+  router.get('/objects/:objectType/:id', inputValidator.validateHubSpotObject('read'), EndpointWrapper.createGetEndpoint(
+    async (req) => {
+      const { properties, idProperty } = req.query;
+      const params = new URLSearchParams();
+      if (properties) params.set('properties', properties);
+      if (idProperty) params.set('idProperty', idProperty);
+
+      const data = await authHandler.callHubSpot(
+        `/crm/v3/objects/${encodeURIComponent(req.params.objectType)}/${encodeURIComponent(req.params.id)}?${params}`,
+        'GET', null, { priority: requestPriority(req) }
+      );
+      return { data };
+    },
+    { errorMessage: 'Failed to retrieve HubSpot object' }
+  ));
+
+  router.post('/objects/:objectType', inputValidator.validateHubSpotObject('create'), EndpointWrapper.createPostEndpoint(
+    async (req, res) => {
+      const data = await authHandler.callHubSpot(
+        `/crm/v3/objects/${encodeURIComponent(req.params.objectType)}`, 'POST', req.body, { priority: requestPriority(req) }
+      );
+      res.status(201);
+      return { data };
+    },
+    { errorMessage: 'Failed to create HubSpot object' }
+  ));
+
+  router.patch('/objects/:objectType/:id', inputValidator.validateHubSpotObject('update'), EndpointWrapper.createPostEndpoint(
+    async (req) => {
+      const data = await authHandler.callHubSpot(
+        `/crm/v3/objects/${encodeURIComponent(req.params.objectType)}/${encodeURIComponent(req.params.id)}`,
+        'PATCH', req.body, { priority: requestPriority(req) }
+      );
+      return { data };
+    },
+    { errorMessage: 'Failed to update HubSpot object' }
+  ));
+
+  // Object types the portal has, and each one's property definitions
+  router.get('/schemas', EndpointWrapper.createGetEndpoint(
+    async () => ({ ...hubspotSchemaRegistry.getStatus(), objectTypes: hubspotSchemaRegistry.list() }),
+    { errorMessage: 'Failed to list HubSpot object types' }
+  ));
+
+  router.get('/schemas/:objectType', EndpointWrapper.createGetEndpoint(
+    async (req) => hubspotSchemaRegistry.describe(req.params.objectType, { refresh: req.query.refresh === 'true' }),
+    { errorMessage: 'Failed to describe HubSpot object type' }
+  ));
+
   // GraphQL endpoint with streaming support
   router.post('/graphql', EndpointWrapper.createPostEndpoint(
     async (req, res) => {
@@ -99,19 +177,167 @@ module.exports = (components, inputValidator) => {
         const response = await authHandler.hubspotClient.post('/collector/graphql', {
           query,
           variables
-        }, { responseType: 'stream' });
+        }, { responseType: 'stream', priority: requestPriority(req), retryable: true });
         
         await streamingHandler.handleGraphQLStream(response, res);
         return; // Response already sent
       } else {
         // Standard GraphQL response
-        const data = await authHandler.callHubSpotGraphQL(query, variables);
+        const data = await authHandler.callHubSpotGraphQL(query, variables, { priority: requestPriority(req) });
         return { data };
       }
     },
     { errorMessage: 'Failed to execute GraphQL query' }
   ));
 
+  // Batch create/update/upsert/read/archive of any size, optionally as a background job
+  router.post('/batch/:objectType/:action', inputValidator.validateRequest('hubspotBatch'), inputValidator.validateHubSpotObject('batch'),
+    EndpointWrapper.createPostEndpoint(
+      async (req, res) => {
+        const { objectType, action } = req.params;
+        const { background = false, ...batchRequest } = req.body;
+
+        if (!/^[A-Za-z0-9_-]+$/.test(objectType)) {
+          const error = new Error('Invalid object type');
+          error.statusCode = 400;
+          throw error;
+        }
+
+        if (background) {
+          // Durable: survives restarts and can be followed or cancelled at /api/jobs
+          const job = await jobQueue.create({
+            type: 'hubspot.batch',
+            payload: { objectType, action, ...batchRequest },
+            owner: requestOwner(req),
+            tenant: requestTenant(req)
+          });
+          res.status(202);
+          return { ...summarize(job), jobId: job.id, total: batchRequest.inputs.length, statusUrl: `/api/jobs/${job.id}` };
+        }
+
+        const result = await hubspotBatchService.run(objectType, action, batchRequest, { priority: requestPriority(req) });
+        // Like HubSpot, partial failures are a multi-status
+        if (result.failed > 0) {
+          res.status(207);
+        }
+        return result;
+      },
+      { errorMessage: 'Failed to run HubSpot batch' }
+    )
+  );
+
+  // A record and everything associated with it, a few levels out, as nodes and edges
+  router.get('/graph/:objectType/:id', EndpointWrapper.createGetEndpoint(
+    async (req, res) => {
+      const { objectType, id } = req.params;
+      const list = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+      const include = list(req.query.include);
+
+      if (![objectType, id, ...include].every(value => /^[A-Za-z0-9_-]+$/.test(value))) {
+        const error = new Error('Invalid object type or ID');
+        error.statusCode = 400;
+        throw error;
+      }
+
+      // Custom objects by any of their names, e.g. p_myobject
+      const canonical = (type) => hubspotSchemaRegistry?.lookup(type)?.objectType || type;
+      const options = {
+        depth: req.query.depth,
+        include: include.map(canonical),
+        properties: list(req.query.properties),
+        maxNodes: parseInt(req.query.maxNodes) || undefined,
+        priority: requestPriority(req)
+      };
+
+      if (req.query.stream !== 'true') {
+        return hubspotGraphService.build(canonical(objectType), id, options);
+      }
+
+      // Big fan-outs as NDJSON, a level at a time; opened once the root is found so a miss is still a 404
+      let output = null;
+      const send = async (line) => {
+        if (res.destroyed) throw new Error('Client closed the graph stream');
+        if (!output.write(line)) await once(output, 'drain');
+      };
+
+      try {
+        const graph = await hubspotGraphService.build(canonical(objectType), id, {
+          ...options,
+          onLevel: async ({ nodes, edges }) => {
+            if (!output) {
+              res.disableCompression?.();
+              output = streamingHandler.createChunkedResponseHandler(res, 'application/x-ndjson', { endpoint: 'hubspot-graph' });
+            }
+            for (const node of nodes) await send({ type: 'node', node });
+            for (const edge of edges) await send({ type: 'edge', edge });
+          }
+        });
+        const { root, truncated, warnings, stats } = graph;
+        await send({ type: 'summary', root, truncated, warnings, stats });
+      } catch (error) {
+        if (!output) throw error;
+        if (!res.destroyed) output.write({ type: 'error', message: error.message });
+      }
+      output.end();
+    },
+    { errorMessage: 'Failed to build HubSpot association graph' }
+  ));
+
+  // Sync state of the local CRM mirror
+  router.get('/mirror/status', EndpointWrapper.createGetEndpoint(
+    async () => crmMirror.getStatus(),
+    { errorMessage: 'Failed to get CRM mirror status' }
+  ));
+
+  // Full resync of some or all mirrored object types, run by the sync leader
+  router.post('/mirror/sync', inputValidator.validateRequest('crmMirrorSync'), EndpointWrapper.createPostEndpoint(
+    async (req, res) => {
+      const objectTypes = await crmMirror.requestResync(req.body.objectTypes);
+      res.status(202);
+      return { objectTypes, statusUrl: `${req.baseUrl}/mirror/status` };
+    },
+    { adminOnly: true, errorMessage: 'Failed to request CRM mirror resync' }
+  ));
+
+  // Likely duplicate contacts or companies, grouped in clusters, most confident first.
+  // A fresh scan of a big portal takes a while: run it as a hubspot.duplicates job
+  router.get('/duplicates', inputValidator.validateRequest('duplicatesQuery', 'query'), EndpointWrapper.createGetEndpoint(
+    async (req) => {
+      const { objectType, refresh, minConfidence, limit } = req.query;
+      return duplicateDetector.listClusters(objectType, { refresh, minConfidence, limit });
+    },
+    { errorMessage: 'Failed to find duplicates' }
+  ));
+
+  // Merges and rejections, newest first
+  router.get('/duplicates/decisions', EndpointWrapper.createGetEndpoint(
+    async (req) => ({
+      decisions: await duplicateDetector.getDecisions({
+        objectType: req.query.objectType,
+        decision: req.query.decision,
+        limit: Math.min(parseInt(req.query.limit) || 100, 1000)
+      })
+    }),
+    { errorMessage: 'Failed to read duplicate decisions' }
+  ));
+
+  router.get('/duplicates/:clusterId', EndpointWrapper.createGetEndpoint(
+    async (req) => duplicateDetector.getCluster(req.params.clusterId),
+    { errorMessage: 'Failed to get duplicate cluster' }
+  ));
+
+  // Merge the cluster's records into one in HubSpot
+  router.post('/duplicates/:clusterId/merge', inputValidator.validateRequest('duplicatesMerge'), EndpointWrapper.createPostEndpoint(
+    async (req) => duplicateDetector.merge(req.params.clusterId, { ...req.body, userId: requestOwner(req) }),
+    { errorMessage: 'Failed to merge duplicates' }
+  ));
+
+  // Not duplicates: never suggest these records together again
+  router.post('/duplicates/:clusterId/reject', inputValidator.validateRequest('duplicatesReject'), EndpointWrapper.createPostEndpoint(
+    async (req) => duplicateDetector.reject(req.params.clusterId, { ...req.body, userId: requestOwner(req) }),
+    { errorMessage: 'Failed to reject duplicates' }
+  ));
+
   // 🍌 MCP TEST ENDPOINT FOR MARK 🍌
   router.post('/mcp/test', EndpointWrapper.createPostEndpoint(
     async (req) => {
@@ -156,15 +382,8 @@ module.exports = (components, inputValidator) => {
     { errorMessage: 'MCP test failed' }
   ));
 
-  // Generic HubSpot proxy for any endpoint
-  router.all('/*', EndpointWrapper.createGetEndpoint(
-    async (req) => {
-      const endpoint = req.path.replace('/api/hubspot', '');
-      const data = await authHandler.callHubSpot(endpoint, req.method, req.body);
-      return { data };
-    },
-    { errorMessage: 'HubSpot API call failed' }
-  ));
+  // Pass-through proxy for every other HubSpot endpoint
+  router.all('/*', hubspotProxy.middleware());
 
   return router;
 };
\ No newline at end of file
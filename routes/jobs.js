@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const router = express.Router();
+const EndpointWrapper = require('../helpers/endpoint-wrapper');
+const { isAdmin } = require('../shared/auth-policy');
+const { summarize, requestOwner, requestTenant, TERMINAL_STATUSES } = require('../services/job-queue');
+
+/**
+ * 🍌 BANANA-POWERED BACKGROUND JOB ROUTES 🍌
+ *
+ * Queue, poll, follow and cancel durable background jobs. Callers see
+ * their own jobs; admins see every job.
+ */
+module.exports = (components, inputValidator) => {
+  const { jobQueue } = components;
+
+  const notFound = () => {
+    const error = new Error('Job not found');
+    error.statusCode = 404;
+    return error;
+  };
+
+  // The job, if the caller may see it
+  const findJob = async (req) => {
+    const job = await jobQueue.get(req.params.id);
+    if (!job || (!isAdmin(req.principal) && job.owner !== requestOwner(req))) {
+      throw notFound();
+    }
+    return job;
+  };
+
+  router.post('/', inputValidator.validateRequest('jobCreate'), EndpointWrapper.createPostEndpoint(
+    async (req, res) => {
+      const { type, payload, maxAttempts } = req.body;
+      const job = await jobQueue.create({
+        type,
+        payload,
+        maxAttempts,
+        owner: requestOwner(req),
+        tenant: requestTenant(req),
+        maxConcurrent: req.tenant?.config?.limits?.maxConcurrentJobs
+      });
+
+      res.status(202);
+      return { ...summarize(job), statusUrl: `${req.baseUrl}/${job.id}` };
+    },
+    { errorMessage: 'Failed to queue job' }
+  ));
+
+  router.get('/', EndpointWrapper.createGetEndpoint(
+    async (req) => {
+      const { status, type, limit = 50 } = req.query;
+      const jobs = await jobQueue.list({
+        owner: isAdmin(req.principal) ? undefined : requestOwner(req),
+        status,
+        type,
+        limit: Math.min(parseInt(limit) || 50, 500)
+      });
+      return { jobs: jobs.map(summarize), types: jobQueue.types() };
+    },
+    { errorMessage: 'Failed to list jobs' }
+  ));
+
+  router.get('/:id', EndpointWrapper.createGetEndpoint(
+    async (req) => {
+      const job = await findJob(req);
+      return {
+        ...summarize(job),
+        result: job.status === 'completed' ? await jobQueue.getResult(job.id) : null
+      };
+    },
+    { errorMessage: 'Failed to get job' }
+  ));
+
+  router.post('/:id/cancel', EndpointWrapper.createPostEndpoint(
+    async (req) => {
+      const job = await findJob(req);
+      if (TERMINAL_STATUSES.includes(job.status)) {
+        const error = new Error(`Job is already ${job.status}`);
+        error.statusCode = 409;
+        throw error;
+      }
+      return summarize(await jobQueue.cancel(job.id));
+    },
+    { errorMessage: 'Failed to cancel job' }
+  ));
+
+  // Server-sent events with the job's state until it finishes
+  router.get('/:id/events', EndpointWrapper.createGetEndpoint(
+    async (req, res) => {
+      const job = await findJob(req);
+
+      res.disableCompression?.();
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+
+      const send = (event) => {
+        res.write(`event: job\ndata: ${JSON.stringify(event)}\n\n`);
+        if (TERMINAL_STATUSES.includes(event.status)) {
+          cleanup();
+          res.end();
+        }
+      };
+      const onJob = (event) => {
+        if (event.id === job.id) send(event);
+      };
+      const cleanup = () => jobQueue.off('job', onJob);
+
+      jobQueue.on('job', onJob);
+      res.on('close', cleanup);
+      send(summarize(job));
+    },
+    { errorMessage: 'Failed to stream job events' }
+  ));
+
+  // The file a job produced, e.g. an export
+  router.get('/:id/download', EndpointWrapper.createGetEndpoint(
+    async (req, res) => {
+      const job = await findJob(req);
+      const result = job.status === 'completed' ? await jobQueue.getResult(job.id) : null;
+      if (!result?.file) {
+        const error = new Error('Job has no file to download');
+        error.statusCode = 404;
+        throw error;
+      }
+
+      // Only ever the job's own output file, whatever the result says
+      const extension = path.extname(result.file).slice(1);
+      const file = jobQueue.outputFile(job.id, extension);
+      await fs.promises.access(file).catch(() => {
+        throw notFound();
+      });
+
+      res.disableCompression?.();
+      await new Promise((resolve, reject) => {
+        res.download(file, `${job.type.replace(/\W+/g, '-')}-${job.id}.${extension}`, error => error ? reject(error) : resolve());
+      });
+    },
+    { errorMessage: 'Failed to download job output' }
+  ));
+
+  return router;
+};
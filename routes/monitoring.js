@@ -19,6 +19,8 @@ module.exports = (components, requireAdminAuth) => {
     requestDeduplicationBatcher,
     webhookHandler,
     aiHandler,
+    aiCompletionCache,
+    authHandler,
     autoRestart,
     dependencyScanner,
     csrfProtection,
@@ -29,13 +31,13 @@ module.exports = (components, requireAdminAuth) => {
   const monitoringController = new MonitoringController(
     performanceCollector, logRotator, predictiveHealthMonitor,
     intelligentCache, requestDeduplicationBatcher, webhookHandler,
-    aiHandler, autoRestart
+    aiHandler, autoRestart, authHandler
   );
   
   const cacheController = new CacheController(intelligentCache);
   const deduplicationController = new DeduplicationController(requestDeduplicationBatcher);
   const webhookController = new WebhookController(webhookHandler);
-  const aiController = new AIController(aiHandler);
+  const aiController = new AIController(aiHandler, null, aiCompletionCache);
   const securityController = new SecurityController(dependencyScanner, csrfProtection, sessionSecurity);
 
   // Monitoring routes
@@ -47,6 +49,7 @@ module.exports = (components, requireAdminAuth) => {
   router.get('/predictive-health', monitoringController.getPredictiveHealth);
   router.get('/cluster-scaling', monitoringController.getClusterScaling);
   router.get('/ollama-status', monitoringController.getOllamaStatus);
+  router.get('/hubspot/rate-limits', monitoringController.getHubSpotRateLimits);
 
   // 🍌 MCP MONITORING ROUTES 🍌
   router.get('/mcp/status', requireAdminAuth, (req, res) => {
@@ -142,10 +145,14 @@ module.exports = (components, requireAdminAuth) => {
   // AI routing routes
   router.get('/ai', aiController.getStats);
   router.post('/ai/test', requireAdminAuth, aiController.testProviders);
-  router.post('/ai/refresh-ollama', requireAdminAuth, aiController.refreshOllama);
+  router.post('/ai/refresh', requireAdminAuth, aiController.refreshProviders);
+  router.post('/ai/refresh-ollama', requireAdminAuth, aiController.refreshProviders);
   router.post('/ai/reset-credits', requireAdminAuth, aiController.resetCredits);
   router.post('/ai/clear', requireAdminAuth, aiController.clearStats);
   router.get('/ai/models', aiController.getModels);
+  router.get('/ai/routing', aiController.getRoutingReport);
+  router.get('/ai/cache', aiController.getCacheStats);
+  router.post('/ai/cache/clear', requireAdminAuth, aiController.clearCache);
 
   // Security monitoring routes
   router.get('/security', securityController.getSecurityOverview);
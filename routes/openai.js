@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const OpenAIController = require('../controllers/openai-controller');
+
+/**
+ * 🍌 BANANA-POWERED OPENAI-COMPATIBLE ROUTES 🍌
+ *
+ * Mounted at /v1, so OpenAI SDKs only need a new base URL and a pk_ key
+ */
+module.exports = (components, inputValidator) => {
+  const { aiHandler, aiUsageTracker, aiCompletionCache } = components;
+  const openAIController = new OpenAIController(aiHandler, aiUsageTracker, aiCompletionCache);
+  const withinBudget = aiUsageTracker.middleware();
+
+  router.post('/chat/completions',
+    OpenAIController.validate(inputValidator, 'openaiChatCompletion'),
+    withinBudget,
+    openAIController.createChatCompletion
+  );
+  router.post('/completions',
+    OpenAIController.validate(inputValidator, 'openaiCompletion'),
+    withinBudget,
+    openAIController.createCompletion
+  );
+  router.post('/embeddings',
+    OpenAIController.validate(inputValidator, 'openaiEmbedding'),
+    withinBudget,
+    openAIController.createEmbeddings
+  );
+  router.get('/models', openAIController.listModels);
+  router.get('/models/:model', openAIController.getModel);
+
+  return router;
+};
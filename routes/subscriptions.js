@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const EndpointWrapper = require('../helpers/endpoint-wrapper');
+const { isAdmin } = require('../shared/auth-policy');
+const { requestOwner, requestTenant } = require('../services/job-queue');
+
+/**
+ * 🍌 BANANA-POWERED WEBHOOK SUBSCRIPTION ROUTES 🍌
+ *
+ * Downstream services subscribe to HubSpot events here and inspect what
+ * was delivered to them. Callers see their own subscriptions; admins see
+ * every subscription.
+ */
+module.exports = (components, inputValidator) => {
+  const { webhookDispatcher } = components;
+
+  const access = (req) => ({ owner: requestOwner(req), admin: isAdmin(req.principal) });
+
+  router.post('/', inputValidator.validateRequest('webhookSubscription'), EndpointWrapper.createPostEndpoint(
+    async (req, res) => {
+      const subscription = await webhookDispatcher.create(req.body, { owner: requestOwner(req), tenant: requestTenant(req) });
+      res.status(201);
+      return subscription;
+    },
+    { errorMessage: 'Failed to create webhook subscription' }
+  ));
+
+  router.get('/', EndpointWrapper.createGetEndpoint(
+    async (req) => ({ subscriptions: await webhookDispatcher.list(access(req)) }),
+    { errorMessage: 'Failed to list webhook subscriptions' }
+  ));
+
+  router.get('/:id', EndpointWrapper.createGetEndpoint(
+    async (req) => webhookDispatcher.get(req.params.id, access(req)),
+    { errorMessage: 'Failed to get webhook subscription' }
+  ));
+
+  router.patch('/:id', inputValidator.validateRequest('webhookSubscriptionUpdate'), EndpointWrapper.createPostEndpoint(
+    async (req) => webhookDispatcher.update(req.params.id, req.body, access(req)),
+    { errorMessage: 'Failed to update webhook subscription' }
+  ));
+
+  router.delete('/:id', EndpointWrapper.createActionEndpoint(
+    async (req) => webhookDispatcher.remove(req.params.id, access(req)),
+    { successMessage: 'Subscription deleted', errorMessage: 'Failed to delete webhook subscription' }
+  ));
+
+  // Deliveries waiting for their next attempt, and every attempt made, newest first
+  router.get('/:id/deliveries', EndpointWrapper.createGetEndpoint(
+    async (req) => webhookDispatcher.getDeliveries(req.params.id, {
+      deliveryId: req.query.deliveryId,
+      limit: Math.min(parseInt(req.query.limit) || 100, 1000)
+    }, access(req)),
+    { errorMessage: 'Failed to read webhook deliveries' }
+  ));
+
+  // Deliveries that ran out of attempts, with their events
+  router.get('/:id/dead-letters', EndpointWrapper.createGetEndpoint(
+    async (req) => ({ deadLetters: await webhookDispatcher.getDeadLetters(req.params.id, access(req)) }),
+    { errorMessage: 'Failed to read webhook dead letters' }
+  ));
+
+  // Deliver dead letters again
+  router.post('/:id/replay', inputValidator.validateRequest('webhookReplay'), EndpointWrapper.createPostEndpoint(
+    async (req, res) => {
+      const result = await webhookDispatcher.replay(req.params.id, req.body, access(req));
+      res.status(202);
+      return result;
+    },
+    { errorMessage: 'Failed to replay webhook deliveries' }
+  ));
+
+  return router;
+};
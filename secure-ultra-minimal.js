@@ -181,8 +181,10 @@ if (process.argv[2] === 'mark' || process.argv[2] === 'mark2') {
   };
   chat();
 } else {
-  // Server mode with key rotation
-  setInterval(rotateApiKey, 24 * 60 * 60 * 1000); // Daily key rotation check
+  // Server mode with key rotation of the hub key this box calls with
+  if (process.env.BANANA_API_KEY) {
+    setInterval(() => rotateApiKey(), 24 * 60 * 60 * 1000); // Daily key rotation check
+  }
   
   app.listen(CFG.port, () => {
     log(`Secure ultra-minimal Pi API Hub started on :${CFG.port}`);
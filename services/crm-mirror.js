@@ -0,0 +1,448 @@
+const os = require('os');
+const EventEmitter = require('events');
+const logger = require('../shared/logger');
+const { CrmMirrorStore } = require('../shared/crm-mirror-store');
+
+const OBJECT_TYPES = ['contacts', 'companies', 'deals', 'tickets'];
+
+const DEFAULT_PROPERTIES = {
+  contacts: ['email', 'firstname', 'lastname', 'phone', 'company', 'jobtitle', 'lifecyclestage', 'hubspot_owner_id', 'createdate', 'lastmodifieddate'],
+  companies: ['name', 'domain', 'phone', 'industry', 'city', 'country', 'lifecyclestage', 'hubspot_owner_id', 'createdate', 'hs_lastmodifieddate'],
+  deals: ['dealname', 'amount', 'dealstage', 'pipeline', 'closedate', 'hubspot_owner_id', 'createdate', 'hs_lastmodifieddate'],
+  tickets: ['subject', 'content', 'hs_pipeline', 'hs_pipeline_stage', 'hs_ticket_priority', 'hubspot_owner_id', 'createdate', 'hs_lastmodifieddate']
+};
+
+// Webhook subscription types name objects in the singular
+const WEBHOOK_OBJECTS = {
+  contact: 'contacts',
+  company: 'companies',
+  deal: 'deals',
+  ticket: 'tickets'
+};
+
+// Search results lag behind writes, so each poll looks back this far past the cursor
+const POLL_OVERLAP = 5 * 60 * 1000;
+
+// HubSpot's search API stops paging at 10,000 results
+const SEARCH_PAGE_LIMIT = 10000;
+
+/**
+ * 🍌 BANANA-POWERED CRM MIRROR 🍌
+ *
+ * A local copy of contacts, companies, deals and tickets that answers
+ * reads instantly and keeps answering while HubSpot is down:
+ * - One process of the cluster at a time leads the sync: a full sync
+ *   through PaginationHelper, then polling the search API for records
+ *   modified since the last poll
+ * - HubSpot webhooks, received by any process, are applied at once
+ * - A full resync also drops records that were deleted without a webhook
+ */
+class CrmMirror extends EventEmitter {
+  constructor(authHandler, paginationHelper, options = {}) {
+    super();
+    const env = process.env;
+
+    this.authHandler = authHandler;
+    this.paginationHelper = paginationHelper;
+    this.store = options.store || new CrmMirrorStore({ dir: options.dir });
+    this.enabled = options.enabled ?? env.CRM_MIRROR_ENABLED === 'true';
+    this.objectTypes = options.objectTypes ||
+      (env.CRM_MIRROR_OBJECTS ? env.CRM_MIRROR_OBJECTS.split(',').map(type => type.trim()).filter(Boolean) : OBJECT_TYPES);
+    this.properties = { ...DEFAULT_PROPERTIES, ...parseProperties(env.CRM_MIRROR_PROPERTIES), ...options.properties };
+    this.pollInterval = options.pollInterval || parseInt(env.CRM_MIRROR_POLL_INTERVAL_MS) || 60000;
+    this.leaseTTL = options.leaseTTL || Math.max(this.pollInterval * 3, 30000);
+
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+    this.started = false;
+    this.syncing = null;
+    this.controller = null;
+
+    this.stats = {
+      fullSyncs: 0,
+      polls: 0,
+      recordsSynced: 0,
+      recordsRemoved: 0,
+      webhookEvents: 0,
+      errors: 0,
+      lastError: null
+    };
+  }
+
+  // Start syncing; only the process holding the sync lease talks to HubSpot
+  start() {
+    if (!this.enabled || this.started) return;
+    this.started = true;
+
+    logger.info('🍌 CRM mirror started', {
+      workerId: this.workerId,
+      objectTypes: this.objectTypes,
+      pollInterval: this.pollInterval
+    });
+    this.schedule(0);
+  }
+
+  async stop() {
+    this.started = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.controller?.abort();
+    await this.syncing?.catch(() => {});
+
+    // Let another process take over right away
+    await this.store.updateState(state => {
+      if (state.leader?.owner !== this.workerId) return false;
+      state.leader = null;
+    }).catch(() => {});
+    await this.store.close();
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.sync(), delay);
+    this.timer.unref?.();
+  }
+
+  // One round: take or renew the lease, then bring every object type up to date
+  async sync() {
+    if (this.syncing) return this.syncing;
+
+    this.syncing = (async () => {
+      try {
+        if (!await this.lead()) return;
+
+        const state = await this.store.getState();
+        for (const type of this.objectTypes) {
+          if (!this.started) break;
+          const object = state.objects[type] || {};
+          try {
+            if (!object.syncedAt || object.resyncRequested) {
+              await this.fullSync(type);
+            } else {
+              await this.poll(type, object);
+            }
+          } catch (error) {
+            if (!this.started) break;
+            this.recordError(type, error);
+          }
+        }
+      } catch (error) {
+        this.recordError(null, error);
+      } finally {
+        this.syncing = null;
+        if (this.started) this.schedule(this.pollInterval);
+      }
+    })();
+    return this.syncing;
+  }
+
+  // Whether this process holds the sync lease, taking it if it's free
+  async lead() {
+    const now = Date.now();
+    const state = await this.store.updateState(state => {
+      const leader = state.leader;
+      if (leader && leader.owner !== this.workerId && Date.parse(leader.expiresAt) > now) return false;
+      if (leader?.owner !== this.workerId) {
+        logger.info('🍌 CRM mirror sync lease taken', { workerId: this.workerId, previous: leader?.owner });
+      }
+      state.leader = { owner: this.workerId, expiresAt: new Date(now + this.leaseTTL).toISOString() };
+    });
+    return state.leader?.owner === this.workerId;
+  }
+
+  /**
+   * Copy every record of a type, then drop the ones HubSpot no longer has
+   * @param {string} type - Object type
+   */
+  async fullSync(type) {
+    const started = Date.now();
+    this.controller = new AbortController();
+    logger.info(`🍌 CRM mirror full sync of ${type} started`);
+    await this.updateObjectState(type, object => {
+      object.fullSyncStartedAt = new Date(started).toISOString();
+      object.resyncRequested = false;
+    });
+
+    const stream = this.paginationHelper.createPaginatedStream(
+      this.authHandler.hubspotClient,
+      `/crm/v3/objects/${type}`,
+      { limit: 100, properties: this.properties[type] || [], priority: 'background' }
+    );
+
+    const seen = new Set();
+    let batch = [];
+    const flush = async () => {
+      this.stats.recordsSynced += await this.store.put(type, batch);
+      batch = [];
+      // A long sync keeps its lease, and stops if another process took it
+      if (!this.started || this.controller.signal.aborted || !await this.lead()) {
+        throw new Error(`Full sync of ${type} interrupted`);
+      }
+    };
+
+    for await (const record of stream) {
+      seen.add(String(record.id));
+      batch.push(record);
+      if (batch.length >= 100) await flush();
+    }
+    await flush();
+
+    // Records changed after the sync began arrived through webhooks or polling and are kept
+    const gone = (await this.store.all(type))
+      .filter(record => !seen.has(record.id) && !(Date.parse(record.updatedAt) >= started))
+      .map(record => record.id);
+    this.stats.recordsRemoved += await this.store.remove(type, gone);
+
+    const records = await this.store.count(type);
+    await this.updateObjectState(type, object => {
+      object.syncedAt = new Date().toISOString();
+      object.lastPollAt = object.syncedAt;
+      object.cursor = started;
+      object.error = null;
+    });
+
+    this.stats.fullSyncs++;
+    logger.info(`🍌 CRM mirror full sync of ${type} completed`, { records, removed: gone.length, ms: Date.now() - started });
+    this.emit('synced', { type, full: true, records });
+  }
+
+  /**
+   * Fetch records modified since the cursor through the search API
+   * @param {string} type - Object type
+   * @param {Object} object - The type's sync state
+   */
+  async poll(type, object) {
+    const modified = modifiedProperty(type);
+    let cursor = object.cursor || Date.parse(object.syncedAt);
+    let latest = cursor;
+    let changed = 0;
+    let after;
+
+    do {
+      const data = await this.authHandler.searchHubSpot(type, {
+        filterGroups: [{ filters: [{ propertyName: modified, operator: 'GTE', value: String(cursor - POLL_OVERLAP) }] }],
+        sorts: [{ propertyName: modified, direction: 'ASCENDING' }],
+        properties: this.properties[type] || [],
+        limit: 100,
+        after
+      }, { priority: 'background' });
+
+      const results = data.results || [];
+      changed += await this.store.put(type, results);
+      results.forEach(record => {
+        const time = Date.parse(record.properties?.[modified] || record.updatedAt);
+        if (time > latest) latest = time;
+      });
+
+      after = data.paging?.next?.after;
+      // Past the search API's paging limit, start a new search from the newest change
+      if (after && parseInt(after) + 100 >= SEARCH_PAGE_LIMIT) {
+        cursor = latest + POLL_OVERLAP;
+        after = undefined;
+      }
+    } while (after);
+
+    await this.updateObjectState(type, state => {
+      state.cursor = Math.max(state.cursor || 0, latest);
+      state.lastPollAt = new Date().toISOString();
+      state.error = null;
+    });
+
+    this.stats.polls++;
+    this.stats.recordsSynced += changed;
+    if (changed > 0) {
+      logger.info(`🍌 CRM mirror picked up ${changed} changed ${type}`);
+      this.emit('synced', { type, full: false, records: changed });
+    }
+  }
+
+  /**
+   * Apply a HubSpot webhook event; registered with WebhookHandler.onAnyEvent
+   * @param {Object} event - Webhook event, e.g. { subscriptionType: 'contact.propertyChange', objectId, propertyName, propertyValue }
+   */
+  async handleWebhookEvent(event) {
+    const [object, action] = String(event.subscriptionType || '').split('.');
+    const type = WEBHOOK_OBJECTS[object];
+    if (!this.enabled || !type || !this.objectTypes.includes(type) || !event.objectId) return;
+
+    this.stats.webhookEvents++;
+    const id = String(event.objectId);
+    const occurredAt = event.occurredAt ? new Date(event.occurredAt).toISOString() : null;
+
+    switch (action) {
+      case 'deletion':
+      case 'privacyDeletion':
+        this.stats.recordsRemoved += await this.store.remove(type, [id]);
+        break;
+
+      case 'merge': {
+        const survivor = String(event.newObjectId || event.primaryObjectId || id);
+        const merged = (event.mergedObjectIds || []).map(String).filter(mergedId => mergedId !== survivor);
+        this.stats.recordsRemoved += await this.store.remove(type, merged);
+        this.refreshRecord(type, survivor);
+        break;
+      }
+
+      case 'propertyChange': {
+        // Webhooks carry the new value, so mirrored properties need no HubSpot call
+        const mirrored = (this.properties[type] || []).includes(event.propertyName);
+        const patched = mirrored && await this.store.patch(type, id, { [event.propertyName]: event.propertyValue ?? null }, occurredAt);
+        if (!patched && !await this.store.get(type, id)) {
+          this.refreshRecord(type, id);
+        }
+        break;
+      }
+
+      default:
+        // creation, restore and anything else: read the record as HubSpot has it now
+        this.refreshRecord(type, id);
+    }
+  }
+
+  // Re-read one record in the background; the next poll catches anything this misses
+  refreshRecord(type, id) {
+    const properties = (this.properties[type] || []).join(',');
+    return this.authHandler.hubspotClient.get(
+      `/crm/v3/objects/${type}/${encodeURIComponent(id)}?properties=${encodeURIComponent(properties)}`,
+      { priority: 'background' }
+    ).then(async response => {
+      this.stats.recordsSynced += await this.store.put(type, [response.data]);
+    }).catch(async error => {
+      if (error.response?.status === 404) {
+        this.stats.recordsRemoved += await this.store.remove(type, [id]).catch(() => 0);
+        return;
+      }
+      this.recordError(type, error);
+    });
+  }
+
+  /**
+   * Ask the sync leader for a full resync
+   * @param {Array} types - Object types; all mirrored types by default
+   */
+  async requestResync(types = this.objectTypes) {
+    this.assertMirrored(...types);
+    await this.store.updateState(state => {
+      types.forEach(type => {
+        state.objects[type] = { ...state.objects[type], resyncRequested: true };
+      });
+    });
+    logger.info('🍌 CRM mirror resync requested', { types });
+    if (this.started) this.schedule(0);
+    return types;
+  }
+
+  /**
+   * List records of a type in ID order, like GET /crm/v3/objects/:type
+   * @param {string} type - Object type
+   * @param {Object} options - { limit, after, properties }
+   */
+  async list(type, { limit = 10, after, properties } = {}) {
+    await this.assertReady(type);
+    const { results, paging } = await this.store.search(type, { limit, after, properties });
+    return { results, paging };
+  }
+
+  // Search a type with HubSpot's search request format
+  async search(type, request = {}) {
+    await this.assertReady(type);
+    return this.store.search(type, request);
+  }
+
+  async get(type, id) {
+    await this.assertReady(type);
+    return this.store.get(type, id);
+  }
+
+  // How fresh the mirror of a type is, sent along with answers from it
+  async describe(type) {
+    const object = (await this.store.getState()).objects[type] || {};
+    return {
+      source: 'mirror',
+      syncedAt: object.syncedAt || null,
+      lastPollAt: object.lastPollAt || null,
+      lagSeconds: object.lastPollAt ? Math.round((Date.now() - Date.parse(object.lastPollAt)) / 1000) : null
+    };
+  }
+
+  async assertReady(type) {
+    this.assertMirrored(type);
+    const object = (await this.store.getState()).objects[type];
+    if (!object?.syncedAt) {
+      const error = new Error(`The CRM mirror of ${type} has not finished its first sync`);
+      error.statusCode = 503;
+      throw error;
+    }
+  }
+
+  assertMirrored(...types) {
+    if (!this.enabled) {
+      const error = new Error('The CRM mirror is disabled. Set CRM_MIRROR_ENABLED=true');
+      error.statusCode = 503;
+      throw error;
+    }
+    const unknown = types.filter(type => !this.objectTypes.includes(type));
+    if (unknown.length > 0) {
+      const error = new Error(`Not mirrored: ${unknown.join(', ')}. Mirrored object types: ${this.objectTypes.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  async updateObjectState(type, change) {
+    return this.store.updateState(state => {
+      state.objects[type] = state.objects[type] || {};
+      change(state.objects[type]);
+    });
+  }
+
+  recordError(type, error) {
+    this.stats.errors++;
+    this.stats.lastError = { type, message: error.message, at: new Date().toISOString() };
+    logger.error(`🍌 CRM mirror sync${type ? ` of ${type}` : ''} failed`, { error: error.message });
+    if (type) {
+      this.updateObjectState(type, object => {
+        object.error = error.message;
+      }).catch(() => {});
+    }
+  }
+
+  async getStatus() {
+    const state = await this.store.getState();
+    const objects = {};
+    for (const type of this.objectTypes) {
+      objects[type] = {
+        records: this.enabled ? await this.store.count(type) : 0,
+        ...state.objects[type]
+      };
+    }
+
+    return {
+      enabled: this.enabled,
+      workerId: this.workerId,
+      leader: state.leader?.owner || null,
+      leading: state.leader?.owner === this.workerId,
+      pollInterval: this.pollInterval,
+      objects,
+      indexes: this.store.getStats(),
+      ...this.stats
+    };
+  }
+}
+
+// Contacts predate the hs_ prefix
+function modifiedProperty(type) {
+  return type === 'contacts' ? 'lastmodifieddate' : 'hs_lastmodifieddate';
+}
+
+function parseProperties(json) {
+  if (!json) return {};
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    logger.warn('🍌 Ignoring CRM_MIRROR_PROPERTIES: not valid JSON', { error: error.message });
+    return {};
+  }
+}
+
+module.exports = { CrmMirror, OBJECT_TYPES, DEFAULT_PROPERTIES, WEBHOOK_OBJECTS };
@@ -0,0 +1,751 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const cron = require('node-cron');
+const logger = require('../shared/logger');
+const { withFileLock } = require('../shared/file-lock');
+const { parseRules, serializeRules, checkValue, uniqueKey } = require('../shared/data-quality-rules');
+const { WEBHOOK_OBJECTS } = require('./crm-mirror');
+
+// Webhook events that can leave a record breaking a rule
+const WEBHOOK_ACTIONS = ['creation', 'propertyChange', 'restore', 'merge'];
+
+// A scheduled run is queued once per cron tick, whichever cluster process ticks first
+const SCHEDULE_WINDOW = 30000;
+
+const VIOLATIONS_TEMPLATE = {
+  id: 'data_quality_violations',
+  name: 'Data Quality Violations',
+  description: 'Records breaking data-quality rules in one run, with the fixes made',
+  category: 'data-quality',
+  fields: [
+    { name: 'ruleId', type: 'string', label: 'Rule' },
+    { name: 'severity', type: 'string', label: 'Severity' },
+    { name: 'objectType', type: 'string', label: 'Object Type' },
+    { name: 'recordId', type: 'string', label: 'Record ID' },
+    { name: 'property', type: 'string', label: 'Property' },
+    { name: 'value', type: 'string', label: 'Value' },
+    { name: 'fix', type: 'string', label: 'Fixed Value' },
+    { name: 'fixStatus', type: 'string', label: 'Fix' },
+    { name: 'message', type: 'string', label: 'Problem' }
+  ],
+  filters: [],
+  sorting: [],
+  grouping: [],
+  aggregations: []
+};
+
+let tempFiles = 0;
+
+/**
+ * 🍌 BANANA-POWERED DATA-QUALITY ENGINE 🍌
+ *
+ * Checks CRM records against declarative rules (see
+ * shared/data-quality-rules.js) and optionally fixes them:
+ * - On demand or on a cron schedule, a run scans every record of the
+ *   rules' object types, from the CRM mirror when it holds the properties
+ *   and the search API otherwise
+ * - HubSpot webhook events queue the changed records, which are checked a
+ *   moment later in one batch read
+ * - Fixes go out as batch updates; a dry run only reports them
+ * - Every run is kept in data/data-quality/runs and can be turned into a
+ *   violations report by ReportBuilder; every fix written to HubSpot is
+ *   appended to data/data-quality/audit.jsonl
+ */
+class DataQualityEngine {
+  constructor(authHandler, options = {}) {
+    const env = process.env;
+
+    this.authHandler = authHandler;
+    this.batchService = options.batchService;
+    this.crmMirror = options.crmMirror || null;
+    this.reportBuilder = options.reportBuilder || null;
+    this.jobQueue = options.jobQueue || null;
+
+    this.dir = options.dir || path.join(__dirname, '../data/data-quality');
+    this.runsDir = path.join(this.dir, 'runs');
+    this.auditFile = path.join(this.dir, 'audit.jsonl');
+    this.stateFile = path.join(this.dir, 'state.json');
+    this.lockFile = path.join(this.dir, '.lock');
+    this.rulesFile = options.rulesFile || env.DATA_QUALITY_RULES_FILE || path.join(__dirname, '../config/data-quality-rules.yaml');
+
+    this.webhooks = options.webhooks ?? env.DATA_QUALITY_WEBHOOKS === 'true';
+    this.autoFix = options.autoFix ?? env.DATA_QUALITY_AUTO_FIX === 'true';
+    this.schedule = options.schedule ?? env.DATA_QUALITY_SCHEDULE ?? null;
+    this.scheduleSource = options.scheduleSource || env.DATA_QUALITY_SCHEDULE_SOURCE || 'auto';
+    this.webhookDelay = options.webhookDelay ?? 2000;
+    this.maxViolations = options.maxViolations || 10000;
+    this.runRetention = options.runRetention || parseInt(env.DATA_QUALITY_RUN_RETENTION) || 100;
+
+    this.rules = [];
+    this.rulesMtime = null;
+    this.rulesError = null;
+    this.pending = new Map();
+    this.flushTimer = null;
+    this.flushing = null;
+    this.cronJob = null;
+
+    this.stats = {
+      runs: 0,
+      recordsChecked: 0,
+      violations: 0,
+      fixesApplied: 0,
+      fixesFailed: 0,
+      webhookEvents: 0,
+      lastRunAt: null,
+      lastError: null
+    };
+
+    this.reportBuilder?.registerTemplate(VIOLATIONS_TEMPLATE, async ({ parameters }) => {
+      const run = await this.requireRun(parameters.runId);
+      return run.violations.map(violation => ({
+        ...violation,
+        value: violation.value ?? '',
+        fix: violation.fix ?? '',
+        fixStatus: violation.fixStatus || ''
+      }));
+    });
+  }
+
+  // Run the cron schedule, if DATA_QUALITY_SCHEDULE sets one
+  start() {
+    if (!this.schedule || this.cronJob) return;
+    if (!cron.validate(this.schedule)) {
+      logger.error('🍌 Ignoring DATA_QUALITY_SCHEDULE: not a cron expression', { schedule: this.schedule });
+      return;
+    }
+    this.cronJob = cron.schedule(this.schedule, () => {
+      this.runScheduled().catch(error => this.recordError(error));
+    });
+    logger.info('🍌 Data-quality schedule started', { schedule: this.schedule, source: this.scheduleSource, autoFix: this.autoFix });
+  }
+
+  async stop() {
+    this.cronJob?.stop();
+    this.cronJob = null;
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    await this.flushing?.catch(() => {});
+  }
+
+  /**
+   * The rules, re-read whenever the rules file changes, e.g. saved by another process
+   * @returns {Promise<Array>} Validated rules; [] without a rules file
+   */
+  async getRules() {
+    let stat;
+    try {
+      stat = await fs.stat(this.rulesFile);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.rules = [];
+      this.rulesMtime = null;
+      return this.rules;
+    }
+
+    if (stat.mtimeMs !== this.rulesMtime) {
+      try {
+        this.rules = parseRules(await fs.readFile(this.rulesFile, 'utf8'));
+        this.rulesError = null;
+        logger.info('🍌 Data-quality rules loaded', { file: this.rulesFile, rules: this.rules.length });
+      } catch (error) {
+        // Keep checking with the last good rules
+        this.rulesError = error.message;
+        logger.error('🍌 Invalid data-quality rules file', { file: this.rulesFile, error: error.message });
+      }
+      this.rulesMtime = stat.mtimeMs;
+    }
+    return this.rules;
+  }
+
+  /**
+   * Validate and save new rules to the rules file
+   * @param {string|Object|Array} source - YAML/JSON text, or parsed rules
+   * @returns {Promise<Array>} The saved rules
+   */
+  async saveRules(source) {
+    const rules = parseRules(source);
+    const format = /\.json$/i.test(this.rulesFile) ? 'json' : 'yaml';
+    // YAML sent as text keeps its comments
+    const text = typeof source === 'string' && format === 'yaml' ? source : serializeRules(rules, format);
+
+    await writeAtomic(this.rulesFile, text);
+    this.rules = rules;
+    this.rulesMtime = (await fs.stat(this.rulesFile)).mtimeMs;
+    this.rulesError = null;
+    logger.info('🍌 Data-quality rules saved', { file: this.rulesFile, rules: rules.length });
+    return rules;
+  }
+
+  /**
+   * Check every record of the rules' object types
+   * @param {Object} options - { objectTypes, rules (rule IDs), source ('auto', 'mirror' or 'search'),
+   *   fix, dryRun, trigger, signal, onProgress(processed, total, message) }
+   * @returns {Promise<Object>} The run, as stored
+   */
+  async run(options = {}) {
+    const { objectTypes, source = 'auto', fix = false, dryRun = false, trigger = 'manual', signal, onProgress } = options;
+    const rules = (await this.getRules()).filter(rule => rule.enabled &&
+      (!objectTypes?.length || objectTypes.includes(rule.objectType)) &&
+      (!options.rules?.length || options.rules.includes(rule.id)));
+
+    if (rules.length === 0) {
+      const error = new Error('No enabled data-quality rules match');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const run = this.createRun({ trigger, source, fix, dryRun, rules });
+    const byType = groupBy(rules, rule => rule.objectType);
+    let done = 0;
+
+    try {
+      for (const [objectType, typeRules] of byType) {
+        signal?.throwIfAborted();
+        const { records, source: used } = await this.readRecords(objectType, typeRules, source, signal);
+        run.sources[objectType] = used;
+        await this.checkRecords(run, objectType, typeRules, records, { scan: true, fix, dryRun, signal });
+
+        done++;
+        onProgress?.(done, byType.size, `${objectType}: ${records.length} records checked`);
+      }
+      run.status = 'completed';
+    } catch (error) {
+      run.status = signal?.aborted ? 'cancelled' : 'failed';
+      run.error = error.message;
+      throw error;
+    } finally {
+      await this.finishRun(run);
+    }
+    return run;
+  }
+
+  // Queue a scheduled run as a background job, once across the cluster
+  async runScheduled() {
+    await fs.mkdir(this.dir, { recursive: true });
+    const due = await withFileLock(this.lockFile, async () => {
+      const state = await readJSON(this.stateFile) || {};
+      if (state.lastScheduledAt && Date.now() - Date.parse(state.lastScheduledAt) < SCHEDULE_WINDOW) return false;
+      state.lastScheduledAt = new Date().toISOString();
+      await writeAtomic(this.stateFile, JSON.stringify(state));
+      return true;
+    });
+    if (!due) return null;
+
+    const options = { source: this.scheduleSource, fix: this.autoFix, trigger: 'schedule' };
+    if (!this.jobQueue) return this.run(options);
+
+    const job = await this.jobQueue.create({ type: 'hubspot.data-quality', payload: options, owner: 'data-quality-schedule' });
+    logger.info('🍌 Scheduled data-quality run queued', { jobId: job.id });
+    return job;
+  }
+
+  /**
+   * Queue the record a webhook event is about for checking; registered with WebhookHandler.onAnyEvent
+   * @param {Object} event - Webhook event, e.g. { subscriptionType: 'contact.propertyChange', objectId, propertyName }
+   */
+  async handleWebhookEvent(event) {
+    if (!this.webhooks) return;
+    const [object, action] = String(event.subscriptionType || '').split('.');
+    const objectType = WEBHOOK_OBJECTS[object];
+    if (!objectType || !event.objectId || !WEBHOOK_ACTIONS.includes(action)) return;
+
+    const rules = (await this.getRules()).filter(rule => rule.enabled && rule.objectType === objectType);
+    if (rules.length === 0) return;
+    if (action === 'propertyChange' && !rules.some(rule => rule.property === event.propertyName)) return;
+
+    this.stats.webhookEvents++;
+    const id = String(action === 'merge' ? event.newObjectId || event.primaryObjectId || event.objectId : event.objectId);
+    if (!this.pending.has(objectType)) this.pending.set(objectType, new Set());
+    this.pending.get(objectType).add(id);
+
+    // Events about the same records tend to come in bursts
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flushWebhookEvents().catch(error => this.recordError(error));
+      }, this.webhookDelay);
+      this.flushTimer.unref?.();
+    }
+  }
+
+  // Check the records queued by webhook events; a run is stored only if it found something
+  async flushWebhookEvents() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    await this.flushing?.catch(() => {});
+    const pending = this.pending;
+    this.pending = new Map();
+    if (pending.size === 0) return null;
+
+    this.flushing = (async () => {
+      const rules = (await this.getRules()).filter(rule => rule.enabled && pending.has(rule.objectType));
+      const run = this.createRun({ trigger: 'webhook', source: 'webhook', fix: this.autoFix, dryRun: false, rules });
+
+      try {
+        for (const [objectType, ids] of pending) {
+          const typeRules = rules.filter(rule => rule.objectType === objectType);
+          if (typeRules.length === 0) continue;
+          const records = await this.readByIds(objectType, [...ids], typeRules);
+          run.sources[objectType] = 'hubspot';
+          await this.checkRecords(run, objectType, typeRules, records, { scan: false, fix: this.autoFix });
+        }
+        run.status = 'completed';
+      } catch (error) {
+        run.status = 'failed';
+        run.error = error.message;
+        throw error;
+      } finally {
+        if (run.violationCount > 0 || run.error) {
+          await this.finishRun(run);
+        } else {
+          this.stats.recordsChecked += run.scanned;
+        }
+      }
+      return run;
+    })();
+
+    try {
+      return await this.flushing;
+    } finally {
+      this.flushing = null;
+    }
+  }
+
+  /**
+   * Every record of a type, with the properties the rules check
+   * @returns {Promise<Object>} { records, source: 'mirror' or 'search' }
+   */
+  async readRecords(objectType, rules, source, signal) {
+    const properties = [...new Set(rules.map(rule => rule.property))];
+    const mirror = this.crmMirror;
+
+    if (source !== 'search' && mirror?.enabled && mirror.objectTypes.includes(objectType)) {
+      const missing = properties.filter(property => !(mirror.properties[objectType] || []).includes(property));
+      try {
+        if (missing.length > 0) {
+          const error = new Error(`The CRM mirror doesn't hold ${objectType} properties ${missing.join(', ')}. Add them to CRM_MIRROR_PROPERTIES`);
+          error.statusCode = 400;
+          throw error;
+        }
+        await mirror.assertReady(objectType);
+        return { source: 'mirror', records: (await mirror.store.all(objectType)).filter(record => !record.archived) };
+      } catch (error) {
+        if (source === 'mirror') throw error;
+        logger.info(`🍌 Data-quality run reads ${objectType} from HubSpot: ${error.message}`);
+      }
+    } else if (source === 'mirror') {
+      if (!mirror) unavailable('The CRM mirror is not available');
+      mirror.assertMirrored(objectType);
+    }
+
+    return { source: 'search', records: await this.searchAll(objectType, properties, signal) };
+  }
+
+  // Page through a type by record ID, which also gets past the search API's 10,000 result limit
+  async searchAll(objectType, properties, signal) {
+    const records = [];
+    let lastId = null;
+
+    for (;;) {
+      signal?.throwIfAborted();
+      const data = await this.authHandler.searchHubSpot(objectType, {
+        filterGroups: lastId ? [{ filters: [{ propertyName: 'hs_object_id', operator: 'GT', value: lastId }] }] : [],
+        sorts: [{ propertyName: 'hs_object_id', direction: 'ASCENDING' }],
+        properties,
+        limit: 100
+      }, { priority: 'background' });
+
+      const results = data.results || [];
+      records.push(...results);
+      if (results.length === 0 || !data.paging?.next?.after) break;
+      lastId = String(results[results.length - 1].id);
+    }
+    return records;
+  }
+
+  async readByIds(objectType, ids, rules) {
+    const properties = [...new Set(rules.map(rule => rule.property))];
+    const { results } = await this.batchService.run(objectType, 'read', {
+      inputs: ids.map(id => ({ id })),
+      properties
+    }, { priority: 'background' });
+    return results.filter(result => result.status === 'success').map(({ result }) => result);
+  }
+
+  /**
+   * Check records against the rules of their type, then fix what the rules allow
+   * @param {Object} options - { scan: the records are every record of the type,
+   *   so duplicates are found among them; otherwise they're looked up, fix, dryRun, signal }
+   */
+  async checkRecords(run, objectType, rules, records, { scan, fix, dryRun, signal }) {
+    const valueRules = rules.filter(rule => rule.check !== 'unique');
+    const uniqueRules = rules.filter(rule => rule.check === 'unique');
+    const violations = [];
+    const fixes = new Map();
+    // Each record's properties with the fixes made, which unique rules compare
+    const checked = new Map();
+
+    for (const record of records) {
+      const properties = { ...record.properties };
+
+      // Rules run in order, each on the value the previous ones fixed
+      for (const rule of valueRules) {
+        const value = properties[rule.property];
+        const problem = checkValue(rule, value);
+        if (!problem) continue;
+
+        const fixable = rule.fix && problem.fix !== undefined;
+        violations.push(violation(rule, record.id, value, problem.message, fixable ? problem.fix : null));
+        if (fixable) {
+          const change = fixes.get(record.id) || { id: record.id, properties: {}, before: {}, rules: {} };
+          if (!(rule.property in change.before)) change.before[rule.property] = record.properties[rule.property] ?? null;
+          change.properties[rule.property] = problem.fix;
+          change.rules[rule.property] = [...(change.rules[rule.property] || []), rule.id];
+          fixes.set(record.id, change);
+          properties[rule.property] = problem.fix;
+        }
+      }
+      checked.set(record, properties);
+    }
+
+    for (const rule of uniqueRules) {
+      const duplicates = scan
+        ? duplicatesAmong(rule, records, checked)
+        : await this.lookupDuplicates(objectType, rule, records, checked);
+      for (const [record, others] of duplicates) {
+        const value = checked.get(record)[rule.property];
+        const shown = others.slice(0, 5).join(', ') + (others.length > 5 ? ` and ${others.length - 5} more` : '');
+        violations.push(violation(rule, record.id, value, `${rule.property} ${value} is also on ${objectType} ${shown}`, null));
+      }
+    }
+
+    run.scanned += records.length;
+    run.violationCount += violations.length;
+    violations.forEach(found => {
+      run.byRule[found.ruleId] = (run.byRule[found.ruleId] || 0) + 1;
+      run.bySeverity[found.severity] = (run.bySeverity[found.severity] || 0) + 1;
+    });
+
+    const changes = [...fixes.values()];
+    if (fix && changes.length > 0) {
+      const statuses = await this.applyFixes(run, objectType, changes, { dryRun, signal });
+      violations.forEach(found => {
+        if (found.fix !== null) found.fixStatus = statuses.get(found.recordId);
+      });
+    }
+
+    const room = this.maxViolations - run.violations.length;
+    if (violations.length > room) run.truncated = true;
+    run.violations.push(...violations.slice(0, Math.max(room, 0)).map(found => ({ objectType, ...found })));
+  }
+
+  // [record, IDs of the other records with its value] for a few records, looked up in the mirror or HubSpot
+  async lookupDuplicates(objectType, rule, records, checked) {
+    const duplicates = [];
+    const mirror = this.crmMirror;
+    const mirrored = mirror?.enabled && mirror.objectTypes.includes(objectType) &&
+      (mirror.properties[objectType] || []).includes(rule.property) &&
+      await mirror.assertReady(objectType).then(() => true, () => false);
+
+    for (const record of records) {
+      const value = checked.get(record)[rule.property];
+      const key = uniqueKey(rule, value);
+      if (key === null) continue;
+
+      let others;
+      if (mirrored) {
+        others = (await mirror.store.all(objectType))
+          .filter(other => !other.archived && other.id !== record.id && uniqueKey(rule, other.properties[rule.property]) === key)
+          .map(other => other.id);
+      } else {
+        // HubSpot matches strings regardless of case; domains are mostly stored bare, like the key
+        const data = await this.authHandler.searchHubSpot(objectType, {
+          filterGroups: [{ filters: [{ propertyName: rule.property, operator: 'EQ', value: rule.normalize === 'exact' ? String(value) : key }] }],
+          properties: [rule.property],
+          limit: 100
+        }, { priority: 'background' });
+        others = (data.results || [])
+          .filter(other => String(other.id) !== String(record.id) && uniqueKey(rule, other.properties?.[rule.property]) === key)
+          .map(other => String(other.id));
+      }
+      if (others.length > 0) duplicates.push([record, others]);
+    }
+    return duplicates;
+  }
+
+  /**
+   * Write fixes with one batch update, or only record them on a dry run
+   * @returns {Promise<Map>} record ID → 'planned', 'applied' or 'failed'
+   */
+  async applyFixes(run, objectType, changes, { dryRun, signal }) {
+    const statuses = new Map();
+    if (dryRun) {
+      changes.forEach(change => statuses.set(change.id, 'planned'));
+      run.fixes.planned += changes.length;
+      return statuses;
+    }
+
+    const { results } = await this.batchService.run(objectType, 'update', {
+      inputs: changes.map(({ id, properties }) => ({ id, properties }))
+    }, { priority: 'background', signal });
+
+    const at = new Date().toISOString();
+    const counts = { applied: 0, failed: 0 };
+    const entries = changes.map((change, index) => {
+      const outcome = results[index];
+      const status = outcome?.status === 'success' ? 'applied' : 'failed';
+      statuses.set(change.id, status);
+      counts[status]++;
+      return {
+        at,
+        runId: run.id,
+        trigger: run.trigger,
+        objectType,
+        recordId: change.id,
+        status,
+        error: status === 'failed' ? outcome?.error?.message || 'Update failed' : null,
+        changes: Object.entries(change.properties).map(([property, after]) => ({
+          property,
+          before: change.before[property],
+          after,
+          rules: change.rules[property]
+        }))
+      };
+    });
+
+    await this.appendAudit(entries);
+    run.fixes.applied += counts.applied;
+    run.fixes.failed += counts.failed;
+    this.stats.fixesApplied += counts.applied;
+    this.stats.fixesFailed += counts.failed;
+    logger.info(`🍌 Data-quality fixes written to ${objectType}`, { runId: run.id, ...counts });
+    return statuses;
+  }
+
+  createRun({ trigger, source, fix, dryRun, rules }) {
+    return {
+      id: `dq_${Date.now().toString(36)}_${crypto.randomBytes(4).toString('hex')}`,
+      trigger,
+      status: 'running',
+      options: { source, fix: Boolean(fix), dryRun: Boolean(fix && dryRun) },
+      rules: rules.map(rule => rule.id),
+      sources: {},
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      scanned: 0,
+      violationCount: 0,
+      bySeverity: {},
+      byRule: {},
+      fixes: { planned: 0, applied: 0, failed: 0 },
+      truncated: false,
+      error: null,
+      violations: []
+    };
+  }
+
+  async finishRun(run) {
+    run.completedAt = new Date().toISOString();
+    this.stats.runs++;
+    this.stats.recordsChecked += run.scanned;
+    this.stats.violations += run.violationCount;
+    this.stats.lastRunAt = run.completedAt;
+
+    await fs.mkdir(this.runsDir, { recursive: true });
+    await writeAtomic(path.join(this.runsDir, `${run.id}.json`), JSON.stringify(run));
+    await this.pruneRuns();
+
+    logger.info(`🍌 Data-quality run ${run.id} ${run.status}`, {
+      trigger: run.trigger,
+      scanned: run.scanned,
+      violations: run.violationCount,
+      fixes: run.fixes
+    });
+  }
+
+  async pruneRuns() {
+    const files = (await this.runFiles()).slice(this.runRetention);
+    await Promise.all(files.map(file => fs.unlink(path.join(this.runsDir, file)).catch(() => {})));
+  }
+
+  // Run files, newest first
+  async runFiles() {
+    const files = await fs.readdir(this.runsDir).catch(() => []);
+    return files.filter(file => /^dq_[a-z0-9_]+\.json$/.test(file)).sort().reverse();
+  }
+
+  async getRun(id) {
+    if (!/^dq_[a-z0-9_]+$/.test(String(id))) return null;
+    return readJSON(path.join(this.runsDir, `${id}.json`));
+  }
+
+  async requireRun(id) {
+    const run = await this.getRun(id);
+    if (!run) {
+      const error = new Error('Data-quality run not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    return run;
+  }
+
+  // The latest runs, without their violations
+  async listRuns({ limit = 20, trigger } = {}) {
+    const runs = [];
+    for (const file of await this.runFiles()) {
+      if (runs.length >= limit) break;
+      const run = await readJSON(path.join(this.runsDir, file));
+      if (run && (!trigger || run.trigger === trigger)) runs.push(summarizeRun(run));
+    }
+    return runs;
+  }
+
+  /**
+   * A violations report of a run, generated by ReportBuilder
+   * @param {string} runId - Run ID
+   * @param {Object} options - { format: json, csv, excel or pdf, userId, tenantId }
+   * @returns {Promise<Object>} The finished report; delete it with reportBuilder.deleteReport once delivered
+   */
+  async createReport(runId, { format = 'json', userId = null, tenantId = 'default' } = {}) {
+    if (!this.reportBuilder) unavailable('Reports are not available');
+    const run = await this.requireRun(runId);
+
+    const { id } = await this.reportBuilder.createReport({
+      name: `Data quality ${run.id}`,
+      description: `${run.violationCount} violations in ${run.scanned} records (${run.trigger} run of ${run.startedAt})`,
+      templateId: VIOLATIONS_TEMPLATE.id,
+      parameters: { runId: run.id },
+      format
+    }, userId, tenantId);
+
+    const report = await this.reportBuilder.waitForReport(id);
+    if (report.status !== 'completed') {
+      await this.reportBuilder.deleteReport(id);
+      throw new Error(`Report generation failed: ${report.error}`);
+    }
+    return report;
+  }
+
+  async appendAudit(entries) {
+    if (entries.length === 0) return;
+    await fs.mkdir(this.dir, { recursive: true });
+    // One write per batch, so lines from different processes don't interleave
+    await fs.appendFile(this.auditFile, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+  }
+
+  /**
+   * Fixes written to HubSpot, newest first
+   * @param {Object} filters - { objectType, recordId, runId, limit }
+   */
+  async getAudit({ objectType, recordId, runId, limit = 100 } = {}) {
+    let text;
+    try {
+      text = await fs.readFile(this.auditFile, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = [];
+    const lines = text.split('\n');
+    for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+      if (!lines[i]) continue;
+      const entry = JSON.parse(lines[i]);
+      if ((!objectType || entry.objectType === objectType) &&
+          (!recordId || entry.recordId === String(recordId)) &&
+          (!runId || entry.runId === runId)) {
+        entries.push(entry);
+      }
+    }
+    return entries;
+  }
+
+  recordError(error) {
+    this.stats.lastError = { message: error.message, at: new Date().toISOString() };
+    logger.error('🍌 Data-quality check failed', { error: error.message });
+  }
+
+  async getStatus() {
+    const rules = await this.getRules().catch(() => this.rules);
+    return {
+      rulesFile: path.basename(this.rulesFile),
+      rules: rules.length,
+      enabledRules: rules.filter(rule => rule.enabled).length,
+      rulesError: this.rulesError,
+      webhooks: this.webhooks,
+      autoFix: this.autoFix,
+      schedule: this.schedule,
+      scheduleSource: this.scheduleSource,
+      pendingWebhookRecords: [...this.pending.values()].reduce((sum, ids) => sum + ids.size, 0),
+      ...this.stats
+    };
+  }
+}
+
+function violation(rule, recordId, value, message, fix) {
+  return {
+    ruleId: rule.id,
+    severity: rule.severity,
+    recordId: String(recordId),
+    property: rule.property,
+    value: value ?? null,
+    message,
+    fix,
+    fixStatus: null
+  };
+}
+
+// [record, IDs of the other records with its value] within a full scan
+function duplicatesAmong(rule, records, checked) {
+  const groups = new Map();
+  records.forEach(record => {
+    const key = uniqueKey(rule, checked.get(record)[rule.property]);
+    if (key === null) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  });
+
+  const duplicates = [];
+  groups.forEach(group => {
+    if (group.length < 2) return;
+    group.forEach(record => duplicates.push([record, group.filter(other => other !== record).map(other => String(other.id))]));
+  });
+  return duplicates;
+}
+
+function summarizeRun(run) {
+  const { violations, ...summary } = run;
+  return summary;
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return groups;
+}
+
+function unavailable(message) {
+  const error = new Error(message);
+  error.statusCode = 503;
+  throw error;
+}
+
+async function readJSON(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function writeAtomic(file, text) {
+  const temp = `${file}.${process.pid}.${++tempFiles}.tmp`;
+  await fs.writeFile(temp, text);
+  await fs.rename(temp, file);
+}
+
+module.exports = { DataQualityEngine, summarizeRun, VIOLATIONS_TEMPLATE };
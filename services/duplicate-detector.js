@@ -0,0 +1,498 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const logger = require('../shared/logger');
+const { BLOCKING_KEYS, COMPARATORS, scorePair } = require('../shared/record-matcher');
+
+const OBJECT_TYPES = ['contacts', 'companies'];
+
+const DEFAULT_CONFIG = {
+  threshold: 0.85,
+  // A block this big is a shared switchboard number or a common name, not a duplicate
+  maxBlockSize: 50,
+  contacts: {
+    blockingKeys: ['email', 'name', 'phone'],
+    weights: { email: 0.4, name: 0.35, phone: 0.15, company: 0.1 }
+  },
+  companies: {
+    blockingKeys: ['domain', 'name', 'phone'],
+    weights: { domain: 0.5, name: 0.4, phone: 0.1 }
+  }
+};
+
+let tempFiles = 0;
+
+/**
+ * 🍌 BANANA-POWERED DUPLICATE DETECTOR 🍌
+ *
+ * Finds contacts and companies that are probably the same, and merges them:
+ * - A scan reads every record of a type, from the CRM mirror when it's
+ *   synced and from HubSpot otherwise, puts records sharing a blocking key
+ *   (email, normalized name, phone...) in the same block and scores every
+ *   pair within a block with shared/record-matcher.js
+ * - Pairs scoring at least the threshold are kept in
+ *   data/duplicates/scans/<type>.json until the scan expires
+ * - Pairs are grouped into clusters when listed, leaving out records already
+ *   merged and never putting two records a user rejected in one cluster
+ * - Merges go through HubSpot's merge API, one record at a time; every
+ *   merge and rejection is appended to data/duplicates/decisions.jsonl
+ */
+class DuplicateDetector {
+  constructor(authHandler, options = {}) {
+    const env = process.env;
+
+    this.authHandler = authHandler;
+    this.crmMirror = options.crmMirror || null;
+    this.dir = options.dir || path.join(__dirname, '../data/duplicates');
+    this.scansDir = path.join(this.dir, 'scans');
+    this.decisionsFile = path.join(this.dir, 'decisions.jsonl');
+    this.scanTTL = options.scanTTL || parseInt(env.HUBSPOT_DUPLICATES_SCAN_TTL_MS) || 60 * 60 * 1000;
+    this.config = mergeConfig(parseConfig(env.HUBSPOT_DUPLICATES_CONFIG), options.config);
+
+    this.scans = new Map();
+    this.scanning = new Map();
+    this.decisions = [];
+    this.decisionsMtime = null;
+  }
+
+  /**
+   * Candidate duplicate clusters of a type, most confident first
+   * @param {string} objectType - contacts or companies
+   * @param {Object} options - { refresh: scan again even if the last scan hasn't expired,
+   *   minConfidence, limit, signal, onProgress }
+   */
+  async listClusters(objectType, { refresh = false, minConfidence = 0, limit = 100, signal, onProgress } = {}) {
+    const scan = await this.getScan(objectType, { refresh, signal, onProgress });
+    const clusters = await this.buildClusters(scan);
+    const matching = clusters.filter(cluster => cluster.confidence >= minConfidence);
+
+    return {
+      objectType,
+      scannedAt: scan.scannedAt,
+      source: scan.source,
+      recordCount: scan.recordCount,
+      total: matching.length,
+      clusters: matching.slice(0, limit)
+    };
+  }
+
+  async getCluster(clusterId) {
+    const objectType = clusterType(clusterId);
+    // Never rescan here: a new scan could change the cluster under the caller
+    const scan = await this.getScan(objectType, { cachedOnly: true });
+    const cluster = scan && (await this.buildClusters(scan)).find(candidate => candidate.id === clusterId);
+    if (!cluster) {
+      const error = new Error(`Duplicate cluster ${clusterId} not found. It may have changed since it was listed; list duplicates again`);
+      error.statusCode = 404;
+      throw error;
+    }
+    return cluster;
+  }
+
+  /**
+   * Merge records of a cluster into one with HubSpot's merge API
+   * @param {string} clusterId - Cluster ID from listClusters
+   * @param {Object} options - { primaryId: the record to keep, by default the oldest;
+   *   ids: the records to merge into it, by default every other member; userId }
+   * @returns {Promise<Object>} { clusterId, objectType, primaryId, merged, failed, results }
+   */
+  async merge(clusterId, { primaryId, ids, userId = null } = {}) {
+    const cluster = await this.getCluster(clusterId);
+    const memberIds = cluster.members.map(member => member.id);
+    const primary = primaryId ? String(primaryId) : oldest(cluster.members).id;
+    const toMerge = ids ? ids.map(String) : memberIds.filter(id => id !== primary);
+
+    const strangers = [primary, ...toMerge].filter(id => !memberIds.includes(id));
+    if (strangers.length > 0) badRequest(`Not members of cluster ${clusterId}: ${strangers.join(', ')}`);
+    if (toMerge.includes(primary)) badRequest('A record cannot be merged into itself');
+    if (toMerge.length === 0) badRequest('Nothing to merge: name at least one other member in ids');
+
+    // HubSpot may give the merged record a new ID, which the next merge must target
+    let survivor = primary;
+    const results = [];
+    for (const id of toMerge) {
+      try {
+        const response = await this.authHandler.hubspotClient.post(
+          `/crm/v3/objects/${cluster.objectType}/merge`,
+          { primaryObjectId: survivor, objectIdToMerge: id },
+          // A merge that timed out may have happened; retrying it would fail or merge twice
+          { retryable: false }
+        );
+        const previous = survivor;
+        survivor = String(response.data?.id || survivor);
+        results.push({ id, status: 'merged', primaryId: survivor, previousPrimaryId: previous !== survivor ? previous : undefined });
+      } catch (error) {
+        const message = error.response?.data?.message || error.message;
+        logger.warn(`🍌 Merging ${cluster.objectType} ${id} into ${survivor} failed`, { clusterId, error: message });
+        results.push({ id, status: 'error', error: message });
+      }
+    }
+
+    const merged = results.filter(result => result.status === 'merged').map(result => result.id);
+    await this.appendDecisions(results.map(result => ({
+      decision: result.status === 'merged' ? 'merge' : 'merge-failed',
+      objectType: cluster.objectType,
+      clusterId,
+      primaryId: result.primaryId || survivor,
+      ids: [result.id],
+      previousPrimaryId: result.previousPrimaryId,
+      error: result.error,
+      userId
+    })));
+
+    // The mirror hears of merges from webhooks too; this just saves waiting for them
+    if (merged.length > 0 && this.crmMirror?.enabled && this.crmMirror.objectTypes.includes(cluster.objectType)) {
+      await this.crmMirror.store.remove(cluster.objectType, merged).catch(error =>
+        logger.warn('🍌 Could not drop merged records from the CRM mirror', { error: error.message }));
+    }
+
+    logger.info(`🍌 Merged ${merged.length} of ${toMerge.length} ${cluster.objectType} into ${survivor}`, { clusterId, userId });
+    return {
+      clusterId,
+      objectType: cluster.objectType,
+      primaryId: survivor,
+      merged,
+      failed: toMerge.length - merged.length,
+      results: results.map(({ previousPrimaryId, ...result }) => result)
+    };
+  }
+
+  /**
+   * Record that records of a cluster are not duplicates of each other, so
+   * they're never suggested together again
+   * @param {string} clusterId - Cluster ID from listClusters
+   * @param {Object} options - { ids: at least two members, by default all of them; userId }
+   */
+  async reject(clusterId, { ids, userId = null } = {}) {
+    const cluster = await this.getCluster(clusterId);
+    const memberIds = cluster.members.map(member => member.id);
+    const rejected = ids ? [...new Set(ids.map(String))] : memberIds;
+
+    const strangers = rejected.filter(id => !memberIds.includes(id));
+    if (strangers.length > 0) badRequest(`Not members of cluster ${clusterId}: ${strangers.join(', ')}`);
+    if (rejected.length < 2) badRequest('Name at least two members in ids');
+
+    await this.appendDecisions([{ decision: 'reject', objectType: cluster.objectType, clusterId, ids: rejected, userId }]);
+    logger.info(`🍌 ${cluster.objectType} ${rejected.join(', ')} marked as not duplicates`, { clusterId, userId });
+    return { clusterId, objectType: cluster.objectType, rejected };
+  }
+
+  /**
+   * Merges and rejections, newest first
+   * @param {Object} filters - { objectType, decision, limit }
+   */
+  async getDecisions({ objectType, decision, limit = 100 } = {}) {
+    return (await this.readDecisions())
+      .filter(entry => (!objectType || entry.objectType === objectType) && (!decision || entry.decision === decision))
+      .slice(-limit)
+      .reverse();
+  }
+
+  /**
+   * The latest scan of a type: from memory, from disk, or a new one
+   * @param {Object} options - { refresh, cachedOnly: never start a scan, signal, onProgress }
+   */
+  async getScan(objectType, { refresh = false, cachedOnly = false, signal, onProgress } = {}) {
+    assertObjectType(objectType);
+
+    if (!refresh) {
+      const scan = this.scans.get(objectType) || await this.loadScan(objectType);
+      if (scan && (cachedOnly || Date.now() - Date.parse(scan.scannedAt) < this.scanTTL)) return scan;
+    }
+    if (cachedOnly) return null;
+
+    // Callers asking for the same type while it's being scanned share the scan
+    if (!this.scanning.has(objectType)) {
+      this.scanning.set(objectType, this.scan(objectType, { signal, onProgress })
+        .finally(() => this.scanning.delete(objectType)));
+    }
+    return this.scanning.get(objectType);
+  }
+
+  async scan(objectType, { signal, onProgress } = {}) {
+    const started = Date.now();
+    const { weights, blockingKeys } = this.config[objectType];
+    const { records, source } = await this.readRecords(objectType, signal);
+    onProgress?.(0, records.length, `Comparing ${records.length} ${objectType}`);
+
+    const blocks = new Map();
+    records.forEach(record => {
+      blockingKeys.forEach(name => {
+        const key = BLOCKING_KEYS[objectType][name]?.(record);
+        if (!key) return;
+        const block = `${name}:${key}`;
+        if (!blocks.has(block)) blocks.set(block, []);
+        blocks.get(block).push(record);
+      });
+    });
+
+    const pairs = new Map();
+    let blocksSkipped = 0;
+    let compared = 0;
+    for (const [block, members] of blocks) {
+      if (members.length < 2) continue;
+      if (members.length > this.config.maxBlockSize) {
+        blocksSkipped++;
+        continue;
+      }
+      signal?.throwIfAborted();
+
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          const key = pairKey(members[i].id, members[j].id);
+          if (pairs.has(key)) {
+            pairs.get(key).blocks?.push(block);
+            continue;
+          }
+          compared++;
+          const { score, fields } = scorePair(objectType, members[i], members[j], weights);
+          pairs.set(key, score >= this.config.threshold
+            ? { ids: key.split('|'), score, fields, blocks: [block] }
+            : { blocks: null });
+        }
+      }
+    }
+
+    const matches = [...pairs.values()].filter(pair => pair.blocks);
+    const byId = new Map(records.map(record => [String(record.id), record]));
+    const involved = new Set(matches.flatMap(pair => pair.ids));
+    const scan = {
+      objectType,
+      scannedAt: new Date().toISOString(),
+      source,
+      recordCount: records.length,
+      compared,
+      blocksSkipped,
+      pairs: matches,
+      records: Object.fromEntries([...involved].map(id => [id, summarizeRecord(byId.get(id))]))
+    };
+
+    await fs.mkdir(this.scansDir, { recursive: true });
+    await writeAtomic(path.join(this.scansDir, `${objectType}.json`), JSON.stringify(scan));
+    this.scans.set(objectType, scan);
+
+    onProgress?.(records.length, records.length, `${matches.length} likely duplicate pairs`);
+    logger.info(`🍌 Duplicate scan of ${objectType} done`, {
+      records: records.length,
+      compared,
+      pairs: matches.length,
+      blocksSkipped,
+      source,
+      duration: Date.now() - started
+    });
+    return scan;
+  }
+
+  // The CRM mirror when it's synced, HubSpot otherwise
+  async readRecords(objectType, signal) {
+    const mirror = this.crmMirror;
+    if (mirror?.enabled && mirror.objectTypes.includes(objectType)) {
+      try {
+        await mirror.assertReady(objectType);
+        return { source: 'mirror', records: (await mirror.store.all(objectType)).filter(record => !record.archived) };
+      } catch (error) {
+        logger.info(`🍌 Duplicate scan reads ${objectType} from HubSpot: ${error.message}`);
+      }
+    }
+
+    const properties = [...new Set([...Object.values(COMPARATORS[objectType]).flatMap(comparator => comparator.properties), 'createdate'])];
+    const records = [];
+    let after;
+    do {
+      signal?.throwIfAborted();
+      const params = new URLSearchParams({ limit: '100', properties: properties.join(',') });
+      if (after) params.set('after', after);
+
+      const response = await this.authHandler.hubspotClient.get(
+        `/crm/v3/objects/${objectType}?${params}`,
+        { priority: 'background', signal }
+      );
+      records.push(...(response.data.results || []));
+      after = response.data.paging?.next?.after;
+    } while (after);
+
+    return { source: 'hubspot', records };
+  }
+
+  async loadScan(objectType) {
+    try {
+      const scan = JSON.parse(await fs.readFile(path.join(this.scansDir, `${objectType}.json`), 'utf8'));
+      this.scans.set(objectType, scan);
+      return scan;
+    } catch (error) {
+      if (error.code !== 'ENOENT') logger.warn(`🍌 Ignoring the saved duplicate scan of ${objectType}`, { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Group a scan's pairs into clusters, strongest pairs first. Merged records
+   * are left out, and two clusters are never joined if that would put a
+   * rejected pair together.
+   */
+  async buildClusters(scan) {
+    const decisions = (await this.readDecisions()).filter(entry => entry.objectType === scan.objectType);
+    // Records merged away, and primaries HubSpot gave a new ID in a merge
+    const merged = new Set(decisions
+      .filter(entry => entry.decision === 'merge')
+      .flatMap(entry => entry.previousPrimaryId ? [...entry.ids, entry.previousPrimaryId] : entry.ids));
+    const rejected = new Set(decisions
+      .filter(entry => entry.decision === 'reject')
+      .flatMap(entry => entry.ids.flatMap((a, i) => entry.ids.slice(i + 1).map(b => pairKey(a, b)))));
+
+    const clusterOf = new Map();
+    const pairs = scan.pairs
+      .filter(pair => !pair.ids.some(id => merged.has(id)) && !rejected.has(pairKey(...pair.ids)))
+      .sort((a, b) => b.score - a.score);
+
+    for (const pair of pairs) {
+      const [a, b] = pair.ids.map(id => clusterOf.get(id) || { ids: [id], pairs: [] });
+      if (a === b) {
+        a.pairs.push(pair);
+        continue;
+      }
+      if (a.ids.some(x => b.ids.some(y => rejected.has(pairKey(x, y))))) continue;
+
+      const joined = { ids: [...a.ids, ...b.ids], pairs: [...a.pairs, ...b.pairs, pair] };
+      joined.ids.forEach(id => clusterOf.set(id, joined));
+    }
+
+    return [...new Set(clusterOf.values())]
+      .map(({ ids, pairs: clusterPairs }) => {
+        const members = ids.sort(compareIds);
+        return {
+          id: clusterId(scan.objectType, members),
+          objectType: scan.objectType,
+          confidence: round(clusterPairs.reduce((sum, pair) => sum + pair.score, 0) / clusterPairs.length),
+          members: members.map(id => ({ id, ...scan.records[id] })),
+          pairs: clusterPairs.map(({ ids: pairIds, score, fields }) => ({ ids: pairIds, score, fields }))
+        };
+      })
+      .sort((a, b) => b.confidence - a.confidence || b.members.length - a.members.length);
+  }
+
+  // Decisions are appended by every process of the cluster, so re-read the file when it changes
+  async readDecisions() {
+    let stat;
+    try {
+      stat = await fs.stat(this.decisionsFile);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    if (stat.mtimeMs === this.decisionsMtime) return this.decisions;
+
+    const text = await fs.readFile(this.decisionsFile, 'utf8');
+    this.decisions = text.split('\n').filter(Boolean).map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    }).filter(Boolean);
+    this.decisionsMtime = stat.mtimeMs;
+    return this.decisions;
+  }
+
+  async appendDecisions(entries) {
+    const at = new Date().toISOString();
+    await fs.mkdir(this.dir, { recursive: true });
+    // One write per call, so lines from different processes don't interleave
+    await fs.appendFile(this.decisionsFile, entries.map(entry => JSON.stringify({ at, ...entry }) + '\n').join(''));
+  }
+}
+
+// The record to keep by default: the one created first
+function oldest(members) {
+  return [...members].sort((a, b) =>
+    (Date.parse(a.createdAt) || Infinity) - (Date.parse(b.createdAt) || Infinity) || compareIds(a.id, b.id))[0];
+}
+
+function summarizeRecord(record) {
+  return {
+    properties: record.properties || {},
+    createdAt: record.createdAt || record.properties?.createdate || null
+  };
+}
+
+function clusterId(objectType, ids) {
+  const hash = crypto.createHash('sha1').update(`${objectType}:${ids.join(',')}`).digest('hex').slice(0, 16);
+  return `dup_${objectType}_${hash}`;
+}
+
+function clusterType(id) {
+  const objectType = /^dup_([a-z]+)_[0-9a-f]{16}$/.exec(id)?.[1];
+  if (!OBJECT_TYPES.includes(objectType)) {
+    const error = new Error(`Duplicate cluster ${id} not found`);
+    error.statusCode = 404;
+    throw error;
+  }
+  return objectType;
+}
+
+function pairKey(a, b) {
+  return [String(a), String(b)].sort(compareIds).join('|');
+}
+
+// HubSpot IDs are numeric strings; compare them as numbers so the order is stable and natural
+function compareIds(a, b) {
+  return a.length - b.length || (a < b ? -1 : a > b ? 1 : 0);
+}
+
+function assertObjectType(objectType) {
+  if (!OBJECT_TYPES.includes(objectType)) {
+    badRequest(`objectType must be one of: ${OBJECT_TYPES.join(', ')}`);
+  }
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  throw error;
+}
+
+function parseConfig(json) {
+  if (!json) return {};
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    logger.warn('🍌 Ignoring HUBSPOT_DUPLICATES_CONFIG: not valid JSON', { error: error.message });
+    return {};
+  }
+}
+
+// Per-type settings are merged one level deep, so a config can change one weight
+function mergeConfig(...overrides) {
+  const config = overrides.filter(Boolean).reduce((merged, override) => {
+    const result = { ...merged, ...override };
+    OBJECT_TYPES.forEach(type => {
+      result[type] = {
+        ...merged[type],
+        ...override[type],
+        weights: { ...merged[type].weights, ...override[type]?.weights }
+      };
+    });
+    return result;
+  }, DEFAULT_CONFIG);
+
+  OBJECT_TYPES.forEach(type => {
+    const unknown = config[type].blockingKeys.filter(name => !BLOCKING_KEYS[type][name]);
+    if (unknown.length > 0) {
+      logger.warn(`🍌 Ignoring unknown ${type} blocking keys`, { unknown, known: Object.keys(BLOCKING_KEYS[type]) });
+      config[type].blockingKeys = config[type].blockingKeys.filter(name => BLOCKING_KEYS[type][name]);
+    }
+  });
+  return config;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+async function writeAtomic(file, text) {
+  const temp = `${file}.${process.pid}.${++tempFiles}.tmp`;
+  await fs.writeFile(temp, text);
+  await fs.rename(temp, file);
+}
+
+module.exports = { DuplicateDetector, OBJECT_TYPES, DEFAULT_CONFIG };
@@ -0,0 +1,238 @@
+const logger = require('../shared/logger');
+
+// HubSpot's per-call limit for every batch endpoint
+const BATCH_SIZE = 100;
+const ACTIONS = ['create', 'update', 'upsert', 'read', 'archive'];
+// Creating twice makes duplicates; everything else can be sent again
+const RETRYABLE_ACTIONS = ['update', 'upsert', 'read', 'archive'];
+// Actions whose records HubSpot can echo an objectWriteTraceId for
+const TRACED_ACTIONS = ['create', 'update', 'upsert'];
+
+/**
+ * 🍌 BANANA-POWERED HUBSPOT BATCH SERVICE 🍌
+ *
+ * Runs create, update, upsert, read and archive over any number of
+ * records: inputs are split into HubSpot's 100-record batch calls, the
+ * calls run with the request batcher's concurrency limit, and the
+ * answers are merged into one result per input record. Large jobs run
+ * on the job queue as 'hubspot.batch' jobs (see services/hubspot-jobs.js).
+ */
+class HubSpotBatchService {
+  constructor(authHandler, requestBatcher, options = {}) {
+    this.authHandler = authHandler;
+    this.requestBatcher = requestBatcher;
+    this.concurrency = options.concurrency || parseInt(process.env.HUBSPOT_BATCH_CONCURRENCY) || 5;
+
+    logger.info('🍌 HubSpot batch service initialized', {
+      batchSize: BATCH_SIZE,
+      concurrency: this.concurrency
+    });
+  }
+
+  /**
+   * Run a batch action over all inputs
+   * @param {string} objectType - HubSpot object type, e.g. contacts
+   * @param {string} action - create, update, upsert, read or archive
+   * @param {Object} request - { inputs, properties, propertiesWithHistory, idProperty, archived, concurrency }
+   * @param {Object} options - { priority, signal, onProgress(processed, results) }
+   * @returns {Promise<Object>} Merged per-record results and totals
+   */
+  async run(objectType, action, request, options = {}) {
+    validateInputs(action, request.inputs);
+
+    const chunks = [];
+    for (let start = 0; start < request.inputs.length; start += BATCH_SIZE) {
+      chunks.push({ start, inputs: request.inputs.slice(start, start + BATCH_SIZE) });
+    }
+
+    const results = new Array(request.inputs.length);
+    let processed = 0;
+
+    const tasks = chunks.map(chunk => async () => {
+      // Chunks not yet sent when the run is cancelled are skipped
+      if (options.signal?.aborted) return;
+
+      const chunkResults = await this.runChunk(objectType, action, request, chunk, options);
+      chunkResults.forEach(result => {
+        results[result.index] = result;
+      });
+      processed += chunk.inputs.length;
+      options.onProgress?.(processed, chunkResults);
+    });
+
+    const concurrency = Math.min(request.concurrency || this.concurrency, this.concurrency);
+    await this.requestBatcher.processTasksInParallel(tasks, concurrency);
+    options.signal?.throwIfAborted();
+
+    const failed = results.filter(result => result.status === 'error');
+    logger.info(`HubSpot batch ${action} of ${objectType} finished`, {
+      total: results.length,
+      failed: failed.length,
+      chunks: chunks.length
+    });
+
+    return {
+      objectType,
+      action,
+      total: results.length,
+      succeeded: results.length - failed.length,
+      failed: failed.length,
+      chunks: chunks.length,
+      results
+    };
+  }
+
+  // Reject a batch before it's queued as a job
+  validate(action, request) {
+    validateInputs(action, request.inputs);
+  }
+
+  // One HubSpot batch call; never throws, a failed call fails each of its records
+  async runChunk(objectType, action, request, chunk, { priority, signal } = {}) {
+    const traced = TRACED_ACTIONS.includes(action);
+    const inputs = chunk.inputs.map((input, offset) => traced ?
+      { ...input, objectWriteTraceId: input.objectWriteTraceId || String(chunk.start + offset) } :
+      input);
+
+    const body = { inputs };
+    if (action === 'read') {
+      body.properties = request.properties || [];
+      body.propertiesWithHistory = request.propertiesWithHistory || [];
+      if (request.idProperty) body.idProperty = request.idProperty;
+      if (request.archived !== undefined) body.archived = request.archived;
+    }
+
+    let response;
+    try {
+      response = await this.authHandler.hubspotClient.post(
+        `/crm/v3/objects/${encodeURIComponent(objectType)}/batch/${action}`,
+        body,
+        { priority, signal, retryable: RETRYABLE_ACTIONS.includes(action) }
+      );
+    } catch (error) {
+      const details = errorDetails(error.response?.data, error.response?.status || error.statusCode, error.message);
+      logger.warn(`HubSpot batch ${action} call failed`, {
+        objectType,
+        start: chunk.start,
+        size: inputs.length,
+        status: details.status,
+        error: details.message
+      });
+      return inputs.map((input, offset) => recordError(chunk.start + offset, input, details));
+    }
+
+    return mergeChunk(inputs, chunk.start, response, request.idProperty);
+  }
+}
+
+function validateInputs(action, inputs) {
+  if (!ACTIONS.includes(action)) {
+    throw badRequest(`Invalid batch action. Must be one of: ${ACTIONS.join(', ')}`);
+  }
+
+  const needsId = action !== 'create';
+  const needsProperties = ['create', 'update', 'upsert'].includes(action);
+  const invalid = inputs.findIndex(input =>
+    (needsId && (input.id === undefined || input.id === '')) ||
+    (needsProperties && (typeof input.properties !== 'object' || input.properties === null)));
+
+  if (invalid !== -1) {
+    const required = [needsId && 'id', needsProperties && 'properties'].filter(Boolean).join(' and ');
+    throw badRequest(`inputs[${invalid}] must have ${required} for batch ${action}`);
+  }
+}
+
+/**
+ * Match a batch call's results and errors back to its inputs.
+ * HubSpot doesn't keep input order, so records are matched by trace ID,
+ * then by ID, and only then by position.
+ */
+function mergeChunk(inputs, start, response, idProperty) {
+  const pending = new Map(inputs.map((input, offset) => [offset, input]));
+  const records = new Array(inputs.length);
+  const data = response.data || {};
+
+  const byTraceId = new Map();
+  const byId = new Map();
+  inputs.forEach((input, offset) => {
+    if (input.objectWriteTraceId) byTraceId.set(String(input.objectWriteTraceId), offset);
+    if (input.id !== undefined) byId.set(String(input.id), offset);
+  });
+
+  const findOffset = (traceId, ids = []) => {
+    const offset = traceId !== undefined ? byTraceId.get(String(traceId)) : undefined;
+    if (offset !== undefined && pending.has(offset)) return offset;
+    return ids.map(id => byId.get(String(id))).find(candidate => candidate !== undefined && pending.has(candidate));
+  };
+
+  const unmatchedResults = [];
+  for (const result of data.results || []) {
+    const id = idProperty ? result.properties?.[idProperty] : result.id;
+    const offset = findOffset(result.objectWriteTraceId, [id, result.id]);
+    if (offset === undefined) {
+      unmatchedResults.push(result);
+      continue;
+    }
+    records[offset] = recordSuccess(start + offset, result);
+    pending.delete(offset);
+  }
+
+  // An error may name several records (read and archive list their IDs)
+  const unmatchedErrors = [];
+  for (const error of data.errors || []) {
+    const details = errorDetails(error);
+    const ids = error.context?.ids || [];
+    const offsets = [];
+
+    let offset;
+    while ((offset = findOffset(error.objectWriteTraceId || error.context?.objectWriteTraceId?.[0], ids)) !== undefined) {
+      offsets.push(offset);
+      pending.delete(offset);
+      if (ids.length === 0) break;
+    }
+
+    if (offsets.length === 0) {
+      unmatchedErrors.push(details);
+    }
+    offsets.forEach(matched => {
+      records[matched] = recordError(start + matched, inputs[matched], details);
+    });
+  }
+
+  // Whatever is left: leftover results in order, then leftover errors, then success without a body
+  for (const [offset, input] of pending) {
+    if (unmatchedResults.length > 0) {
+      records[offset] = recordSuccess(start + offset, unmatchedResults.shift());
+    } else if (unmatchedErrors.length > 0) {
+      records[offset] = recordError(start + offset, input, unmatchedErrors[0]);
+    } else {
+      records[offset] = { index: start + offset, status: 'success', id: input.id === undefined ? null : String(input.id) };
+    }
+  }
+
+  return records;
+}
+
+function recordSuccess(index, result) {
+  return { index, status: 'success', id: result.id === undefined ? null : String(result.id), result };
+}
+
+function recordError(index, input, error) {
+  return { index, status: 'error', id: input.id === undefined ? null : String(input.id), error };
+}
+
+function errorDetails(body, status = null, fallbackMessage = 'HubSpot batch request failed') {
+  return {
+    status: status || null,
+    category: body?.category || null,
+    message: body?.message || fallbackMessage
+  };
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+module.exports = { HubSpotBatchService, BATCH_SIZE, ACTIONS };
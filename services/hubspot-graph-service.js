@@ -0,0 +1,247 @@
+const logger = require('../shared/logger');
+const { BATCH_SIZE } = require('./hubspot-batch-service');
+
+const DEFAULT_INCLUDE = ['contacts', 'companies', 'deals', 'tickets'];
+// One v4 association page holds up to this many associated records
+const ASSOCIATION_PAGE_SIZE = 500;
+
+/**
+ * 🍌 BANANA-POWERED HUBSPOT GRAPH SERVICE 🍌
+ *
+ * Assembles the records around one record in a few calls instead of
+ * dozens: the v4 associations API is walked breadth-first, one batch read
+ * per object type pair and level, the related records are read with the
+ * batch service, and the result is a de-duplicated node/edge graph.
+ * Nodes and edges can be handed out level by level as they're found.
+ */
+class HubSpotGraphService {
+  constructor(authHandler, batchService, options = {}) {
+    this.authHandler = authHandler;
+    this.batchService = batchService;
+    this.maxDepth = options.maxDepth || parseInt(process.env.HUBSPOT_GRAPH_MAX_DEPTH) || 3;
+    this.maxNodes = options.maxNodes || parseInt(process.env.HUBSPOT_GRAPH_MAX_NODES) || 1000;
+  }
+
+  /**
+   * Walk the associations around a record
+   * @param {string} objectType - Type of the starting record, e.g. companies
+   * @param {string} id - ID of the starting record
+   * @param {Object} options - { depth, include, properties, maxNodes, priority,
+   *   onLevel({ depth, nodes, edges }) called with each level's new nodes and edges }
+   * @returns {Promise<Object>} { root, nodes, edges, truncated, warnings, stats }
+   */
+  async build(objectType, id, options = {}) {
+    const requested = parseInt(options.depth);
+    const depth = Math.min(Math.max(Number.isNaN(requested) ? 1 : requested, 0), this.maxDepth);
+    const include = options.include?.length ? options.include : DEFAULT_INCLUDE;
+    const maxNodes = Math.min(options.maxNodes || this.maxNodes, this.maxNodes);
+    const context = {
+      properties: options.properties || [],
+      priority: options.priority,
+      warnings: [],
+      calls: 0
+    };
+
+    const nodes = new Map();
+    const edges = new Map();
+
+    const { nodes: [root], failed } = await this.readNodes(objectType, [String(id)], 0, context);
+    if (!root) {
+      const cause = failed[0]?.error || {};
+      const notFound = !cause.status || cause.status === 404 || cause.category === 'OBJECT_NOT_FOUND';
+      const error = new Error(notFound ? `${objectType} ${id} not found` : cause.message);
+      error.statusCode = notFound ? 404 : cause.status;
+      throw error;
+    }
+    nodes.set(root.key, root);
+    await options.onLevel?.({ depth: 0, nodes: [root], edges: [] });
+
+    let frontier = [root];
+    let truncated = false;
+
+    for (let level = 1; level <= depth && frontier.length > 0 && !truncated; level++) {
+      const levelEdges = [];
+      const discovered = new Map();
+
+      // One batch read per pair of object types at each level
+      for (const [fromType, ids] of groupByType(frontier)) {
+        for (const toType of include) {
+          const associations = await this.readAssociations(fromType, toType, ids, context);
+
+          for (const { fromId, toId, types } of associations) {
+            const toKey = nodeKey(toType, toId);
+            if (!nodes.has(toKey) && !discovered.has(toKey)) {
+              if (nodes.size + discovered.size >= maxNodes) {
+                truncated = true;
+                continue;
+              }
+              discovered.set(toKey, { type: toType, id: toId });
+            }
+
+            const edge = addEdge(edges, nodeKey(fromType, fromId), toKey, types);
+            if (edge) levelEdges.push(edge);
+          }
+        }
+      }
+
+      const levelNodes = [];
+      for (const [type, ids] of groupByType([...discovered.values()])) {
+        const read = await this.readNodes(type, ids, level, context);
+        read.nodes.forEach(node => {
+          nodes.set(node.key, node);
+          levelNodes.push(node);
+        });
+      }
+
+      // Associations to records that couldn't be read are dropped with them
+      const readEdges = levelEdges.filter(edge => {
+        const read = nodes.has(edge.from) && nodes.has(edge.to);
+        if (!read) edges.delete(edgeKey(edge.from, edge.to));
+        return read;
+      });
+
+      await options.onLevel?.({ depth: level, nodes: levelNodes, edges: readEdges });
+      frontier = levelNodes;
+    }
+
+    if (truncated) {
+      logger.warn(`🍌 Graph around ${root.key} truncated at ${maxNodes} nodes`);
+    }
+
+    return {
+      root: root.key,
+      nodes: [...nodes.values()],
+      edges: [...edges.values()],
+      truncated,
+      warnings: context.warnings,
+      stats: { depth, nodes: nodes.size, edges: edges.size, hubspotCalls: context.calls }
+    };
+  }
+
+  /**
+   * Associations from many records of one type to another type
+   * @returns {Promise<Array>} [{ fromId, toId, types: [{ category, typeId, label }] }]
+   */
+  async readAssociations(fromType, toType, ids, context) {
+    const chunks = [];
+    for (let start = 0; start < ids.length; start += BATCH_SIZE) {
+      chunks.push(ids.slice(start, start + BATCH_SIZE));
+    }
+
+    const outcomes = await this.batchService.requestBatcher.processTasksInParallel(chunks.map(chunk => async () => {
+      context.calls++;
+      const response = await this.authHandler.hubspotClient.post(
+        `/crm/v4/associations/${fromType}/${toType}/batch/read`,
+        { inputs: chunk.map(id => ({ id })) },
+        { priority: context.priority, retryable: true }
+      );
+      return response.data.results || [];
+    }), this.batchService.concurrency);
+
+    const associations = [];
+    for (const [index, { data, error }] of outcomes.entries()) {
+      if (error) {
+        // Types that can't be associated, or a failed call: the rest of the graph still holds
+        const message = error.response?.data?.message || error.message;
+        context.warnings.push(`${fromType} → ${toType}: ${message}`);
+        logger.warn(`🍌 Could not read ${fromType} → ${toType} associations`, { chunk: index, error: message });
+        continue;
+      }
+
+      for (const result of data) {
+        const fromId = String(result.from?.id);
+        const to = [...(result.to || [])];
+        if (result.paging?.next?.after) {
+          to.push(...await this.readAssociationPages(fromType, toType, fromId, result.paging.next.after, context));
+        }
+        to.forEach(target => associations.push({
+          fromId,
+          toId: String(target.toObjectId),
+          types: target.associationTypes || []
+        }));
+      }
+    }
+    return associations;
+  }
+
+  // The rest of one record's associations once they fill more than a batch result
+  async readAssociationPages(fromType, toType, fromId, after, context) {
+    const to = [];
+    while (after) {
+      context.calls++;
+      const response = await this.authHandler.hubspotClient.get(
+        `/crm/v4/objects/${fromType}/${encodeURIComponent(fromId)}/associations/${toType}?limit=${ASSOCIATION_PAGE_SIZE}&after=${encodeURIComponent(after)}`,
+        { priority: context.priority }
+      );
+      to.push(...(response.data.results || []));
+      after = response.data.paging?.next?.after;
+    }
+    return to;
+  }
+
+  // Records of one type as graph nodes, and the batch results of those that couldn't be read
+  async readNodes(type, ids, depth, context) {
+    context.calls += Math.ceil(ids.length / BATCH_SIZE);
+    const request = { inputs: ids.map(id => ({ id })) };
+    if (context.properties.length > 0) request.properties = context.properties;
+
+    const { results } = await this.batchService.run(type, 'read', request, { priority: context.priority });
+    const failed = results.filter(result => result.status !== 'success');
+    if (failed.length > 0 && depth > 0) {
+      context.warnings.push(`${failed.length} ${type} could not be read: ${failed[0].error?.message}`);
+    }
+
+    const nodes = results
+      .filter(result => result.status === 'success')
+      .map(({ result }) => ({
+        key: nodeKey(type, result.id),
+        type,
+        id: String(result.id),
+        depth,
+        properties: result.properties || {},
+        createdAt: result.createdAt,
+        updatedAt: result.updatedAt
+      }));
+    return { nodes, failed };
+  }
+}
+
+function nodeKey(type, id) {
+  return `${type}:${id}`;
+}
+
+// Associations go both ways, so an edge is keyed by its unordered pair of nodes
+function edgeKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+// Adds an edge or merges association types into the existing one; returns it if new
+function addEdge(edges, from, to, types) {
+  const key = edgeKey(from, to);
+  const existing = edges.get(key);
+  const labelled = types.map(({ category, typeId, label }) => ({ category, typeId, label: label ?? null }));
+
+  if (existing) {
+    labelled.forEach(type => {
+      if (!existing.types.some(known => known.category === type.category && known.typeId === type.typeId)) {
+        existing.types.push(type);
+      }
+    });
+    return null;
+  }
+
+  const edge = { from, to, types: labelled };
+  edges.set(key, edge);
+  return edge;
+}
+
+function groupByType(items) {
+  const groups = new Map();
+  items.forEach(({ type, id }) => {
+    if (!groups.has(type)) groups.set(type, []);
+    groups.get(type).push(id);
+  });
+  return groups;
+}
+
+module.exports = { HubSpotGraphService, DEFAULT_INCLUDE };
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../shared/logger');
+const { summarizeRun } = require('./data-quality-engine');
+const { OBJECT_TYPES: DUPLICATE_OBJECT_TYPES } = require('./duplicate-detector');
+
+const EXPORT_FORMATS = ['jsonl', 'csv'];
+const DATA_QUALITY_SOURCES = ['auto', 'mirror', 'search'];
+
+/**
+ * 🍌 BANANA-POWERED HUBSPOT JOBS 🍌
+ *
+ * Job types for HubSpot work too big for a request:
+ * - hubspot.batch: a batch create/update/upsert/read/archive of any size
+ * - hubspot.export: every record of an object type, written to a JSONL or
+ *   CSV file that the job's owner downloads from /api/jobs/:id/download
+ * - hubspot.data-quality: a data-quality run, optionally fixing what it finds
+ * - hubspot.duplicates: a fresh duplicate scan of contacts or companies
+ */
+function registerHubSpotJobs(jobQueue, { authHandler, batchService, dataQualityEngine, duplicateDetector }) {
+  jobQueue.register('hubspot.batch', async (payload, { signal, progress }) => {
+    const { objectType, action, ...request } = payload;
+
+    return batchService.run(objectType, action, request, {
+      priority: 'background',
+      signal,
+      onProgress: processed => progress(processed, request.inputs.length, `${processed} of ${request.inputs.length} records`)
+    });
+  }, {
+    // Failed records are reported per record; rerunning the whole batch could create duplicates
+    maxAttempts: 1,
+    validate: payload => {
+      if (!isObjectType(payload.objectType)) return 'payload.objectType must be a HubSpot object type';
+      if (!Array.isArray(payload.inputs) || payload.inputs.length === 0) return 'payload.inputs must be a non-empty array';
+      try {
+        batchService.validate(payload.action, payload);
+      } catch (error) {
+        return error.message;
+      }
+      return null;
+    }
+  });
+
+  jobQueue.register('hubspot.export', async (payload, { job, signal, progress, outputFile }) => {
+    const { objectType, properties = [], format = 'jsonl', archived = false } = payload;
+    const file = outputFile(format);
+    const output = fs.createWriteStream(file);
+    let columns = properties.length > 0 ? ['id', ...properties] : null;
+    let records = 0;
+    let after;
+
+    try {
+      do {
+        const params = new URLSearchParams({ limit: '100', archived: String(archived) });
+        if (properties.length > 0) params.set('properties', properties.join(','));
+        if (after) params.set('after', after);
+
+        const response = await authHandler.hubspotClient.get(
+          `/crm/v3/objects/${encodeURIComponent(objectType)}?${params}`,
+          { priority: 'background', signal }
+        );
+        const results = response.data.results || [];
+
+        if (format === 'csv') {
+          if (!columns) {
+            columns = ['id', ...Object.keys(results[0]?.properties || {})];
+          }
+          if (records === 0) await write(output, csvRow(columns));
+          for (const record of results) {
+            await write(output, csvRow(columns.map(column => column === 'id' ? record.id : record.properties?.[column])));
+          }
+        } else {
+          for (const record of results) {
+            await write(output, JSON.stringify(record) + '\n');
+          }
+        }
+
+        records += results.length;
+        after = response.data.paging?.next?.after;
+        progress(records, null, `${records} records exported`);
+      } while (after);
+    } finally {
+      await new Promise(resolve => output.end(resolve));
+    }
+
+    logger.info(`🍌 HubSpot export of ${objectType} written`, { jobId: job.id, records, format });
+    return { objectType, format, records, file: path.basename(file) };
+  }, {
+    validate: ({ objectType, format = 'jsonl', properties = [] }) => {
+      if (!isObjectType(objectType)) return 'payload.objectType must be a HubSpot object type';
+      if (!EXPORT_FORMATS.includes(format)) return `payload.format must be one of: ${EXPORT_FORMATS.join(', ')}`;
+      if (!Array.isArray(properties) || properties.some(property => typeof property !== 'string')) {
+        return 'payload.properties must be an array of property names';
+      }
+      return null;
+    }
+  });
+
+  if (duplicateDetector) {
+    jobQueue.register('hubspot.duplicates', async ({ objectType }, { signal, progress }) => {
+      const { clusters, total, ...scan } = await duplicateDetector.listClusters(objectType, { refresh: true, limit: 0, signal, onProgress: progress });
+      return { ...scan, clusters: total, clustersUrl: `/api/hubspot/duplicates?objectType=${objectType}` };
+    }, {
+      validate: ({ objectType }) => (DUPLICATE_OBJECT_TYPES.includes(objectType) ? null : `payload.objectType must be one of: ${DUPLICATE_OBJECT_TYPES.join(', ')}`)
+    });
+  }
+
+  if (!dataQualityEngine) return;
+
+  jobQueue.register('hubspot.data-quality', async (payload, { signal, progress }) => {
+    const run = await dataQualityEngine.run({ trigger: 'job', ...payload, signal, onProgress: progress });
+    return { ...summarizeRun(run), runUrl: `/api/data-quality/runs/${run.id}` };
+  }, {
+    validate: ({ source = 'auto', objectTypes = [], rules = [] }) => {
+      if (!DATA_QUALITY_SOURCES.includes(source)) return `payload.source must be one of: ${DATA_QUALITY_SOURCES.join(', ')}`;
+      if (!Array.isArray(objectTypes) || !objectTypes.every(isObjectType)) return 'payload.objectTypes must be an array of object types';
+      if (!Array.isArray(rules) || rules.some(rule => typeof rule !== 'string')) return 'payload.rules must be an array of rule IDs';
+      return null;
+    }
+  });
+}
+
+function isObjectType(objectType) {
+  return typeof objectType === 'string' && /^[A-Za-z0-9_-]+$/.test(objectType);
+}
+
+// Wait for the stream to drain rather than buffering the whole export in memory
+function write(stream, chunk) {
+  return stream.write(chunk) ? Promise.resolve() : new Promise(resolve => stream.once('drain', resolve));
+}
+
+function csvRow(values) {
+  return values.map(value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\n';
+}
+
+module.exports = { registerHubSpotJobs, EXPORT_FORMATS };
@@ -0,0 +1,196 @@
+const logger = require('../shared/logger');
+
+// HubSpot's standard CRM objects; custom objects come from /crm/v3/schemas
+const STANDARD_OBJECT_TYPES = [
+  { objectType: 'contacts', objectTypeId: '0-1', name: 'contact', labels: { singular: 'Contact', plural: 'Contacts' }, primaryDisplayProperty: 'email' },
+  { objectType: 'companies', objectTypeId: '0-2', name: 'company', labels: { singular: 'Company', plural: 'Companies' }, primaryDisplayProperty: 'name' },
+  { objectType: 'deals', objectTypeId: '0-3', name: 'deal', labels: { singular: 'Deal', plural: 'Deals' }, primaryDisplayProperty: 'dealname' },
+  { objectType: 'tickets', objectTypeId: '0-5', name: 'ticket', labels: { singular: 'Ticket', plural: 'Tickets' }, primaryDisplayProperty: 'subject' },
+  { objectType: 'products', objectTypeId: '0-7', name: 'product', labels: { singular: 'Product', plural: 'Products' }, primaryDisplayProperty: 'name' },
+  { objectType: 'line_items', objectTypeId: '0-8', name: 'line_item', labels: { singular: 'Line item', plural: 'Line items' }, primaryDisplayProperty: 'name' },
+  { objectType: 'quotes', objectTypeId: '0-14', name: 'quote', labels: { singular: 'Quote', plural: 'Quotes' }, primaryDisplayProperty: 'hs_title' }
+];
+
+// An unknown object type reloads the schemas at most this often, in case it was just created
+const UNKNOWN_TYPE_RELOAD_INTERVAL = 30000;
+
+/**
+ * 🍌 BANANA-POWERED HUBSPOT SCHEMA REGISTRY 🍌
+ *
+ * Knows which CRM object types the portal has, custom objects included,
+ * and what properties each one takes. Schemas load at startup and again
+ * when an unknown object type is asked for; property definitions load per
+ * object type on first use and are cached for `ttl`.
+ *
+ * Custom objects answer to their fully qualified name (p12345_myobject),
+ * their object type ID (2-12345), their name and p_<name>.
+ */
+class HubSpotSchemaRegistry {
+  constructor(authHandler, options = {}) {
+    this.authHandler = authHandler;
+    this.ttl = options.ttl || parseInt(process.env.HUBSPOT_SCHEMA_TTL_MS) || 10 * 60 * 1000;
+    this.objectTypes = new Map();
+    this.aliases = new Map();
+    this.properties = new Map();
+    this.loading = null;
+    this.loadedAt = null;
+    this.attemptedAt = 0;
+    this.lastError = null;
+
+    this.index(STANDARD_OBJECT_TYPES.map(type => ({ ...type, custom: false, requiredProperties: [], searchableProperties: [] })));
+  }
+
+  // Load the portal's custom object schemas
+  async load() {
+    if (this.loading) return this.loading;
+
+    this.attemptedAt = Date.now();
+    this.loading = (async () => {
+      try {
+        const response = await this.authHandler.hubspotClient.get('/crm/v3/schemas', { retryable: true });
+        const schemas = (response.data.results || []).filter(schema => !schema.archived);
+        const custom = schemas.map(schema => ({
+          objectType: schema.fullyQualifiedName,
+          objectTypeId: schema.objectTypeId,
+          name: schema.name,
+          labels: schema.labels || {},
+          custom: true,
+          primaryDisplayProperty: schema.primaryDisplayProperty || null,
+          requiredProperties: schema.requiredProperties || [],
+          searchableProperties: schema.searchableProperties || []
+        }));
+
+        this.index([
+          ...STANDARD_OBJECT_TYPES.map(type => this.objectTypes.get(type.objectType)),
+          ...custom
+        ]);
+
+        // The schemas carry their property definitions, so custom objects need no second call
+        schemas.forEach(schema => {
+          if (Array.isArray(schema.properties) && schema.properties.length > 0) {
+            this.cacheProperties(schema.fullyQualifiedName, schema.properties);
+          }
+        });
+
+        this.loadedAt = Date.now();
+        this.lastError = null;
+        logger.info('🍌 HubSpot schemas loaded', { custom: custom.map(type => type.objectType) });
+        return this.list();
+      } catch (error) {
+        this.lastError = error.response?.data?.message || error.message;
+        logger.warn('🍌 Could not load HubSpot schemas', { error: this.lastError });
+        throw error;
+      } finally {
+        this.loading = null;
+      }
+    })();
+    return this.loading;
+  }
+
+  index(types) {
+    this.objectTypes = new Map(types.map(type => [type.objectType, type]));
+    this.aliases = new Map();
+    types.forEach(type => {
+      const aliases = [type.objectType, type.objectTypeId, type.name];
+      if (type.custom) aliases.push(`p_${type.name}`);
+      aliases.filter(Boolean).forEach(alias => this.aliases.set(String(alias).toLowerCase(), type.objectType));
+    });
+  }
+
+  lookup(objectType) {
+    const canonical = this.aliases.get(String(objectType).toLowerCase());
+    return canonical ? this.objectTypes.get(canonical) : null;
+  }
+
+  list() {
+    return [...this.objectTypes.values()];
+  }
+
+  /**
+   * An object type by any of its names, reloading the schemas once if it's unknown
+   * @returns {Promise<Object|null>} { objectType, objectTypeId, name, labels, custom, primaryDisplayProperty, requiredProperties, searchableProperties }
+   */
+  async resolve(objectType) {
+    let type = this.lookup(objectType);
+    if (!type && Date.now() - this.attemptedAt > UNKNOWN_TYPE_RELOAD_INTERVAL) {
+      await this.load().catch(() => {});
+      type = this.lookup(objectType);
+    }
+    return type;
+  }
+
+  // Like resolve, but a type the portal doesn't have is a 404
+  async require(objectType) {
+    const type = await this.resolve(objectType);
+    if (!type) {
+      const error = new Error(`Unknown HubSpot object type: ${objectType}`);
+      error.statusCode = 404;
+      throw error;
+    }
+    return type;
+  }
+
+  /**
+   * Property definitions of an object type, by name
+   * @param {string} objectType - Canonical object type
+   * @param {Object} options - { refresh }
+   * @returns {Promise<Map>} name → { name, label, type, fieldType, options, readOnly, calculated, hasUniqueValue }
+   */
+  async getProperties(objectType, { refresh = false } = {}) {
+    const cached = this.properties.get(objectType);
+    if (cached?.definitions && !refresh && Date.now() - cached.loadedAt < this.ttl) {
+      return cached.definitions;
+    }
+    if (cached?.loading) return cached.loading;
+
+    const loading = this.authHandler.hubspotClient
+      .get(`/crm/v3/properties/${encodeURIComponent(objectType)}`, { retryable: true })
+      .then(response => this.cacheProperties(objectType, response.data.results || []))
+      .catch(error => {
+        // Stale definitions beat none while HubSpot is failing
+        if (cached?.definitions) {
+          this.properties.set(objectType, cached);
+          return cached.definitions;
+        }
+        this.properties.delete(objectType);
+        throw error;
+      });
+
+    this.properties.set(objectType, { ...cached, loading });
+    return loading;
+  }
+
+  cacheProperties(objectType, properties) {
+    const definitions = new Map(properties.filter(property => !property.archived).map(property => [property.name, {
+      name: property.name,
+      label: property.label,
+      type: property.type,
+      fieldType: property.fieldType,
+      options: (property.options || []).map(option => option.value),
+      readOnly: Boolean(property.modificationMetadata?.readOnlyValue),
+      calculated: Boolean(property.calculated),
+      hasUniqueValue: Boolean(property.hasUniqueValue)
+    }]));
+    this.properties.set(objectType, { definitions, loadedAt: Date.now() });
+    return definitions;
+  }
+
+  // An object type with its property definitions
+  async describe(objectType, options = {}) {
+    const type = await this.require(objectType);
+    const definitions = await this.getProperties(type.objectType, options);
+    return { ...type, properties: [...definitions.values()] };
+  }
+
+  getStatus() {
+    return {
+      loadedAt: this.loadedAt ? new Date(this.loadedAt).toISOString() : null,
+      error: this.lastError,
+      objectTypes: this.objectTypes.size,
+      custom: this.list().filter(type => type.custom).length,
+      cachedProperties: [...this.properties.keys()]
+    };
+  }
+}
+
+module.exports = { HubSpotSchemaRegistry, STANDARD_OBJECT_TYPES };
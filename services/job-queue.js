@@ -0,0 +1,544 @@
+const cluster = require('cluster');
+const crypto = require('crypto');
+const os = require('os');
+const EventEmitter = require('events');
+const logger = require('../shared/logger');
+const JobStore = require('../shared/job-store');
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * 🍌 BANANA-POWERED DURABLE JOB QUEUE 🍌
+ *
+ * Long-running work (bulk HubSpot writes, exports, backfills) runs as
+ * jobs that survive restarts:
+ * - Jobs are stored on disk by JobStore and claimed by whichever cluster
+ *   process has a free slot, within a per-tenant concurrency cap
+ * - A running job holds a lease it keeps renewing; if its process dies the
+ *   lease expires and another process picks the job up again
+ * - Failed attempts are retried with exponential backoff
+ * - Cancellation aborts the handler's AbortSignal
+ * - Every state change and progress report is emitted as a 'job' event,
+ *   relayed to the other cluster processes through the primary
+ */
+class JobQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    const env = process.env;
+
+    this.store = options.store || new JobStore({ dir: options.dir });
+    this.concurrency = options.concurrency || parseInt(env.JOBS_WORKER_CONCURRENCY) || 2;
+    this.tenantConcurrency = options.tenantConcurrency || parseInt(env.JOBS_TENANT_CONCURRENCY) || 2;
+    this.maxAttempts = options.maxAttempts || parseInt(env.JOBS_MAX_ATTEMPTS) || 3;
+    this.retryDelay = options.retryDelay || 5000;
+    this.pollInterval = options.pollInterval || 2000;
+    this.leaseTTL = options.leaseTTL || 30000;
+    this.progressInterval = options.progressInterval ?? 1000;
+    this.retention = options.retention || (parseInt(env.JOBS_RETENTION_HOURS) || 168) * 3600000;
+
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.handlers = new Map();
+    this.running = new Map();
+    this.timer = null;
+    this.started = false;
+    this.claiming = null;
+    this.claimAgain = false;
+    this.lastPrune = 0;
+
+    // Cluster workers share events through the primary (see cluster.js)
+    this.relay = options.relay ?? (cluster.isWorker && typeof process.send === 'function');
+    if (this.relay) {
+      process.on('message', message => {
+        if (message?.type === 'job_event') this.receive(message.event, message.access);
+      });
+    }
+
+    this.stats = {
+      completed: 0,
+      failed: 0,
+      cancelled: 0,
+      retried: 0,
+      recovered: 0
+    };
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - Job type, e.g. hubspot.export
+   * @param {Function} handler - async (payload, context) => result; context has
+   *   { job, signal, progress(processed, total, message), outputFile(extension) }
+   * @param {Object} options - { maxAttempts, validate(payload) => error message or null }
+   */
+  register(type, handler, options = {}) {
+    this.handlers.set(type, { handler, maxAttempts: options.maxAttempts, validate: options.validate });
+    logger.info(`🍌 Job type registered: ${type}`);
+  }
+
+  types() {
+    return [...this.handlers.keys()];
+  }
+
+  /**
+   * Queue a job
+   * @param {Object} spec - { type, payload, owner, tenant, maxAttempts, maxConcurrent }
+   * @returns {Promise<Object>} The job record
+   */
+  async create({ type, payload = {}, owner = null, tenant = 'default', maxAttempts, maxConcurrent }) {
+    const registered = this.handlers.get(type);
+    if (!registered) {
+      const error = new Error(`Unknown job type ${type}. Must be one of: ${this.types().join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    const problem = registered.validate?.(payload);
+    if (problem) {
+      const error = new Error(problem);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: `job_${crypto.randomBytes(8).toString('hex')}`,
+      type,
+      owner,
+      tenant,
+      status: 'queued',
+      attempts: 0,
+      maxAttempts: maxAttempts || registered.maxAttempts || this.maxAttempts,
+      maxConcurrent: maxConcurrent || null,
+      progress: { processed: 0, total: null, percent: 0, message: null },
+      error: null,
+      cancelRequested: false,
+      lease: null,
+      runAfter: now,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null
+    };
+
+    await this.store.init();
+    await this.store.savePayload(job.id, payload);
+    await this.store.save(job);
+
+    logger.info(`🍌 Job ${job.id} queued`, { type, tenant });
+    this.publish(job);
+    this.poke();
+    return job;
+  }
+
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  async getResult(id) {
+    return this.store.getResult(id);
+  }
+
+  outputFile(id, extension) {
+    return this.store.outputFile(id, extension);
+  }
+
+  /**
+   * Jobs matching every given filter, newest first
+   * @param {Object} filters - { owner, tenant, status, type, limit }
+   */
+  async list({ owner, tenant, status, type, limit = 50 } = {}) {
+    const jobs = await this.store.list();
+    return jobs
+      .filter(job => (owner === undefined || job.owner === owner) &&
+        (tenant === undefined || job.tenant === tenant) &&
+        (!status || job.status === status) &&
+        (!type || job.type === type))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Cancel a job: queued jobs stop at once, running ones when their handler sees the signal
+   * @returns {Promise<Object|null>} The job, or null if it doesn't exist
+   */
+  async cancel(id) {
+    const job = await this.store.update(id, job => {
+      if (TERMINAL_STATUSES.includes(job.status)) return false;
+
+      job.cancelRequested = true;
+      job.updatedAt = new Date().toISOString();
+      if (job.status === 'queued') {
+        job.status = 'cancelled';
+        job.completedAt = job.updatedAt;
+        this.stats.cancelled++;
+      }
+    });
+    if (!job) return null;
+
+    this.running.get(id)?.controller.abort();
+    if (job.cancelRequested) {
+      logger.info(`🍌 Job ${id} cancellation requested`, { status: job.status });
+      this.publish(job);
+    }
+    return job;
+  }
+
+  // Start claiming jobs in this process
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    logger.info('🍌 Job queue worker started', {
+      workerId: this.workerId,
+      concurrency: this.concurrency,
+      tenantConcurrency: this.tenantConcurrency,
+      types: this.types()
+    });
+    this.poke();
+  }
+
+  // Stop claiming and hand running jobs back to the queue for another process
+  async stop() {
+    this.started = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    // A job claimed meanwhile is handed back along with the others
+    await this.claiming?.catch(() => {});
+
+    const running = [...this.running.values()];
+    running.forEach(entry => {
+      entry.shutdown = true;
+      entry.controller.abort();
+    });
+    await Promise.all(running.map(entry => entry.done));
+  }
+
+  // Look for work now instead of at the next poll
+  poke() {
+    if (!this.started) return;
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.claimJobs(), 0);
+  }
+
+  async claimJobs() {
+    if (!this.started) return;
+    if (this.claiming) {
+      this.claimAgain = true;
+      return;
+    }
+    this.claimAgain = false;
+    this.claiming = (async () => {
+      while (this.started && this.running.size < this.concurrency) {
+        const job = await this.claim();
+        if (!job) break;
+        this.execute(job);
+      }
+    })();
+
+    try {
+      await this.claiming;
+    } catch (error) {
+      logger.error('🍌 Job queue claim failed', { error: error.message });
+    } finally {
+      this.claiming = null;
+      if (this.started) {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.claimJobs(), this.claimAgain ? 0 : this.pollInterval);
+        this.timer.unref?.();
+      }
+    }
+  }
+
+  // Take the oldest runnable job whose tenant is under its cap
+  async claim() {
+    await this.store.init();
+    const changed = [];
+
+    const claimed = await this.store.withLock(async () => {
+      const now = Date.now();
+      const jobs = await this.store.list();
+
+      for (const job of jobs) {
+        if (job.status === 'running' && Date.parse(job.lease?.expiresAt) < now && !this.running.has(job.id)) {
+          this.recover(job, now);
+          await this.store.save(job);
+          changed.push(job);
+        }
+      }
+
+      const runningByTenant = {};
+      jobs.filter(job => job.status === 'running').forEach(job => {
+        runningByTenant[job.tenant] = (runningByTenant[job.tenant] || 0) + 1;
+      });
+
+      const next = jobs
+        .filter(job => job.status === 'queued' && Date.parse(job.runAfter) <= now && this.handlers.has(job.type))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .find(job => (runningByTenant[job.tenant] || 0) < (job.maxConcurrent || this.tenantConcurrency));
+      if (!next) return null;
+
+      next.status = 'running';
+      next.attempts++;
+      // The token tells this claim apart from a later one by the same process
+      next.lease = { owner: this.workerId, token: crypto.randomUUID(), expiresAt: new Date(now + this.leaseTTL).toISOString() };
+      next.startedAt = next.startedAt || new Date(now).toISOString();
+      next.updatedAt = new Date(now).toISOString();
+      await this.store.save(next);
+      return next;
+    });
+
+    changed.forEach(job => this.publish(job));
+    if (claimed) {
+      logger.info(`🍌 Job ${claimed.id} claimed`, { type: claimed.type, attempt: claimed.attempts, workerId: this.workerId });
+      this.publish(claimed);
+    }
+
+    if (Date.now() - this.lastPrune > 600000) {
+      this.lastPrune = Date.now();
+      await this.prune();
+    }
+    return claimed;
+  }
+
+  // A running job whose process stopped renewing its lease
+  recover(job, now) {
+    this.stats.recovered++;
+    logger.warn(`🍌 Job ${job.id} lost its worker`, { lease: job.lease, attempt: job.attempts });
+
+    job.lease = null;
+    job.updatedAt = new Date(now).toISOString();
+    if (job.cancelRequested) {
+      job.status = 'cancelled';
+      job.completedAt = job.updatedAt;
+    } else if (job.attempts < job.maxAttempts) {
+      job.status = 'queued';
+      job.runAfter = job.updatedAt;
+      job.error = 'Worker stopped while running the job';
+    } else {
+      job.status = 'failed';
+      job.completedAt = job.updatedAt;
+      job.error = 'Worker stopped while running the job';
+    }
+  }
+
+  async execute(job) {
+    const { handler } = this.handlers.get(job.type);
+    const entry = {
+      controller: new AbortController(),
+      shutdown: false,
+      leaseToken: job.lease.token,
+      lastReport: 0,
+      // Progress writes in order, all saved before the outcome
+      saving: Promise.resolve(),
+      done: null
+    };
+    this.running.set(job.id, entry);
+
+    const heartbeat = setInterval(() => this.renew(job.id), this.leaseTTL / 3);
+    const context = {
+      job,
+      signal: entry.controller.signal,
+      progress: (processed, total = null, message = null) => this.reportProgress(job.id, entry, { processed, total, message }),
+      outputFile: extension => this.outputFile(job.id, extension)
+    };
+
+    entry.done = (async () => {
+      let outcome;
+      try {
+        const payload = await this.store.getPayload(job.id);
+        entry.controller.signal.throwIfAborted();
+        outcome = { result: await handler(payload, context) };
+      } catch (error) {
+        outcome = { error };
+      }
+
+      clearInterval(heartbeat);
+      try {
+        await entry.saving;
+        await this.finish(job.id, entry, outcome);
+      } catch (error) {
+        logger.error(`🍌 Could not record the outcome of job ${job.id}`, { error: error.message });
+      }
+      this.running.delete(job.id);
+      this.poke();
+    })();
+  }
+
+  async finish(id, entry, { result, error }) {
+    let owned = false;
+    const job = await this.store.update(id, async job => {
+      // The lease expired and the job was claimed again; that run reports the outcome
+      if (!this.holdsLease(job, entry.leaseToken)) return false;
+      owned = true;
+
+      if (error === undefined && result !== undefined) {
+        await this.store.saveResult(id, result);
+      }
+
+      const now = new Date().toISOString();
+      job.lease = null;
+      job.updatedAt = now;
+
+      if (entry.shutdown && error) {
+        // Not the job's fault; it starts over elsewhere without using up an attempt
+        job.status = 'queued';
+        job.attempts--;
+        job.runAfter = now;
+        return;
+      }
+
+      if (error === undefined) {
+        job.status = 'completed';
+        job.error = null;
+        job.progress = { ...job.progress, percent: 100 };
+      } else if (job.cancelRequested) {
+        job.status = 'cancelled';
+      } else if (job.attempts < job.maxAttempts && error.retryable !== false) {
+        job.status = 'queued';
+        job.error = error.message;
+        job.runAfter = new Date(Date.now() + this.retryDelay * 2 ** (job.attempts - 1)).toISOString();
+      } else {
+        job.status = 'failed';
+        job.error = error.message;
+      }
+
+      if (TERMINAL_STATUSES.includes(job.status)) {
+        job.completedAt = now;
+      }
+    });
+    if (!job) return;
+    if (!owned) {
+      logger.warn(`🍌 Job ${id} was taken over by another run; dropping this outcome`, { attempt: job.attempts });
+      return;
+    }
+
+    if (job.status === 'queued' && !entry.shutdown) {
+      this.stats.retried++;
+      logger.warn(`🍌 Job ${id} failed, will retry`, { attempt: job.attempts, runAfter: job.runAfter, error: error.message });
+    } else if (TERMINAL_STATUSES.includes(job.status)) {
+      this.stats[job.status]++;
+      logger.info(`🍌 Job ${id} ${job.status}`, { type: job.type, attempts: job.attempts, error: job.error });
+    }
+    this.publish(job);
+  }
+
+  // Progress is saved and published at most once per progressInterval
+  reportProgress(id, entry, { processed, total, message }) {
+    const now = Date.now();
+    if (now - entry.lastReport < this.progressInterval && (total === null || processed < total)) return;
+    entry.lastReport = now;
+
+    entry.saving = entry.saving.then(() => this.store.update(id, job => {
+      job.progress = {
+        processed,
+        total,
+        percent: total ? Math.min(100, Math.round(processed / total * 100)) : 0,
+        message
+      };
+      // Not saved if another process has taken the job over
+      return this.extendLease(job, entry.leaseToken, now);
+    })).then(job => {
+      if (!job) return;
+      if (job.cancelRequested) entry.controller.abort();
+      this.publish(job);
+    }).catch(error => {
+      logger.warn(`🍌 Could not save progress of job ${id}`, { error: error.message });
+    });
+  }
+
+  // Keep the lease alive and pick up cancellations made by other processes
+  async renew(id) {
+    try {
+      const token = this.running.get(id)?.leaseToken;
+      const job = await this.store.update(id, job => this.extendLease(job, token, Date.now()));
+      if (job?.cancelRequested) {
+        this.running.get(id)?.controller.abort();
+      }
+    } catch (error) {
+      logger.warn(`🍌 Could not renew the lease of job ${id}`, { error: error.message });
+    }
+  }
+
+  holdsLease(job, token) {
+    return job.lease?.owner === this.workerId && job.lease.token === token;
+  }
+
+  extendLease(job, token, now) {
+    if (!this.holdsLease(job, token)) return false;
+    job.lease.expiresAt = new Date(now + this.leaseTTL).toISOString();
+    job.updatedAt = new Date(now).toISOString();
+  }
+
+  // Delete finished jobs past the retention period
+  async prune() {
+    const cutoff = Date.now() - this.retention;
+    const expired = (await this.store.list())
+      .filter(job => TERMINAL_STATUSES.includes(job.status) && Date.parse(job.completedAt) < cutoff);
+
+    for (const job of expired) {
+      await this.store.remove(job.id);
+    }
+    if (expired.length > 0) {
+      logger.info(`🍌 Pruned ${expired.length} finished jobs`);
+    }
+  }
+
+  // Listeners get the public view, and whose job it is to decide who else may see it
+  publish(job) {
+    const event = summarize(job);
+    const access = { owner: job.owner, tenant: job.tenant };
+    this.emit('job', event, access);
+    if (this.relay && process.connected) {
+      process.send({ type: 'job_event', event, access });
+    }
+  }
+
+  // An event relayed from another cluster process
+  receive(event, access = {}) {
+    if (event.cancelRequested) {
+      this.running.get(event.id)?.controller.abort();
+    }
+    this.emit('job', event, access);
+  }
+
+  getStats() {
+    return {
+      workerId: this.workerId,
+      started: this.started,
+      running: [...this.running.keys()],
+      concurrency: this.concurrency,
+      tenantConcurrency: this.tenantConcurrency,
+      types: this.types(),
+      ...this.stats
+    };
+  }
+}
+
+// The public view of a job: no owner, lease or payload
+function summarize(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    tenant: job.tenant,
+    status: job.status,
+    progress: job.progress,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    error: job.error,
+    cancelRequested: job.cancelRequested,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    runAfter: job.status === 'queued' ? job.runAfter : null
+  };
+}
+
+// Jobs belong to the principal's owner hash; credentials are never written to disk
+function requestOwner(req) {
+  return req.principal?.owner || null;
+}
+
+function requestTenant(req) {
+  return req.tenant?.id || req.principal?.tenant || 'default';
+}
+
+module.exports = { JobQueue, summarize, requestOwner, requestTenant, TERMINAL_STATUSES };
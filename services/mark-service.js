@@ -153,10 +153,11 @@ class MarkService extends OllamaBaseService {
       
       // Build conversation context
       const systemPrompt = this.buildSystemPrompt(context);
-      const conversationContext = this.buildConversationContext(message);
+      const messages = this.buildConversationMessages(message, 10);
       
       // Send to Ollama
-      const response = await this.sendToOllama(`${systemPrompt}\n\n${conversationContext}`);
+      const reply = await this.chatWithOllama(messages, { system: systemPrompt });
+      const response = reply.content[0].text;
       
       // Store conversation
       this.addToConversationHistory(message, response);
@@ -210,18 +211,6 @@ Be helpful, concise, and include practical examples. Use the 🐐 emoji occasion
 Focus on actionable advice for API testing, debugging, and optimization.`;
   }
 
-  /**
-   * Build conversation context
-   */
-  buildConversationContext(newMessage) {
-    const recentHistory = this.conversationHistory.slice(-10); // Last 10 exchanges
-    const context = recentHistory.map(entry => 
-      `Human: ${entry.message}\nMark: ${entry.response}`
-    ).join('\n\n');
-    
-    return context + `\n\nHuman: ${newMessage}\nMark:`;
-  }
-
 
 
   /**
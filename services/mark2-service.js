@@ -141,11 +141,13 @@ class Mark2Service extends OllamaBaseService {
       }
       
       const systemPrompt = this.buildSystemPrompt(context);
-      const conversationContext = this.buildConversationContext(message, 15);
+      const messages = this.buildConversationMessages(message, 15);
       
-      const response = await this.sendToOllama(`${systemPrompt}\n\n${conversationContext}`, {
+      const reply = await this.chatWithOllama(messages, {
+        system: systemPrompt,
         temperature: 0.8 // More creative than Mark
       });
+      const response = reply.content[0].text;
       
       this.addToConversationHistory(message, response, { mode: this.currentMode });
       
@@ -0,0 +1,508 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const os = require('os');
+const axios = require('axios');
+const logger = require('../shared/logger');
+const { SubscriptionStore } = require('../shared/subscription-store');
+
+const EVENT_TYPE = /^(\*|[a-z_]+\.(\*|[A-Za-z_]+))$/;
+
+// Shown in place of a secret once it has been handed out
+const SECRET_PREVIEW_LENGTH = 4;
+
+/**
+ * 🍌 BANANA-POWERED WEBHOOK DISPATCHER 🍌
+ *
+ * Passes HubSpot webhook events on to downstream services that subscribe:
+ * - An API key registers a target URL, event filters and a secret; events
+ *   matching a filter are queued as deliveries by whichever process
+ *   received them
+ * - One process of the cluster at a time dispatches, holding a lease;
+ *   each attempt is signed with HMAC-SHA256 and logged per subscription
+ * - Failed attempts are retried with exponential backoff; a delivery out
+ *   of attempts becomes a dead letter, which can be replayed
+ * - Delivery is at least once: receivers drop repeats by X-Webhook-Id
+ */
+class WebhookDispatcher {
+  constructor(options = {}) {
+    const env = process.env;
+
+    this.store = options.store || new SubscriptionStore({ dir: options.dir });
+    this.enabled = options.enabled ?? env.WEBHOOK_SUBSCRIPTIONS_ENABLED !== 'false';
+    this.maxAttempts = options.maxAttempts || parseInt(env.WEBHOOK_DELIVERY_MAX_ATTEMPTS) || 8;
+    this.retryDelay = options.retryDelay || parseInt(env.WEBHOOK_DELIVERY_RETRY_DELAY_MS) || 30000;
+    this.maxRetryDelay = options.maxRetryDelay || 3600000;
+    this.timeout = options.timeout || parseInt(env.WEBHOOK_DELIVERY_TIMEOUT_MS) || 10000;
+    this.concurrency = options.concurrency || 10;
+    this.pollInterval = options.pollInterval || 1000;
+    this.leaseTTL = options.leaseTTL || 30000;
+    // Targets on loopback or private networks would let any key reach internal services
+    this.allowPrivateTargets = options.allowPrivateTargets ?? env.WEBHOOK_SUBSCRIPTIONS_ALLOW_PRIVATE === 'true';
+    this.httpClient = options.httpClient || axios.create();
+    // A name can resolve elsewhere by the time a delivery goes out, so the
+    // address is checked again as each connection is made
+    this.agents = this.allowPrivateTargets ? {} : {
+      httpAgent: new http.Agent({ lookup: publicLookup }),
+      httpsAgent: new https.Agent({ lookup: publicLookup })
+    };
+
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+    this.started = false;
+    this.leading = false;
+    this.ticking = null;
+
+    this.stats = {
+      queued: 0,
+      delivered: 0,
+      retried: 0,
+      deadLettered: 0,
+      replayed: 0,
+      lastError: null
+    };
+  }
+
+  // Dispatch deliveries while this process holds the lease
+  start() {
+    if (!this.enabled || this.started) return;
+    this.started = true;
+    logger.info('🍌 Webhook dispatcher started', { workerId: this.workerId, maxAttempts: this.maxAttempts });
+    this.schedule(0);
+  }
+
+  async stop() {
+    this.started = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    await this.ticking?.catch(() => {});
+
+    // Let another process take over right away
+    await this.store.updateState(state => {
+      if (state.leader?.owner !== this.workerId) return false;
+      state.leader = null;
+    }).catch(() => {});
+    this.leading = false;
+  }
+
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.tick(), delay);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Register a subscription
+   * @param {Object} spec - { url, events (types like contact.propertyChange, or
+   *   { type, where: { field: value or [values] } }), secret, description, active }
+   * @param {Object} access - { owner, tenant }
+   * @returns {Promise<Object>} The subscription, with its secret this one time
+   */
+  async create({ url, events, secret, description = null, active = true }, { owner = null, tenant = 'default' } = {}) {
+    await this.assertTarget(url);
+
+    const now = new Date().toISOString();
+    const subscription = {
+      id: `sub_${crypto.randomBytes(8).toString('hex')}`,
+      owner,
+      tenant,
+      url,
+      events: normalizeFilters(events),
+      secret: secret || generateSecret(),
+      description,
+      active,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.store.updateSubscriptions(subscriptions => {
+      subscriptions[subscription.id] = subscription;
+    });
+    logger.info(`🍌 Webhook subscription ${subscription.id} created`, { url, events: subscription.events.map(filter => filter.type) });
+    return { ...view(subscription), secret: subscription.secret };
+  }
+
+  async list({ owner = null, admin = false } = {}) {
+    return Object.values(await this.store.getSubscriptions())
+      .filter(subscription => admin || subscription.owner === owner)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(view);
+  }
+
+  async get(id, access) {
+    const subscription = await this.find(id, access);
+    const [pending, dead] = await Promise.all([this.store.listPending(id), this.store.listDead(id)]);
+    return { ...view(subscription), pendingDeliveries: pending.length, deadLetters: dead.length };
+  }
+
+  /**
+   * Change a subscription
+   * @param {Object} changes - { url, events, active, description, secret, rotateSecret }
+   * @returns {Promise<Object>} The subscription, with its secret if it changed
+   */
+  async update(id, { rotateSecret, ...changes }, access) {
+    await this.find(id, access);
+    if (changes.url) await this.assertTarget(changes.url);
+    if (rotateSecret) changes.secret = generateSecret();
+    if (changes.events) changes.events = normalizeFilters(changes.events);
+
+    const subscription = await this.store.updateSubscriptions(subscriptions => {
+      if (!subscriptions[id]) return false;
+      subscriptions[id] = { ...subscriptions[id], ...changes, updatedAt: new Date().toISOString() };
+      return subscriptions[id];
+    });
+    if (!subscription) throw notFound();
+
+    logger.info(`🍌 Webhook subscription ${id} updated`, { changed: Object.keys(changes).filter(key => key !== 'secret') });
+    return changes.secret ? { ...view(subscription), secret: subscription.secret } : view(subscription);
+  }
+
+  async remove(id, access) {
+    await this.find(id, access);
+    await this.store.updateSubscriptions(subscriptions => {
+      delete subscriptions[id];
+    });
+    await this.store.removeDeliveries(id);
+    logger.info(`🍌 Webhook subscription ${id} deleted`);
+  }
+
+  /**
+   * Queue a delivery of the event to every active subscription it matches
+   * @param {Object} event - A HubSpot webhook event
+   * @returns {Promise<number>} Deliveries queued
+   */
+  async publish(event) {
+    if (!this.enabled) return 0;
+    const type = event.subscriptionType || event.eventType;
+    if (!type) return 0;
+
+    const subscriptions = Object.values(await this.store.getSubscriptions())
+      .filter(subscription => subscription.active && subscription.events.some(filter => matches(filter, type, event)));
+    if (subscriptions.length === 0) return 0;
+
+    await this.store.init();
+    const now = new Date().toISOString();
+    await Promise.all(subscriptions.map(subscription => this.store.savePending({
+      id: `dlv_${crypto.randomBytes(8).toString('hex')}`,
+      subscriptionId: subscription.id,
+      type,
+      event,
+      attempts: 0,
+      createdAt: now,
+      nextAttemptAt: now,
+      lastError: null
+    })));
+
+    this.stats.queued += subscriptions.length;
+    if (this.started && this.leading) this.schedule(0);
+    return subscriptions.length;
+  }
+
+  /**
+   * Queue dead letters again, with a fresh set of attempts
+   * @param {Object} options - { deliveryIds: by default every dead letter of the subscription }
+   * @returns {Promise<Object>} { replayed, missing }
+   */
+  async replay(id, { deliveryIds } = {}, access) {
+    await this.find(id, access);
+    const dead = deliveryIds
+      ? await Promise.all(deliveryIds.map(deliveryId => this.store.getDead(deliveryId)))
+      : await this.store.listDead(id);
+
+    const replayed = [];
+    const now = new Date().toISOString();
+    for (const delivery of dead) {
+      if (!delivery || delivery.subscriptionId !== id) continue;
+      const requeued = await this.store.resurrect({
+        ...delivery,
+        attempts: 0,
+        nextAttemptAt: now,
+        deadAt: undefined,
+        replays: (delivery.replays || 0) + 1
+      });
+      if (requeued) replayed.push(delivery.id);
+    }
+
+    this.stats.replayed += replayed.length;
+    if (this.started && this.leading) this.schedule(0);
+    logger.info(`🍌 Replaying ${replayed.length} dead letters of webhook subscription ${id}`);
+    return { replayed, missing: (deliveryIds || []).filter(deliveryId => !replayed.includes(deliveryId)) };
+  }
+
+  /**
+   * Queued deliveries and the log of attempts, newest first
+   * @param {Object} options - { deliveryId, limit }
+   */
+  async getDeliveries(id, { deliveryId, limit = 100 } = {}, access) {
+    await this.find(id, access);
+    const [pending, attempts] = await Promise.all([
+      this.store.listPending(id),
+      this.store.readLog(id, { deliveryId, limit })
+    ]);
+    return { pending: pending.map(summarizeDelivery), attempts };
+  }
+
+  async getDeadLetters(id, access) {
+    await this.find(id, access);
+    return (await this.store.listDead(id)).map(delivery => ({ ...summarizeDelivery(delivery), event: delivery.event }));
+  }
+
+  // One round: take or renew the lease, then attempt every delivery that's due
+  async tick() {
+    if (this.ticking) return this.ticking;
+
+    this.ticking = (async () => {
+      try {
+        this.leading = await this.lead();
+        if (!this.leading) return;
+        await this.store.init();
+
+        const now = Date.now();
+        const due = (await this.store.listPending()).filter(delivery => Date.parse(delivery.nextAttemptAt) <= now);
+        const subscriptions = await this.store.getSubscriptions();
+
+        const queue = [...due];
+        const worker = async () => {
+          while (queue.length > 0) {
+            const delivery = queue.shift();
+            await this.deliver(delivery, subscriptions[delivery.subscriptionId]);
+          }
+        };
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, queue.length) }, worker));
+      } catch (error) {
+        this.stats.lastError = error.message;
+        logger.error('🍌 Webhook dispatch failed', { error: error.message });
+      } finally {
+        this.ticking = null;
+        if (this.started) this.schedule(this.pollInterval);
+      }
+    })();
+    return this.ticking;
+  }
+
+  // Whether this process holds the dispatch lease, taking it if it's free
+  async lead() {
+    const now = Date.now();
+    const state = await this.store.updateState(state => {
+      const leader = state.leader;
+      if (leader && leader.owner !== this.workerId && Date.parse(leader.expiresAt) > now) return false;
+      if (leader?.owner !== this.workerId) {
+        logger.info('🍌 Webhook dispatch lease taken', { workerId: this.workerId, previous: leader?.owner });
+      }
+      state.leader = { owner: this.workerId, expiresAt: new Date(now + this.leaseTTL).toISOString() };
+    });
+    return state.leader?.owner === this.workerId;
+  }
+
+  // One attempt: success ends the delivery, failure schedules a retry or buries it
+  async deliver(delivery, subscription) {
+    if (!subscription) {
+      await this.store.removePending(delivery.id);
+      return;
+    }
+    // A paused subscription keeps its deliveries until it's resumed
+    if (!subscription.active) return;
+
+    const attempt = delivery.attempts + 1;
+    const body = JSON.stringify({ id: delivery.id, type: delivery.type, createdAt: delivery.createdAt, event: delivery.event });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    let httpStatus = null;
+    let error = null;
+    let responseBody = null;
+
+    try {
+      const response = await this.httpClient.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'pi-api-hub-webhooks/1.0',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.type,
+          'X-Webhook-Attempt': String(attempt),
+          'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(subscription.secret, timestamp, body)}`
+        },
+        timeout: this.timeout,
+        maxRedirects: 0,
+        ...this.agents,
+        responseType: 'text',
+        transformResponse: data => data,
+        validateStatus: () => true
+      });
+      httpStatus = response.status;
+      responseBody = typeof response.data === 'string' ? response.data.slice(0, 500) : null;
+      if (httpStatus < 200 || httpStatus >= 300) error = `Target answered ${httpStatus}`;
+    } catch (requestError) {
+      error = requestError.code ? `${requestError.code}: ${requestError.message}` : requestError.message;
+    }
+
+    const delivered = error === null;
+    const at = new Date().toISOString();
+    await this.store.appendLog(subscription.id, {
+      deliveryId: delivery.id,
+      type: delivery.type,
+      attempt,
+      at,
+      status: delivered ? 'delivered' : 'failed',
+      httpStatus,
+      durationMs: Date.now() - started,
+      error,
+      response: responseBody
+    });
+
+    if (delivered) {
+      this.stats.delivered++;
+      await this.store.removePending(delivery.id);
+      return;
+    }
+
+    const failed = { ...delivery, attempts: attempt, lastError: error };
+    if (attempt >= this.maxAttempts) {
+      this.stats.deadLettered++;
+      logger.warn(`🍌 Webhook delivery ${delivery.id} gave up after ${attempt} attempts`, { subscriptionId: subscription.id, error });
+      await this.store.bury({ ...failed, deadAt: at });
+      return;
+    }
+
+    this.stats.retried++;
+    const delay = Math.min(this.retryDelay * 2 ** (attempt - 1), this.maxRetryDelay);
+    await this.store.savePending({ ...failed, nextAttemptAt: new Date(Date.now() + delay).toISOString() });
+  }
+
+  // The subscription, if the caller may see it
+  async find(id, { owner = null, admin = false } = {}) {
+    const subscription = SubscriptionStore.isValidSubscriptionId(id) && (await this.store.getSubscriptions())[id];
+    if (!subscription || (!admin && subscription.owner !== owner)) throw notFound();
+    return subscription;
+  }
+
+  async assertTarget(url) {
+    if (this.allowPrivateTargets) return;
+    const { hostname } = new URL(url);
+    const host = hostname.replace(/^\[|\]$/g, '');
+
+    let addresses;
+    try {
+      addresses = net.isIP(host) ? [host] : (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+    } catch (error) {
+      throw badRequest(`Cannot resolve ${host}: ${error.code || error.message}`);
+    }
+    if (addresses.some(isPrivateAddress)) {
+      throw badRequest(`${host} is on a private network. Webhook targets must be public`);
+    }
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      leading: this.leading,
+      workerId: this.workerId,
+      maxAttempts: this.maxAttempts,
+      ...this.stats
+    };
+  }
+}
+
+/**
+ * The signature a receiver checks: HMAC-SHA256 of `<timestamp>.<body>`
+ * with the subscription's secret, in hex. Receivers should also reject
+ * old timestamps, so a captured request can't be replayed later.
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`, 'utf8').digest('hex');
+}
+
+// Filters are stored as { type, where }; a bare string is a type
+function normalizeFilters(events) {
+  return events.map(filter => {
+    const normalized = typeof filter === 'string' ? { type: filter, where: {} } : { type: filter.type, where: filter.where || {} };
+    if (!EVENT_TYPE.test(normalized.type)) {
+      throw badRequest(`${normalized.type} is not an event type like contact.propertyChange, contact.* or *`);
+    }
+    return normalized;
+  });
+}
+
+function matches(filter, type, event) {
+  const typeMatches = filter.type === '*' ||
+    filter.type === type ||
+    (filter.type.endsWith('.*') && type.startsWith(filter.type.slice(0, -1)));
+  if (!typeMatches) return false;
+
+  return Object.entries(filter.where).every(([field, expected]) =>
+    (Array.isArray(expected) ? expected : [expected]).some(value => String(value) === String(event[field])));
+}
+
+function isPrivateAddress(address) {
+  if (net.isIPv6(address)) {
+    const lower = address.toLowerCase();
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(lower);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    // new URL() writes mapped IPv4 addresses in hex, e.g. ::ffff:a00:1
+    const hex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(lower);
+    if (hex) {
+      const [high, low] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+      return isPrivateAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+    }
+    return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+  }
+
+  const [a, b] = address.split('.').map(Number);
+  return a === 0 || a === 10 || a === 127 ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168);
+}
+
+// dns.lookup for delivery connections, refusing names that resolve to private addresses
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const blocked = addresses.find(isPrivateAddress);
+    if (blocked) {
+      const refused = new Error(`${hostname} resolves to ${blocked}, on a private network. Webhook targets must be public`);
+      refused.code = 'EPRIVATETARGET';
+      return callback(refused);
+    }
+    callback(null, address, family);
+  });
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// The public view of a subscription: no secret, no owner
+function view({ secret, owner, ...subscription }) {
+  return { ...subscription, secretPreview: `…${secret.slice(-SECRET_PREVIEW_LENGTH)}` };
+}
+
+function summarizeDelivery(delivery) {
+  return {
+    id: delivery.id,
+    type: delivery.type,
+    attempts: delivery.attempts,
+    createdAt: delivery.createdAt,
+    nextAttemptAt: delivery.deadAt ? null : delivery.nextAttemptAt,
+    deadAt: delivery.deadAt || null,
+    replays: delivery.replays || 0,
+    lastError: delivery.lastError
+  };
+}
+
+function notFound() {
+  const error = new Error('Subscription not found');
+  error.statusCode = 404;
+  return error;
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+module.exports = { WebhookDispatcher, signPayload };
@@ -0,0 +1,226 @@
+/**
+ * 🍌 AI STREAM EVENTS 🍌
+ *
+ * Shared helpers for streaming AI completions in Anthropic's
+ * server-sent event format, whichever provider produced them.
+ */
+
+/**
+ * Parse a server-sent event byte stream into JSON event payloads
+ * @param {Readable} source - Upstream response stream
+ */
+async function* parseSSE(source) {
+  let buffer = '';
+
+  for await (const chunk of source) {
+    buffer += chunk.toString();
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const data = rawEvent
+        .split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('\n');
+
+      if (data && data !== '[DONE]') {
+        yield JSON.parse(data);
+      }
+    }
+  }
+}
+
+/**
+ * Parse a newline-delimited JSON byte stream (Ollama's streaming format)
+ * @param {Readable} source - Upstream response stream
+ */
+async function* parseNDJSON(source) {
+  let buffer = '';
+
+  for await (const chunk of source) {
+    buffer += chunk.toString();
+
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (line.trim()) {
+        yield JSON.parse(line);
+      }
+    }
+  }
+
+  if (buffer.trim()) {
+    yield JSON.parse(buffer);
+  }
+}
+
+/**
+ * Serialize an Anthropic stream event for the wire
+ * @param {Object} event - Event payload with a `type` field
+ */
+function formatSSE(event) {
+  return `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+/**
+ * Anthropic event sequence builders, used to translate other
+ * providers' streams into the same schema
+ */
+function messageStart(id, model, inputTokens = 0) {
+  return {
+    type: 'message_start',
+    message: {
+      id,
+      type: 'message',
+      role: 'assistant',
+      content: [],
+      model,
+      stop_reason: null,
+      stop_sequence: null,
+      usage: { input_tokens: inputTokens, output_tokens: 0 }
+    }
+  };
+}
+
+function contentBlockStart(index = 0) {
+  return {
+    type: 'content_block_start',
+    index,
+    content_block: { type: 'text', text: '' }
+  };
+}
+
+function textDelta(text, index = 0) {
+  return {
+    type: 'content_block_delta',
+    index,
+    delta: { type: 'text_delta', text }
+  };
+}
+
+function contentBlockStop(index = 0) {
+  return { type: 'content_block_stop', index };
+}
+
+// `inputTokens` is for providers that report the real prompt size only at the end
+function messageDelta(stopReason, outputTokens = 0, inputTokens) {
+  const usage = { output_tokens: outputTokens };
+  if (inputTokens) {
+    usage.input_tokens = inputTokens;
+  }
+  return {
+    type: 'message_delta',
+    delta: { stop_reason: stopReason, stop_sequence: null },
+    usage
+  };
+}
+
+function messageStop() {
+  return { type: 'message_stop' };
+}
+
+/**
+ * Replay a complete Anthropic message as a stream event sequence.
+ * Used when a reply can only be produced whole (e.g. emulated tool calls).
+ * @param {Object} message - Anthropic message
+ */
+function* messageToEvents(message) {
+  yield messageStart(message.id, message.model, message.usage?.input_tokens || 0);
+
+  for (const [index, block] of (message.content || []).entries()) {
+    if (block.type === 'tool_use') {
+      yield {
+        type: 'content_block_start',
+        index,
+        content_block: { type: 'tool_use', id: block.id, name: block.name, input: {} }
+      };
+      yield {
+        type: 'content_block_delta',
+        index,
+        delta: { type: 'input_json_delta', partial_json: JSON.stringify(block.input || {}) }
+      };
+    } else {
+      yield contentBlockStart(index);
+      if (block.text) {
+        yield textDelta(block.text, index);
+      }
+    }
+    yield contentBlockStop(index);
+  }
+
+  yield messageDelta(message.stop_reason || 'end_turn', message.usage?.output_tokens || 0);
+  yield messageStop();
+}
+
+/**
+ * Rebuild the complete Anthropic message from its stream events.
+ * The inverse of messageToEvents; thinking and other block types pass through as started.
+ * @param {Array} events - Anthropic stream events, ideally ending in message_stop
+ */
+function eventsToMessage(events) {
+  let message = null;
+  const partialJson = new Map();
+
+  for (const event of events) {
+    if (!message && event.type !== 'message_start') continue;
+
+    switch (event.type) {
+      case 'message_start':
+        message = { ...event.message, content: [], usage: { ...event.message?.usage } };
+        break;
+      case 'content_block_start':
+        message.content[event.index] = { ...event.content_block };
+        break;
+      case 'content_block_delta': {
+        const block = message.content[event.index];
+        if (event.delta?.type === 'text_delta') {
+          block.text = (block.text || '') + event.delta.text;
+        } else if (event.delta?.type === 'input_json_delta') {
+          partialJson.set(event.index, (partialJson.get(event.index) || '') + event.delta.partial_json);
+        }
+        break;
+      }
+      case 'content_block_stop':
+        if (partialJson.has(event.index)) {
+          const json = partialJson.get(event.index);
+          message.content[event.index].input = json ? JSON.parse(json) : {};
+        }
+        break;
+      case 'message_delta':
+        Object.assign(message, event.delta);
+        Object.assign(message.usage, event.usage);
+        break;
+    }
+  }
+
+  if (message) {
+    message.content = message.content.filter(Boolean);
+  }
+  return message;
+}
+
+function errorEvent(message, errorType = 'api_error') {
+  return {
+    type: 'error',
+    error: { type: errorType, message }
+  };
+}
+
+module.exports = {
+  parseSSE,
+  parseNDJSON,
+  formatSSE,
+  messageStart,
+  contentBlockStart,
+  textDelta,
+  contentBlockStop,
+  messageDelta,
+  messageStop,
+  messageToEvents,
+  eventsToMessage,
+  errorEvent
+};
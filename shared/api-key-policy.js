@@ -0,0 +1,73 @@
+const net = require('net');
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+// "GET /api/hubspot/contacts*", "GET,POST /api/jobs/*", "* /v1/*" or just "/api/keys/me"
+const SCOPE = /^(?:(\*|[A-Z]+(?:,[A-Z]+)*)\s+)?(\/\S*)$/;
+
+/**
+ * 🍌 BANANA-POWERED API KEY POLICY 🍌
+ *
+ * Per-key restrictions on top of the tier permissions: scopes name the
+ * methods and path globs a key may call, and IP allowlists the addresses
+ * (or CIDR ranges) it may call from. A key without either has no
+ * restriction beyond its tier.
+ */
+
+/**
+ * Parse a scope string
+ * @param {string} scope - "[METHODS ]PATH", `*` in the path matching anything
+ * @returns {{methods: string[]|null, pattern: RegExp}} methods null for any method
+ * @throws {Error} With statusCode 400 for malformed scopes
+ */
+function parseScope(scope) {
+  const match = typeof scope === 'string' ? SCOPE.exec(scope.trim()) : null;
+  const methods = match?.[1] && match[1] !== '*' ? match[1].split(',') : null;
+  if (!match || (methods && methods.some(method => !METHODS.includes(method)))) {
+    throw Object.assign(new Error(`Invalid scope "${scope}": expected "[METHODS ]/path", e.g. "GET /api/hubspot/contacts*"`), { statusCode: 400 });
+  }
+
+  const pattern = new RegExp('^' + match[2].split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+  return { methods, pattern };
+}
+
+// Whether any scope allows the call; HEAD goes with GET
+function scopesAllow(scopes, method, path) {
+  const verb = method === 'HEAD' ? 'GET' : method;
+  return scopes.some(scope => {
+    const { methods, pattern } = parseScope(scope);
+    return (!methods || methods.includes(verb) || methods.includes(method)) && pattern.test(path);
+  });
+}
+
+/**
+ * Build a matcher for an IP allowlist
+ * @param {string[]} allowedIps - Addresses and CIDR ranges, IPv4 or IPv6
+ * @returns {net.BlockList}
+ * @throws {Error} With statusCode 400 for entries that aren't addresses or ranges
+ */
+function parseAllowlist(allowedIps) {
+  const list = new net.BlockList();
+  for (const entry of allowedIps) {
+    const [address, bits] = String(entry).split('/');
+    const family = net.isIP(address);
+    const prefix = bits === undefined ? null : Number(bits);
+    if (!family || (prefix !== null && !(Number.isInteger(prefix) && prefix >= 0 && prefix <= (family === 4 ? 32 : 128)))) {
+      throw Object.assign(new Error(`Invalid IP allowlist entry "${entry}"`), { statusCode: 400 });
+    }
+    const type = family === 4 ? 'ipv4' : 'ipv6';
+    if (prefix === null) list.addAddress(address, type);
+    else list.addSubnet(address, prefix, type);
+  }
+  return list;
+}
+
+function ipAllowed(allowedIps, ip) {
+  if (!ip) return false;
+  // IPv4 clients of a dual-stack server show up as ::ffff:a.b.c.d
+  const address = ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+  const family = net.isIP(address);
+  return family !== 0 && parseAllowlist(allowedIps).check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+module.exports = { METHODS, parseScope, scopesAllow, parseAllowlist, ipAllowed };
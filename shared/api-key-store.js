@@ -0,0 +1,397 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const logger = require('./logger');
+const { withFileLock } = require('./file-lock');
+const { parseScope, parseAllowlist } = require('./api-key-policy');
+
+const TIERS = ['basic', 'premium', 'admin'];
+const API_KEY = /^pk_[a-f0-9]{64}$/;
+const KEY_ID = /^key_[a-f0-9]{16}$/;
+const HEX = /^[a-f0-9]+$/;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Listings show keys by their first 12 characters
+const PREFIX_LENGTH = 12;
+
+let tempFiles = 0;
+
+/**
+ * 🍌 BANANA-POWERED API KEY STORE 🍌
+ *
+ * API keys under data/api-keys, shared by every process of the cluster.
+ * keys.json holds a salted SHA-256 hash of each `pk_` key with its
+ * metadata; the key itself is shown once, when it's created, and never
+ * written anywhere. A key is found by its listing prefix and checked
+ * against the hashes of the keys sharing that prefix.
+ *
+ * Keys are 256 random bits, so a fast hash is as safe as a slow one and
+ * keeps the check cheap on every request.
+ *
+ * usage/<id>.json is a key's request history by day. Requests are counted
+ * in memory and added to it by `flushUsage`, so the hot path never writes.
+ */
+class APIKeyStore {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.API_KEY_STORE_DIR || path.join(__dirname, '../data/api-keys');
+    this.keysFile = path.join(this.dir, 'keys.json');
+    this.lockFile = path.join(this.dir, '.lock');
+    this.usageDir = path.join(this.dir, 'usage');
+    this.usageRetentionDays = options.usageRetentionDays || 90;
+
+    this.keys = {};
+    this.keysMtime = null;
+    // Usage not yet flushed, by key ID
+    this.pendingUsage = new Map();
+  }
+
+  static isValidKeyId(id) {
+    return typeof id === 'string' && KEY_ID.test(id);
+  }
+
+  static generateKey() {
+    return 'pk_' + crypto.randomBytes(32).toString('hex');
+  }
+
+  static prefixOf(apiKey) {
+    return apiKey.substring(0, PREFIX_LENGTH);
+  }
+
+  static hashKey(salt, apiKey) {
+    return crypto.createHash('sha256').update(salt).update(apiKey).digest('hex');
+  }
+
+  // Every stored key by ID, re-read when another process changed the file
+  async getKeys() {
+    const stat = await fs.stat(this.keysFile).catch(() => null);
+    if (!stat) return {};
+    if (stat.mtimeMs !== this.keysMtime) {
+      this.keys = (await readJSON(this.keysFile))?.keys || {};
+      this.keysMtime = stat.mtimeMs;
+    }
+    return this.keys;
+  }
+
+  /**
+   * Change the stored keys under the lock
+   * @param {Function} change - Mutates the keys by ID; return false to leave them unsaved
+   * @returns {Promise<*>} What `change` returned
+   */
+  async updateKeys(change) {
+    await fs.mkdir(this.dir, { recursive: true });
+    return withFileLock(this.lockFile, async () => {
+      this.keysMtime = null;
+      const keys = { ...await this.getKeys() };
+      const result = await change(keys);
+      if (result !== false) {
+        await writeJSON(this.keysFile, { version: 1, keys });
+        this.keys = keys;
+        this.keysMtime = (await fs.stat(this.keysFile)).mtimeMs;
+      }
+      return result;
+    });
+  }
+
+  /**
+   * The stored record of an API key
+   * @param {string} apiKey - Key as presented by a caller
+   * @returns {Promise<Object|null>} null for keys this store doesn't hold
+   */
+  async verify(apiKey) {
+    if (typeof apiKey !== 'string' || !API_KEY.test(apiKey)) return null;
+
+    const prefix = APIKeyStore.prefixOf(apiKey);
+    for (const record of Object.values(await this.getKeys())) {
+      if (record.prefix !== prefix) continue;
+      const hash = Buffer.from(APIKeyStore.hashKey(record.salt, apiKey), 'hex');
+      if (crypto.timingSafeEqual(hash, Buffer.from(record.hash, 'hex'))) return record;
+    }
+    return null;
+  }
+
+  /**
+   * Store a new key
+   * @param {Object} metadata - name, tier, description, rateLimit, aiBudget
+   * @param {string} [apiKey] - An existing `pk_` key to take over; a new one is generated otherwise
+   * @returns {Promise<{apiKey: string, record: Object}>} The key, which can't be read back later
+   */
+  async create(metadata, apiKey = APIKeyStore.generateKey()) {
+    const record = { id: newKeyId(), ...hashRecord(apiKey), ...metadata, createdAt: new Date().toISOString(), isActive: true };
+    await this.updateKeys(keys => {
+      if (Object.values(keys).some(existing => existing.prefix === record.prefix && existing.hash === APIKeyStore.hashKey(existing.salt, apiKey))) {
+        throw Object.assign(new Error('API key already exists'), { statusCode: 409 });
+      }
+      keys[record.id] = record;
+    });
+    return { apiKey, record };
+  }
+
+  /**
+   * A key by ID, or by listing prefix when exactly one key has it
+   * @param {string} ref - `key_…` ID or `pk_…` prefix, with or without the trailing "..."
+   */
+  async find(ref) {
+    const keys = await this.getKeys();
+    if (APIKeyStore.isValidKeyId(ref)) return keys[ref] || null;
+
+    const prefix = String(ref || '').replace(/\.\.\.$/, '');
+    if (prefix.length < PREFIX_LENGTH || !prefix.startsWith('pk_')) return null;
+    const matches = Object.values(keys).filter(record => prefix.startsWith(record.prefix));
+    if (matches.length > 1) {
+      throw Object.assign(new Error('Several API keys share this prefix; use the key ID'), { statusCode: 409 });
+    }
+    return matches[0] || null;
+  }
+
+  /**
+   * Change one key's metadata
+   * @param {string} id - Key ID
+   * @param {Function} change - Mutates the record; its hash, salt and ID are kept
+   * @returns {Promise<Object|null>} The changed record, null if there's no such key
+   */
+  async update(id, change) {
+    const updated = await this.updateKeys(keys => {
+      const record = keys[id];
+      if (!record) return false;
+      const updated = { ...record };
+      change(updated);
+      keys[id] = { ...updated, id: record.id, prefix: record.prefix, salt: record.salt, hash: record.hash, updatedAt: new Date().toISOString() };
+      return keys[id];
+    });
+    return updated || null;
+  }
+
+  /**
+   * Issue a successor to a key; it inherits the key's metadata, while the
+   * key itself keeps working until `previousExpiresAt` and the key it
+   * succeeded stops now
+   * @param {string} id - Key ID
+   * @param {Object} options - previousExpiresAt and expiresAt (ISO strings or null) of the two keys
+   * @returns {Promise<{apiKey: string, record: Object, previous: Object}|null>} null if there's no such key
+   */
+  async rotate(id, { previousExpiresAt, expiresAt = null }) {
+    const apiKey = APIKeyStore.generateKey();
+    const result = await this.updateKeys(keys => {
+      const previous = keys[id];
+      if (!previous) return false;
+      if (previous.revokedAt) {
+        throw Object.assign(new Error('API key has been revoked'), { statusCode: 409 });
+      }
+      if (previous.rotatedTo && keys[previous.rotatedTo]) {
+        throw Object.assign(new Error(`API key was already rotated; rotate its successor ${previous.rotatedTo}`), { statusCode: 409 });
+      }
+
+      const now = new Date().toISOString();
+      const { name, tier, description, rateLimit, aiBudget, scopes, allowedIps } = previous;
+      const record = {
+        id: newKeyId(),
+        ...hashRecord(apiKey),
+        name, tier, description, rateLimit, aiBudget, scopes, allowedIps,
+        expiresAt,
+        rotatedFrom: id,
+        // What the first key of the chain created stays with its successors
+        ownerId: previous.ownerId || id,
+        createdAt: now,
+        isActive: true
+      };
+      keys[record.id] = record;
+
+      // A rotation only ever shortens the old key's life
+      const keepUntil = [previous.expiresAt, previousExpiresAt].filter(Boolean).sort()[0] || null;
+      keys[id] = { ...previous, rotatedTo: record.id, expiresAt: keepUntil, updatedAt: now };
+
+      // Only the latest predecessor keeps a grace window, so rotating again and
+      // again can't keep a chain of old keys working
+      const older = keys[previous.rotatedFrom];
+      if (older && (!older.expiresAt || older.expiresAt > now)) {
+        keys[older.id] = { ...older, expiresAt: now, updatedAt: now };
+      }
+      return { record, previous: keys[id] };
+    });
+    return result ? { apiKey, ...result } : null;
+  }
+
+  /**
+   * Count a request against a key; nothing is written until `flushUsage`
+   * @param {string} id - Key ID
+   * @param {Object} request - denied, ip and at (a Date)
+   */
+  trackUsage(id, { denied = false, ip = null, at = new Date() } = {}) {
+    let usage = this.pendingUsage.get(id);
+    if (!usage) {
+      usage = { lastUsed: null, lastIp: null, days: {} };
+      this.pendingUsage.set(id, usage);
+    }
+    const day = at.toISOString().substring(0, 10);
+    const counts = usage.days[day] || (usage.days[day] = { requests: 0, denied: 0 });
+    counts.requests++;
+    if (denied) counts.denied++;
+    usage.lastUsed = at.toISOString();
+    usage.lastIp = ip;
+  }
+
+  // Add the counted usage to the history files
+  async flushUsage() {
+    if (this.pendingUsage.size === 0) return;
+    const pending = this.pendingUsage;
+    this.pendingUsage = new Map();
+
+    const cutoff = new Date(Date.now() - this.usageRetentionDays * DAY).toISOString().substring(0, 10);
+    try {
+      await fs.mkdir(this.usageDir, { recursive: true });
+      await withFileLock(this.lockFile, async () => {
+        for (const [id, usage] of pending) {
+          const history = mergeUsage(await this.readUsageFile(id), usage);
+          Object.keys(history.days).filter(day => day < cutoff).forEach(day => delete history.days[day]);
+          await writeJSON(this.usageFile(id), history);
+          pending.delete(id);
+        }
+      });
+    } catch (error) {
+      // Keep what wasn't written for the next flush
+      for (const [id, usage] of pending) {
+        const current = this.pendingUsage.get(id);
+        this.pendingUsage.set(id, current ? mergeUsage(usage, current) : usage);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * A key's request history, including what this process hasn't flushed yet
+   * @returns {Promise<{lastUsed: string|null, lastIp: string|null, days: Object}>} Counts by YYYY-MM-DD
+   */
+  async readUsage(id) {
+    const history = await this.readUsageFile(id);
+    const pending = this.pendingUsage.get(id);
+    return pending ? mergeUsage(history, pending) : history;
+  }
+
+  async readUsageFile(id) {
+    const history = APIKeyStore.isValidKeyId(id) ? await readJSON(this.usageFile(id)) : null;
+    return history || { lastUsed: null, lastIp: null, days: {} };
+  }
+
+  usageFile(id) {
+    return path.join(this.usageDir, `${id}.json`);
+  }
+
+  /**
+   * Every key record, hashes included, for moving keys to another store
+   * @returns {Promise<Object>} Never holds a usable key
+   */
+  async export() {
+    const keys = await this.getKeys();
+    return {
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      keys: Object.values(keys).sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    };
+  }
+
+  /**
+   * Add keys from an export. Entries may also carry a plaintext `key`
+   * instead of a hash, e.g. keys issued before this store; it's hashed
+   * and dropped.
+   * @param {Object|Array} data - An export or its `keys`
+   * @param {Object} [options] - `replace` drops the keys not in `data`
+   * @returns {Promise<{imported: number, skipped: Array}>} Entries skipped with why
+   */
+  async import(data, { replace = false } = {}) {
+    const entries = Array.isArray(data) ? data : data?.keys;
+    if (!Array.isArray(entries)) {
+      throw Object.assign(new Error('Expected an API key export with a keys array'), { statusCode: 400 });
+    }
+
+    const records = [];
+    const skipped = [];
+    entries.forEach((entry, index) => {
+      try {
+        records.push(importRecord(entry));
+      } catch (error) {
+        skipped.push({ index, id: entry?.id, reason: error.message });
+      }
+    });
+
+    await this.updateKeys(keys => {
+      if (replace) Object.keys(keys).forEach(id => delete keys[id]);
+      records.forEach(record => { keys[record.id] = record; });
+    });
+
+    logger.info('🍌 API keys imported', { imported: records.length, skipped: skipped.length, replace });
+    return { imported: records.length, skipped };
+  }
+}
+
+function mergeUsage(history, usage) {
+  const days = { ...history.days };
+  for (const [day, counts] of Object.entries(usage.days)) {
+    const total = days[day] || { requests: 0, denied: 0 };
+    days[day] = { requests: total.requests + counts.requests, denied: total.denied + counts.denied };
+  }
+  const newer = !history.lastUsed || (usage.lastUsed && usage.lastUsed > history.lastUsed);
+  return {
+    lastUsed: newer ? usage.lastUsed : history.lastUsed,
+    lastIp: newer ? usage.lastIp : history.lastIp,
+    days
+  };
+}
+
+function newKeyId() {
+  return 'key_' + crypto.randomBytes(8).toString('hex');
+}
+
+function hashRecord(apiKey) {
+  if (typeof apiKey !== 'string' || !API_KEY.test(apiKey)) {
+    throw Object.assign(new Error('API keys are "pk_" followed by 64 hex characters'), { statusCode: 400 });
+  }
+  const salt = crypto.randomBytes(16).toString('hex');
+  return { prefix: APIKeyStore.prefixOf(apiKey), salt, hash: APIKeyStore.hashKey(salt, apiKey) };
+}
+
+function importRecord(entry) {
+  if (!entry || typeof entry !== 'object') throw new Error('Not an object');
+  if (!TIERS.includes(entry.tier)) throw new Error(`Invalid tier: ${entry.tier}`);
+  if (typeof entry.name !== 'string' || !entry.name) throw new Error('Missing name');
+
+  if (entry.scopes != null) entry.scopes.forEach(parseScope);
+  if (entry.allowedIps != null) parseAllowlist(entry.allowedIps);
+
+  const { key, ...metadata } = entry;
+  let secret;
+  if (key !== undefined) {
+    secret = hashRecord(key);
+  } else {
+    if (typeof entry.salt !== 'string' || !HEX.test(entry.salt)) throw new Error('Missing salt');
+    if (typeof entry.hash !== 'string' || !/^[a-f0-9]{64}$/.test(entry.hash)) throw new Error('Missing hash');
+    if (typeof entry.prefix !== 'string' || !/^pk_[a-f0-9]{9}$/.test(entry.prefix)) throw new Error('Missing prefix');
+    secret = { prefix: entry.prefix, salt: entry.salt, hash: entry.hash };
+  }
+
+  return {
+    ...metadata,
+    ...secret,
+    id: APIKeyStore.isValidKeyId(entry.id) ? entry.id : newKeyId(),
+    createdAt: entry.createdAt || new Date().toISOString(),
+    isActive: entry.isActive !== false
+  };
+}
+
+async function readJSON(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn('🍌 Could not read API key file', { file: path.basename(file), error: error.message });
+    }
+    return null;
+  }
+}
+
+async function writeJSON(file, data) {
+  const temp = `${file}.${process.pid}.${++tempFiles}.tmp`;
+  await fs.writeFile(temp, JSON.stringify(data, null, 2), { mode: 0o600 });
+  await fs.rename(temp, file);
+}
+
+module.exports = { APIKeyStore, TIERS };
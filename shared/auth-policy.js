@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const { scopesAllow } = require('./api-key-policy');
+
+const PREMIUM_RULES = [
+  '/health',
+  '/api/hubspot/*',
+  '/monitoring/*',
+  '/api/anthropic/messages',
+  '/api/anthropic/feedback',
+  '/v1/*',
+  '/api/jobs',
+  '/api/jobs/*',
+  '/stream',
+  '/api/data-quality/*',
+  '/api/subscriptions',
+  '/api/subscriptions/*',
+  '/api/keys/me',
+  '/api/keys/me/usage',
+  '/api/keys/me/rotate'
+];
+
+// What each role may call, as "[METHODS ]/path*" rules; '*' is everything
+const ROLE_RULES = {
+  // API key tiers
+  basic: [
+    '/health',
+    '/api/hubspot/contacts',
+    '/monitoring/metrics',
+    '/api/keys/me',
+    '/api/keys/me/usage',
+    '/api/keys/me/rotate'
+  ],
+  premium: PREMIUM_RULES,
+  admin: ['*'],
+
+  // AuthManager user roles
+  super_admin: ['*'],
+  tenant_admin: PREMIUM_RULES,
+  manager: PREMIUM_RULES,
+  user: PREMIUM_RULES,
+  viewer: PREMIUM_RULES.map(rule => `GET ${rule}`)
+};
+
+// Hub-wide admins. Only credentials the hub configures itself grant these:
+// admin-tier keys, ADMIN_API_KEY, SimpleAuth's admin and AuthManager's
+// super_admin. A tenant_admin runs one tenant and is no hub admin.
+const ADMIN_ROLES = ['admin', 'super_admin'];
+
+// The tier whose rate limits, AI budgets and HubSpot proxy rules a role gets
+const ROLE_TIERS = {
+  admin: 'admin',
+  super_admin: 'admin',
+  premium: 'premium',
+  tenant_admin: 'premium',
+  manager: 'premium',
+  user: 'premium',
+  basic: 'basic',
+  viewer: 'basic'
+};
+const TIER_ORDER = ['basic', 'premium', 'admin'];
+
+/**
+ * 🍌 BANANA-POWERED AUTHORIZATION POLICY 🍌
+ *
+ * One answer to "may this principal call this route", whichever credential
+ * it came with. A principal's roles grant rules, the union of them is what
+ * it may call, and its scopes (if any) narrow that further.
+ */
+class AuthPolicy {
+  constructor(options = {}) {
+    this.rules = { ...ROLE_RULES, ...options.rules };
+  }
+
+  // The rules a principal's roles grant together
+  rulesFor(principal) {
+    return [...new Set((principal?.roles || []).flatMap(role => this.rules[role] || []))];
+  }
+
+  /**
+   * Decide one call
+   * @param {Object} principal - See createPrincipal
+   * @param {string} method
+   * @param {string} path
+   * @returns {{allowed: boolean, reason?: string, allowedPaths?: string[], scopes?: string[]}}
+   */
+  authorize(principal, method, path) {
+    const rules = this.rulesFor(principal);
+    if (!rules.includes('*') && !scopesAllow(rules, method, path)) {
+      return {
+        allowed: false,
+        reason: `${method} ${path} not allowed for role ${principal.roles.join(', ') || 'none'}`,
+        allowedPaths: rules
+      };
+    }
+
+    // Scopes narrow what the roles allow
+    if (principal.scopes && !scopesAllow(principal.scopes, method, path)) {
+      return {
+        allowed: false,
+        reason: `${method} ${path} is outside the ${principal.authMethod === 'jwt' ? 'token' : 'key'}'s scopes`,
+        scopes: principal.scopes
+      };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Middleware letting through only principals with one of `roles`
+   * @param {...string} roles
+   */
+  requireRole(...roles) {
+    return (req, res, next) => {
+      if (!req.principal) {
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication required',
+          timestamp: new Date().toISOString()
+        });
+      }
+      const wanted = roles.flatMap(role => role === 'admin' ? ADMIN_ROLES : [role]);
+      if (!req.principal.roles.some(role => wanted.includes(role))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Insufficient permissions',
+          message: `Requires role ${roles.join(' or ')}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+      next();
+    };
+  }
+}
+
+/**
+ * The one shape every credential type resolves to
+ * @param {Object} fields
+ * @param {'user'|'service'} fields.type - A person, or a program acting for itself
+ * @param {string} fields.id - Unique within the credential type
+ * @param {string} fields.authMethod - The credential type that authenticated it
+ * @param {string} [fields.owner] - Stable owner of the jobs and subscriptions it creates;
+ *   a hash of the credential type and ID unless given
+ * @returns {Object} principal with id, type, name, tenant, roles, scopes, tier, authMethod, owner
+ */
+function createPrincipal({ type, id, name, tenant, roles = [], scopes = null, authMethod, owner, attributes = {} }) {
+  const known = roles.filter(Boolean);
+  const tier = known.map(role => ROLE_TIERS[role]).filter(Boolean)
+    .sort((a, b) => TIER_ORDER.indexOf(b) - TIER_ORDER.indexOf(a))[0] || null;
+  return {
+    type,
+    id: String(id),
+    name: name || String(id),
+    tenant: tenant || 'default',
+    roles: known,
+    scopes: scopes && scopes.length ? scopes : null,
+    tier,
+    authMethod,
+    owner: owner || crypto.createHash('sha256').update(`${authMethod}:${id}`).digest('hex').slice(0, 32),
+    attributes
+  };
+}
+
+function isAdmin(principal) {
+  return !!principal && principal.roles.some(role => ADMIN_ROLES.includes(role));
+}
+
+module.exports = { AuthPolicy, ROLE_RULES, ROLE_TIERS, ADMIN_ROLES, createPrincipal, isAdmin };
@@ -0,0 +1,458 @@
+const path = require('path');
+const fs = require('fs').promises;
+const logger = require('./logger');
+const { withFileLock } = require('./file-lock');
+
+// Properties looked up by value often enough to index, per object type
+const DEFAULT_INDEXES = {
+  contacts: ['email'],
+  companies: ['domain'],
+  deals: ['pipeline', 'dealstage'],
+  tickets: ['hs_pipeline', 'hs_pipeline_stage']
+};
+
+let tempFiles = 0;
+
+/**
+ * 🍌 BANANA-POWERED CRM MIRROR STORE 🍌
+ *
+ * The embedded database behind the CRM mirror, shared by every process of
+ * the cluster:
+ * - Each object type is an append-only log, data/mirror/<type>.jsonl, of
+ *   record versions and deletions; the last entry for an ID wins
+ * - Every process replays the log into memory, with hash indexes on
+ *   lookup properties, and reads whatever other processes appended since
+ *   before answering a query
+ * - Appends and compactions take a lock file, and a log is compacted into
+ *   one line per record once it holds too many old versions
+ * - state.json holds sync cursors and the sync leader's lease
+ */
+class CrmMirrorStore {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(__dirname, '../data/mirror');
+    this.lockFile = path.join(this.dir, '.lock');
+    this.stateFile = path.join(this.dir, 'state.json');
+    this.indexes = { ...DEFAULT_INDEXES, ...options.indexes };
+    // Compact once a log holds this many lines per live record
+    this.compactRatio = options.compactRatio || 3;
+    this.compactMinLines = options.compactMinLines || 1000;
+    this.collections = new Map();
+  }
+
+  async init() {
+    await fs.mkdir(this.dir, { recursive: true });
+  }
+
+  static isValidType(type) {
+    return typeof type === 'string' && /^[A-Za-z0-9_-]+$/.test(type);
+  }
+
+  /**
+   * Store record versions; records identical to the stored version are skipped
+   * @param {string} type - Object type, e.g. contacts
+   * @param {Array} records - HubSpot records: { id, properties, createdAt, updatedAt, archived }
+   * @returns {Promise<number>} How many records changed
+   */
+  async put(type, records) {
+    return this.append(type, collection => records
+      .map(record => ({
+        id: String(record.id),
+        properties: record.properties || {},
+        createdAt: record.createdAt || null,
+        updatedAt: record.updatedAt || null,
+        archived: record.archived || false
+      }))
+      .filter(record => !sameRecord(collection.records.get(record.id), record)));
+  }
+
+  /**
+   * Change some properties of a stored record, unless the record is newer than the change
+   * @returns {Promise<boolean>} Whether the record was changed
+   */
+  async patch(type, id, properties, changedAt) {
+    const changed = await this.append(type, collection => {
+      const record = collection.records.get(String(id));
+      if (!record || (record.updatedAt && changedAt && record.updatedAt > changedAt)) return [];
+
+      const patched = {
+        ...record,
+        properties: { ...record.properties, ...properties },
+        updatedAt: changedAt || record.updatedAt
+      };
+      return sameRecord(record, patched) ? [] : [patched];
+    });
+    return changed > 0;
+  }
+
+  async remove(type, ids) {
+    return this.append(type, collection => ids
+      .map(String)
+      .filter(id => collection.records.has(id))
+      .map(id => ({ id, deleted: true })));
+  }
+
+  async get(type, id) {
+    const collection = await this.refresh(type);
+    return collection.records.get(String(id)) || null;
+  }
+
+  // IDs of records whose indexed (or, failing that, scanned) property equals `value`
+  async findBy(type, property, value) {
+    const collection = await this.refresh(type);
+    const index = collection.indexes.get(property);
+    if (index) {
+      return [...(index.get(indexKey(value)) || [])];
+    }
+    return [...collection.records.values()]
+      .filter(record => indexKey(record.properties[property]) === indexKey(value))
+      .map(record => record.id);
+  }
+
+  // Every stored record of a type
+  async all(type) {
+    const collection = await this.refresh(type);
+    return [...collection.records.values()];
+  }
+
+  async count(type) {
+    return (await this.refresh(type)).records.size;
+  }
+
+  /**
+   * Query like HubSpot's search API
+   * @param {string} type - Object type
+   * @param {Object} request - { filterGroups, sorts, query, properties, limit, after }
+   * @returns {Promise<Object>} { total, results, paging }
+   */
+  async search(type, request = {}) {
+    const collection = await this.refresh(type);
+    const { filterGroups = [], sorts = [], query, properties, after } = request;
+    const limit = parseInt(request.limit) || 10;
+
+    let candidates = this.indexedCandidates(collection, filterGroups) || [...collection.records.values()];
+    if (filterGroups.length > 0) {
+      candidates = candidates.filter(record => filterGroups.some(group => (group.filters || []).every(filter => matchesFilter(record, filter))));
+    }
+    if (query) {
+      const needle = String(query).toLowerCase();
+      candidates = candidates.filter(record => record.id === query ||
+        Object.values(record.properties).some(value => value !== null && String(value).toLowerCase().includes(needle)));
+    }
+
+    // Sorts are { propertyName, direction } or, as HubSpot also takes them, "name" / "-name"
+    const order = sorts.map(sort => typeof sort === 'string'
+      ? { propertyName: sort.replace(/^-/, ''), direction: sort.startsWith('-') ? 'DESCENDING' : 'ASCENDING' }
+      : sort);
+    candidates.sort((a, b) => {
+      for (const { propertyName, direction } of order) {
+        const compared = compareValues(propertyOf(a, propertyName), propertyOf(b, propertyName));
+        if (compared !== 0) return direction === 'DESCENDING' ? -compared : compared;
+      }
+      return compareValues(a.id, b.id);
+    });
+
+    const offset = Math.max(parseInt(after) || 0, 0);
+    const page = candidates.slice(offset, offset + limit);
+    const next = offset + page.length;
+
+    return {
+      total: candidates.length,
+      results: page.map(record => project(record, properties)),
+      paging: next < candidates.length ? { next: { after: String(next) } } : undefined
+    };
+  }
+
+  // Records that can match the filter groups according to the indexes, or null to scan
+  indexedCandidates(collection, filterGroups) {
+    if (filterGroups.length === 0) return null;
+
+    const ids = new Set();
+    for (const group of filterGroups) {
+      const filter = (group.filters || []).find(filter => collection.indexes.has(filter.propertyName) &&
+        (filter.operator === 'EQ' || filter.operator === 'IN'));
+      // One group the indexes can't narrow down means a full scan
+      if (!filter) return null;
+
+      const index = collection.indexes.get(filter.propertyName);
+      const values = filter.operator === 'IN' ? filter.values || [] : [filter.value];
+      values.forEach(value => (index.get(indexKey(value)) || []).forEach(id => ids.add(id)));
+    }
+    return [...ids].map(id => collection.records.get(id));
+  }
+
+  // Sync state: { leader, objects: { [type]: {...} } }
+  async getState() {
+    try {
+      return JSON.parse(await fs.readFile(this.stateFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('🍌 Could not read CRM mirror state', { error: error.message });
+      }
+      return { leader: null, objects: {} };
+    }
+  }
+
+  /**
+   * Change the sync state under the lock
+   * @param {Function} change - Mutates the state; return false to leave it unsaved
+   */
+  async updateState(change) {
+    await this.init();
+    return withFileLock(this.lockFile, async () => {
+      const state = await this.getState();
+      if (change(state) !== false) {
+        await writeAtomic(this.stateFile, JSON.stringify(state));
+      }
+      return state;
+    });
+  }
+
+  // Append the entries `build` returns from the up-to-date collection, under the lock
+  async append(type, build) {
+    if (!CrmMirrorStore.isValidType(type)) {
+      throw new Error(`Invalid object type ${type}`);
+    }
+    await this.init();
+
+    const collection = this.collection(type);
+    return withFileLock(this.lockFile, () => this.exclusive(collection, async () => {
+      await this.readLog(collection, true);
+      const entries = build(collection);
+      if (entries.length === 0) return 0;
+
+      const text = entries.map(entry => JSON.stringify(entry) + '\n').join('');
+      await fs.appendFile(collection.file, text);
+      entries.forEach(entry => this.apply(collection, entry));
+      collection.offset += Buffer.byteLength(text);
+      collection.lines += entries.length;
+
+      if (collection.lines > this.compactMinLines && collection.lines > collection.records.size * this.compactRatio) {
+        await this.compact(collection);
+      }
+      return entries.length;
+    }));
+  }
+
+  // Rewrite a log as one line per live record; caller holds the lock.
+  // The next read of every process, this one included, replays the new log.
+  async compact(collection) {
+    const records = [...collection.records.values()];
+    await writeAtomic(collection.file, records.map(record => JSON.stringify(record) + '\n').join(''));
+
+    collection.lines = records.length;
+    logger.info(`🍌 CRM mirror ${collection.type} log compacted`, { records: records.length });
+  }
+
+  /**
+   * Catch up with what other processes wrote to the log
+   * @param {string} type - Object type
+   * @param {boolean} locked - The caller holds the lock, so the log ends in a whole line
+   */
+  async refresh(type, locked = false) {
+    const collection = this.collection(type);
+    return this.exclusive(collection, () => this.readLog(collection, locked));
+  }
+
+  // Run reads and writes of one collection's log one at a time
+  exclusive(collection, fn) {
+    const run = (collection.pending || Promise.resolve()).catch(() => {}).then(fn);
+    collection.pending = run;
+    return run;
+  }
+
+  async readLog(collection, locked) {
+    let current;
+    try {
+      current = await fs.stat(collection.file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      if (collection.handle) await this.reload(collection, null);
+      return collection;
+    }
+
+    // Replaced by a compaction, here or in another process: replay the new log.
+    // The open handle keeps the old inode from being reused for the new file.
+    if (!collection.handle || current.ino !== collection.ino) {
+      await this.reload(collection, await fs.open(collection.file, 'r'));
+    }
+
+    const { handle } = collection;
+    const stat = await handle.stat();
+    if (stat.size < collection.offset) {
+      await this.reload(collection, handle);
+    }
+    if (stat.size === collection.offset) return collection;
+
+    const buffer = Buffer.alloc(stat.size - collection.offset);
+    await handle.read(buffer, 0, buffer.length, collection.offset);
+
+    // A line still being appended is read next time
+    const end = locked ? buffer.length : buffer.lastIndexOf(0x0a) + 1;
+    const lines = buffer.subarray(0, end).toString('utf8').split('\n').filter(Boolean);
+    for (const line of lines) {
+      try {
+        this.apply(collection, JSON.parse(line));
+      } catch (error) {
+        logger.warn(`🍌 Skipping unreadable CRM mirror ${collection.type} entry`, { error: error.message });
+      }
+    }
+    collection.offset += end;
+    collection.lines += lines.length;
+    return collection;
+  }
+
+  // Start the collection over from the log behind `handle`
+  async reload(collection, handle) {
+    if (collection.handle && collection.handle !== handle) {
+      await collection.handle.close().catch(() => {});
+    }
+    this.reset(collection);
+    collection.handle = handle;
+    collection.ino = handle ? (await handle.stat()).ino : null;
+  }
+
+  // Release the open logs
+  async close() {
+    await Promise.all([...this.collections.values()].map(async collection => {
+      await collection.pending?.catch(() => {});
+      await collection.handle?.close().catch(() => {});
+      collection.handle = null;
+    }));
+    this.collections.clear();
+  }
+
+  collection(type) {
+    if (!CrmMirrorStore.isValidType(type)) {
+      throw new Error(`Invalid object type ${type}`);
+    }
+    if (!this.collections.has(type)) {
+      const collection = { type, file: path.join(this.dir, `${type}.jsonl`), handle: null, ino: null };
+      this.reset(collection);
+      this.collections.set(type, collection);
+    }
+    return this.collections.get(type);
+  }
+
+  reset(collection) {
+    collection.records = new Map();
+    collection.indexes = new Map((this.indexes[collection.type] || []).map(property => [property, new Map()]));
+    collection.offset = 0;
+    collection.lines = 0;
+  }
+
+  apply(collection, entry) {
+    const previous = collection.records.get(entry.id);
+    if (previous) {
+      collection.indexes.forEach((index, property) => {
+        const ids = index.get(indexKey(previous.properties[property]));
+        ids?.delete(entry.id);
+        if (ids?.size === 0) index.delete(indexKey(previous.properties[property]));
+      });
+    }
+
+    if (entry.deleted) {
+      collection.records.delete(entry.id);
+      return;
+    }
+
+    collection.records.set(entry.id, entry);
+    collection.indexes.forEach((index, property) => {
+      const value = entry.properties[property];
+      if (value === null || value === undefined || value === '') return;
+      if (!index.has(indexKey(value))) index.set(indexKey(value), new Set());
+      index.get(indexKey(value)).add(entry.id);
+    });
+  }
+
+  getStats() {
+    return Object.fromEntries([...this.collections.values()].map(collection => [collection.type, {
+      records: collection.records.size,
+      logLines: collection.lines,
+      indexes: [...collection.indexes.keys()]
+    }]));
+  }
+}
+
+function indexKey(value) {
+  return value === null || value === undefined ? '' : String(value).trim().toLowerCase();
+}
+
+function sameRecord(a, b) {
+  return Boolean(a) && a.updatedAt === b.updatedAt && a.archived === b.archived &&
+    JSON.stringify(a.properties) === JSON.stringify(b.properties);
+}
+
+// hs_object_id, createdate and friends are answered from the record itself as well
+function propertyOf(record, name) {
+  if (name === 'hs_object_id' || name === 'id') return record.id;
+  return record.properties[name];
+}
+
+function project(record, properties) {
+  if (!properties || properties.length === 0) return record;
+  return {
+    ...record,
+    properties: Object.fromEntries(properties.map(name => [name, record.properties[name] ?? null]))
+  };
+}
+
+// Numbers and dates compare as numbers (filters send dates as epoch milliseconds), the rest as text
+function comparable(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const text = String(value).trim();
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  if (/^\d{4}-\d{2}-\d{2}/.test(text) && !Number.isNaN(Date.parse(text))) return Date.parse(text);
+  return text.toLowerCase();
+}
+
+function compareValues(a, b) {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) return 0;
+  if (left === null) return 1;
+  if (right === null) return -1;
+  if (typeof left === 'number' && typeof right === 'number') return left - right;
+  return String(left).localeCompare(String(right));
+}
+
+function containsToken(value, token) {
+  if (value === null || value === undefined) return false;
+  const pattern = new RegExp(`^${String(token).toLowerCase().split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+  const text = String(value).toLowerCase();
+  return pattern.test(text) || text.split(/[^\p{L}\p{N}@._-]+/u).some(word => pattern.test(word));
+}
+
+// HubSpot search filter semantics
+function matchesFilter(record, { propertyName, operator = 'EQ', value, highValue, values = [] }) {
+  const actual = propertyOf(record, propertyName);
+  const present = actual !== null && actual !== undefined && actual !== '';
+
+  switch (operator) {
+    case 'EQ': return present && compareValues(actual, value) === 0;
+    case 'NEQ': return !present || compareValues(actual, value) !== 0;
+    case 'LT': return present && compareValues(actual, value) < 0;
+    case 'LTE': return present && compareValues(actual, value) <= 0;
+    case 'GT': return present && compareValues(actual, value) > 0;
+    case 'GTE': return present && compareValues(actual, value) >= 0;
+    case 'BETWEEN': return present && compareValues(actual, value) >= 0 && compareValues(actual, highValue) <= 0;
+    case 'IN': return present && values.some(candidate => compareValues(actual, candidate) === 0);
+    case 'NOT_IN': return !present || values.every(candidate => compareValues(actual, candidate) !== 0);
+    case 'HAS_PROPERTY': return present;
+    case 'NOT_HAS_PROPERTY': return !present;
+    case 'CONTAINS_TOKEN': return containsToken(actual, value);
+    case 'NOT_CONTAINS_TOKEN': return !containsToken(actual, value);
+    default: {
+      const error = new Error(`Unsupported filter operator ${operator}`);
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+}
+
+async function writeAtomic(file, text) {
+  const temp = `${file}.${process.pid}.${++tempFiles}.tmp`;
+  await fs.writeFile(temp, text);
+  await fs.rename(temp, file);
+}
+
+module.exports = { CrmMirrorStore, DEFAULT_INDEXES, matchesFilter };
@@ -0,0 +1,222 @@
+const Joi = require('joi');
+const yaml = require('js-yaml');
+
+const SEVERITIES = ['error', 'warning', 'info'];
+// Checks that can compute the corrected value, and so may carry `fix: true`
+const FIXABLE_CHECKS = ['trim', 'lowercase', 'e164', 'enum'];
+const CHECK_NAMES = [...FIXABLE_CHECKS, 'required', 'pattern', 'unique'];
+const UNIQUE_NORMALIZERS = ['exact', 'lowercase', 'domain'];
+
+const ruleSchema = Joi.object({
+  id: Joi.string().pattern(/^[A-Za-z0-9_.-]+$/).max(100).required(),
+  description: Joi.string().max(500).optional(),
+  objectType: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).max(100).required(),
+  property: Joi.string().pattern(/^[A-Za-z0-9_]+$/).max(100).required(),
+  check: Joi.string().valid(...CHECK_NAMES).required(),
+  severity: Joi.string().valid(...SEVERITIES).default('warning'),
+  enabled: Joi.boolean().default(true),
+  fix: Joi.boolean().default(false),
+  values: Joi.when('check', {
+    is: 'enum',
+    then: Joi.array().items(Joi.string()).min(1).required(),
+    otherwise: Joi.forbidden()
+  }),
+  aliases: Joi.when('check', {
+    is: 'enum',
+    then: Joi.object().pattern(Joi.string(), Joi.string()).default({}),
+    otherwise: Joi.forbidden()
+  }),
+  pattern: Joi.when('check', {
+    is: 'pattern',
+    then: Joi.string().max(500).required(),
+    otherwise: Joi.forbidden()
+  }),
+  defaultCountryCode: Joi.when('check', {
+    is: 'e164',
+    then: Joi.string().pattern(/^[1-9]\d{0,2}$/).optional(),
+    otherwise: Joi.forbidden()
+  }),
+  normalize: Joi.when('check', {
+    is: 'unique',
+    then: Joi.string().valid(...UNIQUE_NORMALIZERS).default('lowercase'),
+    otherwise: Joi.forbidden()
+  })
+}).custom((rule, helpers) => {
+  if (rule.fix && !FIXABLE_CHECKS.includes(rule.check)) {
+    return helpers.message(`rule ${rule.id}: a ${rule.check} check has no fix; fixable checks are ${FIXABLE_CHECKS.join(', ')}`);
+  }
+  if (rule.check === 'pattern') {
+    try {
+      new RegExp(rule.pattern);
+    } catch (error) {
+      return helpers.message(`rule ${rule.id}: invalid pattern: ${error.message}`);
+    }
+  }
+  const unknownAlias = Object.values(rule.aliases || {}).find(value => !rule.values.includes(value));
+  if (unknownAlias !== undefined) {
+    return helpers.message(`rule ${rule.id}: alias target ${unknownAlias} is not one of its values`);
+  }
+  return rule;
+});
+
+const ruleSetSchema = Joi.object({
+  rules: Joi.array().items(ruleSchema).unique('id').required().messages({
+    'array.unique': 'rule ids must be unique: {{#dupeValue.id}} is used twice'
+  })
+});
+
+/**
+ * 🍌 BANANA-POWERED DATA-QUALITY RULES 🍌
+ *
+ * Rules are plain data, written in YAML or JSON: either a list of rules or
+ * { rules: [...] }. Each rule checks one property of one object type:
+ *
+ *   - id: contact-email-lowercase
+ *     objectType: contacts
+ *     property: email
+ *     check: lowercase
+ *     fix: true
+ *
+ * Checks: trim, lowercase, e164 (phone numbers, with defaultCountryCode
+ * for national ones), enum (values, plus case-insensitive matches and
+ * aliases), required, pattern and unique (across all records of the type).
+ *
+ * @param {string|Object|Array} source - YAML/JSON text, or already parsed rules
+ * @returns {Array} Validated rules with defaults applied
+ * @throws {Error} With statusCode 400 when the rules don't parse or validate
+ */
+function parseRules(source) {
+  let parsed = source;
+  if (typeof source === 'string') {
+    try {
+      // JSON is YAML too
+      parsed = yaml.safeLoad(source);
+    } catch (error) {
+      throw invalid(`Rules are not valid YAML or JSON: ${error.message}`);
+    }
+  }
+
+  const rules = Array.isArray(parsed) ? parsed : parsed?.rules;
+  if (!Array.isArray(rules)) {
+    throw invalid('Rules must be a list, or an object with a rules list');
+  }
+
+  const { error, value } = ruleSetSchema.validate({ rules }, { abortEarly: false });
+  if (error) {
+    throw invalid(error.details.map(detail => detail.message).join('; '), error.details);
+  }
+  return value.rules;
+}
+
+// Rules as the text of a rules file
+function serializeRules(rules, format) {
+  return format === 'json'
+    ? JSON.stringify({ rules }, null, 2) + '\n'
+    : yaml.safeDump({ rules }, { lineWidth: 120 });
+}
+
+/**
+ * Check one value against a rule (anything but unique)
+ * @returns {Object|null} null when the value passes, else { message, fix } where
+ *   fix is the corrected value, or undefined when it can't be corrected
+ */
+function checkValue(rule, value) {
+  if (isEmpty(value)) {
+    return rule.check === 'required' ? { message: `${rule.property} is empty` } : null;
+  }
+  const text = String(value);
+
+  switch (rule.check) {
+    case 'required':
+      return null;
+
+    case 'trim': {
+      const trimmed = text.trim();
+      return trimmed === text ? null : { message: `${rule.property} has leading or trailing whitespace`, fix: trimmed };
+    }
+
+    case 'lowercase': {
+      const lower = text.toLowerCase();
+      return lower === text ? null : { message: `${rule.property} is not lowercase`, fix: lower };
+    }
+
+    case 'e164': {
+      const normalized = toE164(text, rule.defaultCountryCode);
+      if (normalized === text) return null;
+      return normalized
+        ? { message: `${rule.property} is not in E.164 format`, fix: normalized }
+        : { message: `${rule.property} ${text} is not a phone number that can be put in E.164 format` };
+    }
+
+    case 'enum': {
+      if (rule.values.includes(text)) return null;
+      return { message: `${rule.property} ${text} is not one of the allowed values`, fix: canonicalValue(rule, text) };
+    }
+
+    case 'pattern':
+      return new RegExp(rule.pattern).test(text) ? null : { message: `${rule.property} ${text} does not match ${rule.pattern}` };
+
+    default:
+      return null;
+  }
+}
+
+// The allowed value a near miss stands for: same letters in another case, or an alias
+function canonicalValue(rule, text) {
+  const key = text.trim().toLowerCase();
+  const match = rule.values.find(value => value.toLowerCase() === key);
+  if (match) return match;
+  const alias = Object.keys(rule.aliases || {}).find(name => name.toLowerCase() === key);
+  return alias ? rule.aliases[alias] : undefined;
+}
+
+/**
+ * A phone number in E.164 format, or null if it can't be made into one.
+ * National numbers get the default country code, dropping a leading trunk 0;
+ * longer than 10 digits and starting with the country code, they already have it.
+ */
+function toE164(text, defaultCountryCode) {
+  // Extensions aren't part of E.164
+  const number = text.replace(/\s*(?:ext\.?|x|#)\s*\d+\s*$/i, '').trim();
+  let digits = number.replace(/\D/g, '');
+
+  if (!number.startsWith('+')) {
+    if (digits.startsWith('00')) {
+      digits = digits.slice(2);
+    } else if (!defaultCountryCode) {
+      return null;
+    } else if (!(digits.length > 10 && digits.startsWith(defaultCountryCode))) {
+      digits = defaultCountryCode + digits.replace(/^0/, '');
+    }
+  }
+
+  return /^[1-9]\d{6,14}$/.test(digits) ? `+${digits}` : null;
+}
+
+// What two values of a unique rule are compared by; empty values are never duplicates
+function uniqueKey(rule, value) {
+  if (isEmpty(value)) return null;
+  const text = String(value).trim();
+
+  switch (rule.normalize) {
+    case 'exact':
+      return text;
+    case 'domain':
+      return text.toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').replace(/[/?#].*$/, '').replace(/\.$/, '') || null;
+    default:
+      return text.toLowerCase();
+  }
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+function invalid(message, details) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.details = details;
+  return error;
+}
+
+module.exports = { parseRules, serializeRules, checkValue, toE164, uniqueKey, CHECK_NAMES, FIXABLE_CHECKS, SEVERITIES };
@@ -0,0 +1,46 @@
+const fs = require('fs').promises;
+const logger = require('./logger');
+
+/**
+ * 🍌 BANANA-POWERED FILE LOCK 🍌
+ *
+ * Cross-process mutual exclusion for stores under data/ that every cluster
+ * worker writes to. The lock is a file created with O_EXCL; a lock older
+ * than `staleAge` was left by a crashed process and is taken over.
+ *
+ * @param {string} lockFile - Path of the lock file
+ * @param {Function} fn - Runs while the lock is held
+ * @param {Object} options - { timeout = 5000, staleAge = 10000 }
+ */
+async function withFileLock(lockFile, fn, { timeout = 5000, staleAge = 10000 } = {}) {
+  const started = Date.now();
+
+  for (;;) {
+    try {
+      const handle = await fs.open(lockFile, 'wx');
+      await handle.close();
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+
+      const stat = await fs.stat(lockFile).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > staleAge) {
+        logger.warn('🍌 Removing stale lock', { lockFile, age: Date.now() - stat.mtimeMs });
+        await fs.unlink(lockFile).catch(() => {});
+        continue;
+      }
+      if (Date.now() - started > timeout) {
+        throw new Error(`Timed out waiting for ${lockFile}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 10 + Math.random() * 20));
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await fs.unlink(lockFile).catch(() => {});
+  }
+}
+
+module.exports = { withFileLock };
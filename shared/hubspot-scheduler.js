@@ -0,0 +1,327 @@
+const axios = require('axios');
+const logger = require('./logger');
+
+// Lower runs first
+const PRIORITIES = ['interactive', 'background'];
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+const RETRYABLE_NETWORK_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * 🍌 BANANA-POWERED HUBSPOT OUTBOUND SCHEDULER 🍌
+ *
+ * Every HubSpot request waits for a token from a bucket sized to the
+ * portal's rate limit, which is learned from HubSpot's
+ * X-HubSpot-RateLimit-* response headers. Search endpoints also draw from
+ * a per-second bucket of their own. Waiting requests are queued by
+ * priority, interactive before background, and 429s and 5xx responses are
+ * retried with jittered exponential backoff.
+ */
+class HubSpotScheduler {
+  constructor(options = {}) {
+    const env = process.env;
+
+    this.maxRetries = options.maxRetries ?? envInt(env.HUBSPOT_MAX_RETRIES) ?? 3;
+    this.baseDelay = options.baseDelay || 500;
+    this.maxDelay = options.maxDelay || 30000;
+    this.maxQueue = options.maxQueue || envInt(env.HUBSPOT_MAX_QUEUE) || 1000;
+
+    // Private app defaults until the first response says otherwise
+    this.buckets = {
+      default: createBucket(
+        options.limit || envInt(env.HUBSPOT_RATE_LIMIT) || 100,
+        options.interval || envInt(env.HUBSPOT_RATE_INTERVAL) || 10000
+      ),
+      // Search endpoints don't report their limit: 5 requests per second
+      search: createBucket(options.searchLimit || 5, 1000)
+    };
+    this.daily = { limit: null, remaining: null };
+
+    this.queues = { interactive: [], background: [] };
+    this.timer = null;
+    this.inFlight = 0;
+
+    this.stats = {
+      requests: 0,
+      throttled: 0,
+      retries: 0,
+      failures: 0,
+      rejected: 0,
+      totalWaitTime: 0
+    };
+  }
+
+  /**
+   * Route every request of an axios instance through the scheduler.
+   * Requests accept `priority` ('interactive' or 'background') and
+   * `retryable` (retry 5xx responses of non-idempotent requests) in their config.
+   */
+  attach(client) {
+    const adapter = axios.getAdapter(client.defaults.adapter);
+
+    client.defaults.adapter = (config) => {
+      const search = /\/search\/?$/.test((config.url || '').split('?')[0]);
+      return this.execute(() => adapter(config), {
+        priority: config.priority,
+        search,
+        // Searches are POSTs that only read
+        retryable: config.retryable ?? (search || IDEMPOTENT_METHODS.includes((config.method || 'get').toLowerCase())),
+        // A streamed request body can only be sent once
+        replayable: typeof config.data?.pipe !== 'function'
+      });
+    };
+
+    return client;
+  }
+
+  // Run one HubSpot request, waiting for its turn and retrying throttled or failed attempts
+  async execute(run, { priority = 'interactive', search = false, retryable = true, replayable = true } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire(PRIORITIES.includes(priority) ? priority : 'interactive', search);
+
+      let error;
+      this.inFlight++;
+      try {
+        const response = await run();
+        this.learn(response.headers, search);
+        return response;
+      } catch (requestError) {
+        error = requestError;
+      } finally {
+        this.inFlight--;
+      }
+
+      if (error.response) {
+        this.learn(error.response.headers, search);
+      }
+
+      const delay = this.handleFailure(error, attempt, { search, retryable });
+      if (delay === null || !replayable) {
+        this.stats.failures++;
+        throw error;
+      }
+
+      this.stats.retries++;
+      logger.warn('🍌 Retrying HubSpot request', {
+        status: error.response?.status,
+        error: error.message,
+        attempt: attempt + 1,
+        delay,
+        priority
+      });
+      await sleep(delay);
+    }
+  }
+
+  // Wait until the request's buckets have a token and nothing more urgent is waiting
+  acquire(priority, search) {
+    const buckets = search ? [this.buckets.default, this.buckets.search] : [this.buckets.default];
+
+    if (this.queues.interactive.length + this.queues.background.length >= this.maxQueue) {
+      this.stats.rejected++;
+      const error = new Error('HubSpot request queue is full');
+      error.statusCode = 503;
+      return Promise.reject(error);
+    }
+
+    return new Promise(resolve => {
+      this.queues[priority].push({ buckets, resolve, queuedAt: Date.now() });
+      this.drain();
+    });
+  }
+
+  // Start every queued request that has tokens, in priority order
+  drain() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const now = Date.now();
+    Object.values(this.buckets).forEach(bucket => refill(bucket, now));
+
+    // Buckets an earlier or more urgent request is waiting on; later requests can't jump it
+    const reserved = new Set();
+    let nextWait = Infinity;
+
+    for (const priority of PRIORITIES) {
+      const queue = this.queues[priority];
+
+      for (let i = 0; i < queue.length; i++) {
+        const entry = queue[i];
+        if (entry.buckets.some(bucket => reserved.has(bucket))) continue;
+
+        const empty = entry.buckets.filter(bucket => waitTime(bucket, now) > 0);
+        if (empty.length > 0) {
+          empty.forEach(bucket => reserved.add(bucket));
+          nextWait = Math.min(nextWait, ...empty.map(bucket => waitTime(bucket, now)));
+          continue;
+        }
+
+        entry.buckets.forEach(bucket => bucket.tokens--);
+        queue.splice(i--, 1);
+        this.stats.requests++;
+        this.stats.totalWaitTime += now - entry.queuedAt;
+        entry.resolve();
+      }
+    }
+
+    if (nextWait !== Infinity) {
+      this.timer = setTimeout(() => this.drain(), Math.ceil(nextWait));
+    }
+  }
+
+  /**
+   * Update the buckets from HubSpot's rate limit headers
+   * @param {Object} headers - Response headers (lower-case names)
+   * @param {boolean} search - Whether the response came from a search endpoint
+   */
+  learn(headers = {}, search = false) {
+    const header = name => envInt(headers[`x-hubspot-ratelimit-${name}`]);
+    const limit = header('max');
+    const interval = header('interval-milliseconds');
+    const remaining = header('remaining');
+    const bucket = this.buckets.default;
+
+    if (limit && interval) {
+      if (limit !== bucket.limit || interval !== bucket.interval) {
+        logger.info('🍌 Learned HubSpot rate limit', { limit, interval, search });
+        bucket.tokens = Math.min(bucket.tokens, limit);
+        bucket.limit = limit;
+        bucket.interval = interval;
+      }
+      bucket.learned = true;
+    }
+    // Other processes and in-flight requests share the portal's limit; trust HubSpot's count
+    if (remaining !== null) {
+      bucket.tokens = Math.min(bucket.tokens, remaining);
+    }
+
+    const dailyLimit = header('daily');
+    const dailyRemaining = header('daily-remaining');
+    if (dailyLimit !== null) this.daily.limit = dailyLimit;
+    if (dailyRemaining !== null) this.daily.remaining = dailyRemaining;
+  }
+
+  // Backoff before retrying a failed attempt, or null when it shouldn't be retried
+  handleFailure(error, attempt, { search, retryable }) {
+    const status = error.response?.status;
+    if (status === 429) {
+      this.stats.throttled++;
+    }
+    if (attempt >= this.maxRetries || axios.isCancel(error)) return null;
+
+    if (status === 429) {
+      // The daily limit resets at midnight; retrying can't help
+      if (error.response.data?.policyName === 'DAILY') return null;
+
+      const delay = retryAfter(error.response.headers) ?? this.backoff(attempt);
+      const bucket = search && error.response.data?.policyName !== 'TEN_SECONDLY_ROLLING' ?
+        this.buckets.search :
+        this.buckets.default;
+      bucket.tokens = 0;
+      bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + delay);
+      // The retry waits for the bucket to reopen like everything else queued on it
+      return 0;
+    }
+
+    if (!retryable) return null;
+    if (status >= 500 || (!error.response && RETRYABLE_NETWORK_ERRORS.includes(error.code))) {
+      return retryAfter(error.response?.headers) ?? this.backoff(attempt);
+    }
+    return null;
+  }
+
+  // Exponential backoff with jitter, so queued retries don't all fire at once
+  backoff(attempt) {
+    const delay = Math.min(this.maxDelay, this.baseDelay * 2 ** attempt);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  getStats() {
+    const now = Date.now();
+    Object.values(this.buckets).forEach(bucket => refill(bucket, now));
+    const describe = bucket => ({
+      limit: bucket.limit,
+      interval: bucket.interval,
+      tokens: Math.floor(bucket.tokens),
+      learned: bucket.learned,
+      pausedUntil: bucket.pausedUntil > now ? new Date(bucket.pausedUntil).toISOString() : null
+    });
+
+    return {
+      buckets: {
+        default: describe(this.buckets.default),
+        search: describe(this.buckets.search)
+      },
+      daily: { ...this.daily },
+      queued: {
+        interactive: this.queues.interactive.length,
+        background: this.queues.background.length
+      },
+      inFlight: this.inFlight,
+      maxRetries: this.maxRetries,
+      requests: this.stats.requests,
+      throttled: this.stats.throttled,
+      retries: this.stats.retries,
+      failures: this.stats.failures,
+      rejected: this.stats.rejected,
+      averageWait: this.stats.requests > 0 ? Math.round(this.stats.totalWaitTime / this.stats.requests) : 0
+    };
+  }
+}
+
+function createBucket(limit, interval) {
+  return {
+    limit,
+    interval,
+    tokens: limit,
+    updatedAt: Date.now(),
+    pausedUntil: 0,
+    learned: false
+  };
+}
+
+function refill(bucket, now) {
+  // A paused bucket restarts empty instead of bursting its refill at HubSpot
+  if (bucket.pausedUntil > now) {
+    bucket.updatedAt = now;
+    return;
+  }
+  bucket.tokens = Math.min(bucket.limit, bucket.tokens + (now - bucket.updatedAt) * bucket.limit / bucket.interval);
+  bucket.updatedAt = now;
+}
+
+// Milliseconds until the bucket can hand out a token
+function waitTime(bucket, now) {
+  if (bucket.pausedUntil > now) return bucket.pausedUntil - now;
+  if (bucket.tokens >= 1) return 0;
+  return (1 - bucket.tokens) * bucket.interval / bucket.limit;
+}
+
+// Retry-After in milliseconds: delay-seconds or an HTTP date
+function retryAfter(headers = {}) {
+  const value = headers['retry-after'];
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Callers mark bulk work with `X-HubSpot-Priority: background` to let interactive requests go first
+function requestPriority(req) {
+  return req.get('X-HubSpot-Priority') === 'background' ? 'background' : 'interactive';
+}
+
+function envInt(value) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { HubSpotScheduler, PRIORITIES, requestPriority };
@@ -0,0 +1,137 @@
+const path = require('path');
+const fs = require('fs').promises;
+const logger = require('./logger');
+const { withFileLock } = require('./file-lock');
+
+const JOB_ID = /^job_[a-f0-9]{16}$/;
+const RECORD_FILE = /^(job_[a-f0-9]{16})\.json$/;
+
+let tempFiles = 0;
+
+/**
+ * 🍌 BANANA-POWERED JOB STORE 🍌
+ *
+ * Background jobs as JSON files under data/jobs, shared by every process
+ * of the cluster:
+ * - <id>.json holds the small job record that the queue scans
+ * - <id>.payload.json and <id>.result.json hold the potentially large
+ *   input and output, read only when needed; <id>.output.* are files
+ *   jobs produce for download
+ * - Writes go to a temp file and are renamed into place, so a crash never
+ *   leaves half a record
+ * - Read-modify-write cycles take a lock file, so two processes never
+ *   claim or update the same job at once
+ */
+class JobStore {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(__dirname, '../data/jobs');
+    this.lockFile = path.join(this.dir, '.lock');
+    this.lockTimeout = options.lockTimeout || 5000;
+    // A lock older than this was left by a crashed process
+    this.staleLockAge = options.staleLockAge || 10000;
+  }
+
+  async init() {
+    await fs.mkdir(this.dir, { recursive: true });
+  }
+
+  static isValidId(id) {
+    return typeof id === 'string' && JOB_ID.test(id);
+  }
+
+  async get(id) {
+    if (!JobStore.isValidId(id)) return null;
+    return this.readJSON(this.file(id));
+  }
+
+  // Every job record; payloads and results stay on disk
+  async list() {
+    const names = await fs.readdir(this.dir).catch(error => {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    });
+
+    const jobs = await Promise.all(names
+      .filter(name => RECORD_FILE.test(name))
+      .map(name => this.readJSON(path.join(this.dir, name))));
+    return jobs.filter(Boolean);
+  }
+
+  async save(job) {
+    await this.writeJSON(this.file(job.id), job);
+  }
+
+  /**
+   * Change a job under the lock
+   * @param {string} id - Job ID
+   * @param {Function} change - Mutates the job, optionally async; return false to leave it unsaved
+   * @returns {Promise<Object|null>} The job as stored, or null if it doesn't exist
+   */
+  async update(id, change) {
+    return this.withLock(async () => {
+      const job = await this.get(id);
+      if (!job) return null;
+      if (await change(job) !== false) {
+        await this.save(job);
+      }
+      return job;
+    });
+  }
+
+  // Delete the job with its payload, result and output files
+  async remove(id) {
+    const names = await fs.readdir(this.dir).catch(() => []);
+    await Promise.all(names
+      .filter(name => name.startsWith(`${id}.`))
+      .map(name => fs.unlink(path.join(this.dir, name)).catch(() => {})));
+  }
+
+  // Where a job writes a file for callers to download, e.g. an export
+  outputFile(id, extension) {
+    return path.join(this.dir, `${id}.output.${extension}`);
+  }
+
+  async savePayload(id, payload) {
+    await this.writeJSON(this.file(id, '.payload'), payload);
+  }
+
+  async getPayload(id) {
+    return this.readJSON(this.file(id, '.payload'));
+  }
+
+  async saveResult(id, result) {
+    await this.writeJSON(this.file(id, '.result'), result);
+  }
+
+  async getResult(id) {
+    return JobStore.isValidId(id) ? this.readJSON(this.file(id, '.result')) : null;
+  }
+
+  // Run `fn` while holding the store's lock file
+  async withLock(fn) {
+    return withFileLock(this.lockFile, fn, { timeout: this.lockTimeout, staleAge: this.staleLockAge });
+  }
+
+  file(id, suffix = '') {
+    return path.join(this.dir, `${id}${suffix}.json`);
+  }
+
+  async readJSON(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('🍌 Could not read job file', { file: path.basename(file), error: error.message });
+      }
+      return null;
+    }
+  }
+
+  async writeJSON(file, data) {
+    const temp = `${file}.${process.pid}.${++tempFiles}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(data));
+    await fs.rename(temp, file);
+  }
+}
+
+module.exports = JobStore;
@@ -1,6 +1,8 @@
 const axios = require('axios');
 const logger = require('./logger');
 const { getErrorHandler } = require('./error-handler');
+const ollamaChat = require('./ollama-chat-translator');
+const { OllamaHostPool, getOllamaHostPool, normalizeModel } = require('./ollama-host-pool');
 
 /**
  * 🦙 OLLAMA BASE SERVICE 🦙
@@ -10,7 +12,9 @@ const { getErrorHandler } = require('./error-handler');
  */
 class OllamaBaseService {
   constructor(options = {}) {
-    this.ollamaUrl = options.ollamaUrl || process.env.OLLAMA_URL || 'http://10.0.0.120:11434';
+    // Explicit hosts get a private pool; otherwise share the OLLAMA_HOSTS pool with the AI router
+    const hosts = options.ollamaHosts || (options.ollamaUrl ? [options.ollamaUrl] : null);
+    this.pool = hosts ? new OllamaHostPool({ hosts }) : getOllamaHostPool();
     this.defaultModel = options.defaultModel || 'llama3.2:latest';
     this.timeout = options.timeout || 30000;
     this.conversationHistory = [];
@@ -21,25 +25,34 @@ class OllamaBaseService {
     this.errorHandler = getErrorHandler();
   }
 
+  // Hosts this service talks to, for status output and error messages
+  get ollamaUrl() {
+    return this.pool.urls().join(', ');
+  }
+
   /**
-   * Check Ollama service health
+   * Check Ollama service health across the host pool
    */
   async checkOllamaHealth() {
     try {
-      const response = await axios.get(`${this.ollamaUrl}/api/tags`, {
-        timeout: this.timeout
-      });
+      const poolStatus = await this.pool.poll();
+      
+      if (poolStatus.healthyHosts === 0) {
+        throw new Error(poolStatus.hosts.map(host => `${host.name}: ${host.lastError}`).join('; '));
+      }
       
-      const models = response.data.models || [];
-      const hasDefaultModel = models.some(model => model.name === this.defaultModel);
+      const models = this.pool.listModels();
+      const hasDefaultModel = models.some(model => model.name === normalizeModel(this.defaultModel));
       
       return {
         healthy: true,
         modelCount: models.length,
-        models: models.map(m => ({ name: m.name, size: m.size })),
+        models: models.map(m => ({ name: m.name, hosts: m.hosts, loadedOn: m.loadedOn })),
         defaultModelAvailable: hasDefaultModel,
         activeModel: hasDefaultModel ? this.defaultModel : models[0]?.name || 'none',
-        url: this.ollamaUrl
+        url: this.ollamaUrl,
+        healthyHosts: poolStatus.healthyHosts,
+        totalHosts: poolStatus.totalHosts
       };
       
     } catch (error) {
@@ -70,18 +83,60 @@ class OllamaBaseService {
       repeat_penalty: 1.1
     };
 
-    const response = await axios.post(`${this.ollamaUrl}/api/generate`, {
+    const response = await this.pool.run(this.defaultModel, url => axios.post(`${url}/api/generate`, {
       model: this.defaultModel,
       prompt: prompt,
       stream: false,
       options: { ...defaultOptions, ...options }
     }, {
       timeout: this.timeout
-    });
+    }));
     
     return response.data.response;
   }
 
+  /**
+   * Send Anthropic-style messages to Ollama's chat endpoint
+   * Returns the reply in Anthropic message format
+   */
+  async chatWithOllama(messages, options = {}) {
+    const defaultOptions = {
+      temperature: 0.7,
+      top_p: 0.9,
+      top_k: 40,
+      repeat_penalty: 1.1
+    };
+
+    const requestData = ollamaChat.buildChatRequest(
+      options.model || this.defaultModel,
+      messages,
+      options,
+      { defaults: defaultOptions }
+    );
+
+    const response = await this.pool.run(requestData.model, url => axios.post(`${url}/api/chat`, requestData, {
+      timeout: this.timeout
+    }));
+
+    return ollamaChat.toAnthropicResponse(response.data);
+  }
+
+  /**
+   * Build chat messages from conversation history plus the new message
+   */
+  buildConversationMessages(newMessage, contextLength = 10) {
+    const recentHistory = this.conversationHistory.slice(-contextLength);
+    const messages = [];
+
+    for (const entry of recentHistory) {
+      messages.push({ role: 'user', content: entry.message });
+      messages.push({ role: 'assistant', content: entry.response });
+    }
+
+    messages.push({ role: 'user', content: newMessage });
+    return messages;
+  }
+
   /**
    * Add to conversation history with size management
    */
@@ -146,7 +201,7 @@ class OllamaBaseService {
     let updated = false;
     
     if (newConfig.ollamaUrl && newConfig.ollamaUrl !== this.ollamaUrl) {
-      this.ollamaUrl = newConfig.ollamaUrl;
+      this.pool = new OllamaHostPool({ hosts: [newConfig.ollamaUrl] });
       updated = true;
     }
     
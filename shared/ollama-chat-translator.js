@@ -0,0 +1,232 @@
+/**
+ * 🦙 OLLAMA CHAT TRANSLATOR 🦙
+ *
+ * Maps Anthropic Messages API requests onto Ollama's /api/chat endpoint
+ * and converts replies back. Shared by the AI router and the Ollama-backed
+ * assistants so system prompts, roles and images survive the trip.
+ */
+
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens'
+};
+
+/**
+ * Flatten an Anthropic `system` field (string or text blocks) to plain text
+ * @param {string|Array} system - Anthropic system prompt
+ */
+function systemToText(system) {
+  if (!system) return '';
+  if (typeof system === 'string') return system;
+  if (Array.isArray(system)) {
+    return system.map(block => block.text || '').join('\n');
+  }
+  return String(system);
+}
+
+function generateToolUseId() {
+  return `toolu_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 12)}`;
+}
+
+/**
+ * Text carried by a tool_result block's content
+ * @param {string|Array} content - tool_result content
+ */
+function toolResultText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map(block => block.text || '').join('\n');
+  }
+  return content === undefined ? '' : JSON.stringify(content);
+}
+
+/**
+ * Convert Anthropic tool definitions to Ollama's function tool format
+ * @param {Array} tools - Anthropic tools ({ name, description, input_schema })
+ */
+function toOllamaTools(tools) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description || '',
+      parameters: tool.input_schema || { type: 'object', properties: {} }
+    }
+  }));
+}
+
+/**
+ * Convert one Anthropic message to Ollama chat messages. Tool results become
+ * separate `tool` role messages, so one Anthropic message can map to several.
+ * @param {Object} message - Anthropic message with string or block content
+ * @param {Map} toolNames - tool_use id to tool name, filled in as messages are read
+ */
+function toOllamaMessage(message, toolNames = new Map()) {
+  if (typeof message.content === 'string') {
+    return [{ role: message.role, content: message.content }];
+  }
+
+  const text = [];
+  const images = [];
+  const toolCalls = [];
+  const toolResults = [];
+
+  for (const block of message.content || []) {
+    if (block.type === 'text') {
+      text.push(block.text);
+    } else if (block.type === 'image' && block.source?.type === 'base64') {
+      // Ollama takes raw base64 image data alongside the message text
+      images.push(block.source.data);
+    } else if (block.type === 'tool_use') {
+      toolNames.set(block.id, block.name);
+      toolCalls.push({ function: { name: block.name, arguments: block.input || {} } });
+    } else if (block.type === 'tool_result') {
+      toolResults.push({
+        role: 'tool',
+        content: toolResultText(block.content),
+        tool_name: toolNames.get(block.tool_use_id)
+      });
+    }
+  }
+
+  const ollamaMessages = [...toolResults];
+
+  if (text.length > 0 || images.length > 0 || toolCalls.length > 0 || toolResults.length === 0) {
+    const ollamaMessage = { role: message.role, content: text.join('\n') };
+    if (images.length > 0) {
+      ollamaMessage.images = images;
+    }
+    if (toolCalls.length > 0) {
+      ollamaMessage.tool_calls = toolCalls;
+    }
+    ollamaMessages.push(ollamaMessage);
+  }
+
+  return ollamaMessages;
+}
+
+/**
+ * Convert Anthropic `messages` and `system` to an Ollama chat message list
+ * @param {Array} messages - Anthropic messages
+ * @param {string|Array} system - Anthropic system prompt (optional)
+ */
+function toOllamaMessages(messages, system) {
+  const ollamaMessages = [];
+  const systemText = systemToText(system);
+  const toolNames = new Map();
+
+  if (systemText) {
+    ollamaMessages.push({ role: 'system', content: systemText });
+  }
+
+  for (const message of messages || []) {
+    ollamaMessages.push(...toOllamaMessage(message, toolNames));
+  }
+
+  return ollamaMessages;
+}
+
+/**
+ * Map Anthropic sampling parameters to Ollama model options
+ * @param {Object} options - Anthropic-style request options
+ * @param {Object} defaults - Service-level option defaults
+ */
+function toOllamaOptions(options = {}, defaults = {}) {
+  const ollamaOptions = { ...defaults };
+
+  if (options.temperature !== undefined) ollamaOptions.temperature = options.temperature;
+  if (options.top_p !== undefined) ollamaOptions.top_p = options.top_p;
+  if (options.top_k !== undefined) ollamaOptions.top_k = options.top_k;
+  if (options.max_tokens !== undefined) ollamaOptions.num_predict = options.max_tokens;
+  if (options.stop_sequences?.length) ollamaOptions.stop = options.stop_sequences;
+
+  return ollamaOptions;
+}
+
+/**
+ * Build an Ollama /api/chat request body from an Anthropic-style request
+ * @param {string} model - Ollama model name
+ * @param {Array} messages - Anthropic messages
+ * @param {Object} options - Anthropic-style options (system, temperature, max_tokens, ...)
+ * @param {Object} settings - `stream` flag and `defaults` for Ollama model options
+ */
+function buildChatRequest(model, messages, options = {}, settings = {}) {
+  const request = {
+    model,
+    messages: toOllamaMessages(messages, options.system),
+    stream: settings.stream || false,
+    options: toOllamaOptions(options, settings.defaults)
+  };
+
+  if (options.tools?.length && options.tool_choice?.type !== 'none') {
+    request.tools = toOllamaTools(options.tools);
+  }
+
+  return request;
+}
+
+/**
+ * Text carried by a chat or generate stream chunk
+ * @param {Object} chunk - Ollama response chunk
+ */
+function chunkText(chunk) {
+  return chunk.message?.content ?? chunk.response ?? '';
+}
+
+function toAnthropicStopReason(doneReason) {
+  return STOP_REASONS[doneReason] || 'end_turn';
+}
+
+/**
+ * Convert an Ollama /api/chat (or /api/generate) reply to an Anthropic message
+ * @param {Object} data - Ollama response body
+ * @param {Object} usageEstimate - Token counts to use when Ollama omits them
+ */
+function toAnthropicResponse(data, usageEstimate = {}) {
+  const content = [];
+  const text = chunkText(data);
+  const toolCalls = data.message?.tool_calls || [];
+
+  if (text || toolCalls.length === 0) {
+    content.push({ type: 'text', text });
+  }
+
+  for (const call of toolCalls) {
+    content.push({
+      type: 'tool_use',
+      id: generateToolUseId(),
+      name: call.function.name,
+      input: typeof call.function.arguments === 'string'
+        ? JSON.parse(call.function.arguments)
+        : call.function.arguments || {}
+    });
+  }
+
+  return {
+    id: `msg_ollama_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    type: 'message',
+    role: 'assistant',
+    content,
+    model: data.model,
+    stop_reason: toolCalls.length > 0 ? 'tool_use' : toAnthropicStopReason(data.done_reason),
+    stop_sequence: null,
+    usage: {
+      input_tokens: data.prompt_eval_count ?? usageEstimate.input_tokens ?? 0,
+      output_tokens: data.eval_count ?? usageEstimate.output_tokens ?? 0
+    }
+  };
+}
+
+module.exports = {
+  systemToText,
+  generateToolUseId,
+  toolResultText,
+  toOllamaTools,
+  toOllamaMessage,
+  toOllamaMessages,
+  toOllamaOptions,
+  buildChatRequest,
+  chunkText,
+  toAnthropicStopReason,
+  toAnthropicResponse
+};
@@ -0,0 +1,340 @@
+const axios = require('axios');
+const logger = require('./logger');
+const { safeInterval, clearSafeInterval } = require('./interval-manager');
+
+/**
+ * 🦙 OLLAMA HOST POOL 🦙
+ *
+ * Spreads Ollama requests across several hosts. Every host is polled for
+ * installed (/api/tags) and loaded (/api/ps) models; requests go to a host
+ * that already has their model in memory, then to one that has it
+ * installed, then to whichever is least busy. Hosts that keep failing are
+ * ejected by a circuit breaker and retried after a cooldown.
+ */
+class OllamaHostPool {
+  constructor(options = {}) {
+    const hosts = options.hosts && options.hosts.length > 0 ? options.hosts : ['http://localhost:11434'];
+
+    this.pollInterval = options.pollInterval || 15000;
+    this.pollTimeout = options.pollTimeout || 5000;
+    this.failureThreshold = options.failureThreshold || 3;
+    this.cooldown = options.cooldown || 30000;
+    this.pollTimer = null;
+    this.selections = 0;
+
+    this.hosts = hosts.map(host => this.createHost(host));
+  }
+
+  createHost(host) {
+    const config = typeof host === 'string' ? { url: host } : host;
+    const url = config.url.replace(/\/+$/, '');
+
+    return {
+      name: config.name || url.replace(/^https?:\/\//, ''),
+      url,
+      healthy: null, // Unknown until the first poll
+      models: new Set(),
+      loadedModels: new Set(),
+      inFlight: 0,
+      totalRequests: 0,
+      failures: 0,
+      lastPoll: null,
+      lastError: null,
+      lastSelected: 0,
+      circuit: {
+        state: 'closed',
+        consecutiveFailures: 0,
+        openedAt: null
+      }
+    };
+  }
+
+  urls() {
+    return this.hosts.map(host => host.url);
+  }
+
+  // Start polling every host; safe to call more than once
+  startPolling() {
+    if (this.pollTimer) return;
+
+    this.pollTimer = safeInterval(() => {
+      this.poll().catch(error => {
+        logger.error('🦙 Ollama host poll failed', { error: error.message });
+      });
+    }, this.pollInterval);
+    // Polling alone shouldn't keep the process alive
+    if (this.pollTimer.unref) this.pollTimer.unref();
+  }
+
+  stopPolling() {
+    if (this.pollTimer) {
+      clearSafeInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  // Refresh installed and loaded models on every host
+  async poll() {
+    await Promise.all(this.hosts.map(host => this.pollHost(host)));
+    return this.getStatus();
+  }
+
+  async pollHost(host) {
+    const [tags, ps] = await Promise.allSettled([
+      axios.get(`${host.url}/api/tags`, { timeout: this.pollTimeout }),
+      axios.get(`${host.url}/api/ps`, { timeout: this.pollTimeout })
+    ]);
+
+    host.lastPoll = Date.now();
+
+    if (tags.status === 'rejected') {
+      host.healthy = false;
+      this.recordFailure(host, tags.reason);
+      return;
+    }
+
+    host.healthy = true;
+    host.models = new Set((tags.value.data.models || []).map(model => normalizeModel(model.name)));
+    // Older Ollama versions have no /api/ps; treat them as having nothing loaded
+    host.loadedModels = ps.status === 'fulfilled' ?
+      new Set((ps.value.data.models || []).map(model => normalizeModel(model.name || model.model))) :
+      new Set();
+    this.refreshCircuit(host);
+    this.recordSuccess(host);
+  }
+
+  // Installed models across healthy hosts, with the hosts that have each
+  listModels() {
+    const models = new Map();
+
+    for (const host of this.hosts.filter(h => h.healthy)) {
+      for (const name of host.models) {
+        if (!models.has(name)) {
+          models.set(name, { name, hosts: [], loadedOn: [] });
+        }
+        models.get(name).hosts.push(host.name);
+        if (host.loadedModels.has(name)) {
+          models.get(name).loadedOn.push(host.name);
+        }
+      }
+    }
+
+    return [...models.values()];
+  }
+
+  hasAvailableHost() {
+    return this.hosts.some(host => this.isSelectable(host));
+  }
+
+  // Open circuits become half-open once the cooldown has passed
+  refreshCircuit(host) {
+    const { circuit } = host;
+    if (circuit.state === 'open' && Date.now() - circuit.openedAt >= this.cooldown) {
+      circuit.state = 'half-open';
+      logger.info('🦙 Ollama host circuit half-open, allowing a trial request', { host: host.name });
+    }
+  }
+
+  isSelectable(host) {
+    this.refreshCircuit(host);
+    return host.circuit.state !== 'open';
+  }
+
+  /**
+   * Pick a host for a model: loaded there > installed there > any, least busy first
+   * @param {string} model - Ollama model name
+   * @param {Set} exclude - Host URLs already tried for this request
+   */
+  selectHost(model, exclude = new Set()) {
+    const candidates = this.hosts.filter(host => !exclude.has(host.url) && this.isSelectable(host));
+    if (candidates.length === 0) return null;
+
+    // Hosts that failed their last poll are only used when nothing else is left
+    const healthy = candidates.filter(host => host.healthy !== false);
+    const pool = healthy.length > 0 ? healthy : candidates;
+
+    const name = normalizeModel(model);
+    const loaded = pool.filter(host => host.loadedModels.has(name));
+    const installed = pool.filter(host => host.models.has(name));
+    const tier = loaded.length > 0 ? loaded : (installed.length > 0 ? installed : pool);
+
+    return tier.reduce((best, host) => {
+      if (host.inFlight !== best.inFlight) {
+        return host.inFlight < best.inFlight ? host : best;
+      }
+      // Equal load: rotate by least recently picked
+      return host.lastSelected < best.lastSelected ? host : best;
+    });
+  }
+
+  /**
+   * Run a request on the best host for `model`, moving to the next host on
+   * connection errors and 5xx responses
+   * @param {string} model - Ollama model name
+   * @param {Function} fn - Called with the host URL; returns a promise
+   * @param {Object} options - `signal` to stop retrying once the client is gone;
+   *   `loadsModel: false` for metadata calls that don't load the model
+   */
+  async run(model, fn, options = {}) {
+    const { result, release } = await this.open(model, fn, options);
+    release();
+    return result;
+  }
+
+  /**
+   * Like run(), but keeps the host counted as busy until `release` is called.
+   * Used for streams, which occupy the host after the response starts.
+   */
+  async open(model, fn, options = {}) {
+    const tried = new Set();
+    let lastError = null;
+
+    while (true) {
+      const host = this.selectHost(model, tried);
+      if (!host) {
+        throw lastError || new Error('No Ollama hosts available: all circuits are open');
+      }
+      tried.add(host.url);
+
+      const lease = this.lease(host, options.loadsModel === false ? null : model);
+      try {
+        const result = await fn(host.url);
+        return { result, host: host.name, release: lease };
+      } catch (error) {
+        lease(error);
+        lastError = error;
+
+        if (!isHostFailure(error) || options.signal?.aborted) {
+          throw error;
+        }
+
+        logger.warn('🦙 Ollama host request failed, trying another host', {
+          host: host.name,
+          model,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  // Count a request against a host; the returned function settles it once
+  lease(host, model) {
+    let released = false;
+    host.inFlight++;
+    host.totalRequests++;
+    host.lastSelected = ++this.selections;
+
+    return (error) => {
+      if (released) return;
+      released = true;
+      host.inFlight--;
+
+      if (error && isHostFailure(error)) {
+        this.recordFailure(host, error);
+      } else if (!error) {
+        // Ollama keeps a model in memory after serving it
+        if (model) host.loadedModels.add(normalizeModel(model));
+        this.recordSuccess(host);
+      }
+    };
+  }
+
+  recordSuccess(host) {
+    host.circuit.consecutiveFailures = 0;
+    if (host.circuit.state !== 'closed') {
+      host.circuit.state = 'closed';
+      host.circuit.openedAt = null;
+      logger.info('🦙 Ollama host circuit closed, host back in rotation', { host: host.name });
+    }
+  }
+
+  recordFailure(host, error) {
+    host.failures++;
+    host.lastError = error?.message || null;
+    host.circuit.consecutiveFailures++;
+
+    const trialFailed = host.circuit.state === 'half-open';
+    if (trialFailed || (host.circuit.state === 'closed' && host.circuit.consecutiveFailures >= this.failureThreshold)) {
+      host.circuit.state = 'open';
+      host.circuit.openedAt = Date.now();
+      logger.warn('🦙 Ollama host ejected, circuit open', {
+        host: host.name,
+        consecutiveFailures: host.circuit.consecutiveFailures,
+        retryAfterMs: this.cooldown,
+        error: host.lastError
+      });
+    }
+  }
+
+  getStatus() {
+    const hosts = this.hosts.map(host => ({
+      name: host.name,
+      url: host.url,
+      healthy: host.healthy,
+      circuit: host.circuit.state,
+      consecutiveFailures: host.circuit.consecutiveFailures,
+      circuitOpenedAt: host.circuit.openedAt ? new Date(host.circuit.openedAt).toISOString() : null,
+      inFlight: host.inFlight,
+      totalRequests: host.totalRequests,
+      failures: host.failures,
+      models: [...host.models],
+      loadedModels: [...host.loadedModels],
+      lastPoll: host.lastPoll ? new Date(host.lastPoll).toISOString() : null,
+      lastError: host.lastError
+    }));
+
+    return {
+      totalHosts: hosts.length,
+      healthyHosts: hosts.filter(host => host.healthy && host.circuit !== 'open').length,
+      pollInterval: this.pollInterval,
+      hosts
+    };
+  }
+}
+
+// Ollama treats "llama3.2" and "llama3.2:latest" as the same model
+function normalizeModel(name) {
+  if (!name) return name;
+  return name.includes(':') ? name : `${name}:latest`;
+}
+
+// Connection errors, timeouts and 5xx mean the host is in trouble; 4xx means the request is
+function isHostFailure(error) {
+  if (!error) return false;
+  if (error.code === 'ERR_CANCELED' || error.name === 'CanceledError') return false;
+  const status = error.response?.status;
+  return !status || status >= 500;
+}
+
+/**
+ * Ollama hosts from the environment: OLLAMA_HOSTS (comma-separated),
+ * falling back to the single-host OLLAMA_BASE_URL / OLLAMA_URL
+ */
+function hostsFromEnv(env = process.env) {
+  if (env.OLLAMA_HOSTS) {
+    return env.OLLAMA_HOSTS.split(',').map(url => url.trim()).filter(Boolean);
+  }
+  const single = env.OLLAMA_BASE_URL || env.OLLAMA_URL;
+  return single ? [single] : ['http://localhost:11434'];
+}
+
+let sharedPool = null;
+
+// Pool for the hosts in the environment, shared by the AI router and the Ollama assistants
+function getOllamaHostPool() {
+  if (!sharedPool) {
+    sharedPool = new OllamaHostPool({
+      hosts: hostsFromEnv(),
+      pollInterval: parseInt(process.env.OLLAMA_POLL_INTERVAL) || undefined
+    });
+  }
+  return sharedPool;
+}
+
+module.exports = {
+  OllamaHostPool,
+  getOllamaHostPool,
+  hostsFromEnv,
+  normalizeModel,
+  isHostFailure
+};
@@ -0,0 +1,187 @@
+/**
+ * 🦙 OLLAMA TOOL EMULATION 🦙
+ *
+ * Function calling for Ollama models without native tool support.
+ * Tool definitions are described in the system prompt and the reply is
+ * constrained to a JSON schema, which is parsed back into Anthropic
+ * `tool_use` blocks.
+ */
+
+const { systemToText, toolResultText, generateToolUseId } = require('./ollama-chat-translator');
+
+/**
+ * JSON schema the model's reply must follow
+ * @param {Array} tools - Anthropic tool definitions
+ * @param {Object} toolChoice - Anthropic tool_choice (optional)
+ */
+function buildResponseSchema(tools, toolChoice = {}) {
+  const names = toolChoice.type === 'tool' ? [toolChoice.name] : tools.map(tool => tool.name);
+  const toolCalls = {
+    type: 'array',
+    items: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', enum: names },
+        input: { type: 'object' }
+      },
+      required: ['name', 'input']
+    }
+  };
+
+  if (toolChoice.type === 'any' || toolChoice.type === 'tool') {
+    toolCalls.minItems = 1;
+  }
+
+  return {
+    type: 'object',
+    properties: {
+      text: { type: 'string' },
+      tool_calls: toolCalls
+    },
+    required: ['text', 'tool_calls']
+  };
+}
+
+/**
+ * System prompt section describing the available tools
+ * @param {Array} tools - Anthropic tool definitions
+ * @param {Object} toolChoice - Anthropic tool_choice (optional)
+ */
+function buildToolPrompt(tools, toolChoice = {}) {
+  const definitions = tools.map(tool => [
+    `- ${tool.name}: ${tool.description || 'No description'}`,
+    `  Input JSON schema: ${JSON.stringify(tool.input_schema || {})}`
+  ].join('\n')).join('\n');
+
+  let requirement = 'Call a tool only when it is needed to answer; otherwise leave "tool_calls" empty.';
+  if (toolChoice.type === 'any') {
+    requirement = 'You must call at least one tool.';
+  } else if (toolChoice.type === 'tool') {
+    requirement = `You must call the "${toolChoice.name}" tool.`;
+  }
+
+  return [
+    'You can call the following tools:',
+    definitions,
+    '',
+    'Reply with a single JSON object: {"text": "<message for the user, may be empty>", "tool_calls": [{"name": "<tool name>", "input": {<arguments matching the tool schema>}}]}.',
+    requirement,
+    'Tool results are returned to you in later user messages prefixed with "Tool result".'
+  ].join('\n');
+}
+
+// Render a content block list as plain text, turning tool blocks into readable lines
+function blocksToText(blocks, toolNames) {
+  const parts = [];
+  const toolCalls = [];
+
+  for (const block of blocks) {
+    if (block.type === 'text') {
+      parts.push(block.text);
+    } else if (block.type === 'tool_use') {
+      toolCalls.push({ name: block.name, input: block.input });
+    } else if (block.type === 'tool_result') {
+      const name = toolNames.get(block.tool_use_id) || block.tool_use_id;
+      const status = block.is_error ? ' (error)' : '';
+      parts.push(`Tool result for ${name}${status}: ${toolResultText(block.content)}`);
+    } else if (block.type === 'image') {
+      // Images stay as blocks so the chat translator can pass them through
+      parts.push(block);
+    }
+  }
+
+  return { parts, toolCalls };
+}
+
+/**
+ * Rewrite a tool-using conversation so a model without tool support can follow it
+ * @param {Array} messages - Anthropic messages, possibly with tool_use/tool_result blocks
+ * @param {Object} options - Request options with `tools`, `tool_choice` and `system`
+ */
+function prepareEmulatedRequest(messages, options) {
+  const toolNames = new Map();
+  const rewritten = [];
+
+  for (const message of messages) {
+    if (typeof message.content === 'string') {
+      rewritten.push(message);
+      continue;
+    }
+
+    for (const block of message.content) {
+      if (block.type === 'tool_use') toolNames.set(block.id, block.name);
+    }
+
+    const { parts, toolCalls } = blocksToText(message.content, toolNames);
+
+    if (message.role === 'assistant') {
+      // Replay earlier assistant turns in the same JSON shape the model must produce
+      const text = parts.filter(part => typeof part === 'string').join('\n');
+      rewritten.push({
+        role: 'assistant',
+        content: JSON.stringify({ text, tool_calls: toolCalls })
+      });
+    } else {
+      rewritten.push({
+        role: message.role,
+        content: parts.map(part => (typeof part === 'string' ? { type: 'text', text: part } : part))
+      });
+    }
+  }
+
+  const system = [systemToText(options.system), buildToolPrompt(options.tools, options.tool_choice)]
+    .filter(Boolean)
+    .join('\n\n');
+
+  return {
+    messages: rewritten,
+    system,
+    format: buildResponseSchema(options.tools, options.tool_choice)
+  };
+}
+
+/**
+ * Parse a schema-constrained reply into Anthropic content blocks
+ * @param {string} rawText - Model output
+ * @param {Array} tools - Anthropic tool definitions, used to drop unknown tool names
+ */
+function parseEmulatedResponse(rawText, tools) {
+  let parsed;
+  try {
+    parsed = JSON.parse(rawText);
+  } catch (error) {
+    // The model ignored the format; treat the output as plain text
+    return { content: [{ type: 'text', text: rawText }], stopReason: 'end_turn' };
+  }
+
+  const knownTools = new Set(tools.map(tool => tool.name));
+  const content = [];
+
+  if (typeof parsed.text === 'string' && parsed.text.trim()) {
+    content.push({ type: 'text', text: parsed.text });
+  }
+
+  for (const call of Array.isArray(parsed.tool_calls) ? parsed.tool_calls : []) {
+    if (!knownTools.has(call.name)) continue;
+    content.push({
+      type: 'tool_use',
+      id: generateToolUseId(),
+      name: call.name,
+      input: call.input && typeof call.input === 'object' ? call.input : {}
+    });
+  }
+
+  if (content.length === 0) {
+    content.push({ type: 'text', text: '' });
+  }
+
+  const hasToolUse = content.some(block => block.type === 'tool_use');
+  return { content, stopReason: hasToolUse ? 'tool_use' : 'end_turn' };
+}
+
+module.exports = {
+  buildResponseSchema,
+  buildToolPrompt,
+  prepareEmulatedRequest,
+  parseEmulatedResponse
+};
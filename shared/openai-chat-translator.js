@@ -0,0 +1,523 @@
+/**
+ * 🍌 OPENAI CHAT TRANSLATOR 🍌
+ *
+ * Maps Anthropic Messages API requests onto the OpenAI-compatible
+ * /v1/chat/completions endpoint served by llama.cpp, vLLM, LM Studio
+ * and friends, and converts replies back.
+ *
+ * The reverse direction serves OpenAI clients from the AI router: OpenAI
+ * chat requests become Anthropic messages, and Anthropic messages and
+ * stream events become chat completions and chunks.
+ */
+
+const { systemToText, generateToolUseId, toolResultText } = require('./ollama-chat-translator');
+
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  tool_calls: 'tool_use',
+  function_call: 'tool_use'
+};
+
+const FINISH_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length',
+  tool_use: 'tool_calls'
+};
+
+/**
+ * Convert Anthropic tool definitions to OpenAI function tools
+ * @param {Array} tools - Anthropic tools ({ name, description, input_schema })
+ */
+function toOpenAITools(tools) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description || '',
+      parameters: tool.input_schema || { type: 'object', properties: {} }
+    }
+  }));
+}
+
+function toOpenAIToolChoice(toolChoice) {
+  switch (toolChoice?.type) {
+    case 'any':
+      return 'required';
+    case 'tool':
+      return { type: 'function', function: { name: toolChoice.name } };
+    case 'none':
+      return 'none';
+    default:
+      return 'auto';
+  }
+}
+
+/**
+ * Convert one Anthropic message to OpenAI chat messages. Tool results become
+ * separate `tool` role messages, so one Anthropic message can map to several.
+ * @param {Object} message - Anthropic message with string or block content
+ */
+function toOpenAIMessage(message) {
+  if (typeof message.content === 'string') {
+    return [{ role: message.role, content: message.content }];
+  }
+
+  const parts = [];
+  const toolCalls = [];
+  const toolResults = [];
+
+  for (const block of message.content || []) {
+    if (block.type === 'text') {
+      parts.push({ type: 'text', text: block.text });
+    } else if (block.type === 'image' && block.source?.type === 'base64') {
+      parts.push({
+        type: 'image_url',
+        image_url: { url: `data:${block.source.media_type};base64,${block.source.data}` }
+      });
+    } else if (block.type === 'tool_use') {
+      toolCalls.push({
+        id: block.id,
+        type: 'function',
+        function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+      });
+    } else if (block.type === 'tool_result') {
+      toolResults.push({
+        role: 'tool',
+        tool_call_id: block.tool_use_id,
+        content: toolResultText(block.content)
+      });
+    }
+  }
+
+  const openAIMessages = [...toolResults];
+
+  if (parts.length > 0 || toolCalls.length > 0 || toolResults.length === 0) {
+    // Plain text stays a string; servers without vision support reject content arrays
+    const textOnly = parts.every(part => part.type === 'text');
+    const openAIMessage = {
+      role: message.role,
+      content: textOnly ? parts.map(part => part.text).join('\n') : parts
+    };
+    if (toolCalls.length > 0) {
+      openAIMessage.tool_calls = toolCalls;
+    }
+    openAIMessages.push(openAIMessage);
+  }
+
+  return openAIMessages;
+}
+
+/**
+ * Convert Anthropic `messages` and `system` to an OpenAI chat message list
+ * @param {Array} messages - Anthropic messages
+ * @param {string|Array} system - Anthropic system prompt (optional)
+ */
+function toOpenAIMessages(messages, system) {
+  const openAIMessages = [];
+  const systemText = systemToText(system);
+
+  if (systemText) {
+    openAIMessages.push({ role: 'system', content: systemText });
+  }
+
+  for (const message of messages || []) {
+    openAIMessages.push(...toOpenAIMessage(message));
+  }
+
+  return openAIMessages;
+}
+
+/**
+ * Build a /v1/chat/completions request body from an Anthropic-style request
+ * @param {string} model - Model name on the OpenAI-compatible server
+ * @param {Array} messages - Anthropic messages
+ * @param {Object} options - Anthropic-style options (system, temperature, max_tokens, ...)
+ * @param {Object} settings - `stream` flag
+ */
+function buildChatCompletionRequest(model, messages, options = {}, settings = {}) {
+  const request = {
+    model,
+    messages: toOpenAIMessages(messages, options.system),
+    max_tokens: options.max_tokens || 1000,
+    stream: settings.stream || false
+  };
+
+  if (options.temperature !== undefined) request.temperature = options.temperature;
+  if (options.top_p !== undefined) request.top_p = options.top_p;
+  if (options.stop_sequences?.length) request.stop = options.stop_sequences;
+
+  if (options.tools?.length && options.tool_choice?.type !== 'none') {
+    request.tools = toOpenAITools(options.tools);
+    request.tool_choice = toOpenAIToolChoice(options.tool_choice);
+  }
+
+  return request;
+}
+
+/**
+ * Text carried by a streamed chat completion chunk
+ * @param {Object} chunk - OpenAI stream chunk
+ */
+function chunkText(chunk) {
+  return chunk.choices?.[0]?.delta?.content || '';
+}
+
+function toAnthropicStopReason(finishReason) {
+  return STOP_REASONS[finishReason] || 'end_turn';
+}
+
+function parseToolArguments(args) {
+  if (typeof args !== 'string') return args || {};
+  try {
+    return JSON.parse(args);
+  } catch (error) {
+    return { _raw: args };
+  }
+}
+
+/**
+ * Convert a /v1/chat/completions reply to an Anthropic message
+ * @param {Object} data - OpenAI response body
+ * @param {Object} usageEstimate - Token counts to use when the server omits them
+ */
+function toAnthropicResponse(data, usageEstimate = {}) {
+  const choice = data.choices?.[0] || {};
+  const text = choice.message?.content || '';
+  const toolCalls = choice.message?.tool_calls || [];
+  const content = [];
+
+  if (text || toolCalls.length === 0) {
+    content.push({ type: 'text', text });
+  }
+
+  for (const call of toolCalls) {
+    content.push({
+      type: 'tool_use',
+      id: call.id || generateToolUseId(),
+      name: call.function.name,
+      input: parseToolArguments(call.function.arguments)
+    });
+  }
+
+  return {
+    id: data.id ? `msg_${data.id}` : `msg_openai_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    type: 'message',
+    role: 'assistant',
+    content,
+    model: data.model,
+    stop_reason: toolCalls.length > 0 ? 'tool_use' : toAnthropicStopReason(choice.finish_reason),
+    stop_sequence: null,
+    usage: {
+      input_tokens: data.usage?.prompt_tokens ?? usageEstimate.input_tokens ?? 0,
+      output_tokens: data.usage?.completion_tokens ?? usageEstimate.output_tokens ?? 0
+    }
+  };
+}
+
+function invalidRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+// Text of OpenAI message content: a string or an array of content parts
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.filter(part => part.type === 'text').map(part => part.text).join('\n');
+  }
+  return '';
+}
+
+/**
+ * Convert OpenAI message content to Anthropic content blocks.
+ * Images must be base64 data URLs; the router doesn't fetch remote images.
+ * @param {string|Array} content - OpenAI message content
+ */
+function fromOpenAIContent(content) {
+  if (content === null || content === undefined) return [];
+  if (typeof content === 'string') {
+    return content ? [{ type: 'text', text: content }] : [];
+  }
+
+  return content.map(part => {
+    if (part.type === 'text') {
+      return { type: 'text', text: part.text };
+    }
+    if (part.type === 'image_url') {
+      const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+      const match = /^data:([^;]+);base64,(.+)$/.exec(url || '');
+      if (!match) {
+        throw invalidRequest('Images must be base64 data URLs (data:image/png;base64,...)');
+      }
+      return { type: 'image', source: { type: 'base64', media_type: match[1], data: match[2] } };
+    }
+    throw invalidRequest(`Unsupported content part type "${part.type}"`);
+  }).filter(block => block.type !== 'text' || block.text);
+}
+
+/**
+ * Convert OpenAI chat messages to Anthropic `messages` and `system`. System
+ * and developer messages become the system prompt, `tool` messages become
+ * tool_result blocks, and consecutive turns of the same role are merged.
+ * @param {Array} openAIMessages - OpenAI chat messages
+ */
+function fromOpenAIMessages(openAIMessages) {
+  const systemParts = [];
+  const messages = [];
+
+  const append = (role, blocks) => {
+    if (blocks.length === 0) return;
+    const last = messages[messages.length - 1];
+    if (last && last.role === role) {
+      last.content.push(...blocks);
+    } else {
+      messages.push({ role, content: blocks });
+    }
+  };
+
+  for (const message of openAIMessages || []) {
+    switch (message.role) {
+      case 'system':
+      case 'developer':
+        systemParts.push(contentText(message.content));
+        break;
+      case 'tool':
+        append('user', [{
+          type: 'tool_result',
+          tool_use_id: message.tool_call_id,
+          content: contentText(message.content)
+        }]);
+        break;
+      case 'assistant':
+        append('assistant', [
+          ...fromOpenAIContent(message.content),
+          ...(message.tool_calls || []).map(call => ({
+            type: 'tool_use',
+            id: call.id || generateToolUseId(),
+            name: call.function.name,
+            input: parseToolArguments(call.function.arguments)
+          }))
+        ]);
+        break;
+      default:
+        append('user', fromOpenAIContent(message.content));
+    }
+  }
+
+  return {
+    system: systemParts.filter(Boolean).join('\n\n') || undefined,
+    // A lone text block is sent as plain string content
+    messages: messages.map(message => ({
+      role: message.role,
+      content: message.content.length === 1 && message.content[0].type === 'text' ?
+        message.content[0].text :
+        message.content
+    }))
+  };
+}
+
+/**
+ * Convert OpenAI function tools to Anthropic tool definitions
+ * @param {Array} tools - OpenAI tools ({ type: 'function', function: { name, description, parameters } })
+ */
+function fromOpenAITools(tools) {
+  return tools.filter(tool => tool.type === 'function').map(tool => ({
+    name: tool.function.name,
+    ...(tool.function.description ? { description: tool.function.description } : {}),
+    input_schema: tool.function.parameters || { type: 'object', properties: {} }
+  }));
+}
+
+function fromOpenAIToolChoice(toolChoice) {
+  if (toolChoice === undefined || toolChoice === null) return undefined;
+
+  switch (toolChoice) {
+    case 'auto':
+      return { type: 'auto' };
+    case 'required':
+      return { type: 'any' };
+    case 'none':
+      return { type: 'none' };
+    default:
+      return { type: 'tool', name: toolChoice.function?.name };
+  }
+}
+
+function toOpenAIFinishReason(stopReason) {
+  return FINISH_REASONS[stopReason] || 'stop';
+}
+
+function toOpenAIUsage(usage = {}) {
+  const promptTokens = usage.input_tokens || 0;
+  const completionTokens = usage.output_tokens || 0;
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens
+  };
+}
+
+/**
+ * Convert an Anthropic message to a /v1/chat/completions response
+ * @param {Object} message - Anthropic message
+ * @param {Object} meta - `id` and `created` (epoch seconds) of the completion
+ */
+function toChatCompletion(message, meta = {}) {
+  const text = message.content.filter(block => block.type === 'text').map(block => block.text).join('');
+  const toolCalls = message.content.filter(block => block.type === 'tool_use').map(block => ({
+    id: block.id,
+    type: 'function',
+    function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+  }));
+
+  const reply = { role: 'assistant', content: text || (toolCalls.length > 0 ? null : '') };
+  if (toolCalls.length > 0) {
+    reply.tool_calls = toolCalls;
+  }
+
+  return {
+    id: meta.id,
+    object: 'chat.completion',
+    created: meta.created,
+    model: message.model,
+    choices: [{
+      index: 0,
+      message: reply,
+      logprobs: null,
+      finish_reason: toOpenAIFinishReason(message.stop_reason)
+    }],
+    usage: toOpenAIUsage(message.usage)
+  };
+}
+
+/**
+ * Translator from Anthropic stream events to chat.completion.chunk objects.
+ * `translate(event)` returns the chunks for one event (often none);
+ * `usageChunk()` returns the final usage chunk for `stream_options.include_usage`.
+ * @param {Object} meta - `id` and `created` shared by every chunk
+ */
+function createChatChunkTranslator(meta = {}) {
+  const toolCallIndexes = new Map(); // content block index -> tool call index
+  const usage = { input_tokens: 0, output_tokens: 0 };
+  let model = null;
+
+  const chunk = (delta, finishReason = null) => ({
+    id: meta.id,
+    object: 'chat.completion.chunk',
+    created: meta.created,
+    model,
+    choices: [{ index: 0, delta, logprobs: null, finish_reason: finishReason }]
+  });
+
+  return {
+    translate(event) {
+      switch (event.type) {
+        case 'message_start':
+          model = event.message?.model || model;
+          usage.input_tokens = event.message?.usage?.input_tokens || 0;
+          return [chunk({ role: 'assistant', content: '' })];
+        case 'content_block_start':
+          if (event.content_block?.type !== 'tool_use') return [];
+          toolCallIndexes.set(event.index, toolCallIndexes.size);
+          return [chunk({
+            tool_calls: [{
+              index: toolCallIndexes.get(event.index),
+              id: event.content_block.id,
+              type: 'function',
+              function: { name: event.content_block.name, arguments: '' }
+            }]
+          })];
+        case 'content_block_delta':
+          if (event.delta?.type === 'text_delta') {
+            return [chunk({ content: event.delta.text })];
+          }
+          if (event.delta?.type === 'input_json_delta') {
+            return [chunk({
+              tool_calls: [{ index: toolCallIndexes.get(event.index), function: { arguments: event.delta.partial_json } }]
+            })];
+          }
+          return [];
+        case 'message_delta':
+          usage.input_tokens = event.usage?.input_tokens || usage.input_tokens;
+          usage.output_tokens = event.usage?.output_tokens || usage.output_tokens;
+          return [chunk({}, toOpenAIFinishReason(event.delta?.stop_reason))];
+        default:
+          return [];
+      }
+    },
+
+    usageChunk() {
+      return {
+        id: meta.id,
+        object: 'chat.completion.chunk',
+        created: meta.created,
+        model,
+        choices: [],
+        usage: toOpenAIUsage(usage)
+      };
+    }
+  };
+}
+
+/**
+ * Convert an Anthropic message to a legacy /v1/completions response
+ * @param {Object} message - Anthropic message
+ * @param {Object} meta - `id` and `created` (epoch seconds) of the completion
+ */
+function toTextCompletion(message, meta = {}) {
+  return {
+    id: meta.id,
+    object: 'text_completion',
+    created: meta.created,
+    model: message.model,
+    choices: [{
+      text: message.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+      index: 0,
+      logprobs: null,
+      finish_reason: toOpenAIFinishReason(message.stop_reason)
+    }],
+    usage: toOpenAIUsage(message.usage)
+  };
+}
+
+// Legacy completion stream chunk carrying a chat chunk's text
+function toTextCompletionChunk(chatChunk) {
+  const choice = chatChunk.choices[0];
+  return {
+    id: chatChunk.id,
+    object: 'text_completion',
+    created: chatChunk.created,
+    model: chatChunk.model,
+    choices: choice ? [{
+      text: choice.delta.content || '',
+      index: 0,
+      logprobs: null,
+      finish_reason: choice.finish_reason
+    }] : [],
+    ...(chatChunk.usage ? { usage: chatChunk.usage } : {})
+  };
+}
+
+module.exports = {
+  toOpenAITools,
+  toOpenAIToolChoice,
+  toOpenAIMessage,
+  toOpenAIMessages,
+  buildChatCompletionRequest,
+  chunkText,
+  toAnthropicStopReason,
+  toAnthropicResponse,
+  fromOpenAIContent,
+  fromOpenAIMessages,
+  fromOpenAITools,
+  fromOpenAIToolChoice,
+  toOpenAIFinishReason,
+  toOpenAIUsage,
+  toChatCompletion,
+  createChatChunkTranslator,
+  toTextCompletion,
+  toTextCompletionChunk
+};
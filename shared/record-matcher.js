@@ -0,0 +1,222 @@
+const { uniqueKey } = require('./data-quality-rules');
+
+// Mailbox providers: sharing one of these domains says nothing about two people
+const FREE_EMAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'live.com', 'msn.com',
+  'aol.com', 'icloud.com', 'me.com', 'mac.com', 'proton.me', 'protonmail.com', 'gmx.com', 'gmx.de',
+  'web.de', 'mail.com', 'yandex.com', 'zoho.com'
+]);
+
+// Legal forms dropped from company names before comparing them
+const COMPANY_SUFFIXES = new Set([
+  'inc', 'incorporated', 'llc', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company', 'gmbh',
+  'ag', 'sa', 'sas', 'srl', 'bv', 'nv', 'plc', 'pty', 'oy', 'ab', 'as', 'kg'
+]);
+
+/**
+ * 🍌 BANANA-POWERED RECORD MATCHER 🍌
+ *
+ * The pieces duplicate detection is built from, per object type:
+ * - Blocking keys put records that might be duplicates in the same block,
+ *   so only records sharing a block are compared
+ * - Field comparators score how alike two records are on one field, from
+ *   0 to 1; a pair's score is their weighted mean over the fields both
+ *   records have
+ */
+const BLOCKING_KEYS = {
+  contacts: {
+    email: record => normalizeEmail(record.properties.email),
+    email_domain: record => emailDomain(record.properties.email),
+    name: record => normalizeName(fullName(record)),
+    phone: record => normalizePhone(record.properties.phone || record.properties.mobilephone)
+  },
+  companies: {
+    domain: record => uniqueKey({ normalize: 'domain' }, record.properties.domain),
+    name: record => normalizeCompanyName(record.properties.name),
+    phone: record => normalizePhone(record.properties.phone)
+  }
+};
+
+const COMPARATORS = {
+  contacts: {
+    email: {
+      properties: ['email'],
+      compare: (a, b) => jaroWinkler(normalizeEmail(a.properties.email), normalizeEmail(b.properties.email)),
+      present: record => Boolean(normalizeEmail(record.properties.email))
+    },
+    name: {
+      properties: ['firstname', 'lastname'],
+      compare: (a, b) => nameSimilarity(normalizeName(fullName(a)), normalizeName(fullName(b))),
+      present: record => Boolean(normalizeName(fullName(record)))
+    },
+    phone: {
+      properties: ['phone', 'mobilephone'],
+      compare: (a, b) => phoneSimilarity(a.properties.phone || a.properties.mobilephone, b.properties.phone || b.properties.mobilephone),
+      present: record => Boolean(normalizePhone(record.properties.phone || record.properties.mobilephone))
+    },
+    company: {
+      properties: ['company'],
+      compare: (a, b) => nameSimilarity(normalizeCompanyName(a.properties.company), normalizeCompanyName(b.properties.company)),
+      present: record => Boolean(normalizeCompanyName(record.properties.company))
+    }
+  },
+  companies: {
+    domain: {
+      properties: ['domain'],
+      compare: (a, b) => Number(BLOCKING_KEYS.companies.domain(a) === BLOCKING_KEYS.companies.domain(b)),
+      present: record => Boolean(BLOCKING_KEYS.companies.domain(record))
+    },
+    name: {
+      properties: ['name'],
+      compare: (a, b) => nameSimilarity(normalizeCompanyName(a.properties.name), normalizeCompanyName(b.properties.name)),
+      present: record => Boolean(normalizeCompanyName(record.properties.name))
+    },
+    phone: {
+      properties: ['phone'],
+      compare: (a, b) => phoneSimilarity(a.properties.phone, b.properties.phone),
+      present: record => Boolean(normalizePhone(record.properties.phone))
+    }
+  }
+};
+
+/**
+ * How alike two records are
+ * @param {string} objectType - contacts or companies
+ * @param {Object} a - Record with properties
+ * @param {Object} b - Record with properties
+ * @param {Object} weights - Comparator name → weight
+ * @returns {Object} { score, fields: { name: similarity } }, score 0 when they share no field
+ */
+function scorePair(objectType, a, b, weights) {
+  const comparators = COMPARATORS[objectType];
+  const fields = {};
+  let total = 0;
+  let weighted = 0;
+
+  Object.entries(weights).forEach(([name, weight]) => {
+    const comparator = comparators[name];
+    if (!weight || !comparator || !comparator.present(a) || !comparator.present(b)) return;
+    fields[name] = round(comparator.compare(a, b));
+    total += weight;
+    weighted += weight * fields[name];
+  });
+
+  return { score: total > 0 ? round(weighted / total) : 0, fields };
+}
+
+/**
+ * Jaro-Winkler similarity: 1 for equal strings, near 1 for typos and
+ * strings sharing a prefix, 0 for nothing in common
+ */
+function jaroWinkler(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const window = Math.max(Math.floor(Math.max(a.length, b.length) / 2) - 1, 0);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const end = Math.min(i + window + 1, b.length);
+    for (let j = Math.max(0, i - window); j < end; j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = bMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[j]) j++;
+    if (a[i] !== b[j]) transpositions++;
+    j++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+// Dice coefficient of the two strings' word sets; word order doesn't matter
+function tokenSimilarity(a, b) {
+  const aTokens = new Set(tokens(a));
+  const bTokens = new Set(tokens(b));
+  if (aTokens.size === 0 || bTokens.size === 0) return 0;
+  const shared = [...aTokens].filter(token => bTokens.has(token)).length;
+  return (2 * shared) / (aTokens.size + bTokens.size);
+}
+
+// Names match on spelling or on words: "Jon Smith" ~ "John Smith", "Smith, John" = "John Smith"
+function nameSimilarity(a, b) {
+  if (!a || !b) return 0;
+  const sorted = value => tokens(value).sort().join(' ');
+  return Math.max(jaroWinkler(a, b), jaroWinkler(sorted(a), sorted(b)), tokenSimilarity(a, b));
+}
+
+function phoneSimilarity(a, b) {
+  const aPhone = normalizePhone(a);
+  return aPhone !== null && aPhone === normalizePhone(b) ? 1 : 0;
+}
+
+function normalizeEmail(value) {
+  const email = String(value ?? '').trim().toLowerCase();
+  return email.includes('@') ? email : null;
+}
+
+// The domain of a work email; free mailbox domains are no use for matching
+function emailDomain(value) {
+  const domain = normalizeEmail(value)?.split('@')[1];
+  return domain && !FREE_EMAIL_DOMAINS.has(domain) ? domain : null;
+}
+
+function normalizeName(value) {
+  const name = tokens(value).join(' ');
+  return name || null;
+}
+
+function normalizeCompanyName(value) {
+  const words = tokens(value);
+  // "Acme Inc" = "Acme", but a company called "Limited" stays itself
+  const name = (words.length > 1 ? words.filter(word => !COMPANY_SUFFIXES.has(word)) : words).join(' ');
+  return name || null;
+}
+
+// Phone numbers compare by their last 10 digits, so "+1 (555) 123-4567" = "555.123.4567"
+function normalizePhone(value) {
+  const digits = String(value ?? '').replace(/\s*(?:ext\.?|x|#)\s*\d+\s*$/i, '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-10) : null;
+}
+
+function fullName(record) {
+  return [record.properties.firstname, record.properties.lastname].filter(Boolean).join(' ');
+}
+
+function tokens(value) {
+  return String(value ?? '')
+    .normalize('NFKD')
+    .replace(/[̀-ͯ]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+  BLOCKING_KEYS,
+  COMPARATORS,
+  scorePair,
+  jaroWinkler,
+  tokenSimilarity,
+  nameSimilarity,
+  normalizePhone,
+  normalizeCompanyName
+};
@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const redis = require('redis');
+const logger = require('./logger');
+const { getConfigManager } = require('./config-manager');
+
+/**
+ * 🍌 BANANA-POWERED SHARED STATE 🍌
+ *
+ * Short-lived state every worker of the cluster has to agree on: rate limit
+ * counters, cached responses, CSRF tokens and sessions. Values are JSON,
+ * any key can expire, and keys are grouped by a "namespace:" prefix.
+ * - MemoryState keeps it in this process, enough for a single process
+ * - RedisState keeps it in Redis under the configured key prefix, and uses
+ *   this process's memory while Redis can't be reached
+ *
+ * getSharedState() picks one from the cache config: REDIS_URL (or
+ * cache.provider 'redis') selects Redis.
+ */
+class SharedState {
+  /**
+   * A random secret every worker shares, created by whichever asks first
+   * @param {string} name
+   * @returns {Promise<string>} 64 hex characters
+   */
+  async secret(name) {
+    await this.add(`secret:${name}`, crypto.randomBytes(32).toString('hex'));
+    return this.get(`secret:${name}`);
+  }
+}
+
+class MemoryState extends SharedState {
+  constructor(options = {}) {
+    super();
+    this.provider = 'memory';
+    this.distributed = false;
+    this.entries = new Map();
+
+    // Expired entries go when they're read, or on the next sweep
+    this.sweepTimer = setInterval(() => this.sweep(), options.sweepInterval || 60000);
+    this.sweepTimer.unref();
+  }
+
+  read(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt && Date.now() >= entry.expiresAt) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  // Values are kept serialized, so callers get copies as they would from Redis
+  write(key, value, ttl, expiresAt = ttl ? Date.now() + ttl : null) {
+    this.entries.set(key, { value: JSON.stringify(value), expiresAt });
+  }
+
+  async get(key) {
+    const entry = this.read(key);
+    return entry ? JSON.parse(entry.value) : null;
+  }
+
+  /**
+   * Store a value
+   * @param {string} key
+   * @param {*} value - Anything JSON can represent
+   * @param {number} [ttl] - Milliseconds until the key expires; none keeps it
+   */
+  async set(key, value, ttl) {
+    this.write(key, value, ttl);
+    return true;
+  }
+
+  // Store a value unless the key exists; true if it was stored
+  async add(key, value, ttl) {
+    if (this.read(key)) return false;
+    this.write(key, value, ttl);
+    return true;
+  }
+
+  // Get a value and delete it, so only one caller ever gets it
+  async take(key) {
+    const entry = this.read(key);
+    this.entries.delete(key);
+    return entry ? JSON.parse(entry.value) : null;
+  }
+
+  async delete(key) {
+    return this.read(key) !== null && this.entries.delete(key);
+  }
+
+  /**
+   * Add to a counter
+   * @param {string} key
+   * @param {number} [ttl] - Lifetime of the counter, from its first increment
+   * @param {number} [amount=1] - Whole number to add
+   * @returns {Promise<number>} The new count
+   */
+  async increment(key, ttl, amount = 1) {
+    const entry = this.read(key);
+    const count = (entry ? JSON.parse(entry.value) : 0) + amount;
+    this.write(key, count, ttl, entry ? entry.expiresAt : undefined);
+    return count;
+  }
+
+  // Keys starting with `prefix`
+  async keys(prefix = '') {
+    return Array.from(this.entries.keys()).filter(key => key.startsWith(prefix) && this.read(key));
+  }
+
+  sweep() {
+    for (const key of this.entries.keys()) {
+      this.read(key);
+    }
+  }
+
+  getStats() {
+    return { provider: this.provider, distributed: this.distributed, connected: true, keys: this.entries.size };
+  }
+
+  async stop() {
+    clearInterval(this.sweepTimer);
+    this.entries.clear();
+  }
+}
+
+class RedisState extends SharedState {
+  constructor(options = {}) {
+    super();
+    this.provider = 'redis';
+    this.distributed = true;
+    this.keyPrefix = options.keyPrefix ?? 'banana:';
+    this.fallback = new MemoryState();
+    this.outage = false;
+
+    this.client = redis.createClient({
+      url: options.url,
+      socket: {
+        connectTimeout: 5000,
+        reconnectStrategy: retries => Math.min(retries * 500, 5000)
+      }
+    });
+
+    // Log an outage once, not every reconnect attempt
+    this.client.on('error', (error) => {
+      if (!this.outage) {
+        this.outage = true;
+        logger.warn('🍌 Redis unavailable, shared state falls back to this process', { error: error.message });
+      }
+    });
+    this.client.on('ready', () => {
+      this.outage = false;
+      logger.info('🍌 Redis connected for shared state');
+    });
+
+    this.connecting = this.client.connect().catch(() => {});
+  }
+
+  // Resolves once the first connection attempt is over, connected or not
+  ready() {
+    return this.connecting;
+  }
+
+  // Redis while it's reachable, this process's memory while it isn't
+  async run(command, fallback) {
+    if (!this.client.isReady) {
+      return fallback(this.fallback);
+    }
+    try {
+      return await command(this.client);
+    } catch (error) {
+      if (this.client.isReady) throw error;
+      return fallback(this.fallback);
+    }
+  }
+
+  async get(key) {
+    return this.run(
+      async client => parse(await client.get(this.keyPrefix + key)),
+      memory => memory.get(key)
+    );
+  }
+
+  async set(key, value, ttl) {
+    return this.run(
+      async client => (await client.set(this.keyPrefix + key, JSON.stringify(value), ttl ? { PX: ttl } : undefined)) === 'OK',
+      memory => memory.set(key, value, ttl)
+    );
+  }
+
+  async add(key, value, ttl) {
+    return this.run(
+      async client => (await client.set(this.keyPrefix + key, JSON.stringify(value), { NX: true, ...(ttl && { PX: ttl }) })) === 'OK',
+      memory => memory.add(key, value, ttl)
+    );
+  }
+
+  async take(key) {
+    return this.run(
+      async client => parse(await client.getDel(this.keyPrefix + key)),
+      memory => memory.take(key)
+    );
+  }
+
+  async delete(key) {
+    return this.run(
+      async client => (await client.del(this.keyPrefix + key)) > 0,
+      memory => memory.delete(key)
+    );
+  }
+
+  async increment(key, ttl, amount = 1) {
+    return this.run(
+      async client => {
+        if (!ttl) return client.incrBy(this.keyPrefix + key, amount);
+        // Creating the counter with its expiry first keeps the TTL on the first increment only
+        const [, count] = await client.multi()
+          .set(this.keyPrefix + key, '0', { NX: true, PX: ttl })
+          .incrBy(this.keyPrefix + key, amount)
+          .exec();
+        return count;
+      },
+      memory => memory.increment(key, ttl, amount)
+    );
+  }
+
+  async keys(prefix = '') {
+    return this.run(
+      async client => {
+        const keys = [];
+        const match = (this.keyPrefix + prefix).replace(/[*?[\]\\]/g, '\\$&') + '*';
+        for await (const batch of client.scanIterator({ MATCH: match, COUNT: 500 })) {
+          keys.push(...batch.map(key => key.slice(this.keyPrefix.length)));
+        }
+        return keys;
+      },
+      memory => memory.keys(prefix)
+    );
+  }
+
+  getStats() {
+    return { provider: this.provider, distributed: this.distributed, connected: this.client.isReady, keyPrefix: this.keyPrefix };
+  }
+
+  async stop() {
+    if (this.client.isReady) {
+      await this.client.close();
+    } else {
+      this.client.destroy();
+    }
+    await this.fallback.stop();
+  }
+}
+
+function parse(value) {
+  return value === null || value === undefined ? null : JSON.parse(value);
+}
+
+/**
+ * Shared state for a cache config
+ * @param {Object} [cacheConfig] - ConfigManager's `cache` section
+ * @returns {MemoryState|RedisState}
+ */
+function createSharedState(cacheConfig = {}) {
+  if (cacheConfig?.provider !== 'redis') {
+    return new MemoryState();
+  }
+
+  const { host = 'localhost', port = 6379, password, db = 0, keyPrefix } = cacheConfig.redis || {};
+  const auth = password ? `:${encodeURIComponent(password)}@` : '';
+  return new RedisState({ url: `redis://${auth}${host}:${port}/${db}`, keyPrefix });
+}
+
+// The process-wide instance, so every component shares one connection
+let sharedStateInstance = null;
+
+function getSharedState() {
+  if (!sharedStateInstance) {
+    sharedStateInstance = createSharedState(getConfigManager().getCacheConfig());
+  }
+  return sharedStateInstance;
+}
+
+module.exports = {
+  MemoryState,
+  RedisState,
+  createSharedState,
+  getSharedState
+};
@@ -207,9 +207,9 @@ class StreamTracker extends EventEmitter {
 // Create singleton instance
 const streamTracker = new StreamTracker();
 
-// Auto-cleanup stale streams every 5 minutes
+// Auto-cleanup stale streams every 5 minutes, without keeping the process alive
 setInterval(() => {
   streamTracker.cleanupStaleStreams();
-}, 5 * 60 * 1000);
+}, 5 * 60 * 1000).unref();
 
 module.exports = streamTracker;
\ No newline at end of file
@@ -0,0 +1,230 @@
+const path = require('path');
+const fs = require('fs').promises;
+const logger = require('./logger');
+const { withFileLock } = require('./file-lock');
+
+const SUBSCRIPTION_ID = /^sub_[a-f0-9]{16}$/;
+const DELIVERY_ID = /^dlv_[a-f0-9]{16}$/;
+const DELIVERY_FILE = /^dlv_[a-f0-9]{16}\.json$/;
+
+// A delivery log is cut back to its newest entries once it grows past this
+const MAX_LOG_BYTES = 1024 * 1024;
+
+let tempFiles = 0;
+
+/**
+ * 🍌 BANANA-POWERED SUBSCRIPTION STORE 🍌
+ *
+ * Outbound webhook subscriptions and their deliveries under
+ * data/subscriptions, shared by every process of the cluster:
+ * - subscriptions.json holds every subscription, with state.json (the
+ *   dispatcher lease) changed under one lock file
+ * - pending/<id>.json is a delivery waiting for its next attempt; any
+ *   process adds them, only the dispatcher changes them
+ * - dead/<id>.json is a delivery that ran out of attempts, kept until it's
+ *   replayed or its subscription is deleted
+ * - logs/<subscription>.jsonl records every attempt, cut back to the
+ *   newest `logRetention` entries when it gets big
+ */
+class SubscriptionStore {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(__dirname, '../data/subscriptions');
+    this.subscriptionsFile = path.join(this.dir, 'subscriptions.json');
+    this.stateFile = path.join(this.dir, 'state.json');
+    this.lockFile = path.join(this.dir, '.lock');
+    this.pendingDir = path.join(this.dir, 'pending');
+    this.deadDir = path.join(this.dir, 'dead');
+    this.logsDir = path.join(this.dir, 'logs');
+    this.logRetention = options.logRetention || 1000;
+
+    this.subscriptions = {};
+    this.subscriptionsMtime = null;
+  }
+
+  async init() {
+    await Promise.all([this.pendingDir, this.deadDir, this.logsDir].map(dir => fs.mkdir(dir, { recursive: true })));
+  }
+
+  static isValidSubscriptionId(id) {
+    return typeof id === 'string' && SUBSCRIPTION_ID.test(id);
+  }
+
+  static isValidDeliveryId(id) {
+    return typeof id === 'string' && DELIVERY_ID.test(id);
+  }
+
+  // Every subscription by ID, re-read when another process changed the file
+  async getSubscriptions() {
+    const stat = await fs.stat(this.subscriptionsFile).catch(() => null);
+    if (!stat) return {};
+    if (stat.mtimeMs !== this.subscriptionsMtime) {
+      this.subscriptions = (await readJSON(this.subscriptionsFile))?.subscriptions || {};
+      this.subscriptionsMtime = stat.mtimeMs;
+    }
+    return this.subscriptions;
+  }
+
+  /**
+   * Change the subscriptions under the lock
+   * @param {Function} change - Mutates the subscriptions by ID; return false to leave them unsaved
+   * @returns {Promise<*>} What `change` returned
+   */
+  async updateSubscriptions(change) {
+    return this.withLock(async () => {
+      this.subscriptionsMtime = null;
+      const subscriptions = { ...await this.getSubscriptions() };
+      const result = change(subscriptions);
+      if (result !== false) {
+        await writeJSON(this.subscriptionsFile, { subscriptions });
+        this.subscriptions = subscriptions;
+        this.subscriptionsMtime = (await fs.stat(this.subscriptionsFile)).mtimeMs;
+      }
+      return result;
+    });
+  }
+
+  // Change state.json under the lock; return false from `change` to leave it unsaved
+  async updateState(change) {
+    return this.withLock(async () => {
+      const state = await readJSON(this.stateFile) || {};
+      if (change(state) !== false) {
+        await writeJSON(this.stateFile, state);
+      }
+      return state;
+    });
+  }
+
+  async listPending(subscriptionId = null) {
+    return this.listDeliveries(this.pendingDir, subscriptionId);
+  }
+
+  async savePending(delivery) {
+    await writeJSON(path.join(this.pendingDir, `${delivery.id}.json`), delivery);
+  }
+
+  async removePending(id) {
+    await fs.unlink(path.join(this.pendingDir, `${id}.json`)).catch(() => {});
+  }
+
+  async listDead(subscriptionId = null) {
+    return this.listDeliveries(this.deadDir, subscriptionId);
+  }
+
+  async getDead(id) {
+    return SubscriptionStore.isValidDeliveryId(id) ? readJSON(path.join(this.deadDir, `${id}.json`)) : null;
+  }
+
+  // A delivery out of attempts leaves the pending queue for the dead letters
+  async bury(delivery) {
+    await writeJSON(path.join(this.deadDir, `${delivery.id}.json`), delivery);
+    await this.removePending(delivery.id);
+  }
+
+  /**
+   * Put a dead letter back in the pending queue
+   * @returns {Promise<boolean>} false if it's no longer a dead letter, e.g. replayed meanwhile
+   */
+  async resurrect(delivery) {
+    try {
+      await fs.unlink(path.join(this.deadDir, `${delivery.id}.json`));
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+    await this.savePending(delivery);
+    return true;
+  }
+
+  // Only the dispatcher appends, so the log needs no lock
+  async appendLog(subscriptionId, entry) {
+    const file = this.logFile(subscriptionId);
+    await fs.appendFile(file, JSON.stringify(entry) + '\n');
+
+    const stat = await fs.stat(file);
+    if (stat.size > MAX_LOG_BYTES) {
+      const lines = (await fs.readFile(file, 'utf8')).split('\n').filter(Boolean);
+      await writeFile(file, lines.slice(-this.logRetention).join('\n') + '\n');
+    }
+  }
+
+  // Delivery attempts, newest first
+  async readLog(subscriptionId, { deliveryId, limit = 100 } = {}) {
+    let text;
+    try {
+      text = await fs.readFile(this.logFile(subscriptionId), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = [];
+    const lines = text.split('\n');
+    for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+      if (!lines[i]) continue;
+      try {
+        const entry = JSON.parse(lines[i]);
+        if (!deliveryId || entry.deliveryId === deliveryId) entries.push(entry);
+      } catch (error) {
+        // A line cut short by a crash
+      }
+    }
+    return entries;
+  }
+
+  // Drop a deleted subscription's queue, dead letters and log
+  async removeDeliveries(subscriptionId) {
+    const deliveries = [...await this.listPending(subscriptionId), ...await this.listDead(subscriptionId)];
+    await Promise.all(deliveries.map(delivery => Promise.all([
+      fs.unlink(path.join(this.pendingDir, `${delivery.id}.json`)).catch(() => {}),
+      fs.unlink(path.join(this.deadDir, `${delivery.id}.json`)).catch(() => {})
+    ])));
+    await fs.unlink(this.logFile(subscriptionId)).catch(() => {});
+  }
+
+  async listDeliveries(dir, subscriptionId) {
+    const names = await fs.readdir(dir).catch(error => {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    });
+
+    const deliveries = await Promise.all(names
+      .filter(name => DELIVERY_FILE.test(name))
+      .map(name => readJSON(path.join(dir, name))));
+    return deliveries
+      .filter(delivery => delivery && (!subscriptionId || delivery.subscriptionId === subscriptionId))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  logFile(subscriptionId) {
+    return path.join(this.logsDir, `${subscriptionId}.jsonl`);
+  }
+
+  // The lock file needs the directory, which a fresh install doesn't have yet
+  async withLock(fn) {
+    await fs.mkdir(this.dir, { recursive: true });
+    return withFileLock(this.lockFile, fn);
+  }
+}
+
+async function readJSON(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn('🍌 Could not read subscription file', { file: path.basename(file), error: error.message });
+    }
+    return null;
+  }
+}
+
+async function writeJSON(file, data) {
+  await writeFile(file, JSON.stringify(data));
+}
+
+async function writeFile(file, text) {
+  const temp = `${file}.${process.pid}.${++tempFiles}.tmp`;
+  await fs.writeFile(temp, text);
+  await fs.rename(temp, file);
+}
+
+module.exports = { SubscriptionStore };
@@ -0,0 +1,104 @@
+/**
+ * 🍌 BANANA-POWERED VECTOR INDEX 🍌
+ *
+ * Small in-memory nearest-neighbour index for embedding vectors.
+ * Vectors are stored unit-length, so cosine similarity is a dot
+ * product; lookups scan every entry, which stays fast at the few
+ * thousand entries a Pi-hosted cache holds. Oldest entries are
+ * dropped once `maxEntries` is reached.
+ */
+class VectorIndex {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 2000;
+    this.entries = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Add or replace a vector
+   * @param {string} id - Entry id
+   * @param {Array<number>} vector - Embedding vector
+   * @param {Object} metadata - Returned with matches and passed to lookup filters
+   */
+  add(id, vector, metadata = {}) {
+    const unit = normalize(vector);
+    if (!unit) return false;
+
+    // Re-adding moves the entry to the back of the eviction order
+    this.entries.delete(id);
+    this.entries.set(id, { vector: unit, metadata });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    return true;
+  }
+
+  remove(id) {
+    return this.entries.delete(id);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Most similar entry at or above `threshold`
+   * @param {Array<number>} vector - Query embedding
+   * @param {Object} options - `threshold` (cosine, default 0) and `filter(metadata, id)`
+   * @returns {{ id, score, metadata }|null}
+   */
+  nearest(vector, options = {}) {
+    const query = normalize(vector);
+    if (!query) return null;
+
+    const { threshold = 0, filter } = options;
+    let best = null;
+
+    for (const [id, entry] of this.entries) {
+      // Vectors from a different embedding model can't be compared
+      if (entry.vector.length !== query.length) continue;
+      if (filter && !filter(entry.metadata, id)) continue;
+
+      const score = dot(query, entry.vector);
+      if (score >= threshold && (!best || score > best.score)) {
+        best = { id, score, metadata: entry.metadata };
+      }
+    }
+
+    return best;
+  }
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+// Unit-length copy of a vector, or null for empty and zero vectors
+function normalize(vector) {
+  if (!vector || vector.length === 0) return null;
+
+  const norm = Math.sqrt(dot(vector, vector));
+  if (!norm) return null;
+
+  return Float32Array.from(vector, value => value / norm);
+}
+
+function cosineSimilarity(a, b) {
+  const unitA = normalize(a);
+  const unitB = normalize(b);
+  if (!unitA || !unitB || unitA.length !== unitB.length) return 0;
+  return dot(unitA, unitB);
+}
+
+module.exports = {
+  VectorIndex,
+  cosineSimilarity
+};
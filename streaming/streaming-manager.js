@@ -180,6 +180,9 @@ class BananaStreamingManager extends EventEmitter {
             case 'tool_calls':
                 this.startToolCallStream(clientId, filters);
                 break;
+            case 'job_progress':
+                // Pushed by the streaming server as the job queue reports
+                break;
             default:
                 logger.warn('🍌 Unknown channel for streaming', { channelName });
         }
@@ -466,7 +469,8 @@ class BananaStreamingManager extends EventEmitter {
                 'hubspot_contacts',
                 'mcp_status',
                 'performance_metrics',
-                'tool_calls'
+                'tool_calls',
+                'job_progress'
             ],
             features: {
                 realTimeUpdates: true,
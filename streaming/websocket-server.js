@@ -2,12 +2,17 @@ const WebSocket = require('ws');
 const EventEmitter = require('events');
 const logger = require('../shared/logger');
 const config = require('../shared/config');
+const { isAdmin } = require('../shared/auth-policy');
+const { summarize: summarizeJob } = require('../services/job-queue');
 
 /**
  * 🍌 BANANA-POWERED REAL-TIME STREAMING SERVER 🍌
  * 
  * Provides real-time updates for MCP operations and HubSpot data
- * using WebSocket connections with intelligent routing and scaling
+ * using WebSocket connections with intelligent routing and scaling.
+ * With an `authenticate` option, connections are refused unless it
+ * resolves the upgrade request to a principal; job progress only goes
+ * to the principal that owns the job, and to admins.
  */
 
 class BananaStreamingServer extends EventEmitter {
@@ -28,7 +33,8 @@ class BananaStreamingServer extends EventEmitter {
             server: server,
             path: this.options.path,
             perMessageDeflate: this.options.compressionEnabled,
-            maxPayload: 1024 * 1024 // 1MB max message size
+            maxPayload: 1024 * 1024, // 1MB max message size
+            verifyClient: this.options.authenticate && ((info, done) => this.verifyClient(info, done))
         });
 
         this.clients = new Map();
@@ -47,6 +53,10 @@ class BananaStreamingServer extends EventEmitter {
         this.setupWebSocketServer();
         this.startHeartbeat();
         this.startMetricsCollection();
+
+        if (this.options.jobQueue) {
+            this.attachJobQueue(this.options.jobQueue);
+        }
         
         logger.info('🍌 Banana Streaming Server initialized', {
             port: this.options.port,
@@ -70,6 +80,20 @@ class BananaStreamingServer extends EventEmitter {
         process.on('SIGINT', () => this.shutdown());
     }
 
+    // Accept the upgrade only once `authenticate` names its principal
+    verifyClient({ req }, done) {
+        this.options.authenticate(req)
+            .then(principal => {
+                if (!principal) return done(false, 401, 'Authentication required');
+                req.principal = principal;
+                done(true);
+            })
+            .catch(error => {
+                logger.warn('🍌 Could not authenticate WebSocket connection', { error: error.message });
+                done(false, 500, 'Authentication failed');
+            });
+    }
+
     handleNewConnection(ws, request) {
         const clientId = this.generateClientId();
         const clientInfo = this.extractClientInfo(request);
@@ -86,6 +110,7 @@ class BananaStreamingServer extends EventEmitter {
             id: clientId,
             ws: ws,
             info: clientInfo,
+            principal: request.principal || null,
             channels: new Set(),
             lastPing: Date.now(),
             isAlive: true,
@@ -384,11 +409,14 @@ class BananaStreamingServer extends EventEmitter {
             case 'performance_metrics':
                 this.sendPerformanceMetrics(clientId);
                 break;
+            case 'job_progress':
+                this.sendActiveJobs(clientId);
+                break;
         }
     }
 
-    // Broadcasting methods
-    broadcastToChannel(channelName, data) {
+    // Broadcasting methods; `canReceive(client)` narrows who gets the update
+    broadcastToChannel(channelName, data, canReceive = () => true) {
         if (!this.channels.has(channelName)) return;
 
         const clients = this.channels.get(channelName);
@@ -400,6 +428,7 @@ class BananaStreamingServer extends EventEmitter {
         };
 
         for (const clientId of clients) {
+            if (!canReceive(this.clients.get(clientId))) continue;
             this.sendToClient(clientId, message);
         }
 
@@ -499,7 +528,7 @@ class BananaStreamingServer extends EventEmitter {
     }
 
     startHeartbeat() {
-        setInterval(() => {
+        this.heartbeatTimer = setInterval(() => {
             this.wss.clients.forEach((ws) => {
                 const client = Array.from(this.clients.values()).find(c => c.ws === ws);
                 if (client) {
@@ -513,16 +542,18 @@ class BananaStreamingServer extends EventEmitter {
                 }
             });
         }, this.options.heartbeatInterval);
+        this.heartbeatTimer.unref?.();
     }
 
     startMetricsCollection() {
-        setInterval(() => {
+        this.metricsTimer = setInterval(() => {
             // Reset per-second metrics
             this.metrics.messagesPerSecond = 0;
             
             // Emit metrics for monitoring
             this.emit('metrics', { ...this.metrics });
         }, 1000);
+        this.metricsTimer.unref?.();
     }
 
     // Utility methods
@@ -595,6 +626,38 @@ class BananaStreamingServer extends EventEmitter {
         });
     }
 
+    // Push every job state change and progress report to the job_progress
+    // subscribers that may see the job
+    attachJobQueue(jobQueue) {
+        this.jobQueue = jobQueue;
+        jobQueue.on('job', (event, access = {}) => {
+            this.broadcastToChannel('job_progress', event, client => canSeeJob(client?.principal, access.owner));
+        });
+
+        logger.info('🍌 Job progress streaming enabled');
+    }
+
+    sendActiveJobs(clientId) {
+        if (!this.jobQueue) return;
+        const principal = this.clients.get(clientId)?.principal;
+        const owner = isAdmin(principal) ? undefined : principal?.owner;
+
+        Promise.all([
+            this.jobQueue.list({ status: 'running', owner }),
+            this.jobQueue.list({ status: 'queued', owner })
+        ]).then(([running, queued]) => {
+            const jobs = [...running, ...queued].filter(job => canSeeJob(principal, job.owner));
+            this.sendToClient(clientId, {
+                type: 'channel_update',
+                channel: 'job_progress',
+                data: { jobs: jobs.map(summarizeJob) },
+                timestamp: Date.now()
+            });
+        }).catch(error => {
+            logger.warn('🍌 Could not load active jobs for streaming', { error: error.message });
+        });
+    }
+
     // Public API methods
     getMetrics() {
         return {
@@ -621,6 +684,8 @@ class BananaStreamingServer extends EventEmitter {
 
     shutdown() {
         logger.info('🍌 Shutting down Banana Streaming Server');
+        clearInterval(this.heartbeatTimer);
+        clearInterval(this.metricsTimer);
         
         // Close all client connections
         for (const [clientId] of this.clients) {
@@ -636,4 +701,9 @@ class BananaStreamingServer extends EventEmitter {
     }
 }
 
+// Callers see their own jobs, as on /api/jobs; admins see every job
+function canSeeJob(principal, owner) {
+    return isAdmin(principal) || (!!principal?.owner && principal.owner === owner);
+}
+
 module.exports = BananaStreamingServer;
\ No newline at end of file
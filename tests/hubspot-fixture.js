@@ -0,0 +1,58 @@
+const axios = require('axios');
+
+/**
+ * 🍌 A HubSpot portal in memory, behind an axios adapter like the real client 🍌
+ *
+ * `objects` seeds the portal with a Map of records per object type. Every
+ * call is logged to `portal.calls` as "METHOD /path" and answered by
+ * `respond(call, portal)`, which returns (or resolves to) `{ status = 200, data }`.
+ * A call names the parts of /crm/v3/objects/{type}/{action}/{subAction} and
+ * carries the parsed JSON `body` and, for a Map of records, the type's
+ * `records` in ID order. While `portal.down` is set, calls fail to connect.
+ *
+ * @param {Object} objects - Object type → Map of record ID → record, or whatever else `respond` reads
+ * @param {Function} respond - (call, portal) → { status, data }
+ * @returns {{portal: Object, authHandler: Object}} authHandler as HubSpot services take it
+ */
+function fakeHubSpot(objects, respond) {
+  const portal = { ...objects, down: false, calls: [] };
+
+  const hubspotClient = axios.create({
+    baseURL: 'https://api.hubapi.com',
+    adapter: async (config) => {
+      if (portal.down) {
+        throw new axios.AxiosError('connect ECONNREFUSED', 'ECONNREFUSED', config);
+      }
+
+      const url = new URL(config.url, 'https://api.hubapi.com');
+      const [, , , , type, action, subAction] = url.pathname.split('/');
+      portal.calls.push(`${config.method.toUpperCase()} ${url.pathname}`);
+
+      const records = portal[type] instanceof Map ? [...portal[type].values()].sort((a, b) => a.id - b.id) : [];
+      const { status = 200, data } = await respond({
+        method: config.method,
+        url,
+        type,
+        action,
+        subAction,
+        body: config.data ? JSON.parse(config.data) : {},
+        records
+      }, portal);
+
+      const response = { status, headers: {}, data, config, statusText: String(status) };
+      if (status >= 400) {
+        throw new axios.AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_RESPONSE', config, null, response);
+      }
+      return response;
+    }
+  });
+
+  const authHandler = {
+    hubspotClient,
+    callHubSpot: async (endpoint, method = 'GET', data = null) => (await hubspotClient({ method, url: endpoint, data })).data,
+    searchHubSpot: async (type, searchRequest, options) => (await hubspotClient.post(`/crm/v3/objects/${type}/search`, searchRequest, options)).data
+  };
+  return { portal, authHandler };
+}
+
+module.exports = { fakeHubSpot };
@@ -1,5 +1,13 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const request = require('supertest');
+
+// A store of its own, provisioned below instead of the host's keys
+process.env.API_KEY_STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+
 const app = require('../../app');
+const APIKeyAuth = require('../../middleware/api-key-auth');
 const HybridMCPServer = require('../../mcp-server/hybrid-server');
 const MCPClientConfig = require('../../helpers/mcp-client-config');
 
@@ -20,18 +28,15 @@ describe('🍌 MCP Integration Tests', () => {
     // Start server
     server = app.listen(3001);
     
-    // Get admin API key for testing
-    const response = await request(app)
-      .get('/setup/admin-key')
-      .expect(200);
-    
-    adminApiKey = response.body.adminKey;
+    // Provision an admin API key for testing
+    ({ apiKey: adminApiKey } = await new APIKeyAuth().createAPIKey('mcp-test-admin', 'admin'));
   });
 
   afterAll(async () => {
     if (server) {
       server.close();
     }
+    fs.rmSync(process.env.API_KEY_STORE_DIR, { recursive: true, force: true });
   });
 
   describe('🔌 MCP Monitoring Endpoints', () => {
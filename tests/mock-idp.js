@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const express = require('express');
+const { SignJWT, generateKeyPair, exportJWK } = require('jose');
+
+/**
+ * 🍌 Mock OpenID Connect provider for the sign-in tests 🍌
+ *
+ * Just enough of an IdP for the authorization code flow with PKCE:
+ * discovery, an /authorize that signs in `idp.user` without asking,
+ * a /token that checks the client, the redirect URI and the code verifier,
+ * and the JWKS its RS256 ID tokens verify against.
+ */
+async function startMockIdP({ clientId, clientSecret, redirectUri }) {
+  const { publicKey, privateKey } = await generateKeyPair('RS256');
+  const jwk = { ...(await exportJWK(publicKey)), kid: 'mock-key', alg: 'RS256', use: 'sig' };
+  const codes = new Map();
+
+  const idp = {
+    user: { sub: 'user-1', email: 'ada@example.com', groups: [] },
+    issuer: null,
+    stop: null
+  };
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer: idp.issuer,
+      authorization_endpoint: `${idp.issuer}/authorize`,
+      token_endpoint: `${idp.issuer}/token`,
+      jwks_uri: `${idp.issuer}/jwks`,
+      response_types_supported: ['code'],
+      code_challenge_methods_supported: ['S256'],
+      id_token_signing_alg_values_supported: ['RS256']
+    });
+  });
+
+  app.get('/jwks', (req, res) => res.json({ keys: [jwk] }));
+
+  app.get('/authorize', (req, res) => {
+    const { client_id: client, redirect_uri: redirect, state, nonce, code_challenge: challenge, code_challenge_method: method } = req.query;
+    if (client !== clientId || redirect !== redirectUri || method !== 'S256' || !challenge) {
+      return res.status(400).send('Bad authorization request');
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, { challenge, nonce, user: { ...idp.user } });
+    res.redirect(`${redirect}?${new URLSearchParams({ code, state })}`);
+  });
+
+  app.post('/token', async (req, res) => {
+    const [id, secret] = Buffer.from((req.get('Authorization') || '').replace(/^Basic /, ''), 'base64')
+      .toString().split(':').map(decodeURIComponent);
+    if (id !== clientId || secret !== clientSecret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    const verified = grant && crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url') === grant.challenge;
+    if (!verified || req.body.redirect_uri !== redirectUri) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'Code or verifier not valid' });
+    }
+
+    const idToken = await new SignJWT({ ...grant.user, nonce: grant.nonce })
+      .setProtectedHeader({ alg: 'RS256', kid: jwk.kid })
+      .setIssuer(idp.issuer)
+      .setAudience(clientId)
+      .setSubject(grant.user.sub)
+      .setIssuedAt()
+      .setExpirationTime('5m')
+      .sign(privateKey);
+    res.json({ access_token: crypto.randomBytes(16).toString('hex'), token_type: 'Bearer', expires_in: 300, id_token: idToken });
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  idp.issuer = `http://127.0.0.1:${server.address().port}`;
+  idp.stop = () => new Promise(resolve => {
+    server.close(resolve);
+    server.closeAllConnections();
+  });
+  return idp;
+}
+
+module.exports = { startMockIdP };
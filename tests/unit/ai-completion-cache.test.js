@@ -0,0 +1,130 @@
+jest.mock('axios');
+const axios = require('axios');
+const AICompletionCache = require('../../middleware/ai-completion-cache');
+const streamEvents = require('../../shared/ai-stream-events');
+const { createPrincipal } = require('../../shared/auth-policy');
+
+// Map-backed stand-in for IntelligentCache's get/fetch/set/delete/getKeys
+const mapStore = () => {
+  const entries = new Map();
+  return {
+    entries,
+    get: (key) => entries.get(key) || null,
+    fetch: async (key) => entries.get(key) || null,
+    set: (key, value) => entries.set(key, value),
+    delete: (key) => entries.delete(key),
+    getKeys: (pattern) => [...entries.keys()].filter(key => new RegExp(pattern).test(key))
+  };
+};
+
+// Host pool stand-in that sends every embedding request to one URL
+const singleHostPool = { run: (model, fn) => fn('http://embedder:11434') };
+
+const answer = (text) => ({
+  id: 'msg_1',
+  type: 'message',
+  role: 'assistant',
+  content: [{ type: 'text', text }],
+  model: 'llama3.2:latest',
+  stop_reason: 'end_turn',
+  stop_sequence: null,
+  usage: { input_tokens: 12, output_tokens: 4 }
+});
+
+describe('🍌 AICompletionCache - AI Response Cache Tests', () => {
+  const principal = (id) => createPrincipal({ type: 'service', id, roles: ['premium'], authMethod: 'api_key' });
+  const req = { principal: principal('key_one'), headers: {} };
+  const options = { model: 'claude-3-haiku-20240307', max_tokens: 100, temperature: 0 };
+
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('should serve deterministic requests from the exact cache, ignoring whitespace', async () => {
+    const cache = new AICompletionCache({ intelligentCache: mapStore() });
+
+    const first = cache.prepare(req, [{ role: 'user', content: 'What is  the capital of France?' }], options);
+    expect(await cache.lookup(first)).toBeNull();
+    await cache.store(first, answer('Paris.'), { provider: 'ollama' });
+
+    const again = cache.prepare(req, [{ role: 'user', content: [{ type: 'text', text: ' What is the capital of France? ' }] }], options);
+    await expect(cache.lookup(again)).resolves.toMatchObject({
+      message: answer('Paris.'),
+      provider: 'ollama',
+      match: 'exact',
+      similarity: 1
+    });
+
+    // Different settings, callers or temperatures don't share answers
+    const messages = [{ role: 'user', content: 'What is the capital of France?' }];
+    expect(await cache.lookup(cache.prepare(req, messages, { ...options, max_tokens: 200 }))).toBeNull();
+    expect(await cache.lookup(cache.prepare({ principal: principal('key_two'), headers: {} }, messages, options))).toBeNull();
+    expect(cache.prepare(req, messages, { ...options, temperature: 0.7 })).toBeNull();
+    expect(cache.prepare({ ...req, headers: { 'cache-control': 'no-store' } }, messages, options)).toBeNull();
+
+    expect(cache.getStats()).toMatchObject({ exactHits: 1, misses: 3, stores: 1 });
+  });
+
+  test('should return answers to similar prompts above the similarity threshold', async () => {
+    const vectors = {
+      'user: What is the capital of France?': [0.9, 0.1, 0],
+      'user: Tell me the capital city of France': [0.88, 0.12, 0.01],
+      'user: How do I bake bread?': [0, 0.2, 0.95]
+    };
+    axios.post.mockImplementation(async (url, body) => ({ data: { embeddings: [vectors[body.input]] } }));
+
+    const cache = new AICompletionCache({
+      intelligentCache: mapStore(),
+      pool: singleHostPool,
+      similarity: { enabled: true, threshold: 0.98 }
+    });
+
+    const original = cache.prepare(req, [{ role: 'user', content: 'What is the capital of France?' }], options);
+    await cache.lookup(original);
+    await cache.store(original, answer('Paris.'), { provider: 'anthropic' });
+
+    const similar = cache.prepare(req, [{ role: 'user', content: 'Tell me the capital city of France' }], options);
+    const hit = await cache.lookup(similar);
+    expect(hit).toMatchObject({ match: 'semantic', provider: 'anthropic' });
+    expect(hit.similarity).toBeGreaterThan(0.98);
+
+    const unrelated = cache.prepare(req, [{ role: 'user', content: 'How do I bake bread?' }], options);
+    expect(await cache.lookup(unrelated)).toBeNull();
+
+    const [url, body] = axios.post.mock.calls[0];
+    expect(url).toBe('http://embedder:11434/api/embed');
+    expect(body.model).toBe('nomic-embed-text');
+    // The vector from the lookup is reused when storing
+    expect(axios.post).toHaveBeenCalledTimes(3);
+  });
+
+  test('should fall back to exact matching when embeddings fail', async () => {
+    axios.post.mockRejectedValue(new Error('model "nomic-embed-text" not found'));
+    const cache = new AICompletionCache({
+      intelligentCache: mapStore(),
+      pool: singleHostPool,
+      similarity: { enabled: true }
+    });
+
+    const request = cache.prepare(req, [{ role: 'user', content: 'Hi' }], options);
+    expect(await cache.lookup(request)).toBeNull();
+    await cache.store(request, answer('Hello!'), { provider: 'ollama' });
+
+    await expect(cache.lookup(cache.prepare(req, [{ role: 'user', content: 'Hi' }], options)))
+      .resolves.toMatchObject({ match: 'exact' });
+    expect(cache.getStats().embeddingErrors).toBe(2);
+  });
+
+  test('should rebuild a streamed answer, tool calls included, from its events', () => {
+    const message = {
+      ...answer('Let me check.'),
+      content: [
+        { type: 'text', text: 'Let me check.' },
+        { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } }
+      ],
+      stop_reason: 'tool_use'
+    };
+
+    expect(streamEvents.eventsToMessage([...streamEvents.messageToEvents(message)])).toEqual(message);
+  });
+});
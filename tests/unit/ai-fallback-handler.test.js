@@ -0,0 +1,582 @@
+const { Readable } = require('stream');
+
+jest.mock('axios');
+const axios = require('axios');
+const AIFallbackHandler = require('../../middleware/ai-fallback-handler');
+const ProviderRegistry = require('../../providers/provider-registry');
+const { OllamaHostPool } = require('../../shared/ollama-host-pool');
+
+// Build a readable stream from string chunks, like axios returns with responseType: 'stream'
+const streamOf = (chunks) => Readable.from(chunks.map(chunk => Buffer.from(chunk)));
+
+// A stream that emits the given chunks and then hangs until aborted, like a stalled upstream
+const stallingStreamOf = (chunks, signal) => {
+  const stream = new Readable({ read() {} });
+  chunks.forEach(chunk => stream.push(Buffer.from(chunk)));
+  signal.addEventListener('abort', () => stream.destroy(new Error('canceled')));
+  return stream;
+};
+
+const collect = async (iterable) => {
+  const events = [];
+  for await (const event of iterable) {
+    events.push(event);
+  }
+  return events;
+};
+
+describe('🍌 AIFallbackHandler - Smart AI Routing Tests', () => {
+  let handler;
+
+  beforeEach(() => {
+    axios.get.mockResolvedValue({ status: 200, data: { models: [{ name: 'llama3.2:latest' }] } });
+    // An explicit URL gives each handler its own host pool instead of the shared one
+    handler = new AIFallbackHandler({ anthropicApiKey: 'test-key', ollamaBaseUrl: 'http://localhost:11434' });
+    handler.getProvider('ollama').status.available = true;
+  });
+
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('should translate Ollama NDJSON chunks into Anthropic stream events', async () => {
+    axios.post.mockResolvedValue({
+      data: streamOf([
+        '{"model":"llama3.2:latest","message":{"role":"assistant","content":"Hel"},"done":false}\n{"model":"llama3.2:latest","mess',
+        'age":{"role":"assistant","content":"lo"},"done":false}\n',
+        '{"model":"llama3.2:latest","message":{"role":"assistant","content":""},"done":true,"done_reason":"stop","prompt_eval_count":26,"eval_count":2}\n'
+      ])
+    });
+
+    const events = await collect(handler.getProvider('ollama').stream([{ role: 'user', content: 'Hi' }]));
+
+    expect(events.map(e => e.type)).toEqual([
+      'message_start',
+      'content_block_start',
+      'content_block_delta',
+      'content_block_delta',
+      'content_block_stop',
+      'message_delta',
+      'message_stop'
+    ]);
+    expect(events[2].delta).toEqual({ type: 'text_delta', text: 'Hel' });
+    expect(events[3].delta.text).toBe('lo');
+    expect(events[5].delta.stop_reason).toBe('end_turn');
+    expect(events[5].usage).toEqual({ output_tokens: 2, input_tokens: 26 });
+
+    const [url, requestData, requestConfig] = axios.post.mock.calls[0];
+    expect(url).toBe('http://localhost:11434/api/chat');
+    expect(requestData.stream).toBe(true);
+    expect(requestConfig.responseType).toBe('stream');
+  });
+
+  test('should pass Anthropic SSE events through unchanged', async () => {
+    axios.post.mockResolvedValue({
+      data: streamOf([
+        'event: message_start\ndata: {"type":"message_start","message":{"id":"msg_1"}}\n\n',
+        'event: content_block_delta\ndata: {"type":"content_block_delta","index":0,',
+        '"delta":{"type":"text_delta","text":"Hi"}}\n\nevent: message_stop\ndata: {"type":"message_stop"}\n\n'
+      ])
+    });
+
+    const events = await collect(handler.getProvider('anthropic').stream([{ role: 'user', content: 'Hi' }], {
+      model: 'claude-3-haiku-20240307',
+      taskType: 'code_review'
+    }));
+
+    expect(events.map(e => e.type)).toEqual(['message_start', 'content_block_delta', 'message_stop']);
+    expect(events[1].delta.text).toBe('Hi');
+
+    const [url, requestData] = axios.post.mock.calls[0];
+    expect(url).toBe('https://api.anthropic.com/v1/messages');
+    expect(requestData.stream).toBe(true);
+    expect(requestData).not.toHaveProperty('taskType');
+  });
+
+  test('should fall back to Anthropic when Ollama fails before the first event', async () => {
+    axios.post
+      .mockRejectedValueOnce(new Error('connect ECONNREFUSED'))
+      .mockResolvedValueOnce({
+        data: streamOf(['data: {"type":"message_start","message":{"id":"msg_2"}}\n\ndata: {"type":"message_stop"}\n\n'])
+      });
+
+    const result = await handler.processAIRequestStream([{ role: 'user', content: 'Hello there' }]);
+    const events = await collect(result.events);
+
+    expect(result.provider).toBe('anthropic');
+    expect(result.fallbackUsed).toBe(true);
+    expect(result.originalProvider).toBe('ollama');
+    expect(events.map(e => e.type)).toEqual(['message_start', 'message_stop']);
+    expect(handler.stats.streamingRequests).toBe(1);
+    expect(handler.stats.fallbackTriggers).toBe(1);
+  });
+
+  describe('Mid-stream failover', () => {
+    const partialOllamaChunks = [
+      '{"model":"llama3.2:latest","message":{"role":"assistant","content":"The answer "},"done":false}\n',
+      '{"model":"llama3.2:latest","message":{"role":"assistant","content":"is"},"done":false}\n'
+    ];
+
+    const anthropicContinuation = () => ({
+      data: streamOf([
+        'data: {"type":"message_start","message":{"id":"msg_3"}}\n\n',
+        'data: {"type":"content_block_start","index":0,"content_block":{"type":"text","text":""}}\n\n',
+        'data: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":" 42."}}\n\n',
+        'data: {"type":"content_block_stop","index":0}\n\n',
+        'data: {"type":"message_delta","delta":{"stop_reason":"end_turn"},"usage":{"output_tokens":3}}\n\n',
+        'data: {"type":"message_stop"}\n\n'
+      ])
+    });
+
+    test('should resume on Anthropic with the partial answer as a prefill when Ollama stalls', async () => {
+      handler.streamStallTimeout = 50;
+      axios.post
+        .mockImplementationOnce((url, data, config) => Promise.resolve({
+          data: stallingStreamOf(partialOllamaChunks, config.signal)
+        }))
+        .mockResolvedValueOnce(anthropicContinuation());
+
+      const messages = [{ role: 'user', content: 'What is the answer?' }];
+      const result = await handler.processAIRequestStream(messages);
+      const events = await collect(result.events);
+
+      const text = events
+        .filter(e => e.type === 'content_block_delta')
+        .map(e => e.delta.text)
+        .join('');
+      expect(text).toBe('The answer is 42.');
+      expect(events.filter(e => e.type === 'message_start')).toHaveLength(1);
+      expect(events.filter(e => e.type === 'content_block_start')).toHaveLength(1);
+      expect(events.filter(e => e.type === 'content_block_delta').every(e => e.index === 0)).toBe(true);
+
+      const messageDelta = events.find(e => e.type === 'message_delta');
+      expect(messageDelta.metadata).toEqual({
+        provider: 'anthropic',
+        originalProvider: 'ollama',
+        fallbackUsed: true,
+        resumedAt: 'The answer is'.length
+      });
+
+      const [, resumeRequest] = axios.post.mock.calls[1];
+      expect(resumeRequest.messages).toEqual([
+        ...messages,
+        { role: 'assistant', content: 'The answer is' }
+      ]);
+      expect(result.provider).toBe('anthropic');
+      expect(result.fallbackUsed).toBe(true);
+      expect(handler.stats.midStreamFailovers).toBe(1);
+    });
+
+    test('should resume when the upstream ends without message_stop', async () => {
+      axios.post
+        .mockResolvedValueOnce({ data: streamOf(partialOllamaChunks) })
+        .mockResolvedValueOnce(anthropicContinuation());
+
+      const result = await handler.processAIRequestStream([{ role: 'user', content: 'What is the answer?' }]);
+      const events = await collect(result.events);
+
+      expect(events[events.length - 1].type).toBe('message_stop');
+      expect(result.resumedAt).toBe('The answer is'.length);
+    });
+
+    test('should total real usage and cost across both providers', async () => {
+      axios.post
+        .mockResolvedValueOnce({ data: streamOf(partialOllamaChunks) })
+        .mockResolvedValueOnce({
+          data: streamOf([
+            'data: {"type":"message_start","message":{"id":"msg_5","model":"claude-3-5-haiku-20241022","usage":{"input_tokens":40,"output_tokens":1}}}\n\n',
+            'data: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":" 42."}}\n\n',
+            'data: {"type":"message_delta","delta":{"stop_reason":"end_turn"},"usage":{"output_tokens":3}}\n\n',
+            'data: {"type":"message_stop"}\n\n'
+          ])
+        });
+
+      const result = await handler.processAIRequestStream([{ role: 'user', content: 'What is the answer?' }]);
+      await collect(result.events);
+
+      // Ollama's estimated prompt (free) plus Claude 3.5 Haiku at $0.80/$4 per million tokens
+      expect(result.usage).toEqual({ input_tokens: 45, output_tokens: 3 });
+      expect(result.model).toBe('claude-3-5-haiku-20241022');
+      expect(result.cost).toBeCloseTo((40 * 0.8 + 3 * 4) / 1000000, 12);
+    });
+
+    test('should surface the failure when no fallback provider is available', async () => {
+      handler.getProvider('anthropic').status.outOfCredits = true;
+      axios.post.mockResolvedValueOnce({ data: streamOf(partialOllamaChunks) });
+
+      const result = await handler.processAIRequestStream([{ role: 'user', content: 'What is the answer?' }]);
+
+      await expect(collect(result.events)).rejects.toThrow('ollama stream ended before message_stop');
+      expect(axios.post).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Ollama chat mode', () => {
+    const imageData = Buffer.from('fake-png').toString('base64');
+
+    test('should map system prompt, roles and images onto /api/chat', async () => {
+      axios.post.mockResolvedValue({
+        data: {
+          model: 'llava:latest',
+          message: { role: 'assistant', content: 'A banana.' },
+          done: true,
+          done_reason: 'stop',
+          prompt_eval_count: 42,
+          eval_count: 3
+        }
+      });
+
+      const result = await handler.getProvider('ollama').call([
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: 'Hello! Send me a picture.' },
+        {
+          role: 'user',
+          content: [
+            { type: 'image', source: { type: 'base64', media_type: 'image/png', data: imageData } },
+            { type: 'text', text: 'What is this?' }
+          ]
+        }
+      ], { model: 'llava:latest', system: 'You are terse.', max_tokens: 50, temperature: 0 });
+
+      const [url, requestData] = axios.post.mock.calls[0];
+      expect(url).toBe('http://localhost:11434/api/chat');
+      expect(requestData.model).toBe('llava:latest');
+      expect(requestData.messages).toEqual([
+        { role: 'system', content: 'You are terse.' },
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: 'Hello! Send me a picture.' },
+        { role: 'user', content: 'What is this?', images: [imageData] }
+      ]);
+      expect(requestData.options.num_predict).toBe(50);
+      expect(requestData.options.temperature).toBe(0);
+
+      expect(result.response).toMatchObject({
+        type: 'message',
+        role: 'assistant',
+        content: [{ type: 'text', text: 'A banana.' }],
+        model: 'llava:latest',
+        stop_reason: 'end_turn',
+        usage: { input_tokens: 42, output_tokens: 3 }
+      });
+    });
+
+    test('should keep the flattened prompt path in generate mode', async () => {
+      handler.getProvider('ollama').apiMode = 'generate';
+      axios.post.mockResolvedValue({ data: { model: 'llama3.2:latest', response: 'Sure.', done: true } });
+
+      const result = await handler.getProvider('ollama').call([{ role: 'user', content: 'Hi' }], { system: 'Be brief.' });
+
+      const [url, requestData] = axios.post.mock.calls[0];
+      expect(url).toBe('http://localhost:11434/api/generate');
+      expect(requestData.prompt).toBe('Human: Hi');
+      expect(requestData.system).toBe('Be brief.');
+      expect(result.response.content[0].text).toBe('Sure.');
+    });
+  });
+
+  describe('Tool use', () => {
+    const tools = [{
+      name: 'get_weather',
+      description: 'Current weather for a city',
+      input_schema: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] }
+    }];
+    const conversation = [
+      { role: 'user', content: 'Weather in Paris?' },
+      { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } }] },
+      { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: '18C and sunny' }] }
+    ];
+
+    test('should translate tools and tool turns for models with native support', async () => {
+      axios.post
+        .mockResolvedValueOnce({ data: { capabilities: ['completion', 'tools'] } })
+        .mockResolvedValueOnce({
+          data: {
+            model: 'llama3.2:latest',
+            message: {
+              role: 'assistant',
+              content: '',
+              tool_calls: [{ function: { name: 'get_weather', arguments: { city: 'Lyon' } } }]
+            },
+            done: true
+          }
+        });
+
+      const result = await handler.getProvider('ollama').call(conversation, { tools });
+
+      expect(axios.post.mock.calls[0][0]).toBe('http://localhost:11434/api/show');
+      const [url, requestData] = axios.post.mock.calls[1];
+      expect(url).toBe('http://localhost:11434/api/chat');
+      expect(requestData.tools[0]).toEqual({
+        type: 'function',
+        function: { name: 'get_weather', description: 'Current weather for a city', parameters: tools[0].input_schema }
+      });
+      expect(requestData.messages.slice(1)).toEqual([
+        { role: 'assistant', content: '', tool_calls: [{ function: { name: 'get_weather', arguments: { city: 'Paris' } } }] },
+        { role: 'tool', content: '18C and sunny', tool_name: 'get_weather' }
+      ]);
+      expect(requestData).not.toHaveProperty('format');
+
+      expect(result.response.stop_reason).toBe('tool_use');
+      expect(result.response.content).toEqual([
+        { type: 'tool_use', id: expect.stringMatching(/^toolu_/), name: 'get_weather', input: { city: 'Lyon' } }
+      ]);
+    });
+
+    test('should emulate tools with a JSON schema when the model lacks native support', async () => {
+      axios.post
+        .mockResolvedValueOnce({ data: { capabilities: ['completion'] } })
+        .mockResolvedValueOnce({
+          data: {
+            model: 'llama3.2:latest',
+            message: {
+              role: 'assistant',
+              content: '{"text":"Checking.","tool_calls":[{"name":"get_weather","input":{"city":"Lyon"}},{"name":"rm_rf","input":{}}]}'
+            },
+            done: true
+          }
+        });
+
+      const result = await handler.getProvider('ollama').call(conversation, { tools, system: 'Be helpful.' });
+
+      const [, requestData] = axios.post.mock.calls[1];
+      expect(requestData).not.toHaveProperty('tools');
+      expect(requestData.format.properties.tool_calls.items.properties.name.enum).toEqual(['get_weather']);
+      expect(requestData.messages[0].content).toMatch(/^Be helpful\.\n\nYou can call the following tools:/);
+      expect(requestData.messages[2]).toEqual({
+        role: 'assistant',
+        content: '{"text":"","tool_calls":[{"name":"get_weather","input":{"city":"Paris"}}]}'
+      });
+      expect(requestData.messages[3].content).toBe('Tool result for get_weather: 18C and sunny');
+
+      expect(result.response.stop_reason).toBe('tool_use');
+      expect(result.response.content).toEqual([
+        { type: 'text', text: 'Checking.' },
+        { type: 'tool_use', id: expect.stringMatching(/^toolu_/), name: 'get_weather', input: { city: 'Lyon' } }
+      ]);
+    });
+
+    test('should stream an emulated tool call as tool_use events', async () => {
+      axios.post
+        .mockResolvedValueOnce({ data: { capabilities: [] } })
+        .mockResolvedValueOnce({
+          data: {
+            model: 'llama3.2:latest',
+            message: { role: 'assistant', content: '{"text":"","tool_calls":[{"name":"get_weather","input":{"city":"Oslo"}}]}' },
+            done: true
+          }
+        });
+
+      const events = await collect(handler.getProvider('ollama').stream([{ role: 'user', content: 'Weather in Oslo?' }], { tools }));
+
+      expect(events[1].content_block).toMatchObject({ type: 'tool_use', name: 'get_weather' });
+      expect(events[2].delta).toEqual({ type: 'input_json_delta', partial_json: '{"city":"Oslo"}' });
+      expect(events.find(e => e.type === 'message_delta').delta.stop_reason).toBe('tool_use');
+    });
+
+    test('should route to Anthropic with tools untouched when emulation is disabled and unsupported', async () => {
+      handler.getProvider('ollama').toolEmulation = false;
+      axios.post
+        .mockResolvedValueOnce({ data: { capabilities: ['completion'] } })
+        .mockResolvedValueOnce({ data: { id: 'msg_4', content: [], stop_reason: 'tool_use' } });
+
+      const options = { model: 'claude-3-haiku-20240307', tools, tool_choice: { type: 'any' } };
+      const result = await handler.processAIRequest(conversation, options);
+
+      expect(result.provider).toBe('anthropic');
+      expect(result.routingReason).toBe('tool_use_unsupported_locally');
+      const [url, requestData] = axios.post.mock.calls[1];
+      expect(url).toBe('https://api.anthropic.com/v1/messages');
+      expect(requestData.tools).toEqual(tools);
+      expect(requestData.tool_choice).toEqual({ type: 'any' });
+      expect(requestData.messages).toEqual(conversation);
+    });
+  });
+
+  describe('Provider registry', () => {
+    const chain = [
+      { name: 'ollama-mini', type: 'ollama', baseUrl: 'http://mini:11434' },
+      { name: 'vllm', type: 'openai-compatible', baseUrl: 'http://gpu-box:8000/v1', defaultModel: 'qwen2.5-7b', apiKey: 'local' },
+      { name: 'claude', type: 'anthropic', apiKey: 'test-key' }
+    ];
+
+    beforeEach(() => {
+      handler = new AIFallbackHandler({ providers: chain });
+      handler.registry.list().forEach(provider => { provider.status.available = true; });
+    });
+
+    test('should fall through the configured chain in order', async () => {
+      axios.post
+        .mockRejectedValueOnce(new Error('connect ECONNREFUSED'))
+        .mockResolvedValueOnce({
+          data: {
+            id: 'chatcmpl-1',
+            model: 'qwen2.5-7b',
+            choices: [{ message: { role: 'assistant', content: 'Hi there.' }, finish_reason: 'stop' }],
+            usage: { prompt_tokens: 12, completion_tokens: 3 }
+          }
+        });
+
+      const result = await handler.processAIRequest([{ role: 'user', content: 'Hello' }], {
+        model: 'claude-3-haiku-20240307',
+        system: 'Be brief.',
+        max_tokens: 20
+      });
+
+      expect(axios.post.mock.calls[0][0]).toBe('http://mini:11434/api/chat');
+      const [url, requestData, requestConfig] = axios.post.mock.calls[1];
+      expect(url).toBe('http://gpu-box:8000/v1/chat/completions');
+      expect(requestConfig.headers.Authorization).toBe('Bearer local');
+      expect(requestData).toMatchObject({
+        model: 'qwen2.5-7b',
+        max_tokens: 20,
+        messages: [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hello' }]
+      });
+
+      expect(result).toMatchObject({ provider: 'vllm', fallbackUsed: true, originalProvider: 'ollama-mini' });
+      expect(result.response).toMatchObject({
+        content: [{ type: 'text', text: 'Hi there.' }],
+        stop_reason: 'end_turn',
+        usage: { input_tokens: 12, output_tokens: 3 }
+      });
+
+      const stats = handler.getStats();
+      expect(stats.routingChain).toEqual(['ollama-mini', 'vllm', 'claude']);
+      expect(stats.providers['ollama-mini']).toMatchObject({ type: 'ollama', requests: 1, errors: 1 });
+      expect(stats.providers.vllm).toMatchObject({ type: 'openai-compatible', requests: 1, successes: 1 });
+      expect(stats.vllmUsagePercent).toBe('50.0%');
+      expect(stats.fallbackTriggers).toBe(1);
+    });
+
+    test('should send specialized tasks to the premium provider wherever it sits in the chain', () => {
+      const routing = handler.determineProvider([{ role: 'user', content: 'Hi' }], { taskType: 'code_review' });
+      expect(routing).toEqual({ provider: 'claude', reason: 'specialized_task:code_review' });
+
+      handler.getProvider('ollama-mini').status.available = false;
+      expect(handler.determineProvider([{ role: 'user', content: 'Hi' }])).toEqual({ provider: 'vllm', reason: 'vllm_available' });
+    });
+
+    test('should translate OpenAI-compatible stream chunks into Anthropic events', async () => {
+      axios.post.mockResolvedValue({
+        data: streamOf([
+          'data: {"id":"c1","model":"qwen2.5-7b","choices":[{"delta":{"role":"assistant","content":"Hel"}}]}\n\n',
+          'data: {"id":"c1","choices":[{"delta":{"content":"lo"}}]}\n\n',
+          'data: {"id":"c1","choices":[{"delta":{},"finish_reason":"length"}]}\n\ndata: [DONE]\n\n'
+        ])
+      });
+
+      const events = await collect(handler.getProvider('vllm').stream([{ role: 'user', content: 'Hi' }]));
+
+      expect(events.map(e => e.type)).toEqual([
+        'message_start',
+        'content_block_start',
+        'content_block_delta',
+        'content_block_delta',
+        'content_block_stop',
+        'message_delta',
+        'message_stop'
+      ]);
+      expect(events[0].message.model).toBe('qwen2.5-7b');
+      expect(events[2].delta.text + events[3].delta.text).toBe('Hello');
+      expect(events[5].delta.stop_reason).toBe('max_tokens');
+    });
+
+    test('should reject unknown provider types', () => {
+      expect(() => ProviderRegistry.create({ name: 'mystery', type: 'carrier-pigeon' }))
+        .toThrow('Unknown AI provider type "carrier-pigeon"');
+    });
+  });
+
+  describe('Ollama host pool', () => {
+    let pool;
+
+    // Answer /api/tags and /api/ps per host; hosts left out are unreachable
+    const mockHosts = (hosts) => {
+      axios.get.mockImplementation(async (url) => {
+        const [, host, endpoint] = url.match(/^http:\/\/([^/]+)\/api\/(\w+)$/);
+        if (!hosts[host]) throw new Error('connect ECONNREFUSED');
+        const models = endpoint === 'ps' ? hosts[host].loaded || [] : hosts[host].installed || [];
+        return { data: { models: models.map(name => ({ name })) } };
+      });
+    };
+
+    beforeEach(() => {
+      pool = new OllamaHostPool({
+        hosts: ['http://mini:11434', 'http://studio:11434', 'http://laptop:11434'],
+        failureThreshold: 2,
+        cooldown: 1000
+      });
+    });
+
+    test('should place requests on a host with the model loaded, then installed, then least busy', async () => {
+      mockHosts({
+        'mini:11434': { installed: ['llama3.2:latest', 'qwen2.5:7b'], loaded: ['qwen2.5:7b'] },
+        'studio:11434': { installed: ['llama3.2:latest', 'qwen2.5:7b'], loaded: ['llama3.2:latest'] },
+        'laptop:11434': { installed: ['phi3:latest'] }
+      });
+      await pool.poll();
+
+      expect(pool.selectHost('llama3.2').name).toBe('studio:11434');
+      expect(pool.selectHost('qwen2.5:7b').name).toBe('mini:11434');
+      expect(pool.selectHost('phi3').name).toBe('laptop:11434');
+
+      // Nobody has the model: least busy host wins
+      const releaseMini = pool.lease(pool.hosts[0], null);
+      const releaseStudio = pool.lease(pool.hosts[1], null);
+      expect(pool.selectHost('mistral:latest').name).toBe('laptop:11434');
+      releaseMini();
+      releaseStudio();
+
+      expect(pool.listModels()).toContainEqual({
+        name: 'llama3.2:latest',
+        hosts: ['mini:11434', 'studio:11434'],
+        loadedOn: ['studio:11434']
+      });
+    });
+
+    test('should retry on the next host and eject a failing host until its cooldown passes', async () => {
+      mockHosts({
+        'mini:11434': { installed: ['llama3.2:latest'], loaded: ['llama3.2:latest'] },
+        'studio:11434': { installed: ['llama3.2:latest'] }
+      });
+      await pool.poll();
+      expect(pool.getStatus()).toMatchObject({ totalHosts: 3, healthyHosts: 2 });
+
+      const calls = [];
+      const send = async (url) => {
+        calls.push(url);
+        if (url === 'http://mini:11434') {
+          throw Object.assign(new Error('Internal Server Error'), { response: { status: 500 } });
+        }
+        return 'ok';
+      };
+
+      await expect(pool.run('llama3.2:latest', send)).resolves.toBe('ok');
+      await expect(pool.run('llama3.2:latest', send)).resolves.toBe('ok');
+      expect(calls).toEqual(['http://mini:11434', 'http://studio:11434', 'http://mini:11434', 'http://studio:11434']);
+
+      const mini = pool.getStatus().hosts.find(host => host.name === 'mini:11434');
+      expect(mini).toMatchObject({ circuit: 'open', consecutiveFailures: 2, failures: 2 });
+      // Serving the model marks it loaded on the host that answered
+      expect(pool.selectHost('llama3.2').name).toBe('studio:11434');
+
+      // After the cooldown one trial request is allowed; success closes the circuit
+      pool.hosts[0].circuit.openedAt -= 1000;
+      pool.hosts[1].loadedModels.clear();
+      expect(pool.selectHost('llama3.2').name).toBe('mini:11434');
+      expect(pool.hosts[0].circuit.state).toBe('half-open');
+
+      await pool.run('llama3.2:latest', async () => 'recovered');
+      expect(pool.hosts[0].circuit).toMatchObject({ state: 'closed', consecutiveFailures: 0 });
+    });
+
+    test('should not count client errors against a host', async () => {
+      mockHosts({ 'mini:11434': { installed: ['llama3.2:latest'] } });
+      await pool.poll();
+
+      const badRequest = Object.assign(new Error('Bad Request'), { response: { status: 400 } });
+      await expect(pool.run('llama3.2:latest', async () => { throw badRequest; })).rejects.toBe(badRequest);
+
+      expect(pool.hosts[0]).toMatchObject({ failures: 0, inFlight: 0 });
+    });
+  });
+});
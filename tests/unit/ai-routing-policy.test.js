@@ -0,0 +1,104 @@
+jest.mock('axios');
+const axios = require('axios');
+const AIRoutingPolicy = require('../../middleware/ai-routing-policy');
+const AIFallbackHandler = require('../../middleware/ai-fallback-handler');
+
+const ollamaReply = (content) => ({
+  data: {
+    model: 'llama3.2:latest',
+    message: { role: 'assistant', content },
+    done: true,
+    done_reason: 'stop',
+    prompt_eval_count: 10,
+    eval_count: 5
+  }
+});
+
+describe('🍌 AIRoutingPolicy - Learned Routing Tests', () => {
+  const simple = { length: 0.3, messages: 0.05, questions: 0.1, codeBlocks: 0, keywordTrigger: 0, complexity: 0, codeRelated: 0, hasSystem: 0, hasTools: 0, maxTokens: 0.1 };
+  const code = { ...simple, length: 0.7, codeBlocks: 1, complexity: 0.4, codeRelated: 1 };
+  const standard = { needed: false, reason: 'standard_request' };
+
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  // Route a request locally, serve it and rate the answer
+  const serveLocally = (policy, features, rating) => {
+    const id = policy.track(policy.decide(features, standard), { provider: 'ollama', local: true });
+    policy.recordOutcome(id, { servedBy: 'ollama', servedLocally: true, responseTime: 800 });
+    return policy.recordFeedback(id, { rating });
+  };
+
+  test('should learn from feedback and route by the model only in learned mode', () => {
+    const shadow = new AIRoutingPolicy({ mode: 'shadow', minSamples: 10 });
+    const learned = new AIRoutingPolicy({ mode: 'learned', minSamples: 10 });
+
+    for (const policy of [shadow, learned]) {
+      expect(policy.decide(code, standard)).toMatchObject({ needed: false, source: 'heuristic' });
+      for (let i = 0; i < 30; i++) {
+        serveLocally(policy, code, 'bad');
+        serveLocally(policy, simple, 'good');
+      }
+      expect(policy.predict(code)).toBeGreaterThan(0.7);
+      expect(policy.predict(simple)).toBeLessThan(0.3);
+    }
+
+    // Shadow mode keeps the heuristics' decision
+    expect(shadow.decide(code, standard)).toMatchObject({ needed: false, source: 'heuristic', reason: 'standard_request' });
+    expect(learned.decide(code, standard)).toMatchObject({ needed: true, source: 'learned' });
+    expect(learned.decide(code, standard).reason).toMatch(/^learned_routing:0\.\d\d$/);
+    expect(learned.decide(simple, { needed: true, reason: 'code_related_request' })).toMatchObject({ needed: false, source: 'learned' });
+  });
+
+  test('should label local failures and report decisions against outcomes', async () => {
+    axios.get.mockResolvedValue({ status: 200, data: { models: [{ name: 'llama3.2:latest' }] } });
+    const handler = new AIFallbackHandler({ anthropicApiKey: 'test-key', ollamaBaseUrl: 'http://localhost:11434' });
+    handler.getProvider('ollama').status.available = true;
+
+    axios.post
+      .mockRejectedValueOnce(new Error('connect ECONNREFUSED'))
+      .mockResolvedValueOnce({
+        data: {
+          id: 'msg_1',
+          model: 'claude-3-haiku-20240307',
+          content: [{ type: 'text', text: 'Hi!' }],
+          stop_reason: 'end_turn',
+          usage: { input_tokens: 8, output_tokens: 2 }
+        }
+      })
+      .mockResolvedValueOnce(ollamaReply('Hello!'));
+
+    const failedOver = await handler.processAIRequest([{ role: 'user', content: 'Hello' }], { model: 'claude-3-haiku-20240307' });
+    const local = await handler.processAIRequest([{ role: 'user', content: 'Hi' }], { model: 'claude-3-haiku-20240307' });
+
+    expect(failedOver.routingId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(handler.recordRoutingFeedback(local.routingId, { rating: 'bad' })).toEqual({
+      routingId: local.routingId,
+      rating: 'bad',
+      provider: 'ollama',
+      learned: true
+    });
+    // Feedback on a premium answer is kept but says nothing about local quality
+    expect(handler.recordRoutingFeedback(failedOver.routingId, { rating: 'good' }).learned).toBe(false);
+    expect(() => handler.recordRoutingFeedback(local.routingId, { rating: 'good' })).toThrow('already recorded');
+    expect(() => handler.recordRoutingFeedback('00000000-0000-4000-8000-000000000000', { rating: 'good' }))
+      .toThrow(expect.objectContaining({ statusCode: 404 }));
+
+    const report = handler.getRoutingReport();
+    expect(report).toMatchObject({
+      mode: 'shadow',
+      routingBy: 'heuristics',
+      model: { samples: 3 },
+      decisions: { total: 2, routedLocal: 2 },
+      shadow: { compared: 2 },
+      outcomes: {
+        local: { requests: 1, feedback: { good: 0, bad: 1 } },
+        premium: { requests: 1, fallbacks: 1, feedback: { good: 1, bad: 0 } }
+      },
+      evaluation: { labeled: 2 }
+    });
+    expect(report.recent[0]).toMatchObject({ routedTo: 'ollama', servedBy: 'ollama', label: 1, labelSource: 'feedback_bad' });
+    expect(report.recent[1]).toMatchObject({ routedTo: 'ollama', servedBy: 'anthropic', label: 1, labelSource: 'local_error' });
+  });
+});
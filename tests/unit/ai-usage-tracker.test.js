@@ -0,0 +1,121 @@
+const AIUsageTracker = require('../../middleware/ai-usage-tracker');
+const { normalizeBudget } = require('../../middleware/ai-usage-tracker');
+const { MemoryState } = require('../../shared/shared-state');
+
+// Minimal Express response double that records what the middleware sends
+const mockResponse = () => {
+  const res = { headers: {}, statusCode: 200, body: null };
+  res.set = jest.fn((name, value) => { res.headers[name] = value; return res; });
+  res.status = jest.fn((code) => { res.statusCode = code; return res; });
+  res.json = jest.fn((body) => { res.body = body; return res; });
+  return res;
+};
+
+describe('🍌 AIUsageTracker - Per-Key AI Budget Tests', () => {
+  let tracker;
+  let state;
+  const keyData = { id: 'key_one', name: 'premium-user', tier: 'premium' };
+  const budgets = { premium: { daily: { tokens: 1000, cost: 0.01 } } };
+
+  beforeEach(() => {
+    state = new MemoryState();
+    tracker = new AIUsageTracker({ tierBudgets: budgets, sharedState: state });
+  });
+
+  afterEach(async () => {
+    await state.stop();
+  });
+
+  test('should attribute usage and cost to the key per period and model', async () => {
+    await tracker.record(keyData, {
+      provider: 'anthropic',
+      model: 'claude-3-haiku-20240307',
+      usage: { input_tokens: 100, output_tokens: 50 },
+      cost: 0.0001
+    });
+    await tracker.record(keyData, {
+      provider: 'ollama',
+      model: 'llama3.2:latest',
+      usage: { input_tokens: 200, output_tokens: 100 },
+      cost: 0
+    });
+
+    const usage = await tracker.getUsage(keyData);
+
+    expect(usage.daily).toMatchObject({
+      requests: 2,
+      inputTokens: 300,
+      outputTokens: 150,
+      totalTokens: 450,
+      cost: 0.0001,
+      budget: { tokens: 1000, cost: 0.01 },
+      remaining: { tokens: 550, cost: 0.0099 }
+    });
+    expect(usage.monthly.budget).toEqual({ tokens: 20000000, cost: 100 });
+    expect(usage.monthly.byModel).toContainEqual(expect.objectContaining({
+      provider: 'ollama',
+      model: 'llama3.2:latest',
+      totalTokens: 300
+    }));
+    expect((await tracker.getUsage({ ...keyData, id: 'key_other' })).daily.requests).toBe(0);
+  });
+
+  test('should refuse requests with budget_exceeded once a limit is reached', async () => {
+    const middleware = tracker.middleware();
+    const req = { apiKeyData: keyData };
+    const next = jest.fn();
+    // Resolves once the middleware has answered or passed the request on
+    const run = (res) => new Promise(resolve => {
+      res.json.mockImplementation(body => { res.body = body; resolve(); return res; });
+      middleware(req, res, (...args) => { next(...args); resolve(); });
+    });
+
+    await run(mockResponse());
+    expect(next).toHaveBeenCalledTimes(1);
+
+    await tracker.record(keyData, { provider: 'ollama', usage: { input_tokens: 600, output_tokens: 400 } });
+
+    const res = mockResponse();
+    await run(res);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.statusCode).toBe(429);
+    expect(res.body).toMatchObject({
+      success: false,
+      error: 'budget_exceeded',
+      budget: { period: 'daily', metric: 'tokens', limit: 1000, used: 1000 }
+    });
+    expect(res.headers['Retry-After']).toBeGreaterThan(0);
+  });
+
+  test('should apply per-key overrides and start a fresh day', async () => {
+    await tracker.record(keyData, { provider: 'anthropic', usage: { input_tokens: 10, output_tokens: 10 }, cost: 0.02 });
+
+    expect(await tracker.checkBudget(keyData)).toMatchObject({ allowed: false, metric: 'cost' });
+    expect(await tracker.checkBudget({ ...keyData, aiBudget: { daily: { cost: null } } })).toEqual({ allowed: true });
+
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const record = await tracker.getRecord(keyData, tomorrow);
+    expect(record.daily.requests).toBe(0);
+    expect(record.total.requests).toBe(1);
+  });
+
+  test('should spend one budget across workers and key rotations', async () => {
+    // Another worker on the same shared state
+    const worker = new AIUsageTracker({ tierBudgets: budgets, sharedState: state });
+    await tracker.record(keyData, { provider: 'ollama', usage: { input_tokens: 400, output_tokens: 100 } });
+    await worker.record(keyData, { provider: 'ollama', usage: { input_tokens: 400, output_tokens: 100 } });
+    expect(await tracker.checkBudget(keyData)).toMatchObject({ allowed: false, metric: 'tokens', used: 1000 });
+
+    // A rotated key's successor carries on with the chain's spend
+    const successor = { ...keyData, id: 'key_two', ownerId: keyData.id };
+    expect(await worker.checkBudget(successor)).toMatchObject({ allowed: false, used: 1000 });
+    expect((await worker.getUsage(successor)).daily.requests).toBe(2);
+  });
+
+  test('should reject malformed budgets', () => {
+    expect(normalizeBudget({ daily: { tokens: 5000, cost: null } })).toEqual({ daily: { tokens: 5000, cost: null } });
+    expect(() => normalizeBudget({ weekly: { tokens: 1 } })).toThrow('Invalid budget period "weekly"');
+    expect(() => normalizeBudget({ daily: { tokens: -1 } })).toThrow('must be a non-negative number or null');
+  });
+});
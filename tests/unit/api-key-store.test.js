@@ -0,0 +1,294 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const InputValidationSchemas = require('../../middleware/input-validation-schemas');
+const APIKeyAuth = require('../../middleware/api-key-auth');
+const CSRFProtection = require('../../middleware/csrf-protection');
+const InputValidationMiddleware = require('../../middleware/input-validation');
+const SecurityHeadersMiddleware = require('../../middleware/security-headers');
+const SessionSecurity = require('../../middleware/session-security');
+const { applySecurityStack } = require('../../middleware/security-stack');
+const { createAuthPipeline } = require('../../middleware/auth-pipeline');
+const { AuthPolicy } = require('../../shared/auth-policy');
+const { APIKeyStore } = require('../../shared/api-key-store');
+const { MemoryState } = require('../../shared/shared-state');
+
+describe('🍌 API Key Store Tests', () => {
+  const dirs = [];
+
+  afterAll(() => {
+    dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  const tempDir = () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+    dirs.push(dir);
+    return dir;
+  };
+
+  // The routes module keeps one router, so each app loads its own copy
+  const keyApp = (apiKeyAuth) => {
+    const app = express();
+    app.use(express.json());
+    app.use(apiKeyAuth.middleware());
+    jest.isolateModules(() => {
+      app.use('/api/keys', require('../../routes/api-keys')(apiKeyAuth, null, new InputValidationSchemas()));
+    });
+    app.all('/api/hubspot/*', (req, res) => res.json({ success: true }));
+    return app;
+  };
+
+  test('should keep only salted hashes, shared by every store on the directory', async () => {
+    const dir = tempDir();
+    const store = new APIKeyStore({ dir });
+    const { apiKey, record } = await store.create({ name: 'crm-sync', tier: 'premium', rateLimit: 300 });
+
+    expect(apiKey).toMatch(/^pk_[a-f0-9]{64}$/);
+    expect(record).toMatchObject({ id: expect.stringMatching(/^key_[a-f0-9]{16}$/), prefix: apiKey.substring(0, 12), isActive: true });
+    expect(fs.readFileSync(path.join(dir, 'keys.json'), 'utf8')).not.toContain(apiKey.substring(12));
+
+    // Another worker on the same directory
+    const worker = new APIKeyStore({ dir });
+    expect(await worker.verify(apiKey)).toMatchObject({ id: record.id, name: 'crm-sync' });
+    expect(await worker.verify(apiKey.replace(/.$/, c => (c === '0' ? '1' : '0')))).toBeNull();
+    expect(await worker.verify('pk_short')).toBeNull();
+
+    await store.update(record.id, key => { key.isActive = false; key.hash = 'tampered'; });
+    expect(await worker.verify(apiKey)).toMatchObject({ isActive: false });
+    await expect(store.create({ name: 'again', tier: 'basic' }, apiKey)).rejects.toMatchObject({ statusCode: 409 });
+
+    expect(await store.find(`${record.prefix}...`)).toMatchObject({ id: record.id });
+    expect(await store.find('pk_123')).toBeNull();
+  });
+
+  test('should move keys between stores through export and import', async () => {
+    const source = new APIKeyStore({ dir: tempDir() });
+    const { apiKey } = await source.create({ name: 'exported', tier: 'basic' });
+    const exported = await source.export();
+    expect(JSON.stringify(exported)).not.toContain(apiKey);
+
+    const target = new APIKeyStore({ dir: tempDir() });
+    const legacyKey = APIKeyStore.generateKey();
+    const { apiKey: dropped } = await target.create({ name: 'dropped', tier: 'basic' });
+
+    const result = await target.import({
+      keys: [
+        ...exported.keys,
+        { name: 'legacy', tier: 'admin', key: legacyKey },
+        { name: 'broken', tier: 'root', key: legacyKey },
+        { name: 'unhashed', tier: 'basic' }
+      ]
+    }, { replace: true });
+
+    expect(result).toEqual({ imported: 2, skipped: [
+      { index: 2, reason: 'Invalid tier: root' },
+      { index: 3, reason: 'Missing salt' }
+    ] });
+    expect(await target.verify(apiKey)).toMatchObject({ id: exported.keys[0].id, name: 'exported' });
+    expect(await target.verify(legacyKey)).toMatchObject({ name: 'legacy', tier: 'admin' });
+    expect(await target.verify(dropped)).toBeNull();
+    expect(fs.readFileSync(path.join(target.dir, 'keys.json'), 'utf8')).not.toContain(legacyKey);
+
+    await expect(target.import({ nope: true })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('should authenticate requests and manage keys over HTTP', async () => {
+    const dir = tempDir();
+    const apiKeyAuth = new APIKeyAuth({ dir });
+    expect(await apiKeyAuth.checkProvisioned()).toBe(false);
+
+    const { apiKey: adminKey } = await apiKeyAuth.createAPIKey('admin-user', 'admin');
+    const { apiKey: basicKey, keyData } = await apiKeyAuth.createAPIKey('basic-user', 'basic');
+    expect(keyData).not.toHaveProperty('hash');
+
+    const app = keyApp(apiKeyAuth);
+
+    await request(app).get('/api/keys/me').expect(401);
+    const me = await request(app).get('/api/keys/me').set('X-API-Key', basicKey).expect(200);
+    expect(me.body.data).toMatchObject({ keyId: keyData.id, name: 'basic-user', tier: 'basic', usage: { totalRequests: 1 } });
+    await request(app).get('/api/keys/keys').set('X-API-Key', basicKey).expect(403);
+
+    const listed = await request(app).get('/api/keys/keys').set('Authorization', `Bearer ${adminKey}`).expect(200);
+    expect(listed.body.data.keys.map(key => [key.keyId, key.key])).toContainEqual([keyData.id, keyData.key]);
+
+    const created = await request(app).post('/api/keys/keys').set('X-API-Key', adminKey).send({ name: 'new-key', tier: 'premium' }).expect(200);
+    expect(created.body.data).toMatchObject({ keyId: expect.stringMatching(/^key_/), tier: 'premium' });
+    await request(app).get('/api/keys/me').set('X-API-Key', created.body.data.apiKey).expect(200);
+
+    await request(app).patch(`/api/keys/keys/${keyData.key}/budget`).set('X-API-Key', adminKey)
+      .send({ aiBudget: { daily: { tokens: 1000 } } }).expect(200);
+    await request(app).patch(`/api/keys/keys/${keyData.id}/deactivate`).set('X-API-Key', adminKey).expect(200);
+    await request(app).patch('/api/keys/keys/key_0000000000000000/deactivate').set('X-API-Key', adminKey).expect(404);
+
+    // Another worker, and a restart, see the same keys
+    const restarted = new APIKeyAuth({ dir });
+    expect(await restarted.validateAPIKey(basicKey)).toEqual({ valid: false, reason: 'API key is disabled' });
+    expect(await restarted.findKey(keyData.id)).toMatchObject({ aiBudget: { daily: { tokens: 1000 } } });
+    expect((await restarted.validateAPIKey(adminKey)).valid).toBe(true);
+  });
+
+  test('should narrow keys by scope and IP, and rotate and revoke them', async () => {
+    const dir = tempDir();
+    const apiKeyAuth = new APIKeyAuth({ dir });
+    const app = keyApp(apiKeyAuth);
+    const { apiKey: adminKey } = await apiKeyAuth.createAPIKey('admin-user', 'admin');
+    const { apiKey, keyData } = await apiKeyAuth.createAPIKey('crm-reader', 'premium');
+    const admin = (req) => req.set('X-API-Key', adminKey);
+
+    await admin(request(app).put(`/api/keys/${keyData.id}`)).send({ scopes: [] }).expect(400);
+    await admin(request(app).put(`/api/keys/${keyData.id}`)).send({ scopes: ['FETCH /api/*'] }).expect(400);
+    const updated = await admin(request(app).put(`/api/keys/${keyData.id}`))
+      .send({ scopes: ['GET /api/hubspot/contacts*', '/api/keys/me*'], allowedIps: ['10.0.0.0/8', '127.0.0.1'] }).expect(200);
+    expect(updated.body.data).toMatchObject({ scopes: ['GET /api/hubspot/contacts*', '/api/keys/me*'], allowedIps: ['10.0.0.0/8', '127.0.0.1'] });
+
+    await request(app).get('/api/hubspot/contacts/42').set('X-API-Key', apiKey).expect(200);
+    const denied = await request(app).post('/api/hubspot/contacts').set('X-API-Key', apiKey).expect(403);
+    expect(denied.body.message).toBe('POST /api/hubspot/contacts is outside the key\'s scopes');
+    await request(app).get('/api/hubspot/deals').set('X-API-Key', apiKey).expect(403);
+
+    await admin(request(app).put(`/api/keys/${keyData.id}`)).send({ allowedIps: ['10.0.0.0/8'] }).expect(200);
+    await request(app).get('/api/hubspot/contacts').set('X-API-Key', apiKey).expect(403);
+    await admin(request(app).put(`/api/keys/${keyData.id}`)).send({ allowedIps: null }).expect(200);
+
+    // The successor inherits scopes; both keys work during the grace window
+    const rotation = await request(app).post('/api/keys/me/rotate').set('X-API-Key', apiKey).send({ gracePeriod: 3600 }).expect(200);
+    const { apiKey: successor, keyId, previousKeyId, previousKeyExpiresAt } = rotation.body.data;
+    expect(previousKeyId).toBe(keyData.id);
+    expect(Date.parse(previousKeyExpiresAt) - Date.now()).toBeGreaterThan(3500 * 1000);
+    await request(app).get('/api/hubspot/contacts').set('X-API-Key', apiKey).expect(200);
+    await request(app).post('/api/hubspot/contacts').set('X-API-Key', successor).expect(403);
+    await admin(request(app).post(`/api/keys/${keyData.id}/rotate`)).send({}).expect(409);
+
+    // Ending the grace window early, then a short-lived successor
+    await admin(request(app).put(`/api/keys/${keyData.id}`)).send({ expiresAt: new Date(Date.now() - 1000).toISOString() }).expect(200);
+    const expired = await request(app).get('/api/hubspot/contacts').set('X-API-Key', apiKey).expect(401);
+    expect(expired.body.reason).toBe('API key was rotated and its grace period has ended');
+    const inOneHour = new Date(Date.now() + 3600000).toISOString();
+    await admin(request(app).put(`/api/keys/${keyId}`)).send({ expiresAt: inOneHour }).expect(200);
+    expect((await admin(request(app).get(`/api/keys/${keyId}`)).expect(200)).body.data).toMatchObject({ rotatedFrom: keyData.id, expiresAt: inOneHour });
+
+    await admin(request(app).delete(`/api/keys/${keyId}`)).expect(200);
+    const revoked = await request(app).get('/api/hubspot/contacts').set('X-API-Key', successor).expect(401);
+    expect(revoked.body.reason).toBe('API key has been revoked');
+    await admin(request(app).put(`/api/keys/${keyId}`)).send({ isActive: true }).expect(409);
+    await admin(request(app).delete('/api/keys/key_0000000000000000')).expect(404);
+
+    // Usage history survives the process and counts denied requests apart
+    await apiKeyAuth.stop();
+    const history = await new APIKeyAuth({ dir }).getUsageHistory(keyData.id, 7);
+    expect(history.days).toHaveLength(7);
+    expect(history).toMatchObject({ totals: { requests: 6, denied: 3 }, lastIp: expect.stringContaining('127.0.0.1') });
+    const listed = await admin(request(app).get(`/api/keys/${keyData.id}/usage?days=1`)).expect(200);
+    expect(listed.body.data.days).toEqual([{ date: new Date().toISOString().substring(0, 10), requests: 6, denied: 3 }]);
+  });
+
+  test('should keep a key\'s expiry when it rotates itself', async () => {
+    const apiKeyAuth = new APIKeyAuth({ dir: tempDir() });
+    const app = keyApp(apiKeyAuth);
+    const { apiKey: adminKey } = await apiKeyAuth.createAPIKey('admin-user', 'admin');
+    const expiresAt = new Date(Date.now() + 600000).toISOString();
+    const { apiKey } = await apiKeyAuth.createAPIKey('short-lived', 'basic', '', { expiresAt });
+
+    // Only an admin may move the expiry
+    const refused = await request(app).post('/api/keys/me/rotate').set('X-API-Key', apiKey).send({ expiresAt: null }).expect(400);
+    expect(refused.body.message).toContain('"expiresAt" is not allowed');
+    await request(app).post('/api/keys/me/rotate').set('X-API-Key', apiKey).send({ expiresAt: '2099-01-01T00:00:00.000Z' }).expect(400);
+
+    const rotation = (await request(app).post('/api/keys/me/rotate').set('X-API-Key', apiKey).send({ gracePeriod: 3600 }).expect(200)).body.data;
+    expect(rotation.expiresAt).toBe(expiresAt);
+    // Grace ends with the key, not an hour from now
+    expect(rotation.previousKeyExpiresAt).toBe(expiresAt);
+
+    const later = new Date(Date.now() + 7200000).toISOString();
+    const extended = await request(app).post(`/api/keys/${rotation.keyId}/rotate`).set('X-API-Key', adminKey).send({ expiresAt: later }).expect(200);
+    expect(extended.body.data.expiresAt).toBe(later);
+  });
+
+  test('should keep one key of a rotation chain in grace, on one rate limit', async () => {
+    const apiKeyAuth = new APIKeyAuth({ dir: tempDir(), sharedState: new MemoryState() });
+    const app = keyApp(apiKeyAuth);
+    const { apiKey: first } = await apiKeyAuth.createAPIKey('chain', 'premium', '', { rateLimit: 5 });
+
+    const second = (await request(app).post('/api/keys/me/rotate').set('X-API-Key', first).send({}).expect(200)).body.data.apiKey;
+    const third = (await request(app).post('/api/keys/me/rotate').set('X-API-Key', second).send({}).expect(200)).body.data.apiKey;
+
+    // Rotating the successor ended the first key's grace window
+    const ended = await request(app).get('/api/hubspot/contacts').set('X-API-Key', first).expect(401);
+    expect(ended.body.reason).toBe('API key was rotated and its grace period has ended');
+
+    // Two rotations and three requests use up the chain's limit of five
+    await request(app).get('/api/hubspot/contacts').set('X-API-Key', second).expect(200);
+    await request(app).get('/api/hubspot/contacts').set('X-API-Key', third).expect(200);
+    await request(app).get('/api/hubspot/contacts').set('X-API-Key', third).expect(200);
+    await request(app).get('/api/hubspot/contacts').set('X-API-Key', second).expect(429);
+  });
+
+  test('should rotate the calling key from the key-rotation script', async () => {
+    const state = new MemoryState();
+    const policy = new AuthPolicy();
+    const apiKeyAuth = new APIKeyAuth({ dir: tempDir(), sharedState: state, policy });
+    const { apiKey } = await apiKeyAuth.createAPIKey('homelab', 'basic');
+
+    // Behind the app's whole stack: the script sends its key and no Origin
+    const app = express();
+    applySecurityStack(app, {
+      securityHeaders: new SecurityHeadersMiddleware(),
+      sessionSecurity: new SessionSecurity({ sharedState: state }),
+      inputValidation: new InputValidationMiddleware(),
+      authPipeline: createAuthPipeline({ apiKeyAuth, policy }, {}),
+      csrfProtection: new CSRFProtection({ sharedState: state }),
+      corsOrigins: ['http://localhost:3000']
+    });
+    jest.isolateModules(() => {
+      app.use('/api/keys', require('../../routes/api-keys')(apiKeyAuth, null, new InputValidationSchemas()));
+    });
+    const server = app.listen(0);
+    const envFile = path.join(tempDir(), '.env');
+    fs.writeFileSync(envFile, `PORT=3000\nBANANA_API_KEY=${apiKey}\n`);
+    Object.assign(process.env, { PI_API_URL: `http://127.0.0.1:${server.address().port}`, ENV_FILE: envFile, BANANA_API_KEY: apiKey });
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    try {
+      const { rotateApiKey } = require('../../key-rotation');
+      expect(await rotateApiKey()).toBeNull();
+      expect(log).toHaveBeenCalledWith('⏳ Key rotation not due yet');
+
+      const rotated = await rotateApiKey(null, { force: true, gracePeriod: 60 });
+      const env = fs.readFileSync(envFile, 'utf8');
+      expect(env).toContain(`BANANA_API_KEY=${rotated.apiKey}\n`);
+      expect(env).not.toContain(apiKey);
+      expect((await apiKeyAuth.validateAPIKey(rotated.apiKey)).valid).toBe(true);
+      expect((await apiKeyAuth.validateAPIKey(apiKey)).valid).toBe(true);
+    } finally {
+      log.mockRestore();
+      ['PI_API_URL', 'ENV_FILE', 'BANANA_API_KEY'].forEach(name => delete process.env[name]);
+      await new Promise(resolve => server.close(resolve));
+      await apiKeyAuth.stop();
+      await state.stop();
+    }
+  });
+
+  test('should provision the first keys only once', async () => {
+    process.env.API_KEY_STORE_DIR = tempDir();
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const { main } = require('../../bin/api-keys');
+
+    try {
+      await main(['provision', '--premium']);
+      const printed = log.mock.calls.map(([line]) => line).join('\n');
+      const keys = printed.match(/pk_[a-f0-9]{64}/g);
+      expect(keys).toHaveLength(2);
+
+      const apiKeyAuth = new APIKeyAuth();
+      expect((await apiKeyAuth.getAllKeys()).map(key => key.tier)).toEqual(['admin', 'premium']);
+      expect(await apiKeyAuth.validateAPIKey(keys[0])).toMatchObject({ valid: true, keyData: { tier: 'admin' } });
+
+      await expect(main(['provision'])).rejects.toThrow(/one-time/);
+    } finally {
+      log.mockRestore();
+      delete process.env.API_KEY_STORE_DIR;
+    }
+  });
+});
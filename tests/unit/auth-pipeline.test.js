@@ -0,0 +1,174 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const express = require('express');
+const request = require('supertest');
+const AdminAuth = require('../../middleware/admin-auth');
+const APIKeyAuth = require('../../middleware/api-key-auth');
+const BananaRequestSigning = require('../../middleware/banana-request-signing');
+const EndpointWrapper = require('../../helpers/endpoint-wrapper');
+const { createAuthPipeline, signingKeysFromEnv } = require('../../middleware/auth-pipeline');
+const { AuthPolicy, createPrincipal } = require('../../shared/auth-policy');
+const { MemoryState } = require('../../shared/shared-state');
+
+const ADMIN_KEY = 'admin-key-0123456789abcdef0123456789';
+const JWT_SECRET = 'jwt-secret-0123456789abcdef0123456789';
+const SIGNING_SECRET = 'signing-secret-0123456789abcdef0123';
+
+describe('🍌 Authentication Pipeline Tests', () => {
+  let dir;
+  let state;
+  let apiKeyAuth;
+  let requestSigning;
+  let app;
+
+  // A token as AuthManager and SimpleAuth issue them
+  const token = (claims, secret = JWT_SECRET) => jwt.sign(
+    { userId: 'user_1', email: 'ada@example.com', tenantId: 'tenant_a', ...claims },
+    secret,
+    { expiresIn: '5m', issuer: 'pi-api-hub', audience: 'tenant_a' }
+  );
+
+  // Headers a signing client sends for a JSON body
+  const signed = (method, url, body, nonce = crypto.randomBytes(8).toString('hex')) => {
+    const timestamp = Date.now().toString();
+    const payload = [method, url, '', body ? JSON.stringify(body) : '',
+      'content-type:application/json|user-agent:banana-client/1.0', timestamp, nonce].join('\n');
+    return {
+      'content-type': 'application/json',
+      'user-agent': 'banana-client/1.0',
+      'x-api-key': 'ci',
+      'x-banana-timestamp': timestamp,
+      'x-banana-nonce': nonce,
+      'x-banana-signature': crypto.createHmac('sha256', SIGNING_SECRET).update(payload).digest('hex')
+    };
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-pipeline-'));
+    state = new MemoryState();
+    process.env.ADMIN_API_KEY = ADMIN_KEY;
+
+    const policy = new AuthPolicy();
+    apiKeyAuth = new APIKeyAuth({ dir, sharedState: state, policy });
+    requestSigning = new BananaRequestSigning({
+      keys: signingKeysFromEnv({ REQUEST_SIGNING_KEYS: JSON.stringify([{ keyId: 'ci', secret: SIGNING_SECRET, roles: ['premium'] }]) })
+    });
+    const pipeline = createAuthPipeline(
+      { apiKeyAuth, adminAuth: new AdminAuth(), requestSigning, policy },
+      { JWT_SECRET }
+    );
+
+    app = express();
+    app.use(express.json());
+    app.use(pipeline.middleware());
+    app.get('/api/hubspot/contacts', (req, res) => res.json({ principal: req.principal }));
+    app.post('/api/jobs', (req, res) => res.json({ principal: req.principal }));
+    app.get('/monitoring/admin-only', policy.requireRole('admin'), (req, res) => res.json({ principal: req.principal }));
+    app.get('/api/keys/stats', EndpointWrapper.createAdminEndpoint((req) => ({ by: req.principal.name })));
+  });
+
+  afterEach(async () => {
+    requestSigning.stop();
+    await state.stop();
+    delete process.env.ADMIN_API_KEY;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should resolve every credential type to one principal shape', async () => {
+    const { apiKey, keyData } = await apiKeyAuth.createAPIKey('reporting', 'premium');
+
+    const byKey = await request(app).get('/api/hubspot/contacts').set('X-API-Key', apiKey).expect(200);
+    expect(byKey.body.principal).toMatchObject({
+      type: 'service', id: keyData.id, name: 'reporting', tenant: 'default',
+      roles: ['premium'], scopes: null, tier: 'premium', authMethod: 'api_key'
+    });
+    expect(byKey.headers['x-ratelimit-limit']).toBe('300');
+
+    const byToken = await request(app).get('/api/hubspot/contacts')
+      .set('Authorization', `Bearer ${token({ role: 'manager' })}`).expect(200);
+    expect(byToken.body.principal).toMatchObject({
+      type: 'user', id: 'user_1', name: 'ada@example.com', tenant: 'tenant_a',
+      roles: ['manager'], tier: 'premium', authMethod: 'jwt'
+    });
+
+    const byAdminKey = await request(app).get('/api/hubspot/contacts').set('X-Admin-API-Key', ADMIN_KEY).expect(200);
+    expect(byAdminKey.body.principal).toMatchObject({ type: 'service', roles: ['admin'], tier: 'admin', authMethod: 'admin_key' });
+
+    const body = { type: 'contacts.export' };
+    const bySignature = await request(app).post('/api/jobs').set(signed('POST', '/api/jobs', body)).send(body).expect(200);
+    expect(bySignature.body.principal).toMatchObject({ type: 'service', id: 'ci', roles: ['premium'], authMethod: 'signature' });
+
+    // Owners are derived from IDs, never from the credential itself
+    expect(byKey.body.principal.owner).not.toBe(crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 32));
+    expect(byToken.body.principal.owner).not.toBe(bySignature.body.principal.owner);
+  });
+
+  test('should let admin routes through for any admin credential, and only those', async () => {
+    const { apiKey: adminKey } = await apiKeyAuth.createAPIKey('ops', 'admin');
+    const { apiKey: premiumKey } = await apiKeyAuth.createAPIKey('app', 'premium');
+
+    await request(app).get('/monitoring/admin-only').set('X-API-Key', adminKey).expect(200);
+    await request(app).get('/monitoring/admin-only').set('X-Admin-API-Key', ADMIN_KEY).expect(200);
+    await request(app).get('/monitoring/admin-only').set('Authorization', `Bearer ${token({ role: 'super_admin' })}`).expect(200);
+
+    const denied = await request(app).get('/monitoring/admin-only').set('X-API-Key', premiumKey).expect(403);
+    expect(denied.body.message).toBe('Requires role admin');
+    await request(app).get('/monitoring/admin-only').set('Authorization', `Bearer ${token({ role: 'user' })}`).expect(403);
+
+    // Administering a tenant doesn't make anyone an admin of the hub
+    const tenantAdmin = `Bearer ${token({ role: 'tenant_admin' })}`;
+    await request(app).get('/monitoring/admin-only').set('Authorization', tenantAdmin).expect(403);
+    await request(app).get('/api/hubspot/contacts').set('Authorization', tenantAdmin).expect(200);
+
+    // EndpointWrapper's adminOnly asks the same question
+    const stats = await request(app).get('/api/keys/stats').set('Authorization', `Bearer ${token({ role: 'super_admin' })}`).expect(200);
+    expect(stats.body.data).toEqual({ by: 'ada@example.com' });
+    await request(app).get('/api/keys/stats').set('X-API-Key', premiumKey).expect(403);
+    await request(app).get('/api/keys/stats').set('Authorization', tenantAdmin).expect(403);
+  });
+
+  test('should apply one policy to roles and scopes whatever the credential', async () => {
+    const viewer = `Bearer ${token({ role: 'viewer' })}`;
+    await request(app).get('/api/hubspot/contacts').set('Authorization', viewer).expect(200);
+    const readOnly = await request(app).post('/api/jobs').set('Authorization', viewer).send({}).expect(403);
+    expect(readOnly.body.message).toBe('POST /api/jobs not allowed for role viewer');
+
+    const scoped = `Bearer ${token({ role: 'user', scopes: ['POST /api/jobs'] })}`;
+    await request(app).post('/api/jobs').set('Authorization', scoped).send({}).expect(200);
+    const outside = await request(app).get('/api/hubspot/contacts').set('Authorization', scoped).expect(403);
+    expect(outside.body.message).toBe('GET /api/hubspot/contacts is outside the token\'s scopes');
+
+    const policy = new AuthPolicy();
+    const basic = createPrincipal({ type: 'service', id: 'k', roles: ['basic'], authMethod: 'api_key' });
+    expect(policy.authorize(basic, 'GET', '/api/hubspot/deals')).toMatchObject({ allowed: false });
+    expect(policy.authorize(basic, 'GET', '/api/hubspot/contacts')).toEqual({ allowed: true });
+    expect(createPrincipal({ type: 'user', id: 'u', roles: ['viewer', 'manager'], authMethod: 'jwt' }).tier).toBe('premium');
+  });
+
+  test('should turn away bad credentials with the reason', async () => {
+    const missing = await request(app).get('/api/hubspot/contacts').expect(401);
+    expect(missing.body.error).toBe('Authentication required');
+    expect(missing.body.message).toContain('X-API-Key header');
+    expect(missing.body.message).toContain('Authorization: Bearer <JWT>');
+
+    const forged = await request(app).get('/api/hubspot/contacts')
+      .set('Authorization', `Bearer ${token({ role: 'super_admin' }, 'not-the-secret')}`).expect(401);
+    expect(forged.body).toMatchObject({ error: 'Invalid token', reason: 'invalid signature' });
+
+    await request(app).get('/api/hubspot/contacts').set('X-API-Key', 'pk_unknown').expect(401);
+    const wrongAdmin = await request(app).get('/api/hubspot/contacts').set('X-Admin-API-Key', 'nope').expect(401);
+    expect(wrongAdmin.body.error).toBe('Invalid admin API key');
+
+    // A signature is good once, and only for the body it signed
+    const headers = signed('POST', '/api/jobs', { type: 'a' }, 'once');
+    await request(app).post('/api/jobs').set(headers).send({ type: 'b' }).expect(401);
+    await request(app).post('/api/jobs').set(headers).send({ type: 'a' }).expect(200);
+    const replay = await request(app).post('/api/jobs').set(headers).send({ type: 'a' }).expect(401);
+    expect(replay.body.error).toBe('Nonce already used (replay attack detected)');
+
+    expect(() => signingKeysFromEnv({ REQUEST_SIGNING_KEYS: '[{"keyId":"short","secret":"abc"}]' })).toThrow('32+ characters');
+  });
+});
@@ -0,0 +1,235 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const PaginationHelper = require('../../helpers/pagination-helper');
+const InputValidationSchemas = require('../../middleware/input-validation-schemas');
+const { createPrincipal } = require('../../shared/auth-policy');
+const { CrmMirror } = require('../../services/crm-mirror');
+const { CrmMirrorStore } = require('../../shared/crm-mirror-store');
+const { fakeHubSpot } = require('../hubspot-fixture');
+
+const contact = (id, email, modified = '2024-01-01T00:00:00.000Z') => ({
+  id: String(id),
+  properties: { email, firstname: `Name${id}`, lastmodifieddate: modified },
+  createdAt: '2024-01-01T00:00:00.000Z',
+  updatedAt: modified,
+  archived: false
+});
+
+// Lists page by `after`; search finds what changed since its one filter
+const respond = ({ url, type, action, body, records }, portal) => {
+  if (action === 'search') {
+    const { filterGroups, after = 0 } = body;
+    const since = Number(filterGroups[0].filters[0].value);
+    const matches = records.filter(record => Date.parse(record.updatedAt) >= since);
+    const page = matches.slice(Number(after), Number(after) + 100);
+    return { data: { total: matches.length, results: page } };
+  }
+  if (action) {
+    return portal[type].has(action) ? { data: portal[type].get(action) } : { status: 404, data: { message: 'Not found' } };
+  }
+
+  const after = Number(url.searchParams.get('after') || 0);
+  const limit = Number(url.searchParams.get('limit'));
+  const next = after + limit;
+  return {
+    data: {
+      results: records.slice(after, next),
+      paging: next < records.length ? { next: { after: String(next) } } : undefined
+    }
+  };
+};
+
+describe('🍌 CRM Mirror Tests', () => {
+  const dirs = [];
+  const mirrors = [];
+
+  const createMirror = (authHandler, options = {}) => {
+    if (!options.dir) {
+      options.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crm-mirror-'));
+      dirs.push(options.dir);
+    }
+    const mirror = new CrmMirror(authHandler, new PaginationHelper(), {
+      enabled: true,
+      objectTypes: ['contacts'],
+      pollInterval: 60000,
+      ...options
+    });
+    mirrors.push(mirror);
+    return mirror;
+  };
+
+  afterEach(async () => {
+    await Promise.all(mirrors.splice(0).map(mirror => mirror.stop()));
+  });
+
+  afterAll(() => {
+    dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  test('should fully sync, poll for changes and drop records deleted without a webhook', async () => {
+    const { portal, authHandler } = fakeHubSpot({ contacts: new Map() }, respond);
+    for (let i = 1; i <= 250; i++) {
+      portal.contacts.set(String(i), contact(i, `user${i}@example.com`));
+    }
+
+    const mirror = createMirror(authHandler);
+    mirror.started = true;
+    await mirror.sync();
+
+    expect(portal.calls.filter(call => call === 'GET /crm/v3/objects/contacts')).toHaveLength(3);
+    expect(await mirror.store.count('contacts')).toBe(250);
+    expect((await mirror.getStatus()).objects.contacts).toMatchObject({ records: 250, error: null });
+
+    // Indexed lookups ignore case, like HubSpot's email matching
+    const found = await mirror.search('contacts', {
+      filterGroups: [{ filters: [{ propertyName: 'email', operator: 'EQ', value: 'USER42@example.com' }] }]
+    });
+    expect(found.results.map(record => record.id)).toEqual(['42']);
+
+    const page = await mirror.list('contacts', { limit: 100, after: '200', properties: ['email'] });
+    expect(page.results).toHaveLength(50);
+    expect(page.results[0]).toMatchObject({ id: '201', properties: { email: 'user201@example.com' } });
+    expect(page.paging).toBeUndefined();
+
+    // The next round polls the search API instead of listing everything again
+    const modified = new Date().toISOString();
+    portal.contacts.set('7', contact(7, 'renamed@example.com', modified));
+    portal.calls.length = 0;
+    await mirror.sync();
+
+    expect(portal.calls).toEqual(['POST /crm/v3/objects/contacts/search']);
+    expect((await mirror.get('contacts', '7')).properties.email).toBe('renamed@example.com');
+    expect(await mirror.store.findBy('contacts', 'email', 'user7@example.com')).toEqual([]);
+
+    portal.contacts.delete('9');
+    await mirror.requestResync();
+    await mirror.sync();
+    expect(await mirror.get('contacts', '9')).toBeNull();
+    expect(await mirror.store.count('contacts')).toBe(249);
+  });
+
+  test('should apply webhook events, fetching only what the event does not carry', async () => {
+    const { portal, authHandler } = fakeHubSpot({ contacts: new Map() }, respond);
+    ['1', '2', '3'].forEach(id => portal.contacts.set(id, contact(id, `user${id}@example.com`)));
+
+    const mirror = createMirror(authHandler);
+    mirror.started = true;
+    await mirror.sync();
+    portal.calls.length = 0;
+
+    await mirror.handleWebhookEvent({
+      subscriptionType: 'contact.propertyChange',
+      objectId: 1,
+      propertyName: 'email',
+      propertyValue: 'changed@example.com',
+      occurredAt: Date.parse('2024-02-01T00:00:00.000Z')
+    });
+    expect((await mirror.get('contacts', '1')).properties.email).toBe('changed@example.com');
+
+    // An event older than the mirrored record is ignored
+    await mirror.handleWebhookEvent({
+      subscriptionType: 'contact.propertyChange',
+      objectId: 1,
+      propertyName: 'email',
+      propertyValue: 'stale@example.com',
+      occurredAt: Date.parse('2023-01-01T00:00:00.000Z')
+    });
+    expect((await mirror.get('contacts', '1')).properties.email).toBe('changed@example.com');
+    expect(portal.calls).toEqual([]);
+
+    await mirror.handleWebhookEvent({ subscriptionType: 'contact.deletion', objectId: 2 });
+    expect(await mirror.get('contacts', '2')).toBeNull();
+
+    portal.contacts.set('4', contact(4, 'new@example.com'));
+    await mirror.handleWebhookEvent({ subscriptionType: 'contact.creation', objectId: 4 });
+    await mirror.refreshRecord('contacts', '4');
+    expect((await mirror.get('contacts', '4')).properties.email).toBe('new@example.com');
+
+    await mirror.handleWebhookEvent({ subscriptionType: 'contact.merge', objectId: 3, primaryObjectId: 4, mergedObjectIds: [3, 4] });
+    expect(await mirror.get('contacts', '3')).toBeNull();
+    expect(await mirror.get('contacts', '4')).not.toBeNull();
+
+    // Object types that aren't mirrored are left alone
+    await mirror.handleWebhookEvent({ subscriptionType: 'deal.creation', objectId: 5 });
+    expect(portal.calls.filter(call => call.includes('/deals'))).toEqual([]);
+  });
+
+  test('should share one mirror across processes with a single sync leader', async () => {
+    const { portal, authHandler } = fakeHubSpot({ contacts: new Map() }, respond);
+    ['1', '2'].forEach(id => portal.contacts.set(id, contact(id, `user${id}@example.com`)));
+
+    const first = createMirror(authHandler);
+    const second = createMirror(authHandler, { dir: first.store.dir });
+    second.workerId = 'other-host:1';
+    first.started = true;
+    second.started = true;
+
+    await first.sync();
+    portal.calls.length = 0;
+    await second.sync();
+    expect(portal.calls).toEqual([]);
+    expect((await second.getStatus()).leader).toBe(first.workerId);
+
+    // Each process reads what the others appended, including after a compaction
+    const store = new CrmMirrorStore({ dir: first.store.dir });
+    expect(await store.count('contacts')).toBe(2);
+    await second.handleWebhookEvent({ subscriptionType: 'contact.deletion', objectId: 1 });
+    first.store.compactMinLines = 100;
+    for (let i = 0; i < 600; i++) {
+      await first.store.patch('contacts', '2', { firstname: `v${i}` }, null);
+    }
+    expect(await store.count('contacts')).toBe(1);
+    expect((await store.get('contacts', '2')).properties.firstname).toBe('v599');
+    expect(fs.readFileSync(path.join(first.store.dir, 'contacts.jsonl'), 'utf8').trim().split('\n').length).toBeLessThan(600);
+    await store.close();
+
+    // The lease passes on once the leader stops
+    await first.stop();
+    await second.sync();
+    expect((await second.getStatus()).leading).toBe(true);
+  });
+
+  test('should answer contacts and searches from the mirror while HubSpot is down', async () => {
+    const { portal, authHandler } = fakeHubSpot({ contacts: new Map() }, respond);
+    ['1', '2', '3'].forEach(id => portal.contacts.set(id, contact(id, id === '2' ? 'ceo@acme.com' : `user${id}@example.com`)));
+
+    const mirror = createMirror(authHandler);
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      const apiKey = req.get('X-API-Key') || 'pk_test';
+      req.principal = createPrincipal({ type: 'service', id: apiKey, roles: [apiKey === 'pk_admin' ? 'admin' : 'premium'], authMethod: 'api_key' });
+      next();
+    });
+    app.use('/api/hubspot', require('../../routes/hubspot')({ authHandler, crmMirror: mirror }, new InputValidationSchemas()));
+
+    // Not synced yet
+    await request(app).get('/api/hubspot/contacts?source=mirror').expect(503);
+
+    mirror.started = true;
+    await mirror.sync();
+    portal.down = true;
+
+    const contacts = await request(app).get('/api/hubspot/contacts?source=mirror&limit=2').expect(200);
+    expect(contacts.body.data.data.results.map(record => record.id)).toEqual(['1', '2']);
+    expect(contacts.body.data.data.paging.next.after).toBe('2');
+    expect(contacts.body.data.mirror).toMatchObject({ source: 'mirror' });
+
+    const search = await request(app)
+      .post('/api/hubspot/search/contacts?source=mirror')
+      .send({ filterGroups: [{ filters: [{ propertyName: 'email', operator: 'CONTAINS_TOKEN', value: '*@acme.com' }] }], properties: ['email'] })
+      .expect(200);
+    expect(search.body.data.data).toMatchObject({ total: 1, results: [{ id: '2', properties: { email: 'ceo@acme.com' } }] });
+
+    await request(app).post('/api/hubspot/search/deals?source=mirror').send({}).expect(400);
+    await request(app).get('/api/hubspot/contacts').expect(500);
+
+    await request(app).post('/api/hubspot/mirror/sync').send({}).expect(403);
+    const resync = await request(app).post('/api/hubspot/mirror/sync').set('X-API-Key', 'pk_admin').send({ objectTypes: ['contacts'] }).expect(202);
+    expect(resync.body.data.objectTypes).toEqual(['contacts']);
+    expect((await request(app).get('/api/hubspot/mirror/status').expect(200)).body.data.objects.contacts.resyncRequested).toBe(true);
+  });
+});
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const ReportBuilder = require('../../enterprise/report-builder');
+const RequestDeduplicationBatcher = require('../../middleware/request-deduplication');
+const InputValidationSchemas = require('../../middleware/input-validation-schemas');
+const { createPrincipal } = require('../../shared/auth-policy');
+const { HubSpotBatchService } = require('../../services/hubspot-batch-service');
+const { DataQualityEngine } = require('../../services/data-quality-engine');
+const { parseRules, checkValue } = require('../../shared/data-quality-rules');
+const { fakeHubSpot } = require('../hubspot-fixture');
+
+const RULES = `
+rules:
+  - id: email-trimmed
+    objectType: contacts
+    property: email
+    check: trim
+    fix: true
+  - id: email-lowercase
+    objectType: contacts
+    property: email
+    check: lowercase
+    fix: true
+  - id: phone-e164
+    objectType: contacts
+    property: phone
+    check: e164
+    defaultCountryCode: "1"
+    fix: true
+  - id: country-known
+    objectType: companies
+    property: country
+    check: enum
+    values: [United States, Germany]
+    aliases: { USA: United States }
+    fix: true
+  - id: domain-unique
+    objectType: companies
+    property: domain
+    check: unique
+    normalize: domain
+    severity: error
+`;
+
+const record = (id, properties) => ({ id: String(id), properties, createdAt: '2024-01-01T00:00:00.000Z', updatedAt: '2024-01-01T00:00:00.000Z' });
+
+const seedRecords = () => ({
+  contacts: new Map([
+    ['1', record(1, { email: ' Jane@Example.com', phone: '(555) 123-4567' })],
+    ['2', record(2, { email: 'bob@example.com', phone: '+15550001111' })],
+    ['3', record(3, { email: 'ann@example.com', phone: 'call me' })]
+  ]),
+  companies: new Map([
+    ['10', record(10, { domain: 'example.com', country: 'usa' })],
+    ['11', record(11, { domain: 'https://www.Example.com/', country: 'Germany' })],
+    ['12', record(12, { domain: 'other.io', country: 'Narnia' })]
+  ])
+});
+
+// Search pages hold 2 results; batch reads and updates go to the portal
+const respond = ({ type, action, subAction, body, records }, portal) => {
+  if (action === 'search') {
+    const filters = body.filterGroups?.[0]?.filters || [];
+    const matches = records.filter(candidate => filters.every(({ propertyName, operator, value }) => operator === 'GT'
+      ? Number(candidate.id) > Number(value)
+      : String(candidate.properties[propertyName] || '').toLowerCase() === String(value).toLowerCase()));
+    return { data: { total: matches.length, results: matches.slice(0, 2), paging: matches.length > 2 ? { next: { after: '2' } } : undefined } };
+  }
+  if (subAction === 'read') {
+    return { data: { status: 'COMPLETE', results: body.inputs.map(({ id }) => portal[type].get(id)).filter(Boolean) } };
+  }
+  if (subAction === 'update') {
+    const results = body.inputs.map(({ id, properties }) => {
+      const updated = portal[type].get(id);
+      Object.assign(updated.properties, properties);
+      return updated;
+    });
+    return { data: { status: 'COMPLETE', results } };
+  }
+  return { status: 404, data: { message: 'Not found' } };
+};
+
+describe('🍌 Data Quality Tests', () => {
+  const dirs = [];
+  let batcher;
+
+  beforeAll(() => {
+    batcher = new RequestDeduplicationBatcher({ enableCleanup: false });
+  });
+
+  afterAll(() => {
+    dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  const createEngine = (authHandler, options = {}) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-quality-'));
+    dirs.push(dir);
+    const rulesFile = path.join(dir, 'rules.yaml');
+    fs.writeFileSync(rulesFile, RULES);
+
+    return new DataQualityEngine(authHandler, {
+      dir,
+      rulesFile,
+      batchService: new HubSpotBatchService(authHandler, batcher),
+      reportBuilder: new ReportBuilder({ reportsPath: path.join(dir, 'reports'), templatesPath: path.join(dir, 'templates'), enableScheduling: false }),
+      ...options
+    });
+  };
+
+  test('should validate rules and normalize values', () => {
+    expect(() => parseRules('rules:\n  - { id: a, objectType: contacts, property: email, check: unique, fix: true }'))
+      .toThrow('a unique check has no fix');
+    expect(() => parseRules('- { id: a, objectType: contacts, property: email, check: lowercase }\n- { id: a, objectType: contacts, property: phone, check: required }'))
+      .toThrow('a is used twice');
+    expect(() => parseRules('rules: [')).toThrow(expect.objectContaining({ statusCode: 400 }));
+
+    const [phone] = parseRules([{ id: 'p', objectType: 'contacts', property: 'phone', check: 'e164', defaultCountryCode: '44' }]);
+    expect(checkValue(phone, '020 7946 0958').fix).toBe('+442079460958');
+    expect(checkValue(phone, '0044 20 7946 0958 ext 12').fix).toBe('+442079460958');
+    expect(checkValue(phone, '+442079460958')).toBeNull();
+    expect(checkValue(phone, '')).toBeNull();
+  });
+
+  test('should report violations, plan fixes on a dry run and write them with an audit trail', async () => {
+    const { portal, authHandler } = fakeHubSpot(seedRecords(), respond);
+    const engine = createEngine(authHandler);
+
+    const dryRun = await engine.run({ fix: true, dryRun: true });
+    expect(dryRun).toMatchObject({
+      status: 'completed',
+      sources: { contacts: 'search', companies: 'search' },
+      scanned: 6,
+      byRule: { 'email-trimmed': 1, 'email-lowercase': 1, 'phone-e164': 2, 'country-known': 2, 'domain-unique': 2 },
+      fixes: { planned: 2, applied: 0, failed: 0 }
+    });
+    // Rules on one property chain their fixes; unfixable values are only reported
+    const violations = Object.fromEntries(dryRun.violations.map(found => [`${found.ruleId}:${found.recordId}`, found]));
+    expect(violations['email-lowercase:1']).toMatchObject({ value: 'Jane@Example.com', fix: 'jane@example.com', fixStatus: 'planned' });
+    expect(violations['phone-e164:1'].fix).toBe('+15551234567');
+    expect(violations['phone-e164:3']).toMatchObject({ fix: null, fixStatus: null });
+    expect(violations['country-known:10'].fix).toBe('United States');
+    expect(violations['domain-unique:11']).toMatchObject({ severity: 'error', message: expect.stringContaining('companies 10') });
+    expect(portal.calls.filter(call => call.endsWith('/batch/update'))).toEqual([]);
+
+    const fixed = await engine.run({ objectTypes: ['contacts'], fix: true });
+    expect(fixed.fixes).toEqual({ planned: 0, applied: 1, failed: 0 });
+    expect(portal.contacts.get('1').properties).toEqual({ email: 'jane@example.com', phone: '+15551234567' });
+
+    const [entry] = await engine.getAudit({ recordId: '1' });
+    expect(entry).toMatchObject({ runId: fixed.id, trigger: 'manual', objectType: 'contacts', status: 'applied' });
+    expect(entry.changes).toEqual([
+      { property: 'email', before: ' Jane@Example.com', after: 'jane@example.com', rules: ['email-trimmed', 'email-lowercase'] },
+      { property: 'phone', before: '(555) 123-4567', after: '+15551234567', rules: ['phone-e164'] }
+    ]);
+
+    const again = await engine.run({ rules: ['email-lowercase', 'phone-e164'] });
+    expect(again.violations.map(found => found.recordId)).toEqual(['3']);
+    expect((await engine.listRuns()).map(run => run.id)).toEqual([again.id, fixed.id, dryRun.id]);
+    await expect(engine.run({ objectTypes: ['deals'] })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('should check records changed by webhooks and serve rules, runs and reports', async () => {
+    const { portal, authHandler } = fakeHubSpot(seedRecords(), respond);
+    const engine = createEngine(authHandler, { webhooks: true, autoFix: true, webhookDelay: 60000 });
+
+    // Only changes to checked properties queue a record
+    await engine.handleWebhookEvent({ subscriptionType: 'contact.propertyChange', objectId: 1, propertyName: 'firstname' });
+    await engine.handleWebhookEvent({ subscriptionType: 'contact.propertyChange', objectId: 1, propertyName: 'email' });
+    await engine.handleWebhookEvent({ subscriptionType: 'company.creation', objectId: 11 });
+    await engine.handleWebhookEvent({ subscriptionType: 'deal.creation', objectId: 99 });
+    expect((await engine.getStatus()).pendingWebhookRecords).toBe(2);
+
+    const run = await engine.flushWebhookEvents();
+    expect(run).toMatchObject({ trigger: 'webhook', scanned: 2, fixes: { applied: 1 } });
+    expect(portal.contacts.get('1').properties.email).toBe('jane@example.com');
+    // The other company with the domain was found through the search API
+    expect(run.violations.find(found => found.ruleId === 'domain-unique')).toMatchObject({ recordId: '11', message: expect.stringContaining('10') });
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.principal = createPrincipal({ type: 'service', id: 'test', roles: [req.get('x-tier') || 'premium'], authMethod: 'api_key' });
+      next();
+    });
+    app.use('/api/data-quality', require('../../routes/data-quality')({ dataQualityEngine: engine }, new InputValidationSchemas()));
+
+    const csv = await request(app).get(`/api/data-quality/runs/${run.id}/report?format=csv`).expect(200);
+    expect(csv.headers['content-type']).toContain('text/csv');
+    expect(csv.text.split('\n')[0]).toBe('Rule,Severity,Object Type,Record ID,Property,Value,Fixed Value,Fix,Problem');
+    expect(csv.text).toContain('"jane@example.com","applied"');
+
+    const json = await request(app).get(`/api/data-quality/runs/${run.id}/report`).expect(200);
+    expect(json.body.data.recordCount).toBe(run.violationCount);
+    expect(engine.reportBuilder.reports.size).toBe(0);
+
+    const yaml = 'rules:\n  # only emails for now\n  - { id: email-lowercase, objectType: contacts, property: email, check: lowercase }\n';
+    await request(app).put('/api/data-quality/rules').set('Content-Type', 'application/yaml').send(yaml).expect(403);
+    const saved = await request(app).put('/api/data-quality/rules').set('x-tier', 'admin').set('Content-Type', 'application/yaml').send(yaml).expect(200);
+    expect(saved.body.data.rules).toEqual([expect.objectContaining({ id: 'email-lowercase', severity: 'warning', fix: false })]);
+    expect(fs.readFileSync(engine.rulesFile, 'utf8')).toBe(yaml);
+
+    const invalid = await request(app).put('/api/data-quality/rules').set('x-tier', 'admin').send({ rules: [{ id: 'x', check: 'sparkly' }] }).expect(400);
+    expect(invalid.body.error).toContain('"rules[0].objectType" is required');
+
+    const manual = await request(app).post('/api/data-quality/runs').send({ source: 'search' }).expect(200);
+    expect(manual.body.data).toMatchObject({ trigger: 'manual', rules: ['email-lowercase'], violationCount: 0 });
+    await request(app).post('/api/data-quality/runs').send({ source: 'elsewhere' }).expect(400);
+
+    const audit = await request(app).get('/api/data-quality/audit?objectType=contacts').expect(200);
+    expect(audit.body.data.entries).toEqual([expect.objectContaining({ runId: run.id, trigger: 'webhook', recordId: '1' })]);
+    await request(app).get('/api/data-quality/runs/dq_nothing').expect(404);
+  });
+});
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const InputValidationSchemas = require('../../middleware/input-validation-schemas');
+const { createPrincipal } = require('../../shared/auth-policy');
+const { DuplicateDetector } = require('../../services/duplicate-detector');
+const { jaroWinkler, nameSimilarity, scorePair, normalizeCompanyName, normalizePhone } = require('../../shared/record-matcher');
+const { fakeHubSpot } = require('../hubspot-fixture');
+
+const record = (id, createdAt, properties) => ({ id: String(id), properties, createdAt, updatedAt: createdAt });
+
+const seedRecords = () => ({
+  contacts: new Map([
+    ['1', record(1, '2023-01-01T00:00:00.000Z', { firstname: 'Jane', lastname: 'Doe', email: 'jane.doe@acme.com', phone: '(555) 123-4567', company: 'Acme Inc' })],
+    ['2', record(2, '2023-06-01T00:00:00.000Z', { firstname: 'Jane', lastname: 'Doe', email: 'Jane.Doe@acme.com', phone: '+1 555 123 4567', company: 'ACME' })],
+    ['3', record(3, '2023-02-01T00:00:00.000Z', { firstname: 'Jon', lastname: 'Smith', email: 'jsmith@gmail.com', phone: '555-999-0000' })],
+    ['4', record(4, '2023-03-01T00:00:00.000Z', { firstname: 'John', lastname: 'Smith', email: 'jsmith@gmail.com' })],
+    ['5', record(5, '2023-04-01T00:00:00.000Z', { firstname: 'Bob', lastname: 'Jones', email: 'bob@other.io', phone: '555-999-0000' })],
+    ['7', record(7, '2023-05-01T00:00:00.000Z', { firstname: 'Doe,', lastname: 'Jane', email: 'jdoe@acme.com', phone: '5551234567' })]
+  ]),
+  companies: new Map([
+    ['10', record(10, '2022-01-01T00:00:00.000Z', { name: 'Acme Inc', domain: 'acme.com' })],
+    ['11', record(11, '2022-02-01T00:00:00.000Z', { name: 'ACME', domain: 'https://www.acme.com/' })],
+    ['12', record(12, '2022-03-01T00:00:00.000Z', { name: 'Globex', domain: 'globex.io' })]
+  ])
+});
+
+// List pages hold 2 records; merges drop the merged record
+const respond = ({ method, url, type, action, body, records }, portal) => {
+  if (method === 'get' && !action) {
+    const start = parseInt(url.searchParams.get('after')) || 0;
+    const page = records.slice(start, start + 2);
+    return { data: { results: page, paging: start + 2 < records.length ? { next: { after: String(start + 2) } } : undefined } };
+  }
+  if (action === 'merge') {
+    const { primaryObjectId, objectIdToMerge } = body;
+    if (!portal[type].has(objectIdToMerge)) return { status: 404, data: { message: `${objectIdToMerge} does not exist` } };
+    portal[type].delete(objectIdToMerge);
+    return { data: portal[type].get(primaryObjectId) };
+  }
+  return { status: 404, data: { message: 'Not found' } };
+};
+
+describe('🍌 Duplicate Detection Tests', () => {
+  const dirs = [];
+
+  afterAll(() => {
+    dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  const createDir = () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicates-'));
+    dirs.push(dir);
+    return dir;
+  };
+
+  test('should score typos, reordered names and differently formatted fields', () => {
+    expect(jaroWinkler('martha', 'marhta')).toBeCloseTo(0.961, 3);
+    expect(jaroWinkler('', 'martha')).toBe(0);
+    expect(nameSimilarity('smith john', 'john smith')).toBe(1);
+    expect(nameSimilarity('jon smith', 'john smith')).toBeGreaterThan(0.95);
+    expect(normalizeCompanyName('Acme, Inc.')).toBe('acme');
+    expect(normalizeCompanyName('Limited')).toBe('limited');
+    expect(normalizePhone('+1 (555) 123-4567 ext 12')).toBe(normalizePhone('555.123.4567'));
+
+    // Only fields both records have count, and a zero weight turns a field off
+    const a = { properties: { email: 'jsmith@gmail.com', firstname: 'Jon', lastname: 'Smith', phone: '555-999-0000' } };
+    const b = { properties: { email: 'JSmith@gmail.com', firstname: 'John', lastname: 'Smith' } };
+    expect(scorePair('contacts', a, b, { email: 0.4, name: 0.35, phone: 0.15 })).toEqual({ score: 0.987, fields: { email: 1, name: 0.973 } });
+    expect(scorePair('contacts', a, b, { email: 0, name: 1 }).fields).toEqual({ name: 0.973 });
+  });
+
+  test('should cluster duplicates, never regroup rejected records and merge through HubSpot', async () => {
+    const { portal, authHandler } = fakeHubSpot(seedRecords(), respond);
+    const dir = createDir();
+    const detector = new DuplicateDetector(authHandler, { dir });
+
+    const found = await detector.listClusters('contacts');
+    expect(found).toMatchObject({ objectType: 'contacts', source: 'hubspot', recordCount: 6, total: 2 });
+    const [smith, doe] = found.clusters;
+    expect(doe.members.map(member => member.id)).toEqual(['1', '2', '7']);
+    expect(doe.confidence).toBeCloseTo((1 + 0.923 + 0.923) / 3, 3);
+    expect(smith).toMatchObject({ confidence: 0.987, pairs: [{ ids: ['3', '4'], fields: { email: 1 } }] });
+    expect(doe.id).toMatch(/^dup_contacts_[0-9a-f]{16}$/);
+
+    // The scan is reused until it expires
+    const listCalls = portal.calls.length;
+    await detector.listClusters('contacts');
+    expect(portal.calls.length).toBe(listCalls);
+
+    await expect(detector.reject(doe.id, { ids: ['1', '5'] })).rejects.toMatchObject({ statusCode: 400 });
+    await detector.reject(doe.id, { ids: ['1', '7'] });
+    await expect(detector.getCluster(doe.id)).rejects.toMatchObject({ statusCode: 404 });
+
+    // 7 would join 1 through 2, so it stays out
+    const [janes] = (await detector.listClusters('contacts')).clusters;
+    expect(janes.members.map(member => member.id)).toEqual(['1', '2']);
+
+    await expect(detector.merge(janes.id, { primaryId: '7' })).rejects.toMatchObject({ statusCode: 400 });
+    const merged = await detector.merge(janes.id);
+    expect(merged).toEqual({
+      clusterId: janes.id,
+      objectType: 'contacts',
+      primaryId: '1',
+      merged: ['2'],
+      failed: 0,
+      results: [{ id: '2', status: 'merged', primaryId: '1' }]
+    });
+    expect(portal.contacts.has('2')).toBe(false);
+    expect((await detector.listClusters('contacts')).clusters.map(cluster => cluster.id)).toEqual([smith.id]);
+
+    // Decisions outlive the scan and the process
+    const restarted = new DuplicateDetector(authHandler, { dir });
+    const rescanned = await restarted.listClusters('contacts', { refresh: true });
+    expect(rescanned.recordCount).toBe(5);
+    expect(rescanned.clusters.map(cluster => cluster.id)).toEqual([smith.id]);
+    expect((await restarted.getDecisions()).map(entry => entry.decision)).toEqual(['merge', 'reject']);
+  });
+
+  test('should list, merge and reject duplicates over HTTP', async () => {
+    const { portal, authHandler } = fakeHubSpot(seedRecords(), respond);
+    const duplicateDetector = new DuplicateDetector(authHandler, {
+      dir: createDir(),
+      config: { companies: { blockingKeys: ['domain', 'sparkle'] } }
+    });
+    expect(duplicateDetector.config.companies).toMatchObject({ blockingKeys: ['domain'], weights: { domain: 0.5, name: 0.4, phone: 0.1 } });
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.principal = createPrincipal({ type: 'service', id: 'test', roles: ['premium'], authMethod: 'api_key' });
+      next();
+    });
+    app.use('/api/hubspot', require('../../routes/hubspot')({ authHandler, duplicateDetector }, new InputValidationSchemas()));
+
+    await request(app).get('/api/hubspot/duplicates?objectType=deals').expect(400);
+    const listed = await request(app).get('/api/hubspot/duplicates?objectType=companies&minConfidence=0.9').expect(200);
+    expect(listed.body.data.clusters).toEqual([expect.objectContaining({
+      confidence: 1,
+      members: [expect.objectContaining({ id: '10', properties: expect.objectContaining({ name: 'Acme Inc' }) }), expect.objectContaining({ id: '11' })]
+    })]);
+    const clusterId = listed.body.data.clusters[0].id;
+
+    await request(app).get(`/api/hubspot/duplicates/${clusterId}`).expect(200);
+    await request(app).get('/api/hubspot/duplicates/dup_companies_0000000000000000').expect(404);
+    await request(app).post(`/api/hubspot/duplicates/${clusterId}/merge`).send({ primaryId: 'abc' }).expect(400);
+    await request(app).post(`/api/hubspot/duplicates/${clusterId}/reject`).send({ ids: ['10'] }).expect(400);
+
+    const merged = await request(app).post(`/api/hubspot/duplicates/${clusterId}/merge`).send({ primaryId: '11' }).expect(200);
+    expect(merged.body.data).toMatchObject({ primaryId: '11', merged: ['10'], failed: 0 });
+    expect([...portal.companies.keys()]).toEqual(['11', '12']);
+    expect(portal.calls).toContain('POST /crm/v3/objects/companies/merge');
+
+    const decisions = await request(app).get('/api/hubspot/duplicates/decisions?objectType=companies').expect(200);
+    expect(decisions.body.data.decisions).toEqual([expect.objectContaining({ decision: 'merge', clusterId, primaryId: '11', ids: ['10'] })]);
+  });
+});
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const RequestDeduplicationBatcher = require('../../middleware/request-deduplication');
+const InputValidationSchemas = require('../../middleware/input-validation-schemas');
+const { createPrincipal } = require('../../shared/auth-policy');
+const { HubSpotBatchService } = require('../../services/hubspot-batch-service');
+const { JobQueue } = require('../../services/job-queue');
+const { registerHubSpotJobs } = require('../../services/hubspot-jobs');
+const { fakeHubSpot } = require('../hubspot-fixture');
+
+describe('🍌 HubSpot Batch API Tests', () => {
+  let batcher;
+
+  beforeAll(() => {
+    batcher = new RequestDeduplicationBatcher({ enableCleanup: false });
+  });
+
+  test('should chunk upserts into 100-record calls and merge per-record results out of order', async () => {
+    const calls = [];
+    let active = 0;
+    let maxActive = 0;
+
+    const { authHandler } = fakeHubSpot({}, async ({ url, body }) => {
+      calls.push({ url: url.pathname, size: body.inputs.length });
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+
+      // The third chunk is rejected outright; elsewhere one record per chunk fails
+      if (body.inputs[0].objectWriteTraceId === '200') {
+        return { status: 400, data: { category: 'VALIDATION_ERROR', message: 'Property values were not valid' } };
+      }
+      const [bad, ...good] = body.inputs;
+      return {
+        status: 207,
+        data: {
+          status: 'COMPLETE',
+          results: good.reverse().map(input => ({ id: `hs_${input.id}`, objectWriteTraceId: input.objectWriteTraceId, new: false })),
+          errors: [{ status: 'error', category: 'INVALID_EMAIL', message: 'Email is invalid', objectWriteTraceId: bad.objectWriteTraceId }]
+        }
+      };
+    });
+
+    const service = new HubSpotBatchService(authHandler, batcher, { concurrency: 2 });
+    const inputs = Array.from({ length: 250 }, (_, i) => ({ id: `user${i}@example.com`, idProperty: 'email', properties: { n: String(i) } }));
+    const progress = [];
+
+    const result = await service.run('contacts', 'upsert', { inputs }, {
+      onProgress: (processed) => progress.push(processed)
+    });
+
+    expect(calls).toEqual([
+      { url: '/crm/v3/objects/contacts/batch/upsert', size: 100 },
+      { url: '/crm/v3/objects/contacts/batch/upsert', size: 100 },
+      { url: '/crm/v3/objects/contacts/batch/upsert', size: 50 }
+    ]);
+    expect(maxActive).toBe(2);
+    expect(progress).toEqual([100, 200, 250]);
+
+    expect(result).toMatchObject({ total: 250, succeeded: 198, failed: 52, chunks: 3 });
+    expect(result.results[1]).toMatchObject({ index: 1, status: 'success', id: 'hs_user1@example.com' });
+    expect(result.results[100]).toMatchObject({ index: 100, status: 'error', error: { category: 'INVALID_EMAIL' } });
+    expect(result.results[249]).toMatchObject({
+      index: 249,
+      status: 'error',
+      id: 'user249@example.com',
+      error: { status: 400, category: 'VALIDATION_ERROR', message: 'Property values were not valid' }
+    });
+  });
+
+  test('should match read results and not-found errors by ID', async () => {
+    const { authHandler } = fakeHubSpot({}, async () => ({
+      status: 207,
+      data: {
+        results: [{ id: '3', properties: { email: 'c@example.com' } }, { id: '1', properties: { email: 'a@example.com' } }],
+        errors: [{ status: 'error', category: 'OBJECT_NOT_FOUND', message: 'Could not get some CONTACT objects', context: { ids: ['2', '4'] } }]
+      }
+    }));
+
+    const service = new HubSpotBatchService(authHandler, batcher);
+    const result = await service.run('contacts', 'read', {
+      inputs: ['1', '2', '3', '4'].map(id => ({ id })),
+      properties: ['email']
+    });
+
+    expect(result.results.map(record => [record.id, record.status])).toEqual([
+      ['1', 'success'], ['2', 'error'], ['3', 'success'], ['4', 'error']
+    ]);
+    expect(result.results[2].result.properties.email).toBe('c@example.com');
+    expect(result.results[3].error.category).toBe('OBJECT_NOT_FOUND');
+
+    await expect(service.run('contacts', 'update', { inputs: [{ id: '1' }] }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'inputs[0] must have id and properties for batch update' });
+  });
+
+  test('should serve batches over HTTP and queue background batches as durable jobs', async () => {
+    const { authHandler } = fakeHubSpot({}, async ({ subAction, body }) => (
+      subAction === 'archive' ?
+        { status: 204, data: '' } :
+        { status: 201, data: { results: body.inputs.map((input, i) => ({ id: String(i), objectWriteTraceId: input.objectWriteTraceId })) } }
+    ));
+    const hubspotBatchService = new HubSpotBatchService(authHandler, batcher);
+    const jobQueue = new JobQueue({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'hubspot-batch-jobs-')), progressInterval: 0 });
+    registerHubSpotJobs(jobQueue, { authHandler, batchService: hubspotBatchService });
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.principal = createPrincipal({ type: 'service', id: req.get('X-API-Key'), roles: ['premium'], authMethod: 'api_key' });
+      next();
+    });
+    app.use('/api/hubspot', require('../../routes/hubspot')({ authHandler, hubspotBatchService, jobQueue }, new InputValidationSchemas()));
+
+    const created = await request(app)
+      .post('/api/hubspot/batch/contacts/create')
+      .set('X-API-Key', 'pk_owner')
+      .send({ inputs: [{ properties: { email: 'a@example.com' } }, { properties: { email: 'b@example.com' } }] })
+      .expect(200);
+    expect(created.body.data).toMatchObject({ total: 2, succeeded: 2, failed: 0 });
+
+    const started = await request(app)
+      .post('/api/hubspot/batch/contacts/archive')
+      .set('X-API-Key', 'pk_owner')
+      .send({ inputs: Array.from({ length: 150 }, (_, i) => ({ id: String(i) })), background: true })
+      .expect(202);
+    const { jobId, statusUrl } = started.body.data;
+    expect(started.body.data).toMatchObject({ type: 'hubspot.batch', status: 'queued', total: 150 });
+    expect(statusUrl).toBe(`/api/jobs/${jobId}`);
+
+    const finished = new Promise(resolve => jobQueue.on('job', event => {
+      if (event.id === jobId && event.status === 'completed') resolve(event);
+    }));
+    jobQueue.start();
+    await expect(finished).resolves.toMatchObject({ progress: { processed: 150, total: 150, percent: 100 } });
+    await jobQueue.stop();
+
+    const result = await jobQueue.getResult(jobId);
+    expect(result).toMatchObject({ total: 150, succeeded: 150, chunks: 2 });
+    expect(result.results[149]).toEqual({ index: 149, status: 'success', id: '149' });
+
+    await request(app).post('/api/hubspot/batch/contacts/merge').set('X-API-Key', 'pk_owner')
+      .send({ inputs: [{ id: '1' }], background: true }).expect(400);
+  });
+});
@@ -0,0 +1,171 @@
+const express = require('express');
+const request = require('supertest');
+const RequestDeduplicationBatcher = require('../../middleware/request-deduplication');
+const StreamingHandler = require('../../middleware/streaming-handler');
+const InputValidationSchemas = require('../../middleware/input-validation-schemas');
+const { HubSpotBatchService } = require('../../services/hubspot-batch-service');
+const { HubSpotGraphService } = require('../../services/hubspot-graph-service');
+const { fakeHubSpot } = require('../hubspot-fixture');
+
+const PRIMARY = { category: 'HUBSPOT_DEFINED', typeId: 1, label: 'Primary' };
+const UNLABELED = { category: 'HUBSPOT_DEFINED', typeId: 279, label: null };
+
+// Records and associations; contact 12 was deleted but is still associated
+const seedPortal = () => ({
+  companies: new Set(['1']),
+  contacts: new Set(['10', '11']),
+  deals: new Set(['20', '21']),
+  associations: [
+    ['companies', '1', 'contacts', '10', [PRIMARY]],
+    ['companies', '1', 'contacts', '11', [UNLABELED]],
+    ['companies', '1', 'contacts', '12', [UNLABELED]],
+    ['companies', '1', 'deals', '20', [UNLABELED]],
+    ['contacts', '10', 'deals', '20', [UNLABELED]],
+    ['contacts', '11', 'deals', '20', [UNLABELED]],
+    ['contacts', '11', 'deals', '21', [UNLABELED]]
+  ]
+});
+
+// Associations read from either end, like HubSpot's
+const associated = (portal, fromType, fromId, toType) => portal.associations.flatMap(([aType, aId, bType, bId, types]) => {
+  if (aType === fromType && aId === fromId && bType === toType) return [{ toObjectId: Number(bId), associationTypes: types }];
+  if (bType === fromType && bId === fromId && aType === toType) return [{ toObjectId: Number(aId), associationTypes: types }];
+  return [];
+});
+
+const respond = ({ url, type, body }, portal) => {
+  const parts = url.pathname.split('/');
+
+  // POST /crm/v4/associations/:from/:to/batch/read, two associations per result and the rest paged
+  if (parts[3] === 'associations') {
+    const [, , , , fromType, toType] = parts;
+    if (fromType === toType) {
+      return { status: 400, data: { message: `No associations between ${fromType} and ${toType}` } };
+    }
+    const results = body.inputs
+      .map(({ id }) => ({ id, to: associated(portal, fromType, id, toType) }))
+      .filter(({ to }) => to.length > 0)
+      .map(({ id, to }) => ({
+        from: { id },
+        to: to.slice(0, 2),
+        paging: to.length > 2 ? { next: { after: '2' } } : undefined
+      }));
+    return { status: 207, data: { status: 'COMPLETE', results } };
+  }
+
+  // GET /crm/v4/objects/:from/:id/associations/:to?after=
+  if (parts[6] === 'associations') {
+    const [, , , , fromType, fromId, , toType] = parts;
+    const after = Number(url.searchParams.get('after'));
+    return { data: { results: associated(portal, fromType, fromId, toType).slice(after) } };
+  }
+
+  // POST /crm/v3/objects/:type/batch/read
+  const ids = body.inputs.map(({ id }) => id);
+  const missing = ids.filter(id => !portal[type].has(id));
+  return {
+    status: missing.length > 0 ? 207 : 200,
+    data: {
+      status: 'COMPLETE',
+      results: ids.filter(id => portal[type].has(id)).map(id => ({
+        id,
+        properties: { name: `${type} ${id}` },
+        createdAt: '2024-01-01T00:00:00.000Z',
+        updatedAt: '2024-01-01T00:00:00.000Z'
+      })),
+      errors: missing.length > 0
+        ? [{ status: 'error', category: 'OBJECT_NOT_FOUND', message: 'Could not get some objects', context: { ids: missing } }]
+        : []
+    }
+  };
+};
+
+describe('🍌 HubSpot Graph Tests', () => {
+  let batcher;
+
+  beforeAll(() => {
+    batcher = new RequestDeduplicationBatcher({ enableCleanup: false });
+  });
+
+  const createService = (authHandler, options) => new HubSpotGraphService(authHandler, new HubSpotBatchService(authHandler, batcher), options);
+
+  test('should walk associations two levels out into a de-duplicated graph', async () => {
+    const { portal, authHandler } = fakeHubSpot(seedPortal(), respond);
+    const service = createService(authHandler);
+
+    const graph = await service.build('companies', '1', { depth: 2, include: ['contacts', 'deals'] });
+
+    expect(graph.root).toBe('companies:1');
+    expect(graph.nodes.map(node => [node.key, node.depth])).toEqual([
+      ['companies:1', 0],
+      ['contacts:10', 1],
+      ['contacts:11', 1],
+      ['deals:20', 1],
+      ['deals:21', 2]
+    ]);
+    expect(graph.nodes[1]).toMatchObject({ type: 'contacts', id: '10', properties: { name: 'contacts 10' } });
+
+    // Found from both ends, each association is one edge
+    expect(graph.edges.map(edge => `${edge.from} ${edge.to}`)).toEqual([
+      'companies:1 contacts:10',
+      'companies:1 contacts:11',
+      'companies:1 deals:20',
+      'contacts:10 deals:20',
+      'contacts:11 deals:20',
+      'contacts:11 deals:21'
+    ]);
+    expect(graph.edges[0].types).toEqual([PRIMARY]);
+
+    // The deleted contact is dropped with its edge; pairs HubSpot refuses don't fail the graph
+    expect(graph.warnings).toEqual([
+      '1 contacts could not be read: Could not get some objects',
+      'contacts → contacts: No associations between contacts and contacts',
+      'deals → deals: No associations between deals and deals'
+    ]);
+    expect(graph.truncated).toBe(false);
+
+    // Association results past the first page are fetched on their own
+    expect(portal.calls).toContain('GET /crm/v4/objects/companies/1/associations/contacts');
+    expect(graph.stats).toEqual({ depth: 2, nodes: 5, edges: 6, hubspotCalls: portal.calls.length });
+  });
+
+  test('should cap depth and nodes and report a missing root as not found', async () => {
+    const { authHandler } = fakeHubSpot(seedPortal(), respond);
+    const service = createService(authHandler, { maxDepth: 1, maxNodes: 3 });
+
+    const graph = await service.build('companies', '1', { depth: 5, include: ['contacts', 'deals'] });
+    expect(graph.stats.depth).toBe(1);
+    expect(graph.nodes).toHaveLength(3);
+    expect(graph.truncated).toBe(true);
+
+    const rootOnly = await service.build('companies', '1', { depth: 0 });
+    expect(rootOnly.nodes.map(node => node.key)).toEqual(['companies:1']);
+
+    await expect(service.build('contacts', '12')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('should serve the graph as JSON or streamed NDJSON', async () => {
+    const { authHandler } = fakeHubSpot(seedPortal(), respond);
+    const app = express();
+    app.use(express.json());
+    app.use('/api/hubspot', require('../../routes/hubspot')({
+      authHandler,
+      streamingHandler: new StreamingHandler(),
+      hubspotGraphService: createService(authHandler)
+    }, new InputValidationSchemas()));
+
+    const json = await request(app).get('/api/hubspot/graph/companies/1?depth=1&include=contacts&properties=name').expect(200);
+    expect(json.body.data).toMatchObject({ root: 'companies:1', stats: { nodes: 3, edges: 2 } });
+
+    const streamed = await request(app).get('/api/hubspot/graph/companies/1?depth=2&include=contacts,deals&stream=true').expect(200);
+    expect(streamed.headers['content-type']).toContain('application/x-ndjson');
+    const lines = streamed.text.trim().split('\n').map(line => JSON.parse(line));
+    expect(lines[0]).toMatchObject({ type: 'node', node: { key: 'companies:1', type: 'companies' } });
+    expect(lines.filter(line => line.type === 'node')).toHaveLength(5);
+    expect(lines.filter(line => line.type === 'edge')).toHaveLength(6);
+    expect(lines[lines.length - 1]).toMatchObject({ type: 'summary', root: 'companies:1', truncated: false });
+
+    await request(app).get('/api/hubspot/graph/contacts/12?stream=true').expect(404);
+    await request(app).get('/api/hubspot/graph/companies/1?include=deals,..%2Fowners').expect(400);
+  });
+});
@@ -0,0 +1,144 @@
+const http = require('http');
+const axios = require('axios');
+const express = require('express');
+const request = require('supertest');
+const HubSpotProxy = require('../../middleware/hubspot-proxy');
+const CompressionMiddleware = require('../../middleware/compression');
+const { createPrincipal } = require('../../shared/auth-policy');
+const { HubSpotScheduler } = require('../../shared/hubspot-scheduler');
+
+describe('🍌 HubSpotProxy - Pass-Through Proxy Tests', () => {
+  let hubspot;
+  let hubspotUrl;
+  let received;
+  let app;
+  const file = Buffer.from(Array.from({ length: 4096 }, (_, i) => i % 256));
+
+  // Stand-in for api.hubapi.com that records what it received
+  beforeAll(async () => {
+    hubspot = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        received = { method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks) };
+
+        if (req.url.startsWith('/crm/v3/objects/contacts?')) {
+          if (req.headers['if-none-match'] === '"v1"') {
+            res.writeHead(304, { etag: '"v1"' });
+            return res.end();
+          }
+          res.writeHead(200, {
+            'content-type': 'application/json',
+            etag: '"v1"',
+            link: `<${hubspotUrl}/crm/v3/objects/contacts?after=10>; rel="next"`,
+            'x-hubspot-ratelimit-remaining': '99',
+            'set-cookie': 'hubspot=secret'
+          });
+          return res.end(JSON.stringify({ results: [], paging: { next: { after: '10' } } }));
+        }
+        if (req.url === '/files/v3/files/42/download') {
+          res.writeHead(200, { 'content-type': 'application/octet-stream', 'content-disposition': 'attachment; filename="logo.bin"' });
+          return res.end(file);
+        }
+        if (req.url === '/files/v3/files') {
+          res.writeHead(201, { 'content-type': 'application/json' });
+          return res.end(JSON.stringify({ id: '43', size: received.body.length }));
+        }
+        res.writeHead(404, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ status: 'error', message: 'Not found', category: 'OBJECT_NOT_FOUND' }));
+      });
+    });
+    await new Promise(resolve => hubspot.listen(0, '127.0.0.1', resolve));
+    hubspotUrl = `http://127.0.0.1:${hubspot.address().port}`;
+
+    const hubspotClient = new HubSpotScheduler().attach(axios.create({
+      baseURL: hubspotUrl,
+      headers: { Authorization: 'Bearer hub-token', 'Content-Type': 'application/json' }
+    }));
+
+    app = express();
+    app.use((req, res, next) => {
+      req.principal = createPrincipal({ type: 'service', id: 'test', roles: [req.get('x-test-tier') || 'premium'], authMethod: 'api_key' });
+      next();
+    });
+    app.use(new CompressionMiddleware().middleware());
+    app.use(express.json());
+    app.use('/api/hubspot', new HubSpotProxy({ hubspotClient }).middleware());
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => hubspot.close(resolve));
+  });
+
+  test('should pass query strings, status codes and caching headers through', async () => {
+    const response = await request(app)
+      .get('/api/hubspot/crm/v3/objects/contacts?limit=10&properties=email,firstname')
+      .set('Authorization', 'Bearer pk_caller')
+      .expect(200);
+
+    expect(received.url).toBe('/crm/v3/objects/contacts?limit=10&properties=email,firstname');
+    expect(received.headers.authorization).toBe('Bearer hub-token');
+    expect(response.body).toEqual({ results: [], paging: { next: { after: '10' } } });
+    expect(response.headers.etag).toBe('"v1"');
+    expect(response.headers['x-hubspot-ratelimit-remaining']).toBe('99');
+    expect(response.headers['set-cookie']).toBeUndefined();
+    // Pagination links point back at the proxy
+    expect(response.headers.link).toMatch(/^<http:\/\/127\.0\.0\.1:\d+\/api\/hubspot\/crm\/v3\/objects\/contacts\?after=10>; rel="next"$/);
+
+    await request(app)
+      .get('/api/hubspot/crm/v3/objects/contacts?limit=10')
+      .set('If-None-Match', '"v1"')
+      .expect(304);
+
+    const missing = await request(app).get('/api/hubspot/crm/v3/objects/widgets/1').expect(404);
+    expect(missing.body).toEqual({ status: 'error', message: 'Not found', category: 'OBJECT_NOT_FOUND' });
+  });
+
+  test('should stream multipart uploads and binary downloads unchanged', async () => {
+    const upload = await request(app)
+      .post('/api/hubspot/files/v3/files')
+      .field('folderPath', '/logos')
+      .attach('file', file, 'logo.bin')
+      .expect(201);
+
+    expect(received.headers['content-type']).toMatch(/^multipart\/form-data; boundary=/);
+    expect(received.body.includes(file)).toBe(true);
+    expect(upload.body).toEqual({ id: '43', size: received.body.length });
+
+    const download = await request(app)
+      .get('/api/hubspot/files/v3/files/42/download')
+      .set('Accept-Encoding', 'gzip')
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+
+    expect(download.headers['content-disposition']).toBe('attachment; filename="logo.bin"');
+    expect(download.headers['content-encoding']).toBeUndefined();
+    expect(Buffer.compare(download.body, file)).toBe(0);
+  });
+
+  test('should allow and deny HubSpot path prefixes by tier', async () => {
+    received = null;
+
+    const denied = await request(app).get('/api/hubspot/oauth/v1/access-tokens/abc').expect(403);
+    expect(denied.body).toMatchObject({ success: false, error: 'HubSpot path not allowed' });
+    // Encoded dot segments resolve before the rules are checked
+    await request(app).get('/api/hubspot/crm/%2e%2e/OAuth/v1/access-tokens/abc').expect(403);
+    await request(app).get('/api/hubspot/files/v3/files/42/download').set('x-test-tier', 'basic').expect(403);
+    expect(received).toBeNull();
+
+    await request(app).get('/api/hubspot/crm/v3/objects/contacts?limit=1').set('x-test-tier', 'basic').expect(200);
+    await request(app).get('/api/hubspot/crm/v3/objects/contactsx').set('x-test-tier', 'basic').expect(403);
+
+    // Roles other than the key tiers get their tier's rules, and every admin role the admin rules
+    await request(app).get('/api/hubspot/oauth/v1/access-tokens/abc').set('x-test-tier', 'super_admin').expect(404);
+    await request(app).get('/api/hubspot/files/v3/files/42/download').set('x-test-tier', 'manager').expect(200);
+    await request(app).get('/api/hubspot/crm/v3/objects/contacts?limit=1').set('x-test-tier', 'viewer').expect(200);
+    const unknown = await request(app).get('/api/hubspot/crm/v3/objects/contacts').set('x-test-tier', 'auditor').expect(403);
+    expect(unknown.body.message).toBe('No HubSpot proxy rules for role auditor');
+  });
+});
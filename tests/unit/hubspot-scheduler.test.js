@@ -0,0 +1,82 @@
+const axios = require('axios');
+const { HubSpotScheduler } = require('../../shared/hubspot-scheduler');
+
+// axios instance whose requests are answered by `respond(config)` instead of the network
+const clientFor = (scheduler, respond) => scheduler.attach(axios.create({
+  baseURL: 'https://api.hubapi.com',
+  adapter: async (config) => {
+    const { status = 200, headers = {}, data = {} } = await respond(config);
+    const response = { status, headers, data, config, statusText: String(status) };
+    if (status >= 400) {
+      throw new axios.AxiosError(`Request failed with status code ${status}`, 'ERR_BAD_RESPONSE', config, null, response);
+    }
+    return response;
+  }
+}));
+
+describe('🍌 HubSpotScheduler - Outbound Rate Limit Tests', () => {
+  test('should learn the portal limit from headers and serve interactive requests first', async () => {
+    const scheduler = new HubSpotScheduler({ limit: 100, interval: 10000 });
+    const order = [];
+    const client = clientFor(scheduler, async (config) => {
+      order.push(config.url);
+      return {
+        headers: {
+          'x-hubspot-ratelimit-max': '2',
+          'x-hubspot-ratelimit-interval-milliseconds': '200',
+          'x-hubspot-ratelimit-remaining': '0',
+          'x-hubspot-ratelimit-daily': '250000',
+          'x-hubspot-ratelimit-daily-remaining': '249000'
+        }
+      };
+    });
+
+    await client.get('/crm/v3/objects/contacts?limit=1');
+    expect(scheduler.getStats()).toMatchObject({
+      buckets: { default: { limit: 2, interval: 200, tokens: 0, learned: true } },
+      daily: { limit: 250000, remaining: 249000 }
+    });
+
+    // The bucket is empty, so these queue; the interactive one goes first
+    const started = Date.now();
+    await Promise.all([
+      client.get('/export/1', { priority: 'background' }),
+      client.get('/export/2', { priority: 'background' }),
+      client.get('/interactive')
+    ]);
+
+    expect(order.slice(1)).toEqual(['/interactive', '/export/1', '/export/2']);
+    // Three tokens at 2 per 200ms take at least 200ms
+    expect(Date.now() - started).toBeGreaterThanOrEqual(190);
+    expect(scheduler.getStats()).toMatchObject({ requests: 4, queued: { interactive: 0, background: 0 } });
+  });
+
+  test('should retry 429s after Retry-After and 5xx responses of safe requests with backoff', async () => {
+    const scheduler = new HubSpotScheduler({ baseDelay: 10, maxRetries: 2 });
+    const attempts = {};
+    const client = clientFor(scheduler, async (config) => {
+      const attempt = attempts[config.url] = (attempts[config.url] || 0) + 1;
+      if (config.url === '/throttled' && attempt === 1) {
+        return { status: 429, headers: { 'retry-after': '0.05' }, data: { policyName: 'TEN_SECONDLY_ROLLING' } };
+      }
+      if (config.url.startsWith('/flaky') && attempt === 1) return { status: 502 };
+      if (config.url === '/daily') return { status: 429, data: { policyName: 'DAILY' } };
+      if (config.url === '/down') return { status: 503 };
+      return { data: { ok: true } };
+    });
+
+    const started = Date.now();
+    await expect(client.get('/throttled')).resolves.toMatchObject({ data: { ok: true } });
+    expect(Date.now() - started).toBeGreaterThanOrEqual(45);
+
+    await expect(client.get('/flaky')).resolves.toMatchObject({ status: 200 });
+    await expect(client.post('/flaky/search', {})).resolves.toMatchObject({ status: 200 });
+    // POSTs that create records aren't retried unless marked retryable
+    await expect(client.post('/flaky/create', {})).rejects.toMatchObject({ response: { status: 502 } });
+    await expect(client.get('/daily')).rejects.toMatchObject({ response: { status: 429 } });
+    await expect(client.get('/down')).rejects.toMatchObject({ response: { status: 503 } });
+
+    expect(attempts).toEqual({ '/throttled': 2, '/flaky': 2, '/flaky/search': 2, '/flaky/create': 1, '/daily': 1, '/down': 3 });
+    expect(scheduler.getStats()).toMatchObject({ throttled: 2, retries: 5, failures: 3 });
+  });
+});
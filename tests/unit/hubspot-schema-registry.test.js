@@ -0,0 +1,142 @@
+const express = require('express');
+const request = require('supertest');
+const RequestDeduplicationBatcher = require('../../middleware/request-deduplication');
+const InputValidationSchemas = require('../../middleware/input-validation-schemas');
+const { HubSpotBatchService } = require('../../services/hubspot-batch-service');
+const { HubSpotSchemaRegistry } = require('../../services/hubspot-schema-registry');
+const { fakeHubSpot } = require('../hubspot-fixture');
+
+const property = (name, type, extra = {}) => ({ name, label: name, type, fieldType: 'text', ...extra });
+const options = (...values) => values.map(value => ({ label: value, value }));
+
+const MACHINE = {
+  id: '999',
+  name: 'machine',
+  labels: { singular: 'Machine', plural: 'Machines' },
+  objectTypeId: '2-999',
+  fullyQualifiedName: 'p123_machine',
+  primaryDisplayProperty: 'serial',
+  requiredProperties: ['serial'],
+  searchableProperties: ['serial'],
+  properties: [
+    property('serial', 'string'),
+    property('status', 'enumeration', { fieldType: 'select', options: options('active', 'retired') }),
+    property('features', 'enumeration', { fieldType: 'checkbox', options: options('gps', 'wifi') }),
+    property('weight', 'number', { fieldType: 'number' }),
+    property('installed_at', 'date', { fieldType: 'date' }),
+    property('hs_object_id', 'number', { modificationMetadata: { readOnlyValue: true } })
+  ]
+};
+
+const CONTACT_PROPERTIES = [
+  property('email', 'string'),
+  property('firstname', 'string'),
+  property('lifecyclestage', 'enumeration', { fieldType: 'radio', options: options('lead', 'customer') }),
+  property('hs_object_id', 'number', { modificationMetadata: { readOnlyValue: true } })
+];
+
+// HubSpot's schema, properties and object APIs; objects echo what was sent
+const respond = ({ method, url, body }, portal) => {
+  if (url.pathname === '/crm/v3/schemas') {
+    return { data: { results: portal.schemas } };
+  }
+  if (url.pathname.startsWith('/crm/v3/properties/')) {
+    if (portal.propertiesDown) return { status: 503, data: { message: 'Service unavailable' } };
+    return { data: { results: url.pathname.endsWith('/contacts') ? CONTACT_PROPERTIES : [] } };
+  }
+  if (url.pathname.endsWith('/search')) {
+    return { data: { total: 0, results: [] } };
+  }
+  if (url.pathname.includes('/batch/')) {
+    return { data: { status: 'COMPLETE', results: body.inputs.map((input, index) => ({ id: String(index + 1), ...input })) } };
+  }
+  return { status: method === 'post' ? 201 : 200, data: { id: '5', ...body } };
+};
+
+describe('🍌 HubSpot Schema Registry Tests', () => {
+  test('should resolve custom objects by any of their names and cache property definitions', async () => {
+    const { portal, authHandler } = fakeHubSpot({ schemas: [MACHINE], propertiesDown: false }, respond);
+    const registry = new HubSpotSchemaRegistry(authHandler);
+
+    // Standard types are known before anything loads
+    expect((await registry.resolve('0-3')).objectType).toBe('deals');
+    expect(portal.calls).toEqual([]);
+
+    // An unknown type loads the schemas
+    const machine = await registry.resolve('p_machine');
+    expect(machine).toMatchObject({ objectType: 'p123_machine', custom: true, requiredProperties: ['serial'] });
+    for (const alias of ['p123_machine', '2-999', 'Machine']) {
+      expect((await registry.resolve(alias)).objectType).toBe('p123_machine');
+    }
+
+    // Properties came with the schema; standard objects load theirs once per TTL
+    expect((await registry.getProperties('p123_machine')).get('status').options).toEqual(['active', 'retired']);
+    await registry.getProperties('contacts');
+    await registry.getProperties('contacts');
+    expect(portal.calls).toEqual(['GET /crm/v3/schemas', 'GET /crm/v3/properties/contacts']);
+
+    // A type created since is picked up, but unknown types don't reload the schemas on every request
+    portal.schemas = [MACHINE, { ...MACHINE, name: 'gadget', objectTypeId: '2-1000', fullyQualifiedName: 'p123_gadget' }];
+    expect(await registry.resolve('p_gadget')).toBeNull();
+    registry.attemptedAt = 0;
+    expect((await registry.resolve('p_gadget')).objectType).toBe('p123_gadget');
+    await expect(registry.require('p_nothing')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('should validate object, batch and search payloads against property definitions', async () => {
+    const { portal, authHandler } = fakeHubSpot({ schemas: [MACHINE], propertiesDown: false }, respond);
+    const registry = new HubSpotSchemaRegistry(authHandler);
+    const inputValidator = new InputValidationSchemas();
+    inputValidator.useSchemaRegistry(registry);
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/hubspot', require('../../routes/hubspot')({
+      authHandler,
+      hubspotSchemaRegistry: registry,
+      hubspotBatchService: new HubSpotBatchService(authHandler, new RequestDeduplicationBatcher({ enableCleanup: false }))
+    }, inputValidator));
+
+    const machine = { serial: 'M-1', status: 'active', features: 'gps;wifi', weight: '12.5', installed_at: '2024-03-01' };
+    const created = await request(app).post('/api/hubspot/objects/p_machine').send({ properties: machine }).expect(201);
+    expect(created.body.data.data).toEqual({ id: '5', properties: machine });
+    // Sent to HubSpot under the canonical name, values untouched
+    expect(portal.calls[portal.calls.length - 1]).toBe('POST /crm/v3/objects/p123_machine');
+
+    const invalid = async (path, body) => (await request(app).post(path).send(body).expect(400)).body.message;
+    expect(await invalid('/api/hubspot/objects/p_machine', { properties: { status: 'active' } })).toContain('"properties.serial" is required');
+    expect(await invalid('/api/hubspot/objects/p_machine', { properties: { serial: 'M-2', status: 'broken' } })).toContain('properties.status');
+    expect(await invalid('/api/hubspot/objects/p_machine', { properties: { serial: 'M-2', features: 'gps;radar' } })).toContain('separated by ;');
+    expect(await invalid('/api/hubspot/objects/p_machine', { properties: { serial: 'M-2', weight: 'heavy' } })).toContain('properties.weight');
+    expect(await invalid('/api/hubspot/objects/p_machine', { properties: { serial: 'M-2', hs_object_id: '7' } })).toContain('read-only');
+    expect(await invalid('/api/hubspot/objects/p_machine', { properties: { serial: 'M-2', colour: 'red' } })).toContain('"properties.colour" is not allowed');
+
+    // Updates don't need the required properties
+    await request(app).patch('/api/hubspot/objects/machine/5').send({ properties: { status: 'retired' } }).expect(200);
+
+    // Batch creates are checked per input; reads pass straight through
+    expect(await invalid('/api/hubspot/batch/p_machine/create', { inputs: [{ properties: { serial: 'M-3' } }, { properties: {} }] }))
+      .toContain('"inputs[1].properties.serial" is required');
+    await request(app).post('/api/hubspot/batch/p_machine/read').send({ inputs: [{ id: '5' }] }).expect(200);
+
+    // Searches must name real properties and enumeration options
+    const filter = (propertyName, value) => ({ filterGroups: [{ filters: [{ propertyName, operator: 'EQ', value }] }] });
+    await request(app).post('/api/hubspot/search/contacts').send({ ...filter('lifecyclestage', 'lead'), properties: ['email'], useCache: true }).expect(200);
+    await request(app).post('/api/hubspot/search/contacts').send(filter('associations.company', '42')).expect(200);
+    expect(await invalid('/api/hubspot/search/contacts', filter('emial', 'a@b.com'))).toContain('not a property of this object');
+    expect(await invalid('/api/hubspot/search/contacts', filter('lifecyclestage', 'banana'))).toContain('lifecyclestage has no option banana');
+    expect(await invalid('/api/hubspot/search/contacts', { properties: ['email', 'nope'] })).toContain('properties[1]');
+
+    await request(app).post('/api/hubspot/search/p_nothing').send({}).expect(404);
+    await request(app).get('/api/hubspot/objects/p_nothing').expect(404);
+
+    // While the properties API is down, HubSpot is left to do the checking
+    portal.propertiesDown = true;
+    registry.properties.clear();
+    await request(app).post('/api/hubspot/objects/machine').send({ properties: { colour: 'red' } }).expect(201);
+
+    const schemas = await request(app).get('/api/hubspot/schemas').expect(200);
+    expect(schemas.body.data.objectTypes.filter(type => type.custom).map(type => type.objectType)).toEqual(['p123_machine']);
+    expect(schemas.body.data.objectTypes.map(type => type.objectType)).toContain('contacts');
+  });
+});
@@ -0,0 +1,364 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const WebSocket = require('ws');
+const InputValidationSchemas = require('../../middleware/input-validation-schemas');
+const APIKeyAuth = require('../../middleware/api-key-auth');
+const SessionSecurity = require('../../middleware/session-security');
+const BananaStreamingServer = require('../../streaming/websocket-server');
+const { createAuthPipeline } = require('../../middleware/auth-pipeline');
+const { createUpgradeAuthenticator } = require('../../middleware/security-stack');
+const { MemoryState } = require('../../shared/shared-state');
+const { AuthPolicy, createPrincipal } = require('../../shared/auth-policy');
+const { JobQueue, requestOwner } = require('../../services/job-queue');
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-'));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Resolves with the first 'job' event for the job that reaches `status`
+const whenStatus = (queue, id, status) => new Promise(resolve => {
+  const listener = (event) => {
+    if (event.id === id() && event.status === status) {
+      queue.off('job', listener);
+      resolve(event);
+    }
+  };
+  queue.on('job', listener);
+});
+
+// What the auth pipeline would resolve an API key to
+const principalFor = (apiKey) => createPrincipal({ type: 'service', id: apiKey, roles: [apiKey === 'pk_admin' ? 'admin' : 'premium'], authMethod: 'api_key' });
+
+describe('🍌 Durable Job Queue Tests', () => {
+  const dirs = [];
+  const queues = [];
+
+  const createQueue = (options = {}) => {
+    if (!options.dir) {
+      options.dir = tempDir();
+      dirs.push(options.dir);
+    }
+    const queue = new JobQueue({ pollInterval: 20, progressInterval: 0, retryDelay: 10, ...options });
+    queues.push(queue);
+    return queue;
+  };
+
+  afterEach(async () => {
+    await Promise.all(queues.splice(0).map(queue => queue.stop()));
+  });
+
+  afterAll(() => {
+    dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  test('should run jobs with progress, persist results and cap concurrency per tenant', async () => {
+    const queue = createQueue({ concurrency: 3, tenantConcurrency: 1 });
+    const active = {};
+    const peak = {};
+
+    queue.register('count', async ({ to }, { job, progress }) => {
+      active[job.tenant] = (active[job.tenant] || 0) + 1;
+      peak[job.tenant] = Math.max(peak[job.tenant] || 0, active[job.tenant]);
+      for (let i = 1; i <= to; i++) {
+        await sleep(5);
+        progress(i, to, `counted ${i}`);
+      }
+      active[job.tenant]--;
+      return { counted: to };
+    });
+
+    const events = [];
+    queue.on('job', event => events.push(event));
+
+    const jobs = await Promise.all([
+      queue.create({ type: 'count', payload: { to: 3 }, tenant: 'acme' }),
+      queue.create({ type: 'count', payload: { to: 3 }, tenant: 'acme' }),
+      queue.create({ type: 'count', payload: { to: 3 }, tenant: 'globex' })
+    ]);
+    const done = Promise.all(jobs.map(job => whenStatus(queue, () => job.id, 'completed')));
+    queue.start();
+    await done;
+
+    // Two processes sharing the store would each see the same tenant cap
+    expect(peak).toEqual({ acme: 1, globex: 1 });
+    expect(await queue.getResult(jobs[0].id)).toEqual({ counted: 3 });
+    expect(await queue.get(jobs[0].id)).toMatchObject({
+      status: 'completed',
+      attempts: 1,
+      lease: null,
+      progress: { processed: 3, total: 3, percent: 100, message: 'counted 3' }
+    });
+    expect(events.filter(event => event.id === jobs[2].id).map(event => event.status))
+      .toEqual(['queued', 'running', 'running', 'running', 'running', 'completed']);
+
+    await expect(queue.create({ type: 'nope' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('should retry failed attempts, honour non-retryable errors and cancel through the signal', async () => {
+    const queue = createQueue();
+    let attempts = 0;
+
+    queue.register('flaky', async () => {
+      attempts++;
+      if (attempts < 3) throw new Error(`attempt ${attempts} failed`);
+      return { attempts };
+    });
+    queue.register('broken', async () => {
+      const error = new Error('bad payload');
+      error.retryable = false;
+      throw error;
+    });
+    queue.register('slow', (payload, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+    }));
+
+    const flaky = await queue.create({ type: 'flaky' });
+    const broken = await queue.create({ type: 'broken' });
+    const slow = await queue.create({ type: 'slow' });
+    const flakyDone = whenStatus(queue, () => flaky.id, 'completed');
+    const brokenDone = whenStatus(queue, () => broken.id, 'failed');
+    const slowRunning = whenStatus(queue, () => slow.id, 'running');
+    const slowCancelled = whenStatus(queue, () => slow.id, 'cancelled');
+    queue.start();
+
+    await expect(flakyDone).resolves.toMatchObject({ attempts: 3, error: null });
+    await expect(brokenDone).resolves.toMatchObject({ attempts: 1, error: 'bad payload' });
+
+    await slowRunning;
+    await queue.cancel(slow.id);
+    await expect(slowCancelled).resolves.toMatchObject({ cancelRequested: true });
+    expect(queue.getStats()).toMatchObject({ completed: 1, failed: 1, cancelled: 1, retried: 2 });
+
+    // Queued jobs are cancelled without running
+    await queue.stop();
+    const queued = await queue.create({ type: 'flaky' });
+    await expect(queue.cancel(queued.id)).resolves.toMatchObject({ status: 'cancelled' });
+  });
+
+  test('should hand jobs back on shutdown and recover jobs whose worker died', async () => {
+    const dir = tempDir();
+    dirs.push(dir);
+    const handler = (payload, { signal }) => new Promise((resolve, reject) => {
+      if (payload.quick) return resolve({ ok: true });
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+    });
+
+    // A graceful shutdown requeues the running job without using up an attempt
+    const first = createQueue({ dir });
+    first.register('work', handler);
+    const job = await first.create({ type: 'work', payload: { quick: false } });
+    const running = whenStatus(first, () => job.id, 'running');
+    first.start();
+    await running;
+    await first.stop();
+    expect(await first.get(job.id)).toMatchObject({ status: 'queued', attempts: 0, lease: null });
+
+    // A worker that died leaves a running job with a lease nobody renews
+    const store = first.store;
+    const lost = await first.create({ type: 'work', payload: { quick: true } });
+    await store.update(lost.id, record => {
+      record.status = 'running';
+      record.attempts = 1;
+      record.lease = { owner: 'gone:1', expiresAt: new Date(Date.now() - 1000).toISOString() };
+    });
+    await first.cancel(job.id);
+
+    const second = createQueue({ dir });
+    second.register('work', handler);
+    const recovered = whenStatus(second, () => lost.id, 'completed');
+    second.start();
+    await expect(recovered).resolves.toMatchObject({ attempts: 2 });
+    expect(second.getStats().recovered).toBe(1);
+  });
+
+  test('should drop the outcome of a run whose lease expired and was claimed again', async () => {
+    const dir = tempDir();
+    dirs.push(dir);
+
+    // The first run stalls past its lease without renewing it
+    let release;
+    let started;
+    const running = new Promise(resolve => { started = resolve; });
+    const stalled = createQueue({ dir, leaseTTL: 60000 });
+    stalled.register('work', () => new Promise(resolve => {
+      release = resolve;
+      started();
+    }));
+    const job = await stalled.create({ type: 'work' });
+    stalled.start();
+    await running;
+    const firstRun = stalled.running.get(job.id);
+    await stalled.store.update(job.id, record => {
+      record.lease.expiresAt = new Date(Date.now() - 1000).toISOString();
+    });
+
+    // Another queue in this same process claims it again and finishes it
+    const second = createQueue({ dir });
+    second.register('work', async () => ({ by: 'second' }));
+    const completed = whenStatus(second, () => job.id, 'completed');
+    second.start();
+    await expect(completed).resolves.toMatchObject({ attempts: 2 });
+
+    release({ by: 'first' });
+    await firstRun.done;
+    expect(await second.getResult(job.id)).toEqual({ by: 'second' });
+    expect(await second.get(job.id)).toMatchObject({ status: 'completed', attempts: 2, lease: null });
+    expect(stalled.getStats().completed).toBe(0);
+  });
+
+  test('should queue, list, follow, cancel and download jobs over HTTP per API key', async () => {
+    const queue = createQueue();
+    queue.register('export', async ({ rows }, { progress, outputFile }) => {
+      fs.writeFileSync(outputFile('csv'), rows.join('\n'));
+      progress(rows.length, rows.length);
+      return { records: rows.length, format: 'csv', file: path.basename(outputFile('csv')) };
+    });
+    queue.register('wait', (payload, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+    }));
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.principal = principalFor(req.get('X-API-Key'));
+      next();
+    });
+    app.use('/api/jobs', require('../../routes/jobs')({ jobQueue: queue }, new InputValidationSchemas()));
+
+    await request(app).post('/api/jobs').set('X-API-Key', 'pk_a').send({ type: 'missing' }).expect(400);
+
+    const created = await request(app)
+      .post('/api/jobs')
+      .set('X-API-Key', 'pk_a')
+      .send({ type: 'export', payload: { rows: ['id,email', '1,a@example.com'] } })
+      .expect(202);
+    const { id, statusUrl } = created.body.data;
+    expect(created.body.data).toMatchObject({ type: 'export', status: 'queued', tenant: 'default' });
+    expect(statusUrl).toBe(`/api/jobs/${id}`);
+
+    // Nothing on disk identifies the API key itself
+    expect(fs.readFileSync(path.join(queue.store.dir, `${id}.json`), 'utf8')).not.toContain('pk_a');
+    expect((await queue.get(id)).owner).toBe(requestOwner({ principal: principalFor('pk_a') }));
+
+    queue.start();
+    const events = await request(app).get(`${statusUrl}/events`).set('X-API-Key', 'pk_a').expect(200);
+    const statuses = events.text.split('\n\n').filter(Boolean).map(frame => JSON.parse(frame.split('data: ')[1]).status);
+    expect(statuses[statuses.length - 1]).toBe('completed');
+
+    const status = await request(app).get(statusUrl).set('X-API-Key', 'pk_a').expect(200);
+    expect(status.body.data).toMatchObject({ status: 'completed', result: { records: 2 } });
+    expect(status.body.data.owner).toBeUndefined();
+
+    const download = await request(app).get(`${statusUrl}/download`).set('X-API-Key', 'pk_a').expect(200);
+    expect(download.text).toBe('id,email\n1,a@example.com');
+    expect(download.headers['content-disposition']).toContain(`export-${id}.csv`);
+
+    await request(app).get(statusUrl).set('X-API-Key', 'pk_b').expect(404);
+    await request(app).get(statusUrl).set('X-API-Key', 'pk_admin').expect(200);
+    expect((await request(app).get('/api/jobs').set('X-API-Key', 'pk_b').expect(200)).body.data.jobs).toEqual([]);
+
+    const waiting = await request(app).post('/api/jobs').set('X-API-Key', 'pk_b').send({ type: 'wait' }).expect(202);
+    const cancelled = whenStatus(queue, () => waiting.body.data.id, 'cancelled');
+    await request(app).post(`/api/jobs/${waiting.body.data.id}/cancel`).set('X-API-Key', 'pk_b').expect(200);
+    await cancelled;
+    await request(app).post(`/api/jobs/${waiting.body.data.id}/cancel`).set('X-API-Key', 'pk_b').expect(409);
+  });
+
+  test('should keep a key\'s jobs with its successor once the key is rotated', async () => {
+    const queue = createQueue();
+    queue.register('wait', () => new Promise(() => {}));
+    const keyDir = tempDir();
+    dirs.push(keyDir);
+    const apiKeyAuth = new APIKeyAuth({ dir: keyDir, sharedState: new MemoryState() });
+    const { apiKey, keyData } = await apiKeyAuth.createAPIKey('exporter', 'premium');
+    const { apiKey: other } = await apiKeyAuth.createAPIKey('other', 'premium');
+
+    const app = express();
+    app.use(express.json());
+    app.use(apiKeyAuth.middleware());
+    app.use('/api/jobs', require('../../routes/jobs')({ jobQueue: queue }, new InputValidationSchemas()));
+
+    const created = await request(app).post('/api/jobs').set('X-API-Key', apiKey).send({ type: 'wait' }).expect(202);
+    const { statusUrl } = created.body.data;
+
+    // No grace window: only the successor is left to reach the job
+    const { apiKey: successor } = await apiKeyAuth.rotateKey(keyData.id, { gracePeriod: 0 });
+    await request(app).get(statusUrl).set('X-API-Key', apiKey).expect(401);
+    await request(app).get(statusUrl).set('X-API-Key', successor).expect(200);
+    expect((await request(app).get('/api/jobs').set('X-API-Key', successor).expect(200)).body.data.jobs).toHaveLength(1);
+    await request(app).get(statusUrl).set('X-API-Key', other).expect(404);
+
+    const cancelled = await request(app).post(`${statusUrl}/cancel`).set('X-API-Key', successor).expect(200);
+    expect(cancelled.body.data.status).toBe('cancelled');
+  });
+
+  test('should stream job progress over WebSocket only to the job\'s owner and admins', async () => {
+    const queue = createQueue();
+    queue.register('wait', () => new Promise(() => {}));
+    const keyDir = tempDir();
+    dirs.push(keyDir);
+    const state = new MemoryState();
+    const policy = new AuthPolicy();
+    const apiKeyAuth = new APIKeyAuth({ dir: keyDir, sharedState: state, policy });
+    const { apiKey: mine, keyData } = await apiKeyAuth.createAPIKey('exporter', 'premium');
+    const { apiKey: theirs } = await apiKeyAuth.createAPIKey('other', 'premium');
+    const { apiKey: admin } = await apiKeyAuth.createAPIKey('ops', 'admin');
+
+    const server = http.createServer(express()).listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const streaming = new BananaStreamingServer(server, {
+      jobQueue: queue,
+      authenticate: createUpgradeAuthenticator({
+        sessionSecurity: new SessionSecurity({ sharedState: state }),
+        authPipeline: createAuthPipeline({ apiKeyAuth, policy }, {})
+      })
+    });
+
+    // A subscriber to job_progress, with every job it has been told about
+    const sockets = [];
+    const subscribe = (apiKey) => new Promise((resolve, reject) => {
+      const ws = new WebSocket(`ws://127.0.0.1:${server.address().port}/stream`, { headers: apiKey ? { 'X-API-Key': apiKey } : {} });
+      sockets.push(ws);
+      const seen = { ws, jobs: [], snapshot: null };
+      ws.on('message', data => {
+        const message = JSON.parse(data);
+        if (message.type !== 'channel_update' || message.channel !== 'job_progress') return;
+        if (message.data.jobs) {
+          seen.snapshot = message.data.jobs.map(job => job.id);
+          resolve(seen);
+        } else {
+          seen.jobs.push(message.data.id);
+        }
+      });
+      ws.on('open', () => ws.send(JSON.stringify({ type: 'subscribe', channel: 'job_progress' })));
+      ws.on('unexpected-response', (req, res) => reject(Object.assign(new Error('Refused'), { statusCode: res.statusCode })));
+      ws.on('error', reject);
+    });
+
+    try {
+      const queued = await queue.create({ type: 'wait', owner: apiKeyAuth.toPrincipal(keyData).owner });
+      await expect(subscribe(null)).rejects.toMatchObject({ statusCode: 401 });
+
+      const [owner, other, ops] = await Promise.all([subscribe(mine), subscribe(theirs), subscribe(admin)]);
+      expect(owner.snapshot).toEqual([queued.id]);
+      expect(other.snapshot).toEqual([]);
+      expect(ops.snapshot).toEqual([queued.id]);
+
+      await queue.cancel(queued.id);
+      await sleep(50);
+      expect(owner.jobs).toContain(queued.id);
+      expect(ops.jobs).toContain(queued.id);
+      expect(other.jobs).toEqual([]);
+    } finally {
+      sockets.forEach(ws => ws.terminate());
+      streaming.shutdown();
+      await new Promise(resolve => server.close(resolve));
+      await apiKeyAuth.stop();
+      await state.stop();
+    }
+  });
+});
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const express = require('express');
+const request = require('supertest');
+const APIKeyAuth = require('../../middleware/api-key-auth');
+const SessionSecurity = require('../../middleware/session-security');
+const CSRFProtection = require('../../middleware/csrf-protection');
+const { createAuthPipeline } = require('../../middleware/auth-pipeline');
+const { OIDCAuth, oidcOptionsFromEnv } = require('../../middleware/oidc-auth');
+const { AuthPolicy } = require('../../shared/auth-policy');
+const { MemoryState } = require('../../shared/shared-state');
+const { startMockIdP } = require('../mock-idp');
+
+const CLIENT_ID = 'pi-api-hub';
+const CLIENT_SECRET = 'client-secret-0123456789';
+const REDIRECT_URI = 'http://hub.test/auth/callback';
+
+describe('🍌 OIDC Sign-In Tests', () => {
+  let idp;
+  let dir;
+  let state;
+  let oidcAuth;
+  let app;
+
+  beforeAll(async () => {
+    idp = await startMockIdP({ clientId: CLIENT_ID, clientSecret: CLIENT_SECRET, redirectUri: REDIRECT_URI });
+  });
+
+  afterAll(async () => {
+    await idp.stop();
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oidc-auth-'));
+    state = new MemoryState();
+    oidcAuth = new OIDCAuth({
+      issuer: idp.issuer,
+      clientId: CLIENT_ID,
+      clientSecret: CLIENT_SECRET,
+      redirectUri: REDIRECT_URI,
+      groupRoles: { 'hub-admins': 'super_admin', 'acme-admins': 'tenant_admin', 'hub-viewers': 'viewer' },
+      sharedState: state
+    });
+
+    // The hub's order: session cookie, body, pipeline, CSRF, routes
+    const policy = new AuthPolicy();
+    const csrf = new CSRFProtection({ sharedState: state });
+    app = express();
+    app.use(new SessionSecurity({ sharedState: state }).middleware());
+    app.use(express.json());
+    app.use(createAuthPipeline({ apiKeyAuth: new APIKeyAuth({ dir, sharedState: state, policy }), oidcAuth, policy }, {}).middleware());
+    app.use(csrf.tokenMiddleware());
+    app.use(csrf.validateMiddleware());
+    app.use('/auth', require('../../routes/auth')(oidcAuth));
+    app.get('/monitoring/status', policy.requireRole('admin'), (req, res) => res.json({ principal: req.principal }));
+    app.get('/analytics/overview', policy.requireRole('admin'), (req, res) => res.json({ ok: true }));
+    app.post('/monitoring/cache/clear', policy.requireRole('admin'), (req, res) => res.json({ cleared: true }));
+    app.get('/api/hubspot/contacts', (req, res) => res.json({ principal: req.principal }));
+  });
+
+  afterEach(async () => {
+    await state.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Follow the browser through the provider and back; resolves to the callback response
+  const signIn = async (agent, returnTo, status = 302) => {
+    const login = await agent.get('/auth/login').query(returnTo ? { returnTo } : {}).expect(302);
+    const authorize = await axios.get(login.headers.location, { maxRedirects: 0, validateStatus: () => true });
+    const callback = new URL(authorize.headers.location);
+    return agent.get(`/auth/callback${callback.search}`).expect(status);
+  };
+
+  test('should sign an admin group member in to the monitoring and analytics routes', async () => {
+    idp.user = { sub: 'user-1', email: 'ada@example.com', groups: ['hub-admins', 'everyone'] };
+    const agent = request.agent(app);
+
+    await agent.get('/monitoring/status').expect(401);
+
+    const callback = await signIn(agent, '/monitoring/status');
+    expect(callback.headers.location).toBe('/monitoring/status');
+    expect(callback.headers['set-cookie'][0]).toMatch(/^sessionId=\w+;.*HttpOnly;.*SameSite=Lax/);
+
+    const status = await agent.get('/monitoring/status').expect(200);
+    expect(status.body.principal).toMatchObject({
+      type: 'user', id: 'user-1', name: 'ada@example.com', roles: ['super_admin'], tier: 'admin', authMethod: 'session'
+    });
+    await agent.get('/analytics/overview').expect(200);
+
+    const me = await agent.get('/auth/me').expect(200);
+    expect(me.body.data.principal.attributes.groups).toEqual(['hub-admins', 'everyone']);
+
+    // The session cookie alone can't change anything; the page's CSRF token can
+    await agent.post('/monitoring/cache/clear').expect(403);
+    await agent.post('/monitoring/cache/clear').set('X-CSRF-Token', me.body.data.csrfToken).expect(200);
+  });
+
+  test('should map groups onto AuthManager roles and turn away accounts in none', async () => {
+    idp.user = { sub: 'user-2', email: 'viewer@example.com', groups: ['hub-viewers'] };
+    const viewer = request.agent(app);
+    const landed = await signIn(viewer);
+    expect(landed.headers.location).toBe('/dashboard.html');
+    await viewer.get('/api/hubspot/contacts').expect(200);
+    const denied = await viewer.get('/monitoring/status').expect(403);
+    expect(denied.body.message).toBe('Requires role admin');
+
+    // A tenant's admins are no admins of the hub
+    idp.user = { sub: 'user-4', email: 'ops@acme.example.com', groups: ['acme-admins'] };
+    const tenantAdmin = request.agent(app);
+    await signIn(tenantAdmin);
+    await tenantAdmin.get('/api/hubspot/contacts').expect(200);
+    await tenantAdmin.get('/monitoring/status').expect(403);
+
+    idp.user = { sub: 'user-3', email: 'guest@example.com', groups: ['contractors'] };
+    const guest = request.agent(app);
+    const refused = await signIn(guest, undefined, 403);
+    expect(refused.body.error).toBe('No hub role for this account');
+    await guest.get('/auth/me').expect(401);
+
+    // Only paths on this hub are followed after sign-in
+    idp.user = { sub: 'user-1', email: 'ada@example.com', groups: ['hub-admins'] };
+    const offsite = await signIn(request.agent(app), '//evil.example.com/');
+    expect(offsite.headers.location).toBe('/dashboard.html');
+
+    expect(() => new OIDCAuth({ issuer: idp.issuer, clientId: 'x', redirectUri: REDIRECT_URI, groupRoles: { ops: 'root' } }))
+      .toThrow('not root');
+    expect(() => new OIDCAuth({ issuer: idp.issuer, clientId: 'x', redirectUri: REDIRECT_URI, groupRoles: { ops: 'admin' } }))
+      .toThrow('not admin');
+    expect(oidcOptionsFromEnv({})).toBeNull();
+    expect(oidcOptionsFromEnv({ OIDC_ISSUER: idp.issuer, OIDC_GROUP_ROLES: '{"ops":"super_admin"}' }).groupRoles).toEqual({ ops: 'super_admin' });
+  });
+
+  test('should accept each sign-in once and only with its own code verifier', async () => {
+    idp.user = { sub: 'user-1', email: 'ada@example.com', groups: ['hub-admins'] };
+    const agent = request.agent(app);
+
+    const login = await agent.get('/auth/login').expect(302);
+    const authorizeUrl = new URL(login.headers.location);
+    expect(authorizeUrl.searchParams.get('code_challenge_method')).toBe('S256');
+    const authorize = await axios.get(authorizeUrl.toString(), { maxRedirects: 0, validateStatus: () => true });
+    const { search } = new URL(authorize.headers.location);
+
+    await agent.get(`/auth/callback${search}`).expect(302);
+    const replay = await agent.get(`/auth/callback${search}`).expect(400);
+    expect(replay.body.error).toBe('Unknown or expired sign-in');
+
+    // A code redeemed under another sign-in's state carries the wrong verifier
+    const started = await agent.get('/auth/login').expect(302);
+    const issued = await axios.get(started.headers.location, { maxRedirects: 0, validateStatus: () => true });
+    const stolen = new URL(issued.headers.location).searchParams.get('code');
+    const other = new URL((await agent.get('/auth/login').expect(302)).headers.location).searchParams.get('state');
+    const mismatched = await agent.get('/auth/callback').query({ code: stolen, state: other }).expect(401);
+    expect(mismatched.body.error).toBe('Authorization code not accepted');
+
+    const refused = new URL((await agent.get('/auth/login').expect(302)).headers.location).searchParams.get('state');
+    await agent.get('/auth/callback').query({ state: refused, error: 'access_denied' }).expect(401);
+  });
+
+  test('should sign out only with the CSRF token', async () => {
+    idp.user = { sub: 'user-1', email: 'ada@example.com', groups: ['hub-admins'] };
+    const agent = request.agent(app);
+    await signIn(agent);
+
+    await agent.post('/auth/logout').expect(403);
+    await agent.get('/monitoring/status').expect(200);
+
+    const { csrfToken } = (await agent.get('/auth/me').expect(200)).body.data;
+    await agent.post('/auth/logout').set('X-CSRF-Token', csrfToken).expect(200);
+    await agent.get('/monitoring/status').expect(401);
+    await agent.get('/auth/me').expect(401);
+  });
+});
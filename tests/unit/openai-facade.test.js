@@ -0,0 +1,174 @@
+jest.mock('axios');
+const { Readable } = require('stream');
+const axios = require('axios');
+const express = require('express');
+const request = require('supertest');
+const AIFallbackHandler = require('../../middleware/ai-fallback-handler');
+const InputValidationSchemas = require('../../middleware/input-validation-schemas');
+const openAIChat = require('../../shared/openai-chat-translator');
+
+const streamOf = (chunks) => Readable.from(chunks.map(chunk => Buffer.from(chunk)));
+
+// Parse an OpenAI SSE body into its data payloads
+const sseData = (text) => text.split('\n\n').filter(Boolean).map(frame => frame.replace(/^data: /, ''));
+
+describe('🍌 OpenAI-Compatible API Tests', () => {
+  let app;
+  let handler;
+  const usageTracker = {
+    middleware: () => (req, res, next) => next(),
+    record: jest.fn().mockResolvedValue()
+  };
+  const keyData = { id: 'key_test', name: 'test', tier: 'premium' };
+
+  beforeAll(() => {
+    axios.get.mockResolvedValue({ status: 200, data: { models: [{ name: 'llama3.2:latest' }] } });
+    handler = new AIFallbackHandler({ anthropicApiKey: 'test-key', ollamaBaseUrl: 'http://localhost:11434' });
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.apiKeyData = keyData;
+      next();
+    });
+    app.use('/v1', require('../../routes/openai')({
+      aiHandler: handler,
+      aiUsageTracker: usageTracker
+    }, new InputValidationSchemas()));
+  });
+
+  beforeEach(() => {
+    const ollama = handler.getProvider('ollama');
+    ollama.status.available = true;
+    ollama.status.models = [{ name: 'llama3.2:latest' }];
+  });
+
+  afterEach(() => {
+    axios.post.mockReset();
+    usageTracker.record.mockClear();
+  });
+
+  test('should translate OpenAI chat messages, tools and images to Anthropic requests', () => {
+    const { system, messages } = openAIChat.fromOpenAIMessages([
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: [
+        { type: 'text', text: 'What is in this picture?' },
+        { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBORw0KGgo=' } }
+      ] },
+      { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '{"q":"cat"}' } }] },
+      { role: 'tool', tool_call_id: 'call_1', content: 'A cat.' },
+      { role: 'user', content: 'Thanks' }
+    ]);
+
+    expect(system).toBe('Be brief.');
+    expect(messages).toEqual([
+      { role: 'user', content: [
+        { type: 'text', text: 'What is in this picture?' },
+        { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBORw0KGgo=' } }
+      ] },
+      { role: 'assistant', content: [{ type: 'tool_use', id: 'call_1', name: 'lookup', input: { q: 'cat' } }] },
+      { role: 'user', content: [
+        { type: 'tool_result', tool_use_id: 'call_1', content: 'A cat.' },
+        { type: 'text', text: 'Thanks' }
+      ] }
+    ]);
+
+    expect(() => openAIChat.fromOpenAIContent([{ type: 'image_url', image_url: { url: 'https://example.com/cat.png' } }]))
+      .toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(openAIChat.fromOpenAIToolChoice('required')).toEqual({ type: 'any' });
+  });
+
+  test('should answer chat completions, models and errors in OpenAI format', async () => {
+    axios.post.mockResolvedValueOnce({
+      data: {
+        model: 'llama3.2:latest',
+        message: { role: 'assistant', content: 'Hello!' },
+        done: true,
+        done_reason: 'stop',
+        prompt_eval_count: 10,
+        eval_count: 3
+      }
+    });
+
+    const response = await request(app)
+      .post('/v1/chat/completions')
+      .send({ model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'Hi' }], temperature: 1.5 })
+      .expect(200);
+
+    expect(response.body).toMatchObject({
+      id: expect.stringMatching(/^chatcmpl-/),
+      object: 'chat.completion',
+      model: 'llama3.2:latest',
+      choices: [{ index: 0, message: { role: 'assistant', content: 'Hello!' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 10, completion_tokens: 3, total_tokens: 13 }
+    });
+    expect(response.headers['x-ai-provider']).toBe('ollama');
+    // The OpenAI model name falls back to the provider's default, and temperature is clamped
+    const [, ollamaRequest] = axios.post.mock.calls[0];
+    expect(ollamaRequest.model).toBe('llama3.2:latest');
+    expect(ollamaRequest.options.temperature).toBe(1);
+    expect(usageTracker.record).toHaveBeenCalledWith(keyData, expect.objectContaining({ provider: 'ollama' }));
+
+    const models = await request(app).get('/v1/models').expect(200);
+    expect(models.body.object).toBe('list');
+    expect(models.body.data).toContainEqual(expect.objectContaining({ id: 'llama3.2:latest', owned_by: 'ollama' }));
+
+    const missing = await request(app).get('/v1/models/gpt-5').expect(404);
+    expect(missing.body.error).toMatchObject({ type: 'invalid_request_error', code: 'model_not_found' });
+
+    const invalid = await request(app).post('/v1/chat/completions').send({ model: 'gpt-4o', messages: [], n: 2 }).expect(400);
+    expect(invalid.body.error).toMatchObject({ type: 'invalid_request_error', param: 'messages' });
+  });
+
+  test('should stream chat completions as OpenAI chunks ending with [DONE]', async () => {
+    axios.post.mockResolvedValueOnce({
+      data: streamOf([
+        '{"model":"llama3.2:latest","message":{"role":"assistant","content":"Hel"},"done":false}\n',
+        '{"model":"llama3.2:latest","message":{"role":"assistant","content":"lo"},"done":false}\n',
+        '{"model":"llama3.2:latest","message":{"role":"assistant","content":""},"done":true,"done_reason":"stop","prompt_eval_count":7,"eval_count":2}\n'
+      ])
+    });
+
+    const response = await request(app)
+      .post('/v1/chat/completions')
+      .send({ model: 'gpt-4o', messages: [{ role: 'user', content: 'Hi' }], stream: true, stream_options: { include_usage: true } })
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/text\/event-stream/);
+    const frames = sseData(response.text);
+    expect(frames[frames.length - 1]).toBe('[DONE]');
+
+    const chunks = frames.slice(0, -1).map(frame => JSON.parse(frame));
+    expect(chunks.every(chunk => chunk.id === chunks[0].id)).toBe(true);
+    expect(chunks[0].choices[0].delta).toEqual({ role: 'assistant', content: '' });
+    expect(chunks.map(chunk => chunk.choices[0]?.delta.content).join('')).toBe('Hello');
+    expect(chunks[chunks.length - 2].choices[0].finish_reason).toBe('stop');
+    expect(chunks[chunks.length - 1]).toMatchObject({
+      choices: [],
+      usage: { prompt_tokens: 7, completion_tokens: 2, total_tokens: 9 }
+    });
+  });
+
+  test('should embed input with Ollama and encode vectors as base64 on request', async () => {
+    axios.post.mockResolvedValueOnce({
+      data: { model: 'nomic-embed-text', embeddings: [[0.5, -1]], prompt_eval_count: 4 }
+    });
+
+    const response = await request(app)
+      .post('/v1/embeddings')
+      .send({ model: 'text-embedding-3-small', input: 'banana', encoding_format: 'base64' })
+      .expect(200);
+
+    expect(response.body).toMatchObject({
+      object: 'list',
+      model: 'nomic-embed-text',
+      usage: { prompt_tokens: 4, total_tokens: 4 }
+    });
+    const vector = Buffer.from(response.body.data[0].embedding, 'base64');
+    expect(Array.from(new Float32Array(vector.buffer, vector.byteOffset, 2))).toEqual([0.5, -1]);
+
+    const [url, body] = axios.post.mock.calls[0];
+    expect(url).toBe('http://localhost:11434/api/embed');
+    expect(body).toEqual({ model: 'nomic-embed-text', input: ['banana'] });
+  });
+});
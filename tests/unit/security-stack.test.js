@@ -0,0 +1,121 @@
+jest.mock('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const express = require('express');
+const request = require('supertest');
+const AIFallbackHandler = require('../../middleware/ai-fallback-handler');
+const APIKeyAuth = require('../../middleware/api-key-auth');
+const CSRFProtection = require('../../middleware/csrf-protection');
+const InputValidationMiddleware = require('../../middleware/input-validation');
+const InputValidationSchemas = require('../../middleware/input-validation-schemas');
+const SecurityHeadersMiddleware = require('../../middleware/security-headers');
+const SessionSecurity = require('../../middleware/session-security');
+const { applySecurityStack } = require('../../middleware/security-stack');
+const { createAuthPipeline } = require('../../middleware/auth-pipeline');
+const { AuthPolicy, createPrincipal } = require('../../shared/auth-policy');
+const { MemoryState } = require('../../shared/shared-state');
+
+describe('🍌 Security Stack Tests', () => {
+  let app;
+  let dir;
+  let state;
+  let apiKeyAuth;
+
+  const completion = { model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'Hi' }] };
+
+  beforeAll(() => {
+    axios.get.mockResolvedValue({ status: 200, data: { models: [{ name: 'llama3.2:latest' }] } });
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'security-stack-'));
+    state = new MemoryState();
+    const policy = new AuthPolicy();
+    apiKeyAuth = new APIKeyAuth({ dir, sharedState: state, policy });
+
+    const aiHandler = new AIFallbackHandler({ anthropicApiKey: 'test-key', ollamaBaseUrl: 'http://localhost:11434' });
+    const ollama = aiHandler.getProvider('ollama');
+    ollama.status.available = true;
+    ollama.status.models = [{ name: 'llama3.2:latest' }];
+    axios.post.mockResolvedValue({
+      data: { model: 'llama3.2:latest', message: { role: 'assistant', content: 'Hello!' }, done: true, prompt_eval_count: 10, eval_count: 3 }
+    });
+
+    // The app's stack, with sign-in sessions standing in for OIDC
+    app = express();
+    applySecurityStack(app, {
+      securityHeaders: new SecurityHeadersMiddleware(),
+      sessionSecurity: new SessionSecurity({ sharedState: state }),
+      inputValidation: new InputValidationMiddleware(),
+      authPipeline: createAuthPipeline({ apiKeyAuth, oidcAuth: {}, policy }, {}),
+      csrfProtection: new CSRFProtection({ sharedState: state }),
+      corsOrigins: ['http://localhost:3000']
+    });
+    app.get('/auth/sign-in', async (req, res) => {
+      await req.createSession({ principal: createPrincipal({ type: 'user', id: 'u1', name: 'ops', roles: ['user'], authMethod: 'session' }) });
+      res.json({ signedIn: true });
+    });
+    app.use('/v1', require('../../routes/openai')({
+      aiHandler,
+      aiUsageTracker: { middleware: () => (req, res, next) => next(), record: jest.fn().mockResolvedValue() }
+    }, new InputValidationSchemas()));
+  });
+
+  afterEach(async () => {
+    axios.post.mockReset();
+    await apiKeyAuth.stop();
+    await state.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should let API keys call /v1 without an Origin header', async () => {
+    const { apiKey } = await apiKeyAuth.createAPIKey('sdk-client', 'premium');
+
+    const response = await request(app).post('/v1/chat/completions').set('Authorization', `Bearer ${apiKey}`).send(completion).expect(200);
+    expect(response.body.choices[0].message.content).toBe('Hello!');
+    await request(app).post('/v1/chat/completions').set('X-API-Key', apiKey).send(completion).expect(200);
+
+    // A key is no browser credential, so another site's Origin doesn't matter either
+    await request(app).post('/v1/chat/completions').set('X-API-Key', apiKey).set('Origin', 'https://elsewhere.example').send(completion).expect(200);
+  });
+
+  test('should still check the origin and CSRF token of session-cookie requests', async () => {
+    await request(app).post('/v1/chat/completions').send(completion).expect(401);
+
+    const agent = request.agent(app);
+    await agent.get('/auth/sign-in').expect(200);
+
+    const noOrigin = await agent.post('/v1/chat/completions').send(completion).expect(403);
+    expect(noOrigin.body.code).toBe('ORIGIN_INVALID');
+    await agent.post('/v1/chat/completions').set('Origin', 'https://elsewhere.example').send(completion).expect(403);
+
+    const noToken = await agent.post('/v1/chat/completions').set('Origin', 'http://localhost:3000').send(completion).expect(403);
+    expect(noToken.body.code).not.toBe('ORIGIN_INVALID');
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test('should only skip authentication for the exact public paths', async () => {
+    app.get('/dashboard.html', (req, res) => res.send('dashboard'));
+    app.get('/dashboard-admin', (req, res) => res.json({ secret: true }));
+
+    await request(app).get('/dashboard.html').expect(200);
+    await request(app).get('/dashboard-admin').expect(401);
+    await request(app).get('/dashboard.html.bak').expect(401);
+    await request(app).get('/dashboards/anything').expect(401);
+  });
+
+  test('should read big bodies only once the request is authenticated', async () => {
+    const { apiKey } = await apiKeyAuth.createAPIKey('ops', 'admin');
+    app.post('/echo', (req, res) => res.json({ length: req.body.text.length }));
+    const big = { text: 'x'.repeat(2 * 1024 * 1024) };
+
+    await request(app).post('/echo').send(big).expect(401);
+    const echoed = await request(app).post('/echo').set('X-API-Key', apiKey).send(big).expect(200);
+    expect(echoed.body.length).toBe(big.text.length);
+
+    // A signature covers the body, so it's read first, but only up to the small limit
+    await request(app).post('/echo').set('X-Banana-Signature', 'forged').send(big).expect(413);
+  });
+});
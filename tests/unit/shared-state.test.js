@@ -0,0 +1,276 @@
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const APIKeyAuth = require('../../middleware/api-key-auth');
+const CSRFProtection = require('../../middleware/csrf-protection');
+const IntelligentCache = require('../../middleware/intelligent-cache');
+const SecureSessionStorage = require('../../middleware/secure-session-storage');
+const { MemoryState, createSharedState } = require('../../shared/shared-state');
+
+// In-process stand-in speaking enough of the Redis protocol for the shared state
+const redisStandIn = async () => {
+  const data = new Map();
+  const sockets = new Set();
+
+  const bulk = (value) => value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  const read = (key) => {
+    const entry = data.get(key);
+    if (entry && entry.expiresAt && Date.now() >= entry.expiresAt) data.delete(key);
+    return data.get(key) || null;
+  };
+  const glob = (pattern) => new RegExp('^' + pattern.replace(/\\(.)|\*|[.+?^${}()|[\]]/g, (match, escaped) =>
+    escaped ? escaped.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : match === '*' ? '.*' : '\\' + match) + '$');
+
+  const commands = {
+    PING: () => '+PONG\r\n',
+    GET: ([key]) => bulk(read(key)?.value ?? null),
+    GETDEL: ([key]) => {
+      const entry = read(key);
+      data.delete(key);
+      return bulk(entry ? entry.value : null);
+    },
+    SET: ([key, value, ...options]) => {
+      const upper = options.map(option => option.toUpperCase());
+      if (upper.includes('NX') && read(key)) return '$-1\r\n';
+      const px = upper.indexOf('PX');
+      data.set(key, { value, expiresAt: px === -1 ? null : Date.now() + Number(options[px + 1]) });
+      return '+OK\r\n';
+    },
+    DEL: (keys) => `:${keys.filter(key => read(key) && data.delete(key)).length}\r\n`,
+    INCRBY: ([key, amount]) => {
+      const entry = read(key) || { value: '0', expiresAt: null };
+      entry.value = String(Number(entry.value) + Number(amount));
+      data.set(key, entry);
+      return `:${entry.value}\r\n`;
+    },
+    SCAN: ([, ...options]) => {
+      const match = glob(options[options.findIndex(option => option.toUpperCase() === 'MATCH') + 1]);
+      const keys = [...data.keys()].filter(key => read(key) && match.test(key));
+      return `*2\r\n${bulk('0')}*${keys.length}\r\n${keys.map(bulk).join('')}`;
+    }
+  };
+
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    let buffer = Buffer.alloc(0);
+    let queued = null;
+
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      for (let command; (command = parseCommand(buffer));) {
+        buffer = buffer.subarray(command.length);
+        const [name, ...args] = command.args;
+        const verb = name.toUpperCase();
+        if (verb === 'MULTI') {
+          queued = [];
+          socket.write('+OK\r\n');
+        } else if (verb === 'EXEC') {
+          socket.write(`*${queued.length}\r\n` + queued.map(run => run()).join(''));
+          queued = null;
+        } else if (!commands[verb]) {
+          socket.write(`-ERR unknown command '${name}'\r\n`);
+        } else if (queued) {
+          queued.push(() => commands[verb](args));
+          socket.write('+QUEUED\r\n');
+        } else {
+          socket.write(commands[verb](args));
+        }
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    data,
+    port: server.address().port,
+    close: () => new Promise(resolve => {
+      sockets.forEach(socket => socket.destroy());
+      server.close(resolve);
+    })
+  };
+};
+
+// One RESP array of bulk strings from the start of `buffer`, or null until it's all there
+function parseCommand(buffer) {
+  let offset = 0;
+  const line = () => {
+    const end = buffer.indexOf('\r\n', offset);
+    if (end === -1) return null;
+    const text = buffer.toString('utf8', offset, end);
+    offset = end + 2;
+    return text;
+  };
+
+  const header = line();
+  if (header === null) return null;
+  const args = [];
+  for (let i = 0; i < Number(header.slice(1)); i++) {
+    const size = line();
+    if (size === null) return null;
+    const length = Number(size.slice(1));
+    if (buffer.length < offset + length + 2) return null;
+    args.push(buffer.toString('utf8', offset, offset + length));
+    offset += length + 2;
+  }
+  return { args, length: offset };
+}
+
+describe('🍌 Shared State Tests', () => {
+  let redis;
+  const states = [];
+  const dirs = [];
+
+  beforeEach(async () => {
+    redis = await redisStandIn();
+  });
+
+  afterEach(async () => {
+    await Promise.all(states.splice(0).map(state => state.stop()));
+    await redis.close();
+  });
+
+  afterAll(() => {
+    dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  // Each worker of a cluster has its own connection to the same Redis
+  const worker = async () => {
+    const state = createSharedState({ provider: 'redis', redis: { host: '127.0.0.1', port: redis.port, keyPrefix: 'test:' } });
+    states.push(state);
+    await state.ready();
+    return state;
+  };
+
+  test('should share values, counters and one-time takes between workers', async () => {
+    const [one, two] = [await worker(), await worker()];
+    expect(one.getStats()).toMatchObject({ provider: 'redis', distributed: true, connected: true });
+
+    await one.set('cache:a', { answer: 42 }, 60000);
+    expect(await two.get('cache:a')).toEqual({ answer: 42 });
+    expect(redis.data.get('test:cache:a').expiresAt).toBeGreaterThan(Date.now());
+
+    expect(await one.add('lock', 1)).toBe(true);
+    expect(await two.add('lock', 2)).toBe(false);
+    expect(await two.secret('shared')).toBe(await one.secret('shared'));
+
+    expect(await one.increment('count', 60000)).toBe(1);
+    expect(await two.increment('count', 60000)).toBe(2);
+
+    expect(await two.take('lock')).toBe(1);
+    expect(await one.take('lock')).toBeNull();
+
+    expect((await one.keys('cache:')).sort()).toEqual(['cache:a']);
+    expect(await two.delete('cache:a')).toBe(true);
+    expect(await one.get('cache:a')).toBeNull();
+
+    // The memory backend behaves the same within one process
+    const memory = new MemoryState();
+    states.push(memory);
+    await memory.set('short', 'lived', 1);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    expect(await memory.get('short')).toBeNull();
+    expect(await memory.increment('count')).toBe(1);
+    expect(await memory.take('count')).toBe(1);
+    expect(memory.getStats()).toMatchObject({ provider: 'memory', distributed: false });
+  });
+
+  test('should fall back to process memory while Redis is unreachable', async () => {
+    const state = await worker();
+    await redis.close();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(state.getStats().connected).toBe(false);
+    expect(await state.set('session:x', 'kept', 60000)).toBe(true);
+    expect(await state.get('session:x')).toBe('kept');
+    expect(await state.increment('count', 60000)).toBe(1);
+
+    redis = await redisStandIn();
+  });
+
+  test('should count API key rate limits across workers', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shared-keys-'));
+    dirs.push(dir);
+    const [one, two] = [
+      new APIKeyAuth({ dir, sharedState: await worker() }),
+      new APIKeyAuth({ dir, sharedState: await worker() })
+    ];
+    const { apiKey, keyData } = await one.createAPIKey('limited', 'basic');
+    await one.updateKey(keyData.id, key => { key.rateLimit = 3; });
+
+    // Keep every request inside one rate limit minute
+    const now = jest.spyOn(Date, 'now').mockReturnValue(Math.floor(Date.now() / 60000) * 60000 + 1000);
+    const app = (apiKeyAuth) => express().use(apiKeyAuth.middleware()).get('/api/hubspot/contacts', (req, res) => res.json({ success: true }));
+    const responses = [];
+    for (const auth of [one, two, one, two]) {
+      responses.push(await request(app(auth)).get('/api/hubspot/contacts').set('X-API-Key', apiKey));
+    }
+
+    expect(responses.map(res => res.status)).toEqual([200, 200, 200, 429]);
+    expect(responses[2].headers['x-ratelimit-remaining']).toBe('0');
+    expect(responses[3].body).toMatchObject({ error: 'Rate limit exceeded', limit: 3 });
+
+    // Either worker sees the totals of both
+    expect(await two.getUsage(keyData)).toMatchObject({ totalRequests: 3, requestsThisMinute: 4 });
+    const [listed] = await one.getAllKeys();
+    expect(listed.requests).toBe(3);
+    now.mockRestore();
+  });
+
+  test('should accept CSRF tokens and sessions from any worker, once', async () => {
+    const [one, two] = [await worker(), await worker()];
+
+    const csrf = [new CSRFProtection({ sharedState: one }), new CSRFProtection({ sharedState: two })];
+    const token = await csrf[0].generateToken('session-1');
+    expect(await csrf[1].validateToken(token, 'session-2')).toBe(false);
+    expect(await csrf[1].validateToken(token, 'session-1')).toBe(true);
+    expect(await csrf[0].validateToken(token, 'session-1')).toBe(false);
+    expect(await csrf[0].getStats()).toMatchObject({ activeTokens: 0, storage: 'redis' });
+
+    const app = express().use(express.json());
+    app.use((req, res, next) => { req.session = { id: 'session-1' }; next(); });
+    app.use(csrf[1].validateMiddleware());
+    app.post('/form', (req, res) => res.json({ success: true }));
+    const fresh = await csrf[0].generateToken('session-1');
+    expect((await request(app).post('/form').set('X-CSRF-Token', fresh)).status).toBe(200);
+    expect((await request(app).post('/form').set('X-CSRF-Token', fresh)).status).toBe(403);
+
+    const sessions = [new SecureSessionStorage({ sharedState: one }), new SecureSessionStorage({ sharedState: two })];
+    await sessions[0].createSession('abc', { ip: '127.0.0.1' });
+    expect(await sessions[1].getSession('abc')).toEqual({ ip: '127.0.0.1' });
+    expect(await sessions[1].getStats()).toMatchObject({ sessionCount: 1, storageType: 'redis', redisConnected: true });
+    expect(await sessions[1].deleteSession('abc')).toBe(true);
+    expect(await sessions[0].getSession('abc')).toBeNull();
+  });
+
+  test('should serve cached responses cached by another worker', async () => {
+    const [one, two] = [await worker(), await worker()];
+    const caches = [new IntelligentCache({ sharedState: one }), new IntelligentCache({ sharedState: two })];
+    expect(caches[0].distributed).toBe(true);
+    expect(new IntelligentCache({ sharedState: new MemoryState() }).distributed).toBe(false);
+
+    let calls = 0;
+    const app = (cache) => express()
+      .use(cache.middleware())
+      .get('/contacts', (req, res) => res.json({ success: true, call: ++calls }));
+
+    const first = await request(app(caches[0])).get('/contacts');
+    expect(first.headers['x-cache']).toBe('MISS');
+    await one.get('cache:GET:/contacts:{}'); // the write-through was sent before this
+
+    const second = await request(app(caches[1])).get('/contacts');
+    expect(second.headers['x-cache']).toBe('HIT');
+    expect(second.body).toEqual({ success: true, call: 1 });
+    expect(caches[1].getStats().sharedHits).toBe(1);
+
+    // Local eviction leaves the shared copy, a delete removes it everywhere
+    caches[0].deleteLocal('GET:/contacts:{}');
+    expect(await one.get('cache:GET:/contacts:{}')).not.toBeNull();
+    caches[1].delete('GET:/contacts:{}');
+    caches[0].deleteLocal('GET:/contacts:{}');
+    expect(await caches[0].fetch('GET:/contacts:{}')).toBeNull();
+  });
+});
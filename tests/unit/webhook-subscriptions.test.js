@@ -0,0 +1,208 @@
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const express = require('express');
+const request = require('supertest');
+const InputValidationSchemas = require('../../middleware/input-validation-schemas');
+const { createPrincipal } = require('../../shared/auth-policy');
+const { WebhookDispatcher, signPayload } = require('../../services/webhook-dispatcher');
+
+const lifecycleChange = (objectId, propertyValue) => ({
+  subscriptionType: 'contact.propertyChange',
+  objectId,
+  propertyName: 'lifecyclestage',
+  propertyValue,
+  portalId: 62515
+});
+
+// A downstream service behind an axios adapter; `status` is what it answers
+const fakeReceiver = () => {
+  const receiver = { status: 200, requests: [] };
+  receiver.httpClient = axios.create({
+    adapter: async (config) => {
+      receiver.requests.push({ url: config.url, headers: config.headers, body: config.data });
+      return { status: receiver.status, statusText: String(receiver.status), headers: {}, data: receiver.status === 200 ? 'ok' : 'nope', config };
+    }
+  });
+  return receiver;
+};
+
+describe('🍌 Webhook Subscription Tests', () => {
+  const dirs = [];
+
+  afterAll(() => {
+    dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  const createDispatcher = (receiver, options = {}) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'subscriptions-'));
+    dirs.push(dir);
+    return new WebhookDispatcher({ dir, httpClient: receiver.httpClient, allowPrivateTargets: true, retryDelay: 1, ...options });
+  };
+
+  test('should deliver matching events signed with the subscription secret', async () => {
+    const receiver = fakeReceiver();
+    const dispatcher = createDispatcher(receiver);
+    const owner = { owner: 'owner-a' };
+
+    const subscription = await dispatcher.create({
+      url: 'https://downstream.example.com/hooks',
+      events: [{ type: 'contact.propertyChange', where: { propertyName: 'lifecyclestage' } }, 'deal.*'],
+      secret: 'a-very-secret-secret'
+    }, owner);
+    expect(subscription).toMatchObject({ secret: 'a-very-secret-secret', secretPreview: '…cret', active: true });
+
+    expect(await dispatcher.publish({ ...lifecycleChange(1, 'lead'), propertyName: 'firstname' })).toBe(0);
+    expect(await dispatcher.publish({ subscriptionType: 'company.creation', objectId: 5 })).toBe(0);
+    expect(await dispatcher.publish(lifecycleChange(1, 'customer'))).toBe(1);
+    expect(await dispatcher.publish({ subscriptionType: 'deal.creation', objectId: 9 })).toBe(1);
+    expect((await dispatcher.get(subscription.id, owner)).pendingDeliveries).toBe(2);
+
+    await dispatcher.tick();
+    expect(receiver.requests).toHaveLength(2);
+    const sent = receiver.requests.find(({ headers }) => headers['X-Webhook-Event'] === 'contact.propertyChange');
+    expect(sent.url).toBe('https://downstream.example.com/hooks');
+    expect(JSON.parse(sent.body)).toMatchObject({ id: sent.headers['X-Webhook-Id'], type: 'contact.propertyChange', event: lifecycleChange(1, 'customer') });
+
+    // The receiver's check
+    const [, timestamp, signature] = /^t=(\d+),v1=([a-f0-9]{64})$/.exec(sent.headers['X-Webhook-Signature']);
+    expect(signature).toBe(signPayload('a-very-secret-secret', timestamp, sent.body));
+
+    const { pending, attempts } = await dispatcher.getDeliveries(subscription.id, {}, owner);
+    expect(pending).toEqual([]);
+    expect(attempts.map(attempt => [attempt.status, attempt.httpStatus, attempt.attempt])).toEqual([['delivered', 200, 1], ['delivered', 200, 1]]);
+    expect(dispatcher.stats).toMatchObject({ queued: 2, delivered: 2 });
+  });
+
+  test('should retry with backoff, dead-letter what keeps failing and replay it', async () => {
+    const receiver = fakeReceiver();
+    const dispatcher = createDispatcher(receiver, { maxAttempts: 3, retryDelay: 60000 });
+    const owner = { owner: 'owner-a' };
+    const { id } = await dispatcher.create({ url: 'https://downstream.example.com/hooks', events: ['contact.*'] }, owner);
+
+    receiver.status = 500;
+    await dispatcher.publish(lifecycleChange(2, 'customer'));
+    await dispatcher.tick();
+
+    const [waiting] = (await dispatcher.getDeliveries(id, {}, owner)).pending;
+    expect(waiting).toMatchObject({ attempts: 1, lastError: 'Target answered 500' });
+    expect(Date.parse(waiting.nextAttemptAt) - Date.now()).toBeGreaterThan(55000);
+
+    // Not due yet
+    await dispatcher.tick();
+    expect(receiver.requests).toHaveLength(1);
+
+    // Once due, and from then on with a short backoff
+    const [delivery] = await dispatcher.store.listPending(id);
+    await dispatcher.store.savePending({ ...delivery, nextAttemptAt: new Date().toISOString() });
+    dispatcher.retryDelay = 1;
+    for (let i = 0; i < 2; i++) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await dispatcher.tick();
+    }
+    expect(receiver.requests.map(({ headers }) => headers['X-Webhook-Attempt'])).toEqual(['1', '2', '3']);
+
+    const [dead] = await dispatcher.getDeadLetters(id, owner);
+    expect(dead).toMatchObject({ id: waiting.id, attempts: 3, nextAttemptAt: null, event: lifecycleChange(2, 'customer') });
+    expect((await dispatcher.get(id, owner))).toMatchObject({ pendingDeliveries: 0, deadLetters: 1 });
+
+    // A paused subscription holds its deliveries
+    receiver.status = 200;
+    await dispatcher.update(id, { active: false }, owner);
+    expect(await dispatcher.replay(id, { deliveryIds: [waiting.id, 'dlv_0000000000000000'] }, owner))
+      .toEqual({ replayed: [waiting.id], missing: ['dlv_0000000000000000'] });
+    await dispatcher.tick();
+    expect(receiver.requests).toHaveLength(3);
+
+    await dispatcher.update(id, { active: true }, owner);
+    await dispatcher.tick();
+    expect(receiver.requests).toHaveLength(4);
+    expect(await dispatcher.getDeadLetters(id, owner)).toEqual([]);
+
+    const { attempts } = await dispatcher.getDeliveries(id, { deliveryId: waiting.id }, owner);
+    expect(attempts.map(attempt => attempt.status)).toEqual(['delivered', 'failed', 'failed', 'failed']);
+    expect(await dispatcher.replay(id, {}, owner)).toEqual({ replayed: [], missing: [] });
+  });
+
+  test('should check the target address again when a delivery connects', async () => {
+    const hits = [];
+    const server = http.createServer((req, res) => {
+      hits.push(req.url);
+      res.end('ok');
+    }).listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'subscriptions-'));
+    dirs.push(dir);
+    const dispatcher = new WebhookDispatcher({ dir, allowPrivateTargets: false, retryDelay: 1 });
+    const owner = { owner: 'owner-a' };
+
+    // The name is public when it's registered, then points at the hub's own network
+    const registered = jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '203.0.113.10', family: 4 }]);
+    const rebound = jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) =>
+      options.all ? callback(null, [{ address: '127.0.0.1', family: 4 }]) : callback(null, '127.0.0.1', 4));
+
+    try {
+      const { id } = await dispatcher.create({ url: `http://hooks.example.test:${server.address().port}/hooks`, events: ['*'] }, owner);
+      expect(await dispatcher.publish(lifecycleChange(1, 'customer'))).toBe(1);
+      await dispatcher.tick();
+
+      expect(rebound).toHaveBeenCalledWith('hooks.example.test', expect.anything(), expect.any(Function));
+      expect(hits).toEqual([]);
+      const { attempts: [attempt] } = await dispatcher.getDeliveries(id, {}, owner);
+      expect(attempt).toMatchObject({ status: 'failed', error: expect.stringContaining('EPRIVATETARGET') });
+    } finally {
+      registered.mockRestore();
+      rebound.mockRestore();
+      await dispatcher.stop();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('should manage subscriptions per API key over HTTP', async () => {
+    const receiver = fakeReceiver();
+    const webhookDispatcher = createDispatcher(receiver, { allowPrivateTargets: false });
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      const apiKey = req.get('X-API-Key');
+      req.principal = createPrincipal({ type: 'service', id: apiKey, roles: [apiKey === 'pk_admin' ? 'admin' : 'premium'], authMethod: 'api_key' });
+      next();
+    });
+    app.use('/api/subscriptions', require('../../routes/subscriptions')({ webhookDispatcher }, new InputValidationSchemas()));
+
+    const body = { url: 'https://203.0.113.10/hooks', events: [{ type: 'contact.propertyChange', where: { propertyName: ['lifecyclestage', 'hs_lead_status'] } }] };
+    const created = await request(app).post('/api/subscriptions').set('X-API-Key', 'pk_a').send(body).expect(201);
+    const { id, secret } = created.body.data;
+    expect(secret).toMatch(/^whsec_[a-f0-9]{48}$/);
+    expect(created.body.data).not.toHaveProperty('owner');
+
+    await request(app).post('/api/subscriptions').set('X-API-Key', 'pk_a').send({ ...body, url: 'http://127.0.0.1:8080/hooks' }).expect(400);
+    await request(app).post('/api/subscriptions').set('X-API-Key', 'pk_a').send({ ...body, url: 'http://[::ffff:10.0.0.1]/' }).expect(400);
+    await request(app).post('/api/subscriptions').set('X-API-Key', 'pk_a').send({ ...body, events: ['contact created'] }).expect(400);
+    await request(app).post('/api/subscriptions').set('X-API-Key', 'pk_a').send({ ...body, url: 'ftp://example.com/' }).expect(400);
+
+    const mine = await request(app).get(`/api/subscriptions/${id}`).set('X-API-Key', 'pk_a').expect(200);
+    expect(mine.body.data).not.toHaveProperty('secret');
+    await request(app).get(`/api/subscriptions/${id}`).set('X-API-Key', 'pk_b').expect(404);
+    expect((await request(app).get('/api/subscriptions').set('X-API-Key', 'pk_b').expect(200)).body.data.subscriptions).toEqual([]);
+    expect((await request(app).get('/api/subscriptions').set('X-API-Key', 'pk_admin').expect(200)).body.data.subscriptions).toHaveLength(1);
+
+    const rotated = await request(app).patch(`/api/subscriptions/${id}`).set('X-API-Key', 'pk_a').send({ rotateSecret: true }).expect(200);
+    expect(rotated.body.data.secret).not.toBe(secret);
+    await request(app).patch(`/api/subscriptions/${id}`).set('X-API-Key', 'pk_a').send({}).expect(400);
+
+    await webhookDispatcher.publish({ subscriptionType: 'contact.propertyChange', objectId: 3, propertyName: 'hs_lead_status' });
+    await request(app).post(`/api/subscriptions/${id}/replay`).set('X-API-Key', 'pk_a').send({ deliveryIds: ['nope'] }).expect(400);
+    const deliveries = await request(app).get(`/api/subscriptions/${id}/deliveries`).set('X-API-Key', 'pk_a').expect(200);
+    expect(deliveries.body.data.pending).toHaveLength(1);
+
+    await request(app).delete(`/api/subscriptions/${id}`).set('X-API-Key', 'pk_b').expect(404);
+    await request(app).delete(`/api/subscriptions/${id}`).set('X-API-Key', 'pk_a').expect(200);
+    expect(await webhookDispatcher.store.listPending()).toEqual([]);
+    await request(app).get(`/api/subscriptions/${id}/dead-letters`).set('X-API-Key', 'pk_a').expect(404);
+  });
+});
@@ -281,7 +281,7 @@ export class MCPManager extends EventEmitter {
     private async promptForApiKey(): Promise<void> {
         const apiKey = await vscode.window.showInputBox({
             prompt: 'Enter your Banana Admin API Key',
-            placeHolder: 'Get this from http://localhost:3000/setup/admin-key',
+            placeHolder: 'Issue one with npm run keys:provision on the hub host',
             ignoreFocusOut: true,
             password: true
         });